@@ -14,8 +14,11 @@ import workspaceRoutes from "./routes/workspaceRoutes.js";
 import notebookRoutes from "./routes/notebookRoutes.js";
 import notebookTemplateRoutes from "./routes/notebookTemplateRoutes.js";
 import publishedRoutes from "./routes/publishedRoutes.js";
+import publicPagesRoutes from "./routes/publicPagesRoutes.js";
+import sharedRoutes from "./routes/sharedRoutes.js";
 import aiRoutes from "./routes/aiRoutes.js";
 import activityRoutes from "./routes/activityRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
 import rateLimiter from "./middleware/rateLimiter.js";
 import privateCacheHeaders from "./middleware/privateCacheHeaders.js";
 import requestLogger from "./middleware/requestLogger.js";
@@ -139,8 +142,18 @@ app.use("/api/workspaces", workspaceRoutes);
 app.use("/api/notebooks", notebookRoutes);
 app.use("/api/templates", notebookTemplateRoutes);
 app.use("/api/published", publishedRoutes);
+app.use("/api/shared", sharedRoutes);
 app.use("/api/ai", aiRoutes);
 app.use("/api/activity", activityRoutes);
+app.use("/api/notifications", notificationRoutes);
+
+if (process.env.NODE_ENV === "production") {
+  // Published pages are prerendered into the built shell.
+  app.set("spaIndexPath", path.join(dist, "index.html"));
+}
+
+// Ahead of the static files so /sitemap.xml is generated, not the build's copy.
+app.use(publicPagesRoutes);
 
 if (process.env.NODE_ENV === "production") {
   app.use(express.static(dist));
@@ -11,6 +11,18 @@ import CollabDocument from "../models/CollabDocument.js";
 import Note from "../models/Note.js";
 import NoteHistory from "../models/NoteHistory.js";
 import { resolveNoteForUser, touchWorkspaceMember } from "../utils/access.js";
+import {
+  extractMentionIdsFromYDoc,
+  syncNoteMentions,
+} from "../services/mentionService.js";
+import {
+  extractLinksFromYDoc,
+  syncNoteLinks,
+} from "../services/noteLinkService.js";
+import {
+  extractPlainTextFromYDoc,
+  extractRichContentFromYDoc,
+} from "../services/noteVersionService.js";
 import { isValidObjectId } from "../utils/validators.js";
 
 // ── Debounce / throttle helpers ──────────────────────────────────────────────
@@ -250,8 +262,10 @@ const collabServer = Server.configure({
       throw new Error("Note access denied");
     }
 
+    // Viewers and commenters still load the document so they can read it and
+    // anchor comments to it, but Hocuspocus drops any update they send.
     if (!access.permissions?.canEdit) {
-      throw new Error("Note editing denied");
+      data.connection.readOnly = true;
     }
 
     if (access.workspaceId) {
@@ -286,7 +300,7 @@ const collabServer = Server.configure({
     }
     return null;
   },
-  async onStoreDocument({ documentName, state, document }) {
+  async onStoreDocument({ documentName, state, document, context }) {
     try {
       const nextState = coerceState(state, document, { documentName });
       if (!nextState) {
@@ -305,6 +319,19 @@ const collabServer = Server.configure({
         },
         { upsert: true, new: true, setDefaultsOnInsert: true },
       );
+
+      const noteId = parseDocumentName(documentName);
+      if (noteId && document) {
+        await syncNoteMentions({
+          noteId,
+          actorId: context?.userId ?? null,
+          mentionIds: extractMentionIdsFromYDoc(document),
+        });
+        await syncNoteLinks({
+          noteId,
+          links: extractLinksFromYDoc(document),
+        });
+      }
     } catch (error) {
       logger.error("Failed to persist collaborative document", {
         documentName,
@@ -489,13 +516,25 @@ const collabServer = Server.configure({
           return;
         }
 
+        // Snapshot the live document at write time so collaborative edits
+        // show up as browsable versions, not just opaque Yjs updates.
+        const sharedTitle = document?.getText("title")?.toString() ?? "";
         await NoteHistory.create({
           noteId: noteInfo.note._id,
           workspaceId,
           actorId: context.userId,
           eventType: "edit",
           summary: "Edited collaboratively",
-          diff: Buffer.from(buf).toString("base64"),
+          diff: { yjsUpdate: Buffer.from(buf).toString("base64") },
+          titleSnapshot: (sharedTitle || noteInfo.note.title || "").slice(
+            0,
+            200,
+          ),
+          contentSnapshot: document ? extractPlainTextFromYDoc(document) : null,
+          richSnapshot: extractRichContentFromYDoc(document),
+          tagsSnapshot: Array.isArray(noteInfo.note.tags)
+            ? noteInfo.note.tags
+            : [],
         });
         historyLastWrite.set(documentName, Date.now());
       } catch (error) {
@@ -633,6 +672,29 @@ export const revokeCollabAccess = (userId, noteId) => {
   }
 };
 
+/**
+ * Apply a server-side change to a note's Yjs document through a direct
+ * connection. The document is loaded from storage when nobody has it open,
+ * connected editors receive the change live, and it is persisted through
+ * `onStoreDocument`. The context carries no `userId`, so `onChange` does not
+ * log the change as a collaborative edit.
+ *
+ * @param {string} noteId
+ * @param {(document: import("yjs").Doc) => void} transaction
+ */
+export const applyNoteDocumentChange = async (noteId, transaction) => {
+  const documentName = `note:${noteId}`;
+  const connection = await collabServer.openDirectConnection(documentName, {
+    noteId,
+    source: "server",
+  });
+  try {
+    await connection.transact(transaction);
+  } finally {
+    await connection.disconnect();
+  }
+};
+
 const executedDirectly =
   import.meta.url ===
   (typeof process !== "undefined" && process.argv?.[1]
@@ -13,9 +13,11 @@ import {
   embedText,
   buildNoteEmbeddingText,
 } from "../services/embeddingService.js";
+import { indexNoteEmbedding } from "../services/vectorSearchService.js";
 import logger from "../utils/logger.js";
 import { isValidObjectId } from "../utils/validators.js";
 import { resolveNoteForUser } from "../utils/access.js";
+import { buildScheduleUpdate } from "../services/reminderService.js";
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
 const NOTE_NOT_FOUND = { message: "Note not found" };
@@ -83,13 +85,35 @@ export const summarizeNote = async (req, res) => {
 
     const now = new Date();
 
+    // Regenerating keeps the state, due date and reminder of any item the
+    // model extracts again with the same text.
+    const previousByText = new Map(
+      (note.aiSummary?.actionItems ?? []).map((item) => [
+        item.text.trim().toLowerCase(),
+        item,
+      ]),
+    );
+    const actionItems = result.actionItems.map((item) => {
+      const previous = previousByText.get(item.text.toLowerCase());
+      if (!previous) return item;
+      return {
+        _id: previous._id,
+        text: item.text,
+        completed: Boolean(previous.completed),
+        dueAt: previous.dueAt ?? null,
+        remindAt: previous.remindAt ?? null,
+        reminderUserId: previous.reminderUserId ?? null,
+        reminderSentAt: previous.reminderSentAt ?? null,
+      };
+    });
+
     // Persist the structured summary on the note document
     await Note.updateOne(
       { _id: note._id },
       {
         $set: {
           "aiSummary.summary": result.summary,
-          "aiSummary.actionItems": result.actionItems,
+          "aiSummary.actionItems": actionItems,
           "aiSummary.generatedAt": now,
         },
       },
@@ -100,7 +124,7 @@ export const summarizeNote = async (req, res) => {
 
     return res.status(200).json({
       summary: result.summary,
-      actionItems: updated?.aiSummary?.actionItems ?? result.actionItems,
+      actionItems: updated?.aiSummary?.actionItems ?? actionItems,
       generatedAt: now.toISOString(),
     });
   } catch (error) {
@@ -190,15 +214,17 @@ export const regenerateEmbedding = async (req, res) => {
       });
     }
 
+    const embeddedAt = new Date();
     await Note.updateOne(
       { _id: note._id },
       {
         $set: {
           embedding,
-          embeddingUpdatedAt: new Date(),
+          embeddingUpdatedAt: embeddedAt,
         },
       },
     );
+    indexNoteEmbedding(note._id, embedding, embeddedAt);
 
     return res.status(200).json({
       embedded: true,
@@ -247,6 +273,51 @@ export const toggleActionItem = async (req, res) => {
   }
 };
 
+/* ─────── PATCH /api/ai/notes/:id/action-items/:itemId/schedule ─────── */
+export const updateActionItemSchedule = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(itemId)) {
+      return res.status(400).json(INVALID_NOTE_ID);
+    }
+
+    const access = await resolveNoteAccess(req, res, { requireEdit: true });
+    if (!access) return;
+
+    const note = await Note.findById(id).select("aiSummary");
+    if (!note) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const item = note.aiSummary?.actionItems?.id(itemId);
+    if (!item) {
+      return res.status(404).json({ message: "Action item not found" });
+    }
+
+    const updates = buildScheduleUpdate(
+      { dueAt: req.body?.dueAt, remindAt: req.body?.remindAt },
+      item,
+      req.user.id,
+    );
+    if (Object.keys(updates).length) {
+      item.set(updates);
+      await note.save();
+    }
+
+    return res.status(200).json({
+      itemId: item._id,
+      dueAt: item.dueAt ?? null,
+      remindAt: item.remindAt ?? null,
+      reminderSentAt: item.reminderSentAt ?? null,
+    });
+  } catch (error) {
+    logger.error("Update action item schedule error", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 /* ─────── POST /api/ai/generate-template ─────── */
 export const generateTemplateHandler = async (req, res) => {
   try {
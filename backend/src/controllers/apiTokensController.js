@@ -0,0 +1,130 @@
+import ApiToken from "../models/ApiToken.js";
+import logger from "../utils/logger.js";
+import { generateApiToken } from "../utils/tokenService.js";
+import {
+  API_TOKEN_SCOPES,
+  MAX_API_TOKENS_PER_USER,
+} from "../utils/constants.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const serializeApiToken = (token) => ({
+  id: token._id.toString(),
+  name: token.name,
+  displayPrefix: token.displayPrefix,
+  scopes: token.scopes,
+  expiresAt: token.expiresAt ?? null,
+  lastUsedAt: token.lastUsedAt ?? null,
+  createdAt: token.createdAt,
+});
+
+const activeTokensFilter = (userId) => ({
+  userId,
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+export const listApiTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find(activeTokensFilter(req.user.id))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      tokens: tokens.map(serializeApiToken),
+      availableScopes: API_TOKEN_SCOPES,
+    });
+  } catch (error) {
+    logger.error("Failed to list API tokens", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const createApiToken = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const activeCount = await ApiToken.countDocuments(
+      activeTokensFilter(userId),
+    );
+    if (activeCount >= MAX_API_TOKENS_PER_USER) {
+      return res.status(409).json({
+        message: `You can have at most ${MAX_API_TOKENS_PER_USER} active API tokens`,
+      });
+    }
+
+    const scopes = [...new Set(req.body.scopes)];
+    const expiresInDays = req.body.expiresInDays
+      ? Number(req.body.expiresInDays)
+      : null;
+    const { token, hashed, displayPrefix } = generateApiToken();
+
+    const record = await ApiToken.create({
+      userId,
+      name: req.body.name,
+      tokenHash: hashed,
+      displayPrefix,
+      scopes,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * DAY_MS)
+        : null,
+    });
+
+    logger.info("API token created", {
+      userId,
+      tokenId: record._id.toString(),
+      scopes,
+    });
+
+    // The plaintext token is returned exactly once.
+    return res.status(201).json({
+      token,
+      apiToken: serializeApiToken(record),
+    });
+  } catch (error) {
+    logger.error("Failed to create API token", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const revokeApiToken = async (req, res) => {
+  try {
+    const record = await ApiToken.findOneAndUpdate(
+      { _id: req.params.tokenId, userId: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true },
+    ).lean();
+
+    if (!record) {
+      return res.status(404).json({ message: "API token not found" });
+    }
+
+    logger.info("API token revoked", {
+      userId: req.user.id,
+      tokenId: record._id.toString(),
+    });
+
+    return res.status(200).json({
+      message: "API token revoked",
+      id: record._id.toString(),
+    });
+  } catch (error) {
+    logger.error("Failed to revoke API token", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+};
@@ -8,10 +8,18 @@ import { invalidateUserCache } from "../middleware/auth.js";
 import {
   generateAccessToken,
   generateRefreshToken,
+  generateTwoFactorChallengeToken,
   hashToken,
+  verifyDigestUnsubscribeToken,
+  verifyTwoFactorChallengeToken,
 } from "../utils/tokenService.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  verifySecondFactor,
+} from "../services/twoFactorService.js";
 import { sendMail } from "../utils/mailer.js";
 import slugify from "../utils/slugify.js";
+import { EMAIL_DIGEST_FREQUENCIES } from "../utils/constants.js";
 
 const REFRESH_COOKIE = "nb_refresh_token";
 const isProduction = process.env.NODE_ENV === "production";
@@ -32,6 +40,10 @@ const EMAIL_AND_PASSWORD_REQUIRED = {
   message: "Email and password required",
 };
 const INVALID_CREDENTIALS = { message: "Invalid credentials" };
+const INVALID_TWO_FACTOR_CODE = { message: "Invalid authentication code" };
+const TWO_FACTOR_CHALLENGE_EXPIRED = {
+  message: "Your sign-in attempt expired. Please sign in again.",
+};
 const INVALID_OR_EXPIRED_RESET_TOKEN = {
   message: "Invalid or expired reset token",
 };
@@ -167,6 +179,8 @@ const sanitizeUser = (user) => ({
   createdAt: user.createdAt,
   updatedAt: user.updatedAt,
   defaultWorkspace: user.defaultWorkspace,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  emailDigest: user.emailDigest?.frequency ?? "off",
 });
 
 const passwordOk = (password) => {
@@ -368,17 +382,31 @@ const cookieOptions = (req, expiresAt) => ({
 const issueSession = async (user, req, res, meta = {}) => {
   const workspaceContext = await ensureUserWorkspace(user);
 
-  const accessToken = generateAccessToken(user);
   const { token: refreshToken, hashed, expiresAt } = generateRefreshToken();
+  const now = new Date();
 
+  // Rotation passes the previous entry's session so its id and sign-in time
+  // survive; a fresh login starts a new session.
   user.addRefreshToken({
     token: hashed,
+    ...(meta.session
+      ? {
+          sessionId: meta.session.sessionId,
+          createdAt: meta.session.createdAt ?? now,
+        }
+      : { createdAt: now }),
     expiresAt,
+    lastUsedAt: now,
     userAgent: meta.userAgent,
     ip: meta.ip || req.ip,
   });
   await user.save();
 
+  const session = user.refreshTokens.find((entry) => entry.token === hashed);
+  const accessToken = generateAccessToken(user, {
+    sessionId: session?.sessionId,
+  });
+
   res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(req, expiresAt));
 
   return {
@@ -634,6 +662,15 @@ export const login = async (req, res) => {
       return res.status(403).json(EMAIL_NOT_VERIFIED);
     }
 
+    // With 2FA on, the password only earns a short-lived challenge token that
+    // must be exchanged together with a code at /login/2fa.
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user),
+      });
+    }
+
     const session = await issueSession(user, req, res, {
       userAgent: req.get("user-agent"),
     });
@@ -653,6 +690,59 @@ export const login = async (req, res) => {
   }
 };
 
+export const completeTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body ?? {};
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallengeToken(challengeToken);
+    } catch {
+      return res.status(401).json(TWO_FACTOR_CHALLENGE_EXPIRED);
+    }
+
+    const user = await User.findById(challenge.sub).select(
+      TWO_FACTOR_SECRET_FIELDS,
+    );
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json(TWO_FACTOR_CHALLENGE_EXPIRED);
+    }
+
+    const method = verifySecondFactor(user, code);
+    if (!method) {
+      return res.status(401).json(INVALID_TWO_FACTOR_CODE);
+    }
+
+    const session = await issueSession(user, req, res, {
+      userAgent: req.get("user-agent"),
+    });
+
+    if (method === "recovery") {
+      logger.info("Recovery code used for sign-in", {
+        userId: user.id,
+        remaining: user.twoFactor.recoveryCodes?.length ?? 0,
+      });
+    }
+
+    return res.status(200).json({
+      user: sanitizeUser(user),
+      accessToken: session.accessToken,
+      expiresIn: session.expiresIn,
+      defaultWorkspaceId: session.defaultWorkspaceId,
+      recoveryCodesRemaining:
+        method === "recovery"
+          ? user.twoFactor.recoveryCodes?.length ?? 0
+          : undefined,
+    });
+  } catch (error) {
+    logger.error("Two-factor login failed", {
+      error: error?.message,
+      stack: error?.stack,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export const verifyEmail = async (req, res) => {
   try {
     const { token } = req.body ?? {};
@@ -677,6 +767,15 @@ export const verifyEmail = async (req, res) => {
     user.markEmailVerified();
     user.clearRefreshTokens();
 
+    // A verification link must not stand in for the second factor.
+    if (user.twoFactor?.enabled) {
+      await user.save();
+      return res.status(200).json({
+        message: "Email verified. Please sign in to continue.",
+        user: sanitizeUser(user),
+      });
+    }
+
     const session = await issueSession(user, req, res, {
       userAgent: req.get("user-agent"),
     });
@@ -696,6 +795,42 @@ export const verifyEmail = async (req, res) => {
   }
 };
 
+// Public: the signed token from the digest email is the credential.
+export const unsubscribeFromDigest = async (req, res) => {
+  try {
+    const { token } = req.body ?? {};
+
+    let payload;
+    try {
+      payload = verifyDigestUnsubscribeToken(token);
+    } catch (_error) {
+      return res.status(400).json({ message: "Invalid unsubscribe link" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      payload.sub,
+      { $set: { "emailDigest.frequency": "off" } },
+      { new: true },
+    )
+      .select("email")
+      .lean();
+    if (!user) {
+      return res.status(400).json({ message: "Invalid unsubscribe link" });
+    }
+    invalidateUserCache(String(user._id));
+
+    return res.status(200).json({
+      message: "You have been unsubscribed from activity digests.",
+      email: user.email,
+    });
+  } catch (error) {
+    logger.error("Digest unsubscribe failed", {
+      error: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export const resetPassword = async (req, res) => {
   try {
     const { token, password } = req.body ?? {};
@@ -724,10 +859,13 @@ export const resetPassword = async (req, res) => {
       return res.status(400).json(INVALID_OR_EXPIRED_RESET_TOKEN);
     }
 
+    // A reset signs out every session; passwordChangedAt also rejects access
+    // tokens issued before it.
     await user.setPassword(password);
     user.clearPasswordResetToken();
     user.clearRefreshTokens();
     await user.save();
+    invalidateUserCache(user.id);
 
     return res.status(200).json({ message: "Password updated successfully" });
   } catch (error) {
@@ -770,6 +908,10 @@ export const refresh = async (req, res) => {
 
     const session = await issueSession(user, req, res, {
       userAgent: req.get("user-agent"),
+      session: {
+        sessionId: tokenEntry.sessionId,
+        createdAt: tokenEntry.createdAt,
+      },
     });
 
     return res.status(200).json({
@@ -817,8 +959,13 @@ export const updateProfile = async (req, res) => {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    const { name, email, currentPassword, verificationRedirectUrl } =
-      req.body ?? {};
+    const {
+      name,
+      email,
+      currentPassword,
+      verificationRedirectUrl,
+      emailDigest,
+    } = req.body ?? {};
 
     let hasUpdates = false;
     let emailChanged = false;
@@ -835,6 +982,16 @@ export const updateProfile = async (req, res) => {
       }
     }
 
+    if (emailDigest !== undefined) {
+      if (!EMAIL_DIGEST_FREQUENCIES.includes(emailDigest)) {
+        return res.status(400).json({ message: "Invalid digest frequency" });
+      }
+      if (emailDigest !== (user.emailDigest?.frequency ?? "off")) {
+        user.set("emailDigest.frequency", emailDigest);
+        hasUpdates = true;
+      }
+    }
+
     let verificationToken;
     let previousState;
 
@@ -995,6 +1152,7 @@ export const changePassword = async (req, res) => {
       });
     }
 
+    // Sign out every other session; this device gets a fresh one below.
     await user.setPassword(newPassword);
     user.clearRefreshTokens();
     await user.save();
@@ -1023,7 +1181,7 @@ export const changePassword = async (req, res) => {
 export const getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select(
-      "name email role emailVerified emailVerifiedAt defaultWorkspace createdAt updatedAt",
+      "name email role emailVerified emailVerifiedAt defaultWorkspace twoFactor.enabled createdAt updatedAt",
     );
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -0,0 +1,183 @@
+import NoteAttachment from "../models/NoteAttachment.js";
+import logger from "../utils/logger.js";
+import { resolveNoteForUser } from "../utils/access.js";
+import {
+  INLINE_IMAGE_MIME_TYPES,
+  deleteNoteAttachment as removeAttachment,
+  openAttachmentStream,
+  serializeAttachment,
+  storeNoteAttachment,
+} from "../services/noteAttachmentService.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const NOTE_NOT_FOUND = { message: "Note not found" };
+const ATTACHMENT_NOT_FOUND = { message: "Attachment not found" };
+
+const findAttachment = (noteId, attachmentId) =>
+  NoteAttachment.findOne({ _id: attachmentId, noteId }).lean();
+
+// RFC 5987 filename so non-ASCII names survive the download.
+const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, "_").replace(/"/g, "");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+export const listNoteAttachments = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const attachments = await NoteAttachment.find({ noteId: access.note._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return res.status(200).json({
+      noteId: access.note._id.toString(),
+      attachments: attachments.map(serializeAttachment),
+    });
+  } catch (error) {
+    logger.error("Failed to list note attachments", {
+      error: error?.message,
+      noteId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const uploadNoteAttachment = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+    if (!access.permissions.canEdit) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+
+    const attachment = await storeNoteAttachment({
+      note: access.note,
+      uploaderId: req.user.id,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      buffer: req.file.buffer,
+    });
+
+    return res.status(201).json(serializeAttachment(attachment));
+  } catch (error) {
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    logger.error("Failed to upload note attachment", {
+      error: error?.message,
+      noteId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const getNoteAttachmentContent = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const attachment = await findAttachment(
+      access.note._id,
+      req.params.attachmentId,
+    );
+    if (!attachment) {
+      return res.status(404).json(ATTACHMENT_NOT_FOUND);
+    }
+
+    // Only known raster formats are rendered inline; everything else is
+    // forced to download so uploaded HTML/SVG can never run in our origin.
+    const inline =
+      INLINE_IMAGE_MIME_TYPES.has(attachment.mimeType) &&
+      req.query.download !== "true";
+
+    res.setHeader(
+      "Content-Type",
+      inline ? attachment.mimeType : "application/octet-stream",
+    );
+    res.setHeader("Content-Length", String(attachment.size));
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition(inline ? "inline" : "attachment", attachment.fileName),
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+
+    const stream = openAttachmentStream(attachment);
+    stream.on("error", (streamError) => {
+      logger.error("Failed to read attachment blob", {
+        error: streamError?.message,
+        attachmentId: attachment._id.toString(),
+      });
+      if (res.headersSent) {
+        res.destroy(streamError);
+        return;
+      }
+      // Metadata exists but the blob is gone — answer like any missing file.
+      res.removeHeader("Content-Length");
+      res.removeHeader("Content-Disposition");
+      res.removeHeader("Cache-Control");
+      res.status(404).json(ATTACHMENT_NOT_FOUND);
+    });
+    stream.pipe(res);
+    return undefined;
+  } catch (error) {
+    logger.error("Failed to serve note attachment", {
+      error: error?.message,
+      noteId: req.params?.id,
+      attachmentId: req.params?.attachmentId,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const deleteNoteAttachment = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+    if (!access.permissions.canEdit) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    const attachment = await findAttachment(
+      access.note._id,
+      req.params.attachmentId,
+    );
+    if (!attachment) {
+      return res.status(404).json(ATTACHMENT_NOT_FOUND);
+    }
+
+    await removeAttachment(attachment);
+
+    return res.status(200).json({
+      message: "Attachment deleted",
+      id: attachment._id.toString(),
+    });
+  } catch (error) {
+    logger.error("Failed to delete note attachment", {
+      error: error?.message,
+      noteId: req.params?.id,
+      attachmentId: req.params?.attachmentId,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  listNoteAttachments,
+  uploadNoteAttachment,
+  getNoteAttachmentContent,
+  deleteNoteAttachment,
+};
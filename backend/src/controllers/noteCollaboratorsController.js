@@ -8,6 +8,7 @@ import { normalizeEmail, isValidObjectId } from "../utils/validators.js";
 import { resolveNoteForUser } from "../utils/access.js";
 import { sendMail } from "../utils/mailer.js";
 import { revokeCollabAccess } from "../collab/server.js";
+import { listMentionCandidates } from "../services/mentionService.js";
 
 const COLLABORATOR_ROLE_DEFAULT = "editor";
 
@@ -194,6 +195,27 @@ export const listNoteCollaborators = async (req, res) => {
   }
 };
 
+export const listMentionableUsers = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    const users = await listMentionCandidates(access, {
+      query: typeof req.query.q === "string" ? req.query.q : "",
+    });
+
+    return res.status(200).json({ users });
+  } catch (error) {
+    logger.error("Failed to list mentionable users", {
+      error: error?.message,
+      noteId: req.params?.id,
+    });
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 export const addNoteCollaborator = async (req, res) => {
   try {
     const { id } = req.params;
@@ -318,4 +340,5 @@ export default {
   listNoteCollaborators,
   addNoteCollaborator,
   removeNoteCollaborator,
+  listMentionableUsers,
 };
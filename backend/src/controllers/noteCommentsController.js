@@ -0,0 +1,452 @@
+import mongoose from "mongoose";
+import NoteComment from "../models/NoteComment.js";
+import NoteHistory from "../models/NoteHistory.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { isValidObjectId } from "../utils/validators.js";
+import { resolveNoteForUser } from "../utils/access.js";
+import {
+  extractMentionIdsFromText,
+  notifyMentions,
+  stripMentionTokens,
+} from "../services/mentionService.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const NOTE_NOT_FOUND = { message: "Note not found" };
+const COMMENT_NOT_FOUND = { message: "Comment not found" };
+const COMMENT_FORBIDDEN = {
+  message: "You do not have permission to comment on this note",
+};
+const MAX_COMMENTS_PER_NOTE = 1000;
+const HISTORY_EXCERPT_LENGTH = 80;
+
+const toIdString = (value) => (value ? value.toString() : null);
+
+const excerpt = (text) => {
+  const normalized = stripMentionTokens(text).replace(/\s+/g, " ").trim();
+  return normalized.length > HISTORY_EXCERPT_LENGTH
+    ? `${normalized.slice(0, HISTORY_EXCERPT_LENGTH - 1)}…`
+    : normalized;
+};
+
+const serializeComment = (comment, userMap, viewerId) => {
+  const author = userMap.get(toIdString(comment.authorId));
+  return {
+    id: comment._id.toString(),
+    parentId: toIdString(comment.parentId),
+    body: comment.body,
+    author: {
+      id: toIdString(comment.authorId),
+      name: author?.name ?? "Unknown user",
+    },
+    isAuthor: toIdString(comment.authorId) === String(viewerId),
+    editedAt: comment.editedAt ?? null,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+  };
+};
+
+const serializeThread = (root, replies, userMap, viewerId) => {
+  const resolver = root.resolvedBy
+    ? userMap.get(toIdString(root.resolvedBy))
+    : null;
+  return {
+    ...serializeComment(root, userMap, viewerId),
+    anchor: root.anchor
+      ? {
+          start: root.anchor.start,
+          end: root.anchor.end,
+          quote: root.anchor.quote ?? "",
+        }
+      : null,
+    resolved: Boolean(root.resolvedAt),
+    resolvedAt: root.resolvedAt ?? null,
+    resolvedBy: root.resolvedBy
+      ? {
+          id: toIdString(root.resolvedBy),
+          name: resolver?.name ?? "Unknown user",
+        }
+      : null,
+    replies: replies.map((reply) => serializeComment(reply, userMap, viewerId)),
+  };
+};
+
+const loadUserMap = async (comments) => {
+  const ids = new Set();
+  comments.forEach((comment) => {
+    if (comment.authorId) ids.add(comment.authorId.toString());
+    if (comment.resolvedBy) ids.add(comment.resolvedBy.toString());
+  });
+  if (!ids.size) {
+    return new Map();
+  }
+  const users = await User.find(
+    {
+      _id: {
+        $in: Array.from(ids).map((id) => new mongoose.Types.ObjectId(id)),
+      },
+    },
+    { name: 1 },
+  ).lean();
+  return new Map(users.map((user) => [user._id.toString(), user]));
+};
+
+/**
+ * Group a flat, chronologically sorted list of comments into threads keyed by
+ * their root comment. Replies whose root is missing are dropped.
+ */
+const buildThreads = async (comments, viewerId) => {
+  const userMap = await loadUserMap(comments);
+  const repliesByRoot = new Map();
+  const roots = [];
+
+  comments.forEach((comment) => {
+    if (comment.parentId) {
+      const key = comment.parentId.toString();
+      if (!repliesByRoot.has(key)) {
+        repliesByRoot.set(key, []);
+      }
+      repliesByRoot.get(key).push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots.map((root) =>
+    serializeThread(
+      root,
+      repliesByRoot.get(root._id.toString()) ?? [],
+      userMap,
+      viewerId,
+    ),
+  );
+};
+
+const loadThread = async (noteId, rootId, viewerId) => {
+  const comments = await NoteComment.find({
+    noteId,
+    $or: [{ _id: rootId }, { parentId: rootId }],
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  const [thread] = await buildThreads(comments, viewerId);
+  return thread ?? null;
+};
+
+const findNoteComment = (noteId, commentId) => {
+  if (!isValidObjectId(commentId)) {
+    return null;
+  }
+  return NoteComment.findOne({
+    _id: new mongoose.Types.ObjectId(commentId),
+    noteId,
+  });
+};
+
+const recordCommentHistory = async (access, userId, summary) => {
+  try {
+    await NoteHistory.create({
+      noteId: access.note._id,
+      workspaceId: access.workspaceId ?? null,
+      actorId: userId,
+      eventType: "comment",
+      summary,
+    });
+  } catch (error) {
+    logger.warn("Failed to record comment history", {
+      noteId: access.note._id.toString(),
+      message: error?.message,
+    });
+  }
+};
+
+export const listNoteComments = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const comments = await NoteComment.find({ noteId: access.note._id })
+      .sort({ createdAt: 1 })
+      .limit(MAX_COMMENTS_PER_NOTE)
+      .lean();
+
+    const threads = await buildThreads(comments, req.user.id);
+
+    return res.status(200).json({
+      noteId: access.note._id.toString(),
+      threads,
+      canComment: Boolean(access.permissions?.canComment),
+    });
+  } catch (error) {
+    logger.error("Failed to list note comments", {
+      error: error?.message,
+      noteId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const createNoteComment = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+    if (!access.permissions?.canComment) {
+      return res.status(403).json(COMMENT_FORBIDDEN);
+    }
+
+    const { body, anchor, parentId } = req.body ?? {};
+    let rootId = null;
+
+    if (parentId) {
+      const parent = await findNoteComment(access.note._id, parentId)?.lean();
+      if (!parent) {
+        return res.status(404).json(COMMENT_NOT_FOUND);
+      }
+      // Threads are one level deep: replying to a reply attaches to its root.
+      rootId = parent.parentId ?? parent._id;
+    } else if (!anchor) {
+      return res
+        .status(400)
+        .json({ message: "A text selection is required to start a thread" });
+    }
+
+    const comment = await NoteComment.create({
+      noteId: access.note._id,
+      workspaceId: access.workspaceId ?? null,
+      notebookId: access.notebookId ?? null,
+      authorId: req.user.id,
+      parentId: rootId,
+      body,
+      anchor: rootId
+        ? null
+        : {
+            start: anchor.start,
+            end: anchor.end,
+            quote: anchor.quote ?? "",
+          },
+    });
+
+    await recordCommentHistory(
+      access,
+      req.user.id,
+      rootId
+        ? `Replied to a comment: "${excerpt(body)}"`
+        : `Commented: "${excerpt(body)}"`,
+    );
+
+    await notifyMentions({
+      actorId: req.user.id,
+      noteId: access.note._id,
+      userIds: extractMentionIdsFromText(comment.body),
+      source: "comment",
+      commentId: comment._id,
+      excerpt: comment.body,
+    });
+
+    const thread = await loadThread(
+      access.note._id,
+      rootId ?? comment._id,
+      req.user.id,
+    );
+
+    return res.status(201).json({ thread });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error("Failed to create note comment", {
+      error: error?.message,
+      noteId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const updateNoteComment = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const comment = await findNoteComment(
+      access.note._id,
+      req.params.commentId,
+    );
+    if (!comment) {
+      return res.status(404).json(COMMENT_NOT_FOUND);
+    }
+    if (String(comment.authorId) !== String(req.user.id)) {
+      return res
+        .status(403)
+        .json({ message: "Only the author can edit this comment" });
+    }
+    // Losing comment access (e.g. downgraded to viewer) also freezes the
+    // author's existing comments.
+    if (!access.permissions?.canComment) {
+      return res.status(403).json(COMMENT_FORBIDDEN);
+    }
+
+    const { body } = req.body ?? {};
+    if (body !== comment.body) {
+      const previousMentions = new Set(extractMentionIdsFromText(comment.body));
+      comment.body = body;
+      comment.editedAt = new Date();
+      await comment.save();
+
+      // Only people newly mentioned by this edit are notified.
+      await notifyMentions({
+        actorId: req.user.id,
+        noteId: access.note._id,
+        userIds: extractMentionIdsFromText(comment.body).filter(
+          (id) => !previousMentions.has(id),
+        ),
+        source: "comment",
+        commentId: comment._id,
+        excerpt: comment.body,
+      });
+    }
+
+    const thread = await loadThread(
+      access.note._id,
+      comment.parentId ?? comment._id,
+      req.user.id,
+    );
+
+    return res.status(200).json({ thread });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error("Failed to update note comment", {
+      error: error?.message,
+      noteId: req.params?.id,
+      commentId: req.params?.commentId,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const deleteNoteComment = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const comment = await findNoteComment(
+      access.note._id,
+      req.params.commentId,
+    );
+    if (!comment) {
+      return res.status(404).json(COMMENT_NOT_FOUND);
+    }
+    if (String(comment.authorId) !== String(req.user.id)) {
+      return res
+        .status(403)
+        .json({ message: "Only the author can delete this comment" });
+    }
+
+    if (comment.parentId) {
+      await comment.deleteOne();
+      const thread = await loadThread(
+        access.note._id,
+        comment.parentId,
+        req.user.id,
+      );
+      return res.status(200).json({ deleted: [comment._id.toString()], thread });
+    }
+
+    // Deleting the root removes the whole thread so replies are not orphaned.
+    const replies = await NoteComment.find(
+      { noteId: access.note._id, parentId: comment._id },
+      { _id: 1 },
+    ).lean();
+    await NoteComment.deleteMany({
+      noteId: access.note._id,
+      $or: [{ _id: comment._id }, { parentId: comment._id }],
+    });
+
+    return res.status(200).json({
+      deleted: [comment._id, ...replies.map((reply) => reply._id)].map((id) =>
+        id.toString(),
+      ),
+      thread: null,
+    });
+  } catch (error) {
+    logger.error("Failed to delete note comment", {
+      error: error?.message,
+      noteId: req.params?.id,
+      commentId: req.params?.commentId,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+const setThreadResolved = (resolved) => async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+    if (!access.permissions?.canComment) {
+      return res.status(403).json(COMMENT_FORBIDDEN);
+    }
+
+    const comment = await findNoteComment(
+      access.note._id,
+      req.params.commentId,
+    );
+    if (!comment) {
+      return res.status(404).json(COMMENT_NOT_FOUND);
+    }
+    if (comment.parentId) {
+      return res
+        .status(400)
+        .json({ message: "Only the first comment of a thread can be resolved" });
+    }
+
+    const alreadyInState = Boolean(comment.resolvedAt) === resolved;
+    if (!alreadyInState) {
+      comment.resolvedAt = resolved ? new Date() : null;
+      comment.resolvedBy = resolved ? req.user.id : null;
+      await comment.save();
+      await recordCommentHistory(
+        access,
+        req.user.id,
+        `${resolved ? "Resolved" : "Reopened"} comment thread: "${excerpt(
+          comment.body,
+        )}"`,
+      );
+    }
+
+    const thread = await loadThread(access.note._id, comment._id, req.user.id);
+    return res.status(200).json({ thread });
+  } catch (error) {
+    logger.error(
+      `Failed to ${resolved ? "resolve" : "reopen"} note comment thread`,
+      {
+        error: error?.message,
+        noteId: req.params?.id,
+        commentId: req.params?.commentId,
+      },
+    );
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const resolveNoteCommentThread = setThreadResolved(true);
+export const reopenNoteCommentThread = setThreadResolved(false);
+
+export default {
+  listNoteComments,
+  createNoteComment,
+  updateNoteComment,
+  deleteNoteComment,
+  resolveNoteCommentThread,
+  reopenNoteCommentThread,
+};
@@ -0,0 +1,90 @@
+import logger from "../utils/logger.js";
+import { isValidObjectId } from "../utils/validators.js";
+import {
+  getNotebookMembership,
+  resolveNoteForUser,
+} from "../utils/access.js";
+import {
+  buildNotebookLinkGraph,
+  listBacklinks,
+  searchLinkableNotes,
+} from "../services/noteLinkService.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+
+export const getNoteBacklinks = async (req, res) => {
+  try {
+    const access = await resolveNoteForUser(req.params.id, req.user.id);
+    if (!access) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    const backlinks = await listBacklinks(access.note, req.user.id);
+
+    return res.status(200).json({
+      noteId: access.note._id.toString(),
+      backlinks,
+    });
+  } catch (error) {
+    logger.error("Failed to list note backlinks", {
+      error: error?.message,
+      noteId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const listLinkableNotes = async (req, res) => {
+  try {
+    const limit = Math.min(
+      20,
+      Math.max(1, Number.parseInt(req.query.limit, 10) || 8),
+    );
+    const notes = await searchLinkableNotes(req.user.id, {
+      query: typeof req.query.q === "string" ? req.query.q : "",
+      excludeId: req.query.exclude ?? null,
+      limit,
+    });
+
+    return res.status(200).json({ notes });
+  } catch (error) {
+    logger.error("Failed to search linkable notes", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const getNotebookLinkGraph = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid notebook id" });
+    }
+
+    const context = await getNotebookMembership(id, req.user.id);
+    if (!context) {
+      return res.status(404).json({ message: "Notebook not found" });
+    }
+
+    const graph = await buildNotebookLinkGraph(context.notebook._id);
+
+    return res.status(200).json({
+      notebookId: context.notebook._id.toString(),
+      ...graph,
+    });
+  } catch (error) {
+    logger.error("Failed to build notebook link graph", {
+      error: error?.message,
+      notebookId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  getNoteBacklinks,
+  listLinkableNotes,
+  getNotebookLinkGraph,
+};
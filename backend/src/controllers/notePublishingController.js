@@ -8,6 +8,15 @@ import {
   computeNotebookSnapshotHash as computeSnapshotHash,
 } from "../utils/notebooks.js";
 import { resolveNoteForUser } from "../utils/access.js";
+import { renderNotePublicationHtml } from "../services/publicationRenderService.js";
+import {
+  buildPublicationSettingsUpdate,
+  serializePublicationSettings,
+} from "../services/publicationAccessService.js";
+import {
+  PUBLICATION_ANALYTICS_DEFAULT_DAYS,
+  getPublicationViewAnalytics,
+} from "../services/publicationViewService.js";
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
 
@@ -51,6 +60,7 @@ export const getNotePublishingState = async (req, res) => {
     }
 
     const publication = await NotePublication.findOne({ noteId: note._id })
+      .select("+passwordHash")
       .sort({ createdAt: -1 })
       .lean();
 
@@ -60,6 +70,7 @@ export const getNotePublishingState = async (req, res) => {
       publishedAt: note.publishedAt ?? null,
       snapshotHash: publication?.snapshotHash ?? null,
       lastPublishedAt: publication?.updatedAt ?? publication?.createdAt ?? null,
+      ...serializePublicationSettings(publication),
     });
   } catch (error) {
     logger.error("Failed to fetch note publishing state", {
@@ -80,8 +91,14 @@ export const publishNote = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { slug: requestedSlug } = req.body ?? {};
+    const { slug: requestedSlug, password, expiresAt, noindex } = req.body ?? {};
     const actorObjectId = new mongoose.Types.ObjectId(userId);
+    // Hashed up front so a retried transaction does not hash twice.
+    const settingsUpdate = await buildPublicationSettingsUpdate({
+      password,
+      expiresAt,
+      noindex,
+    });
 
     await session.withTransaction(async () => {
       const note = await Note.findOne({
@@ -116,7 +133,7 @@ export const publishNote = async (req, res) => {
 
       await note.save({ session });
 
-      await NotePublication.findOneAndUpdate(
+      const publication = await NotePublication.findOneAndUpdate(
         { noteId: note._id },
         {
           $set: {
@@ -124,17 +141,22 @@ export const publishNote = async (req, res) => {
             publicSlug: normalizedSlug,
             snapshot,
             snapshotHash,
+            html: renderNotePublicationHtml(snapshot),
             publishedAt,
+            ...settingsUpdate,
           },
         },
         { upsert: true, new: true, session },
-      );
+      )
+        .select("+passwordHash")
+        .lean();
 
       responsePayload = {
         isPublic: true,
         slug: normalizedSlug,
         publishedAt,
         snapshotHash,
+        ...serializePublicationSettings(publication),
       };
     });
   } catch (error) {
@@ -214,8 +236,41 @@ export const unpublishNote = async (req, res) => {
   return res.status(500).json(INTERNAL_SERVER_ERROR);
 };
 
+export const getNotePublicationAnalytics = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const resolved = await resolveNoteForUser(req.params.id, userId);
+    if (!resolved) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+    if (!resolved.permissions?.isOwner) {
+      return res
+        .status(403)
+        .json({ message: "Only the note owner can view publishing analytics" });
+    }
+
+    const { noteReads: _noteReads, ...analytics } =
+      await getPublicationViewAnalytics({
+        targetType: "note",
+        targetId: resolved.note._id,
+        days: Number(req.query?.days) || PUBLICATION_ANALYTICS_DEFAULT_DAYS,
+      });
+    return res.status(200).json(analytics);
+  } catch (error) {
+    logger.error("Failed to load note publication analytics", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export default {
   getNotePublishingState,
   publishNote,
   unpublishNote,
+  getNotePublicationAnalytics,
 };
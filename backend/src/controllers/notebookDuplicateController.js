@@ -0,0 +1,308 @@
+import mongoose from "mongoose";
+import Note from "../models/Note.js";
+import CollabDocument from "../models/CollabDocument.js";
+import Notebook from "../models/Notebook.js";
+import NotebookMember from "../models/NotebookMember.js";
+import logger from "../utils/logger.js";
+import cacheService from "../services/cacheService.js";
+import {
+  WORKSPACE_EDIT_ROLES,
+  getNotebookMembership,
+  resolveWorkspaceForUser,
+} from "../utils/access.js";
+import {
+  ensureUniqueNotebookName,
+  normalizeObjectId,
+  validateNotebookParent,
+} from "../utils/notebooks.js";
+import {
+  MAX_DUPLICATE_NOTEBOOK_NOTES,
+  MAX_NOTEBOOK_DEPTH,
+} from "../utils/constants.js";
+import { duplicateNote } from "../services/noteDuplicationService.js";
+import { purgeNoteAttachments } from "../services/noteAttachmentService.js";
+import { appendNotebookEvent } from "../services/notebookEventService.js";
+import { enqueueNotebookIndexJob } from "../tasks/notebookIndexingWorker.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const MEMBER_COPY_ROLES = new Set(["owner", "editor"]);
+
+const PARENT_ERRORS = {
+  PARENT_NOT_FOUND: { status: 404, message: "Parent notebook not found" },
+  PARENT_TOO_DEEP: {
+    status: 400,
+    message: `Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`,
+  },
+};
+
+/** Notes in the notebook's saved order, unordered ones oldest first. */
+const orderNotebookNotes = (notebook, notes) => {
+  const position = new Map(
+    (notebook.noteOrder ?? []).map((id, index) => [id.toString(), index]),
+  );
+  return [...notes].sort((a, b) => {
+    const posA = position.get(a._id.toString()) ?? Number.POSITIVE_INFINITY;
+    const posB = position.get(b._id.toString()) ?? Number.POSITIVE_INFINITY;
+    if (posA !== posB) return posA - posB;
+    return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  });
+};
+
+/**
+ * Copy a notebook and its notes (tags, order, rich content, attachments)
+ * into a new notebook owned by the caller. The copy lands next to the
+ * source unless `parentId` or `workspaceId` say otherwise; `includeMembers`
+ * also re-adds the source's active members. Sub-notebooks are not copied.
+ */
+export const duplicateNotebook = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  const createdNoteIds = [];
+  let notebook = null;
+
+  try {
+    const sourceId = normalizeObjectId(req.params?.id);
+    if (!sourceId) {
+      return res.status(400).json({ message: "Invalid notebook id" });
+    }
+
+    const access = await getNotebookMembership(sourceId, userId);
+    if (!access) {
+      return res.status(404).json({ message: "Notebook not found" });
+    }
+    const source = access.notebook;
+
+    const {
+      name,
+      workspaceId = null,
+      parentId,
+      includeMembers = false,
+    } = req.body ?? {};
+
+    if (
+      includeMembers &&
+      !MEMBER_COPY_ROLES.has(access.membership?.role ?? "viewer")
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Only notebook owners and editors can copy members" });
+    }
+
+    // Keep the copy beside the source when the caller owns that parent and
+    // no other destination was asked for.
+    let parent = null;
+    if (parentId) {
+      try {
+        parent = await validateNotebookParent({ parentId, ownerId: userId });
+      } catch (error) {
+        const mapped = PARENT_ERRORS[error?.message];
+        if (!mapped) throw error;
+        return res.status(mapped.status).json({ message: mapped.message });
+      }
+    } else if (parentId === undefined && !workspaceId && source.parentId) {
+      parent = await validateNotebookParent({
+        parentId: source.parentId,
+        ownerId: userId,
+      }).catch(() => null);
+    }
+
+    const defaultWorkspaceId = req.user?.defaultWorkspace ?? null;
+    const parentWorkspaceId = parent
+      ? (parent.workspaceId ?? defaultWorkspaceId)
+      : null;
+    if (
+      parent &&
+      workspaceId &&
+      String(workspaceId) !== String(parentWorkspaceId ?? "")
+    ) {
+      return res.status(400).json({
+        message: "A notebook must be in the same workspace as its parent",
+      });
+    }
+
+    const workspaceContext = await resolveWorkspaceForUser(
+      parentWorkspaceId ??
+        workspaceId ??
+        source.workspaceId ??
+        defaultWorkspaceId,
+      userId,
+    ).catch(() => null);
+    if (!workspaceContext) {
+      return res.status(404).json({ message: "Workspace not found" });
+    }
+    if (!WORKSPACE_EDIT_ROLES.has(workspaceContext.member?.role ?? "owner")) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    const notes = await Note.find({ notebookId: source._id }).lean();
+    if (notes.length > MAX_DUPLICATE_NOTEBOOK_NOTES) {
+      return res.status(400).json({
+        message: `Notebooks with more than ${MAX_DUPLICATE_NOTEBOOK_NOTES} notes cannot be duplicated`,
+      });
+    }
+
+    const notebookName = await ensureUniqueNotebookName(
+      userId,
+      typeof name === "string" && name.trim()
+        ? name.trim()
+        : `${source.name.slice(0, 100)} (copy)`,
+      { parentId: parent?._id ?? null },
+    );
+
+    notebook = await Notebook.create({
+      owner: userId,
+      workspaceId: workspaceContext.workspace._id,
+      parentId: parent?._id ?? null,
+      name: notebookName,
+      description: source.description ?? "",
+      color: source.color ?? null,
+      icon: source.icon ?? null,
+    });
+
+    const actorId = new mongoose.Types.ObjectId(userId);
+    const now = new Date();
+    await NotebookMember.create({
+      notebookId: notebook._id,
+      userId: actorId,
+      role: "owner",
+      status: "active",
+      invitedBy: actorId,
+      invitedAt: now,
+      acceptedAt: now,
+    });
+
+    const destination = {
+      workspaceId: notebook.workspaceId,
+      notebookId: notebook._id,
+    };
+    for (const note of orderNotebookNotes(source, notes)) {
+      const copy = await duplicateNote({
+        sourceNote: note,
+        actorId: userId,
+        destination,
+      });
+      createdNoteIds.push(copy._id);
+    }
+
+    if (createdNoteIds.length) {
+      await Notebook.updateOne(
+        { _id: notebook._id },
+        { $set: { noteOrder: createdNoteIds } },
+      );
+    }
+
+    let memberCount = 0;
+    if (includeMembers) {
+      // The source owner, if it is someone else, joins the copy as an editor.
+      const members = await NotebookMember.find({
+        notebookId: source._id,
+        status: "active",
+        userId: { $ne: actorId },
+      }).lean();
+      if (members.length) {
+        await NotebookMember.insertMany(
+          members.map((member) => ({
+            notebookId: notebook._id,
+            userId: member.userId,
+            role: member.role === "owner" ? "editor" : member.role,
+            status: "active",
+            invitedBy: actorId,
+            invitedAt: now,
+            acceptedAt: now,
+          })),
+        );
+      }
+      memberCount = members.length;
+    }
+
+    await appendNotebookEvent({
+      notebookId: notebook._id,
+      ownerId: notebook.owner,
+      workspaceId: notebook.workspaceId ?? null,
+      actorId,
+      eventType: "notebook.create",
+      commandName: "duplicateNotebook",
+      summary: `Duplicated notebook ${source.name} as ${notebook.name}`,
+      payload: {
+        name: notebook.name,
+        sourceNotebookId: source._id.toString(),
+        noteCount: createdNoteIds.length,
+        memberCount,
+        parentId: notebook.parentId?.toString?.() ?? null,
+      },
+      inversePayload: {
+        action: "deleteNotebook",
+        notebookId: notebook._id,
+      },
+    });
+
+    try {
+      await enqueueNotebookIndexJob({
+        notebookId: notebook._id,
+        reason: "notebook-duplicate",
+        force: true,
+      });
+    } catch (error) {
+      logger.warn("Failed to enqueue notebook index job", {
+        notebookId: notebook._id.toString(),
+        message: error?.message,
+      });
+    }
+
+    cacheService.invalidateUserRoutes(userId);
+
+    return res.status(201).json({
+      id: notebook._id.toString(),
+      workspaceId: notebook.workspaceId?.toString?.() ?? null,
+      parentId: notebook.parentId?.toString?.() ?? null,
+      name: notebook.name,
+      color: notebook.color,
+      icon: notebook.icon,
+      description: notebook.description,
+      sourceNotebookId: source._id.toString(),
+      noteCount: createdNoteIds.length,
+      memberCount,
+      createdAt: notebook.createdAt,
+      updatedAt: notebook.updatedAt,
+    });
+  } catch (error) {
+    // Leave nothing half-copied behind.
+    if (notebook) {
+      await Promise.all([
+        purgeNoteAttachments(createdNoteIds),
+        Note.deleteMany({ _id: { $in: createdNoteIds } }),
+        CollabDocument.deleteMany({
+          name: { $in: createdNoteIds.map((id) => `note:${id.toString()}`) },
+        }),
+        NotebookMember.deleteMany({ notebookId: notebook._id }),
+        Notebook.deleteOne({ _id: notebook._id }),
+      ]).catch((cleanupError) => {
+        logger.error("Failed to clean up partial notebook copy", {
+          notebookId: notebook._id.toString(),
+          message: cleanupError?.message,
+        });
+      });
+    }
+    if (error?.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "A notebook with this name already exists" });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error?.message === "Unable to generate unique notebook name") {
+      return res
+        .status(409)
+        .json({ message: "Unable to generate a unique notebook name" });
+    }
+    logger.error("Failed to duplicate notebook", {
+      message: error?.message,
+      notebookId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
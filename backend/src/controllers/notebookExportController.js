@@ -1,14 +1,16 @@
 import archiver from "archiver";
 import Note from "../models/Note.js";
-import Notebook from "../models/Notebook.js";
-import { resolveWorkspaceForUser } from "../utils/access.js";
+import NoteAttachment from "../models/NoteAttachment.js";
+import { readAttachmentContent } from "../services/noteAttachmentService.js";
 import {
   ensureNotebookOwnership,
+  listNotebookDescendants,
   normalizeObjectId,
 } from "../utils/notebooks.js";
 import logger from "../utils/logger.js";
 import {
   getNotebookMembership,
+  listMemberNotebookRoles,
 } from "../utils/access.js";
 
 const sanitizeFileName = (value, fallback = "note") => {
@@ -32,7 +34,34 @@ const uniqueFileName = (title, used) => {
   return candidate;
 };
 
-const buildNoteMarkdown = (note) => {
+const uniqueFolderName = (name, used) => {
+  const base = sanitizeFileName(name, "notebook");
+  let candidate = base;
+  let counter = 2;
+  while (used.has(candidate.toLowerCase())) {
+    candidate = `${base} (${counter})`;
+    counter += 1;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const uniqueAttachmentName = (fileName, used) => {
+  const safe = sanitizeFileName(fileName, "attachment");
+  const dot = safe.lastIndexOf(".");
+  const stem = dot > 0 ? safe.slice(0, dot) : safe;
+  const ext = dot > 0 ? safe.slice(dot) : "";
+  let candidate = safe;
+  let counter = 2;
+  while (used.has(candidate.toLowerCase())) {
+    candidate = `${stem} (${counter})${ext}`;
+    counter += 1;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const buildNoteMarkdown = (note, attachments = [], rootPrefix = "../") => {
   const frontmatter = [];
   frontmatter.push("---");
   frontmatter.push(`title: ${JSON.stringify(note.title ?? "Untitled")}`);
@@ -44,7 +73,16 @@ const buildNoteMarkdown = (note) => {
   if (note.pinned) frontmatter.push(`pinned: true`);
   frontmatter.push("---");
   const body = note.contentText ?? note.content ?? "";
-  return `${frontmatter.join("\n")}\n\n# ${note.title ?? "Untitled"}\n\n${body}\n`;
+  // Relative links from the note's folder so the archive reads well unpacked.
+  const attachmentLinks = attachments.length
+    ? `\n## Attachments\n\n${attachments
+        .map(
+          (attachment) =>
+            `- ${attachment.kind === "image" ? "!" : ""}[${attachment.fileName}](${rootPrefix}${encodeURI(attachment.path)})`,
+        )
+        .join("\n")}\n`
+    : "";
+  return `${frontmatter.join("\n")}\n\n# ${note.title ?? "Untitled"}\n\n${body}\n${attachmentLinks}`;
 };
 
 export const exportNotebookBundle = async (req, res) => {
@@ -58,29 +96,59 @@ export const exportNotebookBundle = async (req, res) => {
       return res.status(400).json({ message: "Invalid notebook ID" });
     }
 
-    // Allow owners OR notebook members (viewer+) to export
+    // Owners and notebook members (viewer+, direct or inherited) may export.
     let notebook = await ensureNotebookOwnership(id, userId);
+    const isOwner = Boolean(notebook);
     if (!notebook) {
-      const membership = await getNotebookMembership(id, userId);
-      if (!membership || membership.status !== "active") {
-        return res.status(404).json({ message: "Notebook not found" });
-      }
-      notebook = await Notebook.findById(id).lean();
-      if (!notebook) {
+      const context = await getNotebookMembership(id, userId);
+      if (!context) {
         return res.status(404).json({ message: "Notebook not found" });
       }
+      notebook = context.notebook;
     }
 
-    const workspaceContext = await resolveWorkspaceForUser(
-      notebook.workspaceId,
-      userId,
-    );
-    if (!workspaceContext && String(notebook.owner) !== String(userId)) {
-      return res.status(403).json({ message: "Insufficient permissions" });
+    // Child notebooks become nested folders under notes/. Members only get
+    // the branches they can open.
+    const recursive = req.query?.recursive !== "false";
+    const folderByNotebook = new Map([[notebook._id.toString(), "notes"]]);
+    const exportedNotebooks = [
+      {
+        id: notebook._id.toString(),
+        parentId: null,
+        name: notebook.name ?? "Untitled notebook",
+        path: "notes",
+      },
+    ];
+    if (recursive) {
+      const descendants = await listNotebookDescendants(notebook._id, {
+        select: { name: 1 },
+      });
+      const memberRoles = isOwner ? null : await listMemberNotebookRoles(userId);
+      const usedFolders = new Map();
+      for (const child of descendants) {
+        const parentKey = child.parentId.toString();
+        const parentFolder = folderByNotebook.get(parentKey);
+        if (!parentFolder) continue;
+        if (memberRoles && !memberRoles.has(child._id.toString())) continue;
+        if (!usedFolders.has(parentKey)) usedFolders.set(parentKey, new Set());
+        const folder = `${parentFolder}/${uniqueFolderName(
+          child.name,
+          usedFolders.get(parentKey),
+        )}`;
+        folderByNotebook.set(child._id.toString(), folder);
+        exportedNotebooks.push({
+          id: child._id.toString(),
+          parentId: parentKey,
+          name: child.name,
+          path: folder,
+        });
+      }
     }
 
     const notes = await Note.find({
-      notebookId: notebook._id,
+      notebookId: {
+        $in: exportedNotebooks.map((entry) => normalizeObjectId(entry.id)),
+      },
     })
       .sort({ pinned: -1, updatedAt: -1 })
       .lean();
@@ -103,23 +171,78 @@ export const exportNotebookBundle = async (req, res) => {
     });
     archive.pipe(res);
 
-    const usedNames = new Set();
-    const noteManifest = notes.map((note) => {
-      const fileName = uniqueFileName(note.title, usedNames);
-      archive.append(buildNoteMarkdown(note), { name: `notes/${fileName}` });
-      return {
-        id: note._id.toString(),
+    const attachmentDocs = notes.length
+      ? await NoteAttachment.find({
+          noteId: { $in: notes.map((note) => note._id) },
+        })
+          .sort({ createdAt: 1 })
+          .lean()
+      : [];
+    const attachmentsByNote = new Map();
+    for (const attachment of attachmentDocs) {
+      const key = attachment.noteId.toString();
+      if (!attachmentsByNote.has(key)) attachmentsByNote.set(key, []);
+      attachmentsByNote.get(key).push(attachment);
+    }
+
+    const usedNamesByFolder = new Map();
+    const noteManifest = [];
+    for (const note of notes) {
+      const noteId = note._id.toString();
+      const notebookId = note.notebookId.toString();
+      const folder = folderByNotebook.get(notebookId) ?? "notes";
+      if (!usedNamesByFolder.has(folder)) {
+        usedNamesByFolder.set(folder, new Set());
+      }
+      const filePath = `${folder}/${uniqueFileName(
+        note.title,
+        usedNamesByFolder.get(folder),
+      )}`;
+      const rootPrefix = "../".repeat(folder.split("/").length);
+
+      const usedAttachmentNames = new Set();
+      const attachments = [];
+      for (const attachment of attachmentsByNote.get(noteId) ?? []) {
+        const content = await readAttachmentContent(attachment);
+        if (!content) {
+          logger.warn("Skipping missing attachment blob during export", {
+            attachmentId: attachment._id.toString(),
+          });
+          continue;
+        }
+        const entryName = `attachments/${noteId}/${uniqueAttachmentName(
+          attachment.fileName,
+          usedAttachmentNames,
+        )}`;
+        archive.append(content, { name: entryName });
+        attachments.push({
+          id: attachment._id.toString(),
+          fileName: attachment.fileName,
+          path: entryName,
+          mimeType: attachment.mimeType,
+          size: attachment.size,
+          kind: attachment.kind,
+        });
+      }
+
+      archive.append(buildNoteMarkdown(note, attachments, rootPrefix), {
+        name: filePath,
+      });
+      noteManifest.push({
+        id: noteId,
+        notebookId,
         title: note.title ?? "Untitled",
-        fileName: `notes/${fileName}`,
+        fileName: filePath,
         tags: Array.isArray(note.tags) ? note.tags : [],
         pinned: Boolean(note.pinned),
         createdAt: note.createdAt ? new Date(note.createdAt).toISOString() : null,
         updatedAt: note.updatedAt ? new Date(note.updatedAt).toISOString() : null,
-      };
-    });
+        attachments,
+      });
+    }
 
     const metadata = {
-      exportVersion: 1,
+      exportVersion: 3,
       exportedAt: new Date().toISOString(),
       exportedBy: userId,
       notebook: {
@@ -135,6 +258,7 @@ export const exportNotebookBundle = async (req, res) => {
           ? new Date(notebook.updatedAt).toISOString()
           : null,
       },
+      notebooks: exportedNotebooks,
       notes: noteManifest,
     };
 
@@ -143,7 +267,7 @@ export const exportNotebookBundle = async (req, res) => {
     });
 
     archive.append(
-      `# ${notebook.name ?? "Untitled notebook"}\n\n${notebook.description ?? ""}\n\nExported from NotesBoard on ${new Date().toISOString()}.\nThis archive contains ${noteManifest.length} note${noteManifest.length === 1 ? "" : "s"}.\n`,
+      `# ${notebook.name ?? "Untitled notebook"}\n\n${notebook.description ?? ""}\n\nExported from NotesBoard on ${new Date().toISOString()}.\nThis archive contains ${noteManifest.length} note${noteManifest.length === 1 ? "" : "s"}${exportedNotebooks.length > 1 ? ` across ${exportedNotebooks.length} notebooks` : ""}.\n`,
       { name: "README.md" },
     );
 
@@ -5,8 +5,16 @@ import Notebook from "../models/Notebook.js";
 import NoteHistory from "../models/NoteHistory.js";
 import { resolveWorkspaceForUser, touchWorkspaceMember } from "../utils/access.js";
 import logger from "../utils/logger.js";
+import { MAX_ATTACHMENT_BYTES } from "../utils/constants.js";
+import {
+  guessMimeType,
+  storeNoteAttachment,
+} from "../services/noteAttachmentService.js";
 
 const MAX_FILES = 200;
+const MAX_ATTACHMENT_FILES = 500;
+// Files that describe the archive itself rather than belonging to a note.
+const ARCHIVE_META_FILES = new Set(["metadata.json", "readme.md"]);
 const MAX_NOTE_CONTENT = 50_000;
 const MAX_TAGS_PER_NOTE = 20;
 const MAX_TAG_LENGTH = 50;
@@ -161,25 +169,145 @@ const normalizeNotebookName = (raw, fallback = "Imported notebook") => {
   return base || fallback;
 };
 
-const collectMarkdownEntries = (buffer) => {
+const basename = (entryName) => entryName.split("/").pop();
+
+const readManifest = (zip) => {
+  const entry = zip.getEntry("metadata.json");
+  if (!entry) return null;
+  try {
+    const parsed = JSON.parse(entry.getData().toString("utf8"));
+    return Array.isArray(parsed?.notes) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+const collectZipEntries = (buffer) => {
   const zip = new AdmZip(buffer);
-  const entries = zip.getEntries().filter((entry) => {
+  const files = zip.getEntries().filter((entry) => {
     if (entry.isDirectory) return false;
-    const name = entry.entryName;
-    if (name.includes("__MACOSX/")) return false;
-    return /\.(md|markdown)$/i.test(name);
+    return !entry.entryName.includes("__MACOSX/");
   });
-  if (entries.length > MAX_FILES) {
+
+  const markdown = files.filter(
+    (entry) =>
+      /\.(md|markdown)$/i.test(entry.entryName) &&
+      !ARCHIVE_META_FILES.has(entry.entryName.toLowerCase()),
+  );
+  if (markdown.length > MAX_FILES) {
     const err = new Error(
       `ZIP contains too many markdown files (max ${MAX_FILES})`,
     );
     err.statusCode = 413;
     throw err;
   }
-  return entries.map((entry) => ({
-    filename: entry.entryName.split("/").pop(),
-    raw: entry.getData().toString("utf8"),
-  }));
+
+  const others = files.filter(
+    (entry) =>
+      !/\.(md|markdown)$/i.test(entry.entryName) &&
+      !ARCHIVE_META_FILES.has(entry.entryName.toLowerCase()),
+  );
+  if (others.length > MAX_ATTACHMENT_FILES) {
+    const err = new Error(
+      `ZIP contains too many attachments (max ${MAX_ATTACHMENT_FILES})`,
+    );
+    err.statusCode = 413;
+    throw err;
+  }
+
+  return {
+    entries: markdown.map((entry) => ({
+      path: entry.entryName,
+      filename: basename(entry.entryName),
+      raw: entry.getData().toString("utf8"),
+    })),
+    // Read lazily: the declared size is checked before inflating so a
+    // compressed bomb never reaches memory.
+    attachmentFiles: others.map((entry) => ({
+      path: entry.entryName,
+      filename: basename(entry.entryName),
+      size: entry.header.size,
+      read: () => entry.getData(),
+    })),
+    manifest: readManifest(zip),
+  };
+};
+
+const normalizeZipPath = (value) =>
+  decodeURI(String(value ?? ""))
+    .replace(/\\/g, "/")
+    .split("/")
+    .reduce((parts, segment) => {
+      if (!segment || segment === ".") return parts;
+      if (segment === "..") parts.pop();
+      else parts.push(segment);
+      return parts;
+    }, [])
+    .join("/");
+
+// Relative targets of markdown links/images and Obsidian-style `![[file]]`
+// embeds, resolved against the note's folder inside the archive.
+const referencedPaths = (entry) => {
+  const folder = entry.path.split("/").slice(0, -1).join("/");
+  const refs = new Set();
+  for (const match of entry.raw.matchAll(/\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g)) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(match[1])) continue;
+    try {
+      refs.add(normalizeZipPath(`${folder}/${match[1]}`));
+    } catch {
+      // malformed URI escape — ignore the reference
+    }
+  }
+  for (const match of entry.raw.matchAll(/!\[\[([^\]|]+)(?:\|[^\]]*)?\]\]/g)) {
+    refs.add(`name:${basename(match[1].trim()).toLowerCase()}`);
+  }
+  return refs;
+};
+
+/**
+ * Decide which note each non-markdown file belongs to: NotesBoard exports
+ * list them in metadata.json; other archives are matched by the links and
+ * embeds inside each markdown file. Unreferenced files are skipped.
+ */
+const assignAttachments = ({ entries, attachmentFiles, manifest }) => {
+  const byPath = new Map(attachmentFiles.map((file) => [file.path, file]));
+  const assigned = new Map(entries.map((entry) => [entry.path, []]));
+  const claimed = new Set();
+
+  const claim = (entryPath, file, meta = null) => {
+    if (!file || claimed.has(file.path) || !assigned.has(entryPath)) return;
+    claimed.add(file.path);
+    assigned.get(entryPath).push({ file, meta });
+  };
+
+  for (const noteMeta of manifest?.notes ?? []) {
+    for (const attachmentMeta of Array.isArray(noteMeta?.attachments)
+      ? noteMeta.attachments
+      : []) {
+      claim(noteMeta.fileName, byPath.get(attachmentMeta?.path), attachmentMeta);
+    }
+  }
+
+  for (const entry of entries) {
+    for (const ref of referencedPaths(entry)) {
+      if (ref.startsWith("name:")) {
+        const name = ref.slice(5);
+        claim(
+          entry.path,
+          attachmentFiles.find(
+            (file) => !claimed.has(file.path) && file.filename.toLowerCase() === name,
+          ),
+        );
+      } else {
+        claim(entry.path, byPath.get(ref));
+      }
+    }
+  }
+
+  return {
+    assigned,
+    unassignedCount: attachmentFiles.length - claimed.size,
+  };
 };
 
 export const importNotebook = async (req, res) => {
@@ -229,20 +357,27 @@ export const importNotebook = async (req, res) => {
     await touchWorkspaceMember(workspaceContext.workspace._id, userId);
 
     let entries = [];
+    let assignedAttachments = new Map();
+    let skippedAttachments = 0;
     let notebookName = normalizeNotebookName(
       req.body?.notebookName ?? originalname?.replace(/\.(zip|md|markdown)$/i, ""),
     );
 
     if (isZip) {
-      entries = collectMarkdownEntries(buffer);
+      const collected = collectZipEntries(buffer);
+      entries = collected.entries;
       if (!entries.length) {
         return res
           .status(400)
           .json({ message: "No markdown files found in ZIP" });
       }
+      const assignment = assignAttachments(collected);
+      assignedAttachments = assignment.assigned;
+      skippedAttachments = assignment.unassignedCount;
     } else {
       entries = [
         {
+          path: originalname ?? "note.md",
           filename: originalname ?? "note.md",
           raw: buffer.toString("utf8"),
         },
@@ -257,6 +392,7 @@ export const importNotebook = async (req, res) => {
     });
 
     const createdNotes = [];
+    let importedAttachments = 0;
     for (const entry of entries) {
       try {
         const noteData = buildNoteFromMarkdown(entry);
@@ -279,6 +415,29 @@ export const importNotebook = async (req, res) => {
           contentSnapshot: (note.contentText ?? "").slice(0, 50_000),
           tagsSnapshot: note.tags,
         });
+        for (const { file, meta } of assignedAttachments.get(entry.path) ?? []) {
+          if (file.size > MAX_ATTACHMENT_BYTES) {
+            skippedAttachments += 1;
+            continue;
+          }
+          try {
+            const fileName = meta?.fileName || file.filename;
+            await storeNoteAttachment({
+              note,
+              uploaderId: userId,
+              fileName,
+              mimeType: meta?.mimeType || guessMimeType(fileName),
+              buffer: file.read(),
+            });
+            importedAttachments += 1;
+          } catch (attachmentError) {
+            skippedAttachments += 1;
+            logger.warn("Skipping attachment during import", {
+              path: file.path,
+              error: attachmentError?.message,
+            });
+          }
+        }
         createdNotes.push({
           id: note._id.toString(),
           title: note.title,
@@ -318,6 +477,8 @@ export const importNotebook = async (req, res) => {
       },
       importedCount: createdNotes.length,
       skippedCount: entries.length - createdNotes.length,
+      attachmentCount: importedAttachments,
+      skippedAttachmentCount: skippedAttachments,
       notes: createdNotes,
     });
   } catch (error) {
@@ -6,10 +6,14 @@ import Notebook from "../models/Notebook.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
 import { normalizeEmail, isValidObjectId } from "../utils/validators.js";
-import { ensureNotebookAccess } from "../utils/access.js";
+import {
+  ensureNotebookAccess,
+  listInheritedNotebookMembers,
+} from "../utils/access.js";
 import { sendMail } from "../utils/mailer.js";
 
 const NOTEBOOK_MEMBER_MANAGE_ROLES = new Set(["owner", "editor"]);
+const NOTEBOOK_OVERRIDE_ROLES = new Set(["editor", "viewer", "none"]);
 const DEFAULT_INVITE_TTL_HOURS = Number.isFinite(
   Number(process.env.NOTEBOOK_INVITE_TTL_HOURS)
 )
@@ -93,9 +97,12 @@ const buildNotebookMemberPayload = async (notebook) => {
       ? notebook._id
       : new mongoose.Types.ObjectId(notebook._id);
 
-  const memberships = await NotebookMember.find({ notebookId })
-    .sort({ invitedAt: 1, createdAt: 1 })
-    .lean();
+  const [memberships, inheritedMemberships] = await Promise.all([
+    NotebookMember.find({ notebookId })
+      .sort({ invitedAt: 1, createdAt: 1 })
+      .lean(),
+    listInheritedNotebookMembers(notebook),
+  ]);
 
   const ownerId =
     notebook.owner instanceof mongoose.Types.ObjectId
@@ -103,7 +110,7 @@ const buildNotebookMemberPayload = async (notebook) => {
       : notebook.owner?.toString?.() ?? null;
 
   const referencedUserIds = new Set();
-  memberships.forEach((entry) => {
+  [...memberships, ...inheritedMemberships].forEach((entry) => {
     if (entry.userId) referencedUserIds.add(entry.userId.toString());
     if (entry.invitedBy) referencedUserIds.add(entry.invitedBy.toString());
     if (entry.revokedBy) referencedUserIds.add(entry.revokedBy.toString());
@@ -151,9 +158,35 @@ const buildNotebookMemberPayload = async (notebook) => {
       revokedByName: revoker?.name ?? null,
       lastNotifiedAt: member.lastNotifiedAt ?? null,
       metadata,
+      inheritedFrom: null,
     };
   });
 
+  // Members of parent notebooks; they are managed there or overridden here.
+  inheritedMemberships.forEach((member) => {
+    const memberId = member.userId?.toString?.() ?? null;
+    const user = memberId ? userMap.get(memberId) : null;
+    const metadata = serializeMetadata(member.metadata);
+    payload.push({
+      id: null,
+      userId: memberId,
+      role: member.role,
+      status: member.status,
+      email: user?.email ?? metadata.email ?? null,
+      name: user?.name ?? metadata.name ?? null,
+      invitedAt: member.invitedAt ?? null,
+      invitedBy: member.invitedBy?.toString?.() ?? null,
+      invitedByName: null,
+      acceptedAt: member.acceptedAt ?? null,
+      revokedAt: null,
+      revokedBy: null,
+      revokedByName: null,
+      lastNotifiedAt: null,
+      metadata: {},
+      inheritedFrom: member.inheritedFrom,
+    });
+  });
+
   const ownerIncluded = payload.some((entry) => entry.role === "owner");
   if (!ownerIncluded && ownerId) {
     const ownerUser = userMap.get(ownerId) ?? null;
@@ -173,6 +206,7 @@ const buildNotebookMemberPayload = async (notebook) => {
       revokedByName: null,
       lastNotifiedAt: null,
       metadata: { legacy: true },
+      inheritedFrom: null,
     });
   }
 
@@ -668,6 +702,155 @@ export const removeNotebookMember = async (req, res) => {
   }
 };
 
+/**
+ * Override what a member inherits from a parent notebook: `editor` or
+ * `viewer` pins a different role on this notebook and its children, `none`
+ * blocks the branch with a revoked record.
+ */
+export const setNotebookMemberOverride = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body ?? {};
+    if (!isValidObjectId(id) || !isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid identifier" });
+    }
+    if (!NOTEBOOK_OVERRIDE_ROLES.has(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+
+    const context = await ensureNotebookAccess(id, req.user.id);
+    if (!context) {
+      return res.status(404).json({ message: "Notebook not found" });
+    }
+
+    if (!canManageMembers(context)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    if (!context.notebook.parentId) {
+      return res
+        .status(400)
+        .json({ message: "Only nested notebooks inherit members" });
+    }
+
+    if (String(userId) === String(context.notebook.owner)) {
+      return res
+        .status(400)
+        .json({ message: "Notebook owner already has full access" });
+    }
+
+    // Only inherited access can be overridden. Direct and pending records
+    // belong to the member endpoints and are never rewritten here.
+    const existing = await NotebookMember.findOne({
+      notebookId: context.notebook._id,
+      userId: new mongoose.Types.ObjectId(userId),
+    });
+    if (existing && !toMetadataMap(existing.metadata).get("inheritanceOverride")) {
+      return res
+        .status(400)
+        .json({ message: "Member has a direct membership on this notebook" });
+    }
+    if (!existing) {
+      const inherited = await listInheritedNotebookMembers(context.notebook);
+      if (!inherited.some((entry) => String(entry.userId) === String(userId))) {
+        return res
+          .status(404)
+          .json({ message: "Member is not inherited from a parent notebook" });
+      }
+    }
+
+    const user = await User.findById(userId).select({ name: 1, email: 1 }).lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const actorId = new mongoose.Types.ObjectId(req.user.id);
+    const member =
+      existing ??
+      new NotebookMember({
+        notebookId: context.notebook._id,
+        userId: user._id,
+        invitedBy: actorId,
+      });
+
+    member.metadata = toMetadataMap(member.metadata);
+    member.metadata.set("email", user.email);
+    if (user.name) {
+      member.metadata.set("name", user.name);
+    }
+    member.metadata.set("inheritanceOverride", true);
+
+    if (role === "none") {
+      member.markRevoked(actorId);
+    } else {
+      member.role = role;
+      member.revokedAt = null;
+      member.revokedBy = null;
+      member.markAccepted(new Date());
+    }
+    await member.save();
+
+    const members = await buildNotebookMemberPayload(context.notebook);
+
+    return res.status(200).json({
+      notebookId: context.notebook._id.toString(),
+      members,
+      canManage: true,
+    });
+  } catch (error) {
+    logger.error("Failed to override notebook member", {
+      error: error?.message,
+      notebookId: req.params?.id,
+      userId: req.params?.userId,
+    });
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/** Drop an override so the member falls back to the inherited role. */
+export const clearNotebookMemberOverride = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid identifier" });
+    }
+
+    const context = await ensureNotebookAccess(id, req.user.id);
+    if (!context) {
+      return res.status(404).json({ message: "Notebook not found" });
+    }
+
+    if (!canManageMembers(context)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    const result = await NotebookMember.deleteOne({
+      notebookId: context.notebook._id,
+      userId: new mongoose.Types.ObjectId(userId),
+      "metadata.inheritanceOverride": true,
+    });
+
+    if (!result?.deletedCount) {
+      return res.status(404).json({ message: "Override not found" });
+    }
+
+    const members = await buildNotebookMemberPayload(context.notebook);
+
+    return res.status(200).json({
+      notebookId: context.notebook._id.toString(),
+      members,
+      canManage: true,
+    });
+  } catch (error) {
+    logger.error("Failed to clear notebook member override", {
+      error: error?.message,
+      notebookId: req.params?.id,
+      userId: req.params?.userId,
+    });
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 export const acceptNotebookInvitation = async (req, res) => {
   try {
     const { token } = req.body ?? {};
@@ -736,5 +919,7 @@ export default {
   revokeNotebookInvitation,
   updateNotebookMemberRole,
   removeNotebookMember,
+  setNotebookMemberOverride,
+  clearNotebookMemberOverride,
   acceptNotebookInvitation,
 };
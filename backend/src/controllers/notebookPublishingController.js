@@ -10,6 +10,15 @@ import {
   normalizeNotebookPublicSlug,
 } from "../utils/notebooks.js";
 import { appendNotebookEvent } from "../services/notebookEventService.js";
+import { renderNotebookPublicationHtml } from "../services/publicationRenderService.js";
+import {
+  buildPublicationSettingsUpdate,
+  serializePublicationSettings,
+} from "../services/publicationAccessService.js";
+import {
+  PUBLICATION_ANALYTICS_DEFAULT_DAYS,
+  getPublicationViewAnalytics,
+} from "../services/publicationViewService.js";
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
 
@@ -91,6 +100,7 @@ export const getNotebookPublishingState = async (req, res) => {
     const publication = await NotebookPublication.findOne({
       notebookId: notebook._id,
     })
+      .select("+passwordHash")
       .sort({ createdAt: -1 })
       .lean();
 
@@ -101,6 +111,7 @@ export const getNotebookPublishingState = async (req, res) => {
       metadata: toPlainObject(notebook.publicMetadata) ?? {},
       snapshotHash: notebook.offlineSnapshotHash ?? null,
       lastPublishedAt: publication?.updatedAt ?? publication?.createdAt ?? null,
+      ...serializePublicationSettings(publication),
     });
   } catch (error) {
     logger.error("Failed to fetch notebook publishing state", {
@@ -121,8 +132,20 @@ export const publishNotebook = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { slug: requestedSlug, metadata = null } = req.body ?? {};
+    const {
+      slug: requestedSlug,
+      metadata = null,
+      password,
+      expiresAt,
+      noindex,
+    } = req.body ?? {};
     const actorObjectId = new mongoose.Types.ObjectId(ownerId);
+    // Hashed up front so a retried transaction does not hash twice.
+    const settingsUpdate = await buildPublicationSettingsUpdate({
+      password,
+      expiresAt,
+      noindex,
+    });
 
     await session.withTransaction(async () => {
       const notebook = await Notebook.findOne({
@@ -137,6 +160,7 @@ export const publishNotebook = async (req, res) => {
       const existingPublication = await NotebookPublication.findOne({
         notebookId: notebook._id,
       })
+        .select("+passwordHash")
         .session(session)
         .lean();
 
@@ -158,6 +182,9 @@ export const publishNotebook = async (req, res) => {
               createdAt: existingPublication.createdAt ?? null,
               updatedAt: existingPublication.updatedAt ?? null,
               publishedAt: existingPublication.publishedAt ?? null,
+              passwordHash: existingPublication.passwordHash ?? null,
+              expiresAt: existingPublication.expiresAt ?? null,
+              noindex: Boolean(existingPublication.noindex),
             }
           : null,
       };
@@ -198,7 +225,7 @@ export const publishNotebook = async (req, res) => {
 
       await notebook.save({ session });
 
-      await NotebookPublication.findOneAndUpdate(
+      const publication = await NotebookPublication.findOneAndUpdate(
         { notebookId: notebook._id },
         {
           $set: {
@@ -206,13 +233,16 @@ export const publishNotebook = async (req, res) => {
             publicSlug: normalizedSlug,
             snapshot,
             snapshotHash,
-            html: null,
+            html: renderNotebookPublicationHtml(snapshot),
             metadata: metadataObject,
             publishedAt,
+            ...settingsUpdate,
           },
         },
         { upsert: true, new: true, session }
-      );
+      )
+        .select("+passwordHash")
+        .lean();
 
       await appendNotebookEvent(
         {
@@ -241,6 +271,7 @@ export const publishNotebook = async (req, res) => {
         publishedAt,
         metadata: metadataObject ?? {},
         snapshotHash,
+        ...serializePublicationSettings(publication),
       };
     });
   } catch (error) {
@@ -294,6 +325,7 @@ export const unpublishNotebook = async (req, res) => {
       const publicationDoc = await NotebookPublication.findOne({
         notebookId: notebook._id,
       })
+        .select("+passwordHash")
         .session(session)
         .lean();
 
@@ -315,6 +347,9 @@ export const unpublishNotebook = async (req, res) => {
               createdAt: publicationDoc.createdAt ?? null,
               updatedAt: publicationDoc.updatedAt ?? null,
               publishedAt: publicationDoc.publishedAt ?? null,
+              passwordHash: publicationDoc.passwordHash ?? null,
+              expiresAt: publicationDoc.expiresAt ?? null,
+              noindex: Boolean(publicationDoc.noindex),
             }
           : null,
       };
@@ -377,8 +412,53 @@ export const unpublishNotebook = async (req, res) => {
   return res.status(500).json(INTERNAL_SERVER_ERROR);
 };
 
+export const getNotebookPublicationAnalytics = async (req, res) => {
+  try {
+    const ownerId = req.user?.id;
+    if (!ownerId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const notebook = await ensureNotebookOwnership(req.params.id, ownerId);
+    if (!notebook) {
+      return res.status(404).json({ message: "Notebook not found" });
+    }
+
+    const analytics = await getPublicationViewAnalytics({
+      targetType: "notebook",
+      targetId: notebook._id,
+      days: Number(req.query?.days) || PUBLICATION_ANALYTICS_DEFAULT_DAYS,
+    });
+
+    // Reads are keyed by note id; label them with the current titles.
+    const notes = await Note.find({
+      _id: { $in: analytics.noteReads.map((entry) => entry.noteId) },
+      notebookId: notebook._id,
+    })
+      .select({ title: 1 })
+      .lean();
+    const titles = new Map(
+      notes.map((note) => [note._id.toString(), note.title]),
+    );
+
+    return res.status(200).json({
+      ...analytics,
+      noteReads: analytics.noteReads.map((entry) => ({
+        ...entry,
+        title: titles.get(entry.noteId) ?? null,
+      })),
+    });
+  } catch (error) {
+    logger.error("Failed to load notebook publication analytics", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export default {
   getNotebookPublishingState,
   publishNotebook,
   unpublishNotebook,
+  getNotebookPublicationAnalytics,
 };
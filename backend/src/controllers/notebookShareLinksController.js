@@ -96,6 +96,7 @@ const serializeShareLink = (link, userMap) => {
     revokedBy: revokedById,
     revokedByName: revoker?.name ?? null,
     lastAccessedAt: link.lastAccessedAt ?? null,
+    accessCount: link.accessCount ?? 0,
     metadata:
       link.metadata instanceof Map
         ? Object.fromEntries(link.metadata.entries())
@@ -278,27 +279,47 @@ export const revokeNotebookShareLink = async (req, res) => {
   }
 };
 
-export const resolveNotebookShareToken = async (token) => {
+const getShareLinkStatus = (link, referenceDate = new Date()) => {
+  if (link.revokedAt) {
+    return "revoked";
+  }
+  if (link.expiresAt && link.expiresAt.getTime() <= referenceDate.getTime()) {
+    return "expired";
+  }
+  return "active";
+};
+
+/**
+ * Look up a share link by its raw token without rejecting inactive links, so
+ * callers can tell an unknown token apart from a revoked or expired one.
+ * Returns null when the token or its notebook does not exist.
+ */
+export const inspectNotebookShareToken = async (token) => {
   if (!token || typeof token !== "string") {
     return null;
   }
+  const tokenHash = ShareLink.hash(token);
+  const link = await ShareLink.findOne({
+    tokenHash,
+    resourceType: "notebook",
+  }).lean();
+  if (!link) {
+    return null;
+  }
+  const notebook = await Notebook.findById(link.notebookId).lean();
+  if (!notebook) {
+    return null;
+  }
+  return { link, notebook, status: getShareLinkStatus(link) };
+};
+
+export const resolveNotebookShareToken = async (token) => {
   try {
-    const tokenHash = ShareLink.hash(token);
-    const link = await ShareLink.findOne({ tokenHash }).lean();
-    if (!link) {
-      return null;
-    }
-    if (link.revokedAt) {
-      return null;
-    }
-    if (link.expiresAt && link.expiresAt.getTime() < Date.now()) {
+    const resolved = await inspectNotebookShareToken(token);
+    if (!resolved || resolved.status !== "active") {
       return null;
     }
-    const notebook = await Notebook.findById(link.notebookId).lean();
-    if (!notebook) {
-      return null;
-    }
-    return { link, notebook };
+    return { link: resolved.link, notebook: resolved.notebook };
   } catch (error) {
     logger.error("Failed to resolve notebook share token", {
       error: error?.message,
@@ -307,6 +328,23 @@ export const resolveNotebookShareToken = async (token) => {
   }
 };
 
+export const recordShareLinkAccess = async (linkId, when = new Date()) => {
+  if (!linkId) {
+    return;
+  }
+  try {
+    await ShareLink.updateOne(
+      { _id: linkId },
+      { $set: { lastAccessedAt: when }, $inc: { accessCount: 1 } },
+    );
+  } catch (error) {
+    logger.warn("Failed to record share link access", {
+      error: error?.message,
+      shareLinkId: linkId?.toString?.() ?? null,
+    });
+  }
+};
+
 export default {
   listNotebookShareLinks,
   createNotebookShareLink,
@@ -12,6 +12,15 @@ import {
   removeNotesFromNotebookOrder,
 } from "../utils/notebooks.js";
 import { appendNotebookEvent } from "../services/notebookEventService.js";
+import { plainTextToRichContent } from "../services/noteVersionService.js";
+import {
+  applyMergedNoteDocument,
+  buildConflictTitle,
+  loadRemoteNoteFields,
+  mergeOfflineNoteEdit,
+  readOperationBase,
+} from "../services/offlineSyncMergeService.js";
+import { isUnchangedSince } from "../utils/threeWayMerge.js";
 import { enqueueNotebookIndexJob } from "../tasks/notebookIndexingWorker.js";
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
@@ -71,6 +80,114 @@ const sanitizeOperations = (operations) => {
   });
 };
 
+const createConflictCopy = async ({ notebook, ownerId, local, session }) => {
+  const [copy] = await Note.create(
+    [
+      {
+        owner: ownerId,
+        notebookId: notebook._id,
+        workspaceId: notebook.workspaceId ?? null,
+        title: buildConflictTitle(local.title),
+        content: local.content,
+        contentText: local.contentText,
+        tags: local.tags,
+        pinned: false,
+      },
+    ],
+    { session },
+  );
+  await appendNotesToNotebookOrder(notebook._id, [copy._id], { session });
+  return copy;
+};
+
+/**
+ * Apply an offline edit that carries the `base` it was made on top of by
+ * merging it with the server's current version. Fields that cannot be merged
+ * keep the server value and the full offline version is saved as a
+ * "(conflicted copy)" note next to it. An edit to a note deleted on the
+ * server is kept the same way.
+ */
+const mergeNoteUpsert = async ({
+  notebook,
+  noteId,
+  base,
+  local,
+  ownerId,
+  session,
+}) => {
+  const current = await Note.findOne({ _id: noteId, owner: ownerId }).session(
+    session,
+  );
+  if (!current) {
+    const copy = await createConflictCopy({ notebook, ownerId, local, session });
+    return {
+      note: copy,
+      created: true,
+      conflict: {
+        noteId: noteId.toString(),
+        copyNoteId: copy._id.toString(),
+        title: local.title,
+        reason: "deleted",
+        fields: [],
+      },
+    };
+  }
+
+  const remote = await loadRemoteNoteFields(current, { session });
+  const { fields, conflicts, merged } = mergeOfflineNoteEdit({
+    base,
+    local,
+    remote: remote.fields,
+  });
+
+  const update = {
+    title: fields.title,
+    tags: fields.tags,
+    pinned: fields.pinned,
+    notebookId: notebook._id,
+  };
+  const contentChanged = fields.content !== remote.fields.content;
+  if (contentChanged) {
+    update.content = fields.content;
+    update.contentText = merged ? fields.content : local.contentText;
+    if (!remote.hasDocument) {
+      // The editor seeds from richContent, so it must carry the text too.
+      update.richContent = plainTextToRichContent(fields.content);
+    }
+  }
+
+  const noteDoc = await Note.findOneAndUpdate(
+    { _id: current._id },
+    { $set: update },
+    { new: true, session },
+  );
+
+  let conflict = null;
+  if (conflicts.length) {
+    const copy = await createConflictCopy({ notebook, ownerId, local, session });
+    conflict = {
+      noteId: current._id.toString(),
+      copyNoteId: copy._id.toString(),
+      title: local.title,
+      reason: "edited",
+      fields: conflicts,
+    };
+  }
+
+  const documentChange =
+    remote.hasDocument &&
+    (contentChanged || fields.title !== remote.fields.title)
+      ? {
+          noteId: current._id.toString(),
+          previousText: remote.fields.content,
+          title: fields.title,
+          text: fields.content,
+        }
+      : null;
+
+  return { note: noteDoc, created: false, merged, conflict, documentChange };
+};
+
 const applyNoteUpsert = async ({ notebook, payload, ownerId, session }) => {
   if (!payload || typeof payload !== "object") {
     return null;
@@ -89,6 +206,21 @@ const applyNoteUpsert = async ({ notebook, payload, ownerId, session }) => {
     throw new Error("INVALID_NOTE_PAYLOAD");
   }
 
+  const contentText =
+    typeof payload.contentText === "string" ? payload.contentText : content;
+
+  const base = readOperationBase(payload);
+  if (noteId && base) {
+    return mergeNoteUpsert({
+      notebook,
+      noteId,
+      base,
+      local: { title, content, contentText, tags, pinned },
+      ownerId,
+      session,
+    });
+  }
+
   let noteDoc;
   const isUpdate = Boolean(noteId);
   const baseUpdate = {
@@ -105,10 +237,7 @@ const applyNoteUpsert = async ({ notebook, payload, ownerId, session }) => {
       {
         $set: {
           ...baseUpdate,
-          contentText:
-            typeof payload.contentText === "string"
-              ? payload.contentText
-              : content,
+          contentText,
         },
       },
       { new: true, session },
@@ -127,10 +256,7 @@ const applyNoteUpsert = async ({ notebook, payload, ownerId, session }) => {
           content,
           tags,
           pinned,
-          contentText:
-            typeof payload.contentText === "string"
-              ? payload.contentText
-              : content,
+          contentText,
         },
       ],
       { session },
@@ -144,11 +270,44 @@ const applyNoteUpsert = async ({ notebook, payload, ownerId, session }) => {
   return { note: noteDoc, created: !isUpdate };
 };
 
-const applyNoteDelete = async ({ notebook, noteId, ownerId, session }) => {
+const applyNoteDelete = async ({
+  notebook,
+  noteId,
+  payload,
+  ownerId,
+  session,
+}) => {
   if (!noteId) {
     throw new Error("INVALID_NOTE_ID");
   }
 
+  const base = readOperationBase(payload);
+  if (base) {
+    const current = await Note.findOne({
+      _id: noteId,
+      owner: ownerId,
+      notebookId: notebook._id,
+    }).session(session);
+    // Already gone on the server: nothing left to do.
+    if (!current) {
+      return { note: null, conflict: null };
+    }
+    const remote = await loadRemoteNoteFields(current, { session });
+    if (!isUnchangedSince(base, remote.fields)) {
+      // Someone kept working on the note; their edits outrank the delete.
+      return {
+        note: current,
+        conflict: {
+          noteId: current._id.toString(),
+          copyNoteId: null,
+          title: current.title,
+          reason: "modified",
+          fields: [],
+        },
+      };
+    }
+  }
+
   const result = await Note.findOneAndUpdate(
     { _id: noteId, owner: ownerId, notebookId: notebook._id },
     { $set: { deletedAt: new Date() } },
@@ -161,9 +320,16 @@ const applyNoteDelete = async ({ notebook, noteId, ownerId, session }) => {
 
   await removeNotesFromNotebookOrder(notebook._id, [noteId], { session });
 
-  return result;
+  return { note: result, conflict: null };
 };
 
+/** Upserts of existing notes and deletes can only merge with a `base`. */
+const operationNeedsBase = (operation) =>
+  (operation.type === "note.delete" ||
+    ((operation.type === "note.upsert" || operation.type === "note.create") &&
+      normalizeObjectId(operation.payload?.id ?? operation.payload?.noteId))) &&
+  !readOperationBase(operation.payload);
+
 export const getNotebookSyncState = async (req, res) => {
   try {
     const ownerId = req.user?.id;
@@ -245,6 +411,7 @@ export const pushNotebookSyncState = async (req, res) => {
   let responsePayload = null;
   let notebookForIndexing = null;
   let indexReason = null;
+  let documentChanges = [];
   try {
     const ownerId = req.user?.id;
     if (!ownerId) {
@@ -265,6 +432,8 @@ export const pushNotebookSyncState = async (req, res) => {
     const operations = sanitizeOperations(rawOperations).filter(Boolean);
 
     await session.withTransaction(async () => {
+      // withTransaction may retry the callback; start each attempt clean.
+      documentChanges = [];
       const notebook = await Notebook.findOne({
         _id: id,
         owner: ownerObjectId,
@@ -286,7 +455,12 @@ export const pushNotebookSyncState = async (req, res) => {
         throw mismatchError;
       }
 
-      if (clientRevision < serverRevision) {
+      // Clients that send the base of each edit are merged however far
+      // behind they are; older clients must refresh first.
+      if (
+        clientRevision < serverRevision &&
+        operations.some(operationNeedsBase)
+      ) {
         const conflictError = new Error("REVISION_CONFLICT");
         conflictError.serverRevision = serverRevision;
         conflictError.snapshotHash = notebook.offlineSnapshotHash ?? null;
@@ -299,6 +473,8 @@ export const pushNotebookSyncState = async (req, res) => {
       const createdNotes = [];
       const updatedNotes = [];
       const deletedNoteIds = [];
+      const mergedNotes = [];
+      const conflicts = [];
 
       for (const operation of operations) {
         if (!operation?.type) {
@@ -310,12 +486,17 @@ export const pushNotebookSyncState = async (req, res) => {
           operation.type === "note.upsert" ||
           operation.type === "note.create"
         ) {
-          const { note: noteDoc, created } = await applyNoteUpsert({
+          const result = await applyNoteUpsert({
             notebook,
             payload: operation.payload,
             ownerId: ownerObjectId,
             session,
           });
+          if (!result) {
+            continue;
+          }
+          const { note: noteDoc, created, merged, conflict, documentChange } =
+            result;
           applied.push({
             opId: operation.opId,
             type: "note.upsert",
@@ -326,22 +507,41 @@ export const pushNotebookSyncState = async (req, res) => {
           } else {
             updatedNotes.push(noteDoc._id.toString());
           }
+          if (merged) {
+            mergedNotes.push(noteDoc._id.toString());
+          }
+          if (conflict) {
+            conflicts.push({ opId: operation.opId, ...conflict });
+            if (conflict.copyNoteId && !created) {
+              createdNotes.push(conflict.copyNoteId);
+            }
+          }
+          if (documentChange) {
+            documentChanges.push(documentChange);
+          }
           continue;
         }
 
         if (operation.type === "note.delete") {
-          const noteDoc = await applyNoteDelete({
+          const { note: noteDoc, conflict } = await applyNoteDelete({
             notebook,
             noteId: operation.noteId,
+            payload: operation.payload,
             ownerId: ownerObjectId,
             session,
           });
+          if (conflict) {
+            conflicts.push({ opId: operation.opId, ...conflict });
+            continue;
+          }
           applied.push({
             opId: operation.opId,
             type: "note.delete",
-            noteId: noteDoc._id.toString(),
+            noteId: operation.noteId.toString(),
           });
-          deletedNoteIds.push(noteDoc._id.toString());
+          if (noteDoc) {
+            deletedNoteIds.push(noteDoc._id.toString());
+          }
           continue;
         }
 
@@ -432,6 +632,8 @@ export const pushNotebookSyncState = async (req, res) => {
               createdNotes,
               updatedNotes,
               deletedNoteIds,
+              mergedNotes,
+              conflicts,
             },
             inversePayload: {
               action: "noop",
@@ -450,6 +652,8 @@ export const pushNotebookSyncState = async (req, res) => {
         createdNotes,
         updatedNotes,
         deletedNoteIds,
+        mergedNotes,
+        conflicts,
         serverTime: new Date().toISOString(),
         snapshotHash,
       };
@@ -485,6 +689,10 @@ export const pushNotebookSyncState = async (req, res) => {
 
   await session.endSession();
   if (responsePayload) {
+    // Open editors only see merged text once it is in the Yjs document.
+    for (const change of documentChanges) {
+      await applyMergedNoteDocument(change);
+    }
     return res.status(200).json(responsePayload);
   }
   return res.status(200).json({ revision: null });
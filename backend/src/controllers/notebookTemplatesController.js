@@ -1,20 +1,35 @@
 import mongoose from "mongoose";
 import Notebook from "../models/Notebook.js";
 import Note from "../models/Note.js";
+import User from "../models/User.js";
 import Workspace from "../models/Workspace.js";
-import NotebookTemplate from "../models/NotebookTemplate.js";
+import NotebookTemplate, {
+  MAX_TEMPLATE_VERSION_HISTORY,
+  TEMPLATE_VISIBILITIES,
+} from "../models/NotebookTemplate.js";
 import logger from "../utils/logger.js";
 import {
   ensureNotebookOwnership,
+  ensureUniqueNotebookName,
   normalizeObjectId,
 } from "../utils/notebooks.js";
-import { getWorkspaceMembership } from "../utils/access.js";
+import {
+  WORKSPACE_EDIT_ROLES,
+  getWorkspaceMembership,
+  listAccessibleWorkspaceIds,
+} from "../utils/access.js";
 import {
   isAllowedNotebookColor,
   isAllowedNotebookIcon,
   normalizeNotebookColor,
   normalizeNotebookIcon,
 } from "../../../shared/notebookOptions.js";
+import {
+  MAX_TEMPLATE_PROMPTS,
+  TEMPLATE_PROMPT_LABEL_MAX_LENGTH,
+  extractTemplatePrompts,
+  resolveTemplateVariables,
+} from "../../../shared/templateVariables.js";
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
 const MAX_TEMPLATE_NOTES = Number(
@@ -24,6 +39,27 @@ const MAX_TEMPLATE_BYTES = Number(
   process.env.NOTEBOOK_TEMPLATE_SIZE_LIMIT ?? 750000,
 );
 const TEMPLATE_TAG_LIMIT = 8;
+export const TEMPLATE_SCOPES = ["mine", "team", "public"];
+const TEMPLATE_SUMMARY_FIELDS = {
+  owner: 1,
+  sourceNotebookId: 1,
+  name: 1,
+  description: 1,
+  tags: 1,
+  color: 1,
+  icon: 1,
+  noteCount: 1,
+  estimatedSize: 1,
+  visibility: 1,
+  workspaceId: 1,
+  version: 1,
+  usageCount: 1,
+  lastUsedAt: 1,
+  createdAt: 1,
+  updatedAt: 1,
+};
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(String(value));
 
 const sanitizeTemplateTags = (tags) => {
   if (!Array.isArray(tags)) return [];
@@ -88,22 +124,227 @@ const buildTemplateNotes = (orderedNotes) =>
     position: index,
   }));
 
-const ensureUniqueNotebookName = async (ownerId, desiredName) => {
-  const baseName = desiredName.trim().slice(0, 160) || "Untitled notebook";
-  let candidate = baseName;
-  let suffix = 1;
-  const MAX_ATTEMPTS = 20;
+const collectRichContentText = (node, texts = []) => {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectRichContentText(child, texts));
+  } else if (node && typeof node === "object") {
+    if (typeof node.text === "string") texts.push(node.text);
+    collectRichContentText(node.content, texts);
+  }
+  return texts;
+};
 
-  while (suffix <= MAX_ATTEMPTS) {
-    const exists = await Notebook.exists({ owner: ownerId, name: candidate });
-    if (!exists) {
-      return candidate;
-    }
-    suffix += 1;
-    candidate = `${baseName} (${suffix})`;
+/** Copy of rich content with placeholders resolved in its text nodes. */
+const resolveRichContentVariables = (node, context) => {
+  if (Array.isArray(node)) {
+    return node.map((child) => resolveRichContentVariables(child, context));
+  }
+  if (!node || typeof node !== "object") return node;
+  const resolved = { ...node };
+  if (typeof node.text === "string") {
+    resolved.text = resolveTemplateVariables(node.text, context);
+  }
+  if (node.content !== undefined) {
+    resolved.content = resolveRichContentVariables(node.content, context);
+  }
+  return resolved;
+};
+
+/** `{{prompt:…}}` labels used anywhere in the template, in order. */
+const listTemplatePrompts = (template) =>
+  extractTemplatePrompts([
+    template.name,
+    template.description,
+    ...(template.notes ?? []).flatMap((note) => [
+      note.title,
+      note.content,
+      ...collectRichContentText(note.richContent),
+    ]),
+  ]);
+
+const sanitizePromptValues = (values) => {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(
+        ([label, value]) =>
+          typeof value === "string" &&
+          label.length <= TEMPLATE_PROMPT_LABEL_MAX_LENGTH,
+      )
+      .slice(0, MAX_TEMPLATE_PROMPTS),
+  );
+};
+
+/**
+ * Copy the owner's notes in `notebook` into template notes. Returns
+ * `{ error: { status, message } }` when the notebook is over the size limits.
+ */
+const snapshotNotebookNotes = async (notebook, ownerId) => {
+  const notes = await Note.find({
+    owner: toObjectId(ownerId),
+    notebookId: notebook._id,
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (notes.length > MAX_TEMPLATE_NOTES) {
+    return {
+      error: {
+        status: 413,
+        message: `Notebook exceeds template limit of ${MAX_TEMPLATE_NOTES} notes. Split it before exporting.`,
+      },
+    };
   }
 
-  throw new Error("Unable to generate unique notebook name");
+  const templateNotes = buildTemplateNotes(
+    orderNotesForTemplate(notebook, notes),
+  );
+  const estimatedSize = computeEstimatedSize(templateNotes);
+
+  if (estimatedSize > MAX_TEMPLATE_BYTES) {
+    return {
+      error: {
+        status: 413,
+        message:
+          "Notebook template payload is too large to export. Try removing large rich content blocks.",
+      },
+    };
+  }
+
+  return { notes: templateNotes, estimatedSize };
+};
+
+/**
+ * Validate requested visibility settings against `current` (defaults for a
+ * new template). Sharing with a workspace needs an editing role in it.
+ */
+const resolveTemplateSharing = async (
+  ownerId,
+  { visibility, workspaceId },
+  current = { visibility: "private", workspaceId: null },
+) => {
+  const nextVisibility = visibility ?? current.visibility ?? "private";
+  if (!TEMPLATE_VISIBILITIES.includes(nextVisibility)) {
+    return { error: { status: 400, message: "Invalid template visibility" } };
+  }
+  if (nextVisibility !== "workspace") {
+    return { sharing: { visibility: nextVisibility, workspaceId: null } };
+  }
+
+  const targetWorkspaceId = normalizeObjectId(
+    workspaceId !== undefined ? workspaceId : current.workspaceId,
+  );
+  if (!targetWorkspaceId) {
+    return {
+      error: {
+        status: 400,
+        message: "workspaceId is required to share a template with a workspace",
+      },
+    };
+  }
+  const membership = await getWorkspaceMembership(targetWorkspaceId, ownerId);
+  if (!membership || !WORKSPACE_EDIT_ROLES.has(membership.member?.role)) {
+    return {
+      error: {
+        status: 403,
+        message: "You cannot share templates with this workspace",
+      },
+    };
+  }
+  return {
+    sharing: { visibility: "workspace", workspaceId: targetWorkspaceId },
+  };
+};
+
+const buildVersionEntry = (version, snapshot, userId) => ({
+  version,
+  noteCount: snapshot.notes.length,
+  estimatedSize: snapshot.estimatedSize,
+  updatedBy: userId,
+  createdAt: new Date(),
+});
+
+const listActiveWorkspaceIds = (userId) =>
+  listAccessibleWorkspaceIds(userId, { activeOnly: true });
+
+/**
+ * Templates `userId` may view and use: their own, those shared with a
+ * workspace they belong to, and the public gallery.
+ */
+const buildTemplateAccessFilter = async (userId) => {
+  const workspaceIds = await listActiveWorkspaceIds(userId);
+  return {
+    $or: [
+      { owner: toObjectId(userId) },
+      {
+        visibility: "workspace",
+        workspaceId: { $in: workspaceIds.map(toObjectId) },
+      },
+      { visibility: "public" },
+    ],
+  };
+};
+
+const buildTemplateScopeFilter = async (userId, scope) => {
+  if (scope === "team") {
+    const workspaceIds = await listActiveWorkspaceIds(userId);
+    return {
+      visibility: "workspace",
+      workspaceId: { $in: workspaceIds.map(toObjectId) },
+    };
+  }
+  if (scope === "public") {
+    return { visibility: "public" };
+  }
+  return { owner: toObjectId(userId) };
+};
+
+const loadNamesById = async (Model, ids) => {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  if (!unique.length) return new Map();
+  const docs = await Model.find({ _id: { $in: unique.map(toObjectId) } })
+    .select({ name: 1 })
+    .lean();
+  return new Map(docs.map((doc) => [doc._id.toString(), doc.name ?? null]));
+};
+
+/** Resolve owner and workspace names for a batch of templates. */
+const loadTemplateContext = async (templates) => {
+  const [ownerNames, workspaceNames] = await Promise.all([
+    loadNamesById(User, templates.map((template) => template.owner)),
+    loadNamesById(Workspace, templates.map((template) => template.workspaceId)),
+  ]);
+  return { ownerNames, workspaceNames };
+};
+
+const serializeTemplateSummary = (template, userId, context) => {
+  const ownerId = template.owner.toString();
+  const workspaceId = template.workspaceId?.toString() ?? null;
+  return {
+    id: template._id.toString(),
+    name: template.name,
+    description: template.description,
+    tags: template.tags ?? [],
+    color: template.color,
+    icon: template.icon,
+    noteCount: template.noteCount ?? template.notes?.length ?? 0,
+    estimatedSize: template.estimatedSize ?? 0,
+    visibility: template.visibility ?? "private",
+    workspaceId,
+    workspaceName: workspaceId
+      ? (context.workspaceNames.get(workspaceId) ?? null)
+      : null,
+    version: template.version ?? 1,
+    usageCount: template.usageCount ?? 0,
+    lastUsedAt: template.lastUsedAt ?? null,
+    owner: { id: ownerId, name: context.ownerNames.get(ownerId) ?? null },
+    isOwner: ownerId === String(userId),
+    sourceNotebookId: template.sourceNotebookId?.toString() ?? null,
+    updatedAt: template.updatedAt,
+    createdAt: template.createdAt,
+  };
 };
 
 export const exportNotebookTemplate = async (req, res) => {
@@ -119,36 +360,31 @@ export const exportNotebookTemplate = async (req, res) => {
       return res.status(404).json({ message: "Notebook not found" });
     }
 
-    const notes = await Note.find({
-      owner: new mongoose.Types.ObjectId(ownerId),
-      notebookId: notebook._id,
-    })
-      .sort({ createdAt: 1 })
-      .lean();
-
-    if (notes.length > MAX_TEMPLATE_NOTES) {
-      return res.status(413).json({
-        message: `Notebook exceeds template limit of ${MAX_TEMPLATE_NOTES} notes. Split it before exporting.`,
-      });
-    }
-
-    const orderedNotes = orderNotesForTemplate(notebook, notes);
-    const templateNotes = buildTemplateNotes(orderedNotes);
-    const estimatedSize = computeEstimatedSize(templateNotes);
-
-    if (estimatedSize > MAX_TEMPLATE_BYTES) {
-      return res.status(413).json({
-        message:
-          "Notebook template payload is too large to export. Try removing large rich content blocks.",
-      });
+    const snapshot = await snapshotNotebookNotes(notebook, ownerId);
+    if (snapshot.error) {
+      return res
+        .status(snapshot.error.status)
+        .json({ message: snapshot.error.message });
     }
 
     const {
       name: desiredName,
       description: desiredDescription,
       tags,
+      visibility,
+      workspaceId,
     } = req.body ?? {};
 
+    const { sharing, error: sharingError } = await resolveTemplateSharing(
+      ownerId,
+      { visibility, workspaceId },
+    );
+    if (sharingError) {
+      return res
+        .status(sharingError.status)
+        .json({ message: sharingError.message });
+    }
+
     const templateName =
       typeof desiredName === "string" && desiredName.trim().length
         ? desiredName.trim()
@@ -169,9 +405,11 @@ export const exportNotebookTemplate = async (req, res) => {
         color: notebook.color ?? null,
         icon: notebook.icon ?? null,
         tags: sanitizedTags,
-        noteCount: templateNotes.length,
-        estimatedSize,
-        notes: templateNotes,
+        noteCount: snapshot.notes.length,
+        estimatedSize: snapshot.estimatedSize,
+        notes: snapshot.notes,
+        ...sharing,
+        versions: [buildVersionEntry(1, snapshot, ownerId)],
       });
 
       return res.status(201).json({
@@ -181,6 +419,9 @@ export const exportNotebookTemplate = async (req, res) => {
         tags: template.tags,
         noteCount: template.noteCount,
         estimatedSize: template.estimatedSize,
+        visibility: template.visibility,
+        workspaceId: template.workspaceId?.toString() ?? null,
+        version: template.version,
         createdAt: template.createdAt,
         updatedAt: template.updatedAt,
       });
@@ -207,33 +448,23 @@ export const listNotebookTemplates = async (req, res) => {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    const templates = await NotebookTemplate.find({ owner: ownerId })
-      .sort({ updatedAt: -1 })
-      .select({
-        name: 1,
-        description: 1,
-        tags: 1,
-        color: 1,
-        icon: 1,
-        noteCount: 1,
-        estimatedSize: 1,
-        createdAt: 1,
-        updatedAt: 1,
-      })
+    const scope = TEMPLATE_SCOPES.includes(req.query?.scope)
+      ? req.query.scope
+      : "mine";
+    const filter = await buildTemplateScopeFilter(ownerId, scope);
+    // Shared galleries surface the most used templates first.
+    const sort =
+      scope === "mine" ? { updatedAt: -1 } : { usageCount: -1, updatedAt: -1 };
+
+    const templates = await NotebookTemplate.find(filter)
+      .sort(sort)
+      .select(TEMPLATE_SUMMARY_FIELDS)
       .lean();
 
-    const payload = templates.map((template) => ({
-      id: template._id.toString(),
-      name: template.name,
-      description: template.description,
-      tags: template.tags ?? [],
-      color: template.color,
-      icon: template.icon,
-      noteCount: template.noteCount ?? 0,
-      estimatedSize: template.estimatedSize ?? 0,
-      updatedAt: template.updatedAt,
-      createdAt: template.createdAt,
-    }));
+    const context = await loadTemplateContext(templates);
+    const payload = templates.map((template) =>
+      serializeTemplateSummary(template, ownerId, context),
+    );
 
     return res.status(200).json(payload);
   } catch (error) {
@@ -258,13 +489,19 @@ export const getNotebookTemplate = async (req, res) => {
 
     const template = await NotebookTemplate.findOne({
       _id: templateObjectId,
-      owner: new mongoose.Types.ObjectId(ownerId),
+      ...(await buildTemplateAccessFilter(ownerId)),
     }).lean();
 
     if (!template) {
       return res.status(404).json({ message: "Template not found" });
     }
 
+    const isOwner = template.owner.toString() === String(ownerId);
+    // Other users only learn the names of workspaces they belong to.
+    const viewerWorkspaceIds = isOwner
+      ? null
+      : new Set(await listActiveWorkspaceIds(ownerId));
+
     const workspaceCounts = new Map();
     const workspaceIds = new Set();
 
@@ -275,7 +512,10 @@ export const getNotebookTemplate = async (req, res) => {
           workspaceId,
           (workspaceCounts.get(workspaceId) ?? 0) + 1,
         );
-        if (mongoose.Types.ObjectId.isValid(workspaceId)) {
+        if (
+          mongoose.Types.ObjectId.isValid(workspaceId) &&
+          (!viewerWorkspaceIds || viewerWorkspaceIds.has(workspaceId))
+        ) {
           workspaceIds.add(workspaceId);
         }
       }
@@ -308,17 +548,10 @@ export const getNotebookTemplate = async (req, res) => {
       },
     );
 
+    const context = await loadTemplateContext([template]);
+
     return res.status(200).json({
-      id: template._id.toString(),
-      name: template.name,
-      description: template.description,
-      tags: template.tags ?? [],
-      color: template.color,
-      icon: template.icon,
-      noteCount: template.noteCount ?? template.notes?.length ?? 0,
-      estimatedSize: template.estimatedSize ?? 0,
-      createdAt: template.createdAt,
-      updatedAt: template.updatedAt,
+      ...serializeTemplateSummary(template, ownerId, context),
       notes: (template.notes ?? []).map((note) => ({
         title: note.title,
         content: note.content,
@@ -329,6 +562,16 @@ export const getNotebookTemplate = async (req, res) => {
         workspaceId: note.workspaceId ?? null,
       })),
       workspaces: workspaceSummaries,
+      prompts: listTemplatePrompts(template),
+      // Version history is only shown to the owner.
+      versions: isOwner
+        ? (template.versions ?? []).map((entry) => ({
+            version: entry.version,
+            noteCount: entry.noteCount ?? 0,
+            estimatedSize: entry.estimatedSize ?? 0,
+            createdAt: entry.createdAt,
+          }))
+        : [],
     });
   } catch (error) {
     logger.error("Failed to fetch notebook template", {
@@ -352,8 +595,10 @@ export const instantiateNotebookTemplate = async (req, res) => {
 
     const template = await NotebookTemplate.findOne({
       _id: templateObjectId,
-      owner: new mongoose.Types.ObjectId(ownerId),
-    }).lean();
+      ...(await buildTemplateAccessFilter(ownerId)),
+    })
+      .select({ versions: 0 })
+      .lean();
 
     if (!template) {
       return res.status(404).json({ message: "Template not found" });
@@ -366,8 +611,18 @@ export const instantiateNotebookTemplate = async (req, res) => {
       icon: desiredIcon,
       workspaceId,
       workspaceMappings,
+      prompts,
+      timeZone,
     } = req.body ?? {};
 
+    const variableContext = {
+      now: new Date(),
+      timeZone: typeof timeZone === "string" ? timeZone : undefined,
+      user: { name: req.user?.name ?? "" },
+      notebook: { name: template.name },
+      prompts: sanitizePromptValues(prompts),
+    };
+
     const normalizedWorkspaceId = normalizeObjectId(workspaceId);
 
     if (normalizedWorkspaceId) {
@@ -421,17 +676,24 @@ export const instantiateNotebookTemplate = async (req, res) => {
       }
     }
 
+    // In the notebook's own name and description, {{notebook.name}} is the
+    // template name.
     const notebookName = await ensureUniqueNotebookName(
       ownerId,
       typeof desiredName === "string" && desiredName.trim().length
         ? desiredName.trim()
-        : template.name,
+        : resolveTemplateVariables(template.name, variableContext)
+            .trim()
+            .slice(0, 160) || template.name,
     );
 
     const notebookDescription =
       typeof desiredDescription === "string"
         ? desiredDescription.trim()
-        : (template.description ?? "");
+        : resolveTemplateVariables(
+            template.description ?? "",
+            variableContext,
+          );
 
     const notebook = await Notebook.create({
       owner: ownerId,
@@ -442,6 +704,11 @@ export const instantiateNotebookTemplate = async (req, res) => {
       workspaceId: normalizedWorkspaceId,
     });
 
+    const noteContext = {
+      ...variableContext,
+      notebook: { name: notebook.name },
+    };
+
     const notePayload = (template.notes ?? []).map((note) => {
       const originalWorkspaceId = note.workspaceId ?? null;
       const targetWorkspace = normalizedWorkspaceId
@@ -451,9 +718,14 @@ export const instantiateNotebookTemplate = async (req, res) => {
         owner: ownerId,
         notebookId: notebook._id,
         workspaceId: targetWorkspace,
-        title: note.title,
-        content: note.content,
-        richContent: note.richContent ?? null,
+        // A title made only of an unanswered prompt keeps the placeholder.
+        title:
+          resolveTemplateVariables(note.title, noteContext).trim() ||
+          note.title,
+        content: resolveTemplateVariables(note.content, noteContext),
+        richContent: note.richContent
+          ? resolveRichContentVariables(note.richContent, noteContext)
+          : null,
         tags: Array.isArray(note.tags) ? note.tags : [],
         pinned: Boolean(note.pinned),
       };
@@ -473,13 +745,14 @@ export const instantiateNotebookTemplate = async (req, res) => {
 
     await NotebookTemplate.updateOne(
       { _id: templateObjectId },
-      { $set: { lastUsedAt: new Date() } },
+      { $set: { lastUsedAt: new Date() }, $inc: { usageCount: 1 } },
     );
 
     return res.status(201).json({
       notebookId: notebook._id.toString(),
       name: notebook.name,
       noteCount: insertedNotes.length,
+      templateVersion: template.version ?? 1,
       createdAt: notebook.createdAt,
     });
   } catch (error) {
@@ -495,6 +768,177 @@ export const instantiateNotebookTemplate = async (req, res) => {
   }
 };
 
+export const updateNotebookTemplate = async (req, res) => {
+  try {
+    const ownerId = req.user?.id;
+    if (!ownerId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const templateObjectId = normalizeObjectId(req.params?.id);
+    if (!templateObjectId) {
+      return res.status(400).json({ message: "Invalid template id" });
+    }
+
+    const template = await NotebookTemplate.findOne({
+      _id: templateObjectId,
+      owner: toObjectId(ownerId),
+    })
+      .select({ visibility: 1, workspaceId: 1 })
+      .lean();
+
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const { name, description, tags, visibility, workspaceId } =
+      req.body ?? {};
+    const update = {};
+
+    if (typeof name === "string") {
+      if (!name.trim()) {
+        return res.status(400).json({ message: "Name cannot be empty" });
+      }
+      update.name = name.trim();
+    }
+    if (typeof description === "string") {
+      update.description = description.trim();
+    }
+    if (tags !== undefined) {
+      update.tags = sanitizeTemplateTags(tags);
+    }
+    if (visibility !== undefined || workspaceId !== undefined) {
+      const { sharing, error: sharingError } = await resolveTemplateSharing(
+        ownerId,
+        { visibility, workspaceId },
+        template,
+      );
+      if (sharingError) {
+        return res
+          .status(sharingError.status)
+          .json({ message: sharingError.message });
+      }
+      Object.assign(update, sharing);
+    }
+
+    let updated;
+    try {
+      updated = await NotebookTemplate.findOneAndUpdate(
+        { _id: templateObjectId, owner: toObjectId(ownerId) },
+        { $set: update },
+        { new: true, runValidators: true },
+      )
+        .select(TEMPLATE_SUMMARY_FIELDS)
+        .lean();
+    } catch (error) {
+      if (error?.code === 11000) {
+        return res
+          .status(409)
+          .json({ message: "A template with this name already exists" });
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const context = await loadTemplateContext([updated]);
+    return res
+      .status(200)
+      .json(serializeTemplateSummary(updated, ownerId, context));
+  } catch (error) {
+    logger.error("Failed to update notebook template", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Re-snapshot the template from its source notebook as a new version. Users
+ * of a shared template get the new notes the next time they instantiate it.
+ */
+export const syncNotebookTemplateFromSource = async (req, res) => {
+  try {
+    const ownerId = req.user?.id;
+    if (!ownerId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const templateObjectId = normalizeObjectId(req.params?.id);
+    if (!templateObjectId) {
+      return res.status(400).json({ message: "Invalid template id" });
+    }
+
+    const template = await NotebookTemplate.findOne({
+      _id: templateObjectId,
+      owner: toObjectId(ownerId),
+    })
+      .select({ sourceNotebookId: 1, version: 1 })
+      .lean();
+
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const notebook = template.sourceNotebookId
+      ? await ensureNotebookOwnership(template.sourceNotebookId, ownerId)
+      : null;
+    if (!notebook) {
+      return res.status(409).json({
+        message: "The source notebook for this template no longer exists",
+      });
+    }
+
+    const snapshot = await snapshotNotebookNotes(notebook, ownerId);
+    if (snapshot.error) {
+      return res
+        .status(snapshot.error.status)
+        .json({ message: snapshot.error.message });
+    }
+
+    const nextVersion = (template.version ?? 1) + 1;
+    const updated = await NotebookTemplate.findOneAndUpdate(
+      { _id: templateObjectId, owner: toObjectId(ownerId) },
+      {
+        $set: {
+          notes: snapshot.notes,
+          noteCount: snapshot.notes.length,
+          estimatedSize: snapshot.estimatedSize,
+          color: notebook.color ?? null,
+          icon: notebook.icon ?? null,
+          version: nextVersion,
+        },
+        $push: {
+          versions: {
+            $each: [buildVersionEntry(nextVersion, snapshot, ownerId)],
+            $position: 0,
+            $slice: MAX_TEMPLATE_VERSION_HISTORY,
+          },
+        },
+      },
+      { new: true },
+    )
+      .select(TEMPLATE_SUMMARY_FIELDS)
+      .lean();
+
+    if (!updated) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const context = await loadTemplateContext([updated]);
+    return res
+      .status(200)
+      .json(serializeTemplateSummary(updated, ownerId, context));
+  } catch (error) {
+    logger.error("Failed to update notebook template from source", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export const deleteNotebookTemplate = async (req, res) => {
   try {
     const ownerId = req.user?.id;
@@ -530,5 +974,7 @@ export default {
   listNotebookTemplates,
   getNotebookTemplate,
   instantiateNotebookTemplate,
+  updateNotebookTemplate,
+  syncNotebookTemplateFromSource,
   deleteNotebookTemplate,
 };
@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import Note from "../models/Note.js";
 import CollabDocument from "../models/CollabDocument.js";
 import NoteHistory from "../models/NoteHistory.js";
+import NoteComment from "../models/NoteComment.js";
 import logger from "../utils/logger.js";
 import Notebook from "../models/Notebook.js";
 import NotebookMember from "../models/NotebookMember.js";
@@ -12,11 +13,19 @@ import NotebookPublication from "../models/NotebookPublication.js";
 import {
   appendNotesToNotebookOrder,
   ensureNotebookOwnership,
+  listNotebookDescendants,
   normalizeObjectId,
   removeNotesFromNotebookOrder,
+  validateNotebookParent,
 } from "../utils/notebooks.js";
+import { MAX_NOTEBOOK_DEPTH } from "../utils/constants.js";
 import SavedNotebookQuery from "../models/SavedNotebookQuery.js";
-import { resolveNoteForUser } from "../utils/access.js";
+import {
+  WORKSPACE_EDIT_ROLES,
+  resolveNoteForUser,
+  resolveWorkspaceForUser,
+  resolveWorkspaceScope,
+} from "../utils/access.js";
 import {
   isAllowedNotebookColor,
   isAllowedNotebookIcon,
@@ -29,6 +38,8 @@ import { getNotebookRecommendations as computeNotebookRecommendations } from "..
 import { buildSmartNotebook } from "../services/notebookSmartService.js";
 import { applyUndoForNotebookEvent } from "../services/notebookUndoService.js";
 import cacheService from "../services/cacheService.js";
+import { resolveArchiveMode } from "../utils/noteArchive.js";
+import { purgeNoteAttachments } from "../services/noteAttachmentService.js";
 
 const TRANSACTION_UNSUPPORTED_MESSAGE =
   "Transaction numbers are only allowed on a replica set member or mongos";
@@ -39,6 +50,26 @@ const isTransactionUnsupported = (error) =>
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
 
+const NOTEBOOK_PARENT_ERRORS = {
+  PARENT_NOT_FOUND: { status: 404, message: "Parent notebook not found" },
+  PARENT_CYCLE: {
+    status: 400,
+    message: "A notebook cannot be moved inside itself or its children",
+  },
+  PARENT_TOO_DEEP: {
+    status: 400,
+    message: `Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`,
+  },
+  PARENT_WORKSPACE_MISMATCH: {
+    status: 400,
+    message: "A notebook must be in the same workspace as its parent",
+  },
+};
+
+/** Notebooks without a workspace belong to the owner's default one. */
+const isSameNotebookWorkspace = (a, b, defaultWorkspaceId) =>
+  String(a ?? defaultWorkspaceId ?? "") === String(b ?? defaultWorkspaceId ?? "");
+
 const queueNotebookIndexSafely = async (notebookId, reason, options = {}) => {
   if (!notebookId) {
     return;
@@ -91,6 +122,7 @@ const serializeNotebookSnapshot = (notebookDoc) => {
     id: notebookDoc._id?.toString?.() ?? null,
     owner: notebookDoc.owner?.toString?.() ?? null,
     workspaceId: notebookDoc.workspaceId?.toString?.() ?? null,
+    parentId: notebookDoc.parentId?.toString?.() ?? null,
     name: notebookDoc.name ?? null,
     description: notebookDoc.description ?? "",
     color: notebookDoc.color ?? null,
@@ -197,6 +229,23 @@ const serializeCollabDocumentSnapshot = (doc) => {
   };
 };
 
+// Publish/unpublish events keep the publication's password hash so undo can
+// restore it; history readers only learn whether there was one.
+const redactPublicationPassword = (inversePayload) => {
+  const publication = inversePayload?.previous?.publication;
+  if (!publication || !("passwordHash" in publication)) {
+    return inversePayload;
+  }
+  const { passwordHash, ...rest } = publication;
+  return {
+    ...inversePayload,
+    previous: {
+      ...inversePayload.previous,
+      publication: { ...rest, passwordProtected: Boolean(passwordHash) },
+    },
+  };
+};
+
 const serializeNotebookEvent = (event) => {
   if (!event) {
     return null;
@@ -204,7 +253,9 @@ const serializeNotebookEvent = (event) => {
 
   const raw = event.toObject?.({ depopulate: true }) ?? event;
   const payload = mapLikeToPlainObject(raw.payload);
-  const inversePayload = mapLikeToPlainObject(raw.inversePayload);
+  const inversePayload = redactPublicationPassword(
+    mapLikeToPlainObject(raw.inversePayload),
+  );
   const metadata = mapLikeToPlainObject(raw.metadata);
 
   return {
@@ -241,21 +292,30 @@ export const listNotebooks = async (req, res) => {
     );
     const skip = (page - 1) * limit;
 
+    const notebookFilter = { owner: ownerId };
+    const noteMatch = { owner: new mongoose.Types.ObjectId(ownerId) };
+    if (req.query?.workspaceId) {
+      const scope = await resolveWorkspaceScope(req.query.workspaceId, req.user);
+      if (!scope) {
+        return res.status(404).json({ message: "Workspace not found" });
+      }
+      Object.assign(notebookFilter, scope.filter);
+      Object.assign(noteMatch, scope.filter);
+    }
+
     const [notebooks, totalNotebooks] = await Promise.all([
-      Notebook.find({ owner: ownerId })
+      Notebook.find(notebookFilter)
         .sort({ createdAt: 1 })
         .skip(skip)
         .limit(limit)
         .lean(),
-      Notebook.countDocuments({ owner: ownerId }),
+      Notebook.countDocuments(notebookFilter),
     ]);
 
     // ── Note counts (always fresh — React Query handles client-side caching) ──
     const counts = await Note.aggregate([
       {
-        $match: {
-          owner: new mongoose.Types.ObjectId(ownerId),
-        },
+        $match: noteMatch,
       },
       {
         $group: {
@@ -270,6 +330,8 @@ export const listNotebooks = async (req, res) => {
 
     const response = notebooks.map((notebook) => ({
       id: notebook._id.toString(),
+      workspaceId: notebook.workspaceId?.toString?.() ?? null,
+      parentId: notebook.parentId?.toString?.() ?? null,
       name: notebook.name,
       color: notebook.color,
       icon: notebook.icon,
@@ -302,11 +364,49 @@ export const createNotebook = async (req, res) => {
     return res.status(401).json({ message: "Unauthorized" });
   }
 
-  const { name, color, icon, description = "" } = req.body ?? {};
+  const {
+    name,
+    color,
+    icon,
+    description = "",
+    workspaceId = null,
+    parentId = null,
+  } = req.body ?? {};
   if (!name || typeof name !== "string") {
     return res.status(400).json({ message: "Name is required" });
   }
 
+  // Without a workspace the notebook lives in the owner's default one; a
+  // child notebook always lives in its parent's workspace.
+  let workspaceObjectId = null;
+  let parentObjectId = null;
+  if (parentId) {
+    try {
+      const parent = await validateNotebookParent({ parentId, ownerId });
+      parentObjectId = parent._id;
+      workspaceObjectId = parent.workspaceId ?? null;
+    } catch (error) {
+      const mapped = NOTEBOOK_PARENT_ERRORS[error?.message];
+      if (!mapped) {
+        logger.error("Failed to create notebook", { message: error?.message });
+        return res.status(500).json(INTERNAL_SERVER_ERROR);
+      }
+      return res.status(mapped.status).json({ message: mapped.message });
+    }
+  } else if (workspaceId) {
+    const workspaceContext = await resolveWorkspaceForUser(
+      workspaceId,
+      ownerId,
+    ).catch(() => null);
+    if (!workspaceContext) {
+      return res.status(404).json({ message: "Workspace not found" });
+    }
+    if (!WORKSPACE_EDIT_ROLES.has(workspaceContext.member?.role)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+    workspaceObjectId = workspaceContext.workspace._id;
+  }
+
   if (color !== undefined && !isAllowedNotebookColor(color)) {
     return res.status(400).json({ message: "Invalid notebook color" });
   }
@@ -345,6 +445,8 @@ export const createNotebook = async (req, res) => {
       [
         {
           owner: ownerId,
+          workspaceId: workspaceObjectId,
+          parentId: parentObjectId,
           name: name.trim(),
           color: normalizedColor,
           icon: normalizedIcon,
@@ -405,6 +507,7 @@ export const createNotebook = async (req, res) => {
           color: notebook.color,
           icon: notebook.icon,
           description: notebook.description,
+          parentId: notebook.parentId?.toString?.() ?? null,
         },
         inversePayload: {
           action: "deleteNotebook",
@@ -462,6 +565,8 @@ export const createNotebook = async (req, res) => {
 
     return res.status(201).json({
       id: notebookRecord._id.toString(),
+      workspaceId: notebookRecord.workspaceId?.toString?.() ?? null,
+      parentId: notebookRecord.parentId?.toString?.() ?? null,
       name: notebookRecord.name,
       color: notebookRecord.color,
       icon: notebookRecord.icon,
@@ -593,6 +698,193 @@ export const updateNotebook = async (req, res) => {
   return res.status(500).json(INTERNAL_SERVER_ERROR);
 };
 
+/**
+ * Delete one notebook with its members, links and publication, moving or
+ * deleting its notes, and record a `notebook.delete` event that can restore
+ * it. `liftedNotebookIds` lists children re-parented before the delete so
+ * undo can put them back.
+ */
+const removeNotebookWithContents = async (
+  notebookDoc,
+  {
+    mode,
+    targetNotebookObjectId,
+    deleteCollaborative,
+    actorId,
+    liftedNotebookIds = [],
+    session,
+  },
+) => {
+  const noteDocs = await Note.find({ notebookId: notebookDoc._id })
+    .session(session)
+    .lean();
+
+  const noteIds = noteDocs.map((doc) => doc._id);
+  const docNames = noteDocs
+    .map((doc) => doc.docName)
+    .filter((value) => typeof value === "string" && value.length > 0);
+
+  const memberDocs = await NotebookMember.find({
+    notebookId: notebookDoc._id,
+  })
+    .session(session)
+    .lean();
+
+  const shareLinkDocs = await ShareLink.find({
+    notebookId: notebookDoc._id,
+  })
+    .session(session)
+    .lean();
+
+  const publicationDoc = await NotebookPublication.findOne({
+    notebookId: notebookDoc._id,
+  })
+    .session(session)
+    .lean();
+
+  const collabDocs =
+    deleteCollaborative && docNames.length
+      ? await CollabDocument.find({ name: { $in: docNames } })
+          .session(session)
+          .lean()
+      : [];
+
+  let deletedNotes = 0;
+  let movedNotes = 0;
+
+  if (mode === "delete") {
+    if (noteIds.length) {
+      const deleteResult = await Note.deleteMany(
+        { _id: { $in: noteIds } },
+        { session },
+      );
+      deletedNotes = deleteResult?.deletedCount ?? noteIds.length;
+      await NoteComment.deleteMany({ noteId: { $in: noteIds } }, { session });
+      if (docNames.length && deleteCollaborative) {
+        await CollabDocument.deleteMany(
+          { name: { $in: docNames } },
+          { session },
+        );
+      }
+      if (noteDocs.length) {
+        const historyPayload = noteDocs.map((note) => ({
+          noteId: note._id,
+          workspaceId: note.workspaceId ?? null,
+          actorId: actorId,
+          eventType: "delete",
+          summary: "Deleted as part of notebook removal",
+        }));
+        await NoteHistory.insertMany(historyPayload, { session });
+      }
+    }
+  } else {
+    const updatePayload = targetNotebookObjectId
+      ? { notebookId: targetNotebookObjectId }
+      : { notebookId: null };
+    if (noteIds.length) {
+      const updateResult = await Note.updateMany(
+        { _id: { $in: noteIds } },
+        { $set: updatePayload },
+        { session },
+      );
+      movedNotes = updateResult?.modifiedCount ?? noteIds.length;
+      if (targetNotebookObjectId) {
+        await appendNotesToNotebookOrder(targetNotebookObjectId, noteIds, {
+          session,
+        });
+      }
+    }
+  }
+
+  if (noteIds.length) {
+    await removeNotesFromNotebookOrder(notebookDoc._id, noteIds, {
+      session,
+    });
+  }
+
+  await Notebook.deleteOne({ _id: notebookDoc._id }, { session });
+
+  await Promise.all([
+    NotebookMember.deleteMany({ notebookId: notebookDoc._id }, { session }),
+    ShareLink.deleteMany({ notebookId: notebookDoc._id }, { session }),
+    NotebookPublication.deleteMany(
+      { notebookId: notebookDoc._id },
+      { session },
+    ),
+    NotebookIndex.deleteOne({ notebookId: notebookDoc._id }, { session }),
+    SavedNotebookQuery.deleteMany(
+      { notebookId: notebookDoc._id },
+      { session },
+    ),
+    // Clean up NoteHistory records for notes that belonged to this notebook
+    ...(noteIds.length
+      ? [NoteHistory.deleteMany({ noteId: { $in: noteIds } }, { session })]
+      : []),
+  ]);
+
+  await appendNotebookEvent(
+    {
+      notebookId: notebookDoc._id,
+      ownerId: notebookDoc.owner,
+      workspaceId: notebookDoc.workspaceId ?? null,
+      actorId,
+      eventType: "notebook.delete",
+      commandName: "deleteNotebook",
+      summary: `Deleted notebook ${notebookDoc.name}`,
+      payload: {
+        mode,
+        targetNotebookId: targetNotebookObjectId
+          ? targetNotebookObjectId.toString()
+          : null,
+        deletedNotes,
+        movedNotes,
+        noteIds: noteIds.map((docId) => docId.toString()),
+        liftedNotebookIds,
+      },
+      inversePayload: {
+        action: "restoreNotebook",
+        notebook: serializeNotebookSnapshot(notebookDoc),
+        notes: noteDocs
+          .map((note) => serializeNoteSnapshot(note))
+          .filter(Boolean),
+        members: memberDocs
+          .map((member) => serializeMemberSnapshot(member))
+          .filter(Boolean),
+        shareLinks: shareLinkDocs
+          .map((link) => serializeShareLinkSnapshot(link))
+          .filter(Boolean),
+        collabDocuments: collabDocs
+          .map((doc) => serializeCollabDocumentSnapshot(doc))
+          .filter(Boolean),
+        publication: publicationDoc
+          ? {
+              id: publicationDoc._id?.toString?.() ?? null,
+              publicSlug: publicationDoc.publicSlug ?? null,
+              snapshot: mapLikeToPlainObject(publicationDoc.snapshot),
+              snapshotHash: publicationDoc.snapshotHash ?? null,
+              html: publicationDoc.html ?? null,
+              metadata: mapLikeToPlainObject(publicationDoc.metadata) ?? {},
+              publishedAt: serializeDate(publicationDoc.publishedAt),
+              createdAt: serializeDate(publicationDoc.createdAt),
+              updatedAt: serializeDate(publicationDoc.updatedAt),
+            }
+          : null,
+        deleteCollaborative: Boolean(
+          deleteCollaborative && docNames.length,
+        ),
+        liftedNotebookIds,
+      },
+    },
+    { session },
+  );
+
+  return {
+    deletedNotes,
+    movedNotes,
+    deletedNoteIds: mode === "delete" ? noteIds : [],
+  };
+};
+
 export const deleteNotebook = async (req, res) => {
   const ownerId = req.user?.id;
   if (!ownerId) {
@@ -604,6 +896,7 @@ export const deleteNotebook = async (req, res) => {
     mode = "move",
     targetNotebookId = null,
     deleteCollaborative = false,
+    children = "lift",
   } = req.body ?? {};
 
   const ownerObjectId = new mongoose.Types.ObjectId(ownerId);
@@ -611,9 +904,11 @@ export const deleteNotebook = async (req, res) => {
   let responsePayload = null;
   let targetNotebookObjectId = null;
   let sourceNotebookId = null;
+  let deletedNoteIds = [];
 
   try {
     await session.withTransaction(async () => {
+      deletedNoteIds = [];
       const notebookDoc = await Notebook.findOne({
         _id: id,
         owner: ownerObjectId,
@@ -624,9 +919,16 @@ export const deleteNotebook = async (req, res) => {
       }
 
       sourceNotebookId = notebookDoc._id;
+      const descendants = await listNotebookDescendants(notebookDoc._id, {
+        session,
+      });
 
       if (mode === "move" && targetNotebookId) {
-        if (String(targetNotebookId) === String(notebookDoc._id)) {
+        const removedIds = new Set([String(notebookDoc._id)]);
+        if (children === "delete") {
+          descendants.forEach((entry) => removedIds.add(String(entry._id)));
+        }
+        if (removedIds.has(String(targetNotebookId))) {
           throw new Error("NOTEBOOK_TARGET_INVALID");
         }
         const targetNotebook = await Notebook.findOne({
@@ -642,170 +944,63 @@ export const deleteNotebook = async (req, res) => {
         targetNotebookObjectId = targetNotebook._id;
       }
 
-      const noteDocs = await Note.find({ notebookId: notebookDoc._id })
-        .session(session)
-        .lean();
-
-      const noteIds = noteDocs.map((doc) => doc._id);
-      const docNames = noteDocs
-        .map((doc) => doc.docName)
-        .filter((value) => typeof value === "string" && value.length > 0);
-
-      const memberDocs = await NotebookMember.find({
-        notebookId: notebookDoc._id,
-      })
-        .session(session)
-        .lean();
-
-      const shareLinkDocs = await ShareLink.find({
-        notebookId: notebookDoc._id,
-      })
-        .session(session)
-        .lean();
-
-      const publicationDoc = await NotebookPublication.findOne({
-        notebookId: notebookDoc._id,
-      })
-        .session(session)
-        .lean();
-
-      const collabDocs =
-        deleteCollaborative && docNames.length
-          ? await CollabDocument.find({ name: { $in: docNames } })
-              .session(session)
-              .lean()
-          : [];
-
+      const removeOptions = {
+        mode,
+        targetNotebookObjectId,
+        deleteCollaborative,
+        actorId: ownerObjectId,
+        session,
+      };
+      const deletedNotebooks = [];
+      let liftedNotebookIds = [];
       let deletedNotes = 0;
       let movedNotes = 0;
 
-      if (mode === "delete") {
-        if (noteIds.length) {
-          const deleteResult = await Note.deleteMany(
-            { _id: { $in: noteIds } },
-            { session },
+      if (children === "delete") {
+        // Deepest first, so every deleted notebook is a leaf at that point.
+        const deepestFirst = [...descendants].sort((a, b) => b.depth - a.depth);
+        for (const descendant of deepestFirst) {
+          const childDoc = await Notebook.findById(descendant._id).session(
+            session,
+          );
+          if (!childDoc) continue;
+          const result = await removeNotebookWithContents(
+            childDoc,
+            removeOptions,
           );
-          deletedNotes = deleteResult?.deletedCount ?? noteIds.length;
-          if (docNames.length && deleteCollaborative) {
-            await CollabDocument.deleteMany(
-              { name: { $in: docNames } },
-              { session },
-            );
-          }
-          if (noteDocs.length) {
-            const historyPayload = noteDocs.map((note) => ({
-              noteId: note._id,
-              workspaceId: note.workspaceId ?? null,
-              actorId: ownerObjectId,
-              eventType: "delete",
-              summary: "Deleted as part of notebook removal",
-            }));
-            await NoteHistory.insertMany(historyPayload, { session });
-          }
+          deletedNotes += result.deletedNotes;
+          movedNotes += result.movedNotes;
+          deletedNoteIds.push(...result.deletedNoteIds);
+          deletedNotebooks.push(childDoc._id.toString());
         }
       } else {
-        const updatePayload = targetNotebookObjectId
-          ? { notebookId: targetNotebookObjectId }
-          : { notebookId: null };
-        if (noteIds.length) {
-          const updateResult = await Note.updateMany(
-            { _id: { $in: noteIds } },
-            { $set: updatePayload },
+        liftedNotebookIds = descendants
+          .filter((entry) => entry.depth === 1)
+          .map((entry) => entry._id.toString());
+        if (liftedNotebookIds.length) {
+          await Notebook.updateMany(
+            { parentId: notebookDoc._id },
+            { $set: { parentId: notebookDoc.parentId ?? null } },
             { session },
           );
-          movedNotes = updateResult?.modifiedCount ?? noteIds.length;
-          if (targetNotebookObjectId) {
-            await appendNotesToNotebookOrder(targetNotebookObjectId, noteIds, {
-              session,
-            });
-          }
         }
       }
 
-      if (noteIds.length) {
-        await removeNotesFromNotebookOrder(notebookDoc._id, noteIds, {
-          session,
-        });
-      }
-
-      await Notebook.deleteOne({ _id: notebookDoc._id }, { session });
-
-      await Promise.all([
-        NotebookMember.deleteMany({ notebookId: notebookDoc._id }, { session }),
-        ShareLink.deleteMany({ notebookId: notebookDoc._id }, { session }),
-        NotebookPublication.deleteMany(
-          { notebookId: notebookDoc._id },
-          { session },
-        ),
-        NotebookIndex.deleteOne({ notebookId: notebookDoc._id }, { session }),
-        SavedNotebookQuery.deleteMany(
-          { notebookId: notebookDoc._id },
-          { session },
-        ),
-        // Clean up NoteHistory records for notes that belonged to this notebook
-        ...(noteIds.length
-          ? [NoteHistory.deleteMany({ noteId: { $in: noteIds } }, { session })]
-          : []),
-      ]);
-
-      await appendNotebookEvent(
-        {
-          notebookId: notebookDoc._id,
-          ownerId: notebookDoc.owner,
-          workspaceId: notebookDoc.workspaceId ?? null,
-          actorId: ownerObjectId,
-          eventType: "notebook.delete",
-          commandName: "deleteNotebook",
-          summary: `Deleted notebook ${notebookDoc.name}`,
-          payload: {
-            mode,
-            targetNotebookId: targetNotebookObjectId
-              ? targetNotebookObjectId.toString()
-              : null,
-            deletedNotes,
-            movedNotes,
-            noteIds: noteIds.map((docId) => docId.toString()),
-          },
-          inversePayload: {
-            action: "restoreNotebook",
-            notebook: serializeNotebookSnapshot(notebookDoc),
-            notes: noteDocs
-              .map((note) => serializeNoteSnapshot(note))
-              .filter(Boolean),
-            members: memberDocs
-              .map((member) => serializeMemberSnapshot(member))
-              .filter(Boolean),
-            shareLinks: shareLinkDocs
-              .map((link) => serializeShareLinkSnapshot(link))
-              .filter(Boolean),
-            collabDocuments: collabDocs
-              .map((doc) => serializeCollabDocumentSnapshot(doc))
-              .filter(Boolean),
-            publication: publicationDoc
-              ? {
-                  id: publicationDoc._id?.toString?.() ?? null,
-                  publicSlug: publicationDoc.publicSlug ?? null,
-                  snapshot: mapLikeToPlainObject(publicationDoc.snapshot),
-                  snapshotHash: publicationDoc.snapshotHash ?? null,
-                  html: publicationDoc.html ?? null,
-                  metadata: mapLikeToPlainObject(publicationDoc.metadata) ?? {},
-                  publishedAt: serializeDate(publicationDoc.publishedAt),
-                  createdAt: serializeDate(publicationDoc.createdAt),
-                  updatedAt: serializeDate(publicationDoc.updatedAt),
-                }
-              : null,
-            deleteCollaborative: Boolean(
-              deleteCollaborative && docNames.length,
-            ),
-          },
-        },
-        { session },
-      );
+      const result = await removeNotebookWithContents(notebookDoc, {
+        ...removeOptions,
+        liftedNotebookIds,
+      });
+      deletedNotes += result.deletedNotes;
+      movedNotes += result.movedNotes;
+      deletedNoteIds.push(...result.deletedNoteIds);
+      deletedNotebooks.push(notebookDoc._id.toString());
 
       responsePayload = {
         id: notebookDoc._id.toString(),
         deletedNotes,
         movedNotes,
+        deletedNotebooks,
+        liftedNotebooks: liftedNotebookIds,
       };
     });
   } catch (error) {
@@ -819,7 +1014,13 @@ export const deleteNotebook = async (req, res) => {
     if (error?.message === "NOTEBOOK_TARGET_INVALID") {
       return res
         .status(400)
-        .json({ message: "Cannot move notes to the same notebook" });
+        .json({ message: "Cannot move notes into a notebook being deleted" });
+    }
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        message:
+          "A child notebook has the same name as a notebook it would move next to",
+      });
     }
     logger.error("Failed to delete notebook", { message: error?.message });
     return res.status(500).json(INTERNAL_SERVER_ERROR);
@@ -840,12 +1041,138 @@ export const deleteNotebook = async (req, res) => {
       await NotebookIndex.deleteOne({ notebookId: sourceNotebookId });
     }
 
+    // Stored blobs cannot be part of the transaction, so attachments of
+    // deleted notes are removed once it has committed.
+    if (deletedNoteIds.length) {
+      try {
+        await purgeNoteAttachments(deletedNoteIds);
+      } catch (error) {
+        logger.warn("Failed to purge attachments of deleted notebook notes", {
+          notebookId: sourceNotebookId?.toString?.() ?? null,
+          message: error?.message,
+        });
+      }
+    }
+
     return res.status(200).json(responsePayload);
   }
 
   return res.status(500).json(INTERNAL_SERVER_ERROR);
 };
 
+/**
+ * Move a notebook, with everything below it, under another notebook or to
+ * the top level (`parentId: null`).
+ */
+export const moveNotebook = async (req, res) => {
+  const ownerId = req.user?.id;
+  if (!ownerId) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  const { id } = req.params;
+  const { parentId = null } = req.body ?? {};
+
+  const ownerObjectId = new mongoose.Types.ObjectId(ownerId);
+  const session = await mongoose.startSession();
+  let movedNotebook = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const notebookDoc = await Notebook.findOne({
+        _id: id,
+        owner: ownerObjectId,
+      }).session(session);
+
+      if (!notebookDoc) {
+        throw new Error("NOTEBOOK_NOT_FOUND");
+      }
+
+      const previousParentId = notebookDoc.parentId ?? null;
+      const parent = parentId
+        ? await validateNotebookParent({
+            notebook: notebookDoc,
+            parentId,
+            ownerId,
+            session,
+          })
+        : null;
+
+      if (
+        parent &&
+        !isSameNotebookWorkspace(
+          parent.workspaceId,
+          notebookDoc.workspaceId,
+          req.user?.defaultWorkspace,
+        )
+      ) {
+        throw new Error("PARENT_WORKSPACE_MISMATCH");
+      }
+
+      if (String(previousParentId) === String(parent?._id ?? null)) {
+        movedNotebook = notebookDoc.toObject();
+        return;
+      }
+
+      notebookDoc.set("parentId", parent?._id ?? null);
+      await notebookDoc.save({ session });
+      movedNotebook = notebookDoc.toObject();
+
+      await appendNotebookEvent(
+        {
+          notebookId: notebookDoc._id,
+          ownerId: notebookDoc.owner,
+          workspaceId: notebookDoc.workspaceId ?? null,
+          actorId: ownerObjectId,
+          eventType: "notebook.move",
+          commandName: "moveNotebook",
+          summary: parent
+            ? `Moved notebook ${notebookDoc.name} into ${parent.name}`
+            : `Moved notebook ${notebookDoc.name} to the top level`,
+          payload: {
+            parentId: parent?._id?.toString?.() ?? null,
+            previousParentId: previousParentId?.toString?.() ?? null,
+          },
+          inversePayload: {
+            action: "restoreNotebookParent",
+            previousParentId: previousParentId?.toString?.() ?? null,
+          },
+        },
+        { session },
+      );
+    });
+  } catch (error) {
+    await session.endSession();
+    if (error?.message === "NOTEBOOK_NOT_FOUND") {
+      return res.status(404).json({ message: "Notebook not found" });
+    }
+    const mapped = NOTEBOOK_PARENT_ERRORS[error?.message];
+    if (mapped) {
+      return res.status(mapped.status).json({ message: mapped.message });
+    }
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        message: "A notebook with this name already exists in that location",
+      });
+    }
+    logger.error("Failed to move notebook", { message: error?.message });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+
+  await session.endSession();
+
+  if (!movedNotebook) {
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+
+  return res.status(200).json({
+    id: movedNotebook._id.toString(),
+    parentId: movedNotebook.parentId?.toString?.() ?? null,
+    name: movedNotebook.name,
+    updatedAt: movedNotebook.updatedAt,
+  });
+};
+
 export const moveNotesToNotebook = async (req, res) => {
   const ownerId = req.user?.id;
   if (!ownerId) {
@@ -1083,6 +1410,7 @@ export const getSmartNotebook = async (req, res) => {
       search,
       limit,
       savedQuery: normalizedSavedQuery,
+      archiveMode: resolveArchiveMode(req.query),
     });
 
     return res.status(200).json(smartNotebook ?? {});
@@ -1313,6 +1641,14 @@ export const undoNotebookHistoryEvent = async (req, res) => {
         .status(409)
         .json({ message: "Newer history entries exist for this notebook" });
     }
+    if (
+      error?.message === "PARENT_CYCLE" ||
+      error?.message === "PARENT_TOO_DEEP"
+    ) {
+      return res.status(409).json({
+        message: "The previous parent notebook can no longer hold this notebook",
+      });
+    }
     if (
       error?.message === "UNDO_UNSUPPORTED" ||
       error?.message === "UNDO_UNSUPPORTED_PAYLOAD"
@@ -1347,6 +1683,7 @@ export default {
   createNotebook,
   updateNotebook,
   deleteNotebook,
+  moveNotebook,
   moveNotesToNotebook,
   getNotebookRecommendations,
   getSmartNotebook,
@@ -1,10 +1,10 @@
 import mongoose from "mongoose";
 import Note from "../models/Note.js";
 import Notebook from "../models/Notebook.js";
-import NotebookMember from "../models/NotebookMember.js";
 import CollabDocument from "../models/CollabDocument.js";
 import NoteHistory from "../models/NoteHistory.js";
 import NoteCollaborator from "../models/NoteCollaborator.js";
+import NoteComment from "../models/NoteComment.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
 import cacheService from "../services/cacheService.js";
@@ -17,6 +17,9 @@ import {
   touchWorkspaceMember,
   getWorkspaceMembership,
   getNotebookMembership,
+  listMemberNotebookRoles,
+  buildAccessibleNotesFilter,
+  resolveWorkspaceScope,
 } from "../utils/access.js";
 import {
   appendNotesToNotebookOrder,
@@ -28,6 +31,41 @@ import {
   buildNoteEmbeddingText,
   isEmbeddingEnabled,
 } from "../services/embeddingService.js";
+import {
+  indexNoteEmbedding,
+  removeNoteEmbeddings,
+  searchNoteVectors,
+} from "../services/vectorSearchService.js";
+import {
+  extractMentionIdsFromRichContent,
+  syncNoteMentions,
+} from "../services/mentionService.js";
+import {
+  extractLinksFromRichContent,
+  extractLinksFromText,
+  syncNoteLinks,
+} from "../services/noteLinkService.js";
+import { purgeNoteAttachments } from "../services/noteAttachmentService.js";
+import { buildArchiveFilter, resolveArchiveMode } from "../utils/noteArchive.js";
+import { BULK_NOTE_ACTIONS } from "../utils/constants.js";
+import {
+  isRichDocument,
+  plainTextToRichContent,
+  replaceYDocContent,
+  serializeNoteVersion,
+} from "../services/noteVersionService.js";
+import { applyNoteDocumentChange } from "../collab/server.js";
+import {
+  buildScheduleUpdate,
+  listDueSoon,
+  resolveDueSoonDays,
+} from "../services/reminderService.js";
+import {
+  buildCopyTitle,
+  duplicateNote as copyNote,
+  isSameCopyLocation,
+  resolveCopyDestination,
+} from "../services/noteDuplicationService.js";
 
 /**
  * Fire-and-forget: generate an embedding for a note and persist it.
@@ -40,10 +78,12 @@ const generateEmbeddingAsync = (noteId, noteData) => {
       const text = buildNoteEmbeddingText(noteData);
       const embedding = await embedText(text);
       if (embedding) {
+        const embeddedAt = new Date();
         await Note.updateOne(
           { _id: noteId },
-          { $set: { embedding, embeddingUpdatedAt: new Date() } },
+          { $set: { embedding, embeddingUpdatedAt: embeddedAt } },
         );
+        indexNoteEmbedding(noteId, embedding, embeddedAt);
       }
     } catch (err) {
       logger.debug("Async embedding generation failed", {
@@ -129,14 +169,8 @@ export const getAllNotes = async (req, res) => {
     // Parallelize independent membership lookups.
     // Both queries are capped to prevent building massive $in arrays that degrade
     // MongoDB query performance when a user has thousands of memberships.
-    const [notebookMemberships, collaboratorDocs] = await Promise.all([
-      NotebookMember.find({
-        userId: userObjectId,
-        status: "active",
-      })
-        .select({ notebookId: 1, role: 1 })
-        .limit(500)
-        .lean(),
+    const [notebookRoles, collaboratorDocs] = await Promise.all([
+      listMemberNotebookRoles(userId),
       NoteCollaborator.find({
         userId: userObjectId,
       })
@@ -147,11 +181,9 @@ export const getAllNotes = async (req, res) => {
 
     const notebookRoleById = new Map();
     const notebookMembershipObjectIds = [];
-    notebookMemberships.forEach((membership) => {
-      if (!membership?.notebookId) return;
-      const key = membership.notebookId.toString();
-      notebookRoleById.set(key, membership.role ?? "viewer");
-      notebookMembershipObjectIds.push(membership.notebookId);
+    notebookRoles.forEach((role, key) => {
+      notebookRoleById.set(key, role ?? "viewer");
+      notebookMembershipObjectIds.push(new mongoose.Types.ObjectId(key));
     });
 
     const collaboratorByNoteId = new Map();
@@ -186,19 +218,20 @@ export const getAllNotes = async (req, res) => {
       }
     }
 
+    let workspaceScope = null;
     if (requestedWorkspaceId) {
-      const context = await resolveWorkspaceForUser(
+      workspaceScope = await resolveWorkspaceScope(
         requestedWorkspaceId,
-        userId,
+        req.user,
       );
-      if (!context) {
+      if (!workspaceScope) {
         return res.status(404).json({ message: "Workspace not found" });
       }
-      query.workspaceId = context.workspace._id;
-      await touchWorkspaceMember(context.workspace._id, userId);
+      Object.assign(query, workspaceScope.filter);
+      await touchWorkspaceMember(workspaceScope.workspace._id, userId);
     }
 
-    if (!query.workspaceId && !requestedNotebookId) {
+    if (!workspaceScope && !requestedNotebookId) {
       const accessibleWorkspaceIds = await listAccessibleWorkspaceIds(userId);
       const filters = [{ owner: userObjectId }];
 
@@ -238,6 +271,8 @@ export const getAllNotes = async (req, res) => {
       query.notebookId = notebookFilterObjectId;
     }
 
+    Object.assign(query, buildArchiveFilter(resolveArchiveMode(req.query)));
+
     // ── Pagination ──────────────────────────────────────────────────────
     const page = Math.max(1, parseInt(req.query?.page, 10) || 1);
     const limit = Math.min(
@@ -317,6 +352,7 @@ export const getNoteById = async (req, res) => {
       canManageMembers: permissions.canManageCollaborators ?? false,
       canManageCollaborators: permissions.canManageCollaborators ?? false,
       canEdit: permissions.canEdit ?? false,
+      canComment: permissions.canComment ?? false,
       effectiveRole:
         permissions.effectiveRole ??
         (permissions.isOwner
@@ -437,6 +473,7 @@ export const createNote = async (req, res) => {
         0,
         50_000,
       ),
+      richSnapshot: savedNote.richContent ?? null,
       tagsSnapshot: Array.isArray(savedNote.tags) ? savedNote.tags : [],
     });
 
@@ -448,6 +485,21 @@ export const createNote = async (req, res) => {
       await queueNotebookIndexSafely(notebookObjectId, "note-create");
     }
 
+    if (payload.richContent) {
+      await syncNoteMentions({
+        noteId: savedNote._id,
+        actorId: userId,
+        mentionIds: extractMentionIdsFromRichContent(payload.richContent),
+      });
+    }
+
+    await syncNoteLinks({
+      noteId: savedNote._id,
+      links: payload.richContent
+        ? extractLinksFromRichContent(payload.richContent)
+        : extractLinksFromText(savedNote.content),
+    });
+
     // Fire-and-forget: generate a vector embedding for semantic search
     generateEmbeddingAsync(savedNote._id, {
       title: savedNote.title,
@@ -467,6 +519,63 @@ export const createNote = async (req, res) => {
   }
 };
 
+export const duplicateNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(INVALID_NOTE_ID);
+    }
+
+    const userId = req.user.id;
+    const access = await resolveNoteForUser(id, userId);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const { notebookId, workspaceId, title } = req.body ?? {};
+    const destination = await resolveCopyDestination({
+      userId,
+      notebookId,
+      workspaceId,
+      fallback: {
+        notebookId: access.note.notebookId,
+        workspaceId: access.note.workspaceId,
+      },
+      defaultWorkspaceId: req.user?.defaultWorkspace,
+    });
+
+    const copy = await copyNote({
+      sourceNote: access.note,
+      actorId: userId,
+      destination,
+      title:
+        typeof title === "string" && title.trim()
+          ? title.trim()
+          : isSameCopyLocation(access.note, destination)
+            ? buildCopyTitle(access.note.title)
+            : access.note.title,
+    });
+
+    await touchWorkspaceMember(destination.workspaceId, userId);
+    if (destination.notebookId) {
+      await appendNotesToNotebookOrder(destination.notebookId, [copy._id]);
+      await queueNotebookIndexSafely(destination.notebookId, "note-duplicate");
+    }
+
+    cacheService.invalidateUserRoutes(userId);
+    return res.status(201).json(copy);
+  } catch (error) {
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    logger.error("Error in duplicateNote", { error: error?.message });
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export const updateNote = async (req, res) => {
   try {
     const { id } = req.params;
@@ -475,9 +584,12 @@ export const updateNote = async (req, res) => {
       content,
       tags,
       pinned,
+      archived,
       notebookId,
       richContent,
       contentText,
+      dueAt,
+      remindAt,
     } = req.body;
 
     if (!isValidObjectId(id)) {
@@ -501,6 +613,17 @@ export const updateNote = async (req, res) => {
     if (typeof pinned !== "undefined") {
       updates.pinned = typeof pinned === "boolean" ? pinned : Boolean(pinned);
     }
+    if (
+      typeof archived !== "undefined" &&
+      Boolean(archived) !== Boolean(access.note.archived)
+    ) {
+      updates.archived = Boolean(archived);
+      updates.archivedAt = updates.archived ? new Date() : null;
+    }
+    Object.assign(
+      updates,
+      buildScheduleUpdate({ dueAt, remindAt }, access.note, req.user.id),
+    );
 
     if (typeof richContent !== "undefined") {
       updates.richContent = richContent;
@@ -587,6 +710,19 @@ export const updateNote = async (req, res) => {
       changes.push("pinned");
     }
 
+    if (typeof updates.archived !== "undefined") {
+      eventType = updates.archived ? "archive" : "unarchive";
+      changes.push("archived");
+    }
+
+    if (typeof updates.dueAt !== "undefined") {
+      changes.push("due date");
+    }
+
+    if (typeof updates.remindAt !== "undefined") {
+      changes.push("reminder");
+    }
+
     if (
       typeof notebookId !== "undefined" &&
       String(access.note.notebookId ?? "") !==
@@ -638,6 +774,7 @@ export const updateNote = async (req, res) => {
           updatedNote.content ??
           ""
         ).slice(0, 50_000),
+        richSnapshot: updatedNote.richContent ?? null,
         tagsSnapshot: Array.isArray(updatedNote.tags) ? updatedNote.tags : [],
       });
     } else {
@@ -676,6 +813,23 @@ export const updateNote = async (req, res) => {
       await queueNotebookIndexSafely(target, "note-update");
     }
 
+    if (typeof richContent !== "undefined") {
+      await syncNoteMentions({
+        noteId: updatedNote._id,
+        actorId: req.user.id,
+        mentionIds: extractMentionIdsFromRichContent(richContent),
+      });
+    }
+
+    if (typeof richContent !== "undefined" || typeof content !== "undefined") {
+      await syncNoteLinks({
+        noteId: updatedNote._id,
+        links: richContent
+          ? extractLinksFromRichContent(richContent)
+          : extractLinksFromText(updatedNote.content),
+      });
+    }
+
     // Fire-and-forget: regenerate vector embedding when content changes
     if (
       updates.title ||
@@ -705,6 +859,7 @@ export const updateNote = async (req, res) => {
       canManageMembers: nextPermissions.canManageCollaborators ?? false,
       canManageCollaborators: nextPermissions.canManageCollaborators ?? false,
       canEdit: nextPermissions.canEdit ?? false,
+      canComment: nextPermissions.canComment ?? false,
       effectiveRole:
         nextPermissions.effectiveRole ??
         (nextPermissions.isOwner
@@ -808,7 +963,16 @@ export const listTrashedNotes = async (req, res) => {
       return res.status(400).json({ message: "Invalid user id" });
     }
 
-    const notes = await Note.find({ owner: ownerId })
+    const filter = { owner: ownerId };
+    if (req.query?.workspaceId) {
+      const scope = await resolveWorkspaceScope(req.query.workspaceId, req.user);
+      if (!scope) {
+        return res.status(404).json({ message: "Workspace not found" });
+      }
+      Object.assign(filter, scope.filter);
+    }
+
+    const notes = await Note.find(filter)
       .setOptions({ onlyTrashed: true })
       .sort({ deletedAt: -1 })
       .select("title contentText tags notebookId workspaceId deletedAt updatedAt")
@@ -887,7 +1051,10 @@ export const purgeNote = async (req, res) => {
       await CollabDocument.findOneAndDelete({ name: trashed.docName });
     }
     await NoteCollaborator.deleteMany({ noteId: trashed._id });
+    await NoteComment.deleteMany({ noteId: trashed._id });
     await NoteHistory.deleteMany({ noteId: trashed._id });
+    await purgeNoteAttachments([trashed._id]);
+    removeNoteEmbeddings([trashed._id]);
 
     cacheService.invalidateUserRoutes(req.user.id);
     return res.status(200).json({ message: "Purged", id: trashed._id.toString() });
@@ -904,7 +1071,16 @@ export const emptyTrash = async (req, res) => {
       return res.status(400).json({ message: "Invalid user id" });
     }
 
-    const trashed = await Note.find({ owner: ownerId })
+    const filter = { owner: ownerId };
+    if (req.query?.workspaceId) {
+      const scope = await resolveWorkspaceScope(req.query.workspaceId, req.user);
+      if (!scope) {
+        return res.status(404).json({ message: "Workspace not found" });
+      }
+      Object.assign(filter, scope.filter);
+    }
+
+    const trashed = await Note.find(filter)
       .setOptions({ onlyTrashed: true })
       .select("_id docName")
       .lean();
@@ -923,7 +1099,10 @@ export const emptyTrash = async (req, res) => {
       await CollabDocument.deleteMany({ name: { $in: docNames } });
     }
     await NoteCollaborator.deleteMany({ noteId: { $in: ids } });
+    await NoteComment.deleteMany({ noteId: { $in: ids } });
     await NoteHistory.deleteMany({ noteId: { $in: ids } });
+    await purgeNoteAttachments(ids);
+    removeNoteEmbeddings(ids);
 
     cacheService.invalidateUserRoutes(ownerId);
     return res.status(200).json({ purged: ids.length });
@@ -933,6 +1112,33 @@ export const emptyTrash = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/notes/due-soon — notes and open action items due within `days`
+ * (default 7), overdue ones first. Archived notes are left out.
+ */
+export const getDueSoon = async (req, res) => {
+  try {
+    let accessFilter = await buildAccessibleNotesFilter(req.user.id);
+    if (req.query?.workspaceId) {
+      const scope = await resolveWorkspaceScope(req.query.workspaceId, req.user);
+      if (!scope) {
+        return res.status(404).json({ message: "Workspace not found" });
+      }
+      accessFilter = { $and: [accessFilter, scope.filter] };
+    }
+
+    const days = resolveDueSoonDays(req.query?.days);
+    const { items, horizon } = await listDueSoon(accessFilter, { days });
+    return res.status(200).json({ items, days, horizon });
+  } catch (error) {
+    logger.error("Failed to list due-soon notes", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export const getTagStats = async (req, res) => {
   try {
     const ownerId = req.user?.id;
@@ -941,27 +1147,24 @@ export const getTagStats = async (req, res) => {
       return res.status(400).json({ message: "Invalid user id" });
     }
 
-    let targetWorkspaceId = null;
+    let workspaceFilter = null;
     const requestedWorkspaceId = req.query?.workspaceId;
     if (requestedWorkspaceId) {
-      const context = await resolveWorkspaceForUser(
-        requestedWorkspaceId,
-        ownerId,
-      );
-      if (!context) {
+      const scope = await resolveWorkspaceScope(requestedWorkspaceId, req.user);
+      if (!scope) {
         return res
           .status(404)
           .json({ message: "Workspace not found or inaccessible" });
       }
-      targetWorkspaceId = context.workspace._id.toString();
-      await touchWorkspaceMember(context.workspace._id, ownerId);
+      workspaceFilter = scope.filter;
+      await touchWorkspaceMember(scope.workspace._id, ownerId);
     } else if (req.user?.defaultWorkspace) {
-      const context = await resolveWorkspaceForUser(
+      const scope = await resolveWorkspaceScope(
         req.user.defaultWorkspace,
-        ownerId,
+        req.user,
       );
-      if (context) {
-        targetWorkspaceId = context.workspace._id.toString();
+      if (scope) {
+        workspaceFilter = scope.filter;
       }
     }
 
@@ -971,10 +1174,9 @@ export const getTagStats = async (req, res) => {
     );
 
     const ownerMatch = new mongoose.Types.ObjectId(ownerId);
-    const matchStage = targetWorkspaceId
+    const matchStage = workspaceFilter
       ? {
-          workspaceId: new mongoose.Types.ObjectId(targetWorkspaceId),
-          tags: { $exists: true, $ne: [] },
+          $and: [workspaceFilter, { tags: { $exists: true, $ne: [] } }],
         }
       : {
           $and: [
@@ -1054,15 +1256,7 @@ export const bulkUpdateNotes = async (req, res) => {
       return _origJson(body);
     };
 
-    const validActions = new Set([
-      "pin",
-      "unpin",
-      "delete",
-      "addTags",
-      "move",
-      "moveNotebook",
-    ]);
-    if (!validActions.has(action)) {
+    if (!BULK_NOTE_ACTIONS.includes(action)) {
       return res.status(400).json({ message: "Unknown bulk action" });
     }
 
@@ -1129,7 +1323,8 @@ export const bulkUpdateNotes = async (req, res) => {
 
     // For destructive actions (delete, move) on notes the user doesn't own,
     // require admin/owner workspace role — editors should not be able to
-    // delete or relocate other members' notes.
+    // delete or relocate other members' notes. Copying only reads the
+    // source, so any workspace role will do.
     const requiredRoles =
       action === "delete" || action === "move" ? DESTRUCTIVE_ROLES : EDIT_ROLES;
 
@@ -1137,6 +1332,7 @@ export const bulkUpdateNotes = async (req, res) => {
       if (String(note.owner) === String(ownerId)) return true;
       if (!note.workspaceId) return false;
       const role = membershipRoleByWorkspace.get(note.workspaceId.toString());
+      if (action === "copy") return Boolean(role);
       return role && requiredRoles.has(role);
     });
 
@@ -1191,6 +1387,45 @@ export const bulkUpdateNotes = async (req, res) => {
       });
     }
 
+    if (action === "archive" || action === "unarchive") {
+      const desiredArchived = action === "archive";
+      // Only flip notes whose state changes so archivedAt keeps the original
+      // archive time when a note is archived twice.
+      const result = await Note.updateMany(
+        {
+          _id: { $in: objectIdArray },
+          archived: desiredArchived ? { $ne: true } : true,
+        },
+        {
+          $set: {
+            archived: desiredArchived,
+            archivedAt: desiredArchived ? new Date() : null,
+          },
+        },
+      );
+
+      await Promise.all([
+        ...touchPromises,
+        NoteHistory.insertMany(
+          permittedNotes
+            .filter((note) => Boolean(note.archived) !== desiredArchived)
+            .map((note) => ({
+              noteId: note._id,
+              workspaceId: note.workspaceId ?? null,
+              actorId: ownerId,
+              eventType: action,
+              summary: desiredArchived ? "Archived note" : "Unarchived note",
+            })),
+        ),
+      ]);
+
+      return res.status(200).json({
+        action,
+        updated: result.modifiedCount ?? 0,
+        noteIds: normalizedIds,
+      });
+    }
+
     if (action === "delete") {
       const now = new Date();
       const result = await Note.updateMany(
@@ -1372,8 +1607,54 @@ export const bulkUpdateNotes = async (req, res) => {
       });
     }
 
+    if (action === "copy") {
+      const destination = await resolveCopyDestination({
+        userId: ownerId,
+        notebookId,
+        workspaceId: req.body?.workspaceId,
+        defaultWorkspaceId: req.user?.defaultWorkspace,
+      });
+
+      // Keep the order the caller selected the notes in.
+      const notesById = new Map(
+        permittedNotes.map((note) => [note._id.toString(), note]),
+      );
+      const copiedNoteIds = [];
+      for (const noteId of normalizedIds) {
+        const source = notesById.get(noteId);
+        if (!source) continue;
+        const copy = await copyNote({
+          sourceNote: source,
+          actorId: ownerId,
+          destination,
+          title: isSameCopyLocation(source, destination)
+            ? buildCopyTitle(source.title)
+            : source.title,
+        });
+        copiedNoteIds.push(copy._id.toString());
+      }
+
+      await touchWorkspaceMember(destination.workspaceId, ownerId);
+      if (destination.notebookId) {
+        await appendNotesToNotebookOrder(destination.notebookId, copiedNoteIds);
+        await queueNotebookIndexSafely(destination.notebookId, "bulk-copy");
+      }
+
+      return res.status(200).json({
+        action,
+        copied: copiedNoteIds.length,
+        noteIds: normalizedIds,
+        copiedNoteIds,
+        notebookId: destination.notebookId?.toString() ?? null,
+        workspaceId: destination.workspaceId.toString(),
+      });
+    }
+
     return res.status(400).json({ message: "Unsupported action" });
   } catch (error) {
+    if (error?.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     logger.error("Bulk update notes failed", { error: error?.message });
     return res.status(500).json(INTERNAL_SERVER_ERROR);
   }
@@ -1406,16 +1687,10 @@ export const getNoteHistory = async (req, res) => {
       .lean();
 
     const payload = entries.map((entry) => ({
-      id: entry._id.toString(),
-      eventType: entry.eventType,
-      summary: entry.summary,
-      actorId: entry.actorId?.toString?.() ?? null,
-      createdAt: entry.createdAt,
+      ...serializeNoteVersion(entry),
       diff: entry.diff ?? null,
       awarenessState: entry.awarenessState ?? null,
-      titleSnapshot: entry.titleSnapshot ?? null,
-      contentSnapshot: entry.contentSnapshot ?? null,
-      tagsSnapshot: Array.isArray(entry.tagsSnapshot) ? entry.tagsSnapshot : null,
+      restoredFromId: entry.restoredFromId?.toString?.() ?? null,
     }));
 
     return res.status(200).json({ history: payload });
@@ -1425,6 +1700,144 @@ export const getNoteHistory = async (req, res) => {
   }
 };
 
+export const getNoteVersion = async (req, res) => {
+  try {
+    const { id, historyId } = req.params;
+    const access = await resolveNoteForUser(id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const entry = await NoteHistory.findOne({
+      _id: historyId,
+      noteId: access.note._id,
+    }).lean();
+    if (!entry) {
+      return res.status(404).json({ message: "Version not found" });
+    }
+
+    return res.status(200).json({ version: serializeNoteVersion(entry) });
+  } catch (error) {
+    logger.error("Failed to fetch note version", {
+      error: error?.message,
+      noteId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Roll a note back to a history snapshot. The snapshot is written into the
+ * note's Yjs document first so open editors switch to it live (and their
+ * autosave can't write the old text back), then the note row is updated and
+ * a `restore` entry is appended, so restores are themselves undoable.
+ */
+export const restoreNoteVersion = async (req, res) => {
+  try {
+    const { id, historyId } = req.params;
+    const access = await resolveNoteForUser(id, req.user.id);
+    if (!access) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+    if (!access.permissions?.canEdit) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    const entry = await NoteHistory.findOne({
+      _id: historyId,
+      noteId: access.note._id,
+    })
+      .select("+richSnapshot")
+      .lean();
+    if (!entry) {
+      return res.status(404).json({ message: "Version not found" });
+    }
+    // Older entries only carry plain text and restore as paragraphs.
+    const richContent = isRichDocument(entry.richSnapshot)
+      ? entry.richSnapshot
+      : null;
+    if (!richContent && !entry.contentSnapshot?.trim()) {
+      return res
+        .status(422)
+        .json({ message: "This version has no content to restore" });
+    }
+
+    const title = entry.titleSnapshot?.trim()
+      ? entry.titleSnapshot
+      : access.note.title;
+    const tags = Array.isArray(entry.tagsSnapshot)
+      ? entry.tagsSnapshot
+      : (access.note.tags ?? []);
+    const content = entry.contentSnapshot ?? "";
+
+    await applyNoteDocumentChange(access.note._id.toString(), (document) =>
+      replaceYDocContent(document, { title, text: content, richContent }),
+    );
+
+    const updatedNote = await Note.findOneAndUpdate(
+      { _id: access.note._id },
+      {
+        title,
+        tags,
+        content,
+        contentText: content,
+        richContent: richContent ?? plainTextToRichContent(content),
+      },
+      { new: true, runValidators: true },
+    );
+    if (!updatedNote) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const workspaceId = updatedNote.workspaceId ?? access.workspaceId ?? null;
+    if (workspaceId) {
+      await touchWorkspaceMember(workspaceId, req.user.id);
+    }
+
+    const restoreEntry = await NoteHistory.create({
+      noteId: updatedNote._id,
+      workspaceId,
+      actorId: req.user.id,
+      eventType: "restore",
+      summary: "Restored an earlier version",
+      restoredFromId: entry._id,
+      titleSnapshot: updatedNote.title ?? "",
+      contentSnapshot: content,
+      richSnapshot: updatedNote.richContent,
+      tagsSnapshot: Array.isArray(updatedNote.tags) ? updatedNote.tags : [],
+    });
+
+    if (updatedNote.notebookId) {
+      await queueNotebookIndexSafely(updatedNote.notebookId, "note-restore");
+    }
+    generateEmbeddingAsync(updatedNote._id, {
+      title: updatedNote.title,
+      content: updatedNote.content,
+      contentText: updatedNote.contentText,
+      tags: updatedNote.tags,
+    });
+
+    cacheService.invalidateUserRoutes(req.user.id);
+    return res.status(200).json({
+      note: updatedNote.toObject(),
+      version: {
+        ...serializeNoteVersion(restoreEntry),
+        restoredFromId: entry._id.toString(),
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to restore note version", {
+      error: error?.message,
+      noteId: req.params?.id,
+      userId: req.user?.id,
+    });
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export const getNoteLayout = async (req, res) => {
   try {
     const userId = req.user?.id;
@@ -1637,55 +2050,18 @@ export const searchNotes = async (req, res) => {
       return res.status(200).json({ results: [], searchMode: null, query: "" });
     }
 
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-
-    // Build the same access filter used by getAllNotes.
-    // Capped at 500 to prevent building massive $in arrays on heavily-shared accounts.
-    const [workspaceIds, collaboratorDocs, notebookMemberships] =
-      await Promise.all([
-        listAccessibleWorkspaceIds(userId),
-        NoteCollaborator.find({ userId: userObjectId })
-          .select({ noteId: 1 })
-          .limit(500)
-          .lean(),
-        NotebookMember.find({ userId: userObjectId, status: "active" })
-          .select({ notebookId: 1 })
-          .limit(500)
-          .lean(),
-      ]);
-
-    const orConditions = [{ owner: userObjectId }];
-
-    if (workspaceIds.length) {
-      orConditions.push({
-        workspaceId: {
-          $in: workspaceIds.map((id) => new mongoose.Types.ObjectId(id)),
-        },
-      });
-    }
-    const collabNoteIds = collaboratorDocs
-      .map((d) => d.noteId?.toString())
-      .filter(Boolean);
-    if (collabNoteIds.length) {
-      orConditions.push({
-        _id: {
-          $in: collabNoteIds.map((id) => new mongoose.Types.ObjectId(id)),
-        },
-      });
-    }
-    const memberNotebookIds = notebookMemberships
-      .map((d) => d.notebookId?.toString())
-      .filter(Boolean);
-    if (memberNotebookIds.length) {
-      orConditions.push({
-        notebookId: {
-          $in: memberNotebookIds.map((id) => new mongoose.Types.ObjectId(id)),
-        },
-      });
+    // Same access rules as getAllNotes.
+    let accessFilter = await buildAccessibleNotesFilter(userId);
+    if (req.query.workspaceId) {
+      const scope = await resolveWorkspaceScope(req.query.workspaceId, req.user);
+      if (!scope) {
+        return res.status(404).json({ message: "Workspace not found" });
+      }
+      accessFilter = { $and: [accessFilter, scope.filter] };
     }
-
-    const accessFilter =
-      orConditions.length === 1 ? orConditions[0] : { $or: orConditions };
+    accessFilter = {
+      $and: [accessFilter, buildArchiveFilter(resolveArchiveMode(req.query))],
+    };
 
     // ── 1. Try semantic (vector) search first ────────────────────────────
     let results = null;
@@ -1695,51 +2071,33 @@ export const searchNotes = async (req, res) => {
       try {
         const queryEmbedding = await embedText(rawQuery);
         if (queryEmbedding) {
-          const pipeline = [
-            {
-              $vectorSearch: {
-                index: "note_embedding_index",
-                path: "embedding",
-                queryVector: queryEmbedding,
-                numCandidates: Math.max(limit * 10, 100),
-                limit: limit * 2,
-              },
-            },
-            { $addFields: { score: { $meta: "vectorSearchScore" } } },
-            { $match: accessFilter },
-            { $limit: limit },
-            {
-              $project: {
-                title: 1,
-                content: 1,
-                contentText: 1,
-                tags: 1,
-                pinned: 1,
-                notebookId: 1,
-                updatedAt: 1,
-                createdAt: 1,
-                owner: 1,
-                score: 1,
-              },
+          const vectorResults = await searchNoteVectors({
+            queryVector: queryEmbedding,
+            accessFilter,
+            limit,
+            numCandidates: Math.max(limit * 10, 100),
+            projection: {
+              title: 1,
+              content: 1,
+              contentText: 1,
+              tags: 1,
+              pinned: 1,
+              archived: 1,
+              notebookId: 1,
+              updatedAt: 1,
+              createdAt: 1,
+              owner: 1,
             },
-          ];
-
-          const docs = await Note.aggregate(pipeline);
-          if (docs.length > 0) {
-            results = docs;
+          });
+          if (vectorResults?.results.length) {
+            results = vectorResults.results;
             searchMode = "semantic";
           }
         }
       } catch (vecErr) {
-        const msg = vecErr?.message ?? "";
-        if (
-          !msg.includes("PlanExecutor") &&
-          !msg.includes("vectorSearch") &&
-          !msg.includes("index not found") &&
-          !msg.includes("Atlas")
-        ) {
-          logger.warn("Vector search error", { message: msg.slice(0, 300) });
-        }
+        logger.warn("Vector search error", {
+          message: (vecErr?.message ?? "").slice(0, 300),
+        });
         // Fall through to keyword search
       }
     }
@@ -1756,6 +2114,7 @@ export const searchNotes = async (req, res) => {
           contentText: 1,
           tags: 1,
           pinned: 1,
+          archived: 1,
           notebookId: 1,
           updatedAt: 1,
           createdAt: 1,
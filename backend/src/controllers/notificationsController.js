@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { isValidObjectId } from "../utils/validators.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const NOTIFICATION_NOT_FOUND = { message: "Notification not found" };
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const toIdString = (value) => (value ? value.toString() : null);
+
+const serializeNotification = (notification, actorMap) => {
+  const actor = actorMap.get(toIdString(notification.actorId));
+  return {
+    id: notification._id.toString(),
+    type: notification.type,
+    source: notification.source,
+    noteId: toIdString(notification.noteId),
+    notebookId: toIdString(notification.notebookId),
+    workspaceId: toIdString(notification.workspaceId),
+    commentId: toIdString(notification.commentId),
+    title: notification.title ?? "",
+    excerpt: notification.excerpt ?? "",
+    actor: notification.actorId
+      ? {
+          id: toIdString(notification.actorId),
+          name: actor?.name ?? "Unknown user",
+        }
+      : null,
+    read: Boolean(notification.readAt),
+    readAt: notification.readAt ?? null,
+    createdAt: notification.createdAt,
+  };
+};
+
+const loadActorMap = async (notifications) => {
+  const ids = Array.from(
+    new Set(
+      notifications
+        .map((entry) => toIdString(entry.actorId))
+        .filter((id) => id !== null),
+    ),
+  );
+  if (!ids.length) {
+    return new Map();
+  }
+  const users = await User.find(
+    { _id: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) } },
+    { name: 1 },
+  ).lean();
+  return new Map(users.map((user) => [user._id.toString(), user]));
+};
+
+const countUnread = (recipientId) =>
+  Notification.countDocuments({ recipientId, readAt: null });
+
+export const listNotifications = async (req, res) => {
+  try {
+    const recipientId = new mongoose.Types.ObjectId(req.user.id);
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE),
+    );
+    const unreadOnly = req.query.unreadOnly === "true";
+
+    const filter = { recipientId };
+    if (unreadOnly) {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter),
+      countUnread(recipientId),
+    ]);
+
+    const actorMap = await loadActorMap(notifications);
+
+    return res.status(200).json({
+      notifications: notifications.map((entry) =>
+        serializeNotification(entry, actorMap),
+      ),
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list notifications", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid notification id" });
+    }
+
+    const recipientId = new mongoose.Types.ObjectId(req.user.id);
+    const notification = await Notification.findOne({
+      _id: new mongoose.Types.ObjectId(id),
+      recipientId,
+    });
+    if (!notification) {
+      return res.status(404).json(NOTIFICATION_NOT_FOUND);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const actorMap = await loadActorMap([notification]);
+
+    return res.status(200).json({
+      notification: serializeNotification(notification, actorMap),
+      unreadCount: await countUnread(recipientId),
+    });
+  } catch (error) {
+    logger.error("Failed to mark notification read", {
+      error: error?.message,
+      notificationId: req.params?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const recipientId = new mongoose.Types.ObjectId(req.user.id);
+    const result = await Notification.updateMany(
+      { recipientId, readAt: null },
+      { $set: { readAt: new Date() } },
+    );
+
+    return res.status(200).json({
+      updated: result.modifiedCount ?? 0,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    logger.error("Failed to mark notifications read", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
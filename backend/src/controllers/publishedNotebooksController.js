@@ -2,8 +2,22 @@ import Notebook from "../models/Notebook.js";
 import NotebookPublication from "../models/NotebookPublication.js";
 import logger from "../utils/logger.js";
 import { normalizeNotebookPublicSlug } from "../utils/notebooks.js";
+import {
+  hasPublicationAccess,
+  isPublicationExpired,
+  unlockPublication,
+} from "../services/publicationAccessService.js";
+import {
+  recordPublicationView,
+  recordPublishedNoteRead,
+} from "../services/publicationViewService.js";
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const NOT_FOUND = { message: "Notebook not found" };
+const PASSWORD_REQUIRED = {
+  message: "This notebook is password protected",
+  passwordRequired: true,
+};
 
 const toPlainObject = (value) => {
   if (!value) return null;
@@ -82,6 +96,30 @@ const serializeSnapshot = (snapshot) => {
   };
 };
 
+/** The live publication for `slug`, or null if unpublished or expired. */
+const findLivePublication = async (slug, select) => {
+  const publication = await NotebookPublication.findOne({
+    publicSlug: slug,
+  })
+    .select({ notebookId: 1, passwordHash: 1, expiresAt: 1, ...select })
+    .lean();
+
+  if (!publication || isPublicationExpired(publication)) {
+    return null;
+  }
+
+  const notebook = await Notebook.findOne({
+    _id: publication.notebookId,
+  })
+    .select({ isPublic: 1, publicSlug: 1 })
+    .lean();
+
+  if (!notebook || !notebook.isPublic || notebook.publicSlug !== slug) {
+    return null;
+  }
+  return publication;
+};
+
 export const getPublishedNotebookBySlug = async (req, res) => {
   try {
     const rawSlug = req.params?.slug ?? "";
@@ -91,32 +129,22 @@ export const getPublishedNotebookBySlug = async (req, res) => {
       return res.status(400).json({ message: "Invalid slug" });
     }
 
-    const publication = await NotebookPublication.findOne({
-      publicSlug: slug,
-    })
-      .select({
-        notebookId: 1,
-        ownerId: 1,
-        publicSlug: 1,
-        publishedAt: 1,
-        updatedAt: 1,
-        snapshot: 1,
-        metadata: 1,
-      })
-      .lean();
+    const publication = await findLivePublication(slug, {
+      ownerId: 1,
+      publicSlug: 1,
+      publishedAt: 1,
+      updatedAt: 1,
+      snapshot: 1,
+      metadata: 1,
+      noindex: 1,
+    });
 
     if (!publication) {
-      return res.status(404).json({ message: "Notebook not found" });
+      return res.status(404).json(NOT_FOUND);
     }
 
-    const notebook = await Notebook.findOne({
-      _id: publication.notebookId,
-    })
-      .select({ isPublic: 1, publicSlug: 1 })
-      .lean();
-
-    if (!notebook || !notebook.isPublic || notebook.publicSlug !== slug) {
-      return res.status(404).json({ message: "Notebook not found" });
+    if (!hasPublicationAccess(req, publication)) {
+      return res.status(403).json(PASSWORD_REQUIRED);
     }
 
     const metadata = toPlainObject(publication.metadata) ?? {};
@@ -124,10 +152,22 @@ export const getPublishedNotebookBySlug = async (req, res) => {
       publication.snapshot
     );
 
+    await recordPublicationView(req, {
+      targetType: "notebook",
+      targetId: publication.notebookId,
+    });
+
+    if (publication.passwordHash) {
+      // Unlocked content depends on the visitor's cookie.
+      res.set("Cache-Control", "private, no-store");
+    }
+
     return res.status(200).json({
       slug,
       publishedAt: serializeDate(publication.publishedAt),
       updatedAt: serializeDate(publication.updatedAt),
+      expiresAt: serializeDate(publication.expiresAt),
+      noindex: Boolean(publication.noindex),
       metadata,
       notebook: snapshotNotebook,
       notes,
@@ -140,6 +180,73 @@ export const getPublishedNotebookBySlug = async (req, res) => {
   }
 };
 
+export const unlockPublishedNotebook = async (req, res) => {
+  try {
+    const slug = normalizeNotebookPublicSlug(req.params?.slug ?? "");
+    if (!slug) {
+      return res.status(400).json({ message: "Invalid slug" });
+    }
+
+    const publication = await findLivePublication(slug, {});
+    if (!publication) {
+      return res.status(404).json(NOT_FOUND);
+    }
+
+    const unlocked = await unlockPublication(
+      req,
+      res,
+      publication,
+      req.body?.password
+    );
+    if (!unlocked) {
+      return res.status(403).json({ message: "Incorrect password" });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    logger.error("Failed to unlock published notebook", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+/** Beacon sent by the published page when a reader reaches a note. */
+export const recordPublishedNotebookNoteRead = async (req, res) => {
+  try {
+    const slug = normalizeNotebookPublicSlug(req.params?.slug ?? "");
+    if (!slug) {
+      return res.status(400).json({ message: "Invalid slug" });
+    }
+
+    const publication = await findLivePublication(slug, { snapshot: 1 });
+    if (!publication) {
+      return res.status(404).json(NOT_FOUND);
+    }
+    if (!hasPublicationAccess(req, publication)) {
+      return res.status(403).json(PASSWORD_REQUIRED);
+    }
+
+    const { noteId } = req.params;
+    const { notes } = serializeSnapshot(publication.snapshot);
+    if (!notes.some((note) => note.id === noteId)) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    await recordPublishedNoteRead(req, {
+      notebookId: publication.notebookId,
+      noteId,
+    });
+    return res.status(204).end();
+  } catch (error) {
+    logger.error("Failed to record published note read", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export default {
   getPublishedNotebookBySlug,
+  unlockPublishedNotebook,
+  recordPublishedNotebookNoteRead,
 };
@@ -2,8 +2,19 @@ import Note from "../models/Note.js";
 import NotePublication from "../models/NotePublication.js";
 import logger from "../utils/logger.js";
 import { normalizeNotebookPublicSlug as normalizePublicSlug } from "../utils/notebooks.js";
+import {
+  hasPublicationAccess,
+  isPublicationExpired,
+  unlockPublication,
+} from "../services/publicationAccessService.js";
+import { recordPublicationView } from "../services/publicationViewService.js";
 
 const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const NOT_FOUND = { message: "Note not found" };
+const PASSWORD_REQUIRED = {
+  message: "This note is password protected",
+  passwordRequired: true,
+};
 
 const serializeDate = (value) =>
   value instanceof Date
@@ -37,6 +48,26 @@ const serializeSnapshot = (snapshot) => {
   };
 };
 
+/** The live publication for `slug`, or null if unpublished or expired. */
+const findLivePublication = async (slug, select) => {
+  const publication = await NotePublication.findOne({ publicSlug: slug })
+    .select({ noteId: 1, passwordHash: 1, expiresAt: 1, ...select })
+    .lean();
+
+  if (!publication || isPublicationExpired(publication)) {
+    return null;
+  }
+
+  const note = await Note.findOne({ _id: publication.noteId })
+    .select({ isPublic: 1, publicSlug: 1 })
+    .lean();
+
+  if (!note || !note.isPublic || note.publicSlug !== slug) {
+    return null;
+  }
+  return publication;
+};
+
 export const getPublishedNoteBySlug = async (req, res) => {
   try {
     const rawSlug = req.params?.slug ?? "";
@@ -46,35 +77,41 @@ export const getPublishedNoteBySlug = async (req, res) => {
       return res.status(400).json({ message: "Invalid slug" });
     }
 
-    const publication = await NotePublication.findOne({ publicSlug: slug })
-      .select({
-        noteId: 1,
-        ownerId: 1,
-        publicSlug: 1,
-        publishedAt: 1,
-        updatedAt: 1,
-        snapshot: 1,
-      })
-      .lean();
+    const publication = await findLivePublication(slug, {
+      ownerId: 1,
+      publicSlug: 1,
+      publishedAt: 1,
+      updatedAt: 1,
+      snapshot: 1,
+      noindex: 1,
+    });
 
     if (!publication) {
-      return res.status(404).json({ message: "Note not found" });
+      return res.status(404).json(NOT_FOUND);
     }
 
-    const note = await Note.findOne({ _id: publication.noteId })
-      .select({ isPublic: 1, publicSlug: 1 })
-      .lean();
+    if (!hasPublicationAccess(req, publication)) {
+      return res.status(403).json(PASSWORD_REQUIRED);
+    }
 
-    if (!note || !note.isPublic || note.publicSlug !== slug) {
-      return res.status(404).json({ message: "Note not found" });
+    if (publication.passwordHash) {
+      // Unlocked content depends on the visitor's cookie.
+      res.set("Cache-Control", "private, no-store");
     }
 
     const { note: serializedNote } = serializeSnapshot(publication.snapshot);
 
+    await recordPublicationView(req, {
+      targetType: "note",
+      targetId: publication.noteId,
+    });
+
     return res.status(200).json({
       slug,
       publishedAt: serializeDate(publication.publishedAt),
       updatedAt: serializeDate(publication.updatedAt),
+      expiresAt: serializeDate(publication.expiresAt),
+      noindex: Boolean(publication.noindex),
       note: serializedNote,
     });
   } catch (error) {
@@ -85,6 +122,37 @@ export const getPublishedNoteBySlug = async (req, res) => {
   }
 };
 
+export const unlockPublishedNote = async (req, res) => {
+  try {
+    const slug = normalizePublicSlug(req.params?.slug ?? "");
+    if (!slug) {
+      return res.status(400).json({ message: "Invalid slug" });
+    }
+
+    const publication = await findLivePublication(slug, {});
+    if (!publication) {
+      return res.status(404).json(NOT_FOUND);
+    }
+
+    const unlocked = await unlockPublication(
+      req,
+      res,
+      publication,
+      req.body?.password
+    );
+    if (!unlocked) {
+      return res.status(403).json({ message: "Incorrect password" });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    logger.error("Failed to unlock published note", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export default {
   getPublishedNoteBySlug,
+  unlockPublishedNote,
 };
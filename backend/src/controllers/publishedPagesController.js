@@ -0,0 +1,303 @@
+import fs from "fs/promises";
+import Note from "../models/Note.js";
+import Notebook from "../models/Notebook.js";
+import NotePublication from "../models/NotePublication.js";
+import NotebookPublication from "../models/NotebookPublication.js";
+import logger from "../utils/logger.js";
+import { normalizeNotebookPublicSlug as normalizePublicSlug } from "../utils/notebooks.js";
+import {
+  buildListablePublicationFilter,
+  hasPublicationAccess,
+  isPublicationExpired,
+} from "../services/publicationAccessService.js";
+import {
+  PROTECTED_PAGE_HTML,
+  SITEMAP_URL_LIMIT,
+  STATIC_SITEMAP_PAGES,
+  buildNotePageMeta,
+  buildNotebookPageMeta,
+  buildProtectedPageMeta,
+  publishedNotePath,
+  publishedNotebookPath,
+  renderNotePublicationHtml,
+  renderNotebookFeed,
+  renderNotebookPublicationHtml,
+  renderPublishedPage,
+  renderSitemap,
+} from "../services/publicationRenderService.js";
+
+/** Short shared caching so unpublishing takes effect within a minute. */
+const PUBLIC_CACHE_CONTROL = "public, max-age=60";
+/** Protected pages vary with the visitor's unlock cookie. */
+const PRIVATE_CACHE_CONTROL = "private, no-store";
+const ACCESS_FIELDS = { passwordHash: 1, expiresAt: 1, noindex: 1 };
+
+let shellCache = { path: null, html: null };
+
+/** The built SPA `index.html`, when the API also serves the frontend. */
+const loadSpaShell = async (req) => {
+  const shellPath = req.app.get("spaIndexPath");
+  if (!shellPath) return null;
+  if (shellCache.path !== shellPath) {
+    try {
+      shellCache = { path: shellPath, html: await fs.readFile(shellPath, "utf8") };
+    } catch (error) {
+      logger.warn("Failed to read SPA shell for published pages", {
+        message: error?.message,
+      });
+      shellCache = { path: shellPath, html: null };
+    }
+  }
+  return shellCache.html;
+};
+
+const sendNotFound = async (req, res) => {
+  const shell = await loadSpaShell(req);
+  res.set("Cache-Control", "no-store");
+  if (shell) {
+    // The SPA shows its own "unavailable" state for the slug.
+    return res.status(404).type("html").send(shell);
+  }
+  return res.status(404).type("text").send("Not Found");
+};
+
+const findNotebookPublication = async (slug, select) => {
+  const publication = await NotebookPublication.findOne({ publicSlug: slug })
+    .select({ notebookId: 1, ...ACCESS_FIELDS, ...select })
+    .lean();
+  if (!publication || isPublicationExpired(publication)) return null;
+
+  const notebook = await Notebook.findOne({ _id: publication.notebookId })
+    .select({ isPublic: 1, publicSlug: 1 })
+    .lean();
+  if (!notebook || !notebook.isPublic || notebook.publicSlug !== slug) {
+    return null;
+  }
+  return publication;
+};
+
+const findNotePublication = async (slug, select) => {
+  const publication = await NotePublication.findOne({ publicSlug: slug })
+    .select({ noteId: 1, ...ACCESS_FIELDS, ...select })
+    .lean();
+  if (!publication || isPublicationExpired(publication)) return null;
+
+  const note = await Note.findOne({ _id: publication.noteId })
+    .select({ isPublic: 1, publicSlug: 1 })
+    .lean();
+  if (!note || !note.isPublic || note.publicSlug !== slug) {
+    return null;
+  }
+  return publication;
+};
+
+/**
+ * Send a rendered publication page, or a generic locked page when the visitor
+ * has not unlocked a protected publication (the SPA then asks for the
+ * password).
+ */
+const sendPublishedPage = async (req, res, { publication, path, buildMeta, buildBodyHtml }) => {
+  const shell = await loadSpaShell(req);
+  const locked = !hasPublicationAccess(req, publication);
+  const page = renderPublishedPage({
+    shell,
+    meta: locked ? buildProtectedPageMeta({ path }) : buildMeta(),
+    bodyHtml: locked ? PROTECTED_PAGE_HTML : buildBodyHtml(),
+    nonce: res.locals.cspNonce,
+  });
+
+  res.set(
+    "Cache-Control",
+    publication.passwordHash ? PRIVATE_CACHE_CONTROL : PUBLIC_CACHE_CONTROL,
+  );
+  if (locked || publication.noindex) {
+    res.set("X-Robots-Tag", "noindex, nofollow");
+  }
+  return res.status(200).type("html").send(page);
+};
+
+export const renderPublishedNotebookPage = async (req, res) => {
+  try {
+    const slug = normalizePublicSlug(req.params?.slug ?? "");
+    const publication = slug
+      ? await findNotebookPublication(slug, {
+          snapshot: 1,
+          html: 1,
+          metadata: 1,
+          updatedAt: 1,
+        })
+      : null;
+    if (!publication) {
+      return sendNotFound(req, res);
+    }
+
+    return sendPublishedPage(req, res, {
+      publication,
+      path: publishedNotebookPath(slug),
+      buildMeta: () =>
+        buildNotebookPageMeta({
+          slug,
+          snapshot: publication.snapshot,
+          metadata: publication.metadata,
+          updatedAt: publication.updatedAt,
+          noindex: publication.noindex,
+        }),
+      // Publications from before server rendering have no stored html.
+      buildBodyHtml: () =>
+        publication.html ?? renderNotebookPublicationHtml(publication.snapshot),
+    });
+  } catch (error) {
+    logger.error("Failed to render published notebook page", {
+      message: error?.message,
+    });
+    return res.status(500).type("text").send("Internal Server Error");
+  }
+};
+
+export const renderPublishedNotePage = async (req, res) => {
+  try {
+    const slug = normalizePublicSlug(req.params?.slug ?? "");
+    const publication = slug
+      ? await findNotePublication(slug, { snapshot: 1, html: 1, updatedAt: 1 })
+      : null;
+    if (!publication) {
+      return sendNotFound(req, res);
+    }
+
+    return sendPublishedPage(req, res, {
+      publication,
+      path: publishedNotePath(slug),
+      buildMeta: () =>
+        buildNotePageMeta({
+          slug,
+          snapshot: publication.snapshot,
+          updatedAt: publication.updatedAt,
+          noindex: publication.noindex,
+        }),
+      buildBodyHtml: () =>
+        publication.html ?? renderNotePublicationHtml(publication.snapshot),
+    });
+  } catch (error) {
+    logger.error("Failed to render published note page", {
+      message: error?.message,
+    });
+    return res.status(500).type("text").send("Internal Server Error");
+  }
+};
+
+export const getPublishedNotebookFeed = async (req, res) => {
+  try {
+    const slug = normalizePublicSlug(req.params?.slug ?? "");
+    const publication = slug
+      ? await findNotebookPublication(slug, {
+          snapshot: 1,
+          snapshotHash: 1,
+          updatedAt: 1,
+        })
+      : null;
+    if (!publication) {
+      return res.status(404).type("text").send("Not Found");
+    }
+    if (!hasPublicationAccess(req, publication)) {
+      res.set("Cache-Control", PRIVATE_CACHE_CONTROL);
+      return res.status(403).type("text").send("Password required");
+    }
+
+    res.set(
+      "Cache-Control",
+      publication.passwordHash ? PRIVATE_CACHE_CONTROL : PUBLIC_CACHE_CONTROL,
+    );
+    if (publication.noindex) {
+      res.set("X-Robots-Tag", "noindex");
+    }
+    if (publication.snapshotHash) {
+      res.set("ETag", `"${publication.snapshotHash}"`);
+    }
+    return res
+      .status(200)
+      .type("application/rss+xml")
+      .send(
+        renderNotebookFeed({
+          slug,
+          snapshot: publication.snapshot,
+          updatedAt: publication.updatedAt,
+        }),
+      );
+  } catch (error) {
+    logger.error("Failed to render published notebook feed", {
+      message: error?.message,
+    });
+    return res.status(500).type("text").send("Internal Server Error");
+  }
+};
+
+/**
+ * Slugs of open, indexable publications whose notebook or note is still
+ * public.
+ */
+const listLivePublications = async ({ Publication, Target, targetField, limit }) => {
+  if (limit <= 0) return [];
+  const publications = await Publication.find(buildListablePublicationFilter())
+    .select({ [targetField]: 1, publicSlug: 1, updatedAt: 1 })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .lean();
+  const targets = await Target.find({
+    _id: { $in: publications.map((publication) => publication[targetField]) },
+    isPublic: true,
+  })
+    .select({ publicSlug: 1 })
+    .lean();
+  const liveSlugs = new Map(
+    targets.map((target) => [target._id.toString(), target.publicSlug]),
+  );
+  return publications.filter(
+    (publication) =>
+      liveSlugs.get(publication[targetField].toString()) ===
+      publication.publicSlug,
+  );
+};
+
+export const getSitemap = async (_req, res) => {
+  try {
+    const notebooks = await listLivePublications({
+      Publication: NotebookPublication,
+      Target: Notebook,
+      targetField: "notebookId",
+      limit: SITEMAP_URL_LIMIT - STATIC_SITEMAP_PAGES.length,
+    });
+    const notes = await listLivePublications({
+      Publication: NotePublication,
+      Target: Note,
+      targetField: "noteId",
+      limit: SITEMAP_URL_LIMIT - STATIC_SITEMAP_PAGES.length - notebooks.length,
+    });
+
+    const entries = [
+      ...STATIC_SITEMAP_PAGES,
+      ...notebooks.map((publication) => ({
+        path: publishedNotebookPath(publication.publicSlug),
+        lastmod: publication.updatedAt,
+        changefreq: "weekly",
+      })),
+      ...notes.map((publication) => ({
+        path: publishedNotePath(publication.publicSlug),
+        lastmod: publication.updatedAt,
+        changefreq: "weekly",
+      })),
+    ];
+
+    res.set("Cache-Control", "public, max-age=3600");
+    return res.status(200).type("application/xml").send(renderSitemap(entries));
+  } catch (error) {
+    logger.error("Failed to render sitemap", { message: error?.message });
+    return res.status(500).type("text").send("Internal Server Error");
+  }
+};
+
+export default {
+  renderPublishedNotebookPage,
+  renderPublishedNotePage,
+  getPublishedNotebookFeed,
+  getSitemap,
+};
@@ -0,0 +1,130 @@
+import User from "../models/User.js";
+import { invalidateUserCache } from "../middleware/auth.js";
+import logger from "../utils/logger.js";
+import { parseUserAgent } from "../utils/userAgent.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+
+const serializeSession = (entry, currentSessionId) => ({
+  id: entry.sessionId,
+  device: parseUserAgent(entry.userAgent),
+  userAgent: entry.userAgent ?? null,
+  ip: entry.ip ?? null,
+  createdAt: entry.createdAt ?? null,
+  lastUsedAt: entry.lastUsedAt ?? entry.createdAt ?? null,
+  expiresAt: entry.expiresAt,
+  current: Boolean(currentSessionId) && entry.sessionId === currentSessionId,
+});
+
+const loadSessionOwner = (userId) =>
+  User.findById(userId).select("refreshTokens");
+
+export const listSessions = async (req, res) => {
+  try {
+    const user = await loadSessionOwner(req.user.id);
+    if (!user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    // Entries written before sessions had ids get one from the schema default
+    // on load; persist it so the ids we hand out stay valid for revocation.
+    if (user.refreshTokens.some((entry) => entry.$isDefault("sessionId"))) {
+      user.markModified("refreshTokens");
+      await user.save();
+    }
+
+    const now = Date.now();
+    const sessions = user.refreshTokens
+      .filter((entry) => entry.expiresAt?.getTime() > now)
+      .map((entry) => serializeSession(entry, req.sessionId))
+      .sort(
+        (a, b) =>
+          Number(b.current) - Number(a.current) ||
+          new Date(b.lastUsedAt ?? 0).getTime() -
+            new Date(a.lastUsedAt ?? 0).getTime(),
+      );
+
+    return res.status(200).json({ sessions });
+  } catch (error) {
+    logger.error("Failed to list sessions", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (sessionId === req.sessionId) {
+      return res
+        .status(400)
+        .json({ message: "Sign out to end your current session" });
+    }
+
+    const user = await loadSessionOwner(req.user.id);
+    if (!user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    if (!user.removeSession(sessionId)) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    await user.save();
+    invalidateUserCache(user.id);
+
+    logger.info("Session revoked", { userId: user.id, sessionId });
+
+    return res.status(204).send();
+  } catch (error) {
+    logger.error("Failed to revoke session", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    // Tokens issued before sessions existed (and API tokens) carry no session
+    // id, so there is no current session to keep.
+    if (!req.sessionId) {
+      return res.status(409).json({
+        message: "Sign in again to sign out your other sessions",
+      });
+    }
+
+    const user = await loadSessionOwner(req.user.id);
+    if (!user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const before = user.refreshTokens.length;
+    user.refreshTokens = user.refreshTokens.filter(
+      (entry) => entry.sessionId === req.sessionId,
+    );
+    const revoked = before - user.refreshTokens.length;
+
+    if (revoked > 0) {
+      await user.save();
+      invalidateUserCache(user.id);
+      logger.info("Other sessions revoked", { userId: user.id, revoked });
+    }
+
+    return res.status(200).json({ revoked });
+  } catch (error) {
+    logger.error("Failed to revoke other sessions", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
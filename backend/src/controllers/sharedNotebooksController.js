@@ -0,0 +1,274 @@
+import mongoose from "mongoose";
+import Note from "../models/Note.js";
+import NoteHistory from "../models/NoteHistory.js";
+import CollabDocument from "../models/CollabDocument.js";
+import logger from "../utils/logger.js";
+import { isValidObjectId } from "../utils/validators.js";
+import { renderRichContentHtml } from "../utils/richContentHtml.js";
+import { enqueueNotebookIndexJob } from "../tasks/notebookIndexingWorker.js";
+import { applyMergedNoteDocument } from "../services/offlineSyncMergeService.js";
+import {
+  inspectNotebookShareToken,
+  recordShareLinkAccess,
+} from "./notebookShareLinksController.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const SHARE_LINK_NOT_FOUND = { message: "Share link not found" };
+const NOTE_NOT_FOUND = { message: "Note not found" };
+const MAX_SHARED_NOTES = 500;
+
+const INACTIVE_LINK_MESSAGES = {
+  revoked: "This share link has been revoked",
+  expired: "This share link has expired",
+};
+
+const serializeDate = (value) =>
+  value instanceof Date
+    ? value.toISOString()
+    : value
+      ? new Date(value).toISOString()
+      : null;
+
+const serializeSharedNotebook = (notebook) => ({
+  id: notebook._id.toString(),
+  name: notebook.name ?? "Untitled notebook",
+  description: notebook.description ?? "",
+  color: notebook.color ?? null,
+  icon: notebook.icon ?? null,
+  updatedAt: serializeDate(notebook.updatedAt),
+});
+
+const serializeSharedNote = (note, { includeRichContent = false } = {}) => ({
+  id: note._id.toString(),
+  title: note.title ?? "Untitled note",
+  content: note.content ?? "",
+  contentText: note.contentText ?? note.content ?? "",
+  ...(includeRichContent
+    ? {
+        richContent: note.richContent ?? null,
+        // Rendered like published pages: known nodes only, all text escaped.
+        richContentHtml: renderRichContentHtml(note.richContent) || null,
+      }
+    : {}),
+  tags: Array.isArray(note.tags) ? [...note.tags] : [],
+  pinned: Boolean(note.pinned),
+  createdAt: serializeDate(note.createdAt),
+  updatedAt: serializeDate(note.updatedAt),
+});
+
+const sortByNotebookOrder = (notes, noteOrder) => {
+  if (!Array.isArray(noteOrder) || !noteOrder.length) {
+    return notes;
+  }
+  const orderMap = new Map(
+    noteOrder.map((value, index) => [String(value), index]),
+  );
+  return [...notes].sort((a, b) => {
+    const aOrder = orderMap.get(a.id) ?? Number.MAX_SAFE_INTEGER;
+    const bOrder = orderMap.get(b.id) ?? Number.MAX_SAFE_INTEGER;
+    if (aOrder !== bOrder) {
+      return aOrder - bOrder;
+    }
+    return (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0);
+  });
+};
+
+/**
+ * Resolve the share token from the route and reply with 404/410 when the link
+ * is unknown, revoked or expired. Every successful resolution is recorded on
+ * the link so owners can see when it was last used.
+ */
+const loadActiveShareLink = async (req, res) => {
+  const resolved = await inspectNotebookShareToken(req.params?.token);
+  if (!resolved) {
+    res.status(404).json(SHARE_LINK_NOT_FOUND);
+    return null;
+  }
+
+  if (resolved.status !== "active") {
+    res.status(410).json({
+      message: INACTIVE_LINK_MESSAGES[resolved.status],
+      status: resolved.status,
+    });
+    return null;
+  }
+
+  // Shared views are meant for the link holder only — keep them out of
+  // search engines even if the URL leaks.
+  res.set("X-Robots-Tag", "noindex, nofollow");
+  await recordShareLinkAccess(resolved.link._id);
+  return resolved;
+};
+
+const findSharedNote = (notebookId, noteId) => {
+  if (!isValidObjectId(noteId)) {
+    return null;
+  }
+  return Note.findOne({
+    _id: new mongoose.Types.ObjectId(noteId),
+    notebookId,
+  });
+};
+
+export const getSharedNotebook = async (req, res) => {
+  try {
+    const resolved = await loadActiveShareLink(req, res);
+    if (!resolved) return;
+
+    const { link, notebook } = resolved;
+    const notes = await Note.find({ notebookId: notebook._id })
+      .select({ richContent: 0 })
+      .sort({ pinned: -1, updatedAt: -1 })
+      .limit(MAX_SHARED_NOTES)
+      .lean();
+
+    return res.status(200).json({
+      role: link.role,
+      expiresAt: serializeDate(link.expiresAt),
+      notebook: serializeSharedNotebook(notebook),
+      notes: sortByNotebookOrder(
+        notes.map((note) => serializeSharedNote(note)),
+        notebook.noteOrder,
+      ),
+    });
+  } catch (error) {
+    logger.error("Failed to load shared notebook", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const getSharedNote = async (req, res) => {
+  try {
+    const resolved = await loadActiveShareLink(req, res);
+    if (!resolved) return;
+
+    const { link, notebook } = resolved;
+    const note = await findSharedNote(notebook._id, req.params?.noteId)?.lean();
+    if (!note) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    return res.status(200).json({
+      role: link.role,
+      notebookId: notebook._id.toString(),
+      note: serializeSharedNote(note, { includeRichContent: true }),
+    });
+  } catch (error) {
+    logger.error("Failed to load shared note", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const updateSharedNote = async (req, res) => {
+  try {
+    const resolved = await loadActiveShareLink(req, res);
+    if (!resolved) return;
+
+    const { link, notebook } = resolved;
+    if (link.role !== "editor") {
+      return res
+        .status(403)
+        .json({ message: "This share link is read-only" });
+    }
+
+    const note = await findSharedNote(notebook._id, req.params?.noteId);
+    if (!note) {
+      return res.status(404).json(NOTE_NOT_FOUND);
+    }
+
+    const { title, content, tags } = req.body ?? {};
+    const previousText = note.content ?? "";
+    const changes = [];
+    if (typeof title !== "undefined" && title !== note.title) {
+      note.title = title;
+      changes.push("title");
+    }
+    if (typeof content !== "undefined" && content !== note.content) {
+      note.content = content;
+      // The guest editor is plain text, so any stored rich document would
+      // now be stale.
+      note.richContent = null;
+      changes.push("content");
+    }
+    if (typeof tags !== "undefined") {
+      note.tags = tags;
+      changes.push("tags");
+    }
+
+    if (!changes.length) {
+      return res.status(400).json({ message: "No update data provided" });
+    }
+
+    await note.save();
+
+    // Editors with the note open hold its Yjs document and would save the old
+    // text back over the guest's, so merge the edit into the document too.
+    if (changes.includes("title") || changes.includes("content")) {
+      const hasDocument = await CollabDocument.exists({
+        name: note.docName ?? `note:${note._id.toString()}`,
+      });
+      if (hasDocument) {
+        await applyMergedNoteDocument({
+          noteId: note._id.toString(),
+          previousText,
+          title: note.title,
+          text: note.content ?? "",
+        });
+      }
+    }
+
+    if (note.workspaceId) {
+      // Guests have no account, so the history entry is attributed to the
+      // member who created the link.
+      await NoteHistory.create({
+        noteId: note._id,
+        workspaceId: note.workspaceId,
+        actorId: link.createdBy,
+        eventType: changes.includes("title") ? "title" : "edit",
+        summary: `Updated ${changes.join(", ")} via share link`,
+        titleSnapshot: note.title ?? "",
+        contentSnapshot: (note.contentText ?? note.content ?? "").slice(
+          0,
+          50_000,
+        ),
+        tagsSnapshot: Array.isArray(note.tags) ? note.tags : [],
+      });
+    }
+
+    try {
+      await enqueueNotebookIndexJob({
+        notebookId: notebook._id,
+        reason: "shared-note-update",
+      });
+    } catch (error) {
+      logger.warn("Failed to enqueue notebook index job", {
+        notebookId: notebook._id.toString(),
+        message: error?.message,
+      });
+    }
+
+    return res.status(200).json({
+      role: link.role,
+      notebookId: notebook._id.toString(),
+      note: serializeSharedNote(note.toObject(), { includeRichContent: true }),
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error("Failed to update shared note", {
+      message: error?.message,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  getSharedNotebook,
+  getSharedNote,
+  updateSharedNote,
+};
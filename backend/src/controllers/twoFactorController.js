@@ -0,0 +1,231 @@
+import QRCode from "qrcode";
+
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import {
+  buildOtpauthUri,
+  decryptTotpSecret,
+  encryptTotpSecret,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  createRecoveryCodes,
+  verifySecondFactor,
+} from "../services/twoFactorService.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "NotesBoard";
+const PENDING_SETUP_TTL_MS = 15 * 60 * 1000;
+
+const serializeTwoFactorStatus = (user) => ({
+  enabled: Boolean(user.twoFactor?.enabled),
+  enabledAt: user.twoFactor?.enabledAt ?? null,
+  recoveryCodesRemaining: user.twoFactor?.enabled
+    ? user.twoFactor.recoveryCodes?.length ?? 0
+    : 0,
+});
+
+/**
+ * Disabling 2FA or replacing recovery codes needs the password plus a current
+ * authenticator or recovery code, so a hijacked session alone cannot do it.
+ */
+const reauthenticate = async (user, { password, code }) => {
+  if (typeof password !== "string" || !(await user.comparePassword(password))) {
+    return { status: 400, message: "Current password is incorrect" };
+  }
+  if (!verifySecondFactor(user, code)) {
+    return { status: 400, message: "Invalid authentication code" };
+  }
+  return null;
+};
+
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select("twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes")
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    return res.status(200).json(serializeTwoFactorStatus(user));
+  } catch (error) {
+    logger.error("Failed to load two-factor status", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const startTwoFactorSetup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    user.set("twoFactor.pendingSecret", encryptTotpSecret(secret));
+    user.set("twoFactor.pendingCreatedAt", new Date());
+    await user.save();
+
+    const otpauthUri = buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: TOTP_ISSUER,
+    });
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUri, { margin: 1 });
+
+    return res.status(200).json({ secret, otpauthUri, qrCodeDataUrl });
+  } catch (error) {
+    logger.error("Failed to start two-factor setup", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "+twoFactor.pendingSecret +twoFactor.pendingCreatedAt",
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    const pendingCreatedAt = user.twoFactor?.pendingCreatedAt;
+    if (
+      !pendingSecret ||
+      !pendingCreatedAt ||
+      Date.now() - pendingCreatedAt.getTime() > PENDING_SETUP_TTL_MS
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Setup expired. Start two-factor setup again." });
+    }
+
+    const step = verifyTotp(decryptTotpSecret(pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    user.set("twoFactor", {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: pendingSecret,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+    });
+    await user.save();
+
+    logger.info("Two-factor authentication enabled", { userId: user.id });
+
+    // Plaintext recovery codes are returned exactly once.
+    return res.status(200).json({
+      ...serializeTwoFactorStatus(user),
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    logger.error("Failed to enable two-factor authentication", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      TWO_FACTOR_SECRET_FIELDS,
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const failure = await reauthenticate(user, req.body ?? {});
+    if (failure) {
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    user.set("twoFactor", { enabled: false });
+    await user.save();
+
+    logger.info("Two-factor authentication disabled", { userId: user.id });
+
+    return res.status(200).json(serializeTwoFactorStatus(user));
+  } catch (error) {
+    logger.error("Failed to disable two-factor authentication", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      TWO_FACTOR_SECRET_FIELDS,
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const failure = await reauthenticate(user, req.body ?? {});
+    if (failure) {
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    logger.info("Two-factor recovery codes regenerated", { userId: user.id });
+
+    return res.status(200).json({
+      ...serializeTwoFactorStatus(user),
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    logger.error("Failed to regenerate recovery codes", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
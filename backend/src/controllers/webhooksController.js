@@ -0,0 +1,340 @@
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import logger from "../utils/logger.js";
+import { MAX_WEBHOOKS_PER_SCOPE } from "../utils/constants.js";
+import {
+  WORKSPACE_MANAGE_ROLES,
+  getNotebookMembership,
+  getWorkspaceMembership,
+} from "../utils/access.js";
+import {
+  assertDeliverableUrl,
+  deleteWebhookWithDeliveries,
+  generateWebhookSecret,
+  redeliverWebhookDelivery,
+  sendWebhookTestEvent,
+  serializeWebhook,
+  serializeWebhookDelivery,
+} from "../services/webhookService.js";
+import { NOTEBOOK_EVENT_TYPES } from "../models/NotebookEvent.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const DEFAULT_DELIVERY_LIMIT = 25;
+
+/**
+ * The same handlers serve `/api/notebooks/:id/webhooks` and
+ * `/api/workspaces/:workspaceId/webhooks`. Only notebook owners and workspace
+ * owners/admins may manage hooks; everyone else gets a 404 or 403.
+ */
+const resolveWebhookScope = async (req) => {
+  const userId = req.user.id;
+
+  if (req.params.workspaceId) {
+    const context = await getWorkspaceMembership(
+      req.params.workspaceId,
+      userId
+    );
+    if (!context) {
+      return { status: 404, message: "Workspace not found" };
+    }
+    if (!WORKSPACE_MANAGE_ROLES.has(context.member?.role)) {
+      return { status: 403, message: "Insufficient permissions" };
+    }
+    return { filter: { workspaceId: context.workspace._id } };
+  }
+
+  const context = await getNotebookMembership(req.params.id, userId);
+  if (!context) {
+    return { status: 404, message: "Notebook not found" };
+  }
+  if (context.membership?.role !== "owner") {
+    return { status: 403, message: "Only the notebook owner can manage webhooks" };
+  }
+  return { filter: { notebookId: context.notebook._id } };
+};
+
+const findScopedWebhook = (scope, webhookId, { withSecret = false } = {}) => {
+  const query = Webhook.findOne({ _id: webhookId, ...scope.filter });
+  if (withSecret) {
+    query.select("+secret");
+  }
+  return query;
+};
+
+const normalizeEventTypes = (value) =>
+  Array.isArray(value) ? [...new Set(value)] : [];
+
+const logContext = (req, error) => ({
+  error: error?.message,
+  userId: req.user?.id,
+  notebookId: req.params?.id ?? null,
+  workspaceId: req.params?.workspaceId ?? null,
+  webhookId: req.params?.webhookId ?? null,
+});
+
+export const listWebhooks = async (req, res) => {
+  try {
+    const scope = await resolveWebhookScope(req);
+    if (!scope.filter) {
+      return res.status(scope.status).json({ message: scope.message });
+    }
+
+    const webhooks = await Webhook.find(scope.filter)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      webhooks: webhooks.map(serializeWebhook),
+      availableEventTypes: NOTEBOOK_EVENT_TYPES,
+    });
+  } catch (error) {
+    logger.error("Failed to list webhooks", logContext(req, error));
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const createWebhook = async (req, res) => {
+  try {
+    const scope = await resolveWebhookScope(req);
+    if (!scope.filter) {
+      return res.status(scope.status).json({ message: scope.message });
+    }
+
+    const existing = await Webhook.countDocuments(scope.filter);
+    if (existing >= MAX_WEBHOOKS_PER_SCOPE) {
+      return res.status(409).json({
+        message: `You can register at most ${MAX_WEBHOOKS_PER_SCOPE} webhooks here`,
+      });
+    }
+
+    try {
+      await assertDeliverableUrl(req.body.url);
+    } catch (error) {
+      return res.status(error.statusCode ?? 400).json({ message: error.message });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      ...scope.filter,
+      createdBy: req.user.id,
+      url: req.body.url,
+      description: req.body.description ?? "",
+      eventTypes: normalizeEventTypes(req.body.eventTypes),
+      secret,
+    });
+
+    logger.info("Webhook created", {
+      userId: req.user.id,
+      webhookId: webhook._id.toString(),
+    });
+
+    // The signing secret is returned only here and after rotation.
+    return res.status(201).json({
+      webhook: serializeWebhook(webhook),
+      secret,
+    });
+  } catch (error) {
+    logger.error("Failed to create webhook", logContext(req, error));
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const updateWebhook = async (req, res) => {
+  try {
+    const scope = await resolveWebhookScope(req);
+    if (!scope.filter) {
+      return res.status(scope.status).json({ message: scope.message });
+    }
+
+    const webhook = await findScopedWebhook(scope, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const { url, description, eventTypes, active, rotateSecret } = req.body;
+
+    if (url !== undefined && url !== webhook.url) {
+      try {
+        await assertDeliverableUrl(url);
+      } catch (error) {
+        return res
+          .status(error.statusCode ?? 400)
+          .json({ message: error.message });
+      }
+      webhook.url = url;
+    }
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+    if (eventTypes !== undefined) {
+      webhook.eventTypes = normalizeEventTypes(eventTypes);
+    }
+    if (active !== undefined) {
+      webhook.active = Boolean(active);
+      if (webhook.active) {
+        webhook.consecutiveFailures = 0;
+        webhook.disabledReason = null;
+      }
+    }
+
+    let secret = null;
+    if (rotateSecret) {
+      secret = generateWebhookSecret();
+      webhook.secret = secret;
+    }
+
+    await webhook.save();
+
+    return res.status(200).json({
+      webhook: serializeWebhook(webhook),
+      ...(secret ? { secret } : {}),
+    });
+  } catch (error) {
+    logger.error("Failed to update webhook", logContext(req, error));
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const deleteWebhook = async (req, res) => {
+  try {
+    const scope = await resolveWebhookScope(req);
+    if (!scope.filter) {
+      return res.status(scope.status).json({ message: scope.message });
+    }
+
+    const webhook = await findScopedWebhook(scope, req.params.webhookId).lean();
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    await deleteWebhookWithDeliveries(webhook._id);
+
+    logger.info("Webhook deleted", {
+      userId: req.user.id,
+      webhookId: webhook._id.toString(),
+    });
+
+    return res.status(200).json({
+      message: "Webhook deleted",
+      id: webhook._id.toString(),
+    });
+  } catch (error) {
+    logger.error("Failed to delete webhook", logContext(req, error));
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const listWebhookDeliveries = async (req, res) => {
+  try {
+    const scope = await resolveWebhookScope(req);
+    if (!scope.filter) {
+      return res.status(scope.status).json({ message: scope.message });
+    }
+
+    const webhook = await findScopedWebhook(scope, req.params.webhookId).lean();
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const page = Number.parseInt(req.query.page ?? "1", 10);
+    const limit = Number.parseInt(
+      req.query.limit ?? String(DEFAULT_DELIVERY_LIMIT),
+      10
+    );
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find({ webhookId: webhook._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments({ webhookId: webhook._id }),
+    ]);
+
+    return res.status(200).json({
+      deliveries: deliveries.map(serializeWebhookDelivery),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", logContext(req, error));
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const sendTestWebhook = async (req, res) => {
+  try {
+    const scope = await resolveWebhookScope(req);
+    if (!scope.filter) {
+      return res.status(scope.status).json({ message: scope.message });
+    }
+
+    const webhook = await findScopedWebhook(scope, req.params.webhookId, {
+      withSecret: true,
+    }).lean();
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const delivery = await sendWebhookTestEvent(webhook, {
+      actorId: req.user.id,
+    });
+
+    return res.status(200).json({
+      delivery: serializeWebhookDelivery(delivery),
+    });
+  } catch (error) {
+    logger.error("Failed to send test webhook", logContext(req, error));
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const redeliverWebhook = async (req, res) => {
+  try {
+    const scope = await resolveWebhookScope(req);
+    if (!scope.filter) {
+      return res.status(scope.status).json({ message: scope.message });
+    }
+
+    const webhook = await findScopedWebhook(scope, req.params.webhookId).lean();
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhookId: webhook._id,
+    }).lean();
+    if (!delivery) {
+      return res.status(404).json({ message: "Delivery not found" });
+    }
+
+    const queued = await redeliverWebhookDelivery(delivery);
+    if (!queued) {
+      return res
+        .status(409)
+        .json({ message: "Delivery is already queued for another attempt" });
+    }
+
+    return res.status(202).json({
+      delivery: serializeWebhookDelivery(queued),
+    });
+  } catch (error) {
+    logger.error("Failed to redeliver webhook", logContext(req, error));
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export default {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  sendTestWebhook,
+  redeliverWebhook,
+};
@@ -3,6 +3,19 @@ import Workspace, { WORKSPACE_ROLES } from "../models/Workspace.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
 import { normalizeEmail, isValidObjectId } from "../utils/validators.js";
+import { WORKSPACE_MANAGE_ROLES } from "../utils/access.js";
+import { MAX_OWNED_WORKSPACES } from "../utils/constants.js";
+import {
+  WORKSPACE_DELETE_MODES,
+  buildWorkspaceDeletionPlan,
+  buildWorkspaceSlug,
+  deleteWorkspaceWithContent,
+  listWorkspaceMoveTargets,
+  resolveWorkspaceRole,
+} from "../services/workspaceService.js";
+
+const INTERNAL_SERVER_ERROR = { message: "Internal server error" };
+const WORKSPACE_NOT_FOUND = { message: "Workspace not found" };
 
 export const listUserWorkspaces = async (req, res) => {
   try {
@@ -43,6 +56,7 @@ export const listUserWorkspaces = async (req, res) => {
         role,
         memberCount: 1 + (workspace.members?.length ?? 0),
         updatedAt: workspace.updatedAt ?? null,
+        isDefault: String(req.user.defaultWorkspace) === workspaceId,
       };
     });
 
@@ -53,7 +67,6 @@ export const listUserWorkspaces = async (req, res) => {
   }
 };
 
-const MANAGE_ROLES = new Set(["owner", "admin"]);
 const INVITE_ROLES = WORKSPACE_ROLES.filter((role) => role !== "owner");
 
 const normalizeRole = (value) => {
@@ -127,15 +140,27 @@ const serializeMembers = async (workspace) => {
   };
 };
 
-const resolveRequesterRole = (workspace, userId) => {
-  if (String(workspace.ownerId) === String(userId)) {
-    return "owner";
-  }
-  const member = (workspace.members ?? []).find(
-    (entry) => String(entry.userId) === String(userId)
+const resolveRequesterRole = resolveWorkspaceRole;
+
+const serializeWorkspace = (workspace, userId, defaultWorkspaceId = null) => ({
+  id: workspace._id.toString(),
+  name: workspace.name,
+  role: resolveWorkspaceRole(workspace, userId) ?? "viewer",
+  memberCount: 1 + (workspace.members?.length ?? 0),
+  updatedAt: workspace.updatedAt ?? null,
+  isDefault: String(defaultWorkspaceId) === workspace._id.toString(),
+});
+
+const membersResponse = async (workspace, requesterRole) => ({
+  ...(await serializeMembers(workspace)),
+  membershipRole: requesterRole,
+  canManage: WORKSPACE_MANAGE_ROLES.has(requesterRole),
+});
+
+const findMember = (workspace, memberId) =>
+  (workspace.members ?? []).find(
+    (member) => String(member.userId) === String(memberId),
   );
-  return member?.role ?? null;
-};
 
 export const listWorkspaceMembers = async (req, res) => {
   try {
@@ -158,7 +183,7 @@ export const listWorkspaceMembers = async (req, res) => {
     return res.status(200).json({
       ...payload,
       membershipRole: requesterRole,
-      canManage: MANAGE_ROLES.has(requesterRole),
+      canManage: WORKSPACE_MANAGE_ROLES.has(requesterRole),
     });
   } catch (error) {
     logger.error("Failed to list workspace members", { error: error?.message });
@@ -188,7 +213,7 @@ export const addWorkspaceMember = async (req, res) => {
     }
 
     const requesterRole = resolveRequesterRole(workspace, req.user.id);
-    if (!MANAGE_ROLES.has(requesterRole)) {
+    if (!WORKSPACE_MANAGE_ROLES.has(requesterRole)) {
       return res.status(403).json({ message: "Insufficient permissions" });
     }
 
@@ -263,7 +288,7 @@ export const addWorkspaceMember = async (req, res) => {
     return res.status(existingMember ? 200 : 201).json({
       ...payload,
       membershipRole: requesterRole,
-      canManage: MANAGE_ROLES.has(requesterRole),
+      canManage: WORKSPACE_MANAGE_ROLES.has(requesterRole),
     });
   } catch (error) {
     logger.error("Failed to add workspace member", { error: error?.message });
@@ -271,8 +296,410 @@ export const addWorkspaceMember = async (req, res) => {
   }
 };
 
+export const createWorkspace = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const name = String(req.body?.name ?? "").trim();
+    if (!name) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    const ownedCount = await Workspace.countDocuments({ ownerId: userId });
+    if (ownedCount >= MAX_OWNED_WORKSPACES) {
+      return res.status(409).json({
+        message: `You can own at most ${MAX_OWNED_WORKSPACES} workspaces`,
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      slug: buildWorkspaceSlug(name),
+      ownerId: userId,
+      members: [],
+    });
+
+    return res
+      .status(201)
+      .json(serializeWorkspace(workspace, userId, req.user.defaultWorkspace));
+  } catch (error) {
+    logger.error("Failed to create workspace", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const updateWorkspace = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const workspace = await getWorkspaceById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+
+    const requesterRole = resolveRequesterRole(workspace, req.user.id);
+    if (!requesterRole) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+    if (!WORKSPACE_MANAGE_ROLES.has(requesterRole)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    const name = String(req.body?.name ?? "").trim();
+    if (!name) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    workspace.name = name;
+    await workspace.save();
+
+    return res
+      .status(200)
+      .json(
+        serializeWorkspace(workspace, req.user.id, req.user.defaultWorkspace),
+      );
+  } catch (error) {
+    logger.error("Failed to update workspace", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Hand the workspace to an existing active member. The previous owner stays
+ * on as an admin so they keep access to everything they created.
+ */
+export const transferWorkspace = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { newOwnerId } = req.body ?? {};
+
+    const workspace = await getWorkspaceById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+
+    const requesterRole = resolveRequesterRole(workspace, req.user.id);
+    if (!requesterRole) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+    if (requesterRole !== "owner") {
+      return res
+        .status(403)
+        .json({ message: "Only the owner can transfer a workspace" });
+    }
+
+    const nextOwner = findMember(workspace, newOwnerId);
+    if (!nextOwner || (nextOwner.status ?? "active") !== "active") {
+      return res
+        .status(400)
+        .json({ message: "The new owner must be an active member" });
+    }
+
+    const previousOwnerId = workspace.ownerId;
+    const now = new Date();
+    const previousOwner = await User.findById(previousOwnerId)
+      .select({ name: 1 })
+      .lean();
+
+    // Conditional on the current owner so two concurrent transfers can't both
+    // succeed.
+    const result = await Workspace.updateOne(
+      { _id: workspace._id, ownerId: previousOwnerId },
+      [
+        {
+          $set: {
+            ownerId: nextOwner.userId,
+            members: {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: "$members",
+                    cond: { $ne: ["$$this.userId", nextOwner.userId] },
+                  },
+                },
+                [
+                  {
+                    $literal: {
+                      userId: previousOwnerId,
+                      role: "admin",
+                      invitedAt: workspace.createdAt ?? now,
+                      joinedAt: workspace.createdAt ?? now,
+                      displayName: previousOwner?.name ?? "",
+                      avatarColor: "",
+                      lastActiveAt: now,
+                      status: "active",
+                    },
+                  },
+                ],
+              ],
+            },
+          },
+        },
+      ],
+    );
+    if (!result.modifiedCount) {
+      return res
+        .status(409)
+        .json({ message: "Workspace ownership changed. Please reload." });
+    }
+
+    logger.info("Workspace ownership transferred", {
+      workspaceId: workspace._id.toString(),
+      from: previousOwnerId.toString(),
+      to: nextOwner.userId.toString(),
+    });
+
+    const updated = await Workspace.findById(workspace._id).lean();
+    return res.status(200).json(await membersResponse(updated, "admin"));
+  } catch (error) {
+    logger.error("Failed to transfer workspace", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const updateWorkspaceMember = async (req, res) => {
+  try {
+    const { workspaceId, memberId } = req.params;
+    const desiredRole = String(req.body?.role ?? "").toLowerCase();
+    if (!INVITE_ROLES.includes(desiredRole)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+
+    const workspace = await getWorkspaceById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+
+    const requesterRole = resolveRequesterRole(workspace, req.user.id);
+    if (!requesterRole) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+    if (!WORKSPACE_MANAGE_ROLES.has(requesterRole)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    if (String(workspace.ownerId) === String(memberId)) {
+      return res.status(400).json({
+        message: "Transfer the workspace to change the owner's role",
+      });
+    }
+
+    const member = findMember(workspace, memberId);
+    if (!member) {
+      return res.status(404).json({ message: "Member not found" });
+    }
+
+    // Admins manage everyone below them; only the owner can grant or revoke
+    // admin.
+    if (
+      requesterRole !== "owner" &&
+      (member.role === "admin" || desiredRole === "admin")
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Only owners can change admin roles" });
+    }
+
+    await Workspace.updateOne(
+      { _id: workspace._id, "members.userId": member.userId },
+      { $set: { "members.$.role": desiredRole } },
+    );
+
+    const updated = await Workspace.findById(workspace._id).lean();
+    return res.status(200).json(await membersResponse(updated, requesterRole));
+  } catch (error) {
+    logger.error("Failed to update workspace member", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+/** Remove a member, or leave the workspace when `memberId` is yourself. */
+export const removeWorkspaceMember = async (req, res) => {
+  try {
+    const { workspaceId, memberId } = req.params;
+
+    const workspace = await getWorkspaceById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+
+    const requesterRole = resolveRequesterRole(workspace, req.user.id);
+    if (!requesterRole) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+
+    if (String(workspace.ownerId) === String(memberId)) {
+      return res.status(400).json({
+        message: "The owner can't leave. Transfer or delete the workspace.",
+      });
+    }
+
+    const member = findMember(workspace, memberId);
+    if (!member) {
+      return res.status(404).json({ message: "Member not found" });
+    }
+
+    const isSelf = String(memberId) === String(req.user.id);
+    if (!isSelf) {
+      if (!WORKSPACE_MANAGE_ROLES.has(requesterRole)) {
+        return res.status(403).json({ message: "Insufficient permissions" });
+      }
+      if (requesterRole !== "owner" && member.role === "admin") {
+        return res
+          .status(403)
+          .json({ message: "Only owners can remove admins" });
+      }
+    }
+
+    await Workspace.updateOne(
+      { _id: workspace._id },
+      { $pull: { members: { userId: member.userId } } },
+    );
+    // A removed member's default must not keep pointing at a workspace they
+    // can no longer open.
+    await User.updateOne(
+      { _id: member.userId, defaultWorkspace: workspace._id },
+      { $unset: { defaultWorkspace: 1 } },
+    );
+
+    if (isSelf) {
+      return res.status(204).send();
+    }
+
+    const updated = await Workspace.findById(workspace._id).lean();
+    return res.status(200).json(await membersResponse(updated, requesterRole));
+  } catch (error) {
+    logger.error("Failed to remove workspace member", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const getWorkspaceDeletionPlan = async (req, res) => {
+  try {
+    const workspace = await getWorkspaceById(req.params.workspaceId);
+    if (!workspace) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+
+    const requesterRole = resolveRequesterRole(workspace, req.user.id);
+    if (!requesterRole) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+    if (requesterRole !== "owner") {
+      return res
+        .status(403)
+        .json({ message: "Only the owner can delete a workspace" });
+    }
+
+    return res
+      .status(200)
+      .json(await buildWorkspaceDeletionPlan(workspace, req.user.id));
+  } catch (error) {
+    logger.error("Failed to build workspace deletion plan", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const deleteWorkspace = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { mode, targetWorkspaceId = null, confirmName } = req.body ?? {};
+
+    if (!WORKSPACE_DELETE_MODES.includes(mode)) {
+      return res.status(400).json({
+        message: `mode must be one of: ${WORKSPACE_DELETE_MODES.join(", ")}`,
+      });
+    }
+
+    const workspace = await getWorkspaceById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+
+    const requesterRole = resolveRequesterRole(workspace, req.user.id);
+    if (!requesterRole) {
+      return res.status(404).json(WORKSPACE_NOT_FOUND);
+    }
+    if (requesterRole !== "owner") {
+      return res
+        .status(403)
+        .json({ message: "Only the owner can delete a workspace" });
+    }
+
+    if (String(req.user.defaultWorkspace) === workspace._id.toString()) {
+      return res
+        .status(409)
+        .json({ message: "Your default workspace can't be deleted" });
+    }
+
+    if (
+      typeof confirmName !== "string" ||
+      confirmName.trim() !== workspace.name
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Type the workspace name to confirm deletion" });
+    }
+
+    if (mode === "move") {
+      const targets = await listWorkspaceMoveTargets(
+        workspace._id,
+        req.user.id,
+      );
+      if (!targets.some((target) => target.id === String(targetWorkspaceId))) {
+        return res.status(400).json({
+          message: "Choose a workspace you manage to move the content into",
+        });
+      }
+    }
+
+    const summary = await deleteWorkspaceWithContent(workspace, {
+      mode,
+      targetWorkspaceId,
+      actorId: req.user.id,
+    });
+
+    logger.info("Workspace deleted", {
+      workspaceId: workspace._id.toString(),
+      userId: req.user.id,
+      ...summary,
+    });
+
+    return res.status(200).json(summary);
+  } catch (error) {
+    logger.error("Failed to delete workspace", {
+      error: error?.message,
+      userId: req.user?.id,
+    });
+    return res.status(500).json(INTERNAL_SERVER_ERROR);
+  }
+};
+
 export default {
   listUserWorkspaces,
   listWorkspaceMembers,
   addWorkspaceMember,
+  createWorkspace,
+  updateWorkspace,
+  transferWorkspace,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  getWorkspaceDeletionPlan,
+  deleteWorkspace,
 };
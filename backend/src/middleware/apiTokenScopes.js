@@ -0,0 +1,40 @@
+/**
+ * Scope checks for personal API tokens. Requests authenticated with a JWT
+ * session (`req.apiToken === null`) pass through untouched.
+ */
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// A write token can also read what it writes.
+const IMPLIED_SCOPES = {
+  "notes:write": ["notes:read"],
+};
+
+export const hasScope = (scopes, required) =>
+  Array.isArray(scopes) &&
+  scopes.some(
+    (scope) =>
+      scope === required || (IMPLIED_SCOPES[scope] ?? []).includes(required),
+  );
+
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiToken || hasScope(req.apiToken.scopes, scope)) {
+    return next();
+  }
+  return res.status(403).json({
+    message: `This API token is missing the "${scope}" scope`,
+    requiredScope: scope,
+  });
+};
+
+/** Pick the scope by HTTP method: safe methods read, everything else writes. */
+export const requireScopeByMethod = ({ read, write }) => {
+  const readCheck = requireScope(read);
+  const writeCheck = requireScope(write);
+  return (req, res, next) =>
+    SAFE_METHODS.has(req.method)
+      ? readCheck(req, res, next)
+      : writeCheck(req, res, next);
+};
+
+export default { hasScope, requireScope, requireScopeByMethod };
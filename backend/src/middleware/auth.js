@@ -1,9 +1,11 @@
 import User from "../models/User.js";
-import { verifyAccessToken } from "../utils/tokenService.js";
+import ApiToken from "../models/ApiToken.js";
+import { hashToken, verifyAccessToken } from "../utils/tokenService.js";
 import logger from "../utils/logger.js";
 import { extractBearerToken } from "../utils/http.js";
 import NodeCache from "node-cache";
 import {
+  API_TOKEN_PREFIX,
   MAX_TOKEN_BYTES,
   USER_CACHE_TTL_SECONDS,
   USER_CACHE_MAX_KEYS,
@@ -26,65 +28,149 @@ const userCache = new NodeCache({
 });
 
 const USER_PROJECTION =
-  "name email role defaultWorkspace passwordChangedAt";
+  "name email role defaultWorkspace passwordChangedAt refreshTokens.sessionId";
 
-const auth = async (req, res, next) => {
-  try {
-    const token = extractBearerToken(req.headers.authorization);
+// lastUsedAt is informational; writing it at most every few minutes keeps
+// scripted clients from turning every request into a database write.
+const API_TOKEN_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
 
-    if (!token) {
-      return res.status(401).json({ message: "Authorization required" });
+const loadUser = async (userId, { fresh = false } = {}) => {
+  let user = fresh ? undefined : userCache.get(userId);
+  if (!user) {
+    user = await User.findById(userId).select(USER_PROJECTION).lean();
+    if (user) {
+      userCache.set(userId, user);
     }
+  }
+  return user ?? null;
+};
 
-    // Guard against oversized tokens — JWTs are typically <1 KB. Parsing an
-    // attacker-supplied multi-MB string in jwt.verify is expensive.
-    if (token.length > MAX_TOKEN_BYTES) {
-      return res.status(401).json({ message: "Authorization required" });
-    }
+const hasSession = (user, sessionId) =>
+  Boolean(
+    user?.refreshTokens?.some((entry) => entry.sessionId === sessionId),
+  );
 
-    const payload = verifyAccessToken(token);
-    const userId = payload.sub;
+const resolveApiToken = async (token) => {
+  const record = await ApiToken.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+  }).lean();
+  if (!record) return null;
+  if (record.expiresAt && record.expiresAt.getTime() <= Date.now()) {
+    return null;
+  }
+
+  if (
+    !record.lastUsedAt ||
+    Date.now() - record.lastUsedAt.getTime() > API_TOKEN_TOUCH_INTERVAL_MS
+  ) {
+    ApiToken.updateOne(
+      { _id: record._id },
+      { $set: { lastUsedAt: new Date() } },
+    ).catch((error) => {
+      logger.warn("Failed to record API token usage", {
+        error: error?.message,
+      });
+    });
+  }
 
-    let user = userCache.get(userId);
-    if (!user) {
-      user = await User.findById(userId).select(USER_PROJECTION).lean();
-      if (user) {
-        userCache.set(userId, user);
+  return record;
+};
+
+/**
+ * Build the auth middleware. Personal API tokens are only accepted where a
+ * router opts in with `allowApiTokens`; those routers must also declare the
+ * scope each route needs (see middleware/apiTokenScopes.js).
+ */
+export const authenticate = ({ allowApiTokens = false } = {}) =>
+  async (req, res, next) => {
+    try {
+      const token = extractBearerToken(req.headers.authorization);
+
+      if (!token) {
+        return res.status(401).json({ message: "Authorization required" });
       }
-    }
 
-    if (!user) {
-      return res.status(401).json({ message: "Invalid token" });
-    }
+      // Guard against oversized tokens — JWTs are typically <1 KB. Parsing an
+      // attacker-supplied multi-MB string in jwt.verify is expensive.
+      if (token.length > MAX_TOKEN_BYTES) {
+        return res.status(401).json({ message: "Authorization required" });
+      }
+
+      let user;
+      let apiToken = null;
+      let sessionId = null;
+
+      if (token.startsWith(API_TOKEN_PREFIX)) {
+        if (!allowApiTokens) {
+          return res
+            .status(403)
+            .json({ message: "API tokens cannot be used for this endpoint" });
+        }
 
-    // Reject tokens issued before the most recent password change / reset.
-    // JWT `iat` is in seconds; passwordChangedAt is a Date.
-    if (user.passwordChangedAt && payload.iat) {
-      const changedAtSec = Math.floor(user.passwordChangedAt.getTime() / 1000);
-      if (payload.iat < changedAtSec) {
-        return res.status(401).json({ message: "Token revoked" });
+        apiToken = await resolveApiToken(token);
+        if (!apiToken) {
+          return res.status(401).json({ message: "Invalid token" });
+        }
+        user = await loadUser(apiToken.userId.toString());
+      } else {
+        const payload = verifyAccessToken(token);
+        user = await loadUser(payload.sub);
+
+        // Reject tokens issued before the most recent password change / reset.
+        // JWT `iat` is in seconds; passwordChangedAt is a Date.
+        if (user?.passwordChangedAt && payload.iat) {
+          const changedAtSec = Math.floor(
+            user.passwordChangedAt.getTime() / 1000,
+          );
+          if (payload.iat < changedAtSec) {
+            return res.status(401).json({ message: "Token revoked" });
+          }
+        }
+
+        // Tokens tied to a revoked session stop working before they expire.
+        // A session created after the user was cached is not in the cached
+        // copy yet, so re-read once before rejecting.
+        if (user && payload.sid && !hasSession(user, payload.sid)) {
+          user = await loadUser(payload.sub, { fresh: true });
+          if (user && !hasSession(user, payload.sid)) {
+            return res.status(401).json({ message: "Session revoked" });
+          }
+        }
+        sessionId = payload.sid ?? null;
       }
+
+      if (!user) {
+        return res.status(401).json({ message: "Invalid token" });
+      }
+
+      req.user = {
+        id: user._id.toString(),
+        role: user.role,
+        email: user.email,
+        name: user.name,
+        defaultWorkspace: user.defaultWorkspace?.toString?.() ?? null,
+      };
+      // NOTE: req.userDocument is a lean POJO — callers needing Mongoose methods
+      // should fetch the full document explicitly.
+      req.userDocument = user;
+      // Set only for personal API token requests; JWT sessions are unscoped.
+      req.apiToken = apiToken
+        ? { id: apiToken._id.toString(), scopes: apiToken.scopes }
+        : null;
+      // Refresh session behind a JWT, when the token carries one.
+      req.sessionId = sessionId;
+
+      return next();
+    } catch (error) {
+      logger.warn("Auth middleware rejected request", {
+        error: error?.message,
+      });
+      return res.status(401).json({ message: "Unauthorized" });
     }
+  };
 
-    req.user = {
-      id: user._id.toString(),
-      role: user.role,
-      email: user.email,
-      name: user.name,
-      defaultWorkspace: user.defaultWorkspace?.toString?.() ?? null,
-    };
-    // NOTE: req.userDocument is a lean POJO — callers needing Mongoose methods
-    // should fetch the full document explicitly.
-    req.userDocument = user;
-
-    return next();
-  } catch (error) {
-    logger.warn("Auth middleware rejected request", {
-      error: error?.message,
-    });
-    return res.status(401).json({ message: "Unauthorized" });
-  }
-};
+const auth = authenticate();
 
 /**
  * Invalidate the auth user cache for a specific user.
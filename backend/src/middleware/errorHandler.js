@@ -23,6 +23,13 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.name === "MulterError") {
+    return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      message:
+        err.code === "LIMIT_FILE_SIZE" ? "Uploaded file is too large" : err.message,
+    });
+  }
+
   if (err.name === "ValidationError") {
     return res.status(400).json({
       message: "Validation error",
@@ -164,6 +164,15 @@ export const validationRules = {
       }),
   ],
 
+  // Due date / reminder pair on notes and action items; `null` clears.
+  scheduleDates: () =>
+    ["dueAt", "remindAt"].map((field) =>
+      body(field)
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage(`${field} must be a valid ISO 8601 date or null`),
+    ),
+
   analyticsRange: () =>
     query("range")
       .optional()
@@ -187,6 +196,30 @@ export const validationRules = {
         "Slug may only contain lowercase letters, numbers, and hyphens",
       ),
 
+  // Access settings on publish requests; `null` clears password or expiry.
+  publicationSettings: () => [
+    body("password")
+      .optional({ nullable: true })
+      .isString()
+      .withMessage("password must be a string or null")
+      .isLength({ min: 4, max: 128 })
+      .withMessage("Password must be between 4 and 128 characters"),
+    body("expiresAt")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("expiresAt must be a valid ISO 8601 date or null")
+      .custom((value) => {
+        if (new Date(value).getTime() <= Date.now()) {
+          throw new Error("expiresAt must be in the future");
+        }
+        return true;
+      }),
+    body("noindex")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("noindex must be a boolean"),
+  ],
+
   syncClientId: (field = "clientId") =>
     body(field)
       .optional()
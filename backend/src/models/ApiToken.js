@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import { API_TOKEN_SCOPES } from "../utils/constants.js";
+
+const MAX_TOKEN_NAME_LENGTH = 80;
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_TOKEN_NAME_LENGTH,
+    },
+    // SHA-256 of the token (see tokenService.hashToken); the plaintext is
+    // only returned once, when the token is created.
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    displayPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_TOKEN_SCOPES }],
+      validate: {
+        validator: (scopes) => Array.isArray(scopes) && scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+
+export default ApiToken;
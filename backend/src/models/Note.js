@@ -149,6 +149,28 @@ const noteSchema = new mongoose.Schema(
       default: "",
       maxlength: 50000,
     },
+    // Users already notified about an @mention in the note body, so saving
+    // the same document again does not notify them twice.
+    mentionedUserIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: undefined,
+      select: false,
+      validate: {
+        validator: (v) => !v || v.length <= 200,
+        message: "mentionedUserIds cannot exceed 200 entries",
+      },
+    },
+    // Notes this note links to via `[[Title]]`, refreshed on every save.
+    // Backlinks are the reverse lookup on this field.
+    linkedNoteIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Note" }],
+      default: undefined,
+      select: false,
+      validate: {
+        validator: (v) => !v || v.length <= 200,
+        message: "linkedNoteIds cannot exceed 200 entries",
+      },
+    },
 
     /* ── Semantic Embeddings ── */
     embedding: {
@@ -174,6 +196,14 @@ const noteSchema = new mongoose.Schema(
             _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
             text: { type: String, required: true },
             completed: { type: Boolean, default: false },
+            dueAt: { type: Date, default: null },
+            remindAt: { type: Date, default: null },
+            reminderUserId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+              default: null,
+            },
+            reminderSentAt: { type: Date, default: null },
           },
         ],
         validate: {
@@ -213,6 +243,40 @@ const noteSchema = new mongoose.Schema(
       default: null,
     },
 
+    /* ── Archive ── */
+    // Archived notes stay fully editable but drop out of default lists,
+    // search and smart notebooks until unarchived.
+    archived: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /* ── Due dates & reminders ── */
+    // `reminderUserId` is whoever set the reminder; the scheduler alerts them
+    // once at `remindAt` and stamps `reminderSentAt`.
+    dueAt: {
+      type: Date,
+      default: null,
+    },
+    remindAt: {
+      type: Date,
+      default: null,
+    },
+    reminderUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+
     /* ── Trash / soft delete ── */
     deletedAt: {
       type: Date,
@@ -266,14 +330,18 @@ const applyOnlyTrashedFilter = function applyOnlyTrashedFilter() {
   noteSchema.pre(hook, applyOnlyTrashedFilter);
 });
 
+// Search stages must open the pipeline, so the trash filter goes after them.
+const LEADING_STAGES = ["$vectorSearch", "$search", "$geoNear"];
+
 noteSchema.pre("aggregate", function applyTrashAggregate() {
   const options = this.options ?? {};
   if (options.withTrashed) return;
-  if (options.onlyTrashed) {
-    this.pipeline().unshift({ $match: { deletedAt: { $ne: null } } });
-    return;
-  }
-  this.pipeline().unshift({ $match: { deletedAt: null } });
+  const pipeline = this.pipeline();
+  const match = options.onlyTrashed
+    ? { $match: { deletedAt: { $ne: null } } }
+    : { $match: { deletedAt: null } };
+  const leading = LEADING_STAGES.some((stage) => pipeline[0]?.[stage]);
+  pipeline.splice(leading ? 1 : 0, 0, match);
 });
 
 noteSchema.index(
@@ -287,6 +355,24 @@ noteSchema.index({ owner: 1, notebookId: 1 });
 // Compound indexes for efficient paginated queries with skip/limit
 noteSchema.index({ workspaceId: 1, pinned: -1, updatedAt: -1 });
 noteSchema.index({ notebookId: 1, pinned: -1, updatedAt: -1 });
+noteSchema.index({ linkedNoteIds: 1 });
+// Reminder scheduler scan and the "due soon" view
+noteSchema.index(
+  { remindAt: 1, reminderSentAt: 1 },
+  { partialFilterExpression: { remindAt: { $type: "date" } } },
+);
+noteSchema.index(
+  { "aiSummary.actionItems.remindAt": 1 },
+  {
+    partialFilterExpression: {
+      "aiSummary.actionItems.remindAt": { $type: "date" },
+    },
+  },
+);
+noteSchema.index(
+  { dueAt: 1 },
+  { partialFilterExpression: { dueAt: { $type: "date" } } },
+);
 
 noteSchema.pre("save", function ensureDocName(next) {
   if (!this.docName && this._id) {
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+const ATTACHMENT_KINDS = ["image", "file"];
+const MAX_FILE_NAME_LENGTH = 255;
+
+const noteAttachmentSchema = new mongoose.Schema(
+  {
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+      index: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+    notebookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_FILE_NAME_LENGTH,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Images render inline in the editor; everything else is a download.
+    kind: {
+      type: String,
+      enum: ATTACHMENT_KINDS,
+      default: "file",
+    },
+    // Which storage driver holds the blob, and its key inside that driver.
+    storageDriver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+noteAttachmentSchema.index({ noteId: 1, createdAt: 1 });
+
+const NoteAttachment = mongoose.model("NoteAttachment", noteAttachmentSchema);
+
+export default NoteAttachment;
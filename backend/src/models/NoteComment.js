@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_ANCHOR_QUOTE_LENGTH = 500;
+// Encoded Yjs relative positions are a few dozen bytes; anything larger is
+// not something the editor produced.
+const MAX_RELATIVE_POSITION_LENGTH = 1024;
+
+const commentAnchorSchema = new mongoose.Schema(
+  {
+    // Base64-encoded Y.RelativePosition values. They keep pointing at the
+    // same characters while collaborators edit around them.
+    start: {
+      type: String,
+      required: true,
+      maxlength: MAX_RELATIVE_POSITION_LENGTH,
+    },
+    end: {
+      type: String,
+      required: true,
+      maxlength: MAX_RELATIVE_POSITION_LENGTH,
+    },
+    // Text that was selected when the thread was opened. Shown in the panel
+    // and used as a fallback when the anchored range has been deleted.
+    quote: {
+      type: String,
+      default: "",
+      maxlength: MAX_ANCHOR_QUOTE_LENGTH,
+    },
+  },
+  { _id: false }
+);
+
+const noteCommentSchema = new mongoose.Schema(
+  {
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+      index: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+      index: true,
+    },
+    notebookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Replies point at the root comment of their thread; roots have no parent.
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NoteComment",
+      default: null,
+      index: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_COMMENT_LENGTH,
+    },
+    anchor: {
+      type: commentAnchorSchema,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+noteCommentSchema.index({ noteId: 1, parentId: 1, createdAt: 1 });
+
+const NoteComment = mongoose.model("NoteComment", noteCommentSchema);
+
+export default NoteComment;
+export { MAX_COMMENT_LENGTH, MAX_ANCHOR_QUOTE_LENGTH };
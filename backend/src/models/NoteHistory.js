@@ -26,12 +26,15 @@ const noteHistorySchema = new mongoose.Schema(
         "edit",
         "pin",
         "unpin",
+        "archive",
+        "unarchive",
         "tag",
         "move",
         "create",
         "delete",
         "title",
         "comment",
+        "restore",
       ],
       default: "edit",
       index: true,
@@ -76,6 +79,21 @@ const noteHistorySchema = new mongoose.Schema(
       default: null,
       maxlength: 50_000,
     },
+    // Tiptap JSON of the body, so restores keep formatting. Entries written
+    // before it existed only have `contentSnapshot`.
+    richSnapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      select: false,
+      validate: {
+        validator: (v) => {
+          if (v == null) return true;
+          if (typeof v !== "object") return false;
+          try { return JSON.stringify(v).length <= 512_000; } catch { return false; }
+        },
+        message: "richSnapshot must be a valid object and not exceed 512 KB",
+      },
+    },
     tagsSnapshot: {
       type: [String],
       default: undefined,
@@ -84,6 +102,12 @@ const noteHistorySchema = new mongoose.Schema(
         message: "tagsSnapshot must have at most 20 tags",
       },
     },
+    // Set on `restore` entries: the version that was brought back.
+    restoredFromId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NoteHistory",
+      default: null,
+    },
     expiresAt: {
       type: Date,
       default: null,
@@ -41,12 +41,36 @@ const notePublicationSchema = new mongoose.Schema(
       default: null,
       maxlength: 128,
     },
+    html: {
+      type: String,
+      default: null,
+      maxlength: 1_048_576,
+    },
+    // Access settings: bcrypt hash of an optional viewing password, an
+    // automatic unpublish time, and whether search engines may index it.
+    passwordHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    noindex: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true },
 );
 
 notePublicationSchema.index({ publicSlug: 1 }, { unique: true });
 notePublicationSchema.index({ ownerId: 1, updatedAt: -1 });
+notePublicationSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { expiresAt: { $type: "date" } } },
+);
 
 const NotePublication = mongoose.model(
   "NotePublication",
@@ -26,6 +26,12 @@ const notebookSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+      index: true,
+    },
     name: {
       type: String,
       required: true,
@@ -186,9 +192,11 @@ notebookSchema.pre("aggregate", function applyNotebookTrashAggregate() {
   this.pipeline().unshift({ $match: { deletedAt: null } });
 });
 
+// Names are unique among siblings, so two parents can each hold a "Drafts".
 notebookSchema.index(
-  { owner: 1, name: 1 },
+  { owner: 1, parentId: 1, name: 1 },
   {
+    name: "notebook_sibling_name_unique",
     unique: true,
     partialFilterExpression: { deletedAt: { $eq: null } },
   },
@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
 
+export const NOTEBOOK_EVENT_TYPES = [
+  "edit", "create", "delete", "move", "tag",
+  "notebook.create", "notebook.update", "notebook.delete",
+  "notebook.move", "notebook.move-notes", "notebook.undo", "notebook.sync",
+  "notebook.publish", "notebook.unpublish",
+];
+
 const notebookEventSchema = new mongoose.Schema(
   {
     notebookId: {
@@ -29,12 +36,7 @@ const notebookEventSchema = new mongoose.Schema(
     eventType: {
       type: String,
       required: true,
-      enum: [
-        "edit", "create", "delete", "move", "tag",
-        "notebook.create", "notebook.update", "notebook.delete",
-        "notebook.move-notes", "notebook.undo", "notebook.sync",
-        "notebook.publish", "notebook.unpublish",
-      ],
+      enum: NOTEBOOK_EVENT_TYPES,
       index: true,
     },
     commandName: {
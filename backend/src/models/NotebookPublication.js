@@ -46,6 +46,21 @@ const notebookPublicationSchema = new mongoose.Schema(
       default: null,
       maxlength: 2_097_152,
     },
+    // Access settings: bcrypt hash of an optional viewing password, an
+    // automatic unpublish time, and whether search engines may index it.
+    passwordHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    noindex: {
+      type: Boolean,
+      default: false,
+    },
     metadata: {
       type: Map,
       of: mongoose.Schema.Types.Mixed,
@@ -65,6 +80,10 @@ const notebookPublicationSchema = new mongoose.Schema(
 
 notebookPublicationSchema.index({ publicSlug: 1 }, { unique: true });
 notebookPublicationSchema.index({ ownerId: 1, updatedAt: -1 });
+notebookPublicationSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { expiresAt: { $type: "date" } } }
+);
 
 const NotebookPublication = mongoose.model(
   "NotebookPublication",
@@ -5,6 +5,8 @@ import {
 } from "../../../shared/notebookOptions.js";
 
 const MAX_TEMPLATE_TAGS = 20;
+export const TEMPLATE_VISIBILITIES = ["private", "workspace", "public"];
+export const MAX_TEMPLATE_VERSION_HISTORY = 20;
 
 const templateNoteSchema = new mongoose.Schema(
   {
@@ -62,6 +64,36 @@ const templateNoteSchema = new mongoose.Schema(
   { _id: false },
 );
 
+const templateVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    noteCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    estimatedSize: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
 const notebookTemplateSchema = new mongoose.Schema(
   {
     owner: {
@@ -127,11 +159,38 @@ const notebookTemplateSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    visibility: {
+      type: String,
+      enum: TEMPLATE_VISIBILITIES,
+      default: "private",
+    },
+    // Workspace whose members can use the template when visibility is "workspace".
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Newest first, capped at MAX_TEMPLATE_VERSION_HISTORY entries.
+    versions: {
+      type: [templateVersionSchema],
+      default: [],
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   { timestamps: true },
 );
 
 notebookTemplateSchema.index({ owner: 1, name: 1 }, { unique: true });
+notebookTemplateSchema.index({ visibility: 1, workspaceId: 1, updatedAt: -1 });
 
 const NotebookTemplate = mongoose.model(
   "NotebookTemplate",
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+const NOTIFICATION_TYPES = ["mention", "reminder"];
+const NOTIFICATION_SOURCES = ["note", "comment", "actionItem"];
+const NOTIFICATION_RETENTION_MS = 180 * 24 * 60 * 60 * 1000;
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    // Where the mention was written (note body or a comment), or for
+    // reminders, whether it was set on the note or one of its action items.
+    source: {
+      type: String,
+      enum: NOTIFICATION_SOURCES,
+      default: "note",
+    },
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      default: null,
+      index: true,
+    },
+    notebookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NoteComment",
+      default: null,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    excerpt: {
+      type: String,
+      trim: true,
+      maxlength: 280,
+      default: "",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + NOTIFICATION_RETENTION_MS),
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+notificationSchema.index({ recipientId: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index(
+  { expiresAt: 1 },
+  {
+    expireAfterSeconds: 0,
+    partialFilterExpression: { expiresAt: { $type: "date" } },
+  }
+);
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
+export { NOTIFICATION_TYPES, NOTIFICATION_SOURCES };
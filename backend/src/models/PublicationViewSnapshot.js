@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+export const PUBLICATION_VIEW_TARGET_TYPES = ["notebook", "note"];
+
+// One row per published notebook or note per UTC day. Only counts are kept;
+// visitor hashes live briefly in `PublicationVisitor` for de-duplication.
+const publicationViewSnapshotSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: PUBLICATION_VIEW_TARGET_TYPES,
+      required: true,
+    },
+    // The notebook or note id, so history survives unpublish and republish.
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    views: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    uniqueVisitors: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Referrer hostname (or "direct") -> new visitors arriving from it; dots
+    // are stored escaped as "%2E" because they are not allowed in field names.
+    referrers: {
+      type: Map,
+      of: Number,
+      default: () => new Map(),
+    },
+    // Note id -> unique readers, for notes inside a published notebook.
+    noteReads: {
+      type: Map,
+      of: Number,
+      default: () => new Map(),
+    },
+  },
+  { timestamps: true },
+);
+
+publicationViewSnapshotSchema.index(
+  { targetType: 1, targetId: 1, date: 1 },
+  { unique: true, name: "publication_view_target_date_unique" },
+);
+
+const PublicationViewSnapshot = mongoose.model(
+  "PublicationViewSnapshot",
+  publicationViewSnapshotSchema,
+);
+
+export default PublicationViewSnapshot;
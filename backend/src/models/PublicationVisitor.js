@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+import { PUBLICATION_VIEW_TARGET_TYPES } from "./PublicationViewSnapshot.js";
+
+// Salted visitor hashes seen today, used only to count unique visitors and
+// note readers. The salt rotates daily and rows expire after two days, so a
+// visitor cannot be followed across days.
+const publicationVisitorSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: PUBLICATION_VIEW_TARGET_TYPES,
+    required: true,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  day: {
+    type: String,
+    required: true,
+    maxlength: 10,
+  },
+  visitorHash: {
+    type: String,
+    required: true,
+    maxlength: 64,
+  },
+  // Set for note reads inside a published notebook, null for page views.
+  noteId: {
+    type: String,
+    default: null,
+    maxlength: 64,
+  },
+  createdAt: {
+    type: Date,
+    default: () => new Date(),
+  },
+});
+
+publicationVisitorSchema.index(
+  { targetType: 1, targetId: 1, day: 1, noteId: 1, visitorHash: 1 },
+  { unique: true, name: "publication_visitor_unique" },
+);
+publicationVisitorSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 2 * 24 * 60 * 60, name: "publication_visitor_ttl" },
+);
+
+const PublicationVisitor = mongoose.model(
+  "PublicationVisitor",
+  publicationVisitorSchema,
+);
+
+export default PublicationVisitor;
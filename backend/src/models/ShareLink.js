@@ -51,6 +51,11 @@ const shareLinkSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    accessCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     metadata: {
       type: Map,
       of: mongoose.Schema.Types.Mixed,
@@ -1,5 +1,7 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { EMAIL_DIGEST_FREQUENCIES } from "../utils/constants.js";
 
 const REFRESH_TOKEN_LIMIT = 5;
 
@@ -39,8 +41,11 @@ const userSchema = new mongoose.Schema(
         new mongoose.Schema(
           {
             token: { type: String, required: true },
+            // Stable across refresh-token rotation; access tokens carry it as `sid`.
+            sessionId: { type: String, default: () => crypto.randomUUID() },
             expiresAt: { type: Date, required: true },
             createdAt: { type: Date, default: Date.now },
+            lastUsedAt: { type: Date },
             userAgent: { type: String },
             ip: { type: String },
           },
@@ -82,6 +87,30 @@ const userSchema = new mongoose.Schema(
     passwordChangedAt: {
       type: Date,
     },
+    // TOTP two-factor authentication. Secrets are AES-GCM encrypted
+    // (utils/totp.js) and, like the hashed recovery codes, never selected by
+    // default.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // Set by setup and promoted to `secret` once a code verifies.
+      pendingSecret: { type: String, select: false },
+      pendingCreatedAt: { type: Date, select: false },
+      recoveryCodes: { type: [String], select: false, default: undefined },
+      // Last accepted TOTP time step; codes at or before it are replays.
+      lastUsedStep: { type: Number, select: false },
+    },
+    // Opt-in notebook activity digest (tasks/digestScheduler.js).
+    // `lastSentAt` marks the end of the window covered by the last email.
+    emailDigest: {
+      frequency: {
+        type: String,
+        enum: EMAIL_DIGEST_FREQUENCIES,
+        default: "off",
+      },
+      lastSentAt: { type: Date },
+    },
     customNoteOrder: {
       type: [
         {
@@ -112,10 +141,10 @@ userSchema.methods.setPassword = async function setPassword(password) {
 userSchema.methods.addRefreshToken = function addRefreshToken(entry) {
   this.refreshTokens.push(entry);
   if (this.refreshTokens.length > REFRESH_TOKEN_LIMIT) {
-    // Evict oldest sessions first (by createdAt) to keep the most recent ones.
-    this.refreshTokens.sort(
-      (a, b) => (a.createdAt?.getTime() ?? 0) - (b.createdAt?.getTime() ?? 0),
-    );
+    // Evict the least recently used sessions first to keep the active ones.
+    const lastActive = (entry) =>
+      (entry.lastUsedAt ?? entry.createdAt)?.getTime() ?? 0;
+    this.refreshTokens.sort((a, b) => lastActive(a) - lastActive(b));
     this.refreshTokens = this.refreshTokens.slice(-REFRESH_TOKEN_LIMIT);
   }
 };
@@ -126,6 +155,14 @@ userSchema.methods.removeRefreshToken = function removeRefreshToken(token) {
   );
 };
 
+userSchema.methods.removeSession = function removeSession(sessionId) {
+  const before = this.refreshTokens.length;
+  this.refreshTokens = this.refreshTokens.filter(
+    (entry) => entry.sessionId !== sessionId,
+  );
+  return this.refreshTokens.length !== before;
+};
+
 userSchema.methods.clearRefreshTokens = function clearRefreshTokens() {
   this.refreshTokens = [];
 };
@@ -182,6 +219,16 @@ userSchema.index(
   { "emailVerification.token": 1 },
   { sparse: true, name: "email_verification_token" },
 );
+// The digest task only scans subscribers.
+userSchema.index(
+  { "emailDigest.frequency": 1 },
+  {
+    name: "email_digest_subscribers",
+    partialFilterExpression: {
+      "emailDigest.frequency": { $in: ["daily", "weekly"] },
+    },
+  },
+);
 
 const User = mongoose.model("User", userSchema);
 
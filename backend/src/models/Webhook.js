@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { NOTEBOOK_EVENT_TYPES } from "./NotebookEvent.js";
+
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const webhookSchema = new mongoose.Schema(
+  {
+    // Exactly one of workspaceId / notebookId is set: a workspace hook
+    // receives events from every notebook in the workspace.
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+      index: true,
+    },
+    notebookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_URL_LENGTH,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: MAX_DESCRIPTION_LENGTH,
+    },
+    // Signing secret for the HMAC header. Receivers need the same value, so
+    // it is stored as-is and never returned after creation or rotation.
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Empty means "all event types".
+    eventTypes: {
+      type: [{ type: String, enum: NOTEBOOK_EVENT_TYPES }],
+      default: [],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the hook was switched off automatically after repeated failures.
+    disabledReason: {
+      type: String,
+      default: null,
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["succeeded", "failed", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.pre("validate", function ensureSingleScope(next) {
+  if (Boolean(this.workspaceId) === Boolean(this.notebookId)) {
+    next(new Error("A webhook belongs to either a workspace or a notebook"));
+    return;
+  }
+  next();
+});
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
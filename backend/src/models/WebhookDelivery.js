@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+const DELIVERY_STATUSES = ["pending", "delivering", "succeeded", "failed"];
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    // Null for test deliveries.
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NotebookEvent",
+      default: null,
+    },
+    eventType: {
+      type: String,
+      required: true,
+    },
+    isTest: {
+      type: Boolean,
+      default: false,
+    },
+    // Exact JSON body sent to the receiver, so retries are byte-identical.
+    body: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Claimed by a dispatcher until this time; a crashed worker's claim
+    // simply expires and the delivery is picked up again.
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + DELIVERY_RETENTION_MS),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+export default WebhookDelivery;
@@ -16,6 +16,7 @@ import {
   suggestTags,
   regenerateEmbedding,
   toggleActionItem,
+  updateActionItemSchedule,
   generateTemplateHandler,
   getAiStatus,
 } from "../controllers/aiController.js";
@@ -51,6 +52,17 @@ router.patch(
   toggleActionItem,
 );
 
+// Due date and reminder for a single action item
+router.patch(
+  "/notes/:id/action-items/:itemId/schedule",
+  validate([
+    validationRules.objectId("id"),
+    validationRules.objectId("itemId"),
+    ...validationRules.scheduleDates(),
+  ]),
+  updateActionItemSchedule,
+);
+
 // AI template generation
 router.post(
   "/generate-template",
@@ -11,11 +11,34 @@ import {
   updateProfile,
   changePassword,
   getMe,
+  completeTwoFactorLogin,
+  unsubscribeFromDigest,
 } from "../controllers/authController.js";
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
+import {
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+} from "../controllers/apiTokensController.js";
+import {
+  listSessions,
+  revokeOtherSessions,
+  revokeSession,
+} from "../controllers/sessionsController.js";
 import auth from "../middleware/auth.js";
 import { strictRateLimiter } from "../middleware/rateLimiter.js";
 import { validate, validationRules } from "../middleware/validation.js";
-import { body } from "express-validator";
+import { body, param } from "express-validator";
+import {
+  API_TOKEN_SCOPES,
+  EMAIL_DIGEST_FREQUENCIES,
+} from "../utils/constants.js";
 
 const router = express.Router();
 
@@ -38,6 +61,23 @@ router.post(
   login,
 );
 
+router.post(
+  "/login/2fa",
+  strictRateLimiter(8),
+  validate([
+    body("challengeToken")
+      .isString()
+      .notEmpty()
+      .withMessage("challengeToken is required"),
+    body("code")
+      .isString()
+      .trim()
+      .isLength({ min: 6, max: 20 })
+      .withMessage("An authentication or recovery code is required"),
+  ]),
+  completeTwoFactorLogin,
+);
+
 router.post("/refresh", refresh);
 router.post("/logout", logout);
 
@@ -76,6 +116,16 @@ router.post(
   resendEmailVerification,
 );
 
+// Public: called by the /unsubscribe page linked from digest emails.
+router.post(
+  "/digest/unsubscribe",
+  strictRateLimiter(20),
+  validate([
+    body("token").isString().notEmpty().withMessage("Token is required"),
+  ]),
+  unsubscribeFromDigest,
+);
+
 router.get("/me", auth, getMe);
 
 router.put(
@@ -87,6 +137,10 @@ router.put(
       .trim()
       .notEmpty()
       .withMessage("Name cannot be empty"),
+    body("emailDigest")
+      .optional()
+      .isIn(EMAIL_DIGEST_FREQUENCIES)
+      .withMessage("Digest frequency must be off, daily or weekly"),
   ]),
   updateProfile,
 );
@@ -113,4 +167,97 @@ router.post(
   changePassword,
 );
 
+// Two-factor authentication
+const secondFactorCode = () =>
+  body("code")
+    .isString()
+    .trim()
+    .isLength({ min: 6, max: 20 })
+    .withMessage("An authentication or recovery code is required");
+
+router.get("/2fa", auth, getTwoFactorStatus);
+
+router.post("/2fa/setup", auth, strictRateLimiter(10), startTwoFactorSetup);
+
+router.post(
+  "/2fa/enable",
+  auth,
+  strictRateLimiter(10),
+  validate([secondFactorCode()]),
+  enableTwoFactor,
+);
+
+router.post(
+  "/2fa/disable",
+  auth,
+  strictRateLimiter(5),
+  validate([
+    body("password").isString().notEmpty().withMessage("Password is required"),
+    secondFactorCode(),
+  ]),
+  disableTwoFactor,
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  auth,
+  strictRateLimiter(5),
+  validate([
+    body("password").isString().notEmpty().withMessage("Password is required"),
+    secondFactorCode(),
+  ]),
+  regenerateRecoveryCodes,
+);
+
+// Signed-in devices (one per refresh token)
+router.get("/sessions", auth, listSessions);
+
+router.delete("/sessions", auth, strictRateLimiter(10), revokeOtherSessions);
+
+router.delete(
+  "/sessions/:sessionId",
+  auth,
+  validate([
+    param("sessionId")
+      .isUUID()
+      .withMessage("A valid session id is required"),
+  ]),
+  revokeSession,
+);
+
+// Personal API tokens (managed from a signed-in session only — the tokens
+// themselves are rejected here by `auth`)
+router.get("/tokens", auth, listApiTokens);
+
+router.post(
+  "/tokens",
+  auth,
+  validate([
+    body("name")
+      .isString()
+      .withMessage("Name is required")
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage("Name must be between 1 and 80 characters"),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("Select at least one scope"),
+    body("scopes.*")
+      .isIn(API_TOKEN_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_TOKEN_SCOPES.join(", ")}`),
+    body("expiresInDays")
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 365 })
+      .withMessage("expiresInDays must be between 1 and 365"),
+  ]),
+  createApiToken,
+);
+
+router.delete(
+  "/tokens/:tokenId",
+  auth,
+  validate([validationRules.objectId("tokenId")]),
+  revokeApiToken,
+);
+
 export default router;
@@ -1,6 +1,10 @@
 import express from "express";
 import multer from "multer";
-import auth from "../middleware/auth.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  requireScope,
+  requireScopeByMethod,
+} from "../middleware/apiTokenScopes.js";
 import { validate, validationRules } from "../middleware/validation.js";
 import cacheService from "../services/cacheService.js";
 import { body, query } from "express-validator";
@@ -9,6 +13,7 @@ import {
   createNotebook,
   updateNotebook,
   deleteNotebook,
+  moveNotebook,
   moveNotesToNotebook,
   getNotebookRecommendations,
   getSmartNotebook,
@@ -16,8 +21,11 @@ import {
   undoNotebookHistoryEvent,
 } from "../controllers/notebooksController.js";
 import { exportNotebookTemplate } from "../controllers/notebookTemplatesController.js";
+import { TEMPLATE_VISIBILITIES } from "../models/NotebookTemplate.js";
 import { exportNotebookBundle } from "../controllers/notebookExportController.js";
 import { importNotebook } from "../controllers/notebookImportController.js";
+import { duplicateNotebook } from "../controllers/notebookDuplicateController.js";
+import { getNotebookLinkGraph } from "../controllers/noteLinksController.js";
 import {
   listNotebookMembers,
   inviteNotebookMember,
@@ -25,6 +33,8 @@ import {
   revokeNotebookInvitation,
   updateNotebookMemberRole,
   removeNotebookMember,
+  setNotebookMemberOverride,
+  clearNotebookMemberOverride,
   acceptNotebookInvitation,
 } from "../controllers/notebookMembersController.js";
 import {
@@ -39,16 +49,19 @@ import {
   getNotebookAnalyticsCollaborators,
   getNotebookAnalyticsSnapshots,
 } from "../controllers/notebookAnalyticsController.js";
+import { createWebhookRouter } from "./webhookRoutes.js";
 import ensureNotebookAnalyticsContext from "../middleware/analyticsContext.js";
 import {
   getNotebookSyncState,
   pushNotebookSyncState,
 } from "../controllers/notebookSyncController.js";
 import {
+  getNotebookPublicationAnalytics,
   getNotebookPublishingState,
   publishNotebook,
   unpublishNotebook,
 } from "../controllers/notebookPublishingController.js";
+import { PUBLICATION_ANALYTICS_MAX_DAYS } from "../services/publicationViewService.js";
 import {
   listSavedNotebookQueries,
   createSavedNotebookQuery,
@@ -64,8 +77,13 @@ const importUpload = multer({
   limits: { fileSize: 20 * 1024 * 1024 },
 });
 
-// Authentication for all routes (rate limiting applied globally in app.js)
-router.use(auth);
+// Authentication for all routes (rate limiting applied globally in app.js).
+// Personal API tokens need `notes:read` to read and `notebooks:admin` to
+// change notebooks, their members, sharing or publishing.
+router.use(authenticate({ allowApiTokens: true }));
+router.use(
+  requireScopeByMethod({ read: "notes:read", write: "notebooks:admin" }),
+);
 
 router.post(
   "/import",
@@ -100,6 +118,8 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 60 })
       .withMessage("limit must be between 1 and 60"),
+    query("includeArchived").optional().isBoolean(),
+    query("onlyArchived").optional().isBoolean(),
   ]),
   getSmartNotebook,
 );
@@ -113,6 +133,14 @@ router.post(
   validate([
     validationRules.notebookName(),
     validationRules.notebookDescription(),
+    body("workspaceId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("workspaceId must be a valid MongoDB ObjectId"),
+    body("parentId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("parentId must be a valid MongoDB ObjectId"),
   ]),
   createNotebook,
 );
@@ -142,6 +170,16 @@ router.post(
       .trim()
       .isLength({ min: 1, max: 32 })
       .withMessage("Each tag must be 1-32 characters"),
+    body("visibility")
+      .optional()
+      .isIn(TEMPLATE_VISIBILITIES)
+      .withMessage(
+        `visibility must be one of: ${TEMPLATE_VISIBILITIES.join(", ")}`,
+      ),
+    body("workspaceId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("workspaceId must be a valid id"),
   ]),
   exportNotebookTemplate,
 );
@@ -191,6 +229,28 @@ router.delete(
   removeNotebookMember,
 );
 
+// Per-notebook overrides of members inherited from a parent notebook
+router.put(
+  "/:id/member-overrides/:userId",
+  validate([
+    validationRules.objectId("id"),
+    validationRules.objectId("userId"),
+    body("role")
+      .isIn(["editor", "viewer", "none"])
+      .withMessage("role must be editor, viewer or none"),
+  ]),
+  setNotebookMemberOverride,
+);
+
+router.delete(
+  "/:id/member-overrides/:userId",
+  validate([
+    validationRules.objectId("id"),
+    validationRules.objectId("userId"),
+  ]),
+  clearNotebookMemberOverride,
+);
+
 // Invitation management
 router.post(
   "/:id/invitations/:memberId/resend",
@@ -287,10 +347,29 @@ router.patch(
   updateNotebook,
 );
 
+// Move a notebook (and its children) under another notebook or to the top
+router.put(
+  "/:id/parent",
+  validate([
+    validationRules.objectId("id"),
+    body("parentId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("parentId must be a valid MongoDB ObjectId"),
+  ]),
+  moveNotebook,
+);
+
 // Delete notebook
 router.delete(
   "/:id",
-  validate([validationRules.objectId("id")]),
+  validate([
+    validationRules.objectId("id"),
+    body("children")
+      .optional()
+      .isIn(["lift", "delete"])
+      .withMessage("children must be lift or delete"),
+  ]),
   deleteNotebook,
 );
 
@@ -307,12 +386,44 @@ router.post(
   moveNotesToNotebook,
 );
 
+router.post(
+  "/:id/duplicate",
+  validate([
+    validationRules.objectId("id"),
+    body("name")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 120 })
+      .withMessage("Name must be between 1 and 120 characters"),
+    body("workspaceId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Invalid workspace ID"),
+    body("parentId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Invalid parent notebook ID"),
+    body("includeMembers")
+      .optional()
+      .isBoolean()
+      .withMessage("includeMembers must be a boolean"),
+  ]),
+  duplicateNotebook,
+);
+
 router.get(
   "/:id/export",
   validate([validationRules.objectId("id")]),
   exportNotebookBundle,
 );
 
+router.get(
+  "/:id/graph",
+  validate([validationRules.objectId("id")]),
+  getNotebookLinkGraph,
+);
+
 router.get(
   "/:id/history",
   validate([
@@ -367,6 +478,7 @@ router.post(
   validate([
     validationRules.objectId("id"),
     validationRules.notebookPublicSlug(),
+    ...validationRules.publicationSettings(),
     body("metadata")
       .optional({ nullable: true })
       .isObject()
@@ -381,6 +493,27 @@ router.delete(
   unpublishNotebook,
 );
 
+router.get(
+  "/:id/publish/analytics",
+  validate([
+    validationRules.objectId("id"),
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: PUBLICATION_ANALYTICS_MAX_DAYS })
+      .withMessage(
+        `days must be between 1 and ${PUBLICATION_ANALYTICS_MAX_DAYS}`,
+      ),
+  ]),
+  getNotebookPublicationAnalytics,
+);
+
+// Webhook settings (including the delivery log) are admin-only for API tokens.
+router.use(
+  "/:id/webhooks",
+  requireScope("notebooks:admin"),
+  createWebhookRouter("id"),
+);
+
 router.get(
   "/:id/saved-queries",
   validate([validationRules.objectId("id")]),
@@ -1,20 +1,33 @@
 import express from "express";
 import auth from "../middleware/auth.js";
 import { validate, validationRules } from "../middleware/validation.js";
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import {
+  TEMPLATE_SCOPES,
   getNotebookTemplate,
   instantiateNotebookTemplate,
   listNotebookTemplates,
+  updateNotebookTemplate,
+  syncNotebookTemplateFromSource,
   deleteNotebookTemplate,
 } from "../controllers/notebookTemplatesController.js";
+import { TEMPLATE_VISIBILITIES } from "../models/NotebookTemplate.js";
 
 const router = express.Router();
 
 // Rate limiting applied globally in app.js
 router.use(auth);
 
-router.get("/", listNotebookTemplates);
+router.get(
+  "/",
+  validate([
+    query("scope")
+      .optional()
+      .isIn(TEMPLATE_SCOPES)
+      .withMessage(`scope must be one of: ${TEMPLATE_SCOPES.join(", ")}`),
+  ]),
+  listNotebookTemplates,
+);
 
 router.get(
   "/:id",
@@ -51,10 +64,69 @@ router.post(
       .optional()
       .isObject()
       .withMessage("boardMappings must be an object"),
+    body("prompts")
+      .optional()
+      .isObject()
+      .withMessage("prompts must be an object of prompt values"),
+    body("prompts.*")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Prompt values must be 500 characters or fewer"),
+    body("timeZone")
+      .optional()
+      .isString()
+      .isLength({ max: 64 })
+      .withMessage("timeZone must be an IANA time zone name"),
   ]),
   instantiateNotebookTemplate,
 );
 
+router.patch(
+  "/:id",
+  validate([
+    validationRules.objectId("id"),
+    body("name")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 160 })
+      .withMessage("Name must be 1-160 characters"),
+    body("description")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Description must be 500 characters or fewer"),
+    body("tags")
+      .optional()
+      .isArray({ max: 8 })
+      .withMessage("Tags must be an array with at most 8 entries"),
+    body("tags.*")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 32 })
+      .withMessage("Each tag must be 1-32 characters"),
+    body("visibility")
+      .optional()
+      .isIn(TEMPLATE_VISIBILITIES)
+      .withMessage(
+        `visibility must be one of: ${TEMPLATE_VISIBILITIES.join(", ")}`,
+      ),
+    body("workspaceId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("workspaceId must be a valid id"),
+  ]),
+  updateNotebookTemplate,
+);
+
+router.post(
+  "/:id/sync",
+  validate([validationRules.objectId("id")]),
+  syncNotebookTemplateFromSource,
+);
+
 router.delete(
   "/:id",
   validate([validationRules.objectId("id")]),
@@ -1,13 +1,18 @@
 import express from "express";
+import multer from "multer";
 import {
   createNote,
   deleteNote,
   getAllNotes,
   updateNote,
   getNoteById,
+  duplicateNote,
   getTagStats,
+  getDueSoon,
   bulkUpdateNotes,
   getNoteHistory,
+  getNoteVersion,
+  restoreNoteVersion,
   getNoteLayout,
   updateNoteLayout,
   searchNotes,
@@ -18,24 +23,88 @@ import {
 } from "../controllers/notesController.js";
 import {
   addNoteCollaborator,
+  listMentionableUsers,
   listNoteCollaborators,
   removeNoteCollaborator,
 } from "../controllers/noteCollaboratorsController.js";
 import {
+  createNoteComment,
+  deleteNoteComment,
+  listNoteComments,
+  reopenNoteCommentThread,
+  resolveNoteCommentThread,
+  updateNoteComment,
+} from "../controllers/noteCommentsController.js";
+import {
+  getNoteBacklinks,
+  listLinkableNotes,
+} from "../controllers/noteLinksController.js";
+import {
+  deleteNoteAttachment,
+  getNoteAttachmentContent,
+  listNoteAttachments,
+  uploadNoteAttachment,
+} from "../controllers/noteAttachmentsController.js";
+import {
+  getNotePublicationAnalytics,
   getNotePublishingState,
   publishNote,
   unpublishNote,
 } from "../controllers/notePublishingController.js";
-import auth from "../middleware/auth.js";
+import { PUBLICATION_ANALYTICS_MAX_DAYS } from "../services/publicationViewService.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  requireScope,
+  requireScopeByMethod,
+} from "../middleware/apiTokenScopes.js";
 import { validate, validationRules } from "../middleware/validation.js";
 import { body, query } from "express-validator";
 import cacheService from "../services/cacheService.js";
-import { BULK_NOTE_ACTIONS, MAX_BULK_NOTE_IDS } from "../utils/constants.js";
+import {
+  BULK_NOTE_ACTIONS,
+  MAX_ATTACHMENT_BYTES,
+  MAX_BULK_NOTE_IDS,
+} from "../utils/constants.js";
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// `?includeArchived=true` lists archived notes alongside active ones;
+// `?onlyArchived=true` lists archived notes only.
+const archiveModeRules = () => [
+  query("includeArchived")
+    .optional()
+    .isBoolean()
+    .withMessage("includeArchived must be a boolean"),
+  query("onlyArchived")
+    .optional()
+    .isBoolean()
+    .withMessage("onlyArchived must be a boolean"),
+];
+
+// Target of a copy: a notebook id (or null / "uncategorized") and a workspace.
+const copyDestinationRules = () => [
+  body("notebookId")
+    .optional({ values: "falsy" })
+    .custom((value) => value === "uncategorized" || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage("notebookId must be a valid MongoDB ID or 'uncategorized'"),
+  body("workspaceId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid workspace ID"),
+];
+
+// Multer config for note attachments (memory storage, handed to the storage driver)
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+});
+
+// All routes require authentication. Personal API tokens need `notes:read`
+// for reads and `notes:write` for changes; sharing and publishing a note also
+// need `notebooks:admin`.
+router.use(authenticate({ allowApiTokens: true }));
+router.use(requireScopeByMethod({ read: "notes:read", write: "notes:write" }));
+const requireAdminScope = requireScope("notebooks:admin");
 
 // List notes with pagination
 router.get(
@@ -49,6 +118,7 @@ router.get(
       .withMessage("Tag must not exceed 50 characters")
       .custom((v) => !/[\$\.]/.test(v))
       .withMessage("Tag contains invalid characters"),
+    ...archiveModeRules(),
   ]),
   getAllNotes,
 );
@@ -93,6 +163,22 @@ router.put(
 // Tag statistics (cached 30s)
 router.get("/tags/stats", cacheService.middleware(30), getTagStats);
 
+// Notes and action items with an upcoming or overdue due date
+router.get(
+  "/due-soon",
+  validate([
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage("days must be between 1 and 90"),
+    query("workspaceId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid workspace ID"),
+  ]),
+  getDueSoon,
+);
+
 // Trash / soft-delete
 router.get("/trash", listTrashedNotes);
 router.delete("/trash", emptyTrash);
@@ -119,10 +205,32 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 60 })
       .withMessage("Limit must be 1-60"),
+    ...archiveModeRules(),
   ]),
   searchNotes,
 );
 
+// `[[` link autocomplete over notes the caller can open
+router.get(
+  "/linkable",
+  validate([
+    query("q")
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage("Query must not exceed 200 characters"),
+    query("exclude")
+      .optional()
+      .isMongoId()
+      .withMessage("exclude must be a valid note ID"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage("Limit must be 1-20"),
+  ]),
+  listLinkableNotes,
+);
+
 // Bulk update notes
 router.post(
   "/bulk",
@@ -136,16 +244,86 @@ router.post(
     body("action")
       .isIn(BULK_NOTE_ACTIONS)
       .withMessage(`action must be one of: ${BULK_NOTE_ACTIONS.join(", ")}`),
+    ...copyDestinationRules(),
   ]),
   bulkUpdateNotes,
 );
 
+// Copy a note, optionally into another notebook or workspace
+router.post(
+  "/:id/duplicate",
+  validate([
+    validationRules.objectId("id"),
+    ...copyDestinationRules(),
+    body("title")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Title must not exceed 200 characters"),
+  ]),
+  duplicateNote,
+);
+
 // Note history
 router.get(
   "/:id/history",
   validate([validationRules.objectId("id"), ...validationRules.pagination()]),
   getNoteHistory,
 );
+router.get(
+  "/:id/history/:historyId",
+  validate([
+    validationRules.objectId("id"),
+    validationRules.objectId("historyId"),
+  ]),
+  getNoteVersion,
+);
+router.post(
+  "/:id/history/:historyId/restore",
+  validate([
+    validationRules.objectId("id"),
+    validationRules.objectId("historyId"),
+  ]),
+  restoreNoteVersion,
+);
+
+router.get(
+  "/:id/backlinks",
+  validate([validationRules.objectId("id")]),
+  getNoteBacklinks,
+);
+
+// Attachment routes
+const attachmentIdParams = () => [
+  validationRules.objectId("id"),
+  validationRules.objectId("attachmentId"),
+];
+
+router.get(
+  "/:id/attachments",
+  validate([validationRules.objectId("id")]),
+  listNoteAttachments,
+);
+
+router.post(
+  "/:id/attachments",
+  validate([validationRules.objectId("id")]),
+  attachmentUpload.single("file"),
+  uploadNoteAttachment,
+);
+
+router.get(
+  "/:id/attachments/:attachmentId/content",
+  validate(attachmentIdParams()),
+  getNoteAttachmentContent,
+);
+
+router.delete(
+  "/:id/attachments/:attachmentId",
+  validate(attachmentIdParams()),
+  deleteNoteAttachment,
+);
 
 // Collaborators routes
 router.get(
@@ -156,6 +334,7 @@ router.get(
 
 router.post(
   "/:id/collaborators",
+  requireAdminScope,
   validate([
     validationRules.objectId("id"),
     validationRules.email(),
@@ -168,6 +347,7 @@ router.post(
 
 router.delete(
   "/:id/collaborators/:collaboratorId",
+  requireAdminScope,
   validate([
     validationRules.objectId("id"),
     validationRules.objectId("collaboratorId"),
@@ -175,6 +355,91 @@ router.delete(
   removeNoteCollaborator,
 );
 
+router.get(
+  "/:id/mentionable",
+  validate([
+    validationRules.objectId("id"),
+    query("q")
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Query must not exceed 100 characters"),
+  ]),
+  listMentionableUsers,
+);
+
+// Comment routes
+const commentBody = () =>
+  body("body")
+    .isString()
+    .withMessage("Comment must be text")
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("Comment must be between 1 and 5000 characters");
+
+const commentIdParams = () => [
+  validationRules.objectId("id"),
+  validationRules.objectId("commentId"),
+];
+
+router.get(
+  "/:id/comments",
+  validate([validationRules.objectId("id")]),
+  listNoteComments,
+);
+
+router.post(
+  "/:id/comments",
+  validate([
+    validationRules.objectId("id"),
+    commentBody(),
+    body("parentId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Invalid parent comment ID"),
+    body("anchor")
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage("Anchor must be an object"),
+    body(["anchor.start", "anchor.end"])
+      .if(body("anchor").isObject())
+      .isBase64()
+      .withMessage("Anchor positions must be base64 encoded")
+      .isLength({ min: 1, max: 1024 })
+      .withMessage("Anchor positions must not exceed 1024 characters"),
+    body("anchor.quote")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Quoted text must not exceed 500 characters"),
+  ]),
+  createNoteComment,
+);
+
+router.patch(
+  "/:id/comments/:commentId",
+  validate([...commentIdParams(), commentBody()]),
+  updateNoteComment,
+);
+
+router.delete(
+  "/:id/comments/:commentId",
+  validate(commentIdParams()),
+  deleteNoteComment,
+);
+
+router.post(
+  "/:id/comments/:commentId/resolve",
+  validate(commentIdParams()),
+  resolveNoteCommentThread,
+);
+
+router.post(
+  "/:id/comments/:commentId/reopen",
+  validate(commentIdParams()),
+  reopenNoteCommentThread,
+);
+
 // Publishing routes
 router.get(
   "/:id/publish",
@@ -184,16 +449,35 @@ router.get(
 
 router.post(
   "/:id/publish",
-  validate([validationRules.objectId("id")]),
+  requireAdminScope,
+  validate([
+    validationRules.objectId("id"),
+    ...validationRules.publicationSettings(),
+  ]),
   publishNote,
 );
 
 router.delete(
   "/:id/publish",
+  requireAdminScope,
   validate([validationRules.objectId("id")]),
   unpublishNote,
 );
 
+router.get(
+  "/:id/publish/analytics",
+  validate([
+    validationRules.objectId("id"),
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: PUBLICATION_ANALYTICS_MAX_DAYS })
+      .withMessage(
+        `days must be between 1 and ${PUBLICATION_ANALYTICS_MAX_DAYS}`,
+      ),
+  ]),
+  getNotePublicationAnalytics,
+);
+
 // Get single note
 router.get("/:id", validate([validationRules.objectId("id")]), getNoteById);
 
@@ -244,6 +528,7 @@ router.put(
       .optional()
       .isBoolean()
       .withMessage("Archived must be boolean"),
+    ...validationRules.scheduleDates(),
   ]),
   updateNote,
 );
@@ -0,0 +1,35 @@
+import express from "express";
+import { query } from "express-validator";
+import auth from "../middleware/auth.js";
+import { validate, validationRules } from "../middleware/validation.js";
+import {
+  listNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+} from "../controllers/notificationsController.js";
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get(
+  "/",
+  validate([
+    ...validationRules.pagination(),
+    query("unreadOnly")
+      .optional()
+      .isBoolean()
+      .withMessage("unreadOnly must be a boolean"),
+  ]),
+  listNotifications,
+);
+
+router.post("/read-all", markAllNotificationsRead);
+
+router.post(
+  "/:id/read",
+  validate([validationRules.objectId("id")]),
+  markNotificationRead,
+);
+
+export default router;
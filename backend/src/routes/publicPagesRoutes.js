@@ -0,0 +1,19 @@
+import { Router } from "express";
+import rateLimiter from "../middleware/rateLimiter.js";
+import {
+  getPublishedNotebookFeed,
+  getSitemap,
+  renderPublishedNotePage,
+  renderPublishedNotebookPage,
+} from "../controllers/publishedPagesController.js";
+
+// Crawlable pages served outside /api: server-rendered published notebooks
+// and notes, their feeds, and the sitemap.
+const router = Router();
+
+router.get("/sitemap.xml", rateLimiter, getSitemap);
+router.get("/published/note/:slug", rateLimiter, renderPublishedNotePage);
+router.get("/published/:slug/feed.xml", rateLimiter, getPublishedNotebookFeed);
+router.get("/published/:slug", rateLimiter, renderPublishedNotebookPage);
+
+export default router;
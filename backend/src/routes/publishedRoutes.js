@@ -1,10 +1,26 @@
 import { Router } from "express";
-import { getPublishedNotebookBySlug } from "../controllers/publishedNotebooksController.js";
-import { getPublishedNoteBySlug } from "../controllers/publishedNotesController.js";
+import {
+  getPublishedNotebookBySlug,
+  recordPublishedNotebookNoteRead,
+  unlockPublishedNotebook,
+} from "../controllers/publishedNotebooksController.js";
+import {
+  getPublishedNoteBySlug,
+  unlockPublishedNote,
+} from "../controllers/publishedNotesController.js";
+import { strictRateLimiter } from "../middleware/rateLimiter.js";
+import { validate, validationRules } from "../middleware/validation.js";
 
 const router = Router();
 
 router.get("/notebooks/:slug", getPublishedNotebookBySlug);
+router.post("/notebooks/:slug/unlock", strictRateLimiter(10), unlockPublishedNotebook);
+router.post(
+  "/notebooks/:slug/notes/:noteId/read",
+  validate([validationRules.objectId("noteId")]),
+  recordPublishedNotebookNoteRead,
+);
 router.get("/notes/:slug", getPublishedNoteBySlug);
+router.post("/notes/:slug/unlock", strictRateLimiter(10), unlockPublishedNote);
 
 export default router;
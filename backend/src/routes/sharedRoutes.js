@@ -0,0 +1,44 @@
+import { Router } from "express";
+import { body, param } from "express-validator";
+import { validate, validationRules } from "../middleware/validation.js";
+import {
+  getSharedNotebook,
+  getSharedNote,
+  updateSharedNote,
+} from "../controllers/sharedNotebooksController.js";
+
+const router = Router();
+
+// Public routes — the share token itself is the credential, so no auth
+// middleware is applied (rate limiting still applies globally in app.js).
+const shareToken = () =>
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 32, max: 128 })
+    .withMessage("Invalid share token");
+
+router.get("/:token", validate([shareToken()]), getSharedNotebook);
+
+router.get(
+  "/:token/notes/:noteId",
+  validate([shareToken(), validationRules.objectId("noteId")]),
+  getSharedNote,
+);
+
+router.patch(
+  "/:token/notes/:noteId",
+  validate([
+    shareToken(),
+    validationRules.objectId("noteId"),
+    validationRules.noteTitle(),
+    validationRules.noteContent(),
+    validationRules.noteTags(),
+    body("title")
+      .optional()
+      .notEmpty()
+      .withMessage("Title cannot be empty"),
+  ]),
+  updateSharedNote,
+);
+
+export default router;
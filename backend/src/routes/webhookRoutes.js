@@ -0,0 +1,110 @@
+import express from "express";
+import { body } from "express-validator";
+import { validate, validationRules } from "../middleware/validation.js";
+import { NOTEBOOK_EVENT_TYPES } from "../models/NotebookEvent.js";
+import {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  sendTestWebhook,
+  redeliverWebhook,
+} from "../controllers/webhooksController.js";
+
+const webhookBodyRules = ({ optional = false } = {}) => {
+  const url = body("url");
+  return [
+    (optional ? url.optional() : url)
+      .isURL({
+        protocols: ["http", "https"],
+        require_protocol: true,
+        require_tld: false,
+      })
+      .withMessage("url must be an http(s) URL")
+      .isLength({ max: 2048 })
+      .withMessage("url must be at most 2048 characters"),
+    body("description")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("description must be at most 200 characters"),
+    body("eventTypes")
+      .optional()
+      .isArray({ max: NOTEBOOK_EVENT_TYPES.length })
+      .withMessage("eventTypes must be an array"),
+    body("eventTypes.*")
+      .isIn(NOTEBOOK_EVENT_TYPES)
+      .withMessage("Unknown event type"),
+  ];
+};
+
+/**
+ * Webhook management mounted under a notebook (`/:id/webhooks`) or a
+ * workspace (`/:workspaceId/webhooks`). The parent router authenticates;
+ * `scopeParam` is the parent's id param, validated here.
+ */
+export const createWebhookRouter = (scopeParam) => {
+  const router = express.Router({ mergeParams: true });
+  const scopeRule = validationRules.objectId(scopeParam);
+
+  router.get("/", validate([scopeRule]), listWebhooks);
+
+  router.post(
+    "/",
+    validate([scopeRule, ...webhookBodyRules()]),
+    createWebhook,
+  );
+
+  router.patch(
+    "/:webhookId",
+    validate([
+      scopeRule,
+      validationRules.objectId("webhookId"),
+      ...webhookBodyRules({ optional: true }),
+      body("active").optional().isBoolean().withMessage("active must be a boolean"),
+      body("rotateSecret")
+        .optional()
+        .isBoolean()
+        .withMessage("rotateSecret must be a boolean"),
+    ]),
+    updateWebhook,
+  );
+
+  router.delete(
+    "/:webhookId",
+    validate([scopeRule, validationRules.objectId("webhookId")]),
+    deleteWebhook,
+  );
+
+  router.get(
+    "/:webhookId/deliveries",
+    validate([
+      scopeRule,
+      validationRules.objectId("webhookId"),
+      ...validationRules.pagination(),
+    ]),
+    listWebhookDeliveries,
+  );
+
+  router.post(
+    "/:webhookId/test",
+    validate([scopeRule, validationRules.objectId("webhookId")]),
+    sendTestWebhook,
+  );
+
+  router.post(
+    "/:webhookId/deliveries/:deliveryId/redeliver",
+    validate([
+      scopeRule,
+      validationRules.objectId("webhookId"),
+      validationRules.objectId("deliveryId"),
+    ]),
+    redeliverWebhook,
+  );
+
+  return router;
+};
+
+export default createWebhookRouter;
@@ -1,19 +1,85 @@
 import express from "express";
+import { body } from "express-validator";
 import auth from "../middleware/auth.js";
+import { strictRateLimiter } from "../middleware/rateLimiter.js";
 import { validate, validationRules } from "../middleware/validation.js";
 import {
   listUserWorkspaces,
   addWorkspaceMember,
   listWorkspaceMembers,
+  createWorkspace,
+  updateWorkspace,
+  transferWorkspace,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  getWorkspaceDeletionPlan,
+  deleteWorkspace,
 } from "../controllers/workspacesController.js";
+import { WORKSPACE_ROLES } from "../models/Workspace.js";
+import { WORKSPACE_DELETE_MODES } from "../services/workspaceService.js";
 import { getWorkspacePredictions } from "../controllers/workspacePredictionsController.js";
+import { createWebhookRouter } from "./webhookRoutes.js";
 
 const router = express.Router();
 
 router.use(auth);
 
+const workspaceName = () =>
+  body("name")
+    .isString()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ min: 1, max: 160 })
+    .withMessage("Name must be between 1 and 160 characters");
+
 router.get("/", listUserWorkspaces);
 
+router.post(
+  "/",
+  strictRateLimiter(20),
+  validate([workspaceName()]),
+  createWorkspace,
+);
+
+router.patch(
+  "/:workspaceId",
+  validate([validationRules.objectId("workspaceId"), workspaceName()]),
+  updateWorkspace,
+);
+
+router.get(
+  "/:workspaceId/deletion-plan",
+  validate([validationRules.objectId("workspaceId")]),
+  getWorkspaceDeletionPlan,
+);
+
+router.delete(
+  "/:workspaceId",
+  strictRateLimiter(10),
+  validate([
+    validationRules.objectId("workspaceId"),
+    body("mode")
+      .isIn(WORKSPACE_DELETE_MODES)
+      .withMessage(`mode must be one of: ${WORKSPACE_DELETE_MODES.join(", ")}`),
+    body("targetWorkspaceId")
+      .if(body("mode").equals("move"))
+      .isMongoId()
+      .withMessage("targetWorkspaceId is required when moving content"),
+    body("confirmName").isString().withMessage("confirmName is required"),
+  ]),
+  deleteWorkspace,
+);
+
+router.post(
+  "/:workspaceId/transfer",
+  strictRateLimiter(10),
+  validate([
+    validationRules.objectId("workspaceId"),
+    body("newOwnerId").isMongoId().withMessage("newOwnerId is required"),
+  ]),
+  transferWorkspace,
+);
+
 router.get(
   "/:workspaceId/members",
   validate([validationRules.objectId("workspaceId")]),
@@ -36,4 +102,27 @@ router.post(
   addWorkspaceMember,
 );
 
+router.patch(
+  "/:workspaceId/members/:memberId",
+  validate([
+    validationRules.objectId("workspaceId"),
+    validationRules.objectId("memberId"),
+    body("role")
+      .isIn(WORKSPACE_ROLES.filter((role) => role !== "owner"))
+      .withMessage("Role must be one of: admin, editor, commenter, viewer"),
+  ]),
+  updateWorkspaceMember,
+);
+
+router.delete(
+  "/:workspaceId/members/:memberId",
+  validate([
+    validationRules.objectId("workspaceId"),
+    validationRules.objectId("memberId"),
+  ]),
+  removeWorkspaceMember,
+);
+
+router.use("/:workspaceId/webhooks", createWebhookRouter("workspaceId"));
+
 export default router;
@@ -3,6 +3,9 @@
  * Migration Script – Backfill vector embeddings for all existing notes
  * and print instructions for creating the Atlas Vector Search index.
  *
+ * Notes whose stored embedding does not have EMBEDDING_DIMENSIONS values
+ * (e.g. after switching provider) are embedded again.
+ *
  * Usage:
  *   node backend/src/scripts/backfillEmbeddings.js
  *
@@ -17,11 +20,19 @@ import {
   buildNoteEmbeddingText,
   EMBEDDING_DIMENSIONS,
   isEmbeddingEnabled,
+  isLocalEmbeddingProvider,
 } from "../services/embeddingService.js";
 
 const BATCH_SIZE = 20;
 const DELAY_BETWEEN_BATCHES_MS = 1_200; // rate-limit courtesy
 
+/** Missing, empty, or sized for a different provider/model. */
+const NEEDS_EMBEDDING_FILTER = {
+  $expr: {
+    $ne: [{ $size: { $ifNull: ["$embedding", []] } }, EMBEDDING_DIMENSIONS],
+  },
+};
+
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const run = async () => {
@@ -31,24 +42,25 @@ const run = async () => {
 
   if (!isEmbeddingEnabled()) {
     console.error(
-      "❌ Embedding provider is not configured. Set EMBEDDING_PROVIDER to groq or gemini and provide an API key.",
+      "❌ Embedding provider is not configured. Set EMBEDDING_PROVIDER to local, or to groq or gemini and provide an API key.",
     );
     process.exit(1);
   }
 
+  const isLocal = isLocalEmbeddingProvider();
+  console.log(
+    `Provider: ${isLocal ? "local (feature hashing)" : "remote API"}, ${EMBEDDING_DIMENSIONS} dimensions\n`,
+  );
+
   await dbManager.connect();
   console.log("✓ Connected to database\n");
 
   // Count notes that need embeddings
-  const totalNotes = await Note.countDocuments({
-    $or: [
-      { embedding: { $exists: false } },
-      { embedding: null },
-      { embedding: { $size: 0 } },
-    ],
-  });
+  const totalNotes = await Note.countDocuments(NEEDS_EMBEDDING_FILTER);
 
-  console.log(`Found ${totalNotes} notes without embeddings.\n`);
+  console.log(
+    `Found ${totalNotes} notes without ${EMBEDDING_DIMENSIONS}-dimension embeddings.\n`,
+  );
 
   if (totalNotes === 0) {
     console.log("✓ All notes already have embeddings. Nothing to do.");
@@ -60,13 +72,7 @@ const run = async () => {
   let succeeded = 0;
   let failed = 0;
 
-  const cursor = Note.find({
-    $or: [
-      { embedding: { $exists: false } },
-      { embedding: null },
-      { embedding: { $size: 0 } },
-    ],
-  })
+  const cursor = Note.find(NEEDS_EMBEDDING_FILTER)
     .select({ title: 1, content: 1, contentText: 1, tags: 1 })
     .lean()
     .cursor();
@@ -88,7 +94,7 @@ const run = async () => {
         `\r  Progress: ${processed}/${totalNotes} (${pct}%) – ✓${succeeded} ✗${failed}`,
       );
 
-      await sleep(DELAY_BETWEEN_BATCHES_MS);
+      if (!isLocal) await sleep(DELAY_BETWEEN_BATCHES_MS);
     }
   }
 
@@ -145,6 +151,9 @@ const run = async () => {
     "\nYou can create this via the Atlas UI → Search → Create Search Index → JSON Editor.",
   );
   console.log("Choose 'Atlas Vector Search' as the index type.\n");
+  console.log(
+    "Without Atlas, the API searches an in-process index built from these embeddings (VECTOR_SEARCH_BACKEND=local).\n",
+  );
 
   await dbManager.disconnect();
 };
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Nested notebooks make names unique among siblings instead of per owner.
+ * Drops the old `owner_1_name_1` unique index, which would still reject two
+ * "Drafts" notebooks under different parents, and builds the new one.
+ *
+ * Idempotent: running twice is a no-op. Supports --dry-run.
+ *
+ *   node src/scripts/migrateNotebookNameIndex.js              # apply
+ *   node src/scripts/migrateNotebookNameIndex.js --dry-run    # report only
+ */
+import mongoose from "mongoose";
+
+import { connectDb } from "../config/database.js";
+import Notebook from "../models/Notebook.js";
+import "../config/env.js";
+
+const LEGACY_INDEX_NAME = "owner_1_name_1";
+
+const isDryRun = process.argv.includes("--dry-run");
+
+const log = (...args) =>
+  console.log(`[${isDryRun ? "dry-run" : "apply"}]`, ...args);
+
+const run = async () => {
+  await connectDb();
+
+  const indexes = await Notebook.collection.indexes().catch(() => []);
+  const hasLegacyIndex = indexes.some(
+    (index) => index.name === LEGACY_INDEX_NAME,
+  );
+
+  if (!hasLegacyIndex) {
+    log(`Index ${LEGACY_INDEX_NAME} not found; nothing to drop.`);
+  } else if (isDryRun) {
+    log(`Would drop index ${LEGACY_INDEX_NAME}.`);
+  } else {
+    await Notebook.collection.dropIndex(LEGACY_INDEX_NAME);
+    log(`Dropped index ${LEGACY_INDEX_NAME}.`);
+  }
+
+  if (!isDryRun) {
+    await Notebook.createIndexes();
+    log("Notebook indexes are up to date.");
+  }
+
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error("Migration failed", error);
+  process.exit(1);
+});
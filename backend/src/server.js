@@ -14,6 +14,23 @@ import {
   initializeNotebookIndexingWorker,
   stopNotebookIndexingWorker,
 } from "./tasks/notebookIndexingWorker.js";
+import {
+  scheduleWebhookDeliveryJob,
+  stopWebhookDeliveryJob,
+} from "./tasks/webhookDeliveryWorker.js";
+import {
+  scheduleReminderJob,
+  stopReminderJob,
+} from "./tasks/reminderScheduler.js";
+import { scheduleDigestJob, stopDigestJob } from "./tasks/digestScheduler.js";
+import {
+  schedulePublicationExpiryJob,
+  stopPublicationExpiryJob,
+} from "./tasks/publicationExpiryScheduler.js";
+import {
+  scheduleNoteCleanupJob,
+  stopNoteCleanupJob,
+} from "./tasks/noteCleanupScheduler.js";
 
 const PORT = process.env.PORT || 5001;
 
@@ -31,6 +48,11 @@ const gracefulShutdown = async (signal) => {
 
   try {
     stopNotebookSnapshotJob();
+    stopWebhookDeliveryJob();
+    stopReminderJob();
+    stopDigestJob();
+    stopPublicationExpiryJob();
+    stopNoteCleanupJob();
     await stopNotebookIndexingWorker();
 
     // Close HTTP server so in-flight requests can drain
@@ -78,6 +100,11 @@ const start = async () => {
 
     scheduleNotebookSnapshotJob();
     initializeNotebookIndexingWorker();
+    scheduleWebhookDeliveryJob();
+    scheduleReminderJob();
+    scheduleDigestJob();
+    schedulePublicationExpiryJob();
+    scheduleNoteCleanupJob();
 
     // Setup graceful shutdown handlers
     process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
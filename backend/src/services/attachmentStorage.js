@@ -0,0 +1,115 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Storage drivers for note attachments.
+ *
+ * A driver stores opaque blobs under a string key and must implement:
+ *   - `save(key, buffer, { contentType })`
+ *   - `read(key)` → Buffer, or null when the blob is missing
+ *   - `createReadStream(key)` → Readable
+ *   - `remove(key)` — resolves even when the blob is already gone
+ *
+ * The local filesystem driver is the default. Other backends (S3, GCS, …)
+ * can be plugged in with `registerAttachmentStorageDriver` and selected via
+ * `ATTACHMENT_STORAGE_DRIVER`.
+ */
+
+const DEFAULT_DRIVER = "local";
+const DEFAULT_LOCAL_DIR = path.resolve(process.cwd(), "uploads", "attachments");
+
+// Keys are generated server-side (`<noteId>/<uuid><ext>`); anything else is
+// rejected so a bad key can never escape the storage root.
+const STORAGE_KEY_PATTERN = /^[0-9a-f]{24}\/[0-9a-f-]{36}(\.[a-z0-9]{1,10})?$/i;
+
+const assertValidKey = (key) => {
+  if (typeof key !== "string" || !STORAGE_KEY_PATTERN.test(key)) {
+    throw new Error("Invalid attachment storage key");
+  }
+};
+
+export const createLocalStorageDriver = ({
+  root = process.env.ATTACHMENT_STORAGE_DIR || DEFAULT_LOCAL_DIR,
+} = {}) => {
+  const resolvedRoot = path.resolve(root);
+
+  const resolvePath = (key) => {
+    assertValidKey(key);
+    return path.join(resolvedRoot, ...key.split("/"));
+  };
+
+  return {
+    name: "local",
+
+    async save(key, buffer) {
+      const target = resolvePath(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.writeFile(target, buffer);
+    },
+
+    async read(key) {
+      try {
+        return await fsp.readFile(resolvePath(key));
+      } catch (error) {
+        if (error?.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolvePath(key));
+    },
+
+    async remove(key) {
+      await fsp.rm(resolvePath(key), { force: true });
+    },
+  };
+};
+
+const driverFactories = new Map([[DEFAULT_DRIVER, createLocalStorageDriver]]);
+const driverInstances = new Map();
+
+/**
+ * Register a storage backend. `factory` is called once, lazily, the first
+ * time the driver is requested.
+ */
+export const registerAttachmentStorageDriver = (name, factory) => {
+  if (!name || typeof factory !== "function") {
+    throw new Error("A driver name and factory function are required");
+  }
+  driverFactories.set(name, factory);
+  driverInstances.delete(name);
+};
+
+/**
+ * Driver used for new uploads, or the one an existing attachment was stored
+ * with when `name` is given.
+ */
+export const getAttachmentStorage = (name) => {
+  const driverName = name || process.env.ATTACHMENT_STORAGE_DRIVER || DEFAULT_DRIVER;
+  if (driverInstances.has(driverName)) {
+    return driverInstances.get(driverName);
+  }
+
+  const factory = driverFactories.get(driverName);
+  if (!factory) {
+    throw new Error(`Unknown attachment storage driver: ${driverName}`);
+  }
+
+  const driver = factory();
+  driverInstances.set(driverName, driver);
+  return driver;
+};
+
+/** Drop cached driver instances (tests switch storage roots between runs). */
+export const resetAttachmentStorage = () => {
+  driverInstances.clear();
+};
+
+export default {
+  createLocalStorageDriver,
+  registerAttachmentStorageDriver,
+  getAttachmentStorage,
+  resetAttachmentStorage,
+};
@@ -0,0 +1,412 @@
+import mongoose from "mongoose";
+
+import Note from "../models/Note.js";
+import NoteHistory from "../models/NoteHistory.js";
+import Notebook from "../models/Notebook.js";
+import NotebookEvent from "../models/NotebookEvent.js";
+import NotebookMember from "../models/NotebookMember.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { sendMail } from "../utils/mailer.js";
+import { generateDigestUnsubscribeToken } from "../utils/tokenService.js";
+import { MAX_MEMBERSHIP_IN_QUERY } from "../utils/constants.js";
+import { listMemberNotebookRoles } from "../utils/access.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DIGEST_PERIOD_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+// A run that lands a little early (cron drift, restarts) still counts as due.
+const DUE_SLACK_MS = 60 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_NOTES_PER_NOTEBOOK = 20;
+const MAX_EVENTS_PER_NOTEBOOK = 10;
+const MAX_CHANGED_NOTES = 1000;
+
+const NOTE_CHANGE_EVENTS = ["create", "edit", "title", "restore"];
+// Note-level NotebookEvents duplicate NoteHistory, so only notebook-wide
+// changes are listed separately.
+const NOTEBOOK_EVENT_LABELS = {
+  "notebook.update": "updated the notebook",
+  "notebook.move": "moved the notebook",
+  "notebook.move-notes": "moved notes",
+  "notebook.sync": "synced changes",
+  "notebook.publish": "published the notebook",
+  "notebook.unpublish": "unpublished the notebook",
+};
+const NOTEBOOK_DIGEST_EVENTS = Object.keys(NOTEBOOK_EVENT_LABELS);
+
+const resolveClientBase = () =>
+  process.env.CLIENT_APP_URL ||
+  process.env.FRONTEND_URL ||
+  process.env.FRONTEND_ORIGIN ||
+  "http://localhost:5173";
+
+const buildClientLink = (pathname, params = {}) => {
+  let url;
+  try {
+    url = new URL(pathname, resolveClientBase());
+  } catch (_error) {
+    url = new URL(pathname, "http://localhost:5173");
+  }
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+export const buildUnsubscribeLink = (user) =>
+  buildClientLink("/unsubscribe", {
+    token: generateDigestUnsubscribeToken(user),
+  });
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const idOf = (value) => (value ? String(value) : "");
+
+const displayName = (user) => user?.name || user?.email || "Someone";
+
+const listDigestNotebooks = async (userId) => {
+  const notebookRoles = await listMemberNotebookRoles(userId);
+
+  return Notebook.find({
+    $or: [{ owner: userId }, { _id: { $in: Array.from(notebookRoles.keys()) } }],
+  })
+    .select("name")
+    .limit(MAX_MEMBERSHIP_IN_QUERY)
+    .lean();
+};
+
+/**
+ * Gather what other people did in the user's notebooks between `since` and
+ * `until`: notes created or edited (from NoteHistory), notebook-wide changes
+ * (from NotebookEvent) and members who joined. The user's own activity is
+ * left out. Notebooks with nothing to report are dropped.
+ */
+export const collectDigestActivity = async (userId, { since, until }) => {
+  const recipientId = new mongoose.Types.ObjectId(String(userId));
+  const notebooks = await listDigestNotebooks(recipientId);
+  if (!notebooks.length) {
+    return { notebooks: [], totals: { created: 0, edited: 0, members: 0 } };
+  }
+
+  const notebookIds = notebooks.map((notebook) => notebook._id);
+  const window = { $gte: since, $lt: until };
+
+  // History is keyed by note, so narrow to notes touched in the window first.
+  const changedNotes = await Note.find({
+    notebookId: { $in: notebookIds },
+    updatedAt: { $gte: since },
+  })
+    .select("title notebookId")
+    .limit(MAX_CHANGED_NOTES)
+    .lean();
+
+  const [history, events, members] = await Promise.all([
+    changedNotes.length
+      ? NoteHistory.find({
+          noteId: { $in: changedNotes.map((note) => note._id) },
+          eventType: { $in: NOTE_CHANGE_EVENTS },
+          actorId: { $ne: recipientId },
+          createdAt: window,
+        })
+          .select("noteId actorId eventType createdAt")
+          .sort({ createdAt: 1 })
+          .lean()
+      : [],
+    NotebookEvent.find({
+      notebookId: { $in: notebookIds },
+      eventType: { $in: NOTEBOOK_DIGEST_EVENTS },
+      actorId: { $ne: recipientId },
+      createdAt: window,
+    })
+      .select("notebookId actorId eventType summary createdAt")
+      .sort({ createdAt: 1 })
+      .lean(),
+    NotebookMember.find({
+      notebookId: { $in: notebookIds },
+      status: "active",
+      userId: { $ne: recipientId },
+      acceptedAt: window,
+    })
+      .select("notebookId userId role acceptedAt")
+      .sort({ acceptedAt: 1 })
+      .lean(),
+  ]);
+
+  const actorIds = new Set();
+  history.forEach((entry) => actorIds.add(idOf(entry.actorId)));
+  events.forEach((entry) => actorIds.add(idOf(entry.actorId)));
+  members.forEach((entry) => actorIds.add(idOf(entry.userId)));
+  const actors = actorIds.size
+    ? await User.find({ _id: { $in: Array.from(actorIds) } })
+        .select("name email")
+        .lean()
+    : [];
+  const actorById = new Map(actors.map((actor) => [idOf(actor._id), actor]));
+  const nameOf = (id) => displayName(actorById.get(idOf(id)));
+
+  const sections = new Map(
+    notebooks.map((notebook) => [
+      idOf(notebook._id),
+      {
+        notebookId: idOf(notebook._id),
+        name: notebook.name,
+        notes: [],
+        events: [],
+        members: [],
+      },
+    ]),
+  );
+
+  const noteById = new Map(changedNotes.map((note) => [idOf(note._id), note]));
+  const noteEntries = new Map();
+  for (const entry of history) {
+    const note = noteById.get(idOf(entry.noteId));
+    const section = note && sections.get(idOf(note.notebookId));
+    if (!section) continue;
+
+    let summary = noteEntries.get(idOf(note._id));
+    if (!summary) {
+      summary = {
+        noteId: idOf(note._id),
+        title: note.title || "Untitled note",
+        created: false,
+        edits: 0,
+        people: [],
+      };
+      noteEntries.set(summary.noteId, summary);
+      section.notes.push(summary);
+    }
+    if (entry.eventType === "create") summary.created = true;
+    else summary.edits += 1;
+    const name = nameOf(entry.actorId);
+    if (!summary.people.includes(name)) summary.people.push(name);
+  }
+
+  for (const entry of events) {
+    sections.get(idOf(entry.notebookId))?.events.push({
+      actor: nameOf(entry.actorId),
+      eventType: entry.eventType,
+      summary: entry.summary ?? null,
+    });
+  }
+
+  for (const entry of members) {
+    sections.get(idOf(entry.notebookId))?.members.push({
+      name: nameOf(entry.userId),
+      role: entry.role,
+    });
+  }
+
+  const totals = { created: 0, edited: 0, members: members.length };
+  for (const summary of noteEntries.values()) {
+    if (summary.created) totals.created += 1;
+    else totals.edited += 1;
+  }
+
+  const active = Array.from(sections.values()).filter(
+    (section) =>
+      section.notes.length || section.events.length || section.members.length,
+  );
+  for (const section of active) {
+    section.notes.sort((a, b) => Number(b.created) - Number(a.created));
+  }
+
+  return { notebooks: active, totals };
+};
+
+const describeNote = (note) => {
+  const verb = note.created
+    ? "created"
+    : note.edits > 1
+      ? `edited ${note.edits} times`
+      : "edited";
+  return `"${note.title}" ${verb} by ${note.people.join(", ")}`;
+};
+
+const describeEvent = (event) =>
+  event.summary
+    ? `${event.actor}: ${event.summary}`
+    : `${event.actor} ${NOTEBOOK_EVENT_LABELS[event.eventType]}`;
+
+const describeMember = (member) => `${member.name} joined as ${member.role}`;
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+export const buildDigestSubject = (frequency, { totals }) => {
+  const parts = [];
+  if (totals.created) parts.push(pluralize(totals.created, "new note"));
+  if (totals.edited) parts.push(pluralize(totals.edited, "updated note"));
+  if (totals.members) parts.push(pluralize(totals.members, "new member"));
+  const label = frequency === "weekly" ? "Your weekly digest" : "Your daily digest";
+  return parts.length ? `${label}: ${parts.join(", ")}` : label;
+};
+
+const renderDigest = ({ user, frequency, activity, unsubscribeUrl }) => {
+  const greeting = displayName(user);
+  const period = frequency === "weekly" ? "this week" : "since yesterday";
+
+  const textSections = [];
+  const htmlSections = [];
+
+  for (const section of activity.notebooks) {
+    const notebookUrl = buildClientLink("/app", { notebook: section.notebookId });
+    const notes = section.notes.slice(0, MAX_NOTES_PER_NOTEBOOK);
+    const hiddenNotes = section.notes.length - notes.length;
+    const events = section.events.slice(0, MAX_EVENTS_PER_NOTEBOOK);
+
+    const lines = [
+      ...notes.map(describeNote),
+      ...(hiddenNotes > 0 ? [`…and ${pluralize(hiddenNotes, "more note")}`] : []),
+      ...events.map(describeEvent),
+      ...section.members.map(describeMember),
+    ];
+
+    textSections.push(
+      `${section.name}\n${lines.map((line) => `  - ${line}`).join("\n")}\n  ${notebookUrl}`,
+    );
+    htmlSections.push(
+      `<h3 style="margin:24px 0 8px"><a href="${escapeHtml(notebookUrl)}" style="color:#4f46e5;text-decoration:none">${escapeHtml(section.name)}</a></h3><ul style="margin:0;padding-left:20px">${lines
+        .map((line) => `<li>${escapeHtml(line)}</li>`)
+        .join("")}</ul>`,
+    );
+  }
+
+  const text = `Hi ${greeting},\n\nHere's what happened in your notebooks ${period}.\n\n${textSections.join(
+    "\n\n",
+  )}\n\nYou are receiving this because you turned on the ${frequency} digest. Unsubscribe: ${unsubscribeUrl}`;
+
+  const html = `<!doctype html><html><body style="font-family:system-ui,sans-serif;color:#1f2937"><p>Hi ${escapeHtml(
+    greeting,
+  )},</p><p>Here's what happened in your notebooks ${period}.</p>${htmlSections.join(
+    "",
+  )}<p style="margin-top:32px;font-size:12px;color:#6b7280">You are receiving this because you turned on the ${frequency} digest. <a href="${escapeHtml(
+    unsubscribeUrl,
+  )}" style="color:#6b7280">Unsubscribe</a></p></body></html>`;
+
+  return { text, html };
+};
+
+/**
+ * Build and send one user's digest for the given window. Returns false when
+ * there was nothing to report, in which case no email goes out.
+ */
+export const sendDigestForUser = async (user, { frequency, since, until }) => {
+  const activity = await collectDigestActivity(user._id, { since, until });
+  if (!activity.notebooks.length) return false;
+
+  const unsubscribeUrl = buildUnsubscribeLink(user);
+  const { text, html } = renderDigest({
+    user,
+    frequency,
+    activity,
+    unsubscribeUrl,
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: buildDigestSubject(frequency, activity),
+    text,
+    html,
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+    },
+  });
+  return true;
+};
+
+const buildDueFilter = (now) => ({
+  emailVerified: true,
+  $or: Object.entries(DIGEST_PERIOD_MS).map(([frequency, period]) => ({
+    "emailDigest.frequency": frequency,
+    $or: [
+      { "emailDigest.lastSentAt": null },
+      {
+        "emailDigest.lastSentAt": {
+          $lte: new Date(now.getTime() - period + DUE_SLACK_MS),
+        },
+      },
+    ],
+  })),
+});
+
+/**
+ * Send every digest that is due. Each user is claimed by moving
+ * `emailDigest.lastSentAt` to `now` before anything is sent, so overlapping
+ * runs (or several app instances) never send the same digest twice. The
+ * window starts at the previous send, capped at one period back.
+ */
+export const dispatchDigests = async ({
+  now = new Date(),
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) => {
+  let sent = 0;
+  let skipped = 0;
+  let failed = 0;
+  const filter = buildDueFilter(now);
+
+  for (;;) {
+    const users = await User.find(filter)
+      .select("name email emailDigest")
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+
+    for (const user of users) {
+      const frequency = user.emailDigest?.frequency;
+      const period = DIGEST_PERIOD_MS[frequency];
+      if (!period) continue;
+
+      const previous = user.emailDigest?.lastSentAt ?? null;
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          "emailDigest.frequency": frequency,
+          "emailDigest.lastSentAt": previous,
+        },
+        { $set: { "emailDigest.lastSentAt": now } },
+        { timestamps: false },
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const floor = now.getTime() - period;
+      const since = new Date(
+        previous ? Math.max(previous.getTime(), floor) : floor,
+      );
+
+      try {
+        if (await sendDigestForUser(user, { frequency, since, until: now })) {
+          sent += 1;
+        } else {
+          skipped += 1;
+        }
+      } catch (error) {
+        failed += 1;
+        logger.error("Failed to send activity digest", {
+          error: error?.message,
+          userId: idOf(user._id),
+        });
+      }
+    }
+
+    // Claimed users no longer match the filter, so the next page is fresh.
+    if (users.length < batchSize) break;
+  }
+
+  return { sent, skipped, failed };
+};
+
+export default {
+  collectDigestActivity,
+  sendDigestForUser,
+  dispatchDigests,
+};
@@ -2,14 +2,20 @@
  * Embedding Service – Generates dense vector embeddings for semantic search.
  *
  * Supports pluggable providers via environment variables.
- * Supported providers: Gemini and Groq (OpenAI-compatible embeddings API).
+ * Supported providers: Gemini and Groq (OpenAI-compatible embeddings API), and
+ * `local`, a deterministic feature-hashing embedder that needs no network.
  * Falls back gracefully when embeddings are disabled or no API key is configured.
  */
 import logger from "../utils/logger.js";
+import { embedTextByHashing } from "../utils/hashedEmbedding.js";
 
 const DEFAULT_PROVIDER = "none";
 const GEMINI_PROVIDER = "gemini";
 const GROQ_PROVIDER = "groq";
+const LOCAL_PROVIDER = "local";
+
+/** Default vector size for the local provider (stays under the Note cap). */
+const LOCAL_EMBEDDING_DIMENSIONS = 512;
 
 const EMBEDDING_MODEL = (process.env.EMBEDDING_MODEL ?? "").trim();
 const GEMINI_EMBEDDING_MODEL =
@@ -74,6 +80,9 @@ function resolveDimensions() {
   }
 
   const provider = getProvider();
+  if (provider === LOCAL_PROVIDER) {
+    return LOCAL_EMBEDDING_DIMENSIONS;
+  }
   const configuredModel = getModelForProvider(provider);
   return MODEL_DIMENSIONS_BY_NAME[configuredModel] ?? 1536;
 }
@@ -84,8 +93,12 @@ export const EMBEDDING_DIMENSIONS = resolveDimensions();
 /** Maximum characters we send to the embedding API (safety cap). */
 const MAX_INPUT_CHARS = 8_000;
 
+/** Whether embeddings are computed in-process rather than by a remote API. */
+export const isLocalEmbeddingProvider = () => getProvider() === LOCAL_PROVIDER;
+
 export const isEmbeddingEnabled = () => {
   const provider = getProvider();
+  if (provider === LOCAL_PROVIDER) return true;
   if (provider !== GEMINI_PROVIDER && provider !== GROQ_PROVIDER) return false;
   return Boolean(getApiKey(provider));
 };
@@ -109,7 +122,7 @@ export const stripMarkdown = (text) => {
  * Produce a single embedding vector for a given text string.
  *
  * @param {string} text – raw text to embed
- * @returns {Promise<number[]|null>} – 3072-dim float array, or null on failure
+ * @returns {Promise<number[]|null>} – EMBEDDING_DIMENSIONS-long float array, or null on failure
  */
 export const embedText = async (text) => {
   const provider = getProvider();
@@ -128,6 +141,10 @@ export const embedText = async (text) => {
 
   const truncated = text.slice(0, MAX_INPUT_CHARS);
 
+  if (provider === LOCAL_PROVIDER) {
+    return embedTextByHashing(truncated, EMBEDDING_DIMENSIONS);
+  }
+
   for (let attempt = 0; attempt < MAX_RETRY_ATTEMPTS; attempt++) {
     const isLastAttempt = attempt === MAX_RETRY_ATTEMPTS - 1;
     try {
@@ -230,15 +247,21 @@ export const embedBatch = async (texts) => {
     return texts.map(() => null);
   }
 
+  const normalizedTexts = texts.map((text) =>
+    (typeof text === "string" ? text : "").slice(0, MAX_INPUT_CHARS),
+  );
+
+  if (provider === LOCAL_PROVIDER) {
+    return normalizedTexts.map((text) =>
+      embedTextByHashing(text, EMBEDDING_DIMENSIONS),
+    );
+  }
+
   const apiKey = getApiKey(provider);
   if (!apiKey) {
     return texts.map(() => null);
   }
 
-  const normalizedTexts = texts.map((text) =>
-    (typeof text === "string" ? text : "").slice(0, MAX_INPUT_CHARS),
-  );
-
   const requests = normalizedTexts.map((text) => ({
     model: `models/${getModelForProvider(provider)}`,
     content: { parts: [{ text }] },
@@ -335,5 +358,6 @@ export default {
   embedBatch,
   buildNoteEmbeddingText,
   stripMarkdown,
+  isLocalEmbeddingProvider,
   EMBEDDING_DIMENSIONS,
 };
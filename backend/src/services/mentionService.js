@@ -0,0 +1,274 @@
+import mongoose from "mongoose";
+import * as Y from "yjs";
+import Note from "../models/Note.js";
+import Notebook from "../models/Notebook.js";
+import NotebookMember from "../models/NotebookMember.js";
+import NoteCollaborator from "../models/NoteCollaborator.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import Workspace from "../models/Workspace.js";
+import logger from "../utils/logger.js";
+import {
+  listInheritedNotebookMembers,
+  resolveNoteForUser,
+} from "../utils/access.js";
+import { isValidObjectId } from "../utils/validators.js";
+
+const MAX_MENTIONS_PER_SAVE = 50;
+const MAX_EXCERPT_LENGTH = 280;
+const MENTION_NODE_TYPE = "mention";
+
+/**
+ * Mentions inside plain-text comment bodies are stored as `@[Name](userId)`
+ * so the client can render them as chips without another lookup.
+ */
+export const MENTION_TOKEN_PATTERN = /@\[([^\]\n]{1,100})\]\(([0-9a-fA-F]{24})\)/g;
+
+const collectIds = (ids) =>
+  Array.from(new Set(ids.filter((id) => isValidObjectId(id)).map(String))).slice(
+    0,
+    MAX_MENTIONS_PER_SAVE,
+  );
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const truncate = (value, limit) => {
+  const normalized = String(value ?? "").replace(/\s+/g, " ").trim();
+  return normalized.length > limit
+    ? `${normalized.slice(0, limit - 1)}…`
+    : normalized;
+};
+
+/** Replace `@[Name](id)` tokens with `@Name` for previews and emails. */
+export const stripMentionTokens = (text) =>
+  String(text ?? "").replace(MENTION_TOKEN_PATTERN, (_match, name) => `@${name}`);
+
+export const extractMentionIdsFromText = (text) => {
+  if (typeof text !== "string" || !text) return [];
+  const ids = [];
+  for (const match of text.matchAll(MENTION_TOKEN_PATTERN)) {
+    ids.push(match[2]);
+  }
+  return collectIds(ids);
+};
+
+/** Walk a ProseMirror JSON document and collect `mention` node ids. */
+export const extractMentionIdsFromRichContent = (doc) => {
+  const ids = [];
+  const stack = doc && typeof doc === "object" ? [doc] : [];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node?.type === MENTION_NODE_TYPE && node.attrs?.id) {
+      ids.push(String(node.attrs.id));
+    }
+    if (Array.isArray(node?.content)) {
+      stack.push(...node.content);
+    }
+  }
+  return collectIds(ids);
+};
+
+/** Same as above, but reading the Yjs fragment the collab editor writes to. */
+export const extractMentionIdsFromYDoc = (document, field = "default") => {
+  if (!document) return [];
+  const ids = [];
+  const stack = [document.getXmlFragment(field)];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node instanceof Y.XmlElement && node.nodeName === MENTION_NODE_TYPE) {
+      const id = node.getAttribute("id");
+      if (id) ids.push(String(id));
+    }
+    if (node instanceof Y.XmlElement || node instanceof Y.XmlFragment) {
+      stack.push(...node.toArray());
+    }
+  }
+  return collectIds(ids);
+};
+
+/**
+ * Users who can see the note and may therefore be mentioned in it: the note
+ * owner, workspace members, notebook members and direct collaborators.
+ */
+export const listMentionCandidates = async (access, { query = "", limit = 8 } = {}) => {
+  const note = access.note;
+  const ids = new Set([String(note.owner)]);
+
+  const [workspace, notebook, notebookMembers, collaborators] =
+    await Promise.all([
+      access.workspaceId
+        ? Workspace.findById(access.workspaceId)
+            .select({ ownerId: 1, members: 1 })
+            .lean()
+        : null,
+      access.notebookId
+        ? Notebook.findById(access.notebookId)
+            .select({ owner: 1, parentId: 1 })
+            .lean()
+        : null,
+      access.notebookId
+        ? NotebookMember.find({
+            notebookId: access.notebookId,
+            status: "active",
+          })
+            .select({ userId: 1 })
+            .lean()
+        : [],
+      NoteCollaborator.find({ noteId: note._id }).select({ userId: 1 }).lean(),
+    ]);
+
+  if (workspace) {
+    ids.add(String(workspace.ownerId));
+    (workspace.members ?? []).forEach((member) => {
+      if ((member.status ?? "active") === "active") {
+        ids.add(String(member.userId));
+      }
+    });
+  }
+  if (notebook?.owner) {
+    ids.add(String(notebook.owner));
+  }
+  notebookMembers.forEach((member) => ids.add(String(member.userId)));
+  if (notebook?.parentId) {
+    const inherited = await listInheritedNotebookMembers(notebook);
+    inherited.forEach((member) => ids.add(String(member.userId)));
+  }
+  collaborators.forEach((entry) => ids.add(String(entry.userId)));
+
+  const filter = {
+    _id: {
+      $in: Array.from(ids)
+        .filter((id) => isValidObjectId(id))
+        .map((id) => new mongoose.Types.ObjectId(id)),
+    },
+  };
+  const trimmed = String(query ?? "").trim();
+  if (trimmed) {
+    const pattern = new RegExp(escapeRegex(trimmed), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  const users = await User.find(filter, { name: 1, email: 1 })
+    .sort({ name: 1 })
+    .limit(limit)
+    .lean();
+
+  return users.map((user) => ({
+    id: user._id.toString(),
+    name: user.name ?? user.email,
+    email: user.email,
+  }));
+};
+
+/**
+ * Create one mention notification per recipient. The author is skipped, and
+ * so is anyone who cannot open the note — a mention must not leak its title.
+ */
+export const notifyMentions = async ({
+  actorId,
+  noteId,
+  userIds,
+  source = "note",
+  commentId = null,
+  excerpt = "",
+}) => {
+  const recipients = collectIds(userIds ?? []).filter(
+    (id) => id !== String(actorId),
+  );
+  if (!recipients.length) return [];
+
+  const accessChecks = await Promise.all(
+    recipients.map(async (userId) => ({
+      userId,
+      access: await resolveNoteForUser(noteId, userId),
+    })),
+  );
+
+  const docs = accessChecks
+    .filter(({ access }) => Boolean(access))
+    .map(({ userId, access }) => ({
+      recipientId: userId,
+      actorId: actorId ?? null,
+      type: "mention",
+      source,
+      noteId: access.note._id,
+      notebookId: access.notebookId ?? null,
+      workspaceId: access.workspaceId ?? null,
+      commentId,
+      title: truncate(access.note.title, 200),
+      excerpt: truncate(stripMentionTokens(excerpt), MAX_EXCERPT_LENGTH),
+    }));
+
+  if (!docs.length) return [];
+
+  try {
+    const created = await Notification.insertMany(docs);
+    return created.map((entry) => entry.recipientId.toString());
+  } catch (error) {
+    logger.warn("Failed to create mention notifications", {
+      noteId: String(noteId),
+      message: error?.message,
+    });
+    return [];
+  }
+};
+
+/**
+ * Compare the mentions currently in a note body with those already notified
+ * and notify only the new ones. Removing a mention forgets it, so adding the
+ * person back later notifies them again.
+ */
+export const syncNoteMentions = async ({ noteId, actorId, mentionIds }) => {
+  if (!isValidObjectId(noteId)) return [];
+
+  try {
+    const note = await Note.findById(noteId)
+      .select({ mentionedUserIds: 1, contentText: 1, content: 1 })
+      .lean();
+    if (!note) return [];
+
+    const current = collectIds(mentionIds ?? []);
+    const previous = new Set((note.mentionedUserIds ?? []).map(String));
+    const added = current.filter((id) => !previous.has(id));
+    const unchanged =
+      added.length === 0 && previous.size === current.length;
+    if (unchanged) return [];
+
+    await Note.updateOne(
+      { _id: note._id },
+      {
+        $set: {
+          mentionedUserIds: current.map(
+            (id) => new mongoose.Types.ObjectId(id),
+          ),
+        },
+      },
+    );
+
+    if (!added.length) return [];
+
+    return notifyMentions({
+      actorId,
+      noteId: note._id,
+      userIds: added,
+      source: "note",
+      excerpt: note.contentText || note.content || "",
+    });
+  } catch (error) {
+    logger.warn("Failed to sync note mentions", {
+      noteId: String(noteId),
+      message: error?.message,
+    });
+    return [];
+  }
+};
+
+export default {
+  extractMentionIdsFromText,
+  extractMentionIdsFromRichContent,
+  extractMentionIdsFromYDoc,
+  listMentionCandidates,
+  notifyMentions,
+  syncNoteMentions,
+  stripMentionTokens,
+};
@@ -0,0 +1,177 @@
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+import NoteAttachment from "../models/NoteAttachment.js";
+import logger from "../utils/logger.js";
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_NOTE,
+} from "../utils/constants.js";
+import { getAttachmentStorage } from "./attachmentStorage.js";
+
+// Served inline with their own content type. SVG is deliberately absent: it
+// can carry script, so it is stored and downloaded like any other file.
+export const INLINE_IMAGE_MIME_TYPES = new Set([
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "image/avif",
+]);
+
+const EXTENSION_MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".csv": "text/csv",
+  ".json": "application/json",
+  ".zip": "application/zip",
+};
+
+const attachmentError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+export const sanitizeAttachmentFileName = (value) => {
+  const base = path
+    .basename(String(value ?? "").replace(/\\/g, "/"))
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 200);
+  return base || "attachment";
+};
+
+/** Best-effort MIME type for files that arrive without one (ZIP imports). */
+export const guessMimeType = (fileName) =>
+  EXTENSION_MIME_TYPES[path.extname(fileName).toLowerCase()] ??
+  "application/octet-stream";
+
+const normalizeMimeType = (mimeType, fileName) => {
+  const base = String(mimeType ?? "").split(";")[0].trim().toLowerCase();
+  if (!base || base === "application/octet-stream") {
+    return guessMimeType(fileName);
+  }
+  return base;
+};
+
+export const serializeAttachment = (attachment) => ({
+  id: attachment._id.toString(),
+  noteId: attachment.noteId.toString(),
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  kind: attachment.kind,
+  uploadedBy: attachment.uploadedBy?.toString?.() ?? null,
+  createdAt: attachment.createdAt,
+});
+
+/**
+ * Persist an uploaded blob for `note` and record its metadata. Throws errors
+ * carrying `statusCode` for limits the caller should surface as 4xx.
+ */
+export const storeNoteAttachment = async ({
+  note,
+  uploaderId,
+  fileName,
+  mimeType,
+  buffer,
+}) => {
+  if (!buffer?.length) {
+    throw attachmentError("Uploaded file is empty", 400);
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw attachmentError("Attachment is too large", 413);
+  }
+
+  const existing = await NoteAttachment.countDocuments({ noteId: note._id });
+  if (existing >= MAX_ATTACHMENTS_PER_NOTE) {
+    throw attachmentError(
+      `A note can have at most ${MAX_ATTACHMENTS_PER_NOTE} attachments`,
+      409,
+    );
+  }
+
+  const safeName = sanitizeAttachmentFileName(fileName);
+  const resolvedMime = normalizeMimeType(mimeType, safeName);
+  const extension = path.extname(safeName).toLowerCase();
+  const storageKey = `${note._id.toString()}/${randomUUID()}${
+    /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : ""
+  }`;
+
+  const storage = getAttachmentStorage();
+  await storage.save(storageKey, buffer, { contentType: resolvedMime });
+
+  try {
+    return await NoteAttachment.create({
+      noteId: note._id,
+      workspaceId: note.workspaceId ?? null,
+      notebookId: note.notebookId ?? null,
+      uploadedBy: uploaderId,
+      fileName: safeName,
+      mimeType: resolvedMime,
+      size: buffer.length,
+      kind: INLINE_IMAGE_MIME_TYPES.has(resolvedMime) ? "image" : "file",
+      storageDriver: storage.name,
+      storageKey,
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+export const readAttachmentContent = (attachment) =>
+  getAttachmentStorage(attachment.storageDriver).read(attachment.storageKey);
+
+export const openAttachmentStream = (attachment) =>
+  getAttachmentStorage(attachment.storageDriver).createReadStream(
+    attachment.storageKey,
+  );
+
+export const deleteNoteAttachment = async (attachment) => {
+  await NoteAttachment.deleteOne({ _id: attachment._id });
+  try {
+    await getAttachmentStorage(attachment.storageDriver).remove(
+      attachment.storageKey,
+    );
+  } catch (error) {
+    logger.warn("Failed to remove attachment blob", {
+      attachmentId: attachment._id?.toString?.(),
+      error: error?.message,
+    });
+  }
+};
+
+/** Remove every attachment belonging to permanently deleted notes. */
+export const purgeNoteAttachments = async (noteIds) => {
+  if (!noteIds?.length) return 0;
+
+  const attachments = await NoteAttachment.find({ noteId: { $in: noteIds } })
+    .select("_id storageDriver storageKey")
+    .lean();
+
+  for (const attachment of attachments) {
+    await deleteNoteAttachment(attachment);
+  }
+
+  return attachments.length;
+};
+
+export default {
+  INLINE_IMAGE_MIME_TYPES,
+  sanitizeAttachmentFileName,
+  guessMimeType,
+  serializeAttachment,
+  storeNoteAttachment,
+  readAttachmentContent,
+  openAttachmentStream,
+  deleteNoteAttachment,
+  purgeNoteAttachments,
+};
@@ -0,0 +1,60 @@
+import Note from "../models/Note.js";
+import NoteComment from "../models/NoteComment.js";
+import NoteAttachment from "../models/NoteAttachment.js";
+import { purgeNoteAttachments } from "./noteAttachmentService.js";
+
+const ORPHAN_BATCH_SIZE = 500;
+
+/** The ids in `noteIds` with no note left, trashed or not. */
+const findMissingNoteIds = async (noteIds) => {
+  const existing = await Note.find({ _id: { $in: noteIds } })
+    .setOptions({ withTrashed: true })
+    .select("_id")
+    .lean();
+  const present = new Set(existing.map((note) => note._id.toString()));
+  return noteIds.filter((noteId) => !present.has(noteId.toString()));
+};
+
+/**
+ * Run `remove` for each batch of `noteIds` whose note no longer exists and
+ * return the total it reports.
+ */
+const sweepMissingNotes = async (noteIds, remove) => {
+  let removed = 0;
+  for (let index = 0; index < noteIds.length; index += ORPHAN_BATCH_SIZE) {
+    const missing = await findMissingNoteIds(
+      noteIds.slice(index, index + ORPHAN_BATCH_SIZE),
+    );
+    if (missing.length) {
+      removed += await remove(missing);
+    }
+  }
+  return removed;
+};
+
+const removeCommentsForNotes = async (noteIds) => {
+  const { deletedCount } = await NoteComment.deleteMany({
+    noteId: { $in: noteIds },
+  });
+  return deletedCount ?? 0;
+};
+
+/**
+ * Delete data left behind by notes that were removed without going through
+ * the purge paths, chiefly trashed notes expired by the `note_trash_ttl`
+ * index.
+ */
+export const removeOrphanedNoteData = async () => ({
+  comments: await sweepMissingNotes(
+    await NoteComment.distinct("noteId"),
+    removeCommentsForNotes,
+  ),
+  attachments: await sweepMissingNotes(
+    await NoteAttachment.distinct("noteId"),
+    purgeNoteAttachments,
+  ),
+});
+
+export default {
+  removeOrphanedNoteData,
+};
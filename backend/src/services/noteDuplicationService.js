@@ -0,0 +1,321 @@
+import mongoose from "mongoose";
+import * as Y from "yjs";
+import Note from "../models/Note.js";
+import NoteAttachment from "../models/NoteAttachment.js";
+import NoteHistory from "../models/NoteHistory.js";
+import CollabDocument from "../models/CollabDocument.js";
+import logger from "../utils/logger.js";
+import {
+  WORKSPACE_EDIT_ROLES,
+  getNotebookMembership,
+  resolveWorkspaceForUser,
+} from "../utils/access.js";
+import { isValidObjectId } from "../utils/validators.js";
+import {
+  extractLinksFromRichContent,
+  extractLinksFromText,
+  syncNoteLinks,
+} from "./noteLinkService.js";
+import {
+  readAttachmentContent,
+  storeNoteAttachment,
+} from "./noteAttachmentService.js";
+import { indexNoteEmbedding } from "./vectorSearchService.js";
+
+const NOTEBOOK_WRITE_ROLES = new Set(["owner", "editor"]);
+const MAX_TITLE_LENGTH = 200;
+const COPY_SUFFIX = " (copy)";
+
+const duplicationError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const toObjectId = (value) =>
+  value instanceof mongoose.Types.ObjectId
+    ? value
+    : new mongoose.Types.ObjectId(String(value));
+
+/** `Title (copy)`, trimmed so the suffix still fits the title limit. */
+export const buildCopyTitle = (title) => {
+  const base = typeof title === "string" ? title.trim() : "";
+  return `${base.slice(0, MAX_TITLE_LENGTH - COPY_SUFFIX.length)}${COPY_SUFFIX}`;
+};
+
+/** Whether a copy would land in the same notebook (or workspace) as `note`. */
+export const isSameCopyLocation = (note, destination) =>
+  String(destination.notebookId ?? "") === String(note.notebookId ?? "") &&
+  (Boolean(destination.notebookId) ||
+    String(destination.workspaceId ?? "") === String(note.workspaceId ?? ""));
+
+/**
+ * Where copied notes should land. An explicit `notebookId` wins and must be
+ * writable; `null` / "uncategorized" drops the notebook; leaving both ids out
+ * keeps the `fallback` (normally the source note's) notebook. The resolved
+ * workspace always needs an edit role. Throws errors carrying `statusCode`.
+ */
+export const resolveCopyDestination = async ({
+  userId,
+  notebookId,
+  workspaceId,
+  fallback = {},
+  defaultWorkspaceId = null,
+}) => {
+  let targetNotebookId;
+  if (notebookId === undefined) {
+    targetNotebookId = workspaceId ? null : (fallback.notebookId ?? null);
+  } else if (!notebookId || notebookId === "uncategorized") {
+    targetNotebookId = null;
+  } else {
+    targetNotebookId = notebookId;
+  }
+
+  let notebook = null;
+  if (targetNotebookId) {
+    const access = await getNotebookMembership(targetNotebookId, userId);
+    if (!access) {
+      throw duplicationError("Notebook not found", 404);
+    }
+    const role = access.membership?.role ?? "viewer";
+    if (!NOTEBOOK_WRITE_ROLES.has(role)) {
+      throw duplicationError("Insufficient notebook permissions", 403);
+    }
+    notebook = access.notebook;
+  }
+
+  const notebookWorkspaceId = notebook
+    ? (notebook.workspaceId ?? defaultWorkspaceId)
+    : null;
+  if (
+    notebook &&
+    workspaceId &&
+    String(workspaceId) !== String(notebookWorkspaceId ?? "")
+  ) {
+    throw duplicationError(
+      "Notebook does not belong to the requested workspace",
+      400,
+    );
+  }
+
+  const preferredWorkspaceId =
+    notebookWorkspaceId ??
+    workspaceId ??
+    fallback.workspaceId ??
+    defaultWorkspaceId;
+  if (preferredWorkspaceId && !isValidObjectId(String(preferredWorkspaceId))) {
+    throw duplicationError("Invalid workspace ID", 400);
+  }
+
+  const workspaceContext = await resolveWorkspaceForUser(
+    preferredWorkspaceId,
+    userId,
+  );
+  if (!workspaceContext) {
+    throw duplicationError("Workspace not found or inaccessible", 404);
+  }
+  const workspaceRole = workspaceContext.member?.role ?? "owner";
+  if (!WORKSPACE_EDIT_ROLES.has(workspaceRole)) {
+    throw duplicationError("Insufficient permissions", 403);
+  }
+
+  return {
+    workspaceId: workspaceContext.workspace._id,
+    notebookId: notebook?._id ?? null,
+  };
+};
+
+/** Swap `attachmentId` attributes on image nodes for the copies' ids. */
+const remapRichContentAttachments = (node, attachmentIds) => {
+  if (Array.isArray(node)) {
+    return node.map((child) => remapRichContentAttachments(child, attachmentIds));
+  }
+  if (!node || typeof node !== "object") {
+    return node;
+  }
+  const next = { ...node };
+  const attachmentId = next.attrs?.attachmentId;
+  if (attachmentId && attachmentIds.has(String(attachmentId))) {
+    next.attrs = {
+      ...next.attrs,
+      attachmentId: attachmentIds.get(String(attachmentId)),
+    };
+  }
+  if (Array.isArray(next.content)) {
+    next.content = remapRichContentAttachments(next.content, attachmentIds);
+  }
+  return next;
+};
+
+const remapYDocAttachments = (element, attachmentIds) => {
+  element.toArray().forEach((child) => {
+    if (!(child instanceof Y.XmlElement)) return;
+    const attachmentId = child.getAttribute("attachmentId");
+    if (attachmentId && attachmentIds.has(String(attachmentId))) {
+      child.setAttribute("attachmentId", attachmentIds.get(String(attachmentId)));
+    }
+    remapYDocAttachments(child, attachmentIds);
+  });
+};
+
+const copyNoteAttachments = async ({ sourceNoteId, targetNote, actorId }) => {
+  const attachmentIds = new Map();
+  const attachments = await NoteAttachment.find({ noteId: sourceNoteId })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  for (const attachment of attachments) {
+    try {
+      const buffer = await readAttachmentContent(attachment);
+      const copy = await storeNoteAttachment({
+        note: targetNote,
+        uploaderId: actorId,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        buffer,
+      });
+      attachmentIds.set(attachment._id.toString(), copy._id.toString());
+    } catch (error) {
+      logger.warn("Skipping attachment while duplicating note", {
+        attachmentId: attachment._id.toString(),
+        error: error?.message,
+      });
+    }
+  }
+
+  return attachmentIds;
+};
+
+/**
+ * Give the copy the source's live Yjs document, so it opens exactly as the
+ * source last looked in the editor rather than as the last REST save.
+ */
+const copyCollabDocument = async ({ sourceNote, targetNote, attachmentIds }) => {
+  const stored = await CollabDocument.findOne({
+    name: sourceNote.docName ?? `note:${sourceNote._id.toString()}`,
+  }).lean();
+  if (!stored?.state) return;
+
+  const document = new Y.Doc();
+  Y.applyUpdate(
+    document,
+    new Uint8Array(
+      stored.state.buffer,
+      stored.state.byteOffset,
+      stored.state.byteLength,
+    ),
+  );
+  document.transact(() => {
+    if (attachmentIds.size) {
+      remapYDocAttachments(document.getXmlFragment("default"), attachmentIds);
+    }
+    const sharedTitle = document.getText("title");
+    if (sharedTitle.length) {
+      sharedTitle.delete(0, sharedTitle.length);
+      sharedTitle.insert(0, targetNote.title);
+    }
+  });
+
+  await CollabDocument.create({
+    name: targetNote.docName,
+    state: Buffer.from(Y.encodeStateAsUpdate(document)),
+  });
+  document.destroy();
+};
+
+/**
+ * Copy one note into `destination` as a new note owned by `actorId`: text,
+ * rich content, tags, pin / archive state, attachments and the collaborative
+ * document. Comments, history, collaborators, publishing and reminders stay
+ * with the source. Callers handle notebook ordering and indexing.
+ */
+export const duplicateNote = async ({
+  sourceNote,
+  actorId,
+  destination,
+  title,
+}) => {
+  const source = await Note.findById(sourceNote._id)
+    .select("+embedding +mentionedUserIds")
+    .lean();
+  if (!source) {
+    throw duplicationError("Note not found", 404);
+  }
+
+  const copy = await Note.create({
+    owner: toObjectId(actorId),
+    workspaceId: destination.workspaceId ?? null,
+    notebookId: destination.notebookId ?? null,
+    title: title ?? source.title,
+    content: source.content,
+    richContent: source.richContent ?? null,
+    tags: Array.isArray(source.tags) ? source.tags : [],
+    pinned: Boolean(source.pinned),
+    archived: Boolean(source.archived),
+    archivedAt: source.archived ? new Date() : null,
+    // People mentioned in the source were already notified about this text.
+    mentionedUserIds: source.mentionedUserIds,
+    embedding: source.embedding,
+    embeddingUpdatedAt: source.embedding ? source.embeddingUpdatedAt : null,
+  });
+  if (copy.embedding?.length) {
+    indexNoteEmbedding(copy._id, copy.embedding, copy.embeddingUpdatedAt);
+  }
+
+  const attachmentIds = await copyNoteAttachments({
+    sourceNoteId: source._id,
+    targetNote: copy,
+    actorId,
+  });
+
+  if (attachmentIds.size && copy.richContent) {
+    copy.richContent = remapRichContentAttachments(
+      copy.richContent,
+      attachmentIds,
+    );
+    await Note.updateOne(
+      { _id: copy._id },
+      { $set: { richContent: copy.richContent } },
+    );
+  }
+
+  try {
+    await copyCollabDocument({ sourceNote: source, targetNote: copy, attachmentIds });
+  } catch (error) {
+    // The editor seeds an empty document from richContent instead.
+    logger.warn("Failed to copy collaborative document", {
+      noteId: source._id.toString(),
+      error: error?.message,
+    });
+  }
+
+  await NoteHistory.create({
+    noteId: copy._id,
+    workspaceId: copy.workspaceId,
+    actorId,
+    eventType: "create",
+    summary: `Duplicated from "${source.title}"`,
+    titleSnapshot: copy.title ?? "",
+    contentSnapshot: (copy.contentText ?? copy.content ?? "").slice(0, 50_000),
+    richSnapshot: copy.richContent ?? null,
+    tagsSnapshot: Array.isArray(copy.tags) ? copy.tags : [],
+  });
+
+  await syncNoteLinks({
+    noteId: copy._id,
+    links: copy.richContent
+      ? extractLinksFromRichContent(copy.richContent)
+      : extractLinksFromText(copy.content),
+  });
+
+  const payload = copy.toJSON();
+  delete payload.mentionedUserIds;
+  return payload;
+};
+
+export default {
+  buildCopyTitle,
+  isSameCopyLocation,
+  resolveCopyDestination,
+  duplicateNote,
+};
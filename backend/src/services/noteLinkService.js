@@ -0,0 +1,294 @@
+import mongoose from "mongoose";
+import * as Y from "yjs";
+import Note from "../models/Note.js";
+import logger from "../utils/logger.js";
+import { buildAccessibleNotesFilter } from "../utils/access.js";
+import { isValidObjectId } from "../utils/validators.js";
+
+export const WIKI_LINK_NODE_TYPE = "wikiLink";
+
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]{1,200})\]\]/g;
+const MAX_LINKS_PER_NOTE = 200;
+const MAX_TITLE_LOOKUPS = 50;
+const MAX_GRAPH_NODES = 1000;
+const EXCERPT_RADIUS = 70;
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(String(value));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const uniqueIds = (ids) =>
+  Array.from(new Set(ids.filter((id) => isValidObjectId(id)).map(String)));
+
+const uniqueTitles = (titles) => {
+  const seen = new Map();
+  titles.forEach((title) => {
+    const normalized = String(title ?? "").replace(/\s+/g, " ").trim();
+    if (normalized && !seen.has(normalized.toLowerCase())) {
+      seen.set(normalized.toLowerCase(), normalized);
+    }
+  });
+  return Array.from(seen.values());
+};
+
+/** `[[Title]]` references typed as plain text (no autocomplete pick). */
+export const extractWikiLinkTitles = (text) => {
+  if (typeof text !== "string" || !text) return [];
+  const titles = [];
+  for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+    titles.push(match[1]);
+  }
+  return uniqueTitles(titles);
+};
+
+export const extractLinksFromText = (text) => ({
+  ids: [],
+  titles: extractWikiLinkTitles(text),
+});
+
+/**
+ * Walk a ProseMirror JSON document. Picked links are `wikiLink` nodes that
+ * carry the target id; typed `[[Title]]` text is collected for a title lookup.
+ */
+export const extractLinksFromRichContent = (doc) => {
+  const ids = [];
+  const texts = [];
+  const stack = doc && typeof doc === "object" ? [doc] : [];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node?.type === WIKI_LINK_NODE_TYPE && node.attrs?.id) {
+      ids.push(String(node.attrs.id));
+    }
+    if (node?.type === "text" && typeof node.text === "string") {
+      texts.push(node.text);
+    }
+    if (Array.isArray(node?.content)) {
+      stack.push(...node.content);
+    }
+  }
+  return {
+    ids: uniqueIds(ids),
+    titles: extractWikiLinkTitles(texts.join("\n")),
+  };
+};
+
+/** Same as above, but reading the Yjs fragment the collab editor writes to. */
+export const extractLinksFromYDoc = (document, field = "default") => {
+  if (!document) return { ids: [], titles: [] };
+  const ids = [];
+  const texts = [];
+  const stack = [document.getXmlFragment(field)];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node instanceof Y.XmlElement && node.nodeName === WIKI_LINK_NODE_TYPE) {
+      const id = node.getAttribute("id");
+      if (id) ids.push(String(id));
+    }
+    if (node instanceof Y.XmlText) {
+      texts.push(
+        node
+          .toDelta()
+          .map((op) => (typeof op.insert === "string" ? op.insert : ""))
+          .join(""),
+      );
+    }
+    if (node instanceof Y.XmlElement || node instanceof Y.XmlFragment) {
+      stack.push(...node.toArray());
+    }
+  }
+  return {
+    ids: uniqueIds(ids),
+    titles: extractWikiLinkTitles(texts.join("\n")),
+  };
+};
+
+/**
+ * Turn extracted links into note ids. Typed titles resolve against notes in
+ * the same workspace (or the owner's personal notes) so a title never links
+ * into someone else's space.
+ */
+const resolveLinkTargets = async (note, { ids = [], titles = [] }) => {
+  const targets = new Set();
+
+  const candidateIds = uniqueIds(ids).filter((id) => id !== String(note._id));
+  if (candidateIds.length) {
+    const existing = await Note.find({
+      _id: { $in: candidateIds.map(toObjectId) },
+    })
+      .select({ _id: 1 })
+      .lean();
+    existing.forEach((entry) => targets.add(entry._id.toString()));
+  }
+
+  const lookups = uniqueTitles(titles).slice(0, MAX_TITLE_LOOKUPS);
+  if (lookups.length) {
+    const scope = note.workspaceId
+      ? { workspaceId: note.workspaceId }
+      : { owner: note.owner, workspaceId: null };
+    const matches = await Note.find({
+      ...scope,
+      _id: { $ne: note._id },
+      $or: lookups.map((title) => ({
+        title: new RegExp(`^${escapeRegex(title)}$`, "i"),
+      })),
+    })
+      .select({ _id: 1 })
+      .lean();
+    matches.forEach((entry) => targets.add(entry._id.toString()));
+  }
+
+  return Array.from(targets).slice(0, MAX_LINKS_PER_NOTE);
+};
+
+/**
+ * Replace a note's outgoing links with the ones currently in its body.
+ * Failures are logged and swallowed so they never block a save.
+ */
+export const syncNoteLinks = async ({ noteId, links }) => {
+  if (!isValidObjectId(noteId)) return [];
+
+  try {
+    const note = await Note.findById(noteId)
+      .select({ owner: 1, workspaceId: 1, linkedNoteIds: 1 })
+      .lean();
+    if (!note) return [];
+
+    const next = await resolveLinkTargets(note, links ?? {});
+    const previous = (note.linkedNoteIds ?? []).map(String);
+    const unchanged =
+      previous.length === next.length &&
+      next.every((id) => previous.includes(id));
+    if (unchanged) return next;
+
+    await Note.updateOne(
+      { _id: note._id },
+      { $set: { linkedNoteIds: next.map(toObjectId) } },
+    );
+    return next;
+  } catch (error) {
+    logger.warn("Failed to sync note links", {
+      noteId: String(noteId),
+      message: error?.message,
+    });
+    return [];
+  }
+};
+
+const buildExcerpt = (text, title) => {
+  const source = String(text ?? "").replace(/\s+/g, " ").trim();
+  if (!source) return "";
+  const index = title
+    ? source.toLowerCase().indexOf(`[[${title.toLowerCase()}`)
+    : -1;
+  if (index < 0) {
+    return source.length > EXCERPT_RADIUS * 2
+      ? `${source.slice(0, EXCERPT_RADIUS * 2 - 1)}…`
+      : source;
+  }
+  const start = Math.max(0, index - EXCERPT_RADIUS);
+  const end = Math.min(source.length, index + title.length + EXCERPT_RADIUS);
+  return `${start > 0 ? "…" : ""}${source.slice(start, end)}${
+    end < source.length ? "…" : ""
+  }`;
+};
+
+/** Notes linking to `note` that the viewer is allowed to open. */
+export const listBacklinks = async (note, userId, { limit = 100 } = {}) => {
+  const accessFilter = await buildAccessibleNotesFilter(userId);
+  const sources = await Note.find({
+    $and: [{ linkedNoteIds: note._id }, accessFilter],
+  })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .select({ title: 1, notebookId: 1, contentText: 1, content: 1, updatedAt: 1 })
+    .lean();
+
+  return sources.map((source) => ({
+    id: source._id.toString(),
+    title: source.title,
+    notebookId: source.notebookId ? source.notebookId.toString() : null,
+    excerpt: buildExcerpt(source.contentText || source.content, note.title),
+    updatedAt: source.updatedAt,
+  }));
+};
+
+/** Accessible notes whose title matches `query`, for `[[` autocomplete. */
+export const searchLinkableNotes = async (
+  userId,
+  { query = "", excludeId = null, limit = 8 } = {},
+) => {
+  const accessFilter = await buildAccessibleNotesFilter(userId);
+  const conditions = [accessFilter];
+  const trimmed = String(query ?? "").trim();
+  if (trimmed) {
+    conditions.push({ title: new RegExp(escapeRegex(trimmed), "i") });
+  }
+  if (excludeId && isValidObjectId(excludeId)) {
+    conditions.push({ _id: { $ne: toObjectId(excludeId) } });
+  }
+
+  const notes = await Note.find({ $and: conditions })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .select({ title: 1, notebookId: 1, updatedAt: 1 })
+    .lean();
+
+  return notes.map((entry) => ({
+    id: entry._id.toString(),
+    title: entry.title,
+    notebookId: entry.notebookId ? entry.notebookId.toString() : null,
+    updatedAt: entry.updatedAt,
+  }));
+};
+
+/**
+ * Nodes are the notebook's notes; edges are links between two of them.
+ * Links leaving the notebook only count towards `outboundCount`.
+ */
+export const buildNotebookLinkGraph = async (notebookId) => {
+  const notes = await Note.find({ notebookId: toObjectId(notebookId) })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_GRAPH_NODES)
+    .select({ title: 1, tags: 1, updatedAt: 1, linkedNoteIds: 1 })
+    .lean();
+
+  const nodeIds = new Set(notes.map((entry) => entry._id.toString()));
+  const inbound = new Map();
+  const edges = [];
+
+  notes.forEach((entry) => {
+    const source = entry._id.toString();
+    uniqueIds((entry.linkedNoteIds ?? []).map(String)).forEach((target) => {
+      if (!nodeIds.has(target) || target === source) return;
+      edges.push({ source, target });
+      inbound.set(target, (inbound.get(target) ?? 0) + 1);
+    });
+  });
+
+  const nodes = notes.map((entry) => {
+    const id = entry._id.toString();
+    const outgoing = uniqueIds((entry.linkedNoteIds ?? []).map(String));
+    return {
+      id,
+      title: entry.title,
+      tags: entry.tags ?? [],
+      updatedAt: entry.updatedAt,
+      linkCount: outgoing.filter((target) => nodeIds.has(target)).length,
+      backlinkCount: inbound.get(id) ?? 0,
+      outboundCount: outgoing.filter((target) => !nodeIds.has(target)).length,
+    };
+  });
+
+  return { nodes, edges, truncated: notes.length >= MAX_GRAPH_NODES };
+};
+
+export default {
+  extractWikiLinkTitles,
+  extractLinksFromText,
+  extractLinksFromRichContent,
+  extractLinksFromYDoc,
+  syncNoteLinks,
+  listBacklinks,
+  searchLinkableNotes,
+  buildNotebookLinkGraph,
+};
@@ -0,0 +1,262 @@
+import * as Y from "yjs";
+import { TiptapTransformer } from "@hocuspocus/transformer";
+import { matchLines, splitLines } from "../utils/threeWayMerge.js";
+
+const MAX_SNAPSHOT_LENGTH = 50_000;
+const MAX_TITLE_LENGTH = 200;
+// Same cap as `Note.richContent`.
+const MAX_RICH_SNAPSHOT_LENGTH = 512_000;
+
+const xmlTextToString = (node) =>
+  node
+    .toDelta()
+    .map((op) => (typeof op.insert === "string" ? op.insert : ""))
+    .join("");
+
+/**
+ * Plain text of the collab editor's fragment, one line per text block, so
+ * snapshots taken from Yjs diff cleanly against REST `contentText`.
+ */
+export const extractPlainTextFromYDoc = (document, field = "default") => {
+  if (!document) return "";
+  const lines = [];
+
+  const collectInline = (element) =>
+    element
+      .toArray()
+      .map((child) => {
+        if (child instanceof Y.XmlText) return xmlTextToString(child);
+        if (child instanceof Y.XmlElement) {
+          return child.nodeName === "hardBreak" ? "\n" : collectInline(child);
+        }
+        return "";
+      })
+      .join("");
+
+  const walk = (node) => {
+    const children = node.toArray();
+    const isTextBlock = children.some((child) => child instanceof Y.XmlText);
+    if (node instanceof Y.XmlElement && (isTextBlock || !children.length)) {
+      lines.push(collectInline(node));
+      return;
+    }
+    children.forEach((child) => {
+      if (child instanceof Y.XmlElement) walk(child);
+      else if (child instanceof Y.XmlText) lines.push(xmlTextToString(child));
+    });
+  };
+
+  walk(document.getXmlFragment(field));
+  return lines.join("\n").slice(0, MAX_SNAPSHOT_LENGTH);
+};
+
+/** Same paragraph-per-line shape the editor seeds from plain `content`. */
+export const plainTextToRichContent = (text) => {
+  const lines = typeof text === "string" && text ? text.split(/\r?\n/) : [];
+  const paragraphs = lines.map((line) => ({
+    type: "paragraph",
+    content: line.trim() ? [{ type: "text", text: line }] : [],
+  }));
+  return {
+    type: "doc",
+    content: paragraphs.length ? paragraphs : [{ type: "paragraph" }],
+  };
+};
+
+const buildParagraph = (line) => {
+  const paragraph = new Y.XmlElement("paragraph");
+  if (line) {
+    const textNode = new Y.XmlText();
+    textNode.insert(0, line);
+    paragraph.insert(0, [textNode]);
+  }
+  return paragraph;
+};
+
+/** Tiptap JSON document with a node list, as stored in `richContent`. */
+export const isRichDocument = (value) =>
+  Boolean(value) &&
+  typeof value === "object" &&
+  value.type === "doc" &&
+  Array.isArray(value.content);
+
+const marksToAttributes = (marks = []) =>
+  Object.fromEntries(marks.map((mark) => [mark.type, mark.attrs ?? {}]));
+
+/**
+ * Tiptap JSON nodes as Yjs XML, in the layout y-prosemirror gives the
+ * editor: one element per node with its attrs, and runs of text nodes
+ * merged into one XmlText with marks as formatting attributes.
+ */
+const richNodesToYXml = (nodes = []) => {
+  const result = [];
+  let textRun = null;
+  const flushText = () => {
+    if (!textRun) return;
+    const text = new Y.XmlText();
+    text.applyDelta(textRun);
+    result.push(text);
+    textRun = null;
+  };
+  nodes.forEach((node) => {
+    if (node?.type === "text") {
+      if (!textRun) textRun = [];
+      textRun.push({
+        insert: node.text ?? "",
+        attributes: marksToAttributes(node.marks),
+      });
+      return;
+    }
+    flushText();
+    if (!node?.type) return;
+    const element = new Y.XmlElement(node.type);
+    Object.entries(node.attrs ?? {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        element.setAttribute(key, value);
+      }
+    });
+    const children = richNodesToYXml(node.content);
+    if (children.length) element.insert(0, children);
+    result.push(element);
+  });
+  flushText();
+  return result;
+};
+
+/**
+ * Tiptap JSON of the collab editor's fragment, stored with history entries
+ * so a restore brings back formatting, images and task items. Null when it
+ * is too large to keep with the entry.
+ */
+export const extractRichContentFromYDoc = (document, field = "default") => {
+  if (!document) return null;
+  const richContent = TiptapTransformer.fromYdoc(document, field);
+  try {
+    return JSON.stringify(richContent).length <= MAX_RICH_SNAPSHOT_LENGTH
+      ? richContent
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Replace the editor fragment and shared title of a note's Yjs document in
+ * one transaction. Connected editors receive it as a normal remote update.
+ * `richContent` (Tiptap JSON) is used when given; otherwise `text` becomes
+ * one paragraph per line.
+ */
+export const replaceYDocContent = (
+  document,
+  { title, text, richContent = null },
+  field = "default",
+) => {
+  document.transact(() => {
+    const fragment = document.getXmlFragment(field);
+    fragment.delete(0, fragment.length);
+    const lines = typeof text === "string" && text ? text.split(/\r?\n/) : [""];
+    const blocks = isRichDocument(richContent)
+      ? richNodesToYXml(richContent.content)
+      : lines.map(buildParagraph);
+    fragment.insert(0, blocks.length ? blocks : [buildParagraph("")]);
+
+    if (typeof title === "string") {
+      const sharedTitle = document.getText("title");
+      sharedTitle.delete(0, sharedTitle.length);
+      sharedTitle.insert(0, title.slice(0, MAX_TITLE_LENGTH));
+    }
+  });
+};
+
+const isFlatTextBlock = (node) =>
+  node instanceof Y.XmlElement &&
+  node.toArray().every((child) => child instanceof Y.XmlText);
+
+/**
+ * Bring a note's Yjs document to `text` by touching only the lines that
+ * differ, so untouched blocks keep their type and formatting. Documents with
+ * nested blocks (lists, quotes) are replaced wholesale like a restore.
+ */
+export const applyTextToYDoc = (document, { title, text }, field = "default") => {
+  const fragment = document.getXmlFragment(field);
+  const blocks = fragment.toArray();
+  const currentLines = splitLines(extractPlainTextFromYDoc(document, field));
+  const nextLines = splitLines(text);
+  const matches =
+    blocks.length === currentLines.length && blocks.every(isFlatTextBlock)
+      ? matchLines(currentLines, nextLines)
+      : null;
+  if (!matches) {
+    replaceYDocContent(document, { title, text }, field);
+    return;
+  }
+
+  // Pair each run of removed lines with the lines inserted in its place,
+  // then apply the runs from the bottom up so earlier indexes stay valid.
+  const runs = [];
+  let oldStart = 0;
+  let newStart = 0;
+  for (let index = 0; index <= currentLines.length; index += 1) {
+    const partner =
+      index < currentLines.length ? matches[index] : nextLines.length;
+    if (partner === -1) continue;
+    if (index > oldStart || partner > newStart) {
+      runs.push({ oldStart, oldEnd: index, newStart, newEnd: partner });
+    }
+    oldStart = index + 1;
+    newStart = partner + 1;
+  }
+
+  document.transact(() => {
+    runs.reverse().forEach((run) => {
+      const removed = run.oldEnd - run.oldStart;
+      const inserted = nextLines.slice(run.newStart, run.newEnd);
+      if (removed === inserted.length) {
+        // Same number of lines: rewrite each block's text in place.
+        inserted.forEach((line, offset) => {
+          const block = blocks[run.oldStart + offset];
+          block.delete(0, block.length);
+          if (line) {
+            const textNode = new Y.XmlText();
+            textNode.insert(0, line);
+            block.insert(0, [textNode]);
+          }
+        });
+        return;
+      }
+      if (removed) fragment.delete(run.oldStart, removed);
+      if (inserted.length) {
+        fragment.insert(run.oldStart, inserted.map(buildParagraph));
+      }
+    });
+
+    if (typeof title === "string") {
+      const sharedTitle = document.getText("title");
+      if (sharedTitle.toString() !== title) {
+        sharedTitle.delete(0, sharedTitle.length);
+        sharedTitle.insert(0, title.slice(0, MAX_TITLE_LENGTH));
+      }
+    }
+  });
+};
+
+export const serializeNoteVersion = (entry) => ({
+  id: entry._id.toString(),
+  eventType: entry.eventType,
+  summary: entry.summary,
+  actorId: entry.actorId?.toString?.() ?? null,
+  createdAt: entry.createdAt,
+  titleSnapshot: entry.titleSnapshot ?? null,
+  contentSnapshot: entry.contentSnapshot ?? null,
+  tagsSnapshot: Array.isArray(entry.tagsSnapshot) ? entry.tagsSnapshot : null,
+});
+
+export default {
+  extractPlainTextFromYDoc,
+  extractRichContentFromYDoc,
+  isRichDocument,
+  plainTextToRichContent,
+  replaceYDocContent,
+  applyTextToYDoc,
+  serializeNoteVersion,
+};
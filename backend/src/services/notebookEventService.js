@@ -1,5 +1,6 @@
 import NotebookEvent from "../models/NotebookEvent.js";
 import logger from "../utils/logger.js";
+import { enqueueWebhookDeliveries } from "./webhookService.js";
 
 const MAX_SUMMARY_LENGTH = 240;
 const MAX_ERROR_LENGTH = 2000;
@@ -79,6 +80,11 @@ export const appendNotebookEvent = async (eventPayload, options = {}) => {
   }
 
   const [event] = await NotebookEvent.create([payload], createOptions);
+
+  // Outgoing webhooks are queued in the same session so they commit (or roll
+  // back) together with the event they describe.
+  await enqueueWebhookDeliveries(event, { session });
+
   return event;
 };
 
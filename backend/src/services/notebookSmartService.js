@@ -1,11 +1,15 @@
 import mongoose from "mongoose";
 import Notebook from "../models/Notebook.js";
 import NotebookIndex from "../models/NotebookIndex.js";
-import NotebookMember from "../models/NotebookMember.js";
 import Note from "../models/Note.js";
 import NoteCollaborator from "../models/NoteCollaborator.js";
-import { listAccessibleWorkspaceIds } from "../utils/access.js";
+import {
+  listAccessibleWorkspaceIds,
+  listMemberNotebookRoles,
+} from "../utils/access.js";
+import { buildArchiveFilter } from "../utils/noteArchive.js";
 import { embedText } from "./embeddingService.js";
+import { searchNoteVectors } from "./vectorSearchService.js";
 import logger from "../utils/logger.js";
 
 const MAX_NOTE_LIMIT = 60;
@@ -122,19 +126,13 @@ const buildAccessibleNoteFilter = async ({
     return null;
   }
 
-  const [workspaceIds, collaboratorDocs, notebookMemberships] =
-    await Promise.all([
-      listAccessibleWorkspaceIds(userId),
-      NoteCollaborator.find({ userId: ownerObjectId })
-        .select({ noteId: 1 })
-        .lean(),
-      NotebookMember.find({
-        userId: ownerObjectId,
-        status: "active",
-      })
-        .select({ notebookId: 1 })
-        .lean(),
-    ]);
+  const [workspaceIds, collaboratorDocs, notebookRoles] = await Promise.all([
+    listAccessibleWorkspaceIds(userId),
+    NoteCollaborator.find({ userId: ownerObjectId })
+      .select({ noteId: 1 })
+      .lean(),
+    listMemberNotebookRoles(userId),
+  ]);
 
   const workspaceObjectIds = workspaceIds.map(
     (id) => new mongoose.Types.ObjectId(id),
@@ -144,9 +142,7 @@ const buildAccessibleNoteFilter = async ({
     .map((doc) => (doc.noteId ? doc.noteId.toString() : null))
     .filter(Boolean);
 
-  const notebookMembershipIds = notebookMemberships
-    .map((doc) => (doc.notebookId ? doc.notebookId.toString() : null))
-    .filter(Boolean);
+  const notebookMembershipIds = Array.from(notebookRoles.keys());
 
   const orConditions = [{ owner: ownerObjectId }];
 
@@ -198,8 +194,8 @@ const buildAccessibleNoteFilter = async ({
 };
 
 /**
- * Perform semantic vector search using MongoDB Atlas $vectorSearch.
- * Falls back to null if embeddings are unavailable or the index doesn't exist.
+ * Perform semantic vector search through the configured vector backend.
+ * Falls back to null if embeddings or vector search are unavailable.
  */
 const performSemanticSearch = async ({
   searchTerm,
@@ -210,57 +206,24 @@ const performSemanticSearch = async ({
     const queryEmbedding = await embedText(searchTerm);
     if (!queryEmbedding) return null;
 
-    const pipeline = [
-      {
-        $vectorSearch: {
-          index: "note_embedding_index",
-          path: "embedding",
-          queryVector: queryEmbedding,
-          numCandidates: Math.min(Math.max(limit * 10, 100), 300),
-          limit: limit * 2, // fetch extras so we can filter by access
-        },
-      },
-      {
-        $addFields: {
-          score: { $meta: "vectorSearchScore" },
-        },
-      },
-    ];
-
-    // Apply access filter as a $match stage
-    if (accessFilter) {
-      pipeline.push({ $match: accessFilter });
-    }
-
-    pipeline.push({ $limit: limit + 1 });
-    pipeline.push({
-      $project: {
+    const result = await searchNoteVectors({
+      queryVector: queryEmbedding,
+      accessFilter,
+      limit: limit + 1,
+      numCandidates: Math.min(Math.max(limit * 10, 100), 300),
+      projection: {
         title: 1,
         notebookId: 1,
         updatedAt: 1,
         tags: 1,
         pinned: 1,
-        score: 1,
       },
     });
-
-    const results = await Note.aggregate(pipeline);
-    return results;
+    return result?.results ?? null;
   } catch (error) {
-    // $vectorSearch index may not exist yet – fall back silently
-    const msg = error?.message ?? "";
-    if (
-      msg.includes("PlanExecutor") ||
-      msg.includes("vectorSearch") ||
-      msg.includes("index not found") ||
-      msg.includes("Atlas")
-    ) {
-      logger.debug("Vector search unavailable, falling back to text search", {
-        message: msg.slice(0, 200),
-      });
-    } else {
-      logger.warn("Semantic search error", { message: msg.slice(0, 300) });
-    }
+    logger.warn("Semantic search error", {
+      message: (error?.message ?? "").slice(0, 300),
+    });
     return null;
   }
 };
@@ -271,6 +234,7 @@ export const buildSmartNotebook = async ({
   search,
   limit = PREVIEW_NOTE_LIMIT,
   savedQuery = null,
+  archiveMode = "exclude",
 }) => {
   const ownerObjectId = toObjectId(userId);
   if (!ownerObjectId) {
@@ -379,6 +343,8 @@ export const buildSmartNotebook = async ({
     };
   }
 
+  Object.assign(baseFilter, buildArchiveFilter(archiveMode));
+
   const query = { ...baseFilter };
 
   if (aggregatedTags.size === 1) {
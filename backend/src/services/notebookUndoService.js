@@ -9,6 +9,7 @@ import NotebookIndex from "../models/NotebookIndex.js";
 import {
   appendNotesToNotebookOrder,
   removeNotesFromNotebookOrder,
+  validateNotebookParent,
 } from "../utils/notebooks.js";
 
 const toObjectId = (value) => {
@@ -177,6 +178,13 @@ const deleteNotebook = async ({ notebook, session }) => {
     throw new Error("UNDO_UNSUPPORTED_PAYLOAD");
   }
 
+  // Children created since keep their place one level up.
+  await Notebook.updateMany(
+    { parentId: notebookId },
+    { $set: { parentId: toObjectId(notebook.parentId) } },
+    { session }
+  );
+
   await Promise.all([
     Note.deleteMany({ notebookId }, { session }),
     NotebookMember.deleteMany({ notebookId }, { session }),
@@ -208,12 +216,21 @@ const restoreNotebook = async ({ notebook, inverse, event, session }) => {
   const workspaceId = toObjectId(snapshot.workspaceId);
   const isPublic = Boolean(snapshot.isPublic);
 
+  // The old parent may be gone by now; the notebook then returns top-level.
+  const snapshotParentId = toObjectId(snapshot.parentId);
+  const parentExists = snapshotParentId
+    ? await Notebook.exists({ _id: snapshotParentId, owner: ownerId }).session(
+        session
+      )
+    : null;
+
   await Notebook.create(
     [
       {
         _id: notebookId,
         owner: ownerId,
         workspaceId,
+        parentId: parentExists ? snapshotParentId : null,
         name: snapshot.name ?? "Untitled Notebook",
         description: snapshot.description ?? "",
         color: snapshot.color ?? null,
@@ -486,6 +503,17 @@ const restoreNotebook = async ({ notebook, inverse, event, session }) => {
     );
   }
 
+  const liftedNotebookIds = toPlainArray(inverse.liftedNotebookIds)
+    .map((value) => toObjectId(value))
+    .filter((value) => value !== null);
+  if (liftedNotebookIds.length) {
+    await Notebook.updateMany(
+      { _id: { $in: liftedNotebookIds }, owner: ownerId },
+      { $set: { parentId: notebookId } },
+      { session }
+    );
+  }
+
   const affectedNotebookIds = new Set([notebookId.toString()]);
   previousNotebookIds.forEach((_, key) => affectedNotebookIds.add(key));
   if (targetNotebookFromPayload) {
@@ -541,6 +569,9 @@ const restoreNotebookPublication = async ({ notebook, inverse, session }) => {
           html: publicationSnapshot.html ?? null,
           metadata: toPlainObject(publicationSnapshot.metadata),
           publishedAt: toDate(publicationSnapshot.publishedAt) ?? new Date(),
+          passwordHash: publicationSnapshot.passwordHash ?? null,
+          expiresAt: toDate(publicationSnapshot.expiresAt),
+          noindex: Boolean(publicationSnapshot.noindex),
         },
       },
       { upsert: true, session, new: true }
@@ -557,12 +588,44 @@ const restoreNotebookPublication = async ({ notebook, inverse, session }) => {
   };
 };
 
+const restoreNotebookParent = async ({ notebook, inverse, session }) => {
+  const previousParentId = toObjectId(inverse.previousParentId);
+  let parentId = null;
+
+  if (previousParentId) {
+    const parentExists = await Notebook.exists({
+      _id: previousParentId,
+      owner: notebook.owner,
+    }).session(session);
+    if (parentExists) {
+      await validateNotebookParent({
+        notebook,
+        parentId: previousParentId,
+        ownerId: notebook.owner,
+        session,
+      });
+      parentId = previousParentId;
+    }
+  }
+
+  await Notebook.updateOne(
+    { _id: notebook._id },
+    { $set: { parentId } },
+    { session }
+  );
+
+  return {
+    affectedNotebookIds: [notebook._id.toString()],
+  };
+};
+
 const ACTION_HANDLERS = new Map([
   ["restoreNotebookFields", restoreNotebookFields],
   ["restoreNoteNotebook", restoreNoteNotebook],
   ["deleteNotebook", deleteNotebook],
   ["restoreNotebook", restoreNotebook],
   ["restoreNotebookPublication", restoreNotebookPublication],
+  ["restoreNotebookParent", restoreNotebookParent],
 ]);
 
 export const applyUndoForNotebookEvent = async ({
@@ -0,0 +1,122 @@
+import * as Y from "yjs";
+import CollabDocument from "../models/CollabDocument.js";
+import logger from "../utils/logger.js";
+import { isUnchangedSince, mergeNoteFields, mergeText } from "../utils/threeWayMerge.js";
+import { applyTextToYDoc, extractPlainTextFromYDoc } from "./noteVersionService.js";
+import { applyNoteDocumentChange } from "../collab/server.js";
+
+const MAX_TITLE_LENGTH = 200;
+const CONFLICT_SUFFIX = " (conflicted copy)";
+
+const toSyncFields = (value = {}) => ({
+  title: typeof value.title === "string" ? value.title : "",
+  content: typeof value.content === "string" ? value.content : "",
+  tags: Array.isArray(value.tags) ? value.tags.map(String) : [],
+  pinned: Boolean(value.pinned),
+});
+
+/** The `base` an offline operation was made on top of, if it sent one. */
+export const readOperationBase = (payload) => {
+  const base = payload?.base;
+  if (!base || typeof base !== "object") {
+    return null;
+  }
+  return toSyncFields(base);
+};
+
+/** `Title (conflicted copy)`, trimmed so the suffix still fits. */
+export const buildConflictTitle = (title) =>
+  `${String(title ?? "").trim().slice(0, MAX_TITLE_LENGTH - CONFLICT_SUFFIX.length)}${CONFLICT_SUFFIX}`;
+
+/**
+ * The note as the server sees it right now. The stored Yjs document is the
+ * live text for notes opened in the editor, so it wins over `content`, which
+ * only changes on REST saves. `hasDocument` tells callers whether the merge
+ * result must be written back to that document.
+ */
+export const loadRemoteNoteFields = async (note, { session } = {}) => {
+  const fields = toSyncFields(note);
+  const query = CollabDocument.findOne({
+    name: note.docName ?? `note:${note._id.toString()}`,
+  }).lean();
+  if (session) {
+    query.session(session);
+  }
+  const stored = await query;
+  if (!stored?.state) {
+    return { fields, hasDocument: false };
+  }
+
+  const document = new Y.Doc();
+  try {
+    Y.applyUpdate(
+      document,
+      new Uint8Array(
+        stored.state.buffer,
+        stored.state.byteOffset,
+        stored.state.byteLength,
+      ),
+    );
+    const text = extractPlainTextFromYDoc(document);
+    // An empty document has not been seeded from `content` yet.
+    if (document.getXmlFragment("default").length) {
+      fields.content = text;
+    }
+    return { fields, hasDocument: true };
+  } finally {
+    document.destroy();
+  }
+};
+
+/**
+ * Three-way merge of one offline note upsert. Without changes on the server
+ * since `base`, the local edit applies as-is; otherwise fields are merged
+ * and any that cannot be (`conflicts`) leave the server version in place.
+ */
+export const mergeOfflineNoteEdit = ({ base, local, remote }) => {
+  const localFields = toSyncFields(local);
+  if (isUnchangedSince(base, remote)) {
+    return { fields: localFields, conflicts: [], merged: false };
+  }
+  const result = mergeNoteFields({ base, local: localFields, remote });
+  return { ...result, merged: true };
+};
+
+/**
+ * Write merged text into a note's live Yjs document after the sync
+ * transaction commits. Edits made in the editor since the merge read the
+ * document are merged again; if they overlap, the editor's text is kept.
+ */
+export const applyMergedNoteDocument = async ({
+  noteId,
+  previousText,
+  title,
+  text,
+}) => {
+  try {
+    await applyNoteDocumentChange(noteId, (document) => {
+      const liveText = extractPlainTextFromYDoc(document);
+      const { merged, conflict } = mergeText(previousText, text, liveText);
+      if (conflict) {
+        logger.warn("Skipped offline merge for a note edited meanwhile", {
+          noteId,
+        });
+        return;
+      }
+      applyTextToYDoc(document, { title, text: merged });
+    });
+  } catch (error) {
+    logger.warn("Failed to apply offline merge to collaborative document", {
+      noteId,
+      message: error?.message,
+    });
+  }
+};
+
+export default {
+  readOperationBase,
+  buildConflictTitle,
+  loadRemoteNoteFields,
+  mergeOfflineNoteEdit,
+  applyMergedNoteDocument,
+};
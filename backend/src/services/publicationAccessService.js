@@ -0,0 +1,205 @@
+/**
+ * Publication Access Service – password protection, expiry and indexing
+ * settings shared by published notebooks and notes.
+ *
+ * A protected publication is readable once the visitor posts the password to
+ * the unlock endpoint, which sets a short-lived httpOnly cookie scoped to that
+ * publication. Expired publications are hidden immediately and unpublished by
+ * `tasks/publicationExpiryScheduler.js`.
+ */
+import bcrypt from "bcryptjs";
+import Note from "../models/Note.js";
+import Notebook from "../models/Notebook.js";
+import NotePublication from "../models/NotePublication.js";
+import NotebookPublication from "../models/NotebookPublication.js";
+import logger from "../utils/logger.js";
+import {
+  PUBLICATION_UNLOCK_TTL_SECONDS,
+  generatePublicationUnlockToken,
+  verifyPublicationUnlockToken,
+} from "../utils/tokenService.js";
+import { appendNotebookEvent } from "./notebookEventService.js";
+
+export const PUBLICATION_PASSWORD_MIN_LENGTH = 4;
+export const PUBLICATION_PASSWORD_MAX_LENGTH = 128;
+const PASSWORD_SALT_ROUNDS = 10;
+const UNLOCK_COOKIE_PREFIX = "nb_pub_unlock_";
+const EXPIRY_BATCH_SIZE = 100;
+
+export const hashPublicationPassword = (password) =>
+  bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+
+/**
+ * `$set` fields for the access settings present in a publish request body.
+ * Omitted settings are left untouched; `password: null` removes protection.
+ */
+export const buildPublicationSettingsUpdate = async ({
+  password,
+  expiresAt,
+  noindex,
+} = {}) => {
+  const update = {};
+  if (password !== undefined) {
+    update.passwordHash = password ? await hashPublicationPassword(password) : null;
+  }
+  if (expiresAt !== undefined) {
+    update.expiresAt = expiresAt ? new Date(expiresAt) : null;
+  }
+  if (noindex !== undefined) {
+    update.noindex = Boolean(noindex);
+  }
+  return update;
+};
+
+/** Settings as reported to the publisher (never the hash itself). */
+export const serializePublicationSettings = (publication) => ({
+  passwordProtected: Boolean(publication?.passwordHash),
+  expiresAt: publication?.expiresAt ?? null,
+  noindex: Boolean(publication?.noindex),
+});
+
+export const isPublicationExpired = (publication, now = new Date()) =>
+  Boolean(publication?.expiresAt) &&
+  new Date(publication.expiresAt).getTime() <= now.getTime();
+
+const unlockCookieName = (publication) =>
+  `${UNLOCK_COOKIE_PREFIX}${publication._id.toString()}`;
+
+/** Whether the request may read `publication` (selected with `+passwordHash`). */
+export const hasPublicationAccess = (req, publication) => {
+  if (!publication?.passwordHash) return true;
+  return verifyPublicationUnlockToken(
+    req.cookies?.[unlockCookieName(publication)],
+    { publicationId: publication._id, passwordHash: publication.passwordHash },
+  );
+};
+
+/**
+ * Check `password` against the publication and, when it matches, set the
+ * unlock cookie. Returns whether the publication is now unlocked.
+ */
+export const unlockPublication = async (req, res, publication, password) => {
+  if (!publication?.passwordHash) return true;
+  if (typeof password !== "string" || !password) return false;
+  const matches = await bcrypt.compare(password, publication.passwordHash);
+  if (!matches) return false;
+
+  res.cookie(
+    unlockCookieName(publication),
+    generatePublicationUnlockToken({
+      publicationId: publication._id,
+      passwordHash: publication.passwordHash,
+    }),
+    {
+      httpOnly: true,
+      secure: req.secure || process.env.NODE_ENV === "production",
+      // Lax so the cookie still applies when the link is opened from elsewhere.
+      sameSite: "lax",
+      path: "/",
+      maxAge: PUBLICATION_UNLOCK_TTL_SECONDS * 1000,
+    },
+  );
+  return true;
+};
+
+/** Sitemap and feed discovery only list open, indexable publications. */
+export const buildListablePublicationFilter = (now = new Date()) => ({
+  noindex: { $ne: true },
+  passwordHash: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+const expireNotebookPublication = async (publication) => {
+  // Guarded on expiresAt so a republish with a new expiry in between wins.
+  const { deletedCount } = await NotebookPublication.deleteOne({
+    _id: publication._id,
+    expiresAt: publication.expiresAt,
+  });
+  if (!deletedCount) return false;
+
+  const notebook = await Notebook.findOneAndUpdate(
+    { _id: publication.notebookId, publicSlug: publication.publicSlug },
+    {
+      $set: {
+        isPublic: false,
+        publicSlug: null,
+        publicMetadata: null,
+        publishedAt: null,
+      },
+    },
+    { new: true },
+  )
+    .select({ _id: 1, owner: 1, workspaceId: 1, name: 1 })
+    .lean();
+
+  if (notebook) {
+    await appendNotebookEvent({
+      notebookId: notebook._id,
+      ownerId: notebook.owner,
+      workspaceId: notebook.workspaceId ?? null,
+      actorId: publication.ownerId ?? notebook.owner,
+      eventType: "notebook.unpublish",
+      commandName: "expireNotebookPublication",
+      summary: `Publication of ${notebook.name} expired`,
+      payload: {
+        previousSlug: publication.publicSlug,
+        expiresAt: publication.expiresAt,
+      },
+    });
+  }
+  return true;
+};
+
+const expireNotePublication = async (publication) => {
+  const { deletedCount } = await NotePublication.deleteOne({
+    _id: publication._id,
+    expiresAt: publication.expiresAt,
+  });
+  if (!deletedCount) return false;
+
+  await Note.updateOne(
+    { _id: publication.noteId, publicSlug: publication.publicSlug },
+    { $set: { isPublic: false, publicSlug: null, publishedAt: null } },
+  );
+  return true;
+};
+
+/** Unpublish every notebook and note whose `expiresAt` has passed. */
+export const unpublishExpiredPublications = async ({ now = new Date() } = {}) => {
+  const result = { notebooks: 0, notes: 0, failed: 0 };
+  const due = { expiresAt: { $ne: null, $lte: now } };
+
+  const jobs = [
+    { Publication: NotebookPublication, expire: expireNotebookPublication, key: "notebooks" },
+    { Publication: NotePublication, expire: expireNotePublication, key: "notes" },
+  ];
+
+  for (const { Publication, expire, key } of jobs) {
+    const publications = await Publication.find(due)
+      .sort({ expiresAt: 1 })
+      .limit(EXPIRY_BATCH_SIZE)
+      .lean();
+    for (const publication of publications) {
+      try {
+        if (await expire(publication)) result[key] += 1;
+      } catch (error) {
+        result.failed += 1;
+        logger.warn("Failed to unpublish expired publication", {
+          publicationId: publication._id.toString(),
+          message: error?.message,
+        });
+      }
+    }
+  }
+  return result;
+};
+
+export default {
+  buildPublicationSettingsUpdate,
+  serializePublicationSettings,
+  isPublicationExpired,
+  hasPublicationAccess,
+  unlockPublication,
+  buildListablePublicationFilter,
+  unpublishExpiredPublications,
+};
@@ -0,0 +1,399 @@
+/**
+ * Publication Render Service – server-side HTML, meta tags, RSS feeds and the
+ * sitemap for published notebooks and notes, so crawlers and link unfurlers
+ * see the content without running the SPA.
+ *
+ * The article markup is rendered once at publish time and stored in the
+ * publication's `html` field; page shells, meta tags and feeds are built per
+ * request from the stored snapshot.
+ */
+import {
+  escapeHtml,
+  renderPlainTextHtml,
+  renderRichContentHtml,
+} from "../utils/richContentHtml.js";
+
+const SITE_NAME = "NotesBoard";
+const DESCRIPTION_LENGTH = 200;
+const FEED_ITEM_LIMIT = 50;
+/** The sitemap protocol allows at most 50,000 URLs per file. */
+export const SITEMAP_URL_LIMIT = 50_000;
+
+/** Public pages listed in the sitemap besides publications. */
+export const STATIC_SITEMAP_PAGES = [
+  { path: "/", changefreq: "weekly", priority: "1.0" },
+  { path: "/privacy", changefreq: "yearly", priority: "0.6" },
+  { path: "/terms", changefreq: "yearly", priority: "0.6" },
+];
+
+export const publishedNotebookPath = (slug) =>
+  `/published/${encodeURIComponent(slug)}`;
+export const publishedNotePath = (slug) =>
+  `/published/note/${encodeURIComponent(slug)}`;
+export const publishedNotebookFeedPath = (slug) =>
+  `${publishedNotebookPath(slug)}/feed.xml`;
+
+/** Origin the SPA is served from, used for canonical and feed links. */
+export const resolvePublicBaseUrl = () => {
+  const candidates = [
+    process.env.CLIENT_APP_URL,
+    process.env.FRONTEND_URL,
+    process.env.FRONTEND_ORIGIN,
+    process.env.PUBLIC_HOST ? `https://${process.env.PUBLIC_HOST}` : null,
+  ];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return new URL(candidate).origin;
+    } catch (_error) {
+      // try the next candidate
+    }
+  }
+  return "http://localhost:5173";
+};
+
+export const toAbsoluteUrl = (path, baseUrl = resolvePublicBaseUrl()) =>
+  new URL(path, baseUrl).toString();
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const summarize = (text) => {
+  const compact = String(text ?? "").replace(/\s+/g, " ").trim();
+  if (compact.length <= DESCRIPTION_LENGTH) return compact;
+  return `${compact.slice(0, DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+};
+
+const noteText = (note) => note?.contentText || note?.content || "";
+
+/** Notes in the order the notebook shows them (noteOrder, then pinned). */
+const orderNotes = (snapshot) => {
+  const notes = Array.isArray(snapshot?.notes) ? [...snapshot.notes] : [];
+  const order = Array.isArray(snapshot?.notebook?.noteOrder)
+    ? snapshot.notebook.noteOrder.map(String)
+    : [];
+  if (!order.length) return notes;
+  const positions = new Map(order.map((id, index) => [id, index]));
+  const position = (note) =>
+    positions.get(String(note.id)) ?? Number.MAX_SAFE_INTEGER;
+  return notes.sort(
+    (a, b) =>
+      position(a) - position(b) ||
+      (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0),
+  );
+};
+
+const renderTags = (tags) =>
+  Array.isArray(tags) && tags.length
+    ? `<ul class="tags">${tags
+        .map((tag) => `<li>#${escapeHtml(tag)}</li>`)
+        .join("")}</ul>`
+    : "";
+
+const renderTime = (label, value) => {
+  const iso = toIsoDate(value);
+  return iso
+    ? `<p class="meta">${label} <time datetime="${iso}">${iso.slice(0, 10)}</time></p>`
+    : "";
+};
+
+/** Article markup for a notebook snapshot; stored as `NotebookPublication.html`. */
+export const renderNotebookPublicationHtml = (snapshot) => {
+  const notebook = snapshot?.notebook ?? {};
+  const notes = orderNotes(snapshot);
+  const sections = notes.map(
+    (note) =>
+      `<article id="note-${escapeHtml(note.id)}"><h2>${escapeHtml(
+        note.title || "Untitled note",
+      )}</h2>${renderTags(note.tags)}${
+        renderPlainTextHtml(noteText(note)) || "<p>This note has no content.</p>"
+      }${renderTime("Updated", note.updatedAt ?? note.createdAt)}</article>`,
+  );
+  return `<main class="published-notebook"><header><h1>${escapeHtml(
+    notebook.name || "Untitled notebook",
+  )}</h1>${
+    notebook.description ? `<p>${escapeHtml(notebook.description)}</p>` : ""
+  }${renderTime("Published", notebook.publishedAt)}</header>${
+    sections.length ? sections.join("") : "<p>Nothing to show yet.</p>"
+  }</main>`;
+};
+
+/** Article markup for a note snapshot; stored as `NotePublication.html`. */
+export const renderNotePublicationHtml = (snapshot) => {
+  const note = snapshot?.note ?? {};
+  const body =
+    renderRichContentHtml(note.richContent) ||
+    renderPlainTextHtml(noteText(note)) ||
+    "<p>This note has no content.</p>";
+  return `<main class="published-note"><article><h1>${escapeHtml(
+    note.title || "Untitled note",
+  )}</h1>${renderTags(note.tags)}${body}${renderTime(
+    "Updated",
+    note.updatedAt ?? note.createdAt,
+  )}</article></main>`;
+};
+
+const readMetadataString = (metadata, key) => {
+  const value = metadata?.[key];
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+};
+
+/**
+ * Page metadata for a published notebook. Publisher-supplied `metadata`
+ * (`title`, `description`, `image`) overrides what the snapshot implies.
+ */
+export const buildNotebookPageMeta = ({
+  slug,
+  snapshot,
+  metadata,
+  updatedAt,
+  noindex = false,
+}) => {
+  const notebook = snapshot?.notebook ?? {};
+  const firstNote = orderNotes(snapshot).find((note) => noteText(note).trim());
+  return {
+    title:
+      readMetadataString(metadata, "title") ||
+      notebook.name ||
+      "Published notebook",
+    description:
+      readMetadataString(metadata, "description") ||
+      summarize(notebook.description) ||
+      summarize(noteText(firstNote)) ||
+      `A notebook published with ${SITE_NAME}.`,
+    image: readMetadataString(metadata, "image"),
+    type: "website",
+    path: publishedNotebookPath(slug),
+    feedPath: publishedNotebookFeedPath(slug),
+    publishedAt: toIsoDate(notebook.publishedAt),
+    updatedAt: toIsoDate(updatedAt),
+    noindex: Boolean(noindex),
+  };
+};
+
+export const buildNotePageMeta = ({ slug, snapshot, updatedAt, noindex = false }) => {
+  const note = snapshot?.note ?? {};
+  return {
+    title: note.title || "Published note",
+    description:
+      summarize(noteText(note)) || `A note published with ${SITE_NAME}.`,
+    image: null,
+    type: "article",
+    path: publishedNotePath(slug),
+    feedPath: null,
+    publishedAt: toIsoDate(note.createdAt),
+    updatedAt: toIsoDate(updatedAt ?? note.updatedAt),
+    noindex: Boolean(noindex),
+  };
+};
+
+/**
+ * Meta for a password-protected page before it is unlocked: nothing from the
+ * publication itself, and never indexed.
+ */
+export const buildProtectedPageMeta = ({ path }) => ({
+  title: "Password protected",
+  description: "This page is password protected.",
+  image: null,
+  type: "website",
+  path,
+  feedPath: null,
+  publishedAt: null,
+  updatedAt: null,
+  noindex: true,
+});
+
+export const PROTECTED_PAGE_HTML =
+  '<main class="published-protected"><h1>Password protected</h1><p>Enter the password to view this page.</p></main>';
+
+const safeAbsoluteUrl = (value, baseUrl) => {
+  try {
+    const url = new URL(value, baseUrl);
+    return url.protocol === "https:" || url.protocol === "http:"
+      ? url.toString()
+      : null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * `<title>`, description, canonical, OpenGraph and Twitter card tags, plus a
+ * robots tag when the page opted out of indexing.
+ */
+export const renderMetaTags = (meta, baseUrl = resolvePublicBaseUrl()) => {
+  const url = toAbsoluteUrl(meta.path, baseUrl);
+  const image = meta.image ? safeAbsoluteUrl(meta.image, baseUrl) : null;
+  const tag = (attribute, key, value) =>
+    value
+      ? `<meta ${attribute}="${key}" content="${escapeHtml(value)}" />`
+      : "";
+  return [
+    `<title>${escapeHtml(`${meta.title} · ${SITE_NAME}`)}</title>`,
+    tag("name", "description", meta.description),
+    meta.noindex ? tag("name", "robots", "noindex, nofollow") : "",
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    meta.feedPath
+      ? `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(
+          meta.title,
+        )}" href="${escapeHtml(toAbsoluteUrl(meta.feedPath, baseUrl))}" />`
+      : "",
+    tag("property", "og:site_name", SITE_NAME),
+    tag("property", "og:type", meta.type),
+    tag("property", "og:title", meta.title),
+    tag("property", "og:description", meta.description),
+    tag("property", "og:url", url),
+    tag("property", "og:image", image),
+    meta.type === "article"
+      ? tag("property", "article:published_time", meta.publishedAt) +
+        tag("property", "article:modified_time", meta.updatedAt)
+      : "",
+    tag("name", "twitter:card", image ? "summary_large_image" : "summary"),
+    tag("name", "twitter:title", meta.title),
+    tag("name", "twitter:description", meta.description),
+    tag("name", "twitter:image", image),
+  ]
+    .filter(Boolean)
+    .join("\n    ");
+};
+
+const FALLBACK_STYLES = `body{font-family:system-ui,sans-serif;line-height:1.6;color:#1f2937;margin:0}
+main{max-width:48rem;margin:0 auto;padding:3rem 1rem}
+article{margin-top:2.5rem}.tags{display:flex;gap:.5rem;list-style:none;padding:0}
+.meta{color:#6b7280;font-size:.875rem}pre{overflow-x:auto}img{max-width:100%}`;
+
+/**
+ * A complete page: the SPA shell with meta tags and the article prerendered
+ * into `#root` (the app replaces it once it boots), or a standalone document
+ * when no built shell is available.
+ */
+export const renderPublishedPage = ({ shell, meta, bodyHtml, nonce }) => {
+  const metaTags = renderMetaTags(meta);
+  if (shell && shell.includes('<div id="root"></div>')) {
+    return shell
+      .replace(/<title>[\s\S]*?<\/title>/, "")
+      .replace(/<meta\s+name="description"[\s\S]*?\/?>/, "")
+      // Replacer functions, so `$&`-style patterns in user content stay literal.
+      .replace("</head>", () => `  ${metaTags}\n  </head>`)
+      .replace('<div id="root"></div>', () => `<div id="root">${bodyHtml}</div>`);
+  }
+  const nonceAttribute = nonce ? ` nonce="${escapeHtml(nonce)}"` : "";
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    ${metaTags}
+    <style${nonceAttribute}>${FALLBACK_STYLES}</style>
+  </head>
+  <body>${bodyHtml}</body>
+</html>`;
+};
+
+/**
+ * RSS 2.0 feed of a published notebook's notes, newest first. Built from the
+ * current publication, so republishing updates it.
+ */
+export const renderNotebookFeed = ({ slug, snapshot, updatedAt }) => {
+  const baseUrl = resolvePublicBaseUrl();
+  const notebook = snapshot?.notebook ?? {};
+  const pageUrl = toAbsoluteUrl(publishedNotebookPath(slug), baseUrl);
+  const feedUrl = toAbsoluteUrl(publishedNotebookFeedPath(slug), baseUrl);
+  const toRfc822 = (value) => {
+    const iso = toIsoDate(value);
+    return iso ? new Date(iso).toUTCString() : null;
+  };
+
+  const items = (Array.isArray(snapshot?.notes) ? [...snapshot.notes] : [])
+    .sort(
+      (a, b) =>
+        new Date(b.updatedAt ?? b.createdAt ?? 0).getTime() -
+        new Date(a.updatedAt ?? a.createdAt ?? 0).getTime(),
+    )
+    .slice(0, FEED_ITEM_LIMIT)
+    .map((note) => {
+      const link = `${pageUrl}#note-${encodeURIComponent(note.id)}`;
+      const pubDate = toRfc822(note.updatedAt ?? note.createdAt);
+      return [
+        "    <item>",
+        `      <title>${escapeHtml(note.title || "Untitled note")}</title>`,
+        `      <link>${escapeHtml(link)}</link>`,
+        // Edits change the guid so readers show the updated note again.
+        `      <guid isPermaLink="false">${escapeHtml(
+          `${slug}:${note.id}:${toIsoDate(note.updatedAt) ?? ""}`,
+        )}</guid>`,
+        pubDate ? `      <pubDate>${pubDate}</pubDate>` : null,
+        ...(Array.isArray(note.tags) ? note.tags : []).map(
+          (tag) => `      <category>${escapeHtml(tag)}</category>`,
+        ),
+        `      <description>${escapeHtml(
+          renderPlainTextHtml(noteText(note)),
+        )}</description>`,
+        "    </item>",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    });
+
+  const lastBuildDate = toRfc822(updatedAt);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeHtml(notebook.name || "Published notebook")}</title>`,
+    `    <link>${escapeHtml(pageUrl)}</link>`,
+    `    <description>${escapeHtml(
+      notebook.description || `Notes from ${notebook.name || "a notebook"}`,
+    )}</description>`,
+    `    <atom:link href="${escapeHtml(feedUrl)}" rel="self" type="application/rss+xml" />`,
+    lastBuildDate ? `    <lastBuildDate>${lastBuildDate}</lastBuildDate>` : null,
+    `    <generator>${SITE_NAME}</generator>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+};
+
+/** Sitemap XML for `entries` of `{ path, lastmod?, changefreq?, priority? }`. */
+export const renderSitemap = (entries) => {
+  const baseUrl = resolvePublicBaseUrl();
+  const urls = entries.slice(0, SITEMAP_URL_LIMIT).map((entry) => {
+    const lastmod = toIsoDate(entry.lastmod);
+    return [
+      "  <url>",
+      `    <loc>${escapeHtml(toAbsoluteUrl(entry.path, baseUrl))}</loc>`,
+      lastmod ? `    <lastmod>${lastmod}</lastmod>` : null,
+      entry.changefreq ? `    <changefreq>${entry.changefreq}</changefreq>` : null,
+      entry.priority ? `    <priority>${entry.priority}</priority>` : null,
+      "  </url>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+};
+
+export default {
+  renderNotebookPublicationHtml,
+  renderNotePublicationHtml,
+  buildNotebookPageMeta,
+  buildNotePageMeta,
+  buildProtectedPageMeta,
+  renderMetaTags,
+  renderPublishedPage,
+  renderNotebookFeed,
+  renderSitemap,
+  resolvePublicBaseUrl,
+};
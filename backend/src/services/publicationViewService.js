@@ -0,0 +1,283 @@
+/**
+ * Publication View Service – privacy-preserving view counts for published
+ * notebooks and notes.
+ *
+ * Views are recorded by the public `/api/published/*` endpoints into daily
+ * `PublicationViewSnapshot` rollups. Unique visitors are counted with a
+ * daily-salted hash of IP and user agent (`tokenService.hashPublicationVisitor`)
+ * that is kept for two days in `PublicationVisitor`; referrers are reduced to
+ * their hostname, with at most `MAX_REFERRERS_PER_SNAPSHOT` per day.
+ */
+import mongoose from "mongoose";
+import PublicationViewSnapshot from "../models/PublicationViewSnapshot.js";
+import PublicationVisitor from "../models/PublicationVisitor.js";
+import logger from "../utils/logger.js";
+import { hashPublicationVisitor } from "../utils/tokenService.js";
+import {
+  addUtcDays,
+  formatDateKey,
+  startOfUtcDay,
+} from "./notebookAnalyticsShared.js";
+
+export const PUBLICATION_ANALYTICS_DEFAULT_DAYS = 30;
+export const PUBLICATION_ANALYTICS_MAX_DAYS = 365;
+const TOP_LIST_LIMIT = 10;
+const DIRECT_REFERRER = "direct";
+const OTHER_REFERRER = "other";
+/** Distinct referrer keys per daily snapshot; later ones count as "other". */
+export const MAX_REFERRERS_PER_SNAPSHOT = 50;
+// DNS names and IPv6 literals only, so a crafted referrer can't produce a
+// `$`-prefixed or otherwise odd field name.
+const REFERRER_HOSTNAME = /^(?:[a-z0-9-]+(?:\.[a-z0-9-]+)*|\[[0-9a-f:.]+\])$/;
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|curl|wget|python-requests|headless/i;
+
+const encodeMapKey = (key) => key.replace(/\./g, "%2E");
+const decodeMapKey = (key) => key.replace(/%2E/g, ".");
+
+export const isLikelyBot = (userAgent) =>
+  !userAgent || BOT_PATTERN.test(userAgent);
+
+/**
+ * Hostname of an external referrer without a leading `www.`, `direct` when
+ * there is none, `other` when it is not a plain hostname, or null for
+ * same-site navigation (not worth counting).
+ */
+export const extractReferrerDomain = (referrer, ownHost = null) => {
+  if (typeof referrer !== "string" || !referrer.trim()) {
+    return DIRECT_REFERRER;
+  }
+  let hostname;
+  try {
+    const url = new URL(referrer);
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return DIRECT_REFERRER;
+    }
+    hostname = url.hostname.toLowerCase().replace(/^www\./, "");
+  } catch (_error) {
+    return DIRECT_REFERRER;
+  }
+  if (!hostname || hostname.length > 253) return DIRECT_REFERRER;
+  const ownHostname = ownHost?.toLowerCase().split(":")[0].replace(/^www\./, "");
+  if (hostname === ownHostname) return null;
+  return REFERRER_HOSTNAME.test(hostname) ? hostname : OTHER_REFERRER;
+};
+
+/**
+ * Count a new visitor from `referrer` on a snapshot. A referrer already on
+ * the snapshot, or one that still fits under the cap, gets its own key;
+ * anything past the cap is folded into "other".
+ */
+const incrementReferrer = async (filter, referrer) => {
+  const field = `referrers.${encodeMapKey(referrer)}`;
+  const counted = await PublicationViewSnapshot.updateOne(
+    {
+      ...filter,
+      $or: [
+        { [field]: { $exists: true } },
+        {
+          $expr: {
+            $lt: [
+              { $size: { $objectToArray: { $ifNull: ["$referrers", {}] } } },
+              MAX_REFERRERS_PER_SNAPSHOT,
+            ],
+          },
+        },
+      ],
+    },
+    { $inc: { [field]: 1 } },
+  );
+  if (counted.matchedCount) return;
+  await PublicationViewSnapshot.updateOne(filter, {
+    $inc: { [`referrers.${OTHER_REFERRER}`]: 1 },
+  });
+};
+
+/** Whether this visitor is new for the target (and note) today. */
+const claimVisitor = async ({ targetType, targetId, dayKey, visitorHash, noteId = null }) => {
+  try {
+    await PublicationVisitor.create({
+      targetType,
+      targetId,
+      day: dayKey,
+      visitorHash,
+      noteId,
+    });
+    return true;
+  } catch (error) {
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+const resolveVisitor = (req, now) => {
+  const userAgent = req.get("user-agent") ?? "";
+  if (isLikelyBot(userAgent)) return null;
+  const dayKey = formatDateKey(now);
+  return {
+    dayKey,
+    date: startOfUtcDay(now),
+    visitorHash: hashPublicationVisitor({ ip: req.ip, userAgent, dayKey }),
+  };
+};
+
+/**
+ * Count a view of a published notebook or note. The published page passes
+ * its own `document.referrer` as `?referrer=`, since the API request's
+ * Referer is the page itself. Never throws: analytics must not break reads.
+ */
+export const recordPublicationView = async (
+  req,
+  { targetType, targetId },
+  { now = new Date() } = {},
+) => {
+  try {
+    const visitor = resolveVisitor(req, now);
+    if (!visitor) return false;
+
+    const isNewVisitor = await claimVisitor({
+      targetType,
+      targetId,
+      dayKey: visitor.dayKey,
+      visitorHash: visitor.visitorHash,
+    });
+    const referrerSource =
+      typeof req.query?.referrer === "string"
+        ? req.query.referrer
+        : req.get("referer");
+    const referrer = isNewVisitor
+      ? extractReferrerDomain(referrerSource, req.get("host"))
+      : null;
+
+    const filter = { targetType, targetId, date: visitor.date };
+    const increments = { views: 1 };
+    if (isNewVisitor) increments.uniqueVisitors = 1;
+
+    await PublicationViewSnapshot.updateOne(
+      filter,
+      { $inc: increments },
+      { upsert: true },
+    );
+    if (referrer) await incrementReferrer(filter, referrer);
+    return true;
+  } catch (error) {
+    logger.warn("Failed to record publication view", {
+      targetType,
+      targetId: targetId?.toString?.(),
+      message: error?.message,
+    });
+    return false;
+  }
+};
+
+/** Count a unique read of one note inside a published notebook. */
+export const recordPublishedNoteRead = async (
+  req,
+  { notebookId, noteId },
+  { now = new Date() } = {},
+) => {
+  try {
+    const visitor = resolveVisitor(req, now);
+    if (!visitor) return false;
+
+    const isNewReader = await claimVisitor({
+      targetType: "notebook",
+      targetId: notebookId,
+      dayKey: visitor.dayKey,
+      visitorHash: visitor.visitorHash,
+      noteId,
+    });
+    if (!isNewReader) return false;
+
+    await PublicationViewSnapshot.updateOne(
+      { targetType: "notebook", targetId: notebookId, date: visitor.date },
+      { $inc: { [`noteReads.${noteId}`]: 1 } },
+      { upsert: true },
+    );
+    return true;
+  } catch (error) {
+    logger.warn("Failed to record published note read", {
+      notebookId: notebookId?.toString?.(),
+      message: error?.message,
+    });
+    return false;
+  }
+};
+
+const sumMapInto = (totals, map, decode = (key) => key) => {
+  if (!map) return;
+  const entries = map instanceof Map ? map.entries() : Object.entries(map);
+  for (const [key, value] of entries) {
+    const decoded = decode(key);
+    totals.set(decoded, (totals.get(decoded) ?? 0) + (Number(value) || 0));
+  }
+};
+
+const topEntries = (totals) =>
+  [...totals.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_LIST_LIMIT);
+
+/**
+ * Daily views and unique visitors for the last `days` days (oldest first,
+ * zero-filled), with top referrers and, for notebooks, the most read notes
+ * as `{ noteId, reads }`.
+ */
+export const getPublicationViewAnalytics = async ({
+  targetType,
+  targetId,
+  days = PUBLICATION_ANALYTICS_DEFAULT_DAYS,
+  now = new Date(),
+}) => {
+  const today = startOfUtcDay(now);
+  const from = addUtcDays(today, -(days - 1));
+  const snapshots = await PublicationViewSnapshot.find({
+    targetType,
+    targetId: new mongoose.Types.ObjectId(String(targetId)),
+    date: { $gte: from, $lte: today },
+  })
+    .sort({ date: 1 })
+    .lean();
+
+  const byDay = new Map(
+    snapshots.map((snapshot) => [formatDateKey(snapshot.date), snapshot]),
+  );
+  const daily = [];
+  for (let offset = 0; offset < days; offset += 1) {
+    const date = formatDateKey(addUtcDays(from, offset));
+    const snapshot = byDay.get(date);
+    daily.push({
+      date,
+      views: snapshot?.views ?? 0,
+      uniqueVisitors: snapshot?.uniqueVisitors ?? 0,
+    });
+  }
+
+  const referrers = new Map();
+  const noteReads = new Map();
+  for (const snapshot of snapshots) {
+    sumMapInto(referrers, snapshot.referrers, decodeMapKey);
+    sumMapInto(noteReads, snapshot.noteReads);
+  }
+
+  return {
+    range: { days, from: formatDateKey(from), to: formatDateKey(today) },
+    totals: {
+      views: daily.reduce((sum, day) => sum + day.views, 0),
+      // Daily uniques summed: the same visitor on two days counts twice.
+      uniqueVisitors: daily.reduce((sum, day) => sum + day.uniqueVisitors, 0),
+    },
+    daily,
+    referrers: topEntries(referrers).map(([domain, visitors]) => ({
+      domain,
+      visitors,
+    })),
+    noteReads: topEntries(noteReads).map(([noteId, reads]) => ({ noteId, reads })),
+  };
+};
+
+export default {
+  recordPublicationView,
+  recordPublishedNoteRead,
+  getPublicationViewAnalytics,
+};
@@ -0,0 +1,366 @@
+import Note from "../models/Note.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { sendMail } from "../utils/mailer.js";
+import { resolveNoteForUser } from "../utils/access.js";
+import { buildArchiveFilter } from "../utils/noteArchive.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DUE_SOON_DAYS = 7;
+const MAX_DUE_SOON_DAYS = 90;
+const DUE_SOON_LIMIT = 100;
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_EXCERPT_LENGTH = 280;
+
+const truncate = (value, max) => {
+  const text = typeof value === "string" ? value.trim() : "";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const sameInstant = (a, b) =>
+  (toDate(a)?.getTime() ?? null) === (toDate(b)?.getTime() ?? null);
+
+export const resolveDueSoonDays = (value) => {
+  const parsed = Number.parseInt(value ?? DEFAULT_DUE_SOON_DAYS, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_DUE_SOON_DAYS;
+  return Math.min(parsed, MAX_DUE_SOON_DAYS);
+};
+
+/**
+ * Turn `{ dueAt, remindAt }` from a request body into `$set`-ready fields.
+ * Keys left undefined are untouched; `null` clears them. Changing the
+ * reminder re-arms it for the requesting user.
+ */
+export const buildScheduleUpdate = (
+  { dueAt, remindAt },
+  current = {},
+  userId,
+  prefix = "",
+) => {
+  const updates = {};
+  if (typeof dueAt !== "undefined" && !sameInstant(dueAt, current.dueAt)) {
+    updates[`${prefix}dueAt`] = toDate(dueAt);
+  }
+  if (
+    typeof remindAt !== "undefined" &&
+    !sameInstant(remindAt, current.remindAt)
+  ) {
+    const next = toDate(remindAt);
+    updates[`${prefix}remindAt`] = next;
+    updates[`${prefix}reminderUserId`] = next ? userId : null;
+    updates[`${prefix}reminderSentAt`] = null;
+  }
+  return updates;
+};
+
+const buildNoteLink = (noteId) => {
+  const base =
+    process.env.CLIENT_APP_URL ||
+    process.env.FRONTEND_URL ||
+    process.env.FRONTEND_ORIGIN ||
+    "http://localhost:5173";
+  try {
+    return new URL(`/note/${noteId}`, base).toString();
+  } catch (_error) {
+    return `http://localhost:5173/note/${noteId}`;
+  }
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDueDate = (date) =>
+  date
+    ? `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`
+    : null;
+
+const sendReminderEmail = async ({ user, note, itemText, dueAt }) => {
+  if (!user?.email) return;
+  const title = note.title || "Untitled note";
+  const noteUrl = buildNoteLink(note._id.toString());
+  const subject = itemText
+    ? `Reminder: ${truncate(itemText, 80)}`
+    : `Reminder: ${truncate(title, 80)}`;
+  const what = itemText
+    ? `the action item "${itemText}" on "${title}"`
+    : `"${title}"`;
+  const due = formatDueDate(dueAt);
+  const dueLine = due ? ` It is due ${due}.` : "";
+  const greeting = user.name || user.email;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject,
+      text: `Hi ${greeting},\n\nThis is your reminder about ${what}.${dueLine}\n\nOpen the note: ${noteUrl}`,
+      html: `<!doctype html><html><body><p>Hi ${escapeHtml(
+        greeting,
+      )},</p><p>This is your reminder about ${escapeHtml(what)}.${dueLine}</p><p><a href="${noteUrl}" style="display:inline-block;padding:12px 20px;border-radius:8px;background-color:#6366f1;color:#ffffff;text-decoration:none">Open note</a></p></body></html>`,
+    });
+  } catch (error) {
+    logger.error("Failed to send reminder email", {
+      error: error?.message,
+      noteId: note._id.toString(),
+    });
+  }
+};
+
+/**
+ * Alert one user about a due reminder: an in-app notification plus an email.
+ * Users who lost access to the note since setting the reminder are skipped
+ * so the title does not leak.
+ */
+const deliverReminder = async ({ note, recipientId, source, itemText, dueAt }) => {
+  if (!recipientId) return false;
+  const access = await resolveNoteForUser(note._id, recipientId);
+  if (!access) return false;
+
+  const user = await User.findById(recipientId).select("email name").lean();
+  if (!user) return false;
+
+  await Notification.create({
+    recipientId,
+    actorId: null,
+    type: "reminder",
+    source,
+    noteId: note._id,
+    notebookId: note.notebookId ?? null,
+    workspaceId: note.workspaceId ?? null,
+    title: truncate(note.title, 200),
+    excerpt: truncate(itemText ?? "", MAX_EXCERPT_LENGTH),
+  });
+
+  await sendReminderEmail({ user, note, itemText, dueAt });
+  return true;
+};
+
+/**
+ * Fire every note and action-item reminder whose `remindAt` has passed.
+ * Each reminder is claimed by stamping `reminderSentAt` before delivery, so
+ * overlapping runs (or several app instances) never alert twice.
+ */
+export const dispatchDueReminders = async ({
+  now = new Date(),
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) => {
+  let sent = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  const track = async (deliver) => {
+    try {
+      if (await deliver()) sent += 1;
+      else skipped += 1;
+    } catch (error) {
+      failed += 1;
+      logger.error("Failed to deliver reminder", { error: error?.message });
+    }
+  };
+
+  const dueNotes = await Note.find({
+    remindAt: { $lte: now },
+    reminderSentAt: null,
+  })
+    .select("title owner workspaceId notebookId dueAt remindAt reminderUserId")
+    .sort({ remindAt: 1 })
+    .limit(batchSize)
+    .lean();
+
+  for (const note of dueNotes) {
+    const claimed = await Note.updateOne(
+      { _id: note._id, remindAt: note.remindAt, reminderSentAt: null },
+      { $set: { reminderSentAt: now } },
+      { timestamps: false },
+    );
+    if (!claimed.modifiedCount) continue;
+    await track(() =>
+      deliverReminder({
+        note,
+        recipientId: note.reminderUserId ?? note.owner,
+        source: "note",
+        dueAt: note.dueAt,
+      }),
+    );
+  }
+
+  const notesWithDueItems = await Note.find({
+    "aiSummary.actionItems": {
+      $elemMatch: {
+        remindAt: { $lte: now },
+        reminderSentAt: null,
+        completed: { $ne: true },
+      },
+    },
+  })
+    .select("title owner workspaceId notebookId aiSummary.actionItems")
+    .limit(batchSize)
+    .lean();
+
+  for (const note of notesWithDueItems) {
+    const dueItems = (note.aiSummary?.actionItems ?? []).filter(
+      (item) =>
+        item.remindAt &&
+        item.remindAt <= now &&
+        !item.reminderSentAt &&
+        !item.completed,
+    );
+    for (const item of dueItems) {
+      const claimed = await Note.updateOne(
+        {
+          _id: note._id,
+          "aiSummary.actionItems": {
+            $elemMatch: { _id: item._id, reminderSentAt: null },
+          },
+        },
+        { $set: { "aiSummary.actionItems.$.reminderSentAt": now } },
+        { timestamps: false },
+      );
+      if (!claimed.modifiedCount) continue;
+      await track(() =>
+        deliverReminder({
+          note,
+          recipientId: item.reminderUserId ?? note.owner,
+          source: "actionItem",
+          itemText: item.text,
+          dueAt: item.dueAt,
+        }),
+      );
+    }
+  }
+
+  return { sent, skipped, failed };
+};
+
+/**
+ * Notes and open action items due before `now + days` (overdue ones
+ * included), earliest first. `accessFilter` scopes the notes to the viewer.
+ */
+export const listDueSoon = async (
+  accessFilter,
+  { now = new Date(), days = DEFAULT_DUE_SOON_DAYS, limit = DUE_SOON_LIMIT } = {},
+) => {
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+  const isDueBy = (path) => ({
+    $and: [{ $gt: [path, null] }, { $lte: [path, horizon] }],
+  });
+  // Rank notes by their earliest due note or action item before limiting,
+  // so the notes left out only hold items due after the ones returned.
+  const notes = await Note.aggregate([
+    {
+      $match: {
+        $and: [
+          accessFilter,
+          buildArchiveFilter("exclude"),
+          {
+            $or: [
+              { dueAt: { $lte: horizon } },
+              {
+                "aiSummary.actionItems": {
+                  $elemMatch: {
+                    dueAt: { $lte: horizon },
+                    completed: { $ne: true },
+                  },
+                },
+              },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        nextDueAt: {
+          $min: [
+            { $cond: [isDueBy("$dueAt"), "$dueAt", null] },
+            {
+              $min: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: { $ifNull: ["$aiSummary.actionItems", []] },
+                      as: "item",
+                      cond: {
+                        $and: [
+                          isDueBy("$$item.dueAt"),
+                          { $ne: ["$$item.completed", true] },
+                        ],
+                      },
+                    },
+                  },
+                  as: "item",
+                  in: "$$item.dueAt",
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $sort: { nextDueAt: 1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        title: 1,
+        notebookId: 1,
+        workspaceId: 1,
+        dueAt: 1,
+        remindAt: 1,
+        "aiSummary.actionItems": 1,
+      },
+    },
+  ]);
+
+  const items = [];
+  notes.forEach((note) => {
+    const noteId = note._id.toString();
+    const base = {
+      noteId,
+      title: note.title ?? "",
+      notebookId: note.notebookId?.toString() ?? null,
+    };
+    if (note.dueAt && note.dueAt <= horizon) {
+      items.push({
+        ...base,
+        kind: "note",
+        itemId: null,
+        text: null,
+        dueAt: note.dueAt,
+        remindAt: note.remindAt ?? null,
+        overdue: note.dueAt < now,
+      });
+    }
+    (note.aiSummary?.actionItems ?? []).forEach((item) => {
+      if (!item.dueAt || item.dueAt > horizon || item.completed) return;
+      items.push({
+        ...base,
+        kind: "actionItem",
+        itemId: item._id.toString(),
+        text: item.text,
+        dueAt: item.dueAt,
+        remindAt: item.remindAt ?? null,
+        overdue: item.dueAt < now,
+      });
+    });
+  });
+
+  items.sort((a, b) => a.dueAt - b.dueAt);
+  return { items: items.slice(0, limit), horizon };
+};
+
+export default {
+  buildScheduleUpdate,
+  dispatchDueReminders,
+  listDueSoon,
+  resolveDueSoonDays,
+};
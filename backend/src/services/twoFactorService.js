@@ -0,0 +1,68 @@
+import crypto from "crypto";
+
+import { hashToken } from "../utils/tokenService.js";
+import {
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  verifyTotp,
+} from "../utils/totp.js";
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Fields needed to check a second factor; all are `select: false`.
+export const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/** Fresh recovery codes: plaintext for the user, SHA-256 hashes for storage. */
+export const createRecoveryCodes = () => {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled. On
+ * success the user document is updated in memory (replay step recorded or
+ * recovery code consumed) and the caller must save it.
+ *
+ * @returns {"totp" | "recovery" | null} the method that matched
+ */
+export const verifySecondFactor = (user, code) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret || typeof code !== "string") {
+    return null;
+  }
+
+  const step = verifyTotp(decryptTotpSecret(twoFactor.secret), code, {
+    afterStep: twoFactor.lastUsedStep ?? null,
+  });
+  if (step !== null) {
+    twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== 10) {
+    return null;
+  }
+  const hashed = hashToken(normalized);
+  const remaining = twoFactor.recoveryCodes ?? [];
+  const index = remaining.findIndex((candidate) =>
+    crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(hashed)),
+  );
+  if (index === -1) {
+    return null;
+  }
+  twoFactor.recoveryCodes = remaining.filter((_, i) => i !== index);
+  return "recovery";
+};
+
+export default {
+  RECOVERY_CODE_COUNT,
+  TWO_FACTOR_SECRET_FIELDS,
+  createRecoveryCodes,
+  verifySecondFactor,
+};
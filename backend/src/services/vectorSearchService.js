@@ -0,0 +1,313 @@
+/**
+ * Vector Search Service – nearest-neighbour lookups over `Note.embedding`.
+ *
+ * Two backends answer the same query:
+ *   • `atlas` – MongoDB Atlas `$vectorSearch` on `note_embedding_index`.
+ *   • `local` – an in-process HNSW index built from stored embeddings, for
+ *     self-hosted MongoDB without Atlas Search.
+ *
+ * `VECTOR_SEARCH_BACKEND` picks one (`auto`, `atlas`, `local` or `none`).
+ * `auto` (the default) tries Atlas and switches to the local index while
+ * Atlas reports `$vectorSearch` as unavailable.
+ */
+import mongoose from "mongoose";
+import Note from "../models/Note.js";
+import logger from "../utils/logger.js";
+import { HnswIndex } from "../utils/hnsw.js";
+import { EMBEDDING_DIMENSIONS } from "./embeddingService.js";
+
+export const ATLAS_VECTOR_INDEX = "note_embedding_index";
+
+const BACKENDS = new Set(["auto", "atlas", "local", "none"]);
+
+/** How long `auto` keeps using the local index before asking Atlas again. */
+const ATLAS_RETRY_MS = 10 * 60 * 1000;
+/** Minimum gap between polls for embeddings written by other processes. */
+const REFRESH_INTERVAL_MS = 5_000;
+/** Rebuild once tombstones outnumber live vectors, or after this long. */
+const REBUILD_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const MAX_CANDIDATE_ROUNDS = 3;
+
+let atlasUnavailableUntil = 0;
+
+const localState = {
+  index: null,
+  loading: null,
+  refreshing: null,
+  builtAt: 0,
+  refreshedAt: 0,
+  syncedThrough: null,
+  // noteId -> embeddingUpdatedAt (ms), so polls skip vectors already indexed
+  versions: new Map(),
+};
+
+export const getVectorSearchBackend = () => {
+  const configured = (process.env.VECTOR_SEARCH_BACKEND ?? "auto")
+    .toLowerCase()
+    .trim();
+  return BACKENDS.has(configured) ? configured : "auto";
+};
+
+const isAtlasUnavailableError = (error) => {
+  const msg = error?.message ?? "";
+  return (
+    msg.includes("PlanExecutor") ||
+    msg.includes("vectorSearch") ||
+    msg.includes("index not found") ||
+    msg.includes("Atlas")
+  );
+};
+
+const toTime = (value) => (value ? new Date(value).getTime() : 0);
+
+const addToIndex = (index, versions, note) => {
+  const noteId = note._id.toString();
+  const version = toTime(note.embeddingUpdatedAt);
+  if (versions.get(noteId) === version && index.has(noteId)) {
+    return;
+  }
+  if (index.add(noteId, note.embedding)) {
+    versions.set(noteId, version);
+  }
+};
+
+const loadEmbeddings = (filter = {}) =>
+  Note.find({ ...filter, embedding: { $exists: true, $ne: [] } })
+    .select("+embedding embeddingUpdatedAt")
+    .lean()
+    .cursor();
+
+const buildLocalIndex = async () => {
+  const startedAt = Date.now();
+  // Embeddings left over from another provider/model have a different size
+  // and are skipped until `backfill-embeddings` replaces them.
+  const index = new HnswIndex({ dimensions: EMBEDDING_DIMENSIONS });
+  const versions = new Map();
+  let syncedThrough = null;
+
+  for await (const note of loadEmbeddings()) {
+    addToIndex(index, versions, note);
+    if (toTime(note.embeddingUpdatedAt) > toTime(syncedThrough)) {
+      syncedThrough = note.embeddingUpdatedAt;
+    }
+  }
+
+  localState.index = index;
+  localState.versions = versions;
+  localState.builtAt = startedAt;
+  localState.refreshedAt = startedAt;
+  localState.syncedThrough = syncedThrough;
+  logger.info("Built local vector index", {
+    notes: index.size,
+    dimensions: index.dimensions,
+    ms: Date.now() - startedAt,
+  });
+  return index;
+};
+
+/** Pick up embeddings written since the last poll, e.g. by other instances. */
+const refreshLocalIndex = async () => {
+  const { index } = localState;
+  const filter = localState.syncedThrough
+    ? { embeddingUpdatedAt: { $gte: localState.syncedThrough } }
+    : {};
+  localState.refreshedAt = Date.now();
+  for await (const note of loadEmbeddings(filter)) {
+    addToIndex(index, localState.versions, note);
+    if (toTime(note.embeddingUpdatedAt) > toTime(localState.syncedThrough)) {
+      localState.syncedThrough = note.embeddingUpdatedAt;
+    }
+  }
+};
+
+const ensureLocalIndex = async () => {
+  const { index } = localState;
+  const now = Date.now();
+  const stale =
+    index &&
+    (index.tombstones > index.size || now - localState.builtAt > REBUILD_INTERVAL_MS);
+
+  if (!index || stale) {
+    if (!localState.loading) {
+      localState.loading = buildLocalIndex().finally(() => {
+        localState.loading = null;
+      });
+      if (index) {
+        // Nobody awaits a background rebuild; if it fails, keep the old index.
+        localState.loading.catch((error) => {
+          logger.warn("Failed to rebuild local vector index", {
+            message: error?.message,
+          });
+        });
+      }
+    }
+    // Keep answering from the old index while a rebuild runs.
+    if (!index) return localState.loading;
+    return index;
+  }
+
+  if (now - localState.refreshedAt >= REFRESH_INTERVAL_MS && !localState.refreshing) {
+    localState.refreshing = refreshLocalIndex()
+      .catch((error) => {
+        logger.warn("Failed to refresh local vector index", {
+          message: error?.message,
+        });
+      })
+      .finally(() => {
+        localState.refreshing = null;
+      });
+    await localState.refreshing;
+  }
+  return localState.index;
+};
+
+/**
+ * Store a note's new embedding in the local index, if one is loaded.
+ * Called wherever embeddings are written so this process sees them at once.
+ */
+export const indexNoteEmbedding = (noteId, embedding, embeddedAt = new Date()) => {
+  const { index } = localState;
+  if (!index || !noteId || !Array.isArray(embedding)) return;
+  addToIndex(index, localState.versions, {
+    _id: noteId,
+    embedding,
+    embeddingUpdatedAt: embeddedAt,
+  });
+};
+
+/** Drop purged notes from the local index, if one is loaded. */
+export const removeNoteEmbeddings = (noteIds = []) => {
+  const { index } = localState;
+  if (!index) return;
+  for (const noteId of noteIds) {
+    const key = String(noteId);
+    index.remove(key);
+    localState.versions.delete(key);
+  }
+};
+
+const searchAtlas = async ({ queryVector, accessFilter, limit, numCandidates, projection }) => {
+  const pipeline = [
+    {
+      $vectorSearch: {
+        index: ATLAS_VECTOR_INDEX,
+        path: "embedding",
+        queryVector,
+        numCandidates,
+        limit: limit * 2, // fetch extras so we can filter by access
+      },
+    },
+    { $addFields: { score: { $meta: "vectorSearchScore" } } },
+  ];
+  if (accessFilter) {
+    pipeline.push({ $match: accessFilter });
+  }
+  pipeline.push({ $limit: limit });
+  pipeline.push({ $project: { ...projection, score: 1 } });
+  return Note.aggregate(pipeline);
+};
+
+/**
+ * Nearest neighbours from the local index, filtered through MongoDB with
+ * the caller's access filter. Widens the candidate set when access rules
+ * reject too many of them.
+ */
+const searchLocal = async ({ queryVector, accessFilter, limit, numCandidates, projection }) => {
+  const index = await ensureLocalIndex();
+  if (!index?.size) return [];
+  if (queryVector.length !== index.dimensions) {
+    logger.warn("Query embedding does not match local vector index", {
+      queryDimensions: queryVector.length,
+      indexDimensions: index.dimensions,
+    });
+    return [];
+  }
+
+  let candidates = numCandidates;
+  let results = [];
+  for (let round = 0; round < MAX_CANDIDATE_ROUNDS; round += 1) {
+    const neighbours = index.search(queryVector, candidates);
+    // Atlas reports cosine similarity mapped to [0, 1]; match it.
+    const scores = new Map(
+      neighbours.map((entry) => [entry.id, (1 + entry.similarity) / 2]),
+    );
+    const ids = neighbours.map((entry) => new mongoose.Types.ObjectId(entry.id));
+    const filter = { _id: { $in: ids } };
+    const docs = await Note.find(accessFilter ? { $and: [filter, accessFilter] } : filter)
+      .select(projection)
+      .lean();
+    results = docs
+      .map((doc) => ({ ...doc, score: scores.get(doc._id.toString()) ?? 0 }))
+      .sort((a, b) => b.score - a.score);
+
+    if (results.length >= limit || neighbours.length < candidates) break;
+    candidates *= 4;
+  }
+  return results.slice(0, limit);
+};
+
+/**
+ * Semantic search over note embeddings with the configured backend.
+ *
+ * @param {object} params
+ * @param {number[]} params.queryVector – embedding of the search text
+ * @param {object} [params.accessFilter] – notes the caller may see
+ * @param {number} params.limit – maximum results
+ * @param {number} params.numCandidates – neighbours considered before filtering
+ * @param {object} params.projection – fields to return besides `score`
+ * @returns {Promise<{ results: object[], backend: string }|null>} null when
+ *   no vector backend can answer, so callers fall back to keyword search
+ */
+export const searchNoteVectors = async ({
+  queryVector,
+  accessFilter = null,
+  limit,
+  numCandidates,
+  projection,
+}) => {
+  const backend = getVectorSearchBackend();
+  if (backend === "none" || !Array.isArray(queryVector) || !queryVector.length) {
+    return null;
+  }
+  const params = { queryVector, accessFilter, limit, numCandidates, projection };
+
+  if (backend === "atlas" || (backend === "auto" && Date.now() >= atlasUnavailableUntil)) {
+    try {
+      return { results: await searchAtlas(params), backend: "atlas" };
+    } catch (error) {
+      if (!isAtlasUnavailableError(error)) throw error;
+      if (backend === "atlas") {
+        logger.debug("Atlas vector search unavailable", {
+          message: error?.message?.slice(0, 200),
+        });
+        return null;
+      }
+      atlasUnavailableUntil = Date.now() + ATLAS_RETRY_MS;
+      logger.info("Atlas vector search unavailable, using the local index", {
+        message: error?.message?.slice(0, 200),
+      });
+    }
+  }
+
+  return { results: await searchLocal(params), backend: "local" };
+};
+
+/** Forget the local index and the Atlas probe result (tests). */
+export const resetVectorSearchState = () => {
+  atlasUnavailableUntil = 0;
+  localState.index = null;
+  localState.loading = null;
+  localState.refreshing = null;
+  localState.builtAt = 0;
+  localState.refreshedAt = 0;
+  localState.syncedThrough = null;
+  localState.versions = new Map();
+};
+
+export default {
+  searchNoteVectors,
+  indexNoteEmbedding,
+  removeNoteEmbeddings,
+  getVectorSearchBackend,
+  resetVectorSearchState,
+};
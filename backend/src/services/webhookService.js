@@ -0,0 +1,619 @@
+import crypto from "node:crypto";
+import dns from "node:dns/promises";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import mongoose from "mongoose";
+
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import logger from "../utils/logger.js";
+
+export const WEBHOOK_SIGNATURE_HEADER = "X-NotesBoard-Signature";
+export const WEBHOOK_EVENT_HEADER = "X-NotesBoard-Event";
+export const WEBHOOK_DELIVERY_HEADER = "X-NotesBoard-Delivery";
+export const WEBHOOK_TEST_EVENT = "webhook.test";
+
+// Delay before retry N (1-based). Length + 1 is the total attempt budget.
+const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  6 * 60 * 60 * 1000,
+];
+export const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// Deliveries that exhaust their retries in a row before the hook is paused.
+const AUTO_DISABLE_AFTER_FAILURES = 15;
+const REQUEST_TIMEOUT_MS = 10_000;
+const CLAIM_TTL_MS = 60_000;
+const DISPATCH_BATCH_SIZE = 25;
+const DISPATCH_DEBOUNCE_MS = 1_000;
+const MAX_RESPONSE_BODY_LENGTH = 1_000;
+
+// Loopback, private, link-local, shared, benchmarking, documentation,
+// multicast and reserved ranges. IPv4 rules also match IPv4-mapped IPv6
+// addresses such as `::ffff:7f00:1`.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 96],
+  ["64:ff9b:1::", 48],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+const allowsPrivateTargets = () =>
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true" ||
+  process.env.NODE_ENV !== "production";
+
+const createWebhookError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate `rawUrl` and resolve the addresses a delivery may connect to.
+ * `addresses` is null when private targets are allowed; otherwise the
+ * request must use them instead of resolving the host again, so a DNS
+ * answer that changes after the check cannot redirect it.
+ */
+const resolveDeliveryTarget = async (rawUrl) => {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch {
+    throw createWebhookError("Webhook URL is not a valid URL");
+  }
+
+  const allowPrivate = allowsPrivateTargets();
+  if (parsed.protocol !== "https:" && !(allowPrivate && parsed.protocol === "http:")) {
+    throw createWebhookError("Webhook URL must use https");
+  }
+  if (parsed.username || parsed.password) {
+    throw createWebhookError("Webhook URL must not contain credentials");
+  }
+  if (allowPrivate) {
+    return { url: parsed, addresses: null };
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true });
+  } catch {
+    throw createWebhookError("Webhook URL host could not be resolved");
+  }
+
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw createWebhookError("Webhook URL must point to a public address");
+  }
+
+  return { url: parsed, addresses };
+};
+
+/**
+ * Reject URLs we should never POST to. Production requires https and a
+ * public address so a webhook cannot be pointed at internal services.
+ */
+export const assertDeliverableUrl = async (rawUrl) =>
+  (await resolveDeliveryTarget(rawUrl)).url;
+
+// `lookup` for http(s).request that only ever answers with the checked
+// addresses. Handles both the single-address and `all: true` call shapes.
+export const createPinnedLookup = (addresses) => (_hostname, options, callback) => {
+  const done = typeof options === "function" ? options : callback;
+  if (options?.all) {
+    done(null, addresses.map(({ address, family }) => ({ address, family })));
+    return;
+  }
+  const [{ address, family }] = addresses;
+  done(null, address, family);
+};
+
+/**
+ * POST `body` to a webhook URL. Resolves with `{ status, text }`; redirects
+ * are not followed, since they could bounce the request to a refused address.
+ */
+export const sendWebhookRequest = async (rawUrl, { headers, body }) => {
+  const { url, addresses } = await resolveDeliveryTarget(rawUrl);
+  const transport = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        ...(addresses ? { lookup: createPinnedLookup(addresses) } : {}),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      },
+      (res) => {
+        const chunks = [];
+        let length = 0;
+        res.on("data", (chunk) => {
+          // Only an excerpt is stored, so stop buffering past the limit.
+          if (length <= MAX_RESPONSE_BODY_LENGTH * 4) {
+            chunks.push(chunk);
+            length += chunk.length;
+          }
+        });
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            text: Buffer.concat(chunks).toString("utf8"),
+          })
+        );
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+};
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256>` over
+ * `${t}.${body}`. Including the timestamp lets receivers reject replays.
+ */
+export const signWebhookBody = (secret, body, timestamp = Date.now()) => {
+  const seconds = Math.floor(timestamp / 1000);
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${seconds}.${body}`)
+    .digest("hex");
+  return `t=${seconds},v1=${digest}`;
+};
+
+const toIdString = (value) => (value ? value.toString() : null);
+
+const buildEventBody = (deliveryId, event) =>
+  JSON.stringify({
+    id: deliveryId.toString(),
+    type: event.eventType,
+    createdAt: (event.createdAt ?? new Date()).toISOString(),
+    data: {
+      eventId: toIdString(event._id),
+      notebookId: toIdString(event.notebookId),
+      workspaceId: toIdString(event.workspaceId),
+      noteId: toIdString(event.noteId),
+      actorId: toIdString(event.actorId),
+      commandName: event.commandName ?? null,
+      summary: event.summary ?? null,
+      version: event.version ?? 1,
+    },
+  });
+
+export const serializeWebhook = (webhook) => ({
+  id: webhook._id.toString(),
+  workspaceId: toIdString(webhook.workspaceId),
+  notebookId: toIdString(webhook.notebookId),
+  url: webhook.url,
+  description: webhook.description ?? "",
+  eventTypes: webhook.eventTypes ?? [],
+  active: Boolean(webhook.active),
+  disabledReason: webhook.disabledReason ?? null,
+  consecutiveFailures: webhook.consecutiveFailures ?? 0,
+  lastDeliveryAt: webhook.lastDeliveryAt ?? null,
+  lastDeliveryStatus: webhook.lastDeliveryStatus ?? null,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+export const serializeWebhookDelivery = (delivery) => ({
+  id: delivery._id.toString(),
+  webhookId: delivery.webhookId.toString(),
+  eventId: toIdString(delivery.eventId),
+  eventType: delivery.eventType,
+  isTest: Boolean(delivery.isTest),
+  status: delivery.status,
+  attempts: delivery.attempts ?? 0,
+  nextAttemptAt:
+    delivery.status === "pending" ? delivery.nextAttemptAt ?? null : null,
+  responseStatus: delivery.responseStatus ?? null,
+  responseBody: delivery.responseBody ?? null,
+  error: delivery.error ?? null,
+  durationMs: delivery.durationMs ?? null,
+  deliveredAt: delivery.deliveredAt ?? null,
+  createdAt: delivery.createdAt,
+});
+
+let dispatchTimer = null;
+let dispatchInFlight = null;
+
+/**
+ * Coalesce dispatch requests into a single run shortly after the caller's
+ * transaction has had a chance to commit. The cron backstop in
+ * tasks/webhookDeliveryWorker.js picks up anything this misses.
+ */
+export const scheduleWebhookDispatch = (delayMs = DISPATCH_DEBOUNCE_MS) => {
+  if (dispatchTimer) {
+    return;
+  }
+  dispatchTimer = setTimeout(() => {
+    dispatchTimer = null;
+    dispatchDueWebhookDeliveries().catch((error) => {
+      logger.error("Webhook dispatch failed", { message: error?.message });
+    });
+  }, delayMs);
+  dispatchTimer.unref?.();
+};
+
+export const cancelScheduledWebhookDispatch = () => {
+  if (dispatchTimer) {
+    clearTimeout(dispatchTimer);
+    dispatchTimer = null;
+  }
+};
+
+/**
+ * Queue one delivery per active webhook subscribed to the event. Runs in the
+ * event's session so deliveries only exist for events that were committed.
+ */
+export const enqueueWebhookDeliveries = async (event, { session = null } = {}) => {
+  const scopes = [{ notebookId: event.notebookId }];
+  if (event.workspaceId) {
+    scopes.push({ workspaceId: event.workspaceId });
+  }
+
+  const webhookQuery = Webhook.find({
+    active: true,
+    $and: [
+      { $or: scopes },
+      {
+        $or: [
+          { eventTypes: { $size: 0 } },
+          { eventTypes: event.eventType },
+        ],
+      },
+    ],
+  })
+    .select({ _id: 1 })
+    .lean();
+  if (session) {
+    webhookQuery.session(session);
+  }
+
+  const webhooks = await webhookQuery;
+  if (!webhooks.length) {
+    return [];
+  }
+
+  const deliveries = webhooks.map((webhook) => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      webhookId: webhook._id,
+      eventId: event._id,
+      eventType: event.eventType,
+      body: buildEventBody(_id, event),
+    };
+  });
+
+  const created = await WebhookDelivery.insertMany(
+    deliveries,
+    session ? { session } : {}
+  );
+  scheduleWebhookDispatch();
+  return created;
+};
+
+const toResponseExcerpt = (text) =>
+  text.length > MAX_RESPONSE_BODY_LENGTH
+    ? `${text.slice(0, MAX_RESPONSE_BODY_LENGTH - 1)}…`
+    : text;
+
+const postToWebhook = async (webhook, delivery) => {
+  const startedAt = Date.now();
+  try {
+    const response = await sendWebhookRequest(webhook.url, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "NotesBoard-Webhooks/1.0",
+        [WEBHOOK_EVENT_HEADER]: delivery.eventType,
+        [WEBHOOK_DELIVERY_HEADER]: delivery._id.toString(),
+        [WEBHOOK_SIGNATURE_HEADER]: signWebhookBody(webhook.secret, delivery.body),
+      },
+      body: delivery.body,
+    });
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      responseBody: toResponseExcerpt(response.text),
+      error: null,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      responseStatus: null,
+      responseBody: null,
+      error:
+        error?.name === "TimeoutError" || error?.cause?.name === "TimeoutError"
+          ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+          : error?.message ?? "Request failed",
+      durationMs: Date.now() - startedAt,
+    };
+  }
+};
+
+const recordWebhookOutcome = async (webhook, { ok, exhausted, at }) => {
+  if (ok) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      {
+        $set: {
+          consecutiveFailures: 0,
+          lastDeliveryAt: at,
+          lastDeliveryStatus: "succeeded",
+        },
+      }
+    );
+    return;
+  }
+
+  const update = {
+    $set: { lastDeliveryAt: at, lastDeliveryStatus: "failed" },
+  };
+  if (exhausted) {
+    update.$inc = { consecutiveFailures: 1 };
+  }
+  const updated = await Webhook.findOneAndUpdate({ _id: webhook._id }, update, {
+    new: true,
+  }).lean();
+
+  if (
+    updated?.active &&
+    updated.consecutiveFailures >= AUTO_DISABLE_AFTER_FAILURES
+  ) {
+    await Webhook.updateOne(
+      { _id: webhook._id, active: true },
+      {
+        $set: {
+          active: false,
+          disabledReason: `Disabled after ${updated.consecutiveFailures} failed deliveries`,
+        },
+      }
+    );
+    logger.warn("Webhook disabled after repeated failures", {
+      webhookId: webhook._id.toString(),
+      failures: updated.consecutiveFailures,
+    });
+  }
+};
+
+/**
+ * Make one delivery attempt and persist the outcome. Failed event deliveries
+ * are rescheduled with exponential backoff until the attempt budget runs out;
+ * test deliveries are attempted once.
+ */
+export const attemptWebhookDelivery = async (delivery, webhook = null) => {
+  const target =
+    webhook?.secret
+      ? webhook
+      : await Webhook.findById(delivery.webhookId).select("+secret").lean();
+
+  if (!target) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: "failed",
+          lockedUntil: null,
+          error: "Webhook no longer exists",
+        },
+      }
+    );
+    return null;
+  }
+
+  const result = await postToWebhook(target, delivery);
+  const attempts = (delivery.attempts ?? 0) + 1;
+  const now = new Date();
+  const exhausted =
+    !result.ok && (delivery.isTest || attempts >= MAX_DELIVERY_ATTEMPTS);
+
+  const update = {
+    attempts,
+    lockedUntil: null,
+    responseStatus: result.responseStatus,
+    responseBody: result.responseBody,
+    error: result.error,
+    durationMs: result.durationMs,
+  };
+  if (result.ok) {
+    update.status = "succeeded";
+    update.deliveredAt = now;
+  } else if (exhausted) {
+    update.status = "failed";
+  } else {
+    update.status = "pending";
+    update.nextAttemptAt = new Date(
+      now.getTime() + RETRY_DELAYS_MS[attempts - 1]
+    );
+  }
+
+  const saved = await WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $set: update },
+    { new: true }
+  ).lean();
+
+  if (!delivery.isTest) {
+    await recordWebhookOutcome(target, { ok: result.ok, exhausted, at: now });
+  }
+
+  return saved;
+};
+
+const claimNextDelivery = (now) =>
+  WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "delivering", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "delivering",
+        lockedUntil: new Date(now.getTime() + CLAIM_TTL_MS),
+      },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+
+/**
+ * Deliver everything that is due. Overlapping calls share one run.
+ */
+export const dispatchDueWebhookDeliveries = () => {
+  if (dispatchInFlight) {
+    return dispatchInFlight;
+  }
+
+  dispatchInFlight = (async () => {
+    let processed = 0;
+    try {
+      while (processed < DISPATCH_BATCH_SIZE) {
+        const delivery = await claimNextDelivery(new Date());
+        if (!delivery) {
+          break;
+        }
+        processed += 1;
+        try {
+          await attemptWebhookDelivery(delivery);
+        } catch (error) {
+          logger.error("Webhook delivery attempt errored", {
+            deliveryId: delivery._id.toString(),
+            message: error?.message,
+          });
+        }
+      }
+    } finally {
+      dispatchInFlight = null;
+    }
+
+    // A full batch likely means more work is waiting.
+    if (processed >= DISPATCH_BATCH_SIZE) {
+      scheduleWebhookDispatch(0);
+    }
+    return { processed };
+  })();
+
+  return dispatchInFlight;
+};
+
+/**
+ * Send a synthetic event to the webhook right away and return the logged
+ * delivery so the caller can show the response code.
+ */
+export const sendWebhookTestEvent = async (webhook, { actorId }) => {
+  const _id = new mongoose.Types.ObjectId();
+  const body = JSON.stringify({
+    id: _id.toString(),
+    type: WEBHOOK_TEST_EVENT,
+    createdAt: new Date().toISOString(),
+    data: {
+      webhookId: webhook._id.toString(),
+      notebookId: toIdString(webhook.notebookId),
+      workspaceId: toIdString(webhook.workspaceId),
+      actorId: toIdString(actorId),
+      message: "This is a test event from NotesBoard.",
+    },
+  });
+
+  const delivery = await WebhookDelivery.create({
+    _id,
+    webhookId: webhook._id,
+    eventType: WEBHOOK_TEST_EVENT,
+    isTest: true,
+    body,
+    status: "delivering",
+    lockedUntil: new Date(Date.now() + CLAIM_TTL_MS),
+  });
+
+  return attemptWebhookDelivery(delivery.toObject(), webhook);
+};
+
+/**
+ * Put a finished delivery back in the queue for an immediate attempt.
+ */
+export const redeliverWebhookDelivery = async (delivery) => {
+  const updated = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: { $in: ["succeeded", "failed"] } },
+    {
+      $set: {
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedUntil: null,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (updated) {
+    scheduleWebhookDispatch(0);
+  }
+  return updated;
+};
+
+export const deleteWebhookWithDeliveries = async (webhookId) => {
+  await WebhookDelivery.deleteMany({ webhookId });
+  await Webhook.deleteOne({ _id: webhookId });
+};
+
+export default {
+  assertDeliverableUrl,
+  isPrivateAddress,
+  sendWebhookRequest,
+  generateWebhookSecret,
+  signWebhookBody,
+  enqueueWebhookDeliveries,
+  attemptWebhookDelivery,
+  dispatchDueWebhookDeliveries,
+  scheduleWebhookDispatch,
+  cancelScheduledWebhookDispatch,
+  sendWebhookTestEvent,
+  redeliverWebhookDelivery,
+  deleteWebhookWithDeliveries,
+  serializeWebhook,
+  serializeWebhookDelivery,
+};
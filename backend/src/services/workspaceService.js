@@ -0,0 +1,215 @@
+import mongoose from "mongoose";
+
+import Workspace from "../models/Workspace.js";
+import User from "../models/User.js";
+import Note from "../models/Note.js";
+import Notebook from "../models/Notebook.js";
+import NoteHistory from "../models/NoteHistory.js";
+import NoteAttachment from "../models/NoteAttachment.js";
+import NoteComment from "../models/NoteComment.js";
+import NotebookIndex from "../models/NotebookIndex.js";
+import Webhook from "../models/Webhook.js";
+import cacheService from "./cacheService.js";
+import { deleteWebhookWithDeliveries } from "./webhookService.js";
+import { WORKSPACE_MANAGE_ROLES } from "../utils/access.js";
+import { removeNotesFromNotebookOrder } from "../utils/notebooks.js";
+import slugify from "../utils/slugify.js";
+
+/**
+ * What happens to a workspace's content when it is deleted:
+ * - `move`: notebooks and notes (including trashed ones) are re-homed in a
+ *   workspace the requester manages, so nothing is lost.
+ * - `trash`: notes go to their owners' trash (restorable for 30 days) and
+ *   notebooks return to their owners' default workspace.
+ */
+export const WORKSPACE_DELETE_MODES = ["move", "trash"];
+
+// Collections whose `workspaceId` only routes access; history, events and
+// analytics keep pointing at the deleted workspace as an audit trail.
+const RE_HOMED_MODELS = [Notebook, NoteAttachment, NoteComment, NotebookIndex];
+
+const randomSlugSuffix = () => Math.random().toString(36).slice(2, 8);
+
+export const buildWorkspaceSlug = (name) =>
+  slugify(`${name}-${randomSlugSuffix()}`, { maxLength: 96 }) ||
+  `workspace-${randomSlugSuffix()}`;
+
+export const resolveWorkspaceRole = (workspace, userId) => {
+  if (String(workspace.ownerId) === String(userId)) {
+    return "owner";
+  }
+  const member = (workspace.members ?? []).find(
+    (entry) =>
+      String(entry.userId) === String(userId) &&
+      (entry.status ?? "active") === "active",
+  );
+  return member?.role ?? null;
+};
+
+/** Other workspaces the user manages, i.e. valid `move` targets. */
+export const listWorkspaceMoveTargets = async (workspaceId, userId) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const candidates = await Workspace.find({
+    _id: { $ne: workspaceId },
+    $or: [{ ownerId: userObjectId }, { "members.userId": userObjectId }],
+  })
+    .select({ name: 1, ownerId: 1, members: 1 })
+    .sort({ name: 1 })
+    .lean();
+
+  return candidates
+    .filter((workspace) =>
+      WORKSPACE_MANAGE_ROLES.has(resolveWorkspaceRole(workspace, userId)),
+    )
+    .map((workspace) => ({
+      id: workspace._id.toString(),
+      name: workspace.name,
+    }));
+};
+
+/** Counts shown to the requester before they confirm a deletion. */
+export const buildWorkspaceDeletionPlan = async (workspace, userId) => {
+  const workspaceId = workspace._id;
+  const [
+    notebookCount,
+    noteCount,
+    trashedNoteCount,
+    noteOwnerIds,
+    webhookCount,
+    moveTargets,
+  ] = await Promise.all([
+    Notebook.countDocuments({ workspaceId }),
+    Note.countDocuments({ workspaceId }),
+    Note.countDocuments({ workspaceId }).setOptions({ onlyTrashed: true }),
+    Note.distinct("owner", { workspaceId }).setOptions({ withTrashed: true }),
+    Webhook.countDocuments({ workspaceId }),
+    listWorkspaceMoveTargets(workspaceId, userId),
+  ]);
+
+  const isRequesterDefault = await User.exists({
+    _id: userId,
+    defaultWorkspace: workspaceId,
+  });
+
+  return {
+    workspace: { id: workspaceId.toString(), name: workspace.name },
+    notebookCount,
+    noteCount,
+    trashedNoteCount,
+    noteOwnerCount: noteOwnerIds.length,
+    memberCount: (workspace.members ?? []).length,
+    webhookCount,
+    moveTargets,
+    modes: WORKSPACE_DELETE_MODES,
+    blockedReason: isRequesterDefault
+      ? "This is your default workspace and can't be deleted."
+      : null,
+  };
+};
+
+const trashWorkspaceNotes = async (workspaceId, actorId) => {
+  const notes = await Note.find({ workspaceId })
+    .select({ _id: 1, owner: 1, notebookId: 1 })
+    .lean();
+  if (!notes.length) {
+    return 0;
+  }
+
+  const noteIds = notes.map((note) => note._id);
+  await Note.updateMany(
+    { _id: { $in: noteIds } },
+    { $set: { deletedAt: new Date() } },
+  );
+
+  await NoteHistory.insertMany(
+    notes.map((note) => ({
+      noteId: note._id,
+      workspaceId,
+      actorId,
+      eventType: "delete",
+      summary: "Moved note to trash when its workspace was deleted",
+    })),
+  );
+
+  const idsByNotebook = new Map();
+  notes.forEach((note) => {
+    if (!note.notebookId) return;
+    const key = note.notebookId.toString();
+    idsByNotebook.set(key, [...(idsByNotebook.get(key) ?? []), note._id]);
+  });
+  for (const [notebookId, ids] of idsByNotebook) {
+    await removeNotesFromNotebookOrder(notebookId, ids);
+  }
+
+  return notes.length;
+};
+
+/**
+ * Delete a workspace after dealing with everything inside it. Content is
+ * handled before the workspace document is removed, so a failure part-way
+ * leaves the workspace in place and the request can simply be retried.
+ */
+export const deleteWorkspaceWithContent = async (
+  workspace,
+  { mode, targetWorkspaceId = null, actorId },
+) => {
+  const workspaceId = workspace._id;
+  const nextWorkspaceId =
+    mode === "move" ? new mongoose.Types.ObjectId(String(targetWorkspaceId)) : null;
+
+  const affectedOwners = (
+    await Note.distinct("owner", { workspaceId }).setOptions({
+      withTrashed: true,
+    })
+  ).map(String);
+
+  const trashedNotes =
+    mode === "trash" ? await trashWorkspaceNotes(workspaceId, actorId) : 0;
+
+  const movedNotes = await Note.updateMany(
+    { workspaceId },
+    { $set: { workspaceId: nextWorkspaceId } },
+  ).setOptions({ withTrashed: true });
+
+  const [movedNotebooks] = await Promise.all(
+    RE_HOMED_MODELS.map((Model) =>
+      Model.updateMany(
+        { workspaceId },
+        { $set: { workspaceId: nextWorkspaceId } },
+      ),
+    ),
+  );
+
+  const webhooks = await Webhook.find({ workspaceId }).select({ _id: 1 }).lean();
+  for (const webhook of webhooks) {
+    await deleteWebhookWithDeliveries(webhook._id);
+  }
+
+  // Users whose default pointed here get a fresh personal workspace the next
+  // time a session is issued (see ensureUserWorkspace).
+  await User.updateMany(
+    { defaultWorkspace: workspaceId },
+    { $unset: { defaultWorkspace: 1 } },
+  );
+
+  await Workspace.deleteOne({ _id: workspaceId });
+
+  affectedOwners.forEach((ownerId) => cacheService.invalidateUserRoutes(ownerId));
+
+  return {
+    mode,
+    targetWorkspaceId: nextWorkspaceId ? nextWorkspaceId.toString() : null,
+    notebooks: movedNotebooks?.modifiedCount ?? 0,
+    notes: mode === "move" ? (movedNotes?.modifiedCount ?? 0) : trashedNotes,
+    webhooks: webhooks.length,
+  };
+};
+
+export default {
+  WORKSPACE_DELETE_MODES,
+  buildWorkspaceSlug,
+  resolveWorkspaceRole,
+  listWorkspaceMoveTargets,
+  buildWorkspaceDeletionPlan,
+  deleteWorkspaceWithContent,
+};
@@ -0,0 +1,89 @@
+import cron from "node-cron";
+
+import logger from "../utils/logger.js";
+import { dispatchDigests } from "../services/digestService.js";
+
+// Daily at 07:00 UTC. Weekly subscribers are due every seventh run; see
+// dispatchDigests for the per-user window.
+const DEFAULT_CRON = "0 7 * * *";
+
+let running = false;
+
+export const runDigestJob = async ({ now } = {}) => {
+  // Guards against a manual run overlapping the scheduled one.
+  if (running) {
+    return { sent: 0, skipped: 0, failed: 0, busy: true };
+  }
+
+  running = true;
+  try {
+    const result = await dispatchDigests({ now: now ?? new Date() });
+    if (result.sent || result.failed) {
+      logger.info("Digest job completed", result);
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+};
+
+let scheduledJob;
+
+export const scheduleDigestJob = () => {
+  if (process.env.DISABLE_DIGEST_CRON === "true") {
+    logger.info("Digest cron disabled via configuration");
+    return null;
+  }
+
+  if (scheduledJob) {
+    return scheduledJob;
+  }
+
+  const cronExpr = process.env.DIGEST_CRON ?? DEFAULT_CRON;
+
+  if (!cron.validate(cronExpr)) {
+    logger.error("Invalid digest cron expression, falling back to default", {
+      cronExpr,
+      default: DEFAULT_CRON,
+    });
+    return scheduleWithExpr(DEFAULT_CRON);
+  }
+
+  return scheduleWithExpr(cronExpr);
+};
+
+const scheduleWithExpr = (cronExpr) => {
+  scheduledJob = cron.schedule(
+    cronExpr,
+    async () => {
+      try {
+        await runDigestJob();
+      } catch (error) {
+        logger.error("Scheduled digest job failed", {
+          message: error?.message,
+        });
+      }
+    },
+    {
+      timezone: "UTC",
+    }
+  );
+
+  logger.info("Digest cron scheduled", { cronExpr });
+
+  return scheduledJob;
+};
+
+export const stopDigestJob = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+    scheduledJob = null;
+    logger.info("Digest cron stopped");
+  }
+};
+
+export default {
+  scheduleDigestJob,
+  stopDigestJob,
+  runDigestJob,
+};
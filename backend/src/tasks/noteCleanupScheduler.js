@@ -0,0 +1,86 @@
+import cron from "node-cron";
+
+import logger from "../utils/logger.js";
+import { removeOrphanedNoteData } from "../services/noteCleanupService.js";
+
+const DEFAULT_CRON = "30 3 * * *"; // daily at 03:30 UTC
+
+let running = false;
+
+export const runNoteCleanupJob = async () => {
+  if (running) {
+    return { comments: 0, attachments: 0, busy: true };
+  }
+
+  running = true;
+  try {
+    const result = await removeOrphanedNoteData();
+    if (Object.values(result).some(Boolean)) {
+      logger.info("Note cleanup job completed", result);
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+};
+
+let scheduledJob;
+
+export const scheduleNoteCleanupJob = () => {
+  if (process.env.DISABLE_NOTE_CLEANUP_CRON === "true") {
+    logger.info("Note cleanup cron disabled via configuration");
+    return null;
+  }
+
+  if (scheduledJob) {
+    return scheduledJob;
+  }
+
+  const cronExpr = process.env.NOTE_CLEANUP_CRON ?? DEFAULT_CRON;
+
+  if (!cron.validate(cronExpr)) {
+    logger.error("Invalid note cleanup cron expression, falling back to default", {
+      cronExpr,
+      default: DEFAULT_CRON,
+    });
+    return scheduleWithExpr(DEFAULT_CRON);
+  }
+
+  return scheduleWithExpr(cronExpr);
+};
+
+const scheduleWithExpr = (cronExpr) => {
+  scheduledJob = cron.schedule(
+    cronExpr,
+    async () => {
+      try {
+        await runNoteCleanupJob();
+      } catch (error) {
+        logger.error("Scheduled note cleanup job failed", {
+          message: error?.message,
+        });
+      }
+    },
+    {
+      timezone: "UTC",
+    }
+  );
+
+  logger.info("Note cleanup cron scheduled", { cronExpr });
+
+  return scheduledJob;
+};
+
+export const stopNoteCleanupJob = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+    scheduledJob = null;
+    logger.info("Note cleanup cron stopped");
+  }
+};
+
+export default {
+  scheduleNoteCleanupJob,
+  stopNoteCleanupJob,
+  runNoteCleanupJob,
+};
@@ -12,6 +12,7 @@ import {
   embedBatch,
   buildNoteEmbeddingText,
 } from "../services/embeddingService.js";
+import { indexNoteEmbedding } from "../services/vectorSearchService.js";
 
 // ── Queue cap to prevent OOM under sustained load ──
 const MAX_QUEUE_SIZE = 200;
@@ -160,6 +161,9 @@ const runNotebookIndexJob = async (job) => {
 
         if (bulkOps.length > 0) {
           await Note.bulkWrite(bulkOps, { ordered: false });
+          batchNotes.forEach((note, j) => {
+            if (embeddings[j]) indexNoteEmbedding(note._id, embeddings[j], now);
+          });
         }
       }
     } catch (embeddingError) {
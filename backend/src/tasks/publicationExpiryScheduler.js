@@ -0,0 +1,86 @@
+import cron from "node-cron";
+
+import logger from "../utils/logger.js";
+import { unpublishExpiredPublications } from "../services/publicationAccessService.js";
+
+const DEFAULT_CRON = "*/5 * * * *"; // every five minutes
+
+let running = false;
+
+export const runPublicationExpiryJob = async ({ now } = {}) => {
+  if (running) {
+    return { notebooks: 0, notes: 0, failed: 0, busy: true };
+  }
+
+  running = true;
+  try {
+    const result = await unpublishExpiredPublications({ now: now ?? new Date() });
+    if (result.notebooks || result.notes || result.failed) {
+      logger.info("Publication expiry job completed", result);
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+};
+
+let scheduledJob;
+
+export const schedulePublicationExpiryJob = () => {
+  if (process.env.DISABLE_PUBLICATION_EXPIRY_CRON === "true") {
+    logger.info("Publication expiry cron disabled via configuration");
+    return null;
+  }
+
+  if (scheduledJob) {
+    return scheduledJob;
+  }
+
+  const cronExpr = process.env.PUBLICATION_EXPIRY_CRON ?? DEFAULT_CRON;
+
+  if (!cron.validate(cronExpr)) {
+    logger.error("Invalid publication expiry cron expression, falling back to default", {
+      cronExpr,
+      default: DEFAULT_CRON,
+    });
+    return scheduleWithExpr(DEFAULT_CRON);
+  }
+
+  return scheduleWithExpr(cronExpr);
+};
+
+const scheduleWithExpr = (cronExpr) => {
+  scheduledJob = cron.schedule(
+    cronExpr,
+    async () => {
+      try {
+        await runPublicationExpiryJob();
+      } catch (error) {
+        logger.error("Scheduled publication expiry job failed", {
+          message: error?.message,
+        });
+      }
+    },
+    {
+      timezone: "UTC",
+    }
+  );
+
+  logger.info("Publication expiry cron scheduled", { cronExpr });
+
+  return scheduledJob;
+};
+
+export const stopPublicationExpiryJob = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+    scheduledJob = null;
+    logger.info("Publication expiry cron stopped");
+  }
+};
+
+export default {
+  schedulePublicationExpiryJob,
+  stopPublicationExpiryJob,
+  runPublicationExpiryJob,
+};
@@ -0,0 +1,87 @@
+import cron from "node-cron";
+
+import logger from "../utils/logger.js";
+import { dispatchDueReminders } from "../services/reminderService.js";
+
+const DEFAULT_CRON = "* * * * *"; // every minute
+
+let running = false;
+
+export const runReminderJob = async ({ now } = {}) => {
+  // A slow SMTP server can make one run outlast the cron interval.
+  if (running) {
+    return { sent: 0, skipped: 0, failed: 0, busy: true };
+  }
+
+  running = true;
+  try {
+    const result = await dispatchDueReminders({ now: now ?? new Date() });
+    if (result.sent || result.failed) {
+      logger.info("Reminder job completed", result);
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+};
+
+let scheduledJob;
+
+export const scheduleReminderJob = () => {
+  if (process.env.DISABLE_REMINDER_CRON === "true") {
+    logger.info("Reminder cron disabled via configuration");
+    return null;
+  }
+
+  if (scheduledJob) {
+    return scheduledJob;
+  }
+
+  const cronExpr = process.env.REMINDER_CRON ?? DEFAULT_CRON;
+
+  if (!cron.validate(cronExpr)) {
+    logger.error("Invalid reminder cron expression, falling back to default", {
+      cronExpr,
+      default: DEFAULT_CRON,
+    });
+    return scheduleWithExpr(DEFAULT_CRON);
+  }
+
+  return scheduleWithExpr(cronExpr);
+};
+
+const scheduleWithExpr = (cronExpr) => {
+  scheduledJob = cron.schedule(
+    cronExpr,
+    async () => {
+      try {
+        await runReminderJob();
+      } catch (error) {
+        logger.error("Scheduled reminder job failed", {
+          message: error?.message,
+        });
+      }
+    },
+    {
+      timezone: "UTC",
+    }
+  );
+
+  logger.info("Reminder cron scheduled", { cronExpr });
+
+  return scheduledJob;
+};
+
+export const stopReminderJob = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+    scheduledJob = null;
+    logger.info("Reminder cron stopped");
+  }
+};
+
+export default {
+  scheduleReminderJob,
+  stopReminderJob,
+  runReminderJob,
+};
@@ -0,0 +1,77 @@
+import cron from "node-cron";
+
+import logger from "../utils/logger.js";
+import {
+  cancelScheduledWebhookDispatch,
+  dispatchDueWebhookDeliveries,
+} from "../services/webhookService.js";
+
+const DEFAULT_CRON = "* * * * *"; // every minute
+
+let scheduledJob;
+
+/**
+ * New deliveries are dispatched right after their event is recorded; this
+ * job picks up retries whose backoff has elapsed and anything left behind
+ * by a restart.
+ */
+export const scheduleWebhookDeliveryJob = () => {
+  if (process.env.DISABLE_WEBHOOK_DELIVERY === "true") {
+    logger.info("Webhook delivery worker disabled via configuration");
+    return null;
+  }
+
+  if (scheduledJob) {
+    return scheduledJob;
+  }
+
+  let cronExpr = process.env.WEBHOOK_DELIVERY_CRON ?? DEFAULT_CRON;
+  if (!cron.validate(cronExpr)) {
+    logger.error("Invalid webhook delivery cron expression, falling back to default", {
+      cronExpr,
+      default: DEFAULT_CRON,
+    });
+    cronExpr = DEFAULT_CRON;
+  }
+
+  scheduledJob = cron.schedule(
+    cronExpr,
+    async () => {
+      try {
+        await dispatchDueWebhookDeliveries();
+      } catch (error) {
+        logger.error("Scheduled webhook delivery run failed", {
+          message: error?.message,
+        });
+      }
+    },
+    {
+      timezone: "UTC",
+    }
+  );
+
+  logger.info("Webhook delivery worker scheduled", { cronExpr });
+
+  // Drain anything that was due while the server was down.
+  dispatchDueWebhookDeliveries().catch((error) => {
+    logger.error("Initial webhook delivery run failed", {
+      message: error?.message,
+    });
+  });
+
+  return scheduledJob;
+};
+
+export const stopWebhookDeliveryJob = () => {
+  cancelScheduledWebhookDispatch();
+  if (scheduledJob) {
+    scheduledJob.stop();
+    scheduledJob = null;
+    logger.info("Webhook delivery worker stopped");
+  }
+};
+
+export default {
+  scheduleWebhookDeliveryJob,
+  stopWebhookDeliveryJob,
+};
@@ -7,19 +7,23 @@ import NotebookMember, {
 import Note from "../models/Note.js";
 import NoteCollaborator from "../models/NoteCollaborator.js";
 import { isValidObjectId } from "./validators.js";
+import { listNotebookAncestors } from "./notebooks.js";
+import { MAX_MEMBERSHIP_IN_QUERY, MAX_NOTEBOOK_DEPTH } from "./constants.js";
 
 const toObjectId = (value) =>
   value instanceof mongoose.Types.ObjectId
     ? value
     : new mongoose.Types.ObjectId(String(value));
 
-const WORKSPACE_EDIT_ROLES = new Set(["owner", "admin", "editor"]);
-const WORKSPACE_MANAGE_ROLES = new Set(["owner", "admin"]);
+export const WORKSPACE_EDIT_ROLES = new Set(["owner", "admin", "editor"]);
+export const WORKSPACE_MANAGE_ROLES = new Set(["owner", "admin"]);
 const NOTE_COLLAB_EDIT_ROLES = new Set(["editor"]);
 const NOTE_COLLAB_COMMENT_ROLES = new Set(["editor", "commenter"]);
 const NOTEBOOK_EDIT_ROLES = new Set(["owner", "editor"]);
 const NOTEBOOK_VIEW_ROLES = new Set(NOTEBOOK_MEMBER_ROLES);
 const NOTEBOOK_ACTIVE_STATUSES = new Set(["active"]);
+// A revoked record on a child notebook stops access inherited from above.
+const NOTEBOOK_BLOCKING_STATUS = "revoked";
 
 export const getWorkspaceMembership = async (workspaceId, userId) => {
   if (!workspaceId || !userId) return null;
@@ -82,6 +86,12 @@ export const resolveWorkspaceForUser = async (workspaceId, userId, opts = {}) =>
   return { workspace: membership.workspace, member: membership.member };
 };
 
+/**
+ * Resolve the user's role on a notebook. Members of a parent notebook inherit
+ * access to everything below it; the nearest record on the chain wins, so a
+ * direct record on a child overrides the inherited role and a revoked one
+ * removes access to that branch. Inherited memberships carry `inheritedFrom`.
+ */
 export const getNotebookMembership = async (notebookId, userId) => {
   if (!notebookId || !userId) return null;
   if (!isValidObjectId(notebookId) || !isValidObjectId(userId)) {
@@ -104,19 +114,140 @@ export const getNotebookMembership = async (notebookId, userId) => {
     };
   }
 
-  const record = await NotebookMember.findOne({
-    notebookId: toObjectId(notebookId),
+  const ancestors = notebook.parentId
+    ? await listNotebookAncestors(notebook).catch(() => [])
+    : [];
+  const chain = [notebook, ...ancestors];
+
+  const records = await NotebookMember.find({
+    notebookId: { $in: chain.map((entry) => entry._id) },
     userId: toObjectId(userId),
-    status: { $in: Array.from(NOTEBOOK_ACTIVE_STATUSES) },
+    status: { $in: [...NOTEBOOK_ACTIVE_STATUSES, NOTEBOOK_BLOCKING_STATUS] },
   })
     .lean()
-    .catch(() => null);
+    .catch(() => []);
+  const recordByNotebook = new Map(
+    records.map((record) => [String(record.notebookId), record]),
+  );
 
-  if (!record) {
-    return null;
+  for (const entry of chain) {
+    const record = recordByNotebook.get(String(entry._id));
+    if (!record) continue;
+    if (!NOTEBOOK_ACTIVE_STATUSES.has(record.status)) {
+      return null;
+    }
+    if (entry === notebook) {
+      return { notebook, membership: record };
+    }
+    return {
+      notebook,
+      membership: {
+        ...record,
+        inheritedFrom: { id: entry._id.toString(), name: entry.name },
+      },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Notebooks the user reaches through membership, mapped to their role:
+ * direct active memberships plus every descendant that does not carry its
+ * own record for the user. Capped at MAX_MEMBERSHIP_IN_QUERY entries.
+ */
+export const listMemberNotebookRoles = async (userId) => {
+  const roles = new Map();
+  if (!userId || !isValidObjectId(userId)) {
+    return roles;
+  }
+
+  const records = await NotebookMember.find({
+    userId: toObjectId(userId),
+    status: { $in: [...NOTEBOOK_ACTIVE_STATUSES, NOTEBOOK_BLOCKING_STATUS] },
+  })
+    .select({ notebookId: 1, role: 1, status: 1 })
+    .limit(MAX_MEMBERSHIP_IN_QUERY)
+    .lean();
+
+  const directIds = new Set(records.map((record) => String(record.notebookId)));
+  let frontier = [];
+  records.forEach((record) => {
+    if (!NOTEBOOK_ACTIVE_STATUSES.has(record.status)) return;
+    roles.set(String(record.notebookId), record.role);
+    frontier.push({ id: record.notebookId, role: record.role });
+  });
+
+  for (
+    let depth = 1;
+    frontier.length && depth < MAX_NOTEBOOK_DEPTH && roles.size < MAX_MEMBERSHIP_IN_QUERY;
+    depth += 1
+  ) {
+    const roleByParent = new Map(
+      frontier.map((entry) => [String(entry.id), entry.role]),
+    );
+    const children = await Notebook.find({
+      parentId: { $in: frontier.map((entry) => entry.id) },
+    })
+      .select({ _id: 1, parentId: 1 })
+      .limit(MAX_MEMBERSHIP_IN_QUERY)
+      .lean();
+
+    frontier = [];
+    for (const child of children) {
+      const key = String(child._id);
+      if (directIds.has(key) || roles.has(key)) continue;
+      if (roles.size >= MAX_MEMBERSHIP_IN_QUERY) break;
+      const role = roleByParent.get(String(child.parentId));
+      roles.set(key, role);
+      frontier.push({ id: child._id, role });
+    }
+  }
+
+  return roles;
+};
+
+/**
+ * Active members a notebook inherits from its ancestors, nearest ancestor
+ * first, each tagged with `inheritedFrom`. Users with their own active or
+ * revoked record on the notebook, and the notebook owner, are left out.
+ */
+export const listInheritedNotebookMembers = async (notebook) => {
+  if (!notebook?.parentId) {
+    return [];
+  }
+
+  const ancestors = await listNotebookAncestors(notebook);
+  if (!ancestors.length) {
+    return [];
+  }
+
+  const records = await NotebookMember.find({
+    notebookId: { $in: [notebook._id, ...ancestors.map((entry) => entry._id)] },
+    status: { $in: [...NOTEBOOK_ACTIVE_STATUSES, NOTEBOOK_BLOCKING_STATUS] },
+  }).lean();
+
+  const seen = new Set([String(notebook.owner)]);
+  records
+    .filter((record) => String(record.notebookId) === String(notebook._id))
+    .forEach((record) => seen.add(String(record.userId)));
+
+  const inherited = [];
+  for (const ancestor of ancestors) {
+    for (const record of records) {
+      if (String(record.notebookId) !== String(ancestor._id)) continue;
+      const key = String(record.userId);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!NOTEBOOK_ACTIVE_STATUSES.has(record.status)) continue;
+      inherited.push({
+        ...record,
+        inheritedFrom: { id: ancestor._id.toString(), name: ancestor.name },
+      });
+    }
   }
 
-  return { notebook, membership: record };
+  return inherited;
 };
 
 export const resolveNotebookMembership = async (notebookId, userId) => {
@@ -284,20 +415,109 @@ export const touchWorkspaceMember = async (workspaceId, userId, patch = {}) => {
   }
 };
 
-export const listAccessibleWorkspaceIds = async (userId) => {
+/**
+ * Ids of workspaces `userId` owns or is listed in. `activeOnly` skips pending
+ * and revoked memberships.
+ */
+export const listAccessibleWorkspaceIds = async (
+  userId,
+  { activeOnly = false } = {},
+) => {
   if (!userId || !isValidObjectId(userId)) {
     return [];
   }
 
+  const memberFilter = activeOnly
+    ? {
+        members: {
+          $elemMatch: { userId: toObjectId(userId), status: "active" },
+        },
+      }
+    : { "members.userId": toObjectId(userId) };
+
   const workspaces = await Workspace.find(
     {
-      $or: [
-        { ownerId: toObjectId(userId) },
-        { "members.userId": toObjectId(userId) },
-      ],
+      $or: [{ ownerId: toObjectId(userId) }, memberFilter],
     },
     { _id: 1 },
   ).lean();
 
   return workspaces.map((workspace) => workspace._id.toString());
 };
+
+/**
+ * Filter for notes or notebooks in one workspace. Records without a workspace
+ * (created before workspaces existed, or released when a workspace was
+ * deleted) count as part of their owner's default workspace.
+ */
+export const buildWorkspaceScopeFilter = (
+  workspaceId,
+  { userId = null, isDefault = false } = {},
+) => {
+  const scoped = { workspaceId: toObjectId(workspaceId) };
+  if (!isDefault || !userId) {
+    return scoped;
+  }
+  return { $or: [scoped, { workspaceId: null, owner: toObjectId(userId) }] };
+};
+
+/**
+ * Resolve a `?workspaceId=` list filter for `user` (`req.user`). Returns null
+ * when the workspace does not exist or the user is not a member.
+ */
+export const resolveWorkspaceScope = async (workspaceId, user) => {
+  const context = await resolveWorkspaceForUser(workspaceId, user?.id);
+  if (!context) return null;
+
+  const isDefault =
+    String(user.defaultWorkspace) === String(context.workspace._id);
+  return {
+    ...context,
+    filter: buildWorkspaceScopeFilter(context.workspace._id, {
+      userId: user.id,
+      isDefault,
+    }),
+  };
+};
+
+/**
+ * Mongo filter matching every note the user can open: their own notes, notes
+ * in their workspaces and notebooks (including child notebooks they inherit),
+ * and notes shared with them directly.
+ * Membership lookups are capped at 500 to keep the `$in` arrays bounded.
+ */
+export const buildAccessibleNotesFilter = async (userId) => {
+  const userObjectId = toObjectId(userId);
+  const [workspaceIds, collaboratorDocs, notebookRoles] = await Promise.all([
+    listAccessibleWorkspaceIds(userId),
+    NoteCollaborator.find({ userId: userObjectId })
+      .select({ noteId: 1 })
+      .limit(500)
+      .lean(),
+    listMemberNotebookRoles(userId),
+  ]);
+
+  const orConditions = [{ owner: userObjectId }];
+
+  if (workspaceIds.length) {
+    orConditions.push({
+      workspaceId: { $in: workspaceIds.map((id) => toObjectId(id)) },
+    });
+  }
+  const collabNoteIds = collaboratorDocs
+    .map((d) => d.noteId?.toString())
+    .filter(Boolean);
+  if (collabNoteIds.length) {
+    orConditions.push({
+      _id: { $in: collabNoteIds.map((id) => toObjectId(id)) },
+    });
+  }
+  const memberNotebookIds = Array.from(notebookRoles.keys());
+  if (memberNotebookIds.length) {
+    orConditions.push({
+      notebookId: { $in: memberNotebookIds.map((id) => toObjectId(id)) },
+    });
+  }
+
+  return orConditions.length === 1 ? orConditions[0] : { $or: orConditions };
+};
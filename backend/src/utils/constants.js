@@ -19,6 +19,9 @@ export const MAX_TAG_LENGTH = 50;
 // #15 — Align with Note.js schema (was 100, model enforces 120).
 export const MAX_NOTEBOOK_NAME_LENGTH = 120;
 export const MAX_NOTEBOOK_DESCRIPTION_LENGTH = 500;
+// Levels in a notebook tree, counting top-level notebooks as depth 1.
+export const MAX_NOTEBOOK_DEPTH = 8;
+export const MAX_DUPLICATE_NOTEBOOK_NOTES = 500;
 
 // Search / analytics
 // #14/#15 — Cap for NotebookIndex.tagFrequencies to stay under the 16 KB
@@ -28,6 +31,13 @@ export const MAX_TAG_FREQUENCIES = 500;
 // Membership / collaboration — caps the size of $in arrays passed to MongoDB
 export const MAX_MEMBERSHIP_IN_QUERY = 500;
 
+// Activity digest emails
+export const EMAIL_DIGEST_FREQUENCIES = /** @type {const} */ ([
+  "off",
+  "daily",
+  "weekly",
+]);
+
 // Pagination
 export const MAX_PAGE_LIMIT = 200;
 
@@ -36,8 +46,30 @@ export const MAX_BULK_NOTE_IDS = 100;
 export const BULK_NOTE_ACTIONS = /** @type {const} */ ([
   "pin",
   "unpin",
+  "archive",
+  "unarchive",
   "delete",
   "addTags",
   "move",
   "moveNotebook",
+  "copy",
 ]);
+
+// Note attachments
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_NOTE = 100;
+
+// Personal API tokens
+export const API_TOKEN_PREFIX = "nbp_";
+export const API_TOKEN_SCOPES = /** @type {const} */ ([
+  "notes:read",
+  "notes:write",
+  "notebooks:admin",
+]);
+export const MAX_API_TOKENS_PER_USER = 20;
+
+// Outgoing webhooks
+export const MAX_WEBHOOKS_PER_SCOPE = 10;
+
+// Workspaces
+export const MAX_OWNED_WORKSPACES = 20;
@@ -0,0 +1,75 @@
+/**
+ * Deterministic text embeddings by feature hashing.
+ *
+ * Tokens (and adjacent token pairs) from `tokenizeText` are hashed into a
+ * fixed number of signed buckets, weighted by sublinear term frequency and
+ * L2-normalised. Needs no model or network access, and the same text always
+ * maps to the same vector, so cosine similarity reflects shared vocabulary.
+ */
+import { tokenizeText } from "./textAnalytics.js";
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+/** Second seed for the sign hash, so bucket and sign are independent. */
+const SIGN_SEED = 0x9747b28c;
+const BIGRAM_WEIGHT = 0.5;
+
+/** 32-bit FNV-1a over the UTF-16 code units of `value`. */
+const fnv1a = (value, seed = FNV_OFFSET) => {
+  let hash = seed;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return hash >>> 0;
+};
+
+/** Feature -> { count, weight }: unigrams weigh 1, adjacent pairs less. */
+const countFeatures = (tokens) => {
+  const features = new Map();
+  const bump = (feature, weight) => {
+    const entry = features.get(feature);
+    if (entry) entry.count += 1;
+    else features.set(feature, { count: 1, weight });
+  };
+  tokens.forEach((token, i) => {
+    bump(token, 1);
+    if (i > 0) bump(`${tokens[i - 1]} ${token}`, BIGRAM_WEIGHT);
+  });
+  return features;
+};
+
+/**
+ * Embed `text` into a `dimensions`-long unit vector.
+ *
+ * @param {string} text
+ * @param {number} dimensions
+ * @returns {number[]|null} null when the text has no indexable tokens
+ */
+export const embedTextByHashing = (text, dimensions) => {
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    return null;
+  }
+  const tokens = tokenizeText(text);
+  if (!tokens.length) {
+    return null;
+  }
+
+  const vector = new Float64Array(dimensions);
+  for (const [feature, { count, weight }] of countFeatures(tokens)) {
+    const bucket = fnv1a(feature) % dimensions;
+    const sign = fnv1a(feature, SIGN_SEED) >>> 31 ? -1 : 1;
+    vector[bucket] += sign * weight * (1 + Math.log(count));
+  }
+
+  let norm = 0;
+  for (let i = 0; i < dimensions; i += 1) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  // Colliding features can cancel out exactly; treat that like empty text.
+  if (!norm) {
+    return null;
+  }
+  return Array.from(vector, (value) => value / norm);
+};
+
+export default { embedTextByHashing };
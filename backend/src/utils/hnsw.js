@@ -0,0 +1,264 @@
+/**
+ * In-memory HNSW (hierarchical navigable small world) index for approximate
+ * nearest-neighbour search by cosine similarity.
+ *
+ * Vectors are normalised on insert so similarity is a dot product. Removing
+ * or replacing a vector leaves a tombstone that still routes searches but is
+ * never returned; `tombstones` tells callers when a rebuild is worthwhile.
+ */
+
+/** Binary heap ordered by `compare` (smallest first). */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) {
+          smallest = left;
+        }
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) {
+          smallest = right;
+        }
+        if (smallest === index) break;
+        [items[index], items[smallest]] = [items[smallest], items[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const byDistance = (a, b) => a.distance - b.distance;
+const byDistanceDesc = (a, b) => b.distance - a.distance;
+
+const normalize = (values) => {
+  const vector = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i += 1) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (!norm || !Number.isFinite(norm)) return null;
+  for (let i = 0; i < vector.length; i += 1) vector[i] /= norm;
+  return vector;
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) sum += a[i] * b[i];
+  return sum;
+};
+
+export class HnswIndex {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.m] – links per node on upper layers (twice that on layer 0)
+   * @param {number} [options.efConstruction] – candidate list size while inserting
+   * @param {number} [options.efSearch] – default candidate list size while searching
+   * @param {number|null} [options.dimensions] – vector size; taken from the first vector when omitted
+   * @param {() => number} [options.random] – level generator source, for tests
+   */
+  constructor({
+    m = 16,
+    efConstruction = 100,
+    efSearch = 64,
+    dimensions = null,
+    random = Math.random,
+  } = {}) {
+    this.m = m;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.random = random;
+    this.levelFactor = 1 / Math.log(m);
+    this.dimensions = dimensions;
+    this.nodes = [];
+    this.nodeById = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.tombstones = 0;
+  }
+
+  /** Number of live (searchable) vectors. */
+  get size() {
+    return this.nodeById.size;
+  }
+
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  distance(query, index) {
+    return 1 - dot(query, this.nodes[index].vector);
+  }
+
+  /** Best-first search of one layer, returning up to `ef` closest nodes. */
+  searchLayer(query, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new Heap(byDistance);
+    const results = new Heap(byDistanceDesc);
+    for (const index of entryPoints) {
+      const entry = { index, distance: this.distance(query, index) };
+      candidates.push(entry);
+      results.push(entry);
+    }
+
+    while (candidates.size) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) {
+        break;
+      }
+      for (const neighbor of this.nodes[current.index].neighbors[level] ?? []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+        const distance = this.distance(query, neighbor);
+        if (results.size < ef || distance < results.peek().distance) {
+          const entry = { index: neighbor, distance };
+          candidates.push(entry);
+          results.push(entry);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort(byDistance);
+  }
+
+  /** Greedy descent from the top layer down to `level + 1`. */
+  descend(query, level) {
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer -= 1) {
+      [{ index: entry }] = this.searchLayer(query, [entry], 1, layer);
+    }
+    return entry;
+  }
+
+  /** Keep a node's closest `limit` links on a layer. */
+  pruneLinks(index, level, limit) {
+    const node = this.nodes[index];
+    const links = node.neighbors[level];
+    if (links.length <= limit) return;
+    node.neighbors[level] = links
+      .map((neighbor) => ({
+        index: neighbor,
+        distance: 1 - dot(node.vector, this.nodes[neighbor].vector),
+      }))
+      .sort(byDistance)
+      .slice(0, limit)
+      .map((entry) => entry.index);
+  }
+
+  /**
+   * Insert or replace the vector stored for `id`. Returns `false` for
+   * vectors that cannot be indexed (wrong dimensions or all zeros).
+   */
+  add(id, values) {
+    if (!values?.length) return false;
+    if (this.dimensions === null) this.dimensions = values.length;
+    if (values.length !== this.dimensions) return false;
+    const vector = normalize(values);
+    if (!vector) return false;
+
+    this.remove(id);
+
+    const level = Math.floor(-Math.log(this.random() || Number.MIN_VALUE) * this.levelFactor);
+    const index = this.nodes.length;
+    this.nodes.push({
+      id,
+      vector,
+      level,
+      deleted: false,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+    });
+    this.nodeById.set(id, index);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = index;
+      this.maxLevel = level;
+      return true;
+    }
+
+    let entryPoints = [this.descend(vector, level)];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer -= 1) {
+      const found = this.searchLayer(vector, entryPoints, this.efConstruction, layer);
+      const limit = layer === 0 ? this.m * 2 : this.m;
+      const links = found.slice(0, this.m).map((entry) => entry.index);
+      this.nodes[index].neighbors[layer] = links;
+      for (const neighbor of links) {
+        this.nodes[neighbor].neighbors[layer].push(index);
+        this.pruneLinks(neighbor, layer, limit);
+      }
+      entryPoints = found.map((entry) => entry.index);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = index;
+      this.maxLevel = level;
+    }
+    return true;
+  }
+
+  /** Hide `id` from results. Returns whether it was indexed. */
+  remove(id) {
+    const index = this.nodeById.get(id);
+    if (index === undefined) return false;
+    this.nodes[index].deleted = true;
+    this.nodeById.delete(id);
+    this.tombstones += 1;
+    return true;
+  }
+
+  /**
+   * The `k` nearest live vectors to `values`, closest first, as
+   * `{ id, similarity }` with cosine similarity in [-1, 1].
+   */
+  search(values, k, { ef = this.efSearch } = {}) {
+    if (!this.size || !values?.length || values.length !== this.dimensions) {
+      return [];
+    }
+    const query = normalize(values);
+    if (!query) return [];
+
+    // Tombstones still take up slots in the candidate list.
+    const width = Math.max(ef, k) + Math.min(this.tombstones, k * 4);
+    const entry = this.descend(query, 0);
+    return this.searchLayer(query, [entry], width, 0)
+      .filter((result) => !this.nodes[result.index].deleted)
+      .slice(0, k)
+      .map((result) => ({
+        id: this.nodes[result.index].id,
+        similarity: 1 - result.distance,
+      }));
+  }
+}
+
+export default HnswIndex;
@@ -0,0 +1,36 @@
+/**
+ * Archive visibility for note listings:
+ * - `exclude` (default): hide archived notes.
+ * - `include`: archived and active notes together (`?includeArchived=true`).
+ * - `only`: archived notes only (`?onlyArchived=true`).
+ */
+export const NOTE_ARCHIVE_MODES = /** @type {const} */ ([
+  "exclude",
+  "include",
+  "only",
+]);
+
+const isTruthyFlag = (value) => value === true || value === "true" || value === "1";
+
+/** Read the archive mode from a request query; `onlyArchived` wins. */
+export const resolveArchiveMode = (query = {}) => {
+  if (isTruthyFlag(query?.onlyArchived)) return "only";
+  if (isTruthyFlag(query?.includeArchived)) return "include";
+  return "exclude";
+};
+
+/**
+ * Mongo filter fragment for an archive mode. Notes written before the field
+ * existed have no `archived` key, so "not archived" is `$ne: true`.
+ */
+export const buildArchiveFilter = (mode = "exclude") => {
+  if (mode === "only") return { archived: true };
+  if (mode === "include") return {};
+  return { archived: { $ne: true } };
+};
+
+export default {
+  NOTE_ARCHIVE_MODES,
+  resolveArchiveMode,
+  buildArchiveFilter,
+};
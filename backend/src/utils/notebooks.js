@@ -1,6 +1,7 @@
 import crypto from "node:crypto";
 import mongoose from "mongoose";
 import Notebook from "../models/Notebook.js";
+import { MAX_NOTEBOOK_DEPTH } from "./constants.js";
 
 // #16 — Remove redundant /i flag; input is always lowercased before testing.
 const PUBLIC_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{4,62})[a-z0-9]$/;
@@ -42,6 +43,147 @@ export const ensureNotebookOwnership = async (
   return notebook;
 };
 
+/**
+ * Ancestors of a notebook, nearest first. Walks at most MAX_NOTEBOOK_DEPTH
+ * levels and stops early on a repeated id, so corrupt data cannot loop.
+ */
+export const listNotebookAncestors = async (notebook, { session } = {}) => {
+  const ancestors = [];
+  const seen = new Set([String(notebook?._id)]);
+  let parentId = notebook?.parentId ?? null;
+
+  while (parentId && ancestors.length < MAX_NOTEBOOK_DEPTH) {
+    if (seen.has(String(parentId))) break;
+    seen.add(String(parentId));
+
+    const query = Notebook.findById(parentId)
+      .select({ _id: 1, owner: 1, workspaceId: 1, parentId: 1, name: 1 })
+      .lean();
+    if (session) {
+      query.session(session);
+    }
+    const parent = await query;
+    if (!parent) break;
+
+    ancestors.push(parent);
+    parentId = parent.parentId ?? null;
+  }
+
+  return ancestors;
+};
+
+/**
+ * Every notebook below `notebookId`, breadth first. Each entry carries its
+ * `depth` relative to the root (children are 1).
+ */
+export const listNotebookDescendants = async (
+  notebookId,
+  { session, select = { _id: 1, parentId: 1, name: 1 } } = {},
+) => {
+  const descendants = [];
+  const seen = new Set([String(notebookId)]);
+  let frontier = [notebookId];
+
+  for (let depth = 1; frontier.length && depth <= MAX_NOTEBOOK_DEPTH; depth += 1) {
+    const query = Notebook.find({ parentId: { $in: frontier } })
+      .select({ ...select, _id: 1, parentId: 1 })
+      .lean();
+    if (session) {
+      query.session(session);
+    }
+    const children = (await query).filter((child) => {
+      if (seen.has(String(child._id))) return false;
+      seen.add(String(child._id));
+      return true;
+    });
+
+    children.forEach((child) => descendants.push({ ...child, depth }));
+    frontier = children.map((child) => child._id);
+  }
+
+  return descendants;
+};
+
+/**
+ * Check that `parentId` can hold `notebook` (or a new notebook when
+ * `notebook` is null). Throws PARENT_NOT_FOUND when the owner does not own
+ * the parent, PARENT_CYCLE when the parent sits inside the notebook's own
+ * subtree and PARENT_TOO_DEEP when the move would exceed MAX_NOTEBOOK_DEPTH.
+ * Returns the parent notebook.
+ */
+export const validateNotebookParent = async ({
+  notebook = null,
+  parentId,
+  ownerId,
+  session,
+}) => {
+  const parentObjectId = normalizeObjectId(parentId);
+  if (!parentObjectId) {
+    throw new Error("PARENT_NOT_FOUND");
+  }
+  if (notebook && String(notebook._id) === String(parentObjectId)) {
+    throw new Error("PARENT_CYCLE");
+  }
+
+  const parent = await ensureNotebookOwnership(parentObjectId, ownerId, {
+    session,
+  });
+  if (!parent) {
+    throw new Error("PARENT_NOT_FOUND");
+  }
+
+  const ancestors = await listNotebookAncestors(parent, { session });
+  if (
+    notebook &&
+    ancestors.some((entry) => String(entry._id) === String(notebook._id))
+  ) {
+    throw new Error("PARENT_CYCLE");
+  }
+
+  const subtreeHeight = notebook
+    ? (await listNotebookDescendants(notebook._id, { session })).reduce(
+        (max, entry) => Math.max(max, entry.depth),
+        0,
+      )
+    : 0;
+  // parent depth + the notebook itself + whatever hangs below it
+  if (ancestors.length + 1 + 1 + subtreeHeight > MAX_NOTEBOOK_DEPTH) {
+    throw new Error("PARENT_TOO_DEEP");
+  }
+
+  return parent;
+};
+
+/**
+ * First free name among the owner's notebooks under `parentId`, adding a
+ * numeric suffix ("Plans (2)") when the desired name is taken.
+ */
+export const ensureUniqueNotebookName = async (
+  ownerId,
+  desiredName,
+  { parentId = null } = {}
+) => {
+  const baseName = desiredName.trim().slice(0, 160) || "Untitled notebook";
+  let candidate = baseName;
+  let suffix = 1;
+  const MAX_ATTEMPTS = 20;
+
+  while (suffix <= MAX_ATTEMPTS) {
+    const exists = await Notebook.exists({
+      owner: ownerId,
+      parentId: parentId ?? null,
+      name: candidate,
+    });
+    if (!exists) {
+      return candidate;
+    }
+    suffix += 1;
+    candidate = `${baseName} (${suffix})`;
+  }
+
+  throw new Error("Unable to generate unique notebook name");
+};
+
 export const removeNotesFromNotebookOrder = async (
   notebookId,
   noteIds,
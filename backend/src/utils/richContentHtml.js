@@ -0,0 +1,131 @@
+/**
+ * Render stored note content (Tiptap JSON or plain text) as static HTML for
+ * published pages. Only known nodes and marks produce markup; anything else
+ * renders its children, and every text value and attribute is escaped.
+ */
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const safeUrl = (value) => {
+  const url = typeof value === "string" ? value.trim() : "";
+  return SAFE_URL.test(url) ? url : null;
+};
+
+const MARKS = {
+  bold: ["<strong>", "</strong>"],
+  italic: ["<em>", "</em>"],
+  strike: ["<s>", "</s>"],
+  underline: ["<u>", "</u>"],
+  code: ["<code>", "</code>"],
+  highlight: ["<mark>", "</mark>"],
+};
+
+const renderText = (node) => {
+  let html = escapeHtml(node.text);
+  for (const mark of Array.isArray(node.marks) ? node.marks : []) {
+    if (mark?.type === "link") {
+      const href = safeUrl(mark.attrs?.href);
+      if (href) {
+        html = `<a href="${escapeHtml(href)}" rel="nofollow noopener">${html}</a>`;
+      }
+      continue;
+    }
+    const tags = MARKS[mark?.type];
+    if (tags) html = `${tags[0]}${html}${tags[1]}`;
+  }
+  return html;
+};
+
+const renderNode = (node) => {
+  if (!node || typeof node !== "object") return "";
+  const children = Array.isArray(node.content)
+    ? node.content.map(renderNode).join("")
+    : "";
+  const attrs = node.attrs ?? {};
+
+  switch (node.type) {
+    case "doc":
+      return children;
+    case "text":
+      return renderText(node);
+    case "paragraph":
+      return `<p>${children}</p>`;
+    case "heading": {
+      const level = Math.min(Math.max(Number(attrs.level) || 1, 1), 6);
+      // Published pages own the <h1>, so note headings start one level down.
+      const tag = `h${Math.min(level + 1, 6)}`;
+      return `<${tag}>${children}</${tag}>`;
+    }
+    case "bulletList":
+      return `<ul>${children}</ul>`;
+    case "orderedList": {
+      const start = Number(attrs.start);
+      return Number.isInteger(start) && start !== 1
+        ? `<ol start="${start}">${children}</ol>`
+        : `<ol>${children}</ol>`;
+    }
+    case "listItem":
+      return `<li>${children}</li>`;
+    case "taskList":
+      return `<ul data-type="taskList">${children}</ul>`;
+    case "taskItem":
+      return `<li data-checked="${attrs.checked ? "true" : "false"}">${
+        attrs.checked ? "☑" : "☐"
+      } ${children}</li>`;
+    case "blockquote":
+      return `<blockquote>${children}</blockquote>`;
+    case "codeBlock": {
+      const language =
+        typeof attrs.language === "string" && /^[\w+#-]+$/.test(attrs.language)
+          ? ` class="language-${attrs.language}"`
+          : "";
+      return `<pre><code${language}>${children}</code></pre>`;
+    }
+    case "hardBreak":
+      return "<br />";
+    case "horizontalRule":
+      return "<hr />";
+    case "image": {
+      // Attachment images need a signed-in viewer; only external images render.
+      const src = safeUrl(attrs.src);
+      if (!src || src.startsWith("mailto:")) return "";
+      return `<img src="${escapeHtml(src)}" alt="${escapeHtml(attrs.alt ?? "")}" loading="lazy" />`;
+    }
+    case "mention":
+      return `<span>@${escapeHtml(attrs.label ?? attrs.id ?? "")}</span>`;
+    case "wikiLink":
+      return `<span>${escapeHtml(attrs.label ?? attrs.id ?? "")}</span>`;
+    default:
+      return children;
+  }
+};
+
+/** HTML for a Tiptap document, or "" when it is not one. */
+export const renderRichContentHtml = (doc) => {
+  if (!doc || typeof doc !== "object" || doc.type !== "doc") return "";
+  return renderNode(doc);
+};
+
+/** One paragraph per blank-line-separated block, single newlines as breaks. */
+export const renderPlainTextHtml = (text) => {
+  if (typeof text !== "string" || !text.trim()) return "";
+  return text
+    .trim()
+    .split(/\n{2,}/)
+    .map((block) => `<p>${escapeHtml(block).replace(/\n/g, "<br />")}</p>`)
+    .join("");
+};
+
+export default {
+  escapeHtml,
+  renderRichContentHtml,
+  renderPlainTextHtml,
+};
@@ -0,0 +1,210 @@
+// Above this many base × side line pairs the LCS table gets too large to
+// build per request, and the whole text is treated as a single chunk.
+const MAX_LCS_CELLS = 4_000_000;
+
+export const splitLines = (value) =>
+  typeof value === "string" && value ? value.split(/\r?\n/) : [];
+
+/**
+ * Longest-common-subsequence matching of two line arrays. Returns, for each
+ * line of `a`, the index of its partner in `b` or -1. Matches are monotonic.
+ * Returns `null` when the inputs are too large to compare line by line.
+ */
+export const matchLines = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return null;
+  }
+
+  const width = m + 1;
+  const lengths = new Int32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const matches = new Array(n).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      matches[i] = j;
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return matches;
+};
+
+const sameLines = (a, b) =>
+  a.length === b.length && a.every((line, index) => line === b[index]);
+
+const resolveChunk = (baseChunk, localChunk, remoteChunk) => {
+  if (sameLines(localChunk, remoteChunk)) return localChunk;
+  if (sameLines(baseChunk, localChunk)) return remoteChunk;
+  if (sameLines(baseChunk, remoteChunk)) return localChunk;
+  return null;
+};
+
+/**
+ * Line-based three-way merge (diff3). Changes that touch different lines of
+ * `base` combine; overlapping changes that differ are a conflict, in which
+ * case `merged` is the untouched `remote` text.
+ *
+ * @param {string} base
+ * @param {string} local
+ * @param {string} remote
+ * @returns {{ merged: string, conflict: boolean }}
+ */
+export const mergeText = (base, local, remote) => {
+  const baseText = base ?? "";
+  const localText = local ?? "";
+  const remoteText = remote ?? "";
+  if (localText === remoteText || localText === baseText) {
+    return { merged: remoteText, conflict: false };
+  }
+  if (remoteText === baseText) {
+    return { merged: localText, conflict: false };
+  }
+
+  const baseLines = splitLines(baseText);
+  const localLines = splitLines(localText);
+  const remoteLines = splitLines(remoteText);
+  const toLocal = matchLines(baseLines, localLines);
+  const toRemote = matchLines(baseLines, remoteLines);
+  if (!toLocal || !toRemote) {
+    return { merged: remoteText, conflict: true };
+  }
+
+  const output = [];
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  for (;;) {
+    // The next base line both sides kept is a stable point; everything
+    // between two stable points is one chunk to resolve.
+    let stable = i;
+    while (
+      stable < baseLines.length &&
+      (toLocal[stable] === -1 || toRemote[stable] === -1)
+    ) {
+      stable += 1;
+    }
+    const atEnd = stable >= baseLines.length;
+    const localEnd = atEnd ? localLines.length : toLocal[stable];
+    const remoteEnd = atEnd ? remoteLines.length : toRemote[stable];
+
+    const resolved = resolveChunk(
+      baseLines.slice(i, stable),
+      localLines.slice(j, localEnd),
+      remoteLines.slice(k, remoteEnd),
+    );
+    if (!resolved) {
+      return { merged: remoteText, conflict: true };
+    }
+    output.push(...resolved);
+
+    if (atEnd) break;
+    output.push(baseLines[stable]);
+    i = stable + 1;
+    j = localEnd + 1;
+    k = remoteEnd + 1;
+  }
+
+  return { merged: output.join("\n"), conflict: false };
+};
+
+/**
+ * Three-way merge of a single value: a side that left the base untouched
+ * takes the other side's change; two different changes conflict.
+ */
+export const mergeValue = (base, local, remote, equals = Object.is) => {
+  if (equals(local, remote) || equals(local, base)) {
+    return { value: remote, conflict: false };
+  }
+  if (equals(remote, base)) {
+    return { value: local, conflict: false };
+  }
+  return { value: remote, conflict: true };
+};
+
+/**
+ * Tag sets merge without conflicts: tags one side removed are dropped and
+ * tags one side added are kept, in the remote order followed by new ones.
+ */
+export const mergeTagSets = (base = [], local = [], remote = []) => {
+  const baseSet = new Set(base);
+  const localSet = new Set(local);
+  const removed = new Set(base.filter((tag) => !localSet.has(tag)));
+  const merged = remote.filter((tag) => !removed.has(tag));
+  const present = new Set(merged);
+  local.forEach((tag) => {
+    if (!baseSet.has(tag) && !present.has(tag)) {
+      merged.push(tag);
+      present.add(tag);
+    }
+  });
+  return merged;
+};
+
+const sameTagSet = (a = [], b = []) =>
+  a.length === b.length && a.every((tag) => b.includes(tag));
+
+/**
+ * Merge an offline edit of a note (`local`) made on top of `base` with the
+ * server's current version (`remote`). Each side is `{ title, content,
+ * tags, pinned }`. `conflicts` names the fields that could not be merged;
+ * their value in `fields` is the remote one.
+ */
+export const mergeNoteFields = ({ base, local, remote }) => {
+  const conflicts = [];
+
+  const title = mergeValue(base.title, local.title, remote.title);
+  if (title.conflict) conflicts.push("title");
+
+  const content = mergeText(base.content, local.content, remote.content);
+  if (content.conflict) conflicts.push("content");
+
+  // Two sides can only flip a boolean the same way, so pinned never conflicts.
+  const pinned = mergeValue(
+    Boolean(base.pinned),
+    Boolean(local.pinned),
+    Boolean(remote.pinned),
+  );
+
+  return {
+    fields: {
+      title: title.value,
+      content: content.merged,
+      tags: mergeTagSets(base.tags, local.tags, remote.tags),
+      pinned: pinned.value,
+    },
+    conflicts,
+  };
+};
+
+/** Whether the server copy still matches what the client started from. */
+export const isUnchangedSince = (base, remote) =>
+  (base.title ?? "") === (remote.title ?? "") &&
+  (base.content ?? "") === (remote.content ?? "") &&
+  Boolean(base.pinned) === Boolean(remote.pinned) &&
+  sameTagSet(base.tags ?? [], remote.tags ?? []);
+
+export default {
+  splitLines,
+  matchLines,
+  mergeText,
+  mergeValue,
+  mergeTagSets,
+  mergeNoteFields,
+  isUnchangedSince,
+};
@@ -2,6 +2,7 @@ import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 import logger from "./logger.js";
+import { API_TOKEN_PREFIX } from "./constants.js";
 
 // #3 — Minimum secret strength (32 bytes = 256 bits for HMAC-SHA256)
 const MIN_SECRET_BYTES = 32;
@@ -85,12 +86,15 @@ const getRefreshTtlMs = () => {
 export const hashToken = (token) =>
   crypto.createHash("sha256").update(token).digest("hex");
 
-export const generateAccessToken = (user) =>
+// `sid` ties the token to a refresh session so revoking the session also
+// rejects its access tokens (see middleware/auth.js).
+export const generateAccessToken = (user, { sessionId } = {}) =>
   jwt.sign(
     {
       sub: user.id,
       role: user.role,
       email: user.email,
+      ...(sessionId ? { sid: sessionId } : {}),
     },
     getAccessSecret(),
     { expiresIn: _accessTtl },
@@ -118,6 +122,131 @@ export const generateRefreshToken = () => {
   return { token, hashed, expiresAt };
 };
 
+/**
+ * Personal API token: a random secret with a recognisable prefix so the auth
+ * middleware can tell it apart from a JWT. Only the hash is persisted.
+ */
+export const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(30).toString("base64url")}`;
+  return {
+    token,
+    hashed: hashToken(token),
+    // Shown in the token list so users can tell tokens apart.
+    displayPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+  };
+};
+
+// Second-step login tokens are signed with a key derived from the access
+// secret, so they can never pass `verifyAccessToken` as a session token.
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const TWO_FACTOR_CHALLENGE_PURPOSE = "two-factor-challenge";
+
+const deriveChallengeSecret = (secret, purpose = TWO_FACTOR_CHALLENGE_PURPOSE) =>
+  crypto.createHmac("sha256", secret).update(purpose).digest("hex");
+
+export const generateTwoFactorChallengeToken = (user) =>
+  jwt.sign(
+    { sub: user.id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    deriveChallengeSecret(getAccessSecret()),
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL },
+  );
+
+/** Returns the decoded payload, or throws if the token is invalid or expired. */
+export const verifyTwoFactorChallengeToken = (token) => {
+  const payload = jwt.verify(token, deriveChallengeSecret(getAccessSecret()), {
+    algorithms: ["HS256"],
+  });
+  if (typeof payload !== "object" || payload.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+    throw new Error("Invalid two-factor challenge");
+  }
+  return payload;
+};
+
+// Digest unsubscribe links are clicked from old emails, so these tokens do
+// not expire. They can only switch the digest off.
+const DIGEST_UNSUBSCRIBE_PURPOSE = "digest-unsubscribe";
+
+export const generateDigestUnsubscribeToken = (user) =>
+  jwt.sign(
+    { sub: String(user.id ?? user._id), purpose: DIGEST_UNSUBSCRIBE_PURPOSE },
+    deriveChallengeSecret(getAccessSecret(), DIGEST_UNSUBSCRIBE_PURPOSE),
+  );
+
+/** Returns the decoded payload, or throws if the token is invalid. */
+export const verifyDigestUnsubscribeToken = (token) => {
+  const payload = jwt.verify(
+    token,
+    deriveChallengeSecret(getAccessSecret(), DIGEST_UNSUBSCRIBE_PURPOSE),
+    { algorithms: ["HS256"] },
+  );
+  if (
+    typeof payload !== "object" ||
+    payload.purpose !== DIGEST_UNSUBSCRIBE_PURPOSE ||
+    typeof payload.sub !== "string"
+  ) {
+    throw new Error("Invalid unsubscribe token");
+  }
+  return payload;
+};
+
+// Unlock tokens for password-protected publications. They carry a
+// fingerprint of the password hash, so changing the password locks out
+// everyone who unlocked with the old one.
+const PUBLICATION_UNLOCK_PURPOSE = "publication-unlock";
+export const PUBLICATION_UNLOCK_TTL_SECONDS = 60 * 60;
+
+const fingerprintPasswordHash = (passwordHash) =>
+  crypto.createHash("sha256").update(String(passwordHash)).digest("hex").slice(0, 16);
+
+export const generatePublicationUnlockToken = ({ publicationId, passwordHash }) =>
+  jwt.sign(
+    {
+      sub: String(publicationId),
+      pwd: fingerprintPasswordHash(passwordHash),
+      purpose: PUBLICATION_UNLOCK_PURPOSE,
+    },
+    deriveChallengeSecret(getAccessSecret(), PUBLICATION_UNLOCK_PURPOSE),
+    { expiresIn: PUBLICATION_UNLOCK_TTL_SECONDS },
+  );
+
+/** Whether `token` unlocks the publication with this id and password hash. */
+export const verifyPublicationUnlockToken = (token, { publicationId, passwordHash }) => {
+  if (!token || !passwordHash) return false;
+  try {
+    const payload = jwt.verify(
+      token,
+      deriveChallengeSecret(getAccessSecret(), PUBLICATION_UNLOCK_PURPOSE),
+      { algorithms: ["HS256"] },
+    );
+    return (
+      typeof payload === "object" &&
+      payload.purpose === PUBLICATION_UNLOCK_PURPOSE &&
+      payload.sub === String(publicationId) &&
+      payload.pwd === fingerprintPasswordHash(passwordHash)
+    );
+  } catch (_error) {
+    return false;
+  }
+};
+
+// Visitor hashes for publication analytics are keyed with a salt that
+// changes every UTC day and is derived from the server secret, so the raw IP
+// space cannot be brute-forced and hashes from different days never match.
+const PUBLICATION_VISITOR_PURPOSE = "publication-visitor";
+
+/** Hash identifying one visitor (IP and user agent) for the day `dayKey`. */
+export const hashPublicationVisitor = ({ ip, userAgent, dayKey }) => {
+  const salt = crypto
+    .createHmac("sha256", deriveChallengeSecret(getAccessSecret(), PUBLICATION_VISITOR_PURPOSE))
+    .update(dayKey)
+    .digest();
+  return crypto
+    .createHmac("sha256", salt)
+    .update(`${ip ?? ""}\n${userAgent ?? ""}`)
+    .digest("hex")
+    .slice(0, 32);
+};
+
 // Test helper — reset cached secret so tests can inject a different
 // JWT_ACCESS_SECRET via process.env between test cases.
 export const __resetSecretForTesting = () => {
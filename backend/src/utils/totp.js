@@ -0,0 +1,173 @@
+import crypto from "crypto";
+
+import logger from "./logger.js";
+
+// RFC 6238 defaults understood by every authenticator app.
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const ENCRYPTION_VERSION = "v1";
+const DEV_ENCRYPTION_KEY = "notesboard-dev-two-factor-key";
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () =>
+  base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+export const currentTotpStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+export const generateTotp = (secret, step = currentTotpStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation (RFC 4226 §5.3)
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary =
+    ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Check a code against the current step ± `window` to tolerate clock drift.
+ * Returns the matching step (so callers can reject replays), or null.
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep = null } = {}) => {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const now = currentTotpStep();
+  for (let step = now - window; step <= now + window; step += 1) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/** Recovery codes look like `a1b2c-3d4e5`; compare them via normalizeRecoveryCode. */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+export const normalizeRecoveryCode = (code) =>
+  String(code ?? "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+
+let warnedAboutDevKey = false;
+
+const resolveEncryptionKey = () => {
+  const material =
+    process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET;
+  if (!material) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("TWO_FACTOR_ENCRYPTION_KEY is not configured");
+    }
+    if (!warnedAboutDevKey) {
+      warnedAboutDevKey = true;
+      logger.warn(
+        "TWO_FACTOR_ENCRYPTION_KEY not set. Using a built-in development key for TOTP secrets.",
+      );
+    }
+    return crypto.createHash("sha256").update(DEV_ENCRYPTION_KEY).digest();
+  }
+  return crypto.createHash("sha256").update(material).digest();
+};
+
+/** AES-256-GCM so a database dump alone does not reveal TOTP seeds. */
+export const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", resolveEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [
+    ENCRYPTION_VERSION,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+};
+
+export const decryptTotpSecret = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload ?? "").split(":");
+  if (version !== ENCRYPTION_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error("Unsupported TOTP secret format");
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    resolveEncryptionKey(),
+    Buffer.from(iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
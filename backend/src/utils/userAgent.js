@@ -0,0 +1,51 @@
+// Just enough User-Agent parsing to label a session ("Chrome on macOS").
+// Order matters: Edge and Opera also claim Chrome, Chrome also claims Safari.
+const BROWSERS = [
+  { name: "Edge", pattern: /\bEdg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: "Opera", pattern: /\b(?:OPR|Opera)\/([\d.]+)/ },
+  { name: "Samsung Internet", pattern: /\bSamsungBrowser\/([\d.]+)/ },
+  { name: "Firefox", pattern: /\b(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: "Chrome", pattern: /\b(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: "Safari", pattern: /\bVersion\/([\d.]+).*Safari\// },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: "iOS", pattern: /\b(?:iPhone|iPad|iPod)\b/ },
+  { name: "Android", pattern: /\bAndroid\b/ },
+  { name: "ChromeOS", pattern: /\bCrOS\b/ },
+  { name: "Windows", pattern: /\bWindows\b/ },
+  { name: "macOS", pattern: /\bMac OS X\b|\bMacintosh\b/ },
+  { name: "Linux", pattern: /\bLinux\b/ },
+];
+
+const detectDeviceType = (userAgent) => {
+  if (/\biPad\b|\bTablet\b/i.test(userAgent)) return "tablet";
+  if (/\bAndroid\b/.test(userAgent) && !/\bMobile\b/.test(userAgent)) {
+    return "tablet";
+  }
+  if (/\bMobi|\biPhone\b|\biPod\b/.test(userAgent)) return "mobile";
+  return "desktop";
+};
+
+/**
+ * @returns {{ browser: string | null, browserVersion: string | null,
+ *   os: string | null, deviceType: "desktop" | "mobile" | "tablet" | "unknown" }}
+ */
+export const parseUserAgent = (userAgent) => {
+  if (typeof userAgent !== "string" || !userAgent.trim()) {
+    return { browser: null, browserVersion: null, os: null, deviceType: "unknown" };
+  }
+
+  const browserMatch = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const version = browserMatch?.pattern.exec(userAgent)?.[1] ?? null;
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  return {
+    browser: browserMatch?.name ?? null,
+    browserVersion: version ? version.split(".")[0] : null,
+    os: os?.name ?? null,
+    deviceType: detectDeviceType(userAgent),
+  };
+};
+
+export default parseUserAgent;
@@ -0,0 +1,178 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken, hashToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import ApiToken from "../src/models/ApiToken.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "api-token-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  const uri = mongo.getUri();
+  await mongoose.connect(uri, {
+    dbName: "apiTokensController",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    ApiToken.deleteMany({}),
+    Note.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async () => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name: "Scripter",
+    email: "scripter@example.com",
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const createToken = (sessionToken, body) =>
+  request(app)
+    .post("/api/auth/tokens")
+    .set(authHeaders(sessionToken))
+    .send(body);
+
+describe("personal API tokens", () => {
+  it("creates a token that is stored hashed and shown once", async () => {
+    const { token } = await createUser();
+
+    const response = await createToken(token, {
+      name: "CI export",
+      scopes: ["notes:read"],
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.token).toMatch(/^nbp_/);
+    expect(response.body.apiToken).toMatchObject({
+      name: "CI export",
+      scopes: ["notes:read"],
+    });
+
+    const stored = await ApiToken.findOne({}).lean();
+    expect(stored.tokenHash).toBe(hashToken(response.body.token));
+    expect(JSON.stringify(stored)).not.toContain(response.body.token);
+
+    const list = await request(app)
+      .get("/api/auth/tokens")
+      .set(authHeaders(token));
+    expect(list.body.tokens).toHaveLength(1);
+    expect(list.body.tokens[0]).not.toHaveProperty("token");
+  });
+
+  it("enforces scopes per route", async () => {
+    const { user, token } = await createUser();
+    const note = await Note.create({
+      owner: user._id,
+      title: "Scripted",
+      content: "hello",
+    });
+    const { body } = await createToken(token, {
+      name: "Reader",
+      scopes: ["notes:read"],
+    });
+
+    const read = await request(app)
+      .get(`/api/notes/${note._id}`)
+      .set(authHeaders(body.token));
+    expect(read.status).toBe(200);
+
+    const write = await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(body.token))
+      .send({ title: "Changed" });
+    expect(write.status).toBe(403);
+    expect(write.body.requiredScope).toBe("notes:write");
+
+    // Routes that have not opted in reject API tokens outright.
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set(authHeaders(body.token));
+    expect(me.status).toBe(403);
+  });
+
+  it("lets a write token update notes", async () => {
+    const { user, token } = await createUser();
+    const note = await Note.create({
+      owner: user._id,
+      title: "Scripted",
+      content: "hello",
+    });
+    const { body } = await createToken(token, {
+      name: "Writer",
+      scopes: ["notes:write"],
+    });
+
+    const write = await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(body.token))
+      .send({ title: "Changed" });
+    expect(write.status).toBe(200);
+  });
+
+  it("rejects revoked and expired tokens", async () => {
+    const { token } = await createUser();
+    const { body } = await createToken(token, {
+      name: "Short lived",
+      scopes: ["notes:read"],
+    });
+
+    const revoke = await request(app)
+      .delete(`/api/auth/tokens/${body.apiToken.id}`)
+      .set(authHeaders(token));
+    expect(revoke.status).toBe(200);
+
+    const afterRevoke = await request(app)
+      .get("/api/notes")
+      .set(authHeaders(body.token));
+    expect(afterRevoke.status).toBe(401);
+
+    const second = await createToken(token, {
+      name: "Expiring",
+      scopes: ["notes:read"],
+      expiresInDays: 1,
+    });
+    await ApiToken.updateOne(
+      { _id: second.body.apiToken.id },
+      { $set: { expiresAt: new Date(Date.now() - 1000) } },
+    );
+    const expired = await request(app)
+      .get("/api/notes")
+      .set(authHeaders(second.body.token));
+    expect(expired.status).toBe(401);
+  });
+});
@@ -0,0 +1,210 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import User from "../src/models/User.js";
+import { generateAccessToken } from "../src/utils/tokenService.js";
+
+let app;
+let mongo;
+
+const PASSWORD = "Password123!";
+const EMAIL = "sessions@example.com";
+
+const DESKTOP_UA =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36";
+const PHONE_UA =
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1";
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "session-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), { dbName: "authSessions" });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async () => {
+  const passwordHash = await bcrypt.hash(PASSWORD, 10);
+  return User.create({
+    name: "Traveller",
+    email: EMAIL,
+    passwordHash,
+    emailVerified: true,
+  });
+};
+
+const login = async (userAgent) => {
+  const response = await request(app)
+    .post("/api/auth/login")
+    .set("User-Agent", userAgent)
+    .send({ email: EMAIL, password: PASSWORD });
+  expect(response.status).toBe(200);
+  return {
+    accessToken: response.body.accessToken,
+    cookie: response.headers["set-cookie"],
+  };
+};
+
+describe("session management", () => {
+  it("lists sessions with device info and flags the current one", async () => {
+    await createUser();
+    const desktop = await login(DESKTOP_UA);
+    await login(PHONE_UA);
+
+    const response = await request(app)
+      .get("/api/auth/sessions")
+      .set(authHeaders(desktop.accessToken));
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessions).toHaveLength(2);
+    const [current, other] = response.body.sessions;
+    expect(current.current).toBe(true);
+    expect(current.device).toMatchObject({
+      browser: "Chrome",
+      os: "macOS",
+      deviceType: "desktop",
+    });
+    expect(other.current).toBe(false);
+    expect(other.device).toMatchObject({ os: "iOS", deviceType: "mobile" });
+    expect(other.lastUsedAt).toBeTruthy();
+  });
+
+  it("keeps the session id across refresh-token rotation", async () => {
+    await createUser();
+    const desktop = await login(DESKTOP_UA);
+
+    const before = await request(app)
+      .get("/api/auth/sessions")
+      .set(authHeaders(desktop.accessToken));
+
+    const refreshed = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", desktop.cookie);
+    expect(refreshed.status).toBe(200);
+
+    const after = await request(app)
+      .get("/api/auth/sessions")
+      .set(authHeaders(refreshed.body.accessToken));
+    expect(after.body.sessions.map((session) => session.id)).toEqual(
+      before.body.sessions.map((session) => session.id),
+    );
+  });
+
+  it("revokes a single session and rejects its tokens", async () => {
+    await createUser();
+    const desktop = await login(DESKTOP_UA);
+    const phone = await login(PHONE_UA);
+
+    const list = await request(app)
+      .get("/api/auth/sessions")
+      .set(authHeaders(desktop.accessToken));
+    const phoneSession = list.body.sessions.find((session) => !session.current);
+
+    const self = await request(app)
+      .delete(`/api/auth/sessions/${list.body.sessions[0].id}`)
+      .set(authHeaders(desktop.accessToken));
+    expect(self.status).toBe(400);
+
+    const revoked = await request(app)
+      .delete(`/api/auth/sessions/${phoneSession.id}`)
+      .set(authHeaders(desktop.accessToken));
+    expect(revoked.status).toBe(204);
+
+    const phoneMe = await request(app)
+      .get("/api/auth/me")
+      .set(authHeaders(phone.accessToken));
+    expect(phoneMe.status).toBe(401);
+
+    const phoneRefresh = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", phone.cookie);
+    expect(phoneRefresh.status).toBe(401);
+
+    const desktopMe = await request(app)
+      .get("/api/auth/me")
+      .set(authHeaders(desktop.accessToken));
+    expect(desktopMe.status).toBe(200);
+  });
+
+  it("revokes every other session at once", async () => {
+    await createUser();
+    const desktop = await login(DESKTOP_UA);
+    await login(PHONE_UA);
+    await login(PHONE_UA);
+
+    const response = await request(app)
+      .delete("/api/auth/sessions")
+      .set(authHeaders(desktop.accessToken));
+    expect(response.status).toBe(200);
+    expect(response.body.revoked).toBe(2);
+
+    const list = await request(app)
+      .get("/api/auth/sessions")
+      .set(authHeaders(desktop.accessToken));
+    expect(list.body.sessions).toHaveLength(1);
+    expect(list.body.sessions[0].current).toBe(true);
+  });
+
+  it("refuses to revoke other sessions without a current session", async () => {
+    const user = await createUser();
+    await login(DESKTOP_UA);
+    await login(PHONE_UA);
+    // Access tokens issued before sessions existed have no `sid` claim.
+    const legacyToken = generateAccessToken({
+      id: user._id.toString(),
+      email: user.email,
+      role: user.role,
+    });
+
+    const response = await request(app)
+      .delete("/api/auth/sessions")
+      .set(authHeaders(legacyToken));
+    expect(response.status).toBe(409);
+
+    const stored = await User.findById(user._id).lean();
+    expect(stored.refreshTokens).toHaveLength(2);
+  });
+
+  it("signs out other devices when the password changes", async () => {
+    await createUser();
+    const desktop = await login(DESKTOP_UA);
+    const phone = await login(PHONE_UA);
+
+    const changed = await request(app)
+      .post("/api/auth/password/change")
+      .set(authHeaders(desktop.accessToken))
+      .send({ currentPassword: PASSWORD, newPassword: "NewPassword456!" });
+    expect(changed.status).toBe(200);
+
+    const phoneRefresh = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", phone.cookie);
+    expect(phoneRefresh.status).toBe(401);
+
+    const list = await request(app)
+      .get("/api/auth/sessions")
+      .set(authHeaders(changed.body.accessToken));
+    expect(list.body.sessions).toHaveLength(1);
+  });
+});
@@ -0,0 +1,187 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import { currentTotpStep, generateTotp } from "../src/utils/totp.js";
+import User from "../src/models/User.js";
+
+let app;
+let mongo;
+
+const PASSWORD = "Password123!";
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "two-factor-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "twoFactorAuth",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async () => {
+  const passwordHash = await bcrypt.hash(PASSWORD, 10);
+  const user = await User.create({
+    name: "Guarded",
+    email: "guarded@example.com",
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+// Each accepted TOTP step is burned, so later calls use the next step.
+const codeFor = (secret, offset = 0) =>
+  generateTotp(secret, currentTotpStep() + offset);
+
+const enableTwoFactor = async (token) => {
+  const setup = await request(app)
+    .post("/api/auth/2fa/setup")
+    .set(authHeaders(token));
+  expect(setup.status).toBe(200);
+  expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+  expect(setup.body.qrCodeDataUrl).toMatch(/^data:image\/png;base64,/);
+
+  const enable = await request(app)
+    .post("/api/auth/2fa/enable")
+    .set(authHeaders(token))
+    .send({ code: codeFor(setup.body.secret) });
+  expect(enable.status).toBe(200);
+  expect(enable.body.recoveryCodes).toHaveLength(10);
+
+  return { secret: setup.body.secret, recoveryCodes: enable.body.recoveryCodes };
+};
+
+describe("two-factor authentication", () => {
+  it("stores the secret encrypted and recovery codes hashed", async () => {
+    const { user, token } = await createUser();
+    const { secret, recoveryCodes } = await enableTwoFactor(token);
+
+    const stored = await User.findById(user._id)
+      .select("+twoFactor.secret +twoFactor.recoveryCodes")
+      .lean();
+    expect(stored.twoFactor.enabled).toBe(true);
+    expect(stored.twoFactor.secret).not.toContain(secret);
+    expect(JSON.stringify(stored)).not.toContain(recoveryCodes[0]);
+  });
+
+  it("rejects a wrong code when enabling", async () => {
+    const { token } = await createUser();
+    await request(app).post("/api/auth/2fa/setup").set(authHeaders(token));
+
+    const enable = await request(app)
+      .post("/api/auth/2fa/enable")
+      .set(authHeaders(token))
+      .send({ code: "000000" });
+    expect(enable.status).toBe(400);
+  });
+
+  it("makes login a two-step flow", async () => {
+    const { token } = await createUser();
+    const { secret } = await enableTwoFactor(token);
+
+    const first = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "guarded@example.com", password: PASSWORD });
+    expect(first.status).toBe(200);
+    expect(first.body.twoFactorRequired).toBe(true);
+    expect(first.body.accessToken).toBeUndefined();
+
+    // The challenge token is not a session token.
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set(authHeaders(first.body.challengeToken));
+    expect(me.status).toBe(401);
+
+    const wrong = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken: first.body.challengeToken, code: "123456" });
+    expect(wrong.status).toBe(401);
+
+    const second = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({
+        challengeToken: first.body.challengeToken,
+        code: codeFor(secret, 1),
+      });
+    expect(second.status).toBe(200);
+    expect(second.body.accessToken).toBeTruthy();
+    expect(second.body.user.twoFactorEnabled).toBe(true);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { token } = await createUser();
+    const { recoveryCodes } = await enableTwoFactor(token);
+
+    const login = () =>
+      request(app)
+        .post("/api/auth/login")
+        .send({ email: "guarded@example.com", password: PASSWORD });
+
+    const first = await login();
+    const used = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({
+        challengeToken: first.body.challengeToken,
+        code: recoveryCodes[0].toUpperCase(),
+      });
+    expect(used.status).toBe(200);
+    expect(used.body.recoveryCodesRemaining).toBe(9);
+
+    const again = await login();
+    const reused = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken: again.body.challengeToken, code: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+  });
+
+  it("requires the password and a code to disable", async () => {
+    const { token } = await createUser();
+    const { secret } = await enableTwoFactor(token);
+
+    const noPassword = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set(authHeaders(token))
+      .send({ password: "WrongPass123", code: codeFor(secret, 1) });
+    expect(noPassword.status).toBe(400);
+
+    const disabled = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set(authHeaders(token))
+      .send({ password: PASSWORD, code: codeFor(secret, 1) });
+    expect(disabled.status).toBe(200);
+    expect(disabled.body.enabled).toBe(false);
+
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "guarded@example.com", password: PASSWORD });
+    expect(login.body.accessToken).toBeTruthy();
+  });
+});
@@ -0,0 +1,207 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import {
+  generateAccessToken,
+  generateDigestUnsubscribeToken,
+} from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import NotebookMember from "../src/models/NotebookMember.js";
+import { runDigestJob } from "../src/tasks/digestScheduler.js";
+
+const { sendMailMock } = vi.hoisted(() => ({
+  sendMailMock: vi.fn(async () => ({ messageId: "test" })),
+}));
+
+vi.mock("../src/utils/mailer.js", () => ({
+  sendMail: sendMailMock,
+}));
+
+let app;
+let mongo;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "digest-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "digest",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  sendMailMock.mockClear();
+  await Promise.all([
+    NotebookEvent.deleteMany({}),
+    NotebookMember.deleteMany({}),
+    NoteHistory.deleteMany({}),
+    Note.deleteMany({}),
+    Notebook.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name, emailDigest }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+    ...(emailDigest ? { emailDigest: { frequency: emailDigest } } : {}),
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const seedNotebookActivity = async () => {
+  const { user: owner } = await createUser({
+    email: "owner@example.com",
+    name: "Olive",
+    emailDigest: "daily",
+  });
+  const { user: editor } = await createUser({
+    email: "editor@example.com",
+    name: "Eddie",
+  });
+  const notebook = await Notebook.create({ owner: owner._id, name: "Roadmap" });
+  await NotebookMember.create({
+    notebookId: notebook._id,
+    userId: editor._id,
+    role: "editor",
+    status: "active",
+    invitedBy: owner._id,
+    acceptedAt: new Date(Date.now() - HOUR_MS),
+  });
+
+  const created = await Note.create({
+    owner: editor._id,
+    notebookId: notebook._id,
+    title: "Launch checklist",
+    content: "Ship it",
+  });
+  const edited = await Note.create({
+    owner: owner._id,
+    notebookId: notebook._id,
+    title: "Pricing <draft>",
+    content: "Tiers",
+  });
+  await NoteHistory.create([
+    { noteId: created._id, actorId: editor._id, eventType: "create" },
+    { noteId: edited._id, actorId: editor._id, eventType: "edit" },
+    // The recipient's own edits are not news to them.
+    { noteId: edited._id, actorId: owner._id, eventType: "edit" },
+  ]);
+
+  return { owner, editor, notebook };
+};
+
+describe("activity digest emails", () => {
+  it("stores the digest preference on the profile", async () => {
+    const { token } = await createUser({
+      email: "prefs@example.com",
+      name: "Prefs",
+    });
+
+    const response = await request(app)
+      .put("/api/auth/profile")
+      .set(authHeaders(token))
+      .send({ emailDigest: "weekly" })
+      .expect(200);
+    expect(response.body.user.emailDigest).toBe("weekly");
+
+    await request(app)
+      .put("/api/auth/profile")
+      .set(authHeaders(token))
+      .send({ emailDigest: "hourly" })
+      .expect(400);
+  });
+
+  it("emails subscribers what others did in their notebooks, once per period", async () => {
+    const { owner } = await seedNotebookActivity();
+
+    const first = await runDigestJob();
+    expect(first.sent).toBe(1);
+    expect(sendMailMock).toHaveBeenCalledTimes(1);
+
+    const mail = sendMailMock.mock.calls[0][0];
+    expect(mail.to).toBe("owner@example.com");
+    expect(mail.subject).toBe(
+      "Your daily digest: 1 new note, 1 updated note, 1 new member",
+    );
+    expect(mail.text).toContain('"Launch checklist" created by Eddie');
+    expect(mail.text).toContain('"Pricing <draft>" edited by Eddie');
+    expect(mail.text).toContain("Eddie joined as editor");
+    expect(mail.html).toContain("Pricing &lt;draft&gt;");
+    expect(mail.headers["List-Unsubscribe"]).toMatch(/\/unsubscribe\?token=/);
+
+    const stored = await User.findById(owner._id).lean();
+    expect(stored.emailDigest.lastSentAt).toBeInstanceOf(Date);
+
+    const second = await runDigestJob();
+    expect(second.sent).toBe(0);
+    expect(sendMailMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips quiet periods and users who have not opted in", async () => {
+    await createUser({
+      email: "quiet@example.com",
+      name: "Quiet",
+      emailDigest: "weekly",
+    });
+    await createUser({ email: "off@example.com", name: "Off" });
+
+    const result = await runDigestJob();
+    expect(result).toMatchObject({ sent: 0, skipped: 1 });
+    expect(sendMailMock).not.toHaveBeenCalled();
+  });
+
+  it("unsubscribes with the signed link and rejects forged tokens", async () => {
+    const { owner } = await seedNotebookActivity();
+
+    await request(app)
+      .post("/api/auth/digest/unsubscribe")
+      .send({ token: "not-a-token" })
+      .expect(400);
+
+    await request(app)
+      .post("/api/auth/digest/unsubscribe")
+      .send({ token: generateDigestUnsubscribeToken(owner) })
+      .expect(200);
+
+    const stored = await User.findById(owner._id).lean();
+    expect(stored.emailDigest.frequency).toBe("off");
+
+    const result = await runDigestJob();
+    expect(result.sent).toBe(0);
+    expect(sendMailMock).not.toHaveBeenCalled();
+  });
+});
@@ -40,3 +40,56 @@ describe("embeddingService module init", () => {
     expect(service.isEmbeddingEnabled()).toBe(true);
   });
 });
+
+describe("local embedding provider", () => {
+  beforeEach(() => {
+    process.env.EMBEDDING_PROVIDER = "local";
+  });
+
+  it("is enabled without an API key and defaults to 512 dimensions", async () => {
+    const service = await loadEmbeddingService();
+
+    expect(service.isEmbeddingEnabled()).toBe(true);
+    expect(service.isLocalEmbeddingProvider()).toBe(true);
+    expect(service.EMBEDDING_DIMENSIONS).toBe(512);
+  });
+
+  it("embeds deterministically without network access", async () => {
+    process.env.EMBEDDING_DIMENSIONS = "64";
+    const fetchSpy = vi.spyOn(globalThis, "fetch");
+    const service = await loadEmbeddingService();
+
+    const first = await service.embedText("Quarterly budget review notes");
+    const second = await service.embedText("Quarterly budget review notes");
+
+    expect(first).toHaveLength(64);
+    expect(second).toEqual(first);
+    expect(Math.hypot(...first)).toBeCloseTo(1);
+    expect(fetchSpy).not.toHaveBeenCalled();
+    fetchSpy.mockRestore();
+  });
+
+  it("places texts with shared vocabulary closer together", async () => {
+    const service = await loadEmbeddingService();
+    const [budget, budgetAgain, garden] = await service.embedBatch([
+      "Quarterly budget review for the marketing team",
+      "Marketing budget review, second quarter",
+      "Planting tomatoes and basil in the garden",
+    ]);
+    const similarity = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    expect(similarity(budget, budgetAgain)).toBeGreaterThan(
+      similarity(budget, garden),
+    );
+  });
+
+  it("returns null for text without indexable words", async () => {
+    const service = await loadEmbeddingService();
+
+    expect(await service.embedText("it is a")).toBeNull();
+    expect(await service.embedBatch(["", "notes"])).toEqual([
+      null,
+      expect.any(Array),
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+
+import { HnswIndex } from "../src/utils/hnsw.js";
+
+// Deterministic PRNG so the graph and the data are the same on every run.
+const seeded = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomVectors = (count, dimensions, random) =>
+  Array.from({ length: count }, () =>
+    Array.from({ length: dimensions }, () => random() * 2 - 1),
+  );
+
+const cosine = (a, b) => {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dotProduct / Math.sqrt(normA * normB);
+};
+
+const bruteForce = (vectors, query, k) =>
+  vectors
+    .map((vector, index) => ({ id: `n${index}`, similarity: cosine(vector, query) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map((entry) => entry.id);
+
+describe("HnswIndex", () => {
+  it("finds nearly all exact nearest neighbours", () => {
+    const random = seeded(7);
+    const vectors = randomVectors(600, 24, random);
+    const index = new HnswIndex({ random });
+    vectors.forEach((vector, i) => index.add(`n${i}`, vector));
+
+    const queries = randomVectors(20, 24, random);
+    let found = 0;
+    for (const query of queries) {
+      const expected = new Set(bruteForce(vectors, query, 10));
+      found += index
+        .search(query, 10)
+        .filter((result) => expected.has(result.id)).length;
+    }
+
+    expect(index.size).toBe(600);
+    expect(found / (queries.length * 10)).toBeGreaterThan(0.9);
+  });
+
+  it("returns cosine similarity, closest first", () => {
+    const index = new HnswIndex();
+    index.add("x", [1, 0]);
+    index.add("diagonal", [1, 1]);
+    index.add("y", [0, 3]);
+
+    const results = index.search([2, 0], 3);
+    expect(results.map((result) => result.id)).toEqual(["x", "diagonal", "y"]);
+    expect(results[0].similarity).toBeCloseTo(1);
+    expect(results[1].similarity).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  it("replaces and removes vectors", () => {
+    const index = new HnswIndex();
+    index.add("a", [1, 0]);
+    index.add("b", [0, 1]);
+    index.add("a", [0, 1]);
+    index.remove("b");
+
+    expect(index.size).toBe(1);
+    expect(index.tombstones).toBe(2);
+    expect(index.search([0, 1], 5)).toEqual([
+      { id: "a", similarity: expect.closeTo(1) },
+    ]);
+  });
+
+  it("skips vectors it cannot index", () => {
+    const index = new HnswIndex();
+    expect(index.add("a", [1, 0, 0])).toBe(true);
+    expect(index.add("b", [1, 0])).toBe(false);
+    expect(index.add("c", [0, 0, 0])).toBe(false);
+    expect(index.search([1, 0], 1)).toEqual([]);
+  });
+
+  it("only accepts the configured dimensions", () => {
+    const index = new HnswIndex({ dimensions: 2 });
+    expect(index.add("a", [1, 0, 0])).toBe(false);
+    expect(index.add("b", [1, 0])).toBe(true);
+    expect(index.search([1, 0], 1)).toEqual([
+      { id: "b", similarity: expect.closeTo(1) },
+    ]);
+  });
+});
@@ -0,0 +1,272 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+import AdmZip from "adm-zip";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import Notebook from "../src/models/Notebook.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import NoteCollaborator from "../src/models/NoteCollaborator.js";
+import NoteAttachment from "../src/models/NoteAttachment.js";
+import Workspace from "../src/models/Workspace.js";
+import { runNoteCleanupJob } from "../src/tasks/noteCleanupScheduler.js";
+
+let app;
+let mongo;
+let storageDir;
+
+// 1x1 transparent PNG
+const PNG_BYTES = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64",
+);
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "note-attachments-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+  storageDir = await fs.mkdtemp(path.join(os.tmpdir(), "notesboard-attachments-"));
+  process.env.ATTACHMENT_STORAGE_DIR = storageDir;
+
+  mongo = await MongoMemoryServer.create();
+  const uri = mongo.getUri();
+  await mongoose.connect(uri, {
+    dbName: "noteAttachmentsController",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NoteAttachment.deleteMany({}),
+    NoteCollaborator.deleteMany({}),
+    NoteHistory.deleteMany({}),
+    Note.deleteMany({}),
+    Notebook.deleteMany({}),
+    Workspace.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+  if (storageDir) {
+    await fs.rm(storageDir, { recursive: true, force: true });
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+describe("note attachments", () => {
+  it("uploads, lists, serves and deletes an image", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const note = await Note.create({
+      owner: user._id,
+      title: "Photos",
+      content: "Trip",
+    });
+
+    const upload = await request(app)
+      .post(`/api/notes/${note._id}/attachments`)
+      .set(authHeaders(token))
+      .attach("file", PNG_BYTES, { filename: "pixel.png", contentType: "image/png" });
+
+    expect(upload.status).toBe(201);
+    expect(upload.body).toMatchObject({
+      fileName: "pixel.png",
+      mimeType: "image/png",
+      kind: "image",
+      size: PNG_BYTES.length,
+    });
+
+    const list = await request(app)
+      .get(`/api/notes/${note._id}/attachments`)
+      .set(authHeaders(token));
+    expect(list.status).toBe(200);
+    expect(list.body.attachments).toHaveLength(1);
+
+    const content = await request(app)
+      .get(`/api/notes/${note._id}/attachments/${upload.body.id}/content`)
+      .set(authHeaders(token))
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(content.status).toBe(200);
+    expect(content.headers["content-type"]).toBe("image/png");
+    expect(Buffer.compare(content.body, PNG_BYTES)).toBe(0);
+
+    const removed = await request(app)
+      .delete(`/api/notes/${note._id}/attachments/${upload.body.id}`)
+      .set(authHeaders(token));
+    expect(removed.status).toBe(200);
+    expect(await NoteAttachment.countDocuments({})).toBe(0);
+  });
+
+  it("forces non-image files to download", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const note = await Note.create({ owner: user._id, title: "Doc", content: "x" });
+
+    const upload = await request(app)
+      .post(`/api/notes/${note._id}/attachments`)
+      .set(authHeaders(token))
+      .attach("file", Buffer.from("<script>alert(1)</script>"), {
+        filename: "page.html",
+        contentType: "text/html",
+      });
+    expect(upload.status).toBe(201);
+    expect(upload.body.kind).toBe("file");
+
+    const content = await request(app)
+      .get(`/api/notes/${note._id}/attachments/${upload.body.id}/content`)
+      .set(authHeaders(token));
+    expect(content.headers["content-type"]).toBe("application/octet-stream");
+    expect(content.headers["content-disposition"]).toMatch(/^attachment;/);
+  });
+
+  it("lets viewers read but not upload", async () => {
+    const owner = await createUser({ email: "owner@example.com", name: "Owner" });
+    const viewer = await createUser({ email: "viewer@example.com", name: "Viewer" });
+    const stranger = await createUser({
+      email: "stranger@example.com",
+      name: "Stranger",
+    });
+    const note = await Note.create({
+      owner: owner.user._id,
+      title: "Shared",
+      content: "x",
+    });
+    await NoteCollaborator.create({
+      noteId: note._id,
+      userId: viewer.user._id,
+      role: "viewer",
+      invitedBy: owner.user._id,
+    });
+
+    const denied = await request(app)
+      .post(`/api/notes/${note._id}/attachments`)
+      .set(authHeaders(viewer.token))
+      .attach("file", PNG_BYTES, { filename: "pixel.png", contentType: "image/png" });
+    expect(denied.status).toBe(403);
+
+    const listed = await request(app)
+      .get(`/api/notes/${note._id}/attachments`)
+      .set(authHeaders(viewer.token));
+    expect(listed.status).toBe(200);
+
+    const hidden = await request(app)
+      .get(`/api/notes/${note._id}/attachments`)
+      .set(authHeaders(stranger.token));
+    expect(hidden.status).toBe(404);
+  });
+
+  it("imports files referenced from markdown in a ZIP", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const workspace = await Workspace.create({
+      name: "Team",
+      slug: "team-attachments",
+      ownerId: user._id,
+    });
+
+    const zip = new AdmZip();
+    zip.addFile(
+      "Trip/notes.md",
+      Buffer.from("# Trip\n\n![beach](images/beach.png)\n"),
+    );
+    zip.addFile("Trip/images/beach.png", PNG_BYTES);
+    zip.addFile("Trip/unused.bin", Buffer.from("ignored"));
+
+    const response = await request(app)
+      .post("/api/notebooks/import")
+      .set(authHeaders(token))
+      .field("workspaceId", workspace._id.toString())
+      .attach("file", zip.toBuffer(), {
+        filename: "trip.zip",
+        contentType: "application/zip",
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      importedCount: 1,
+      attachmentCount: 1,
+      skippedAttachmentCount: 1,
+    });
+
+    const attachments = await NoteAttachment.find({}).lean();
+    expect(attachments).toHaveLength(1);
+    expect(attachments[0]).toMatchObject({
+      fileName: "beach.png",
+      mimeType: "image/png",
+      noteId: new mongoose.Types.ObjectId(response.body.notes[0].id),
+    });
+  });
+
+  it("sweeps attachments of notes removed outside the purge paths", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const note = await Note.create({
+      owner: user._id,
+      title: "Photos",
+      content: "Trip",
+    });
+    await request(app)
+      .post(`/api/notes/${note._id}/attachments`)
+      .set(authHeaders(token))
+      .attach("file", PNG_BYTES, { filename: "pixel.png", contentType: "image/png" })
+      .expect(201);
+    const stored = await NoteAttachment.findOne({ noteId: note._id }).lean();
+    const blobPath = path.join(storageDir, ...stored.storageKey.split("/"));
+    await fs.access(blobPath);
+
+    // What the trash TTL index does: the note disappears without a purge.
+    await Note.deleteOne({ _id: note._id }).setOptions({ withTrashed: true });
+
+    const result = await runNoteCleanupJob();
+
+    expect(result.attachments).toBe(1);
+    expect(await NoteAttachment.countDocuments({})).toBe(0);
+    await expect(fs.access(blobPath)).rejects.toThrow();
+  });
+});
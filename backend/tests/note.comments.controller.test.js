@@ -0,0 +1,321 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NoteCollaborator from "../src/models/NoteCollaborator.js";
+import NoteComment from "../src/models/NoteComment.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import { runNoteCleanupJob } from "../src/tasks/noteCleanupScheduler.js";
+
+let app;
+let mongo;
+
+const ANCHOR = {
+  start: Buffer.from("start-position").toString("base64"),
+  end: Buffer.from("end-position").toString("base64"),
+  quote: "the quoted text",
+};
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "note-comments-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  const uri = mongo.getUri();
+  await mongoose.connect(uri, {
+    dbName: "noteCommentsController",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NoteComment.deleteMany({}),
+    NoteHistory.deleteMany({}),
+    NoteCollaborator.deleteMany({}),
+    Note.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const setupNoteWithCollaborator = async (role) => {
+  const owner = await createUser({ email: "owner@example.com", name: "Owner" });
+  const guest = await createUser({ email: "guest@example.com", name: "Guest" });
+  const note = await Note.create({
+    owner: owner.user._id,
+    title: "Planning",
+    content: "the quoted text lives here",
+  });
+  await NoteCollaborator.create({
+    noteId: note._id,
+    userId: guest.user._id,
+    role,
+    invitedBy: owner.user._id,
+  });
+  return { owner, guest, note };
+};
+
+describe("note comments endpoints", () => {
+  it("lets commenters open threads and reply", async () => {
+    const { owner, guest, note } = await setupNoteWithCollaborator("commenter");
+
+    const created = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Can we clarify this?", anchor: ANCHOR });
+
+    expect(created.status).toBe(201);
+    expect(created.body.thread).toMatchObject({
+      body: "Can we clarify this?",
+      anchor: ANCHOR,
+      resolved: false,
+      isAuthor: true,
+      author: { name: "Guest" },
+      replies: [],
+    });
+
+    const threadId = created.body.thread.id;
+    const replied = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(owner.token))
+      .send({ body: "Sure, updated.", parentId: threadId });
+
+    expect(replied.status).toBe(201);
+    expect(replied.body.thread.id).toBe(threadId);
+    expect(replied.body.thread.replies).toHaveLength(1);
+
+    // Replying to a reply attaches to the thread root.
+    const nested = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({
+        body: "Thanks!",
+        parentId: replied.body.thread.replies[0].id,
+      });
+    expect(nested.status).toBe(201);
+    expect(nested.body.thread.replies).toHaveLength(2);
+
+    const list = await request(app)
+      .get(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token));
+    expect(list.status).toBe(200);
+    expect(list.body.canComment).toBe(true);
+    expect(list.body.threads).toHaveLength(1);
+
+    const history = await NoteHistory.find({
+      noteId: note._id,
+      eventType: "comment",
+    }).lean();
+    expect(history).toHaveLength(3);
+  });
+
+  it("requires an anchor for new threads", async () => {
+    const { guest, note } = await setupNoteWithCollaborator("commenter");
+
+    const response = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Floating comment" });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("prevents viewers from commenting but lets them read threads", async () => {
+    const { owner, guest, note } = await setupNoteWithCollaborator("viewer");
+
+    await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(owner.token))
+      .send({ body: "Owner note", anchor: ANCHOR })
+      .expect(201);
+
+    const denied = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Let me in", anchor: ANCHOR });
+    expect(denied.status).toBe(403);
+
+    const list = await request(app)
+      .get(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token));
+    expect(list.status).toBe(200);
+    expect(list.body.canComment).toBe(false);
+    expect(list.body.threads).toHaveLength(1);
+  });
+
+  it("hides comments from users without note access", async () => {
+    const { note } = await setupNoteWithCollaborator("commenter");
+    const stranger = await createUser({
+      email: "stranger@example.com",
+      name: "Stranger",
+    });
+
+    const response = await request(app)
+      .get(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(stranger.token));
+
+    expect(response.status).toBe(404);
+  });
+
+  it("restricts edit and delete to the author", async () => {
+    const { owner, guest, note } = await setupNoteWithCollaborator("commenter");
+
+    const created = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Original", anchor: ANCHOR })
+      .expect(201);
+    const threadId = created.body.thread.id;
+
+    const forbiddenEdit = await request(app)
+      .patch(`/api/notes/${note._id}/comments/${threadId}`)
+      .set(authHeaders(owner.token))
+      .send({ body: "Hijacked" });
+    expect(forbiddenEdit.status).toBe(403);
+
+    const edited = await request(app)
+      .patch(`/api/notes/${note._id}/comments/${threadId}`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Revised" });
+    expect(edited.status).toBe(200);
+    expect(edited.body.thread.body).toBe("Revised");
+    expect(edited.body.thread.editedAt).not.toBeNull();
+
+    const forbiddenDelete = await request(app)
+      .delete(`/api/notes/${note._id}/comments/${threadId}`)
+      .set(authHeaders(owner.token));
+    expect(forbiddenDelete.status).toBe(403);
+  });
+
+  it("deletes replies together with the thread root", async () => {
+    const { owner, guest, note } = await setupNoteWithCollaborator("commenter");
+
+    const created = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Root", anchor: ANCHOR })
+      .expect(201);
+    const threadId = created.body.thread.id;
+
+    await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(owner.token))
+      .send({ body: "Reply", parentId: threadId })
+      .expect(201);
+
+    const deleted = await request(app)
+      .delete(`/api/notes/${note._id}/comments/${threadId}`)
+      .set(authHeaders(guest.token));
+
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.deleted).toHaveLength(2);
+    expect(await NoteComment.countDocuments({ noteId: note._id })).toBe(0);
+  });
+
+  it("resolves and reopens threads", async () => {
+    const { owner, guest, note } = await setupNoteWithCollaborator("commenter");
+
+    const created = await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Please fix", anchor: ANCHOR })
+      .expect(201);
+    const threadId = created.body.thread.id;
+
+    const resolved = await request(app)
+      .post(`/api/notes/${note._id}/comments/${threadId}/resolve`)
+      .set(authHeaders(owner.token));
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.thread.resolved).toBe(true);
+    expect(resolved.body.thread.resolvedBy.name).toBe("Owner");
+
+    const reopened = await request(app)
+      .post(`/api/notes/${note._id}/comments/${threadId}/reopen`)
+      .set(authHeaders(guest.token));
+    expect(reopened.status).toBe(200);
+    expect(reopened.body.thread.resolved).toBe(false);
+    expect(reopened.body.thread.resolvedBy).toBeNull();
+  });
+});
+
+describe("comment cleanup", () => {
+  it("removes threads when the note is purged from the trash", async () => {
+    const { owner, guest, note } = await setupNoteWithCollaborator("commenter");
+    await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(guest.token))
+      .send({ body: "Root", anchor: ANCHOR })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/notes/${note._id}`)
+      .set(authHeaders(owner.token))
+      .expect(200);
+    await request(app)
+      .delete(`/api/notes/trash/${note._id}`)
+      .set(authHeaders(owner.token))
+      .expect(200);
+
+    expect(await NoteComment.countDocuments({ noteId: note._id })).toBe(0);
+  });
+
+  it("sweeps threads of notes removed outside the purge paths", async () => {
+    const { guest, note } = await setupNoteWithCollaborator("commenter");
+    const other = await Note.create({
+      owner: guest.user._id,
+      title: "Kept",
+      content: "Still here",
+    });
+    for (const noteId of [note._id, other._id]) {
+      await NoteComment.create({
+        noteId,
+        authorId: guest.user._id,
+        body: "Thread",
+        anchor: ANCHOR,
+      });
+    }
+
+    // What the trash TTL index does: the note disappears without a purge.
+    await Note.deleteOne({ _id: note._id }).setOptions({ withTrashed: true });
+
+    const result = await runNoteCleanupJob();
+
+    expect(result.comments).toBe(1);
+    expect(await NoteComment.countDocuments({ noteId: note._id })).toBe(0);
+    expect(await NoteComment.countDocuments({ noteId: other._id })).toBe(1);
+  });
+});
@@ -0,0 +1,193 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import Notebook from "../src/models/Notebook.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "note-links-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  const uri = mongo.getUri();
+  await mongoose.connect(uri, {
+    dbName: "noteLinksController",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NoteHistory.deleteMany({}),
+    Note.deleteMany({}),
+    Notebook.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+describe("note links", () => {
+  it("extracts [[Title]] links on save and lists backlinks", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const target = await Note.create({
+      owner: user._id,
+      title: "Roadmap",
+      content: "Quarterly plans",
+    });
+    const source = await Note.create({
+      owner: user._id,
+      title: "Standup",
+      content: "Nothing yet",
+    });
+
+    await request(app)
+      .put(`/api/notes/${source._id}`)
+      .set(authHeaders(token))
+      .send({ content: "Discussed the [[roadmap]] today" })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/notes/${target._id}/backlinks`)
+      .set(authHeaders(token));
+
+    expect(response.status).toBe(200);
+    expect(response.body.backlinks).toEqual([
+      expect.objectContaining({
+        id: source._id.toString(),
+        title: "Standup",
+      }),
+    ]);
+
+    // Removing the link clears the backlink.
+    await request(app)
+      .put(`/api/notes/${source._id}`)
+      .set(authHeaders(token))
+      .send({ content: "No links anymore" })
+      .expect(200);
+
+    const cleared = await request(app)
+      .get(`/api/notes/${target._id}/backlinks`)
+      .set(authHeaders(token));
+    expect(cleared.body.backlinks).toHaveLength(0);
+  });
+
+  it("hides backlinks from notes the viewer cannot open", async () => {
+    const owner = await createUser({ email: "owner@example.com", name: "Owner" });
+    const other = await createUser({ email: "other@example.com", name: "Other" });
+    const target = await Note.create({
+      owner: owner.user._id,
+      title: "Public plan",
+      content: "Shared",
+    });
+    await Note.create({
+      owner: other.user._id,
+      title: "Private",
+      content: "secret",
+      linkedNoteIds: [target._id],
+    });
+
+    const response = await request(app)
+      .get(`/api/notes/${target._id}/backlinks`)
+      .set(authHeaders(owner.token));
+
+    expect(response.status).toBe(200);
+    expect(response.body.backlinks).toHaveLength(0);
+  });
+
+  it("suggests linkable notes by title", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    await Note.create({ owner: user._id, title: "Design review", content: "a" });
+    await Note.create({ owner: user._id, title: "Budget", content: "b" });
+
+    const response = await request(app)
+      .get("/api/notes/linkable")
+      .query({ q: "design" })
+      .set(authHeaders(token));
+
+    expect(response.status).toBe(200);
+    expect(response.body.notes.map((note) => note.title)).toEqual([
+      "Design review",
+    ]);
+  });
+
+  it("builds a notebook link graph", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const notebook = await Notebook.create({ owner: user._id, name: "Ideas" });
+    const outside = await Note.create({
+      owner: user._id,
+      title: "Elsewhere",
+      content: "x",
+    });
+    const a = await Note.create({
+      owner: user._id,
+      notebookId: notebook._id,
+      title: "A",
+      content: "a",
+    });
+    await Note.create({
+      owner: user._id,
+      notebookId: notebook._id,
+      title: "B",
+      content: "b",
+      linkedNoteIds: [a._id, outside._id],
+    });
+
+    const response = await request(app)
+      .get(`/api/notebooks/${notebook._id}/graph`)
+      .set(authHeaders(token));
+
+    expect(response.status).toBe(200);
+    expect(response.body.nodes).toHaveLength(2);
+    expect(response.body.edges).toHaveLength(1);
+    const nodeB = response.body.nodes.find((node) => node.title === "B");
+    expect(nodeB).toMatchObject({ linkCount: 1, outboundCount: 1 });
+    const nodeA = response.body.nodes.find((node) => node.title === "A");
+    expect(nodeA.backlinkCount).toBe(1);
+  });
+});
@@ -0,0 +1,253 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+import * as Y from "yjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import CollabDocument from "../src/models/CollabDocument.js";
+import {
+  extractPlainTextFromYDoc,
+  extractRichContentFromYDoc,
+} from "../src/services/noteVersionService.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "note-versions-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "noteVersionsController",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    CollabDocument.deleteMany({}),
+    NoteHistory.deleteMany({}),
+    Note.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const createNoteWithVersion = async (owner) => {
+  const note = await Note.create({
+    owner: owner._id,
+    title: "Launch plan",
+    content: "Ship on Friday",
+    tags: ["launch"],
+  });
+  const version = await NoteHistory.create({
+    noteId: note._id,
+    actorId: owner._id,
+    eventType: "edit",
+    summary: "Edited note",
+    titleSnapshot: "Launch draft",
+    contentSnapshot: "Ship on Monday\nNotify support",
+    tagsSnapshot: ["draft"],
+  });
+  return { note, version };
+};
+
+describe("note versions", () => {
+  it("returns a single version with its snapshots", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const { note, version } = await createNoteWithVersion(user);
+
+    const response = await request(app)
+      .get(`/api/notes/${note._id}/history/${version._id}`)
+      .set(authHeaders(token))
+      .expect(200);
+
+    expect(response.body.version).toMatchObject({
+      id: version._id.toString(),
+      titleSnapshot: "Launch draft",
+      contentSnapshot: "Ship on Monday\nNotify support",
+      tagsSnapshot: ["draft"],
+    });
+  });
+
+  it("restores a version into the note, the Yjs document and history", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const { note, version } = await createNoteWithVersion(user);
+
+    const response = await request(app)
+      .post(`/api/notes/${note._id}/history/${version._id}/restore`)
+      .set(authHeaders(token))
+      .expect(200);
+
+    expect(response.body.note).toMatchObject({
+      title: "Launch draft",
+      content: "Ship on Monday\nNotify support",
+      tags: ["draft"],
+    });
+    expect(response.body.version).toMatchObject({
+      eventType: "restore",
+      restoredFromId: version._id.toString(),
+    });
+
+    const stored = await CollabDocument.findOne({
+      name: `note:${note._id}`,
+    }).lean();
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, new Uint8Array(stored.state.buffer));
+    expect(extractPlainTextFromYDoc(doc)).toBe(
+      "Ship on Monday\nNotify support",
+    );
+    expect(doc.getText("title").toString()).toBe("Launch draft");
+
+    const restoreEntries = await NoteHistory.find({
+      noteId: note._id,
+      eventType: "restore",
+    }).lean();
+    expect(restoreEntries).toHaveLength(1);
+    expect(String(restoreEntries[0].restoredFromId)).toBe(
+      version._id.toString(),
+    );
+  });
+
+  it("restores the formatting of versions with a rich snapshot", async () => {
+    const { user, token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const note = await Note.create({
+      owner: user._id,
+      title: "Launch plan",
+      content: "Ship on Friday",
+    });
+    const richSnapshot = {
+      type: "doc",
+      content: [
+        {
+          type: "heading",
+          attrs: { level: 2 },
+          content: [{ type: "text", text: "Checklist" }],
+        },
+        {
+          type: "taskList",
+          content: [
+            {
+              type: "taskItem",
+              attrs: { checked: true },
+              content: [
+                {
+                  type: "paragraph",
+                  content: [
+                    {
+                      type: "text",
+                      text: "Notify support",
+                      marks: [{ type: "bold", attrs: {} }],
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        { type: "image", attrs: { src: "/uploads/plan.png" } },
+      ],
+    };
+    const version = await NoteHistory.create({
+      noteId: note._id,
+      actorId: user._id,
+      eventType: "edit",
+      summary: "Edited collaboratively",
+      titleSnapshot: "Launch draft",
+      contentSnapshot: "Checklist\nNotify support",
+      richSnapshot,
+    });
+
+    const response = await request(app)
+      .post(`/api/notes/${note._id}/history/${version._id}/restore`)
+      .set(authHeaders(token))
+      .expect(200);
+    expect(response.body.note.richContent).toEqual(richSnapshot);
+
+    const stored = await CollabDocument.findOne({
+      name: `note:${note._id}`,
+    }).lean();
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, new Uint8Array(stored.state.buffer));
+    expect(extractRichContentFromYDoc(doc)).toEqual(richSnapshot);
+
+    const restoreEntry = await NoteHistory.findOne({
+      noteId: note._id,
+      eventType: "restore",
+    })
+      .select("+richSnapshot")
+      .lean();
+    expect(restoreEntry.richSnapshot).toEqual(richSnapshot);
+  });
+
+  it("rejects restores from viewers and versions without content", async () => {
+    const owner = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const stranger = await createUser({
+      email: "stranger@example.com",
+      name: "Stranger",
+    });
+    const { note, version } = await createNoteWithVersion(owner.user);
+    const pinEntry = await NoteHistory.create({
+      noteId: note._id,
+      actorId: owner.user._id,
+      eventType: "pin",
+      summary: "Pinned note",
+    });
+
+    await request(app)
+      .post(`/api/notes/${note._id}/history/${version._id}/restore`)
+      .set(authHeaders(stranger.token))
+      .expect(404);
+
+    await request(app)
+      .post(`/api/notes/${note._id}/history/${pinEntry._id}/restore`)
+      .set(authHeaders(owner.token))
+      .expect(422);
+  });
+});
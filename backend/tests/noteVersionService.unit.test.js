@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import * as Y from "yjs";
+
+import {
+  extractPlainTextFromYDoc,
+  extractRichContentFromYDoc,
+  plainTextToRichContent,
+  replaceYDocContent,
+} from "../src/services/noteVersionService.js";
+
+const paragraph = (text) => {
+  const element = new Y.XmlElement("paragraph");
+  if (text) {
+    const node = new Y.XmlText();
+    node.insert(0, text);
+    element.insert(0, [node]);
+  }
+  return element;
+};
+
+describe("noteVersionService", () => {
+  it("reads one line per text block, including nested lists", () => {
+    const doc = new Y.Doc();
+    const fragment = doc.getXmlFragment("default");
+    const list = new Y.XmlElement("bulletList");
+    const item = new Y.XmlElement("listItem");
+    item.insert(0, [paragraph("first item")]);
+    list.insert(0, [item]);
+    fragment.insert(0, [paragraph("Intro"), paragraph(""), list]);
+
+    expect(extractPlainTextFromYDoc(doc)).toBe("Intro\n\nfirst item");
+  });
+
+  it("replaces content and title so the snapshot round-trips", () => {
+    const doc = new Y.Doc();
+    doc.getXmlFragment("default").insert(0, [paragraph("Current text")]);
+    doc.getText("title").insert(0, "Current");
+
+    replaceYDocContent(doc, { title: "Earlier", text: "Line one\n\nLine two" });
+
+    expect(extractPlainTextFromYDoc(doc)).toBe("Line one\n\nLine two");
+    expect(doc.getText("title").toString()).toBe("Earlier");
+  });
+
+  it("restores rich content with its formatting, images and task items", () => {
+    const richContent = {
+      type: "doc",
+      content: [
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: "Plain, " },
+            {
+              type: "text",
+              text: "bold",
+              marks: [{ type: "bold", attrs: {} }],
+            },
+            {
+              type: "text",
+              text: " and linked",
+              marks: [{ type: "link", attrs: { href: "https://example.com" } }],
+            },
+          ],
+        },
+        {
+          type: "taskList",
+          content: [
+            {
+              type: "taskItem",
+              attrs: { checked: false },
+              content: [
+                { type: "paragraph", content: [{ type: "text", text: "Todo" }] },
+              ],
+            },
+          ],
+        },
+        { type: "image", attrs: { src: "/uploads/a.png", alt: "Diagram" } },
+      ],
+    };
+    const doc = new Y.Doc();
+    doc.getXmlFragment("default").insert(0, [paragraph("Current text")]);
+
+    replaceYDocContent(doc, { title: "Earlier", text: "ignored", richContent });
+
+    expect(extractRichContentFromYDoc(doc)).toEqual(richContent);
+    expect(extractPlainTextFromYDoc(doc)).toBe("Plain, bold and linked\nTodo\n");
+    expect(doc.getText("title").toString()).toBe("Earlier");
+  });
+
+  it("syncs a replacement to another replica as a normal update", () => {
+    const source = new Y.Doc();
+    const replica = new Y.Doc();
+    source.on("update", (update) => Y.applyUpdate(replica, update));
+
+    replaceYDocContent(source, { title: "Shared", text: "Restored" });
+
+    expect(extractPlainTextFromYDoc(replica)).toBe("Restored");
+    expect(replica.getText("title").toString()).toBe("Shared");
+  });
+
+  it("builds paragraph-per-line rich content", () => {
+    expect(plainTextToRichContent("a\n\nb")).toEqual({
+      type: "doc",
+      content: [
+        { type: "paragraph", content: [{ type: "text", text: "a" }] },
+        { type: "paragraph", content: [] },
+        { type: "paragraph", content: [{ type: "text", text: "b" }] },
+      ],
+    });
+    expect(plainTextToRichContent("")).toEqual({
+      type: "doc",
+      content: [{ type: "paragraph" }],
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import NotebookMember from "../src/models/NotebookMember.js";
+import NotebookSyncState from "../src/models/NotebookSyncState.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "notebook-sync-merge-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  // Sync pushes run in a transaction, which needs a replica set.
+  mongo = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "notebookSyncMerge",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NotebookSyncState.deleteMany({}),
+    NotebookEvent.deleteMany({}),
+    NotebookMember.deleteMany({}),
+    Note.deleteMany({}),
+    Notebook.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const setup = async () => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name: "Syncer",
+    email: "sync@example.com",
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  const notebook = await request(app)
+    .post("/api/notebooks")
+    .set(authHeaders(token))
+    .send({ name: "Field notes" })
+    .expect(201);
+  const note = await request(app)
+    .post("/api/notes")
+    .set(authHeaders(token))
+    .send({
+      title: "Trip",
+      content: "Day one\nDay two\nDay three",
+      tags: ["travel"],
+      notebookId: notebook.body.id,
+    })
+    .expect(201);
+  return { token, notebookId: notebook.body.id, note: note.body };
+};
+
+const baseOf = (note) => ({
+  title: note.title,
+  content: note.content,
+  tags: note.tags,
+  pinned: Boolean(note.pinned),
+});
+
+const push = (token, notebookId, body) =>
+  request(app)
+    .post(`/api/notebooks/${notebookId}/sync`)
+    .set(authHeaders(token))
+    .send(body);
+
+const upsert = (note, fields, opId) => ({
+  type: "note.upsert",
+  opId,
+  payload: {
+    id: note._id,
+    ...baseOf(note),
+    ...fields,
+    base: baseOf(note),
+  },
+});
+
+describe("offline notebook sync merging", () => {
+  it("merges edits from a client that fell behind", async () => {
+    const { token, notebookId, note } = await setup();
+
+    await push(token, notebookId, {
+      clientId: "laptop",
+      baseRevision: 0,
+      operations: [
+        upsert(note, { content: "Day one\nDay two\nDay three\nDay four" }, "a"),
+      ],
+    }).expect(200);
+
+    const response = await push(token, notebookId, {
+      clientId: "phone",
+      baseRevision: 0,
+      operations: [
+        upsert(
+          note,
+          {
+            content: "Day one, rainy\nDay two\nDay three",
+            tags: ["travel", "photos"],
+          },
+          "b",
+        ),
+      ],
+    }).expect(200);
+
+    expect(response.body.conflicts).toEqual([]);
+    expect(response.body.mergedNotes).toEqual([note._id]);
+    const stored = await Note.findById(note._id).lean();
+    expect(stored.content).toBe("Day one, rainy\nDay two\nDay three\nDay four");
+    expect(stored.tags).toEqual(["travel", "photos"]);
+  });
+
+  it("saves overlapping edits as a conflicted copy", async () => {
+    const { token, notebookId, note } = await setup();
+
+    await push(token, notebookId, {
+      clientId: "laptop",
+      baseRevision: 0,
+      operations: [
+        upsert(note, { content: "Day one\nDay two (laptop)\nDay three" }, "a"),
+      ],
+    }).expect(200);
+
+    const response = await push(token, notebookId, {
+      clientId: "phone",
+      baseRevision: 0,
+      operations: [
+        upsert(note, { content: "Day one\nDay two (phone)\nDay three" }, "b"),
+      ],
+    }).expect(200);
+
+    expect(response.body.conflicts).toHaveLength(1);
+    const [conflict] = response.body.conflicts;
+    expect(conflict).toMatchObject({
+      opId: "b",
+      noteId: note._id,
+      reason: "edited",
+      fields: ["content"],
+    });
+
+    const original = await Note.findById(note._id).lean();
+    expect(original.content).toBe("Day one\nDay two (laptop)\nDay three");
+    const copy = await Note.findById(conflict.copyNoteId).lean();
+    expect(copy.title).toBe("Trip (conflicted copy)");
+    expect(copy.content).toBe("Day one\nDay two (phone)\nDay three");
+    expect(String(copy.notebookId)).toBe(notebookId);
+  });
+
+  it("keeps a note edited elsewhere instead of deleting it", async () => {
+    const { token, notebookId, note } = await setup();
+
+    await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(token))
+      .send({ title: "Trip, updated" })
+      .expect(200);
+
+    const response = await push(token, notebookId, {
+      clientId: "phone",
+      baseRevision: 0,
+      operations: [
+        {
+          type: "note.delete",
+          opId: "c",
+          noteId: note._id,
+          payload: { base: baseOf(note) },
+        },
+      ],
+    }).expect(200);
+
+    expect(response.body.conflicts).toEqual([
+      expect.objectContaining({ noteId: note._id, reason: "modified" }),
+    ]);
+    expect(await Note.findById(note._id).lean()).toMatchObject({
+      deletedAt: null,
+    });
+  });
+
+  it("still rejects stale clients that send no base", async () => {
+    const { token, notebookId, note } = await setup();
+
+    await push(token, notebookId, {
+      clientId: "laptop",
+      baseRevision: 0,
+      operations: [upsert(note, { title: "Trip 2" }, "a")],
+    }).expect(200);
+
+    const response = await push(token, notebookId, {
+      clientId: "phone",
+      baseRevision: 0,
+      operations: [
+        {
+          type: "note.upsert",
+          opId: "b",
+          payload: { id: note._id, ...baseOf(note), title: "Trip 3" },
+        },
+      ],
+    }).expect(409);
+    expect(response.body.serverRevision).toBe(1);
+  });
+});
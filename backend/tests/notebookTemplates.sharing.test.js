@@ -0,0 +1,333 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import NotebookTemplate from "../src/models/NotebookTemplate.js";
+import Workspace from "../src/models/Workspace.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": token.slice(-16),
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), { dbName: "notebookTemplateSharing" });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NotebookTemplate.deleteMany({}),
+    NotebookEvent.deleteMany({}),
+    Note.deleteMany({}).setOptions({ withTrashed: true }),
+    Notebook.deleteMany({}).setOptions({ withTrashed: true }),
+    Workspace.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async (name) => {
+  const user = await User.create({
+    name,
+    email: `${name.toLowerCase()}@example.com`,
+    passwordHash: await bcrypt.hash("Password123!", 10),
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const setup = async () => {
+  const owner = await createUser("Owner");
+  const teammate = await createUser("Teammate");
+  const outsider = await createUser("Outsider");
+
+  const workspace = await Workspace.create({
+    name: "Product team",
+    slug: "product-team",
+    ownerId: owner.user._id,
+    members: [
+      { userId: owner.user._id, role: "owner" },
+      { userId: teammate.user._id, role: "viewer" },
+    ],
+  });
+
+  const notebook = await request(app)
+    .post("/api/notebooks")
+    .set(authHeaders(owner.token))
+    .send({ name: "Sprint retro" })
+    .expect(201);
+  await request(app)
+    .post("/api/notes")
+    .set(authHeaders(owner.token))
+    .send({
+      title: "What went well",
+      content: "List the wins.",
+      notebookId: notebook.body.id,
+    })
+    .expect(201);
+
+  return {
+    owner,
+    teammate,
+    outsider,
+    workspaceId: workspace._id.toString(),
+    notebookId: notebook.body.id,
+  };
+};
+
+describe("shared notebook templates", () => {
+  it("lets workspace members list and use a team template", async () => {
+    const { owner, teammate, outsider, workspaceId, notebookId } = await setup();
+
+    const created = await request(app)
+      .post(`/api/notebooks/${notebookId}/templates`)
+      .set(authHeaders(owner.token))
+      .send({ name: "Sprint retro", visibility: "workspace", workspaceId })
+      .expect(201);
+    expect(created.body).toMatchObject({
+      visibility: "workspace",
+      workspaceId,
+      version: 1,
+    });
+    const templateId = created.body.id;
+
+    const team = await request(app)
+      .get("/api/templates")
+      .query({ scope: "team" })
+      .set(authHeaders(teammate.token))
+      .expect(200);
+    expect(team.body).toHaveLength(1);
+    expect(team.body[0]).toMatchObject({
+      id: templateId,
+      isOwner: false,
+      workspaceName: "Product team",
+      owner: { name: "Owner" },
+    });
+
+    const mine = await request(app)
+      .get("/api/templates")
+      .set(authHeaders(teammate.token))
+      .expect(200);
+    expect(mine.body).toHaveLength(0);
+
+    const instantiated = await request(app)
+      .post(`/api/templates/${templateId}/instantiate`)
+      .set(authHeaders(teammate.token))
+      .send({})
+      .expect(201);
+    expect(instantiated.body).toMatchObject({
+      noteCount: 1,
+      templateVersion: 1,
+    });
+    const copy = await Notebook.findById(instantiated.body.notebookId).lean();
+    expect(copy.owner.toString()).toBe(teammate.user._id.toString());
+
+    const stored = await NotebookTemplate.findById(templateId).lean();
+    expect(stored.usageCount).toBe(1);
+
+    await request(app)
+      .get(`/api/templates/${templateId}`)
+      .set(authHeaders(outsider.token))
+      .expect(404);
+    await request(app)
+      .post(`/api/templates/${templateId}/instantiate`)
+      .set(authHeaders(outsider.token))
+      .send({})
+      .expect(404);
+  });
+
+  it("only lets the owner change sharing, update or delete a template", async () => {
+    const { owner, teammate, outsider, workspaceId, notebookId } = await setup();
+
+    const created = await request(app)
+      .post(`/api/notebooks/${notebookId}/templates`)
+      .set(authHeaders(owner.token))
+      .send({ name: "Sprint retro" })
+      .expect(201);
+    const templateId = created.body.id;
+    expect(created.body.visibility).toBe("private");
+
+    await request(app)
+      .patch(`/api/templates/${templateId}`)
+      .set(authHeaders(teammate.token))
+      .send({ visibility: "public" })
+      .expect(404);
+
+    await request(app)
+      .patch(`/api/templates/${templateId}`)
+      .set(authHeaders(owner.token))
+      .send({ visibility: "workspace" })
+      .expect(400);
+
+    const published = await request(app)
+      .patch(`/api/templates/${templateId}`)
+      .set(authHeaders(owner.token))
+      .send({ visibility: "public" })
+      .expect(200);
+    expect(published.body).toMatchObject({
+      visibility: "public",
+      workspaceId: null,
+      isOwner: true,
+    });
+
+    const gallery = await request(app)
+      .get("/api/templates")
+      .query({ scope: "public" })
+      .set(authHeaders(outsider.token))
+      .expect(200);
+    expect(gallery.body.map((template) => template.id)).toEqual([templateId]);
+
+    await request(app)
+      .delete(`/api/templates/${templateId}`)
+      .set(authHeaders(outsider.token))
+      .expect(404);
+
+    await request(app)
+      .patch(`/api/templates/${templateId}`)
+      .set(authHeaders(owner.token))
+      .send({ visibility: "workspace", workspaceId })
+      .expect(200);
+    const outsiderGallery = await request(app)
+      .get("/api/templates")
+      .query({ scope: "public" })
+      .set(authHeaders(outsider.token))
+      .expect(200);
+    expect(outsiderGallery.body).toHaveLength(0);
+  });
+
+  it("refuses to share with a workspace the owner cannot edit", async () => {
+    const { teammate, workspaceId } = await setup();
+    const notebook = await request(app)
+      .post("/api/notebooks")
+      .set(authHeaders(teammate.token))
+      .send({ name: "Standup" })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/notebooks/${notebook.body.id}/templates`)
+      .set(authHeaders(teammate.token))
+      .send({ visibility: "workspace", workspaceId })
+      .expect(403);
+  });
+
+  it("updates a template from its source notebook as a new version", async () => {
+    const { owner, teammate, notebookId } = await setup();
+
+    const created = await request(app)
+      .post(`/api/notebooks/${notebookId}/templates`)
+      .set(authHeaders(owner.token))
+      .send({ name: "Sprint retro" })
+      .expect(201);
+    const templateId = created.body.id;
+
+    await request(app)
+      .post("/api/notes")
+      .set(authHeaders(owner.token))
+      .send({
+        title: "What to improve",
+        content: "List the changes.",
+        notebookId,
+      })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/templates/${templateId}/sync`)
+      .set(authHeaders(teammate.token))
+      .expect(404);
+
+    const synced = await request(app)
+      .post(`/api/templates/${templateId}/sync`)
+      .set(authHeaders(owner.token))
+      .expect(200);
+    expect(synced.body).toMatchObject({ version: 2, noteCount: 2 });
+
+    const detail = await request(app)
+      .get(`/api/templates/${templateId}`)
+      .set(authHeaders(owner.token))
+      .expect(200);
+    expect(detail.body.notes.map((note) => note.title)).toEqual([
+      "What went well",
+      "What to improve",
+    ]);
+    expect(detail.body.versions.map((entry) => entry.version)).toEqual([2, 1]);
+
+    await Notebook.deleteOne({ _id: notebookId }).setOptions({
+      withTrashed: true,
+    });
+    await request(app)
+      .post(`/api/templates/${templateId}/sync`)
+      .set(authHeaders(owner.token))
+      .expect(409);
+  });
+});
+
+describe("template variables", () => {
+  it("fills placeholders and prompt values when a template is used", async () => {
+    const { owner } = await setup();
+    const notebook = await request(app)
+      .post("/api/notebooks")
+      .set(authHeaders(owner.token))
+      .send({ name: "{{prompt:Client name}} onboarding" })
+      .expect(201);
+    await request(app)
+      .post("/api/notes")
+      .set(authHeaders(owner.token))
+      .send({
+        title: "Kickoff with {{prompt:Client name}}",
+        content: "Prepared by {{user.name}} for {{notebook.name}}",
+        notebookId: notebook.body.id,
+      })
+      .expect(201);
+    const template = await request(app)
+      .post(`/api/notebooks/${notebook.body.id}/templates`)
+      .set(authHeaders(owner.token))
+      .send({ name: "{{prompt:Client name}} onboarding" })
+      .expect(201);
+
+    const detail = await request(app)
+      .get(`/api/templates/${template.body.id}`)
+      .set(authHeaders(owner.token))
+      .expect(200);
+    expect(detail.body.prompts).toEqual(["Client name"]);
+
+    const created = await request(app)
+      .post(`/api/templates/${template.body.id}/instantiate`)
+      .set(authHeaders(owner.token))
+      .send({ prompts: { "Client name": "Acme" }, timeZone: "UTC" })
+      .expect(201);
+    expect(created.body.name).toBe("Acme onboarding");
+
+    const [note] = await Note.find({
+      notebookId: created.body.notebookId,
+    }).lean();
+    expect(note.title).toBe("Kickoff with Acme");
+    expect(note.content).toBe("Prepared by Owner for Acme onboarding");
+  });
+});
@@ -0,0 +1,424 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import NotebookMember from "../src/models/NotebookMember.js";
+import NoteAttachment from "../src/models/NoteAttachment.js";
+import { MAX_NOTEBOOK_DEPTH } from "../src/utils/constants.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "notebook-hierarchy-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  // Moves and deletes run in transactions, which need a replica set.
+  mongo = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "notebookHierarchy",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NoteAttachment.deleteMany({}),
+    NotebookEvent.deleteMany({}),
+    NotebookMember.deleteMany({}),
+    Note.deleteMany({}),
+    Notebook.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const createNotebook = async (token, body) => {
+  const response = await request(app)
+    .post("/api/notebooks")
+    .set(authHeaders(token))
+    .send(body)
+    .expect(201);
+  return response.body;
+};
+
+describe("nested notebooks", () => {
+  it("creates child notebooks and lists their parent", async () => {
+    const { token } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const parent = await createNotebook(token, { name: "Projects" });
+    const child = await createNotebook(token, {
+      name: "Drafts",
+      parentId: parent.id,
+    });
+    expect(child.parentId).toBe(parent.id);
+
+    // Sibling names are unique, but another parent may reuse them.
+    await createNotebook(token, { name: "Drafts" });
+    await request(app)
+      .post("/api/notebooks")
+      .set(authHeaders(token))
+      .send({ name: "Drafts", parentId: parent.id })
+      .expect(409);
+
+    const list = await request(app)
+      .get("/api/notebooks")
+      .set(authHeaders(token))
+      .expect(200);
+    const listed = list.body.notebooks.find((entry) => entry.id === child.id);
+    expect(listed.parentId).toBe(parent.id);
+  });
+
+  it("moves subtrees and rejects cycles and excessive depth", async () => {
+    const { token } = await createUser({
+      email: "mover@example.com",
+      name: "Mover",
+    });
+    const top = await createNotebook(token, { name: "Top" });
+    const middle = await createNotebook(token, {
+      name: "Middle",
+      parentId: top.id,
+    });
+    const leaf = await createNotebook(token, {
+      name: "Leaf",
+      parentId: middle.id,
+    });
+
+    await request(app)
+      .put(`/api/notebooks/${top.id}/parent`)
+      .set(authHeaders(token))
+      .send({ parentId: leaf.id })
+      .expect(400);
+
+    const moved = await request(app)
+      .put(`/api/notebooks/${middle.id}/parent`)
+      .set(authHeaders(token))
+      .send({ parentId: null })
+      .expect(200);
+    expect(moved.body.parentId).toBeNull();
+
+    const storedLeaf = await Notebook.findById(leaf.id).lean();
+    expect(String(storedLeaf.parentId)).toBe(middle.id);
+
+    let parentId = null;
+    for (let depth = 1; depth <= MAX_NOTEBOOK_DEPTH; depth += 1) {
+      const notebook = await createNotebook(token, {
+        name: `Level ${depth}`,
+        ...(parentId ? { parentId } : {}),
+      });
+      parentId = notebook.id;
+    }
+    await request(app)
+      .post("/api/notebooks")
+      .set(authHeaders(token))
+      .send({ name: "Too deep", parentId })
+      .expect(400);
+  });
+
+  it("undoes a move through notebook history", async () => {
+    const { token } = await createUser({
+      email: "undo@example.com",
+      name: "Undo",
+    });
+    const parent = await createNotebook(token, { name: "Parent" });
+    const child = await createNotebook(token, { name: "Child" });
+
+    await request(app)
+      .put(`/api/notebooks/${child.id}/parent`)
+      .set(authHeaders(token))
+      .send({ parentId: parent.id })
+      .expect(200);
+
+    const event = await NotebookEvent.findOne({
+      notebookId: child.id,
+      eventType: "notebook.move",
+    }).lean();
+    expect(event).toBeTruthy();
+
+    await request(app)
+      .post(`/api/notebooks/${child.id}/history/undo`)
+      .set(authHeaders(token))
+      .send({ eventId: event._id.toString() })
+      .expect(200);
+
+    const stored = await Notebook.findById(child.id).lean();
+    expect(stored.parentId).toBeNull();
+  });
+
+  it("lets parent members into child notebooks unless overridden", async () => {
+    const { user: owner, token: ownerToken } = await createUser({
+      email: "nb-owner@example.com",
+      name: "Owner",
+    });
+    const { user: member, token: memberToken } = await createUser({
+      email: "nb-member@example.com",
+      name: "Member",
+    });
+    const parent = await createNotebook(ownerToken, { name: "Team" });
+    const child = await createNotebook(ownerToken, {
+      name: "Private",
+      parentId: parent.id,
+    });
+    await NotebookMember.create({
+      notebookId: parent.id,
+      userId: member._id,
+      role: "viewer",
+      status: "active",
+      invitedBy: owner._id,
+      acceptedAt: new Date(),
+    });
+    const note = await Note.create({
+      owner: owner._id,
+      notebookId: child.id,
+      title: "Child note",
+      content: "Inherited",
+    });
+
+    const inherited = await request(app)
+      .get(`/api/notes/${note._id}`)
+      .set(authHeaders(memberToken))
+      .expect(200);
+    expect(inherited.body.notebookRole).toBe("viewer");
+
+    const members = await request(app)
+      .get(`/api/notebooks/${child.id}/members`)
+      .set(authHeaders(ownerToken))
+      .expect(200);
+    const inheritedRow = members.body.members.find(
+      (entry) => entry.userId === member._id.toString(),
+    );
+    expect(inheritedRow.inheritedFrom).toMatchObject({ id: parent.id });
+
+    await request(app)
+      .put(`/api/notebooks/${child.id}/member-overrides/${member._id}`)
+      .set(authHeaders(ownerToken))
+      .send({ role: "none" })
+      .expect(200);
+    await request(app)
+      .get(`/api/notes/${note._id}`)
+      .set(authHeaders(memberToken))
+      .expect(404);
+
+    await request(app)
+      .put(`/api/notebooks/${child.id}/member-overrides/${member._id}`)
+      .set(authHeaders(ownerToken))
+      .send({ role: "editor" })
+      .expect(200);
+    const promoted = await request(app)
+      .get(`/api/notes/${note._id}`)
+      .set(authHeaders(memberToken))
+      .expect(200);
+    expect(promoted.body.canEdit).toBe(true);
+
+    await request(app)
+      .delete(`/api/notebooks/${child.id}/member-overrides/${member._id}`)
+      .set(authHeaders(ownerToken))
+      .expect(200);
+    const restored = await request(app)
+      .get(`/api/notes/${note._id}`)
+      .set(authHeaders(memberToken))
+      .expect(200);
+    expect(restored.body.notebookRole).toBe("viewer");
+  });
+
+  it("only overrides members inherited from a parent notebook", async () => {
+    const { user: owner, token: ownerToken } = await createUser({
+      email: "override-owner@example.com",
+      name: "Owner",
+    });
+    const { user: outsider } = await createUser({
+      email: "override-outsider@example.com",
+      name: "Outsider",
+    });
+    const parent = await createNotebook(ownerToken, { name: "Team" });
+    const child = await createNotebook(ownerToken, {
+      name: "Private",
+      parentId: parent.id,
+    });
+
+    await request(app)
+      .put(`/api/notebooks/${child.id}/member-overrides/${outsider._id}`)
+      .set(authHeaders(ownerToken))
+      .send({ role: "editor" })
+      .expect(404);
+    expect(
+      await NotebookMember.countDocuments({ userId: outsider._id }),
+    ).toBe(0);
+
+    await NotebookMember.create({
+      notebookId: child.id,
+      userId: outsider._id,
+      role: "viewer",
+      status: "pending",
+      invitedBy: owner._id,
+    });
+    await request(app)
+      .put(`/api/notebooks/${child.id}/member-overrides/${outsider._id}`)
+      .set(authHeaders(ownerToken))
+      .send({ role: "editor" })
+      .expect(400);
+    const pending = await NotebookMember.findOne({
+      notebookId: child.id,
+      userId: outsider._id,
+    }).lean();
+    expect(pending).toMatchObject({ role: "viewer", status: "pending" });
+  });
+
+  it("leaves direct memberships on a child notebook untouched", async () => {
+    const { user: owner, token: ownerToken } = await createUser({
+      email: "direct-owner@example.com",
+      name: "Owner",
+    });
+    const { user: member } = await createUser({
+      email: "direct-member@example.com",
+      name: "Member",
+    });
+    const parent = await createNotebook(ownerToken, { name: "Team" });
+    const child = await createNotebook(ownerToken, {
+      name: "Private",
+      parentId: parent.id,
+    });
+    await NotebookMember.create({
+      notebookId: parent.id,
+      userId: member._id,
+      role: "viewer",
+      status: "active",
+      invitedBy: owner._id,
+      acceptedAt: new Date(),
+    });
+    await NotebookMember.create({
+      notebookId: child.id,
+      userId: member._id,
+      role: "editor",
+      status: "active",
+      invitedBy: owner._id,
+      acceptedAt: new Date(),
+    });
+
+    await request(app)
+      .put(`/api/notebooks/${child.id}/member-overrides/${member._id}`)
+      .set(authHeaders(ownerToken))
+      .send({ role: "none" })
+      .expect(400);
+    await request(app)
+      .delete(`/api/notebooks/${child.id}/member-overrides/${member._id}`)
+      .set(authHeaders(ownerToken))
+      .expect(404);
+
+    const direct = await NotebookMember.findOne({
+      notebookId: child.id,
+      userId: member._id,
+    }).lean();
+    expect(direct).toMatchObject({ role: "editor", status: "active" });
+    expect(direct.metadata?.inheritanceOverride).toBeUndefined();
+  });
+
+  it("lifts children by default and can delete a whole subtree", async () => {
+    const { user: owner, token } = await createUser({
+      email: "delete@example.com",
+      name: "Delete",
+    });
+    const top = await createNotebook(token, { name: "Top" });
+    const middle = await createNotebook(token, {
+      name: "Middle",
+      parentId: top.id,
+    });
+    const leaf = await createNotebook(token, {
+      name: "Leaf",
+      parentId: middle.id,
+    });
+    await Note.create({
+      owner: owner._id,
+      notebookId: leaf.id,
+      title: "Leaf note",
+      content: "",
+    });
+
+    const lifted = await request(app)
+      .delete(`/api/notebooks/${middle.id}`)
+      .set(authHeaders(token))
+      .send({ mode: "move" })
+      .expect(200);
+    expect(lifted.body.liftedNotebooks).toEqual([leaf.id]);
+    const storedLeaf = await Notebook.findById(leaf.id).lean();
+    expect(String(storedLeaf.parentId)).toBe(top.id);
+
+    const cascaded = await request(app)
+      .delete(`/api/notebooks/${top.id}`)
+      .set(authHeaders(token))
+      .send({ mode: "delete", children: "delete" })
+      .expect(200);
+    expect(cascaded.body.deletedNotebooks).toEqual([leaf.id, top.id]);
+    expect(cascaded.body.deletedNotes).toBe(1);
+    expect(await Notebook.countDocuments({})).toBe(0);
+  });
+
+  it("removes the attachments of notes deleted with their notebook", async () => {
+    const { user: owner, token } = await createUser({
+      email: "attachments@example.com",
+      name: "Attachments",
+    });
+    const notebook = await createNotebook(token, { name: "Photos" });
+    const note = await Note.create({
+      owner: owner._id,
+      notebookId: notebook.id,
+      title: "Trip",
+      content: "",
+    });
+    // The blob is already gone; removing a missing blob still succeeds.
+    await NoteAttachment.create({
+      noteId: note._id,
+      uploadedBy: owner._id,
+      fileName: "beach.png",
+      mimeType: "image/png",
+      size: 1,
+      storageDriver: "local",
+      storageKey: `${note._id}/00000000-0000-4000-8000-000000000000.png`,
+    });
+
+    await request(app)
+      .delete(`/api/notebooks/${notebook.id}`)
+      .set(authHeaders(token))
+      .send({ mode: "delete" })
+      .expect(200);
+
+    expect(await NoteAttachment.countDocuments({ noteId: note._id })).toBe(0);
+  });
+});
@@ -0,0 +1,182 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import Workspace from "../src/models/Workspace.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "note-archive-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "noteArchive",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NoteHistory.deleteMany({}),
+    Note.deleteMany({}),
+    Workspace.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const workspace = await Workspace.create({
+    name: `${name}'s workspace`,
+    slug: `personal-${user._id.toString()}`,
+    ownerId: user._id,
+    members: [{ userId: user._id, role: "owner" }],
+  });
+  user.defaultWorkspace = workspace._id;
+  await user.save();
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token, workspace };
+};
+
+const listTitles = async (token, query = "") => {
+  const response = await request(app)
+    .get(`/api/notes${query}`)
+    .set(authHeaders(token))
+    .expect(200);
+  return response.body.data.map((note) => note.title).sort();
+};
+
+describe("note archive", () => {
+  it("archives via PUT, hides archived notes by default and records history", async () => {
+    const { user, token, workspace } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const note = await Note.create({
+      owner: user._id,
+      workspaceId: workspace._id,
+      title: "Old plan",
+      content: "Done with this",
+    });
+    await Note.create({
+      owner: user._id,
+      workspaceId: workspace._id,
+      title: "Current plan",
+      content: "Still active",
+    });
+
+    const response = await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(token))
+      .send({ archived: true })
+      .expect(200);
+    expect(response.body.archived).toBe(true);
+    expect(response.body.archivedAt).toBeTruthy();
+
+    expect(await listTitles(token)).toEqual(["Current plan"]);
+    expect(await listTitles(token, "?includeArchived=true")).toEqual([
+      "Current plan",
+      "Old plan",
+    ]);
+    expect(await listTitles(token, "?onlyArchived=true")).toEqual([
+      "Old plan",
+    ]);
+
+    const history = await NoteHistory.find({ noteId: note._id }).lean();
+    expect(history.map((entry) => entry.eventType)).toContain("archive");
+
+    await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(token))
+      .send({ archived: false })
+      .expect(200);
+    const restored = await Note.findById(note._id).lean();
+    expect(restored.archived).toBe(false);
+    expect(restored.archivedAt).toBeNull();
+  });
+
+  it("archives and unarchives notes in bulk", async () => {
+    const { user, token, workspace } = await createUser({
+      email: "bulk@example.com",
+      name: "Bulk",
+    });
+    const notes = await Note.create([
+      {
+        owner: user._id,
+        workspaceId: workspace._id,
+        title: "First",
+        content: "One",
+      },
+      {
+        owner: user._id,
+        workspaceId: workspace._id,
+        title: "Second",
+        content: "Two",
+      },
+    ]);
+    const noteIds = notes.map((note) => note._id.toString());
+
+    const archived = await request(app)
+      .post("/api/notes/bulk")
+      .set(authHeaders(token))
+      .send({ action: "archive", noteIds })
+      .expect(200);
+    expect(archived.body.updated).toBe(2);
+    expect(await listTitles(token)).toEqual([]);
+
+    const unarchived = await request(app)
+      .post("/api/notes/bulk")
+      .set(authHeaders(token))
+      .send({ action: "unarchive", noteIds: [noteIds[0]] })
+      .expect(200);
+    expect(unarchived.body.updated).toBe(1);
+    expect(await listTitles(token)).toEqual(["First"]);
+
+    const events = await NoteHistory.find({ eventType: "unarchive" }).lean();
+    expect(events).toHaveLength(1);
+  });
+
+  it("rejects non-boolean archive mode flags", async () => {
+    const { token } = await createUser({
+      email: "flags@example.com",
+      name: "Flags",
+    });
+
+    await request(app)
+      .get("/api/notes?onlyArchived=maybe")
+      .set(authHeaders(token))
+      .expect(400);
+  });
+});
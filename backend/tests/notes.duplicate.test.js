@@ -0,0 +1,300 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import NotebookMember from "../src/models/NotebookMember.js";
+import Workspace from "../src/models/Workspace.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "note-duplicate-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "noteDuplicate",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NoteHistory.deleteMany({}),
+    Note.deleteMany({}),
+    NotebookEvent.deleteMany({}),
+    NotebookMember.deleteMany({}),
+    Notebook.deleteMany({}),
+    Workspace.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const workspace = await Workspace.create({
+    name: `${name}'s workspace`,
+    slug: `personal-${user._id.toString()}`,
+    ownerId: user._id,
+    members: [{ userId: user._id, role: "owner" }],
+  });
+  user.defaultWorkspace = workspace._id;
+  await user.save();
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token, workspace };
+};
+
+const createNotebook = async (token, body) => {
+  const response = await request(app)
+    .post("/api/notebooks")
+    .set(authHeaders(token))
+    .send(body)
+    .expect(201);
+  return response.body;
+};
+
+const createNote = async (token, body) => {
+  const response = await request(app)
+    .post("/api/notes")
+    .set(authHeaders(token))
+    .send({ content: "Body", ...body })
+    .expect(201);
+  return response.body;
+};
+
+describe("note duplication", () => {
+  it("copies a note next to the source with its tags and rich content", async () => {
+    const { token } = await createUser({
+      email: "dup@example.com",
+      name: "Dup",
+    });
+    const notebook = await createNotebook(token, { name: "Plans" });
+    const richContent = {
+      type: "doc",
+      content: [
+        { type: "paragraph", content: [{ type: "text", text: "Rich body" }] },
+      ],
+    };
+    const source = await createNote(token, {
+      title: "Roadmap",
+      tags: ["q3", "planning"],
+      notebookId: notebook.id,
+      richContent,
+    });
+
+    const response = await request(app)
+      .post(`/api/notes/${source._id}/duplicate`)
+      .set(authHeaders(token))
+      .send({})
+      .expect(201);
+
+    expect(response.body.title).toBe("Roadmap (copy)");
+    expect(response.body.tags).toEqual(["q3", "planning"]);
+    expect(response.body.richContent).toEqual(richContent);
+    expect(String(response.body.notebookId)).toBe(notebook.id);
+
+    const stored = await Notebook.findById(notebook.id).lean();
+    expect(stored.noteOrder.map(String)).toEqual([
+      source._id,
+      response.body._id,
+    ]);
+  });
+
+  it("checks access to both the source and the destination", async () => {
+    const { token: ownerToken } = await createUser({
+      email: "owner@example.com",
+      name: "Owner",
+    });
+    const { user: viewer, token: viewerToken, workspace: viewerWorkspace } =
+      await createUser({ email: "viewer@example.com", name: "Viewer" });
+
+    const shared = await Workspace.create({
+      name: "Shared",
+      slug: "shared-space",
+      ownerId: viewer._id,
+      members: [{ userId: viewer._id, role: "owner" }],
+    });
+    const source = await createNote(ownerToken, { title: "Private" });
+
+    await request(app)
+      .post(`/api/notes/${source._id}/duplicate`)
+      .set(authHeaders(viewerToken))
+      .send({})
+      .expect(404);
+
+    const ownerNotebook = await createNotebook(ownerToken, { name: "Mine" });
+    const viewerNote = await createNote(viewerToken, { title: "Draft" });
+    await request(app)
+      .post(`/api/notes/${viewerNote._id}/duplicate`)
+      .set(authHeaders(viewerToken))
+      .send({ notebookId: ownerNotebook.id })
+      .expect(404);
+
+    const copied = await request(app)
+      .post(`/api/notes/${viewerNote._id}/duplicate`)
+      .set(authHeaders(viewerToken))
+      .send({ workspaceId: shared._id.toString() })
+      .expect(201);
+    expect(String(copied.body.workspaceId)).toBe(shared._id.toString());
+    expect(copied.body.notebookId).toBeNull();
+    expect(copied.body.title).toBe("Draft");
+    expect(String(viewerNote.workspaceId)).toBe(viewerWorkspace._id.toString());
+  });
+
+  it("copies a selection into another notebook with the bulk copy action", async () => {
+    const { token } = await createUser({
+      email: "bulk@example.com",
+      name: "Bulk",
+    });
+    const target = await createNotebook(token, { name: "Archive" });
+    const first = await createNote(token, { title: "First" });
+    const second = await createNote(token, { title: "Second" });
+
+    const response = await request(app)
+      .post("/api/notes/bulk")
+      .set(authHeaders(token))
+      .send({
+        action: "copy",
+        noteIds: [second._id, first._id],
+        notebookId: target.id,
+      })
+      .expect(200);
+
+    expect(response.body.copied).toBe(2);
+    const copies = await Note.find({ notebookId: target.id }).lean();
+    expect(copies.map((note) => note.title).sort()).toEqual([
+      "First",
+      "Second",
+    ]);
+    const stored = await Notebook.findById(target.id).lean();
+    expect(stored.noteOrder.map(String)).toEqual(response.body.copiedNoteIds);
+    expect(await Note.countDocuments({ notebookId: null })).toBe(2);
+  });
+});
+
+describe("notebook duplication", () => {
+  it("copies notes in order and optionally the members", async () => {
+    const { user: owner, token } = await createUser({
+      email: "nb-dup@example.com",
+      name: "Owner",
+    });
+    const { user: member } = await createUser({
+      email: "nb-member@example.com",
+      name: "Member",
+    });
+    const notebook = await createNotebook(token, { name: "Handbook" });
+    const intro = await createNote(token, {
+      title: "Intro",
+      tags: ["start"],
+      notebookId: notebook.id,
+    });
+    const outro = await createNote(token, {
+      title: "Outro",
+      notebookId: notebook.id,
+    });
+    await Notebook.updateOne(
+      { _id: notebook.id },
+      { $set: { noteOrder: [outro._id, intro._id] } },
+    );
+    await NotebookMember.create({
+      notebookId: notebook.id,
+      userId: member._id,
+      role: "editor",
+      status: "active",
+      invitedBy: owner._id,
+      acceptedAt: new Date(),
+    });
+
+    const response = await request(app)
+      .post(`/api/notebooks/${notebook.id}/duplicate`)
+      .set(authHeaders(token))
+      .send({ includeMembers: true })
+      .expect(201);
+
+    expect(response.body.name).toBe("Handbook (copy)");
+    expect(response.body.noteCount).toBe(2);
+    expect(response.body.memberCount).toBe(1);
+
+    const copy = await Notebook.findById(response.body.id).lean();
+    const copiedNotes = await Note.find({ notebookId: copy._id }).lean();
+    const titlesInOrder = copy.noteOrder.map(
+      (id) => copiedNotes.find((note) => String(note._id) === String(id)).title,
+    );
+    expect(titlesInOrder).toEqual(["Outro", "Intro"]);
+    expect(copiedNotes.find((note) => note.title === "Intro").tags).toEqual([
+      "start",
+    ]);
+
+    const copiedMember = await NotebookMember.findOne({
+      notebookId: copy._id,
+      userId: member._id,
+    }).lean();
+    expect(copiedMember).toMatchObject({ role: "editor", status: "active" });
+  });
+
+  it("only lets owners and editors copy members", async () => {
+    const { user: owner, token: ownerToken } = await createUser({
+      email: "nb-owner@example.com",
+      name: "Owner",
+    });
+    const { user: viewer, token: viewerToken } = await createUser({
+      email: "nb-viewer@example.com",
+      name: "Viewer",
+    });
+    const notebook = await createNotebook(ownerToken, { name: "Team" });
+    await NotebookMember.create({
+      notebookId: notebook.id,
+      userId: viewer._id,
+      role: "viewer",
+      status: "active",
+      invitedBy: owner._id,
+      acceptedAt: new Date(),
+    });
+
+    await request(app)
+      .post(`/api/notebooks/${notebook.id}/duplicate`)
+      .set(authHeaders(viewerToken))
+      .send({ includeMembers: true })
+      .expect(403);
+
+    const copied = await request(app)
+      .post(`/api/notebooks/${notebook.id}/duplicate`)
+      .set(authHeaders(viewerToken))
+      .send({})
+      .expect(201);
+    const copy = await Notebook.findById(copied.body.id).lean();
+    expect(String(copy.owner)).toBe(viewer._id.toString());
+  });
+});
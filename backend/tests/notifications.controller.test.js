@@ -0,0 +1,221 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NoteCollaborator from "../src/models/NoteCollaborator.js";
+import NoteComment from "../src/models/NoteComment.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import Notification from "../src/models/Notification.js";
+
+let app;
+let mongo;
+
+const ANCHOR = {
+  start: Buffer.from("start-position").toString("base64"),
+  end: Buffer.from("end-position").toString("base64"),
+  quote: "quoted",
+};
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "notifications-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  const uri = mongo.getUri();
+  await mongoose.connect(uri, {
+    dbName: "notificationsController",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    Notification.deleteMany({}),
+    NoteComment.deleteMany({}),
+    NoteHistory.deleteMany({}),
+    NoteCollaborator.deleteMany({}),
+    Note.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const setupSharedNote = async () => {
+  const owner = await createUser({ email: "owner@example.com", name: "Owner" });
+  const guest = await createUser({ email: "guest@example.com", name: "Guest" });
+  const outsider = await createUser({
+    email: "outsider@example.com",
+    name: "Outsider",
+  });
+  const note = await Note.create({
+    owner: owner.user._id,
+    title: "Roadmap",
+    content: "quoted",
+  });
+  await NoteCollaborator.create({
+    noteId: note._id,
+    userId: guest.user._id,
+    role: "commenter",
+    invitedBy: owner.user._id,
+  });
+  return { owner, guest, outsider, note };
+};
+
+const mentionToken = ({ user }) => `@[${user.name}](${user._id})`;
+
+describe("mentions and notifications", () => {
+  it("lists people who can be mentioned on a note", async () => {
+    const { owner, note } = await setupSharedNote();
+
+    const response = await request(app)
+      .get(`/api/notes/${note._id}/mentionable`)
+      .query({ q: "gue" })
+      .set(authHeaders(owner.token));
+
+    expect(response.status).toBe(200);
+    expect(response.body.users).toEqual([
+      expect.objectContaining({ name: "Guest", email: "guest@example.com" }),
+    ]);
+  });
+
+  it("notifies mentioned users who can access the note", async () => {
+    const { owner, guest, outsider, note } = await setupSharedNote();
+
+    await request(app)
+      .post(`/api/notes/${note._id}/comments`)
+      .set(authHeaders(owner.token))
+      .send({
+        body: `${mentionToken(guest)} and ${mentionToken(outsider)} please look`,
+        anchor: ANCHOR,
+      })
+      .expect(201);
+
+    const inbox = await request(app)
+      .get("/api/notifications")
+      .set(authHeaders(guest.token));
+
+    expect(inbox.status).toBe(200);
+    expect(inbox.body.unreadCount).toBe(1);
+    expect(inbox.body.notifications[0]).toMatchObject({
+      type: "mention",
+      source: "comment",
+      noteId: note._id.toString(),
+      title: "Roadmap",
+      excerpt: "@Guest and @Outsider please look",
+      actor: { name: "Owner" },
+      read: false,
+    });
+
+    // The outsider has no access to the note, so nothing leaks to them.
+    expect(
+      await Notification.countDocuments({ recipientId: outsider.user._id }),
+    ).toBe(0);
+  });
+
+  it("notifies users mentioned in the note body once", async () => {
+    const { owner, guest, note } = await setupSharedNote();
+    const richContent = {
+      type: "doc",
+      content: [
+        {
+          type: "paragraph",
+          content: [
+            {
+              type: "mention",
+              attrs: { id: guest.user._id.toString(), label: "Guest" },
+            },
+          ],
+        },
+      ],
+    };
+
+    await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(owner.token))
+      .send({ title: "Roadmap", content: "@Guest", richContent })
+      .expect(200);
+    await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(owner.token))
+      .send({ title: "Roadmap", content: "@Guest again", richContent })
+      .expect(200);
+
+    expect(
+      await Notification.countDocuments({ recipientId: guest.user._id }),
+    ).toBe(1);
+  });
+
+  it("marks notifications as read", async () => {
+    const { owner, guest, note } = await setupSharedNote();
+
+    for (const text of ["first", "second"]) {
+      await request(app)
+        .post(`/api/notes/${note._id}/comments`)
+        .set(authHeaders(owner.token))
+        .send({ body: `${mentionToken(guest)} ${text}`, anchor: ANCHOR })
+        .expect(201);
+    }
+
+    const inbox = await request(app)
+      .get("/api/notifications")
+      .set(authHeaders(guest.token));
+    expect(inbox.body.unreadCount).toBe(2);
+
+    const single = await request(app)
+      .post(`/api/notifications/${inbox.body.notifications[0].id}/read`)
+      .set(authHeaders(guest.token));
+    expect(single.status).toBe(200);
+    expect(single.body.notification.read).toBe(true);
+    expect(single.body.unreadCount).toBe(1);
+
+    const forbidden = await request(app)
+      .post(`/api/notifications/${inbox.body.notifications[1].id}/read`)
+      .set(authHeaders(owner.token));
+    expect(forbidden.status).toBe(404);
+
+    const all = await request(app)
+      .post("/api/notifications/read-all")
+      .set(authHeaders(guest.token));
+    expect(all.status).toBe(200);
+    expect(all.body.unreadCount).toBe(0);
+
+    const unread = await request(app)
+      .get("/api/notifications")
+      .query({ unreadOnly: "true" })
+      .set(authHeaders(guest.token));
+    expect(unread.body.notifications).toHaveLength(0);
+  });
+});
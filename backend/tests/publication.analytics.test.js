@@ -0,0 +1,222 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NotePublication from "../src/models/NotePublication.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import NotebookMember from "../src/models/NotebookMember.js";
+import NotebookPublication from "../src/models/NotebookPublication.js";
+import PublicationViewSnapshot from "../src/models/PublicationViewSnapshot.js";
+import PublicationVisitor from "../src/models/PublicationVisitor.js";
+import { MAX_REFERRERS_PER_SNAPSHOT } from "../src/services/publicationViewService.js";
+
+let app;
+let mongo;
+
+const BROWSER =
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36";
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "publication-analytics-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  // Publishing runs in a transaction, which needs a replica set.
+  mongo = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "publicationAnalytics",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    PublicationViewSnapshot.deleteMany({}),
+    PublicationVisitor.deleteMany({}),
+    NotePublication.deleteMany({}),
+    NotebookPublication.deleteMany({}),
+    NotebookEvent.deleteMany({}),
+    NotebookMember.deleteMany({}),
+    Note.deleteMany({}),
+    Notebook.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const setup = async () => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name: "Publisher",
+    email: "publisher@example.com",
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  const notebook = await request(app)
+    .post("/api/notebooks")
+    .set(authHeaders(token))
+    .send({ name: "Client report" })
+    .expect(201);
+  const note = await request(app)
+    .post("/api/notes")
+    .set(authHeaders(token))
+    .send({
+      title: "Findings",
+      content: "Summary of findings.",
+      notebookId: notebook.body.id,
+    })
+    .expect(201);
+  await request(app)
+    .post(`/api/notebooks/${notebook.body.id}/publish`)
+    .set(authHeaders(token))
+    .send({ slug: "client-report" })
+    .expect(200);
+  return { token, notebookId: notebook.body.id, noteId: note.body._id };
+};
+
+const visit = (ip, { referrer, userAgent = BROWSER } = {}) =>
+  request(app)
+    .get("/api/published/notebooks/client-report")
+    .query(referrer ? { referrer } : {})
+    .set("User-Agent", userAgent)
+    .set("X-Forwarded-For", ip);
+
+describe("published view analytics", () => {
+  it("counts views, daily unique visitors and referrer domains", async () => {
+    const { token, notebookId } = await setup();
+
+    await visit("198.51.100.1", { referrer: "https://www.news.example.org/a" }).expect(200);
+    await visit("198.51.100.1", { referrer: "https://news.example.org/b" }).expect(200);
+    await visit("198.51.100.2").expect(200);
+    await visit("198.51.100.3", { userAgent: "Googlebot/2.1" }).expect(200);
+
+    const visitors = await PublicationVisitor.find({}).lean();
+    expect(visitors).toHaveLength(2);
+    expect(JSON.stringify(visitors)).not.toContain("198.51.100");
+
+    const response = await request(app)
+      .get(`/api/notebooks/${notebookId}/publish/analytics?days=7`)
+      .set(authHeaders(token))
+      .expect(200);
+
+    expect(response.body.daily).toHaveLength(7);
+    expect(response.body.daily.at(-1)).toMatchObject({ views: 3, uniqueVisitors: 2 });
+    expect(response.body.totals).toEqual({ views: 3, uniqueVisitors: 2 });
+    expect(response.body.referrers).toEqual([
+      { domain: "direct", visitors: 1 },
+      { domain: "news.example.org", visitors: 1 },
+    ]);
+  });
+
+  it("folds referrers past the daily cap into other", async () => {
+    await setup();
+
+    for (let index = 0; index < MAX_REFERRERS_PER_SNAPSHOT + 2; index += 1) {
+      await visit(`198.51.${Math.floor(index / 250)}.${(index % 250) + 1}`, {
+        referrer: `https://site-${index}.example.com/`,
+      }).expect(200);
+    }
+    await visit("203.0.113.1", { referrer: "https://site-0.example.com/" }).expect(200);
+    await visit("203.0.113.2", { referrer: "https://$where/" }).expect(200);
+
+    const snapshot = await PublicationViewSnapshot.findOne({}).lean();
+    const keys = Object.keys(snapshot.referrers);
+    expect(keys).toHaveLength(MAX_REFERRERS_PER_SNAPSHOT + 1);
+    expect(keys.some((key) => key.startsWith("$"))).toBe(false);
+    expect(snapshot.referrers.other).toBe(3);
+    expect(snapshot.referrers["site-0%2Eexample%2Ecom"]).toBe(2);
+    expect(snapshot.uniqueVisitors).toBe(MAX_REFERRERS_PER_SNAPSHOT + 4);
+  });
+
+  it("records unique note reads inside a published notebook", async () => {
+    const { token, notebookId, noteId } = await setup();
+    const read = (ip) =>
+      request(app)
+        .post(`/api/published/notebooks/client-report/notes/${noteId}/read`)
+        .set("User-Agent", BROWSER)
+        .set("X-Forwarded-For", ip);
+
+    await read("198.51.100.1").expect(204);
+    await read("198.51.100.1").expect(204);
+    await read("198.51.100.2").expect(204);
+    await request(app)
+      .post(
+        `/api/published/notebooks/client-report/notes/${new mongoose.Types.ObjectId()}/read`,
+      )
+      .set("User-Agent", BROWSER)
+      .expect(404);
+
+    const response = await request(app)
+      .get(`/api/notebooks/${notebookId}/publish/analytics`)
+      .set(authHeaders(token))
+      .expect(200);
+
+    expect(response.body.daily).toHaveLength(30);
+    expect(response.body.noteReads).toEqual([
+      { noteId, reads: 2, title: "Findings" },
+    ]);
+  });
+
+  it("keeps analytics private to the owner", async () => {
+    const { notebookId } = await setup();
+    const other = await User.create({
+      name: "Other",
+      email: "other@example.com",
+      passwordHash: await bcrypt.hash("Password123!", 10),
+      emailVerified: true,
+    });
+    const otherToken = generateAccessToken({
+      id: other._id.toString(),
+      email: other.email,
+      role: other.role,
+    });
+
+    await request(app)
+      .get(`/api/notebooks/${notebookId}/publish/analytics`)
+      .set(authHeaders(otherToken))
+      .expect(404);
+  });
+
+  it("counts views of published notes", async () => {
+    const { token, noteId } = await setup();
+    await request(app)
+      .post(`/api/notes/${noteId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "findings-note" })
+      .expect(200);
+
+    await request(app)
+      .get("/api/published/notes/findings-note")
+      .set("User-Agent", BROWSER)
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/notes/${noteId}/publish/analytics?days=1`)
+      .set(authHeaders(token))
+      .expect(200);
+    expect(response.body.totals).toEqual({ views: 1, uniqueVisitors: 1 });
+    expect(response.body).not.toHaveProperty("noteReads");
+  });
+});
@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import bcrypt from "bcryptjs";
+
+import {
+  buildListablePublicationFilter,
+  buildPublicationSettingsUpdate,
+  hasPublicationAccess,
+  isPublicationExpired,
+  serializePublicationSettings,
+  unlockPublication,
+} from "../src/services/publicationAccessService.js";
+import {
+  __resetSecretForTesting,
+  generatePublicationUnlockToken,
+  verifyPublicationUnlockToken,
+} from "../src/utils/tokenService.js";
+
+const publicationId = "64b000000000000000000001";
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "a".repeat(64);
+  __resetSecretForTesting();
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+  __resetSecretForTesting();
+});
+
+const createResponse = () => {
+  const cookies = {};
+  return {
+    cookies,
+    cookie: (name, value, options) => {
+      cookies[name] = { value, options };
+    },
+  };
+};
+
+describe("buildPublicationSettingsUpdate", () => {
+  it("leaves omitted settings untouched", async () => {
+    expect(await buildPublicationSettingsUpdate({})).toEqual({});
+  });
+
+  it("hashes passwords and clears them with null", async () => {
+    const update = await buildPublicationSettingsUpdate({
+      password: "secret",
+      expiresAt: "2030-01-01T00:00:00.000Z",
+      noindex: true,
+    });
+    expect(await bcrypt.compare("secret", update.passwordHash)).toBe(true);
+    expect(update.expiresAt).toEqual(new Date("2030-01-01T00:00:00.000Z"));
+    expect(update.noindex).toBe(true);
+
+    expect(
+      await buildPublicationSettingsUpdate({ password: null, expiresAt: null }),
+    ).toEqual({ passwordHash: null, expiresAt: null });
+  });
+
+  it("reports settings without the hash", () => {
+    expect(
+      serializePublicationSettings({ passwordHash: "hash", expiresAt: null }),
+    ).toEqual({ passwordProtected: true, expiresAt: null, noindex: false });
+  });
+});
+
+describe("isPublicationExpired", () => {
+  const now = new Date("2030-01-01T00:00:00.000Z");
+
+  it("treats publications without expiry as live", () => {
+    expect(isPublicationExpired({ expiresAt: null }, now)).toBe(false);
+  });
+
+  it("expires at the configured instant", () => {
+    expect(isPublicationExpired({ expiresAt: now }, now)).toBe(true);
+    expect(
+      isPublicationExpired({ expiresAt: new Date(now.getTime() + 1) }, now),
+    ).toBe(false);
+  });
+
+  it("excludes protected, expired and noindex publications from listings", () => {
+    expect(buildListablePublicationFilter(now)).toEqual({
+      noindex: { $ne: true },
+      passwordHash: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    });
+  });
+});
+
+describe("publication unlock", () => {
+  it("binds unlock tokens to the publication and its password", () => {
+    const token = generatePublicationUnlockToken({
+      publicationId,
+      passwordHash: "hash-1",
+    });
+    expect(
+      verifyPublicationUnlockToken(token, { publicationId, passwordHash: "hash-1" }),
+    ).toBe(true);
+    expect(
+      verifyPublicationUnlockToken(token, { publicationId, passwordHash: "hash-2" }),
+    ).toBe(false);
+    expect(
+      verifyPublicationUnlockToken(token, {
+        publicationId: "64b000000000000000000002",
+        passwordHash: "hash-1",
+      }),
+    ).toBe(false);
+  });
+
+  it("sets an unlock cookie only for the right password", async () => {
+    const publication = {
+      _id: publicationId,
+      passwordHash: await bcrypt.hash("secret", 4),
+    };
+    const req = { cookies: {}, secure: false };
+
+    expect(hasPublicationAccess(req, publication)).toBe(false);
+
+    const rejected = createResponse();
+    expect(await unlockPublication(req, rejected, publication, "wrong")).toBe(false);
+    expect(rejected.cookies).toEqual({});
+
+    const res = createResponse();
+    expect(await unlockPublication(req, res, publication, "secret")).toBe(true);
+    const cookie = res.cookies[`nb_pub_unlock_${publicationId}`];
+    expect(cookie.options).toMatchObject({ httpOnly: true, sameSite: "lax", path: "/" });
+
+    req.cookies[`nb_pub_unlock_${publicationId}`] = cookie.value;
+    expect(hasPublicationAccess(req, publication)).toBe(true);
+  });
+
+  it("lets anyone read unprotected publications", () => {
+    expect(hasPublicationAccess({ cookies: {} }, { _id: publicationId })).toBe(true);
+  });
+});
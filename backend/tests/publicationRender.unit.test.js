@@ -0,0 +1,204 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  buildNotebookPageMeta,
+  renderNotePublicationHtml,
+  renderNotebookFeed,
+  renderNotebookPublicationHtml,
+  renderPublishedPage,
+  renderSitemap,
+} from "../src/services/publicationRenderService.js";
+import { renderRichContentHtml } from "../src/utils/richContentHtml.js";
+
+const snapshot = {
+  notebook: {
+    id: "nb1",
+    name: "Field notes",
+    description: "Trips & hikes",
+    publishedAt: "2026-05-01T10:00:00.000Z",
+    noteOrder: ["n2", "n1"],
+  },
+  notes: [
+    {
+      id: "n1",
+      title: "Older",
+      contentText: "First line\nsecond line",
+      tags: ["hiking"],
+      updatedAt: "2026-05-02T08:00:00.000Z",
+    },
+    {
+      id: "n2",
+      title: "<Newer>",
+      contentText: "",
+      tags: [],
+      updatedAt: "2026-05-03T08:00:00.000Z",
+    },
+  ],
+};
+
+const originalClientUrl = process.env.CLIENT_APP_URL;
+
+beforeEach(() => {
+  process.env.CLIENT_APP_URL = "https://notes.example.com/app";
+});
+
+afterEach(() => {
+  if (originalClientUrl === undefined) delete process.env.CLIENT_APP_URL;
+  else process.env.CLIENT_APP_URL = originalClientUrl;
+});
+
+describe("renderRichContentHtml", () => {
+  it("renders known nodes and marks and drops unsafe links", () => {
+    const html = renderRichContentHtml({
+      type: "doc",
+      content: [
+        { type: "heading", attrs: { level: 1 }, content: [{ type: "text", text: "Plan" }] },
+        {
+          type: "bulletList",
+          content: [
+            {
+              type: "listItem",
+              content: [
+                {
+                  type: "paragraph",
+                  content: [
+                    {
+                      type: "text",
+                      text: "docs",
+                      marks: [{ type: "link", attrs: { href: "https://example.com/?a=1&b=2" } }],
+                    },
+                    {
+                      type: "text",
+                      text: " <script>",
+                      marks: [{ type: "link", attrs: { href: "javascript:alert(1)" } }],
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        { type: "codeBlock", attrs: { language: "js" }, content: [{ type: "text", text: "a < b" }] },
+      ],
+    });
+
+    expect(html).toBe(
+      '<h2>Plan</h2><ul><li><p><a href="https://example.com/?a=1&amp;b=2" rel="nofollow noopener">docs</a> &lt;script&gt;</p></li></ul><pre><code class="language-js">a &lt; b</code></pre>',
+    );
+  });
+});
+
+describe("publication html", () => {
+  it("renders notebook notes in notebook order", () => {
+    const html = renderNotebookPublicationHtml(snapshot);
+
+    expect(html.indexOf("&lt;Newer&gt;")).toBeLessThan(html.indexOf("Older"));
+    expect(html).toContain('<article id="note-n1"><h2>Older</h2>');
+    expect(html).toContain("<p>First line<br />second line</p>");
+    expect(html).toContain("<p>This note has no content.</p>");
+    expect(html).toContain("<p>Trips &amp; hikes</p>");
+  });
+
+  it("falls back to plain text for notes without rich content", () => {
+    const html = renderNotePublicationHtml({
+      note: { title: "Solo", content: "Just text" },
+    });
+    expect(html).toBe(
+      '<main class="published-note"><article><h1>Solo</h1><p>Just text</p></article></main>',
+    );
+  });
+});
+
+describe("renderPublishedPage", () => {
+  const meta = buildNotebookPageMeta({
+    slug: "field-notes",
+    snapshot,
+    metadata: { image: "/cover.png" },
+    updatedAt: "2026-05-04T00:00:00.000Z",
+  });
+
+  it("prerenders into the SPA shell and replaces its title and description", () => {
+    const shell = `<!doctype html><html><head>
+    <meta
+      name="description"
+      content="App description"
+    />
+    <title>NotesBoard</title>
+  </head><body><div id="root"></div><script type="module" src="/assets/app.js"></script></body></html>`;
+
+    const page = renderPublishedPage({ shell, meta, bodyHtml: "<main>Hi</main>" });
+
+    expect(page).not.toContain("App description");
+    expect(page).toContain("<title>Field notes · NotesBoard</title>");
+    expect(page).toContain('<meta name="description" content="Trips &amp; hikes" />');
+    expect(page).toContain(
+      '<meta property="og:image" content="https://notes.example.com/cover.png" />',
+    );
+    expect(page).toContain(
+      '<meta name="twitter:card" content="summary_large_image" />',
+    );
+    expect(page).toContain('<div id="root"><main>Hi</main></div>');
+    expect(page).toContain('src="/assets/app.js"');
+  });
+
+  it("keeps dollar patterns in the title and body literal", () => {
+    const shell =
+      '<html><head><title>NotesBoard</title></head><body><div id="root"></div></body></html>';
+    const dollarMeta = buildNotebookPageMeta({
+      slug: "budget",
+      snapshot: {
+        ...snapshot,
+        notebook: { ...snapshot.notebook, name: "Costs $' and $& and $`", description: "" },
+      },
+      metadata: {},
+    });
+    const bodyHtml = "<main>Price: $&amp; $' $` $$</main>";
+
+    const page = renderPublishedPage({ shell, meta: dollarMeta, bodyHtml });
+
+    expect(page).toContain("<title>Costs $&#39; and $&amp; and $` · NotesBoard</title>");
+    expect(page).toContain(`<div id="root">${bodyHtml}</div>`);
+    expect(page.match(/<\/head>/g)).toHaveLength(1);
+    expect(page.match(/<div id="root">/g)).toHaveLength(1);
+  });
+
+  it("builds a standalone document without a shell", () => {
+    const page = renderPublishedPage({ meta, bodyHtml: "<main>Hi</main>", nonce: "abc" });
+
+    expect(page).toContain('<link rel="canonical" href="https://notes.example.com/published/field-notes" />');
+    expect(page).toContain('<style nonce="abc">');
+    expect(page).toContain("<body><main>Hi</main></body>");
+  });
+});
+
+describe("feeds and sitemap", () => {
+  it("lists notes newest first in an RSS feed", () => {
+    const feed = renderNotebookFeed({
+      slug: "field-notes",
+      snapshot,
+      updatedAt: "2026-05-04T00:00:00.000Z",
+    });
+
+    expect(feed).toContain('<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">');
+    expect(feed).toContain(
+      '<atom:link href="https://notes.example.com/published/field-notes/feed.xml" rel="self" type="application/rss+xml" />',
+    );
+    expect(feed).toContain("<lastBuildDate>Mon, 04 May 2026 00:00:00 GMT</lastBuildDate>");
+    expect(feed.indexOf("&lt;Newer&gt;")).toBeLessThan(feed.indexOf("<title>Older</title>"));
+    expect(feed).toContain("<category>hiking</category>");
+    expect(feed).toContain(
+      "<description>&lt;p&gt;First line&lt;br /&gt;second line&lt;/p&gt;</description>",
+    );
+  });
+
+  it("renders absolute sitemap locations", () => {
+    const xml = renderSitemap([
+      { path: "/", changefreq: "weekly", priority: "1.0" },
+      { path: "/published/a&b", lastmod: "2026-05-04T00:00:00.000Z" },
+    ]);
+
+    expect(xml).toContain("<loc>https://notes.example.com/</loc>");
+    expect(xml).toContain("<loc>https://notes.example.com/published/a&amp;b</loc>");
+    expect(xml).toContain("<lastmod>2026-05-04T00:00:00.000Z</lastmod>");
+  });
+});
@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  extractReferrerDomain,
+  isLikelyBot,
+} from "../src/services/publicationViewService.js";
+import {
+  __resetSecretForTesting,
+  hashPublicationVisitor,
+} from "../src/utils/tokenService.js";
+
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "a".repeat(64);
+  __resetSecretForTesting();
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+  __resetSecretForTesting();
+});
+
+describe("extractReferrerDomain", () => {
+  it("keeps only the hostname of external referrers", () => {
+    expect(
+      extractReferrerDomain("https://www.News.example.com/story?id=1#top"),
+    ).toBe("news.example.com");
+  });
+
+  it("treats missing or unusable referrers as direct", () => {
+    expect(extractReferrerDomain(undefined)).toBe("direct");
+    expect(extractReferrerDomain("")).toBe("direct");
+    expect(extractReferrerDomain("not a url")).toBe("direct");
+    expect(extractReferrerDomain("android-app://com.example")).toBe("direct");
+  });
+
+  it("counts referrers that are not plain hostnames as other", () => {
+    expect(extractReferrerDomain("https://$where/")).toBe("other");
+    expect(extractReferrerDomain("https://a$b.example.com/")).toBe("other");
+    expect(extractReferrerDomain("https://[::1]:8080/")).toBe("[::1]");
+  });
+
+  it("ignores navigation within the site", () => {
+    expect(
+      extractReferrerDomain("https://notes.example.com/", "notes.example.com:443"),
+    ).toBeNull();
+  });
+});
+
+describe("isLikelyBot", () => {
+  it("skips crawlers, link unfurlers and empty user agents", () => {
+    expect(isLikelyBot("Googlebot/2.1 (+http://www.google.com/bot.html)")).toBe(true);
+    expect(isLikelyBot("Slackbot-LinkExpanding 1.0")).toBe(true);
+    expect(isLikelyBot("")).toBe(true);
+    expect(
+      isLikelyBot(
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15",
+      ),
+    ).toBe(false);
+  });
+});
+
+describe("hashPublicationVisitor", () => {
+  const visitor = { ip: "203.0.113.7", userAgent: "Firefox" };
+
+  it("is stable within a day and never contains the IP", () => {
+    const first = hashPublicationVisitor({ ...visitor, dayKey: "2026-05-01" });
+    expect(first).toBe(hashPublicationVisitor({ ...visitor, dayKey: "2026-05-01" }));
+    expect(first).toMatch(/^[0-9a-f]{32}$/);
+    expect(first).not.toContain("203");
+  });
+
+  it("rotates daily and differs per visitor", () => {
+    const day1 = hashPublicationVisitor({ ...visitor, dayKey: "2026-05-01" });
+    expect(hashPublicationVisitor({ ...visitor, dayKey: "2026-05-02" })).not.toBe(day1);
+    expect(
+      hashPublicationVisitor({ ...visitor, ip: "203.0.113.8", dayKey: "2026-05-01" }),
+    ).not.toBe(day1);
+  });
+});
@@ -0,0 +1,348 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NotePublication from "../src/models/NotePublication.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import NotebookMember from "../src/models/NotebookMember.js";
+import NotebookPublication from "../src/models/NotebookPublication.js";
+import { runPublicationExpiryJob } from "../src/tasks/publicationExpiryScheduler.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "published-pages-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+  process.env.CLIENT_APP_URL = "https://notes.example.com";
+
+  // Publishing runs in a transaction, which needs a replica set.
+  mongo = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "publishedPages",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    NotePublication.deleteMany({}),
+    NotebookPublication.deleteMany({}),
+    NotebookEvent.deleteMany({}),
+    NotebookMember.deleteMany({}),
+    Note.deleteMany({}),
+    Notebook.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  delete process.env.CLIENT_APP_URL;
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const setup = async () => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name: "Publisher",
+    email: "publisher@example.com",
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  const notebook = await request(app)
+    .post("/api/notebooks")
+    .set(authHeaders(token))
+    .send({ name: "Field <notes>", description: "Trips & hikes" })
+    .expect(201);
+  const note = await request(app)
+    .post("/api/notes")
+    .set(authHeaders(token))
+    .send({
+      title: "Ridge walk",
+      content: "Left at dawn.\n\nBack by noon.",
+      tags: ["hiking"],
+      notebookId: notebook.body.id,
+    })
+    .expect(201);
+  return { token, notebookId: notebook.body.id, noteId: note.body._id };
+};
+
+describe("published notebook pages", () => {
+  it("serves the notebook rendered on the server with meta tags", async () => {
+    const { token, notebookId } = await setup();
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes" })
+      .expect(200);
+
+    const stored = await NotebookPublication.findOne({
+      publicSlug: "field-notes",
+    }).lean();
+    expect(stored.html).toContain("<h1>Field &lt;notes&gt;</h1>");
+
+    const response = await request(app)
+      .get("/published/field-notes")
+      .expect("Content-Type", /html/)
+      .expect(200);
+
+    expect(response.text).toContain("<h2>Ridge walk</h2>");
+    expect(response.text).toContain("<p>Left at dawn.</p><p>Back by noon.</p>");
+    expect(response.text).toContain(
+      '<meta property="og:title" content="Field &lt;notes&gt;" />',
+    );
+    expect(response.text).toContain(
+      '<meta property="og:url" content="https://notes.example.com/published/field-notes" />',
+    );
+    expect(response.text).toContain('<meta name="twitter:card" content="summary" />');
+    expect(response.text).toContain(
+      'href="https://notes.example.com/published/field-notes/feed.xml"',
+    );
+  });
+
+  it("updates the feed on republish and stops serving after unpublish", async () => {
+    const { token, notebookId, noteId } = await setup();
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes" })
+      .expect(200);
+
+    const first = await request(app)
+      .get("/published/field-notes/feed.xml")
+      .expect("Content-Type", /rss\+xml/)
+      .expect(200);
+    expect(first.text).toContain("<title>Ridge walk</title>");
+    expect(first.text).toContain(
+      `<link>https://notes.example.com/published/field-notes#note-${noteId}</link>`,
+    );
+
+    await request(app)
+      .put(`/api/notes/${noteId}`)
+      .set(authHeaders(token))
+      .send({ title: "Ridge walk, revised" })
+      .expect(200);
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes" })
+      .expect(200);
+
+    const second = await request(app)
+      .get("/published/field-notes/feed.xml")
+      .expect(200);
+    expect(second.text).toContain("<title>Ridge walk, revised</title>");
+
+    await request(app)
+      .delete(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .expect(200);
+
+    await request(app).get("/published/field-notes").expect(404);
+    await request(app).get("/published/field-notes/feed.xml").expect(404);
+  });
+
+  it("renders published notes from their rich content", async () => {
+    const { token, noteId } = await setup();
+    await request(app)
+      .put(`/api/notes/${noteId}`)
+      .set(authHeaders(token))
+      .send({
+        richContent: {
+          type: "doc",
+          content: [
+            {
+              type: "paragraph",
+              content: [
+                { type: "text", text: "Bold", marks: [{ type: "bold" }] },
+                {
+                  type: "text",
+                  text: " link",
+                  marks: [{ type: "link", attrs: { href: "javascript:alert(1)" } }],
+                },
+              ],
+            },
+          ],
+        },
+      })
+      .expect(200);
+    await request(app)
+      .post(`/api/notes/${noteId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "ridge-walk" })
+      .expect(200);
+
+    const response = await request(app).get("/published/note/ridge-walk").expect(200);
+
+    expect(response.text).toContain("<p><strong>Bold</strong> link</p>");
+    expect(response.text).not.toContain("javascript:");
+    expect(response.text).toContain('<meta property="og:type" content="article" />');
+  });
+});
+
+describe("sitemap", () => {
+  it("lists public pages and live publications", async () => {
+    const { token, notebookId, noteId } = await setup();
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes" })
+      .expect(200);
+    await request(app)
+      .post(`/api/notes/${noteId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "ridge-walk" })
+      .expect(200);
+    await request(app)
+      .delete(`/api/notes/${noteId}/publish`)
+      .set(authHeaders(token))
+      .expect(200);
+
+    const response = await request(app)
+      .get("/sitemap.xml")
+      .expect("Content-Type", /xml/)
+      .expect(200);
+
+    expect(response.text).toContain("<loc>https://notes.example.com/</loc>");
+    expect(response.text).toContain(
+      "<loc>https://notes.example.com/published/field-notes</loc>",
+    );
+    expect(response.text).not.toContain("ridge-walk");
+  });
+});
+
+describe("publication access settings", () => {
+  it("hides protected notebooks until the password is posted", async () => {
+    const { token, notebookId } = await setup();
+    const publish = await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes", password: "hunter22" })
+      .expect(200);
+    expect(publish.body.passwordProtected).toBe(true);
+    expect(publish.body).not.toHaveProperty("passwordHash");
+
+    const locked = await request(app).get("/published/field-notes").expect(200);
+    expect(locked.headers["cache-control"]).toBe("private, no-store");
+    expect(locked.text).not.toContain("Ridge walk");
+    expect(locked.text).toContain('<meta name="robots" content="noindex, nofollow" />');
+
+    const api = await request(app)
+      .get("/api/published/notebooks/field-notes")
+      .expect(403);
+    expect(api.body.passwordRequired).toBe(true);
+    await request(app).get("/published/field-notes/feed.xml").expect(403);
+
+    await request(app)
+      .post("/api/published/notebooks/field-notes/unlock")
+      .send({ password: "wrong" })
+      .expect(403);
+
+    const agent = request.agent(app);
+    await agent
+      .post("/api/published/notebooks/field-notes/unlock")
+      .send({ password: "hunter22" })
+      .expect(204);
+    const unlocked = await agent
+      .get("/api/published/notebooks/field-notes")
+      .expect(200);
+    expect(unlocked.body.notes[0].title).toBe("Ridge walk");
+    const page = await agent.get("/published/field-notes").expect(200);
+    expect(page.text).toContain("<h2>Ridge walk</h2>");
+
+    // Changing the password invalidates earlier unlocks.
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes", password: "another1" })
+      .expect(200);
+    await agent.get("/api/published/notebooks/field-notes").expect(403);
+  });
+
+  it("marks noindex pages and leaves them out of the sitemap", async () => {
+    const { token, notebookId, noteId } = await setup();
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes", noindex: true })
+      .expect(200);
+    await request(app)
+      .post(`/api/notes/${noteId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "ridge-walk", password: "hunter22" })
+      .expect(200);
+
+    const page = await request(app).get("/published/field-notes").expect(200);
+    expect(page.headers["x-robots-tag"]).toBe("noindex, nofollow");
+    expect(page.text).toContain('<meta name="robots" content="noindex, nofollow" />');
+    expect(page.text).toContain("<h2>Ridge walk</h2>");
+
+    const sitemap = await request(app).get("/sitemap.xml").expect(200);
+    expect(sitemap.text).not.toContain("field-notes");
+    expect(sitemap.text).not.toContain("ridge-walk");
+  });
+
+  it("stops serving expired publications and unpublishes them", async () => {
+    const { token, notebookId, noteId } = await setup();
+    const expiresAt = new Date(Date.now() + 60_000).toISOString();
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes", expiresAt })
+      .expect(200);
+    await request(app)
+      .post(`/api/notes/${noteId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "ridge-walk", expiresAt })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/notebooks/${notebookId}/publish`)
+      .set(authHeaders(token))
+      .send({ slug: "field-notes", expiresAt: "2000-01-01T00:00:00.000Z" })
+      .expect(400);
+
+    const past = new Date(Date.now() - 1000);
+    await NotebookPublication.updateOne({}, { $set: { expiresAt: past } });
+    await NotePublication.updateOne({}, { $set: { expiresAt: past } });
+
+    await request(app).get("/published/field-notes").expect(404);
+    await request(app).get("/api/published/notes/ridge-walk").expect(404);
+
+    const result = await runPublicationExpiryJob();
+    expect(result).toMatchObject({ notebooks: 1, notes: 1, failed: 0 });
+
+    const notebook = await Notebook.findById(notebookId).lean();
+    expect(notebook.isPublic).toBe(false);
+    expect(notebook.publicSlug).toBeNull();
+    const note = await Note.findById(noteId).lean();
+    expect(note.isPublic).toBe(false);
+    expect(await NotebookPublication.countDocuments()).toBe(0);
+
+    const event = await NotebookEvent.findOne({
+      notebookId,
+      commandName: "expireNotebookPublication",
+    }).lean();
+    expect(event?.eventType).toBe("notebook.unpublish");
+  });
+});
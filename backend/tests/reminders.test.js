@@ -0,0 +1,273 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+import Notification from "../src/models/Notification.js";
+import Workspace from "../src/models/Workspace.js";
+import { runReminderJob } from "../src/tasks/reminderScheduler.js";
+import { listDueSoon } from "../src/services/reminderService.js";
+
+const { sendMailMock } = vi.hoisted(() => ({
+  sendMailMock: vi.fn(async () => ({ messageId: "test" })),
+}));
+
+vi.mock("../src/utils/mailer.js", () => ({
+  sendMail: sendMailMock,
+}));
+
+let app;
+let mongo;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "reminder-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "reminders",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  sendMailMock.mockClear();
+  await Promise.all([
+    Notification.deleteMany({}),
+    NoteHistory.deleteMany({}),
+    Note.deleteMany({}),
+    Workspace.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async ({ email, name }) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const workspace = await Workspace.create({
+    name: `${name}'s workspace`,
+    slug: `personal-${user._id.toString()}`,
+    ownerId: user._id,
+    members: [{ userId: user._id, role: "owner" }],
+  });
+  user.defaultWorkspace = workspace._id;
+  await user.save();
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token, workspace };
+};
+
+const createNote = (owner, workspace, extra = {}) =>
+  Note.create({
+    owner: owner._id,
+    workspaceId: workspace._id,
+    title: "Quarterly plan",
+    content: "Draft the plan",
+    ...extra,
+  });
+
+describe("note due dates and reminders", () => {
+  it("sets and clears a note's due date and reminder", async () => {
+    const { user, token, workspace } = await createUser({
+      email: "due@example.com",
+      name: "Due",
+    });
+    const note = await createNote(user, workspace);
+    const dueAt = new Date(Date.now() + 48 * HOUR_MS).toISOString();
+    const remindAt = new Date(Date.now() + 24 * HOUR_MS).toISOString();
+
+    const response = await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(token))
+      .send({ dueAt, remindAt })
+      .expect(200);
+
+    expect(new Date(response.body.dueAt).toISOString()).toBe(dueAt);
+    expect(new Date(response.body.remindAt).toISOString()).toBe(remindAt);
+    expect(String(response.body.reminderUserId)).toBe(user._id.toString());
+
+    const cleared = await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(token))
+      .send({ dueAt: null, remindAt: null })
+      .expect(200);
+
+    expect(cleared.body.dueAt).toBeNull();
+    expect(cleared.body.remindAt).toBeNull();
+  });
+
+  it("rejects malformed dates", async () => {
+    const { user, token, workspace } = await createUser({
+      email: "bad@example.com",
+      name: "Bad",
+    });
+    const note = await createNote(user, workspace);
+
+    await request(app)
+      .put(`/api/notes/${note._id}`)
+      .set(authHeaders(token))
+      .send({ dueAt: "next tuesday" })
+      .expect(400);
+  });
+
+  it("fires due reminders once by email and in-app notification", async () => {
+    const { user, workspace } = await createUser({
+      email: "remind@example.com",
+      name: "Remind",
+    });
+    const past = new Date(Date.now() - 60_000);
+    const note = await createNote(user, workspace, {
+      dueAt: new Date(Date.now() + HOUR_MS),
+      remindAt: past,
+      reminderUserId: user._id,
+      aiSummary: {
+        summary: "Plan",
+        actionItems: [
+          { text: "Book the venue", remindAt: past },
+          { text: "Already done", remindAt: past, completed: true },
+          { text: "Later", remindAt: new Date(Date.now() + HOUR_MS) },
+        ],
+      },
+    });
+
+    const first = await runReminderJob();
+    expect(first.sent).toBe(2);
+    expect(sendMailMock).toHaveBeenCalledTimes(2);
+    expect(sendMailMock.mock.calls[0][0].to).toBe("remind@example.com");
+
+    const notifications = await Notification.find({
+      recipientId: user._id,
+    }).lean();
+    expect(notifications.map((entry) => entry.source).sort()).toEqual([
+      "actionItem",
+      "note",
+    ]);
+    expect(notifications.every((entry) => entry.type === "reminder")).toBe(
+      true,
+    );
+
+    const stored = await Note.findById(note._id).lean();
+    expect(stored.reminderSentAt).toBeInstanceOf(Date);
+    expect(stored.aiSummary.actionItems[0].reminderSentAt).toBeInstanceOf(
+      Date,
+    );
+    expect(stored.aiSummary.actionItems[1].reminderSentAt).toBeNull();
+
+    const second = await runReminderJob();
+    expect(second.sent).toBe(0);
+    expect(sendMailMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("schedules an action item and lists it as due soon", async () => {
+    const { user, token, workspace } = await createUser({
+      email: "soon@example.com",
+      name: "Soon",
+    });
+    const note = await createNote(user, workspace, {
+      dueAt: new Date(Date.now() - HOUR_MS),
+      aiSummary: {
+        summary: "Plan",
+        actionItems: [{ text: "Send the invites" }],
+      },
+    });
+    await createNote(user, workspace, {
+      title: "Far away",
+      dueAt: new Date(Date.now() + 30 * 24 * HOUR_MS),
+    });
+    await createNote(user, workspace, {
+      title: "Archived",
+      archived: true,
+      dueAt: new Date(Date.now() + HOUR_MS),
+    });
+    const itemId = note.aiSummary.actionItems[0]._id.toString();
+
+    const scheduled = await request(app)
+      .patch(`/api/ai/notes/${note._id}/action-items/${itemId}/schedule`)
+      .set(authHeaders(token))
+      .send({ dueAt: new Date(Date.now() + 2 * HOUR_MS).toISOString() })
+      .expect(200);
+    expect(scheduled.body.dueAt).toBeTruthy();
+
+    const response = await request(app)
+      .get("/api/notes/due-soon")
+      .query({ workspaceId: workspace._id.toString() })
+      .set(authHeaders(token))
+      .expect(200);
+
+    expect(response.body.items).toHaveLength(2);
+    expect(response.body.items[0]).toMatchObject({
+      kind: "note",
+      title: "Quarterly plan",
+      overdue: true,
+    });
+    expect(response.body.items[1]).toMatchObject({
+      kind: "actionItem",
+      itemId,
+      text: "Send the invites",
+      overdue: false,
+    });
+  });
+
+  it("keeps the earliest items when more notes match than the limit", async () => {
+    const { user, workspace } = await createUser({
+      email: "busy@example.com",
+      name: "Busy",
+    });
+    // Inserted latest-first, so natural order would return the wrong ones.
+    for (const hours of [60, 50, 40, 30]) {
+      await createNote(user, workspace, {
+        title: `Due in ${hours}h`,
+        dueAt: new Date(Date.now() + hours * HOUR_MS),
+      });
+    }
+    await createNote(user, workspace, {
+      title: "Action item first",
+      dueAt: new Date(Date.now() + 70 * HOUR_MS),
+      aiSummary: {
+        summary: "Plan",
+        actionItems: [
+          { text: "Book the room", dueAt: new Date(Date.now() + 10 * HOUR_MS) },
+        ],
+      },
+    });
+
+    const { items } = await listDueSoon(
+      { workspaceId: workspace._id },
+      { limit: 3 },
+    );
+
+    expect(items.map((item) => item.text ?? item.title)).toEqual([
+      "Book the room",
+      "Due in 30h",
+      "Due in 40h",
+    ]);
+  });
+});
@@ -0,0 +1,230 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import * as Y from "yjs";
+
+import User from "../src/models/User.js";
+import Note from "../src/models/Note.js";
+import Notebook from "../src/models/Notebook.js";
+import ShareLink from "../src/models/ShareLink.js";
+import CollabDocument from "../src/models/CollabDocument.js";
+import {
+  extractPlainTextFromYDoc,
+  replaceYDocContent,
+} from "../src/services/noteVersionService.js";
+
+let app;
+let mongo;
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "sharedNotebooksController",
+  });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    CollabDocument.deleteMany({}),
+    ShareLink.deleteMany({}),
+    Note.deleteMany({}).setOptions({ withTrashed: true }),
+    Notebook.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const setupSharedNotebook = async (linkFields = {}) => {
+  const owner = await User.create({
+    name: "Owner",
+    email: "owner@example.com",
+    passwordHash: "not-used",
+    emailVerified: true,
+  });
+  const notebook = await Notebook.create({
+    owner: owner._id,
+    name: "Field notes",
+  });
+  const note = await Note.create({
+    owner: owner._id,
+    notebookId: notebook._id,
+    title: "Ridge walk",
+    content: "Start at the car park\nTurn left at the gate",
+  });
+  const token = ShareLink.generateToken();
+  const link = await ShareLink.create({
+    notebookId: notebook._id,
+    tokenHash: ShareLink.hash(token),
+    createdBy: owner._id,
+    ...linkFields,
+  });
+  return { token, link, notebook, note };
+};
+
+const readDocument = async (noteId) => {
+  const stored = await CollabDocument.findOne({ name: `note:${noteId}` }).lean();
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, new Uint8Array(stored.state.buffer));
+  return doc;
+};
+
+describe("shared notebook links", () => {
+  it("returns 404 for an unknown token", async () => {
+    await setupSharedNotebook();
+
+    await request(app)
+      .get(`/api/shared/${ShareLink.generateToken()}`)
+      .expect(404);
+  });
+
+  it("returns 410 for revoked and expired links", async () => {
+    const { token, link, note } = await setupSharedNotebook({
+      revokedAt: new Date(),
+    });
+    const revoked = await request(app).get(`/api/shared/${token}`).expect(410);
+    expect(revoked.body.status).toBe("revoked");
+
+    const expiredToken = ShareLink.generateToken();
+    await ShareLink.create({
+      notebookId: link.notebookId,
+      tokenHash: ShareLink.hash(expiredToken),
+      createdBy: link.createdBy,
+      expiresAt: new Date(Date.now() - 60_000),
+    });
+    const expired = await request(app)
+      .get(`/api/shared/${expiredToken}/notes/${note._id}`)
+      .expect(410);
+    expect(expired.body.status).toBe("expired");
+
+    const stored = await ShareLink.findById(link._id).lean();
+    expect(stored.accessCount).toBe(0);
+  });
+
+  it("counts every successful access on the link", async () => {
+    const { token, link, note } = await setupSharedNotebook();
+
+    const shared = await request(app).get(`/api/shared/${token}`).expect(200);
+    expect(shared.body.notes.map((entry) => entry.title)).toEqual([
+      "Ridge walk",
+    ]);
+    expect(shared.headers["x-robots-tag"]).toBe("noindex, nofollow");
+    await request(app)
+      .get(`/api/shared/${token}/notes/${note._id}`)
+      .expect(200);
+
+    const stored = await ShareLink.findById(link._id).lean();
+    expect(stored.accessCount).toBe(2);
+    expect(stored.lastAccessedAt).toBeInstanceOf(Date);
+  });
+
+  it("renders a note's rich content to escaped HTML", async () => {
+    const { token, note } = await setupSharedNotebook();
+    await Note.updateOne(
+      { _id: note._id },
+      {
+        richContent: {
+          type: "doc",
+          content: [
+            {
+              type: "paragraph",
+              content: [
+                { type: "text", text: "Start at the " },
+                {
+                  type: "text",
+                  text: "car park",
+                  marks: [{ type: "bold" }],
+                },
+                { type: "text", text: " <script>" },
+              ],
+            },
+          ],
+        },
+      },
+    );
+
+    const response = await request(app)
+      .get(`/api/shared/${token}/notes/${note._id}`)
+      .expect(200);
+
+    expect(response.body.note.richContent.type).toBe("doc");
+    expect(response.body.note.richContentHtml).toBe(
+      "<p>Start at the <strong>car park</strong> &lt;script&gt;</p>",
+    );
+  });
+
+  it("only lets editor links update notes", async () => {
+    const viewer = await setupSharedNotebook({ role: "viewer" });
+
+    await request(app)
+      .patch(`/api/shared/${viewer.token}/notes/${viewer.note._id}`)
+      .send({ title: "Renamed" })
+      .expect(403);
+    const unchanged = await Note.findById(viewer.note._id).lean();
+    expect(unchanged.title).toBe("Ridge walk");
+
+    const editorToken = ShareLink.generateToken();
+    await ShareLink.create({
+      notebookId: viewer.notebook._id,
+      tokenHash: ShareLink.hash(editorToken),
+      createdBy: viewer.link.createdBy,
+      role: "editor",
+    });
+
+    const updated = await request(app)
+      .patch(`/api/shared/${editorToken}/notes/${viewer.note._id}`)
+      .send({ title: "Renamed", tags: ["hiking"] })
+      .expect(200);
+    expect(updated.body.note).toMatchObject({
+      title: "Renamed",
+      tags: ["hiking"],
+    });
+  });
+
+  it("merges guest edits into the note's collaborative document", async () => {
+    const { note } = await setupSharedNotebook();
+    const editorToken = ShareLink.generateToken();
+    await ShareLink.create({
+      notebookId: note.notebookId,
+      tokenHash: ShareLink.hash(editorToken),
+      createdBy: note.owner,
+      role: "editor",
+    });
+
+    // An editor has the note open; its document holds the same text.
+    const live = new Y.Doc();
+    replaceYDocContent(live, {
+      title: "Ridge walk",
+      text: "Start at the car park\nTurn left at the gate",
+    });
+    await CollabDocument.create({
+      name: `note:${note._id}`,
+      state: Buffer.from(Y.encodeStateAsUpdate(live)),
+    });
+
+    await request(app)
+      .patch(`/api/shared/${editorToken}/notes/${note._id}`)
+      .send({
+        title: "Ridge walk (revised)",
+        content: "Start at the car park\nTurn right at the gate",
+      })
+      .expect(200);
+
+    const doc = await readDocument(note._id);
+    expect(extractPlainTextFromYDoc(doc)).toBe(
+      "Start at the car park\nTurn right at the gate",
+    );
+    expect(doc.getText("title").toString()).toBe("Ridge walk (revised)");
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  extractTemplatePrompts,
+  formatTemplateDate,
+  resolveTemplateVariables,
+} from "../../shared/templateVariables.js";
+
+const NOW = new Date("2026-01-31T23:30:00Z");
+
+describe("template variables", () => {
+  it("resolves built-in placeholders and prompt values", () => {
+    const text =
+      "# {{ prompt:Client name }} kickoff\nOwner: {{user.name}} · {{notebook.name}} · {{date}}";
+
+    expect(
+      resolveTemplateVariables(text, {
+        now: NOW,
+        timeZone: "UTC",
+        user: { name: "Ada" },
+        notebook: { name: "Acme onboarding" },
+        prompts: { "Client name": "Acme" },
+      }),
+    ).toBe("# Acme kickoff\nOwner: Ada · Acme onboarding · 2026-01-31");
+  });
+
+  it("supports day, week, month and year offsets", () => {
+    const context = { now: NOW, timeZone: "UTC" };
+
+    expect(resolveTemplateVariables("{{date+7d}}", context)).toBe("2026-02-07");
+    expect(resolveTemplateVariables("{{date-2w}}", context)).toBe("2026-01-17");
+    expect(resolveTemplateVariables("{{date+1m}}", context)).toBe("2026-02-28");
+    expect(resolveTemplateVariables("{{date + 1y}}", context)).toBe("2027-01-31");
+  });
+
+  it("uses the caller's time zone for today", () => {
+    expect(formatTemplateDate(NOW, "Asia/Tokyo")).toBe("2026-02-01");
+    expect(formatTemplateDate(NOW, "Not/AZone")).toBe("2026-01-31");
+  });
+
+  it("leaves unknown placeholders alone and blanks unanswered prompts", () => {
+    expect(
+      resolveTemplateVariables("{{weather}} / {{prompt:Budget}}", { now: NOW }),
+    ).toBe("{{weather}} / ");
+  });
+
+  it("lists prompt labels once, in order of first use", () => {
+    expect(
+      extractTemplatePrompts([
+        "{{prompt:Client name}} and {{date}}",
+        null,
+        "{{prompt: Budget}} for {{prompt:Client name}}",
+      ]),
+    ).toEqual(["Client name", "Budget"]);
+  });
+});
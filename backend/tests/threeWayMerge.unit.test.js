@@ -0,0 +1,132 @@
+import { describe, expect, it } from "vitest";
+import * as Y from "yjs";
+
+import {
+  isUnchangedSince,
+  mergeNoteFields,
+  mergeTagSets,
+  mergeText,
+} from "../src/utils/threeWayMerge.js";
+import {
+  applyTextToYDoc,
+  extractPlainTextFromYDoc,
+} from "../src/services/noteVersionService.js";
+
+const block = (nodeName, text) => {
+  const element = new Y.XmlElement(nodeName);
+  if (text) {
+    const node = new Y.XmlText();
+    node.insert(0, text);
+    element.insert(0, [node]);
+  }
+  return element;
+};
+
+describe("mergeText", () => {
+  const base = "Intro\nMiddle\nOutro";
+
+  it("combines edits to different lines", () => {
+    const local = "Intro (offline)\nMiddle\nOutro";
+    const remote = "Intro\nMiddle\nOutro\nAppendix";
+    expect(mergeText(base, local, remote)).toEqual({
+      merged: "Intro (offline)\nMiddle\nOutro\nAppendix",
+      conflict: false,
+    });
+  });
+
+  it("takes the only side that changed", () => {
+    expect(mergeText(base, base, "Other")).toEqual({
+      merged: "Other",
+      conflict: false,
+    });
+    expect(mergeText(base, "Mine", base)).toEqual({
+      merged: "Mine",
+      conflict: false,
+    });
+  });
+
+  it("reports overlapping edits and keeps the remote text", () => {
+    const result = mergeText(
+      base,
+      "Intro\nMiddle (local)\nOutro",
+      "Intro\nMiddle (remote)\nOutro",
+    );
+    expect(result).toEqual({
+      merged: "Intro\nMiddle (remote)\nOutro",
+      conflict: true,
+    });
+  });
+
+  it("accepts the same edit made on both sides", () => {
+    const edited = "Intro\nMiddle, revised\nOutro";
+    expect(mergeText(base, edited, `${edited}\nMore`)).toEqual({
+      merged: `${edited}\nMore`,
+      conflict: false,
+    });
+  });
+});
+
+describe("mergeTagSets", () => {
+  it("keeps additions and removals from both sides", () => {
+    expect(
+      mergeTagSets(["a", "b"], ["a", "local"], ["a", "b", "remote"]),
+    ).toEqual(["a", "remote", "local"]);
+  });
+});
+
+describe("mergeNoteFields", () => {
+  it("flags the fields that could not be merged", () => {
+    const base = { title: "Plan", content: "One", tags: [], pinned: false };
+    const { fields, conflicts } = mergeNoteFields({
+      base,
+      local: { ...base, title: "Plan A", tags: ["x"], pinned: true },
+      remote: { ...base, title: "Plan B" },
+    });
+    expect(conflicts).toEqual(["title"]);
+    expect(fields).toEqual({
+      title: "Plan B",
+      content: "One",
+      tags: ["x"],
+      pinned: true,
+    });
+  });
+
+  it("detects whether the server moved on", () => {
+    const base = { title: "T", content: "C", tags: ["a", "b"], pinned: false };
+    expect(isUnchangedSince(base, { ...base, tags: ["b", "a"] })).toBe(true);
+    expect(isUnchangedSince(base, { ...base, content: "D" })).toBe(false);
+  });
+});
+
+describe("applyTextToYDoc", () => {
+  it("rewrites only the changed lines and keeps block types", () => {
+    const doc = new Y.Doc();
+    doc
+      .getXmlFragment("default")
+      .insert(0, [block("heading", "Title"), block("paragraph", "Body")]);
+
+    applyTextToYDoc(doc, { text: "Title\nBody, edited\nNew line" });
+
+    const blocks = doc.getXmlFragment("default").toArray();
+    expect(extractPlainTextFromYDoc(doc)).toBe("Title\nBody, edited\nNew line");
+    expect(blocks.map((node) => node.nodeName)).toEqual([
+      "heading",
+      "paragraph",
+      "paragraph",
+    ]);
+  });
+
+  it("replaces nested documents wholesale", () => {
+    const doc = new Y.Doc();
+    const list = new Y.XmlElement("bulletList");
+    const item = new Y.XmlElement("listItem");
+    item.insert(0, [block("paragraph", "item")]);
+    list.insert(0, [item]);
+    doc.getXmlFragment("default").insert(0, [list]);
+
+    applyTextToYDoc(doc, { title: "Renamed", text: "item\nafter" });
+
+    expect(extractPlainTextFromYDoc(doc)).toBe("item\nafter");
+    expect(doc.getText("title").toString()).toBe("Renamed");
+  });
+});
@@ -6,6 +6,8 @@ import {
   verifyAccessToken,
   hashToken,
   generateRefreshToken,
+  generateDigestUnsubscribeToken,
+  verifyDigestUnsubscribeToken,
   __resetSecretForTesting,
 } from "../src/utils/tokenService.js";
 
@@ -40,6 +42,16 @@ describe("generateAccessToken + verifyAccessToken", () => {
     expect(decoded.sub).toBe("user123");
     expect(decoded.role).toBe("user");
     expect(decoded.email).toBe("test@example.com");
+    expect(decoded.sid).toBeUndefined();
+  });
+
+  it("embeds the refresh session id as sid when given", () => {
+    process.env.JWT_ACCESS_SECRET = STRONG_SECRET_A;
+    __resetSecretForTesting();
+
+    const token = generateAccessToken(TEST_USER, { sessionId: "session-1" });
+
+    expect(verifyAccessToken(token).sid).toBe("session-1");
   });
 
   it("rejects a token signed with an unknown secret", () => {
@@ -188,6 +200,31 @@ describe("generateRefreshToken", () => {
   });
 });
 
+// ── Digest unsubscribe tokens ──────────────────────────────────────────────
+
+describe("digest unsubscribe tokens", () => {
+  it("round-trips the user id", () => {
+    process.env.JWT_ACCESS_SECRET = STRONG_SECRET_A;
+    __resetSecretForTesting();
+
+    const token = generateDigestUnsubscribeToken(TEST_USER);
+
+    expect(verifyDigestUnsubscribeToken(token).sub).toBe("user123");
+  });
+
+  it("are not interchangeable with access tokens", () => {
+    process.env.JWT_ACCESS_SECRET = STRONG_SECRET_A;
+    __resetSecretForTesting();
+
+    expect(() =>
+      verifyAccessToken(generateDigestUnsubscribeToken(TEST_USER)),
+    ).toThrow();
+    expect(() =>
+      verifyDigestUnsubscribeToken(generateAccessToken(TEST_USER)),
+    ).toThrow();
+  });
+});
+
 // ── __resetSecretForTesting ────────────────────────────────────────────────
 
 describe("__resetSecretForTesting", () => {
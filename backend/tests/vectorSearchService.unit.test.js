@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import Note from "../src/models/Note.js";
+import logger from "../src/utils/logger.js";
+import {
+  resetVectorSearchState,
+  searchNoteVectors,
+} from "../src/services/vectorSearchService.js";
+
+vi.mock("../src/services/embeddingService.js", () => ({
+  EMBEDDING_DIMENSIONS: 3,
+}));
+
+const noteId = (suffix) => `64b000000000000000000${suffix}`;
+
+const storedNotes = [
+  { _id: noteId("001"), embedding: [1, 0, 0], embeddingUpdatedAt: new Date(1_000) },
+  { _id: noteId("002"), embedding: [0, 1, 0], embeddingUpdatedAt: new Date(2_000) },
+  { _id: noteId("003"), embedding: [0, 0, 1], embeddingUpdatedAt: new Date(3_000) },
+];
+
+// `Note.find` serves two shapes: a cursor over stored embeddings while the
+// index builds, and an awaited query for the access-filtered candidates.
+const mockNoteQueries = ({ failBuild = () => false } = {}) =>
+  vi.spyOn(Note, "find").mockImplementation((filter) => {
+    const query = {
+      select: () => query,
+      lean: () => query,
+      cursor: () => ({
+        async *[Symbol.asyncIterator]() {
+          if (failBuild()) {
+            throw new Error("cursor killed");
+          }
+          yield* storedNotes;
+        },
+      }),
+      then: (resolve, reject) => {
+        const ids = new Set(filter._id.$in.map((id) => id.toString()));
+        return Promise.resolve(
+          storedNotes
+            .filter((note) => ids.has(note._id))
+            .map((note) => ({ _id: note._id, title: `Note ${note._id.slice(-1)}` })),
+        ).then(resolve, reject);
+      },
+    };
+    return query;
+  });
+
+const search = (queryVector) =>
+  searchNoteVectors({
+    queryVector,
+    limit: 2,
+    numCandidates: 3,
+    projection: { title: 1 },
+  });
+
+beforeEach(() => {
+  process.env.VECTOR_SEARCH_BACKEND = "local";
+  resetVectorSearchState();
+});
+
+afterEach(() => {
+  delete process.env.VECTOR_SEARCH_BACKEND;
+  vi.restoreAllMocks();
+});
+
+describe("searchNoteVectors with the local index", () => {
+  it("answers from an index built from stored embeddings", async () => {
+    mockNoteQueries();
+
+    const { results, backend } = await search([0.9, 0.1, 0]);
+
+    expect(backend).toBe("local");
+    expect(results.map((entry) => entry._id)).toEqual([noteId("001"), noteId("002")]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it("rejects the search when the first build fails", async () => {
+    mockNoteQueries({ failBuild: () => true });
+
+    await expect(search([1, 0, 0])).rejects.toThrow("cursor killed");
+  });
+
+  it("keeps the old index when a background rebuild fails", async () => {
+    let builds = 0;
+    mockNoteQueries({ failBuild: () => (builds += 1) > 1 });
+    const warn = vi.spyOn(logger, "warn");
+    const startedAt = Date.now();
+    const now = vi.spyOn(Date, "now").mockReturnValue(startedAt);
+
+    await search([1, 0, 0]);
+
+    // Past the rebuild interval the index is stale and rebuilt in the background.
+    now.mockReturnValue(startedAt + 7 * 60 * 60 * 1000);
+    const { results } = await search([0, 0, 1]);
+    expect(results[0]._id).toBe(noteId("003"));
+
+    await vi.waitFor(() =>
+      expect(warn).toHaveBeenCalledWith("Failed to rebuild local vector index", {
+        message: "cursor killed",
+      }),
+    );
+    const retried = await search([0, 1, 0]);
+    expect(retried.results[0]._id).toBe(noteId("002"));
+  });
+});
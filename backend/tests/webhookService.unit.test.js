@@ -0,0 +1,152 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { EventEmitter } from "node:events";
+import dns from "node:dns/promises";
+import https from "node:https";
+
+import {
+  assertDeliverableUrl,
+  createPinnedLookup,
+  isPrivateAddress,
+  sendWebhookRequest,
+} from "../src/services/webhookService.js";
+
+const originalNodeEnv = process.env.NODE_ENV;
+
+beforeEach(() => {
+  process.env.NODE_ENV = "production";
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+});
+
+afterEach(() => {
+  process.env.NODE_ENV = originalNodeEnv;
+  vi.restoreAllMocks();
+});
+
+describe("isPrivateAddress", () => {
+  it.each([
+    "127.0.0.1",
+    "10.1.2.3",
+    "169.254.169.254",
+    "192.0.0.8",
+    "198.18.0.1",
+    "198.19.255.255",
+    "224.0.0.1",
+    "239.255.255.250",
+    "240.0.0.1",
+    "255.255.255.255",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "ff02::1",
+  ])("blocks %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each([
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "::ffff:a9fe:a9fe",
+    "::ffff:c0a8:101",
+    "::7f00:1",
+  ])("blocks the IPv4-mapped or compatible form %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111", "::ffff:808:808"])(
+    "allows %s",
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  );
+});
+
+describe("assertDeliverableUrl", () => {
+  it.each([
+    "https://[::ffff:127.0.0.1]/x",
+    "https://[::ffff:7f00:1]/x",
+    "https://[::ffff:a9fe:a9fe]/latest/meta-data",
+    "https://224.0.0.1/x",
+    "https://198.18.0.1/x",
+  ])("rejects %s in production", async (url) => {
+    await expect(assertDeliverableUrl(url)).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Webhook URL must point to a public address",
+    });
+  });
+
+  it("rejects hosts that resolve to a private address", async () => {
+    vi.spyOn(dns, "lookup").mockResolvedValue([
+      { address: "93.184.216.34", family: 4 },
+      { address: "::ffff:7f00:1", family: 6 },
+    ]);
+
+    await expect(
+      assertDeliverableUrl("https://hooks.example.com/x")
+    ).rejects.toThrow("Webhook URL must point to a public address");
+  });
+});
+
+describe("sendWebhookRequest", () => {
+  it("connects to the address that was checked, even if DNS changes", async () => {
+    const lookup = vi
+      .spyOn(dns, "lookup")
+      .mockResolvedValueOnce([{ address: "93.184.216.34", family: 4 }])
+      .mockResolvedValue([{ address: "127.0.0.1", family: 4 }]);
+
+    let requestOptions;
+    vi.spyOn(https, "request").mockImplementation((_url, options, onResponse) => {
+      requestOptions = options;
+      const req = new EventEmitter();
+      req.end = () => {
+        const res = new EventEmitter();
+        res.statusCode = 204;
+        onResponse(res);
+        res.emit("end");
+      };
+      return req;
+    });
+
+    const response = await sendWebhookRequest("https://hooks.example.com/x", {
+      headers: { "Content-Type": "application/json" },
+      body: "{}",
+    });
+    expect(response.status).toBe(204);
+    expect(lookup).toHaveBeenCalledTimes(1);
+
+    const single = await new Promise((resolve) =>
+      requestOptions.lookup("hooks.example.com", {}, (error, address, family) =>
+        resolve({ error, address, family })
+      )
+    );
+    expect(single).toEqual({ error: null, address: "93.184.216.34", family: 4 });
+
+    const all = await new Promise((resolve) =>
+      requestOptions.lookup("hooks.example.com", { all: true }, (error, addresses) =>
+        resolve(addresses)
+      )
+    );
+    expect(all).toEqual([{ address: "93.184.216.34", family: 4 }]);
+  });
+
+  it("does not issue a request when the host resolves privately", async () => {
+    vi.spyOn(dns, "lookup").mockResolvedValue([{ address: "10.0.0.5", family: 4 }]);
+    const requestSpy = vi.spyOn(https, "request");
+
+    await expect(
+      sendWebhookRequest("https://hooks.example.com/x", { headers: {}, body: "{}" })
+    ).rejects.toThrow("Webhook URL must point to a public address");
+    expect(requestSpy).not.toHaveBeenCalled();
+  });
+});
+
+describe("createPinnedLookup", () => {
+  it("answers the callback-only call shape", () => {
+    const callback = vi.fn();
+    createPinnedLookup([{ address: "2606:4700:4700::1111", family: 6 }])(
+      "hooks.example.com",
+      callback
+    );
+    expect(callback).toHaveBeenCalledWith(null, "2606:4700:4700::1111", 6);
+  });
+});
@@ -0,0 +1,226 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import http from "node:http";
+import crypto from "node:crypto";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import bcrypt from "bcryptjs";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Notebook from "../src/models/Notebook.js";
+import NotebookEvent from "../src/models/NotebookEvent.js";
+import Workspace from "../src/models/Workspace.js";
+import Webhook from "../src/models/Webhook.js";
+import WebhookDelivery from "../src/models/WebhookDelivery.js";
+import { appendNotebookEvent } from "../src/services/notebookEventService.js";
+import {
+  cancelScheduledWebhookDispatch,
+  dispatchDueWebhookDeliveries,
+} from "../src/services/webhookService.js";
+
+let app;
+let mongo;
+let receiver;
+let receiverUrl;
+let receivedRequests = [];
+let receiverStatus = 200;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "webhook-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), {
+    dbName: "webhooksController",
+  });
+
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      receivedRequests.push({ headers: req.headers, body });
+      res.writeHead(receiverStatus, { "Content-Type": "text/plain" });
+      res.end(receiverStatus < 300 ? "ok" : "nope");
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  cancelScheduledWebhookDispatch();
+  receivedRequests = [];
+  receiverStatus = 200;
+  await Promise.all([
+    WebhookDelivery.deleteMany({}),
+    Webhook.deleteMany({}),
+    NotebookEvent.deleteMany({}),
+    Notebook.deleteMany({}),
+    Workspace.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+const createUser = async (email) => {
+  const passwordHash = await bcrypt.hash("Password123!", 10);
+  const user = await User.create({
+    name: email.split("@")[0],
+    email,
+    passwordHash,
+    emailVerified: true,
+  });
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token };
+};
+
+const verifySignature = (secret, { headers, body }) => {
+  const parts = Object.fromEntries(
+    headers["x-notesboard-signature"].split(",").map((part) => part.split("="))
+  );
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${parts.t}.${body}`)
+    .digest("hex");
+  return expected === parts.v1;
+};
+
+describe("notebook webhooks", () => {
+  it("sends a signed test event and logs the response code", async () => {
+    const { user, token } = await createUser("owner@example.com");
+    const notebook = await Notebook.create({ owner: user._id, name: "Hooks" });
+
+    const created = await request(app)
+      .post(`/api/notebooks/${notebook._id}/webhooks`)
+      .set(authHeaders(token))
+      .send({ url: receiverUrl, description: "CI" });
+
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toMatch(/^whsec_/);
+
+    const list = await request(app)
+      .get(`/api/notebooks/${notebook._id}/webhooks`)
+      .set(authHeaders(token));
+    expect(list.body.webhooks).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain(created.body.secret);
+
+    const test = await request(app)
+      .post(
+        `/api/notebooks/${notebook._id}/webhooks/${created.body.webhook.id}/test`
+      )
+      .set(authHeaders(token));
+
+    expect(test.status).toBe(200);
+    expect(test.body.delivery).toMatchObject({
+      eventType: "webhook.test",
+      status: "succeeded",
+      responseStatus: 200,
+      attempts: 1,
+    });
+    expect(receivedRequests).toHaveLength(1);
+    expect(receivedRequests[0].headers["x-notesboard-event"]).toBe(
+      "webhook.test"
+    );
+    expect(verifySignature(created.body.secret, receivedRequests[0])).toBe(true);
+
+    const log = await request(app)
+      .get(
+        `/api/notebooks/${notebook._id}/webhooks/${created.body.webhook.id}/deliveries`
+      )
+      .set(authHeaders(token));
+    expect(log.body.deliveries).toHaveLength(1);
+    expect(log.body.deliveries[0].responseStatus).toBe(200);
+  });
+
+  it("delivers notebook events and backs off on failure", async () => {
+    const { user, token } = await createUser("owner@example.com");
+    const notebook = await Notebook.create({ owner: user._id, name: "Hooks" });
+
+    const created = await request(app)
+      .post(`/api/notebooks/${notebook._id}/webhooks`)
+      .set(authHeaders(token))
+      .send({ url: receiverUrl, eventTypes: ["notebook.update"] });
+    expect(created.status).toBe(201);
+
+    // Filtered out by eventTypes.
+    await appendNotebookEvent({
+      notebookId: notebook._id,
+      ownerId: user._id,
+      actorId: user._id,
+      eventType: "notebook.publish",
+    });
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+
+    receiverStatus = 500;
+    const event = await appendNotebookEvent({
+      notebookId: notebook._id,
+      ownerId: user._id,
+      actorId: user._id,
+      eventType: "notebook.update",
+      summary: "Renamed notebook",
+    });
+    cancelScheduledWebhookDispatch();
+    await dispatchDueWebhookDeliveries();
+
+    expect(receivedRequests).toHaveLength(1);
+    const payload = JSON.parse(receivedRequests[0].body);
+    expect(payload.type).toBe("notebook.update");
+    expect(payload.data.eventId).toBe(event._id.toString());
+
+    const delivery = await WebhookDelivery.findOne({}).lean();
+    expect(delivery.status).toBe("pending");
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.responseStatus).toBe(500);
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Retries stay queued until their backoff elapses.
+    await dispatchDueWebhookDeliveries();
+    expect(receivedRequests).toHaveLength(1);
+  });
+
+  it("restricts management to notebook owners and workspace admins", async () => {
+    const { user: owner } = await createUser("owner@example.com");
+    const { user: viewer, token: viewerToken } = await createUser(
+      "viewer@example.com"
+    );
+    const workspace = await Workspace.create({
+      name: "Team",
+      slug: `team-${Date.now()}`,
+      ownerId: owner._id,
+      members: [{ userId: viewer._id, role: "viewer", status: "active" }],
+    });
+
+    const response = await request(app)
+      .post(`/api/workspaces/${workspace._id}/webhooks`)
+      .set(authHeaders(viewerToken))
+      .send({ url: receiverUrl });
+    expect(response.status).toBe(403);
+
+    const invalid = await request(app)
+      .post(`/api/workspaces/${workspace._id}/webhooks`)
+      .set(authHeaders(viewerToken))
+      .send({ url: "ftp://example.com" });
+    expect(invalid.status).toBe(400);
+  });
+});
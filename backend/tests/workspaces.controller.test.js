@@ -0,0 +1,295 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+import { generateAccessToken } from "../src/utils/tokenService.js";
+import User from "../src/models/User.js";
+import Workspace from "../src/models/Workspace.js";
+import Notebook from "../src/models/Notebook.js";
+import Note from "../src/models/Note.js";
+import NoteHistory from "../src/models/NoteHistory.js";
+
+let app;
+let mongo;
+
+const authHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "X-Test-Client-Id": "workspace-tests",
+});
+
+beforeAll(async () => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_ACCESS_SECRET = "test-access-secret";
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), { dbName: "workspacesController" });
+
+  ({ default: app } = await import("../src/app.js"));
+});
+
+afterEach(async () => {
+  await Promise.all([
+    Note.deleteMany({}).setOptions({ withTrashed: true }),
+    NoteHistory.deleteMany({}),
+    Notebook.deleteMany({}),
+    Workspace.deleteMany({}),
+    User.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+});
+
+let userCounter = 0;
+
+const createUser = async (name) => {
+  userCounter += 1;
+  const user = await User.create({
+    name,
+    email: `${name.toLowerCase()}${userCounter}@example.com`,
+    passwordHash: "$2a$10$abcdefghijklmnopqrstuuFakeHashForTestsOnly1234567890ab",
+    emailVerified: true,
+  });
+  const personal = await Workspace.create({
+    name: `${name}'s workspace`,
+    slug: `personal-${userCounter}`,
+    ownerId: user._id,
+  });
+  user.defaultWorkspace = personal._id;
+  await user.save();
+
+  const token = generateAccessToken({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+  });
+  return { user, token, personal };
+};
+
+const createTeamWorkspace = async (owner, members = []) =>
+  Workspace.create({
+    name: "Team",
+    slug: `team-${userCounter}-${Date.now()}`,
+    ownerId: owner._id,
+    members: members.map(({ user, role }) => ({ userId: user._id, role })),
+  });
+
+describe("workspace lifecycle", () => {
+  it("creates and renames a workspace", async () => {
+    const { token } = await createUser("Ada");
+
+    const created = await request(app)
+      .post("/api/workspaces")
+      .set(authHeaders(token))
+      .send({ name: "Research" });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: "Research", role: "owner" });
+
+    const renamed = await request(app)
+      .patch(`/api/workspaces/${created.body.id}`)
+      .set(authHeaders(token))
+      .send({ name: "Research lab" });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.name).toBe("Research lab");
+
+    const list = await request(app).get("/api/workspaces").set(authHeaders(token));
+    expect(list.body.map((workspace) => workspace.name)).toEqual(
+      expect.arrayContaining(["Ada's workspace", "Research lab"]),
+    );
+    expect(list.body.find((workspace) => workspace.isDefault).name).toBe(
+      "Ada's workspace",
+    );
+  });
+
+  it("lets only owners change admin roles", async () => {
+    const owner = await createUser("Owner");
+    const admin = await createUser("Admin");
+    const editor = await createUser("Editor");
+    const workspace = await createTeamWorkspace(owner.user, [
+      { user: admin.user, role: "admin" },
+      { user: editor.user, role: "editor" },
+    ]);
+
+    const promote = await request(app)
+      .patch(`/api/workspaces/${workspace._id}/members/${editor.user._id}`)
+      .set(authHeaders(admin.token))
+      .send({ role: "admin" });
+    expect(promote.status).toBe(403);
+
+    const demote = await request(app)
+      .patch(`/api/workspaces/${workspace._id}/members/${editor.user._id}`)
+      .set(authHeaders(admin.token))
+      .send({ role: "viewer" });
+    expect(demote.status).toBe(200);
+    expect(
+      demote.body.members.find((member) => member.id === editor.user.id).role,
+    ).toBe("viewer");
+
+    const removeAdmin = await request(app)
+      .delete(`/api/workspaces/${workspace._id}/members/${admin.user._id}`)
+      .set(authHeaders(editor.token));
+    expect(removeAdmin.status).toBe(403);
+
+    const leave = await request(app)
+      .delete(`/api/workspaces/${workspace._id}/members/${editor.user._id}`)
+      .set(authHeaders(editor.token));
+    expect(leave.status).toBe(204);
+  });
+
+  it("transfers ownership to a member and keeps the old owner as admin", async () => {
+    const owner = await createUser("Owner");
+    const member = await createUser("Member");
+    const outsider = await createUser("Outsider");
+    const workspace = await createTeamWorkspace(owner.user, [
+      { user: member.user, role: "editor" },
+    ]);
+
+    const invalid = await request(app)
+      .post(`/api/workspaces/${workspace._id}/transfer`)
+      .set(authHeaders(owner.token))
+      .send({ newOwnerId: outsider.user.id });
+    expect(invalid.status).toBe(400);
+
+    const transfer = await request(app)
+      .post(`/api/workspaces/${workspace._id}/transfer`)
+      .set(authHeaders(owner.token))
+      .send({ newOwnerId: member.user.id });
+    expect(transfer.status).toBe(200);
+
+    const stored = await Workspace.findById(workspace._id).lean();
+    expect(String(stored.ownerId)).toBe(member.user.id);
+    expect(stored.members).toHaveLength(1);
+    expect(String(stored.members[0].userId)).toBe(owner.user.id);
+    expect(stored.members[0].role).toBe("admin");
+  });
+
+  it("moves content into another managed workspace on delete", async () => {
+    const { user, token, personal } = await createUser("Mover");
+    const workspace = await createTeamWorkspace(user);
+    const notebook = await Notebook.create({
+      owner: user._id,
+      workspaceId: workspace._id,
+      name: "Specs",
+    });
+    await Note.create({
+      owner: user._id,
+      workspaceId: workspace._id,
+      notebookId: notebook._id,
+      title: "Spec",
+      content: "Body",
+    });
+
+    const plan = await request(app)
+      .get(`/api/workspaces/${workspace._id}/deletion-plan`)
+      .set(authHeaders(token));
+    expect(plan.status).toBe(200);
+    expect(plan.body).toMatchObject({ notebookCount: 1, noteCount: 1 });
+    expect(plan.body.moveTargets.map((target) => target.id)).toContain(
+      personal._id.toString(),
+    );
+
+    const wrongName = await request(app)
+      .delete(`/api/workspaces/${workspace._id}`)
+      .set(authHeaders(token))
+      .send({ mode: "move", targetWorkspaceId: personal._id, confirmName: "x" });
+    expect(wrongName.status).toBe(400);
+
+    const deleted = await request(app)
+      .delete(`/api/workspaces/${workspace._id}`)
+      .set(authHeaders(token))
+      .send({
+        mode: "move",
+        targetWorkspaceId: personal._id,
+        confirmName: "Team",
+      });
+    expect(deleted.status).toBe(200);
+    expect(deleted.body).toMatchObject({ notes: 1, notebooks: 1 });
+
+    expect(await Workspace.exists({ _id: workspace._id })).toBeNull();
+    const note = await Note.findOne({ title: "Spec" }).lean();
+    expect(String(note.workspaceId)).toBe(personal._id.toString());
+  });
+
+  it("moves notes to the trash on delete in trash mode", async () => {
+    const { user, token } = await createUser("Trasher");
+    const workspace = await createTeamWorkspace(user);
+    await Note.create({
+      owner: user._id,
+      workspaceId: workspace._id,
+      title: "Draft",
+      content: "Body",
+    });
+
+    const deleted = await request(app)
+      .delete(`/api/workspaces/${workspace._id}`)
+      .set(authHeaders(token))
+      .send({ mode: "trash", confirmName: "Team" });
+    expect(deleted.status).toBe(200);
+
+    const trash = await request(app)
+      .get("/api/notes/trash")
+      .set(authHeaders(token));
+    expect(trash.body.notes.map((note) => note.title)).toEqual(["Draft"]);
+  });
+
+  it("refuses to delete the requester's default workspace", async () => {
+    const { token, personal } = await createUser("Keeper");
+
+    const response = await request(app)
+      .delete(`/api/workspaces/${personal._id}`)
+      .set(authHeaders(token))
+      .send({ mode: "trash", confirmName: "Keeper's workspace" });
+    expect(response.status).toBe(409);
+  });
+
+  it("scopes note and notebook lists to the selected workspace", async () => {
+    const { user, token, personal } = await createUser("Scoper");
+    const workspace = await createTeamWorkspace(user);
+    await Notebook.create({ owner: user._id, name: "Legacy" });
+    await Notebook.create({
+      owner: user._id,
+      workspaceId: workspace._id,
+      name: "Team book",
+    });
+    await Note.create({
+      owner: user._id,
+      workspaceId: workspace._id,
+      title: "Team note",
+      content: "Body",
+    });
+    await Note.create({
+      owner: user._id,
+      workspaceId: personal._id,
+      title: "Personal note",
+      content: "Body",
+    });
+
+    const teamNotebooks = await request(app)
+      .get("/api/notebooks")
+      .query({ workspaceId: workspace._id.toString() })
+      .set(authHeaders(token));
+    expect(teamNotebooks.body.notebooks.map((nb) => nb.name)).toEqual([
+      "Team book",
+    ]);
+
+    // Notebooks without a workspace belong to the default one.
+    const personalNotebooks = await request(app)
+      .get("/api/notebooks")
+      .query({ workspaceId: personal._id.toString() })
+      .set(authHeaders(token));
+    expect(personalNotebooks.body.notebooks.map((nb) => nb.name)).toEqual([
+      "Legacy",
+    ]);
+
+    const teamNotes = await request(app)
+      .get("/api/notes")
+      .query({ workspaceId: workspace._id.toString() })
+      .set(authHeaders(token));
+    expect(teamNotes.body.data.map((note) => note.title)).toEqual(["Team note"]);
+  });
+});
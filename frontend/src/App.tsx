@@ -14,6 +14,7 @@ const RegisterPage = lazy(() => import("./pages/RegisterPage"));
 const VerifyEmailPage = lazy(() => import("./pages/VerifyEmailPage"));
 const ForgotPasswordPage = lazy(() => import("./pages/ForgotPasswordPage"));
 const ResetPasswordPage = lazy(() => import("./pages/ResetPasswordPage"));
+const UnsubscribePage = lazy(() => import("./pages/UnsubscribePage"));
 const PrivacyPage = lazy(() => import("./pages/PrivacyPage"));
 const TermsPage = lazy(() => import("./pages/TermsPage"));
 const PublishedNotebookPage = lazy(
@@ -21,12 +22,14 @@ const PublishedNotebookPage = lazy(
 );
 const PublishedNotePage = lazy(() => import("./pages/published-note-page"));
 const NotebookInvitePage = lazy(() => import("./pages/NotebookInvitePage"));
+const SharedNotebookPage = lazy(() => import("./pages/SharedNotebookPage"));
 const DashboardPage = lazy(() => import("./pages/DashboardPage"));
 const HomePage = lazy(() => import("./pages/HomePage"));
 const CreatePage = lazy(() => import("./pages/CreatePage"));
 const NoteDetailPage = lazy(() => import("./pages/NoteDetailPage"));
 const ProfilePage = lazy(() => import("./pages/ProfilePage"));
 const TrashPage = lazy(() => import("./pages/TrashPage"));
+const ArchivePage = lazy(() => import("./pages/ArchivePage"));
 
 const RouteFallback = () => (
   <div className="flex min-h-screen items-center justify-center px-4">
@@ -51,10 +54,12 @@ const App = () => {
           <Route path="/verify-email" element={<VerifyEmailPage />} />
           <Route path="/forgot-password" element={<ForgotPasswordPage />} />
           <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/unsubscribe" element={<UnsubscribePage />} />
           <Route path="/privacy" element={<PrivacyPage />} />
           <Route path="/terms" element={<TermsPage />} />
           <Route path="/published/:slug" element={<PublishedNotebookPage />} />
           <Route path="/published/note/:slug" element={<PublishedNotePage />} />
+          <Route path="/notebook/share" element={<SharedNotebookPage />} />
           <Route
             path="/notebook/invite"
             element={
@@ -111,6 +116,14 @@ const App = () => {
               </RequireAuth>
             }
           />
+          <Route
+            path="/archive"
+            element={
+              <RequireAuth>
+                <ArchivePage />
+              </RequireAuth>
+            }
+          />
         </Routes>
       </Suspense>
     </div>
@@ -1,10 +1,13 @@
 /**
  * AiSummaryCard – Displays an AI-generated summary and interactive action items
- * with a subtle animated gradient border to indicate AI origin.
+ * (with optional due dates and reminders) inside a subtle animated gradient
+ * border to indicate AI origin.
  */
 import { CheckCircleIcon, CircleIcon, SparklesIcon, XIcon } from "lucide-react";
 import { useState } from "react";
 import type { ActionItem } from "../hooks/useAiFeatures";
+import type { ScheduleDates } from "../lib/dueDates";
+import DueDatePopover from "./DueDatePopover";
 
 interface AiSummaryCardProps {
   summary: string;
@@ -12,6 +15,8 @@ interface AiSummaryCardProps {
   generatedAt?: string;
   onDismiss?: () => void;
   onToggleItem?: (itemId: string) => void;
+  onScheduleItem?: (itemId: string, dates: ScheduleDates) => void;
+  schedulingItemId?: string | null;
 }
 
 function AiSummaryCard({
@@ -20,6 +25,8 @@ function AiSummaryCard({
   generatedAt,
   onDismiss,
   onToggleItem,
+  onScheduleItem,
+  schedulingItemId = null,
 }: AiSummaryCardProps) {
   const [dismissed, setDismissed] = useState(false);
 
@@ -97,10 +104,10 @@ function AiSummaryCard({
 
             <ul className="space-y-1">
               {actionItems.map((item) => (
-                <li key={item._id}>
+                <li key={item._id} className="flex items-start gap-1">
                   <button
                     type="button"
-                    className="group flex w-full items-start gap-2.5 rounded-lg px-1.5 py-1 text-left text-sm transition-colors hover:bg-base-200/60"
+                    className="group flex min-w-0 flex-1 items-start gap-2.5 rounded-lg px-1.5 py-1 text-left text-sm transition-colors hover:bg-base-200/60"
                     onClick={() => onToggleItem?.(item._id)}
                   >
                     {item.completed ? (
@@ -118,6 +125,20 @@ function AiSummaryCard({
                       {item.text}
                     </span>
                   </button>
+                  {!item.completed && (
+                    <span className="shrink-0 pt-1">
+                      <DueDatePopover
+                        dueAt={item.dueAt ?? null}
+                        remindAt={item.remindAt ?? null}
+                        onChange={(dates) => onScheduleItem?.(item._id, dates)}
+                        disabled={!onScheduleItem}
+                        hideWhenEmpty={!onScheduleItem}
+                        saving={schedulingItemId === item._id}
+                        label="due"
+                        align="end"
+                      />
+                    </span>
+                  )}
                 </li>
               ))}
             </ul>
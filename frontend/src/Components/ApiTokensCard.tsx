@@ -0,0 +1,278 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { CopyIcon, KeyIcon, LoaderIcon, Trash2Icon } from "lucide-react";
+import { toast } from "sonner";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import { formatDate, formatRelativeTime } from "../lib/Utils";
+import type {
+  ApiTokenScope,
+  ApiTokensResponse,
+  CreatedApiTokenResponse,
+} from "../types/api";
+
+const TOKENS_QUERY_KEY = ["api-tokens"];
+
+const SCOPE_DESCRIPTIONS: Record<ApiTokenScope, string> = {
+  "notes:read": "Read notes and notebooks",
+  "notes:write": "Create, edit and delete notes",
+  "notebooks:admin": "Manage notebooks, sharing and publishing",
+};
+
+const EXPIRY_OPTIONS = [
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "1 year" },
+  { value: "", label: "Never" },
+];
+
+interface CreateTokenPayload {
+  name: string;
+  scopes: ApiTokenScope[];
+  expiresInDays: number | null;
+}
+
+/** Create, list and revoke personal access tokens for scripting the API. */
+const ApiTokensCard = () => {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState<ApiTokenScope[]>(["notes:read"]);
+  const [expiry, setExpiry] = useState("90");
+  const [createdToken, setCreatedToken] = useState<string | null>(null);
+
+  const tokensQuery = useQuery<ApiTokensResponse>({
+    queryKey: TOKENS_QUERY_KEY,
+    queryFn: async () => {
+      const response = await api.get("/auth/tokens");
+      return response.data;
+    },
+    staleTime: 30_000,
+  });
+
+  const createMutation = useMutation<
+    CreatedApiTokenResponse,
+    Error,
+    CreateTokenPayload
+  >({
+    mutationFn: async (payload) => {
+      const response = await api.post("/auth/tokens", payload);
+      return response.data;
+    },
+    onSuccess: (data) => {
+      setCreatedToken(data.token);
+      setName("");
+      queryClient.invalidateQueries({ queryKey: TOKENS_QUERY_KEY });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to create token"));
+    },
+  });
+
+  const revokeMutation = useMutation<unknown, Error, string>({
+    mutationFn: (tokenId) => api.delete(`/auth/tokens/${tokenId}`),
+    onSuccess: () => {
+      toast.success("Token revoked");
+      queryClient.invalidateQueries({ queryKey: TOKENS_QUERY_KEY });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to revoke token"));
+    },
+  });
+
+  const tokens = tokensQuery.data?.tokens ?? [];
+  const availableScopes =
+    tokensQuery.data?.availableScopes ??
+    (Object.keys(SCOPE_DESCRIPTIONS) as ApiTokenScope[]);
+
+  const toggleScope = (scope: ApiTokenScope) => {
+    setScopes((prev) =>
+      prev.includes(scope)
+        ? prev.filter((value) => value !== scope)
+        : [...prev, scope],
+    );
+  };
+
+  const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!name.trim() || !scopes.length || createMutation.isPending) return;
+    createMutation.mutate({
+      name: name.trim(),
+      scopes,
+      expiresInDays: expiry ? Number(expiry) : null,
+    });
+  };
+
+  const handleCopy = async () => {
+    if (!createdToken) return;
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      toast.success("Token copied");
+    } catch {
+      toast.error("Copy failed — select the token and copy it manually");
+    }
+  };
+
+  return (
+    <div className="card border border-base-300/60 bg-base-100/90 shadow-lg rounded-2xl">
+      <div className="card-body space-y-5">
+        <div className="space-y-1">
+          <h3 className="flex items-center gap-2 text-base font-bold text-secondary">
+            <KeyIcon className="size-4" />
+            API tokens
+          </h3>
+          <p className="text-xs text-base-content/60">
+            Send a token as <code>Authorization: Bearer &lt;token&gt;</code> to
+            call the notes and notebooks API from scripts.
+          </p>
+        </div>
+
+        {createdToken ? (
+          <div className="alert alert-success flex-col items-stretch gap-2 text-sm">
+            <p className="font-semibold">
+              Copy your new token now — it won&apos;t be shown again.
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 break-all rounded-lg bg-base-100 px-3 py-2 text-xs text-base-content">
+                {createdToken}
+              </code>
+              <button
+                type="button"
+                className="btn btn-sm btn-ghost btn-square"
+                onClick={handleCopy}
+                aria-label="Copy token"
+              >
+                <CopyIcon className="size-4" />
+              </button>
+            </div>
+            <button
+              type="button"
+              className="btn btn-xs btn-ghost self-end"
+              onClick={() => setCreatedToken(null)}
+            >
+              Done
+            </button>
+          </div>
+        ) : null}
+
+        {tokensQuery.isError ? (
+          <div className="alert alert-error text-xs">
+            {extractApiError(tokensQuery.error, "Failed to load tokens")}
+          </div>
+        ) : null}
+
+        {tokensQuery.isLoading ? (
+          <div className="flex items-center gap-2 text-sm text-base-content/70">
+            <LoaderIcon className="size-4 animate-spin" />
+            Loading tokens…
+          </div>
+        ) : tokens.length ? (
+          <ul className="divide-y divide-base-300/60 rounded-xl border border-base-300/60 bg-base-200/60">
+            {tokens.map((token) => (
+              <li
+                key={token.id}
+                className="flex flex-col gap-2 px-4 py-3 sm:flex-row sm:items-center sm:justify-between"
+              >
+                <div className="min-w-0 space-y-1">
+                  <p className="text-sm font-semibold text-base-content">
+                    {token.name}{" "}
+                    <code className="text-xs font-normal text-base-content/50">
+                      {token.displayPrefix}…
+                    </code>
+                  </p>
+                  <div className="flex flex-wrap gap-1">
+                    {token.scopes.map((scope) => (
+                      <span key={scope} className="badge badge-sm badge-outline">
+                        {scope}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-xs text-base-content/60">
+                    {token.lastUsedAt
+                      ? `Last used ${formatRelativeTime(new Date(token.lastUsedAt))}`
+                      : "Never used"}
+                    {" · "}
+                    {token.expiresAt
+                      ? `Expires ${formatDate(new Date(token.expiresAt))}`
+                      : "No expiry"}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm gap-1 text-error self-start sm:self-auto"
+                  onClick={() => revokeMutation.mutate(token.id)}
+                  disabled={revokeMutation.isPending}
+                >
+                  <Trash2Icon className="size-4" />
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-base-content/60">
+            No active tokens.
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="flex flex-col gap-3 sm:flex-row">
+            <input
+              type="text"
+              placeholder="Token name, e.g. Nightly backup"
+              className="input input-bordered flex-1 rounded-xl bg-base-200/70"
+              value={name}
+              maxLength={80}
+              onChange={(event) => setName(event.target.value)}
+              required
+            />
+            <select
+              className="select select-bordered rounded-xl bg-base-200/70 sm:max-w-[10rem]"
+              value={expiry}
+              onChange={(event) => setExpiry(event.target.value)}
+              aria-label="Expires after"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <fieldset className="space-y-2">
+            <legend className="text-xs font-semibold text-base-content/70">
+              Scopes
+            </legend>
+            {availableScopes.map((scope) => (
+              <label key={scope} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <code className="text-xs">{scope}</code>
+                <span className="text-base-content/60">
+                  {SCOPE_DESCRIPTIONS[scope] ?? ""}
+                </span>
+              </label>
+            ))}
+          </fieldset>
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm sm:btn-md gap-2"
+            disabled={!name.trim() || !scopes.length || createMutation.isPending}
+          >
+            {createMutation.isPending ? (
+              <span className="loading loading-spinner loading-xs" />
+            ) : (
+              <KeyIcon className="size-4" />
+            )}
+            Generate token
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ApiTokensCard;
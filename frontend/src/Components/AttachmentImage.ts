@@ -0,0 +1,206 @@
+import { Node, mergeAttributes } from "@tiptap/core";
+import type { Editor } from "@tiptap/core";
+import { ReactNodeViewRenderer } from "@tiptap/react";
+import { Plugin, PluginKey } from "@tiptap/pm/state";
+import { toast } from "sonner";
+import AttachmentImageView from "./AttachmentImageView";
+import {
+  MAX_ATTACHMENT_BYTES,
+  INLINE_IMAGE_TYPES,
+  isInlineImage,
+  uploadNoteAttachment,
+} from "../lib/attachments";
+import { extractApiError } from "../lib/extractApiError";
+
+export const ATTACHMENT_IMAGE_NODE_NAME = "image";
+
+const imageDropKey = new PluginKey("attachmentImageDrop");
+
+const EXTERNAL_IMAGE_SRC = /^https?:\/\//i;
+
+export interface AttachmentImageAttributes {
+  attachmentId?: string | null;
+  src?: string | null;
+  alt?: string | null;
+  title?: string | null;
+}
+
+interface AttachmentImageOptions {
+  getNoteId: () => string | null;
+}
+
+declare module "@tiptap/core" {
+  interface Commands<ReturnType> {
+    attachmentImage: {
+      setAttachmentImage: (attributes: AttachmentImageAttributes) => ReturnType;
+      /** Open a file picker and insert the chosen images at the cursor. */
+      pickAttachmentImages: () => ReturnType;
+    };
+  }
+}
+
+/**
+ * Upload image files to the note and insert them at `pos` (or the current
+ * selection). Non-image files and oversized images are rejected up front.
+ */
+export const insertImageFiles = async (
+  editor: Editor,
+  noteId: string,
+  files: File[],
+  pos?: number,
+) => {
+  let insertAt = pos;
+  for (const file of files) {
+    if (!isInlineImage(file)) {
+      toast.error(`${file.name} is not a supported image`);
+      continue;
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      toast.error(`${file.name} is too large (max 10 MB)`);
+      continue;
+    }
+    try {
+      const attachment = await uploadNoteAttachment(noteId, file);
+      const content = {
+        type: ATTACHMENT_IMAGE_NODE_NAME,
+        attrs: { attachmentId: attachment.id, alt: attachment.fileName },
+      };
+      if (typeof insertAt === "number" && !editor.isDestroyed) {
+        editor.chain().insertContentAt(insertAt, content).run();
+        insertAt += 1;
+      } else if (!editor.isDestroyed) {
+        editor.chain().focus().insertContent(content).run();
+      }
+    } catch (error) {
+      toast.error(extractApiError(error, `Failed to upload ${file.name}`));
+    }
+  }
+};
+
+const imageFilesFrom = (list: FileList | null | undefined): File[] =>
+  Array.from(list ?? []).filter((file) => file.type.startsWith("image/"));
+
+/**
+ * Block image node. Uploaded images store the attachment id and are fetched
+ * through the authenticated API; pasted `http(s)` images keep their `src`.
+ */
+const AttachmentImage = Node.create<AttachmentImageOptions>({
+  name: ATTACHMENT_IMAGE_NODE_NAME,
+  group: "block",
+  atom: true,
+  draggable: true,
+
+  addOptions() {
+    return {
+      getNoteId: () => null,
+    };
+  },
+
+  addAttributes() {
+    return {
+      attachmentId: {
+        default: null,
+        parseHTML: (element) => element.getAttribute("data-attachment-id"),
+        renderHTML: (attributes) =>
+          attributes.attachmentId
+            ? { "data-attachment-id": attributes.attachmentId }
+            : {},
+      },
+      src: {
+        default: null,
+        parseHTML: (element) => {
+          const src = element.getAttribute("src");
+          return src && EXTERNAL_IMAGE_SRC.test(src) ? src : null;
+        },
+      },
+      alt: { default: null },
+      title: { default: null },
+    };
+  },
+
+  parseHTML() {
+    return [
+      { tag: "img[data-attachment-id]" },
+      {
+        tag: "img[src]",
+        getAttrs: (element) =>
+          EXTERNAL_IMAGE_SRC.test(
+            (element as HTMLElement).getAttribute("src") ?? "",
+          )
+            ? null
+            : false,
+      },
+    ];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ["img", mergeAttributes({ class: "note-image" }, HTMLAttributes)];
+  },
+
+  renderText({ node }) {
+    return node.attrs.alt ? `[image: ${node.attrs.alt}]` : "[image]";
+  },
+
+  addNodeView() {
+    return ReactNodeViewRenderer(AttachmentImageView);
+  },
+
+  addCommands() {
+    return {
+      setAttachmentImage:
+        (attributes) =>
+        ({ commands }) =>
+          commands.insertContent({ type: this.name, attrs: attributes }),
+      pickAttachmentImages:
+        () =>
+        ({ editor }) => {
+          const noteId = this.options.getNoteId();
+          if (!noteId || !editor.isEditable) return false;
+          const input = document.createElement("input");
+          input.type = "file";
+          input.accept = INLINE_IMAGE_TYPES.join(",");
+          input.multiple = true;
+          input.onchange = () => {
+            void insertImageFiles(editor, noteId, imageFilesFrom(input.files));
+          };
+          input.click();
+          return true;
+        },
+    };
+  },
+
+  addProseMirrorPlugins() {
+    const { editor, options } = this;
+    return [
+      new Plugin({
+        key: imageDropKey,
+        props: {
+          handlePaste: (_view, event) => {
+            const noteId = options.getNoteId();
+            const files = imageFilesFrom(event.clipboardData?.files);
+            if (!noteId || !files.length || !editor.isEditable) return false;
+            event.preventDefault();
+            void insertImageFiles(editor, noteId, files);
+            return true;
+          },
+          handleDrop: (view, event, _slice, moved) => {
+            const noteId = options.getNoteId();
+            const files = imageFilesFrom(event.dataTransfer?.files);
+            if (moved || !noteId || !files.length || !editor.isEditable) {
+              return false;
+            }
+            event.preventDefault();
+            const coordinates = view.posAtCoords({
+              left: event.clientX,
+              top: event.clientY,
+            });
+            void insertImageFiles(editor, noteId, files, coordinates?.pos);
+            return true;
+          },
+        },
+      }),
+    ];
+  },
+});
+
+export default AttachmentImage;
@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { NodeViewWrapper, type NodeViewProps } from "@tiptap/react";
+import { ImageOffIcon } from "lucide-react";
+import { getAttachmentObjectUrl } from "../lib/attachments";
+
+type ImageState =
+  | { status: "loading" }
+  | { status: "ready"; url: string }
+  | { status: "error" };
+
+/** Node view for the image node: resolves attachment ids to object URLs. */
+const AttachmentImageView = ({ node, editor, selected }: NodeViewProps) => {
+  const attachmentId = (node.attrs.attachmentId as string | null) ?? null;
+  const src = (node.attrs.src as string | null) ?? null;
+  const alt = (node.attrs.alt as string | null) ?? "";
+  const noteId =
+    (editor.extensionManager.extensions.find(
+      (extension) => extension.name === node.type.name,
+    )?.options.getNoteId?.() as string | null | undefined) ?? null;
+
+  const [state, setState] = useState<ImageState>(
+    src ? { status: "ready", url: src } : { status: "loading" },
+  );
+
+  useEffect(() => {
+    if (src) {
+      setState({ status: "ready", url: src });
+      return;
+    }
+    if (!attachmentId || !noteId) {
+      setState({ status: "error" });
+      return;
+    }
+
+    let cancelled = false;
+    setState({ status: "loading" });
+    getAttachmentObjectUrl(noteId, attachmentId)
+      .then((url) => {
+        if (!cancelled) setState({ status: "ready", url });
+      })
+      .catch(() => {
+        if (!cancelled) setState({ status: "error" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [attachmentId, noteId, src]);
+
+  return (
+    <NodeViewWrapper
+      as="figure"
+      className={`note-image ${selected ? "is-selected" : ""}`}
+      data-drag-handle
+    >
+      {state.status === "ready" ? (
+        <img src={state.url} alt={alt} draggable={false} />
+      ) : state.status === "loading" ? (
+        <div className="note-image__placeholder">
+          <span className="loading loading-spinner loading-sm text-primary" />
+        </div>
+      ) : (
+        <div className="note-image__placeholder text-base-content/50">
+          <ImageOffIcon className="size-5" />
+          <span className="text-xs">Image unavailable</span>
+        </div>
+      )}
+    </NodeViewWrapper>
+  );
+};
+
+export default AttachmentImageView;
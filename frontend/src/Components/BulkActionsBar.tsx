@@ -1,5 +1,7 @@
 import { useMemo, type ChangeEvent } from "react";
 import {
+  ArchiveIcon,
+  CopyIcon,
   ListChecksIcon,
   FolderIcon,
   PinIcon,
@@ -49,8 +51,10 @@ interface BulkActionsBarProps {
   onClearSelection: () => void;
   onPinSelected: () => void;
   onUnpinSelected: () => void;
+  onArchiveSelected?: () => void;
   onAddTags: () => void;
   onMoveNotebook: () => void;
+  onCopySelected?: () => void;
   onDelete: () => void;
   busy?: boolean;
   notebookOptions?: NotebookOption[];
@@ -62,8 +66,10 @@ function BulkActionsBar({
   onClearSelection,
   onPinSelected,
   onUnpinSelected,
+  onArchiveSelected,
   onAddTags,
   onMoveNotebook,
+  onCopySelected,
   onDelete,
   busy,
   notebookOptions = [],
@@ -111,6 +117,14 @@ function BulkActionsBar({
           onClick={onUnpinSelected}
           disabled={busy}
         />
+        {onArchiveSelected ? (
+          <ActionButton
+            icon={ArchiveIcon}
+            label="Archive"
+            onClick={onArchiveSelected}
+            disabled={busy}
+          />
+        ) : null}
         <ActionButton
           icon={TagsIcon}
           label="Tags"
@@ -123,6 +137,14 @@ function BulkActionsBar({
           onClick={onMoveNotebook}
           disabled={busy}
         />
+        {onCopySelected ? (
+          <ActionButton
+            icon={CopyIcon}
+            label="Copy"
+            onClick={onCopySelected}
+            disabled={busy}
+          />
+        ) : null}
         {notebookOptions.length > 0 && (
           <>
             <label htmlFor="bulk-move-notebook" className="sr-only">
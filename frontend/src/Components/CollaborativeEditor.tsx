@@ -13,6 +13,14 @@ import type { HocuspocusProvider } from "@hocuspocus/provider";
 import * as Y from "yjs";
 import "tippy.js/dist/tippy.css";
 import SlashCommands from "./SlashCommands";
+import { createMentionExtension } from "./MentionSuggestions";
+import { createWikiLinkExtension } from "./WikiLinks";
+import AttachmentImage from "./AttachmentImage";
+import CommentHighlights, {
+  createCommentAnchor,
+  setCommentHighlights,
+  type CommentHighlight,
+} from "./CommentHighlights";
 import lowlight from "../lib/lowlight";
 import {
   BoldIcon,
@@ -22,8 +30,10 @@ import {
   QuoteIcon,
   StrikethroughIcon,
   CodeIcon,
+  MessageSquarePlusIcon,
 } from "lucide-react";
 import type { AppIcon } from "../types/icon";
+import type { NoteCommentAnchor } from "../types/api";
 const VoiceInputButton = lazy(() => import("./VoiceInputButton"));
 
 export interface ToolbarButtonProps {
@@ -60,13 +70,42 @@ const ToolbarButton = ({
   );
 };
 
-const BubbleToolbar = ({ editor }: { editor: Editor }) => {
+const BubbleToolbar = ({
+  editor,
+  readOnly,
+  onAddComment,
+}: {
+  editor: Editor;
+  readOnly: boolean;
+  onAddComment?: (anchor: NoteCommentAnchor) => void;
+}) => {
   const wrap = (fn: () => void) => (e: React.MouseEvent<HTMLButtonElement>) => {
     e.preventDefault();
     e.stopPropagation();
     fn();
   };
 
+  const commentButton = onAddComment ? (
+    <ToolbarButton
+      icon={MessageSquarePlusIcon}
+      label="Comment on selection"
+      onClick={wrap(() => {
+        const anchor = createCommentAnchor(editor);
+        if (anchor) onAddComment(anchor);
+      })}
+      active={false}
+      disabled={false}
+    />
+  ) : null;
+
+  if (readOnly) {
+    return (
+      <div className="flex items-center gap-0.5 rounded-xl border border-base-300/50 bg-base-100 px-1.5 py-1 shadow-lg">
+        {commentButton}
+      </div>
+    );
+  }
+
   return (
     <div className="flex items-center gap-0.5 rounded-xl border border-base-300/50 bg-base-100 px-1.5 py-1 shadow-lg">
       <ToolbarButton
@@ -119,6 +158,12 @@ const BubbleToolbar = ({ editor }: { editor: Editor }) => {
         active={editor.isActive("codeBlock")}
         disabled={!editor.can().chain().focus().toggleCodeBlock().run()}
       />
+      {commentButton ? (
+        <>
+          <span className="mx-0.5 h-4 w-px bg-base-300/60" />
+          {commentButton}
+        </>
+      ) : null}
     </div>
   );
 };
@@ -137,6 +182,16 @@ export interface CollaborativeEditorProps {
   readOnly?: boolean;
   onReady?: (editor: Editor) => void;
   onTyping?: () => void;
+  /** Enables `@` mentions and image uploads scoped to this note. */
+  noteId?: string | null;
+  /** Called when a `[[Note title]]` link is clicked. */
+  onOpenLinkedNote?: (noteId: string) => void;
+  /** Open comment threads to highlight in the document. */
+  commentHighlights?: CommentHighlight[];
+  activeCommentId?: string | null;
+  onSelectComment?: (threadId: string) => void;
+  /** When set, a selection shows a "Comment" action — even in read-only mode. */
+  onAddComment?: (anchor: NoteCommentAnchor) => void;
 }
 
 const CollaborativeEditor = ({
@@ -148,6 +203,12 @@ const CollaborativeEditor = ({
   readOnly = false,
   onReady,
   onTyping,
+  noteId = null,
+  onOpenLinkedNote,
+  commentHighlights,
+  activeCommentId,
+  onSelectComment,
+  onAddComment,
 }: CollaborativeEditorProps) => {
   if (!provider || !doc) {
     return (
@@ -167,6 +228,12 @@ const CollaborativeEditor = ({
       readOnly={readOnly}
       onReady={onReady}
       onTyping={onTyping}
+      noteId={noteId}
+      onOpenLinkedNote={onOpenLinkedNote}
+      commentHighlights={commentHighlights}
+      activeCommentId={activeCommentId}
+      onSelectComment={onSelectComment}
+      onAddComment={onAddComment}
     />
   );
 };
@@ -184,17 +251,38 @@ const CollaborativeEditorInner = ({
   readOnly = false,
   onReady,
   onTyping,
+  noteId = null,
+  onOpenLinkedNote,
+  commentHighlights,
+  activeCommentId = null,
+  onSelectComment,
+  onAddComment,
 }: Omit<CollaborativeEditorProps, "provider" | "doc"> & {
   provider: HocuspocusProvider;
   doc: Y.Doc;
 }) => {
   const onTypingRef = useRef(onTyping);
+  const onSelectCommentRef = useRef(onSelectComment);
+  const noteIdRef = useRef(noteId);
+  const onOpenLinkedNoteRef = useRef(onOpenLinkedNote);
 
   // Keep ref updated without causing re-renders
   useEffect(() => {
     onTypingRef.current = onTyping;
   }, [onTyping]);
 
+  useEffect(() => {
+    onSelectCommentRef.current = onSelectComment;
+  }, [onSelectComment]);
+
+  useEffect(() => {
+    noteIdRef.current = noteId;
+  }, [noteId]);
+
+  useEffect(() => {
+    onOpenLinkedNoteRef.current = onOpenLinkedNote;
+  }, [onOpenLinkedNote]);
+
   const editor = useEditor(
     {
       editable: !readOnly,
@@ -207,9 +295,18 @@ const CollaborativeEditorInner = ({
         TaskList,
         TaskItem.configure({ nested: true }),
         Placeholder.configure({
-          placeholder: placeholder + " (Type '/' for commands)",
+          placeholder: placeholder + " (Type '/' for commands, '[[' to link)",
         }),
         SlashCommands,
+        createMentionExtension(() => noteIdRef.current),
+        createWikiLinkExtension({
+          getNoteId: () => noteIdRef.current,
+          onOpen: (linkedId) => onOpenLinkedNoteRef.current?.(linkedId),
+        }),
+        AttachmentImage.configure({ getNoteId: () => noteIdRef.current }),
+        CommentHighlights.configure({
+          onSelect: (threadId) => onSelectCommentRef.current?.(threadId),
+        }),
         Collaboration.configure({ document: doc }),
         CollaborationCursor.configure({
           provider,
@@ -242,14 +339,32 @@ const CollaborativeEditorInner = ({
     }
   }, [editor, onReady]);
 
+  useEffect(() => {
+    if (!editor) return;
+    setCommentHighlights(editor, commentHighlights ?? [], activeCommentId);
+  }, [editor, commentHighlights, activeCommentId]);
+
+  const showBubbleMenu = Boolean(editor) && (!readOnly || Boolean(onAddComment));
+
   return (
     <div className="min-h-[16rem] sm:min-h-[24rem] flex flex-col">
-      {editor && !readOnly && (
+      {editor && showBubbleMenu && (
         <BubbleMenu
           editor={editor}
           tippyOptions={{ duration: 150, placement: "top" }}
+          // The default check requires a focused, editable view; commenters
+          // select text in a read-only editor.
+          shouldShow={
+            readOnly
+              ? ({ state }) => !state.selection.empty
+              : undefined
+          }
         >
-          <BubbleToolbar editor={editor} />
+          <BubbleToolbar
+            editor={editor}
+            readOnly={readOnly}
+            onAddComment={onAddComment}
+          />
         </BubbleMenu>
       )}
       <EditorContent editor={editor} />
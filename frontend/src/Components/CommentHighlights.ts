@@ -0,0 +1,201 @@
+import { Extension, type Editor } from "@tiptap/core";
+import { Plugin, PluginKey, type EditorState } from "@tiptap/pm/state";
+import { Decoration, DecorationSet } from "@tiptap/pm/view";
+import * as Y from "yjs";
+import {
+  absolutePositionToRelativePosition,
+  relativePositionToAbsolutePosition,
+  ySyncPluginKey,
+} from "y-prosemirror";
+import type { NoteCommentAnchor } from "../types/api";
+
+const MAX_QUOTE_LENGTH = 500;
+
+const HIGHLIGHT_CLASS = "note-comment-highlight";
+const ACTIVE_HIGHLIGHT_CLASS =
+  "note-comment-highlight note-comment-highlight--active";
+
+export interface CommentHighlight {
+  id: string;
+  anchor: NoteCommentAnchor;
+}
+
+interface CommentHighlightsState {
+  highlights: CommentHighlight[];
+  activeId: string | null;
+}
+
+interface CommentHighlightsOptions {
+  onSelect: (threadId: string) => void;
+}
+
+export const commentHighlightsKey = new PluginKey<CommentHighlightsState>(
+  "commentHighlights",
+);
+
+const toBase64 = (bytes: Uint8Array) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (value: string) =>
+  Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+interface YSyncState {
+  doc: Y.Doc;
+  type: Y.XmlFragment;
+  binding: { mapping: Parameters<typeof relativePositionToAbsolutePosition>[3] } | null;
+}
+
+const getYSyncState = (state: EditorState): YSyncState | null => {
+  const ystate = ySyncPluginKey.getState(state) as YSyncState | undefined;
+  if (!ystate?.binding || !ystate.type) {
+    return null;
+  }
+  return ystate;
+};
+
+/**
+ * Turn the current editor selection into an anchor made of Yjs relative
+ * positions, so the range keeps pointing at the same text while others edit.
+ */
+export const createCommentAnchor = (
+  editor: Editor,
+): NoteCommentAnchor | null => {
+  const { from, to, empty } = editor.state.selection;
+  if (empty) return null;
+
+  const ystate = getYSyncState(editor.state);
+  if (!ystate) return null;
+
+  const quote = editor.state.doc
+    .textBetween(from, to, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!quote) return null;
+
+  const { mapping } = ystate.binding!;
+  const start = absolutePositionToRelativePosition(from, ystate.type, mapping);
+  const end = absolutePositionToRelativePosition(to, ystate.type, mapping);
+
+  return {
+    start: toBase64(Y.encodeRelativePosition(start)),
+    end: toBase64(Y.encodeRelativePosition(end)),
+    quote: quote.slice(0, MAX_QUOTE_LENGTH),
+  };
+};
+
+/**
+ * Map a stored anchor back to document positions. Returns null when the
+ * anchored text has since been deleted.
+ */
+export const resolveCommentAnchor = (
+  state: EditorState,
+  anchor: NoteCommentAnchor,
+): { from: number; to: number } | null => {
+  const ystate = getYSyncState(state);
+  if (!ystate) return null;
+
+  try {
+    const { mapping } = ystate.binding!;
+    const from = relativePositionToAbsolutePosition(
+      ystate.doc,
+      ystate.type,
+      Y.decodeRelativePosition(fromBase64(anchor.start)),
+      mapping,
+    );
+    const to = relativePositionToAbsolutePosition(
+      ystate.doc,
+      ystate.type,
+      Y.decodeRelativePosition(fromBase64(anchor.end)),
+      mapping,
+    );
+    if (from == null || to == null || from >= to) {
+      return null;
+    }
+    return { from, to: Math.min(to, state.doc.content.size) };
+  } catch {
+    return null;
+  }
+};
+
+/** Push the visible threads and the focused thread into the editor. */
+export const setCommentHighlights = (
+  editor: Editor,
+  highlights: CommentHighlight[],
+  activeId: string | null,
+) => {
+  if (editor.isDestroyed) return;
+  editor.view.dispatch(
+    editor.state.tr.setMeta(commentHighlightsKey, { highlights, activeId }),
+  );
+};
+
+/**
+ * Decorates commented ranges and reports clicks on them. Anchors are resolved
+ * on every render so highlights follow remote edits without extra bookkeeping.
+ */
+const CommentHighlights = Extension.create<CommentHighlightsOptions>({
+  name: "commentHighlights",
+
+  addOptions() {
+    return {
+      onSelect: () => {},
+    };
+  },
+
+  addProseMirrorPlugins() {
+    const { onSelect } = this.options;
+
+    return [
+      new Plugin<CommentHighlightsState>({
+        key: commentHighlightsKey,
+        state: {
+          init: () => ({ highlights: [], activeId: null }),
+          apply: (tr, value) =>
+            (tr.getMeta(commentHighlightsKey) as
+              | CommentHighlightsState
+              | undefined) ?? value,
+        },
+        props: {
+          decorations(state) {
+            const pluginState = commentHighlightsKey.getState(state);
+            if (!pluginState?.highlights.length) {
+              return DecorationSet.empty;
+            }
+            const decorations: Decoration[] = [];
+            pluginState.highlights.forEach(({ id, anchor }) => {
+              const range = resolveCommentAnchor(state, anchor);
+              if (!range) return;
+              decorations.push(
+                Decoration.inline(range.from, range.to, {
+                  class:
+                    id === pluginState.activeId
+                      ? ACTIVE_HIGHLIGHT_CLASS
+                      : HIGHLIGHT_CLASS,
+                  "data-comment-id": id,
+                }),
+              );
+            });
+            return DecorationSet.create(state.doc, decorations);
+          },
+          handleClick(_view, _pos, event) {
+            const target = (event.target as HTMLElement | null)?.closest?.(
+              "[data-comment-id]",
+            );
+            const threadId = target?.getAttribute("data-comment-id");
+            if (threadId) {
+              onSelect(threadId);
+            }
+            return false;
+          },
+        },
+      }),
+    ];
+  },
+});
+
+export default CommentHighlights;
@@ -0,0 +1,167 @@
+import { useEffect, useRef, useState } from "react";
+import { BellIcon, CalendarClockIcon, LoaderIcon } from "lucide-react";
+import {
+  defaultReminderFor,
+  formatDueLabel,
+  fromDateTimeLocalValue,
+  isOverdue,
+  toDateTimeLocalValue,
+  type ScheduleDates,
+} from "../lib/dueDates";
+
+interface DueDatePopoverProps extends ScheduleDates {
+  onChange: (next: ScheduleDates) => void | Promise<void>;
+  disabled?: boolean;
+  saving?: boolean;
+  /** Hide the "+ due date" trigger when nothing is set (e.g. read-only). */
+  hideWhenEmpty?: boolean;
+  label?: string;
+  align?: "start" | "end";
+}
+
+function DueDatePopover({
+  dueAt,
+  remindAt,
+  onChange,
+  disabled = false,
+  saving = false,
+  hideWhenEmpty = false,
+  label = "due date",
+  align = "start",
+}: DueDatePopoverProps) {
+  const [open, setOpen] = useState(false);
+  const [dueValue, setDueValue] = useState("");
+  const [remindValue, setRemindValue] = useState("");
+  const rootRef = useRef<HTMLDivElement | null>(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onDocClick = (event: MouseEvent) => {
+      if (!rootRef.current?.contains(event.target as Node)) setOpen(false);
+    };
+    const onKeyDown = (event: KeyboardEvent) => {
+      if (event.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onDocClick);
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", onDocClick);
+      document.removeEventListener("keydown", onKeyDown);
+    };
+  }, [open]);
+
+  const openEditor = () => {
+    setDueValue(toDateTimeLocalValue(dueAt));
+    setRemindValue(toDateTimeLocalValue(remindAt));
+    setOpen(true);
+  };
+
+  const commit = async (next: ScheduleDates) => {
+    await onChange(next);
+    setOpen(false);
+  };
+
+  const overdue = isOverdue(dueAt);
+  if (!dueAt && hideWhenEmpty) return null;
+
+  return (
+    <div ref={rootRef} className="relative inline-flex">
+      <button
+        type="button"
+        className={`badge badge-sm gap-1 font-normal transition-colors ${
+          dueAt
+            ? overdue
+              ? "badge-error badge-outline"
+              : "badge-outline text-base-content/70"
+            : "badge-ghost text-base-content/40 hover:text-base-content/70"
+        }`}
+        onClick={() => (open ? setOpen(false) : openEditor())}
+        disabled={disabled}
+        aria-expanded={open}
+        aria-haspopup="dialog"
+        title={
+          remindAt
+            ? `Reminder ${new Date(remindAt).toLocaleString()}`
+            : undefined
+        }
+      >
+        {saving ? (
+          <LoaderIcon className="size-2.5 animate-spin" />
+        ) : (
+          <CalendarClockIcon className="size-2.5" />
+        )}
+        {dueAt ? formatDueLabel(dueAt) : `+ ${label}`}
+        {remindAt && <BellIcon className="size-2.5" aria-label="Reminder set" />}
+      </button>
+
+      {open && (
+        <div
+          role="dialog"
+          aria-label="Due date and reminder"
+          className={`absolute ${align === "end" ? "right-0" : "left-0"} top-full z-30 mt-1 w-64 space-y-3 rounded-xl border border-base-300/60 bg-base-100 p-3 text-xs shadow-lg`}
+        >
+          <label className="block space-y-1">
+            <span className="font-medium text-base-content/70">Due</span>
+            <input
+              type="datetime-local"
+              className="input input-bordered input-xs w-full"
+              value={dueValue}
+              onChange={(event) => setDueValue(event.target.value)}
+            />
+          </label>
+          <label className="block space-y-1">
+            <span className="font-medium text-base-content/70">
+              Remind me
+            </span>
+            <input
+              type="datetime-local"
+              className="input input-bordered input-xs w-full"
+              value={remindValue}
+              onChange={(event) => setRemindValue(event.target.value)}
+            />
+          </label>
+          {dueValue && !remindValue && (
+            <button
+              type="button"
+              className="link link-primary"
+              onClick={() =>
+                setRemindValue(
+                  toDateTimeLocalValue(
+                    defaultReminderFor(fromDateTimeLocalValue(dueValue)),
+                  ),
+                )
+              }
+            >
+              Add a reminder
+            </button>
+          )}
+          <div className="flex items-center justify-between gap-2 pt-1">
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs"
+              onClick={() => commit({ dueAt: null, remindAt: null })}
+              disabled={saving || (!dueAt && !remindAt)}
+            >
+              Clear
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary btn-xs"
+              onClick={() =>
+                commit({
+                  dueAt: fromDateTimeLocalValue(dueValue),
+                  remindAt: fromDateTimeLocalValue(remindValue),
+                })
+              }
+              disabled={saving}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DueDatePopover;
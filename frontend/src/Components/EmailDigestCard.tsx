@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { LoaderIcon, MailOpenIcon } from "lucide-react";
+import useAuth from "../hooks/useAuth";
+import type { EmailDigestFrequency } from "../contexts/authContext";
+
+const DIGEST_OPTIONS: {
+  value: EmailDigestFrequency;
+  label: string;
+  description: string;
+}[] = [
+  { value: "off", label: "Off", description: "No digest emails." },
+  {
+    value: "daily",
+    label: "Daily",
+    description: "Once a day, when something changed.",
+  },
+  {
+    value: "weekly",
+    label: "Weekly",
+    description: "Once a week, covering the past seven days.",
+  },
+];
+
+/** Opt-in email digest of activity in the user's notebooks. */
+const EmailDigestCard = () => {
+  const { user, updateProfile } = useAuth();
+  const [saving, setSaving] = useState<EmailDigestFrequency | null>(null);
+  const current = user?.emailDigest ?? "off";
+
+  const choose = async (value: EmailDigestFrequency) => {
+    if (value === current || saving) return;
+    setSaving(value);
+    try {
+      await updateProfile({ emailDigest: value });
+    } catch {
+      // updateProfile already reported the error.
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="card border border-base-300/60 bg-base-100/90 shadow-lg rounded-2xl">
+      <div className="card-body space-y-4">
+        <div className="flex items-start gap-3">
+          <span className="flex size-9 shrink-0 items-center justify-center rounded-full bg-primary/10 text-primary">
+            <MailOpenIcon className="size-4" />
+          </span>
+          <div>
+            <h3 className="font-semibold text-base-content">Activity digest</h3>
+            <p className="text-sm text-base-content/70">
+              A summary of notes created or edited by others, and new members,
+              in the notebooks you own or belong to. Sent to {user?.email}.
+            </p>
+          </div>
+        </div>
+        <div
+          role="radiogroup"
+          aria-label="Digest frequency"
+          className="grid gap-2 sm:grid-cols-3"
+        >
+          {DIGEST_OPTIONS.map((option) => {
+            const selected = option.value === current;
+            return (
+              <button
+                key={option.value}
+                type="button"
+                role="radio"
+                aria-checked={selected}
+                className={`rounded-xl border p-3 text-left transition-colors ${
+                  selected
+                    ? "border-primary bg-primary/10"
+                    : "border-base-300/60 hover:border-primary/40"
+                }`}
+                onClick={() => choose(option.value)}
+                disabled={Boolean(saving)}
+              >
+                <span className="flex items-center gap-2 text-sm font-medium">
+                  {option.label}
+                  {saving === option.value && (
+                    <LoaderIcon className="size-3 animate-spin" />
+                  )}
+                </span>
+                <span className="mt-1 block text-xs text-base-content/60">
+                  {option.description}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailDigestCard;
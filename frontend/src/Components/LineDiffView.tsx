@@ -0,0 +1,55 @@
+import type { DiffLine } from "../lib/lineDiff";
+
+interface LineDiffViewProps {
+  lines: DiffLine[];
+  className?: string;
+}
+
+const LineDiffView = ({ lines, className = "max-h-72" }: LineDiffViewProps) => {
+  if (!lines.length) {
+    return (
+      <p className="text-xs text-base-content/40 italic">
+        No textual differences.
+      </p>
+    );
+  }
+  return (
+    <pre
+      className={`whitespace-pre-wrap break-words rounded-md border border-base-300/40 bg-base-200/40 p-2 text-[11px] leading-relaxed overflow-y-auto ${className}`}
+    >
+      {lines.map((line, index) => {
+        if (line.op === "same") {
+          return (
+            <span
+              key={index}
+              className="block text-base-content/40"
+            >
+              {"  "}
+              {line.line || "\u00A0"}
+            </span>
+          );
+        }
+        if (line.op === "add") {
+          return (
+            <span
+              key={index}
+              className="block bg-success/10 text-success"
+            >
+              + {line.line || "\u00A0"}
+            </span>
+          );
+        }
+        return (
+          <span
+            key={index}
+            className="block bg-error/10 text-error"
+          >
+            - {line.line || "\u00A0"}
+          </span>
+        );
+      })}
+    </pre>
+  );
+};
+
+export default LineDiffView;
@@ -0,0 +1,41 @@
+import Mention from "@tiptap/extension-mention";
+import api from "../lib/axios";
+import { renderSuggestionPopup } from "./suggestionPopup";
+import type { SuggestionListItem } from "./SuggestionList";
+import type { MentionableUsersResponse } from "../types/api";
+
+/** People who can open the note, filtered by name or email. */
+export const fetchMentionCandidates = async (
+  noteId: string,
+  query: string,
+): Promise<SuggestionListItem[]> => {
+  try {
+    const response = await api.get<MentionableUsersResponse>(
+      `/notes/${noteId}/mentionable`,
+      { params: { q: query } },
+    );
+    return (response.data?.users ?? []).map((user) => ({
+      id: user.id,
+      label: user.name,
+      detail: user.email,
+    }));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * `@` mentions for the note editor. Suggestions are limited to people who can
+ * already open the note; the server decides who actually gets notified.
+ */
+export const createMentionExtension = (getNoteId: () => string | null) =>
+  Mention.configure({
+    HTMLAttributes: { class: "note-mention" },
+    suggestion: {
+      items: async ({ query }: { query: string }) => {
+        const noteId = getNoteId();
+        return noteId ? fetchMentionCandidates(noteId, query) : [];
+      },
+      render: renderSuggestionPopup("No matching people"),
+    },
+  });
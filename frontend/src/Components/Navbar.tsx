@@ -26,6 +26,7 @@ import { Link, useNavigate, useLocation } from "react-router-dom";
 import useAuth from "../hooks/useAuth";
 import Logo from "./Logo";
 import OfflineSyncBadge from "./OfflineSyncBadge";
+import SyncConflictsMenu from "./SyncConflictsMenu";
 import { useCommandPalette } from "../contexts/CommandPaletteContext";
 
 export interface ThemeOption {
@@ -325,6 +326,7 @@ function Navbar({
               {user && (
                 <OfflineSyncBadge className="hidden md:inline-flex" />
               )}
+              {user && <SyncConflictsMenu className="hidden md:block" />}
               {/* Command palette — desktop */}
               <div
                 className="tooltip tooltip-bottom hidden lg:block"
@@ -5,12 +5,14 @@ import {
   XIcon,
   ChevronDownIcon,
   ChevronRightIcon,
+  ExternalLinkIcon,
   RotateCcwIcon,
   PlusIcon,
   MinusIcon,
 } from "lucide-react";
 import { formatRelativeTime } from "../lib/Utils";
 import { diffLines, diffStats, type DiffLine } from "../lib/lineDiff";
+import LineDiffView from "./LineDiffView";
 
 export interface HistoryEntry {
   id: string;
@@ -31,7 +33,10 @@ interface NoteHistoryDrawerProps {
   currentTitle: string;
   currentContent: string;
   canRestore: boolean;
+  restoringId?: string | null;
   onRestore: (entry: HistoryEntry) => void;
+  onOpenVersion?: (entry: HistoryEntry) => void;
+  onBrowseVersions?: () => void;
 }
 
 const EVENT_LABELS: Record<string, string> = {
@@ -39,6 +44,9 @@ const EVENT_LABELS: Record<string, string> = {
   edit: "Edited",
   pin: "Pinned",
   unpin: "Unpinned",
+  archive: "Archived",
+  unarchive: "Unarchived",
+  restore: "Restored",
   tag: "Tagged",
   move: "Moved",
   delete: "Deleted",
@@ -46,51 +54,6 @@ const EVENT_LABELS: Record<string, string> = {
   comment: "Commented",
 };
 
-const DiffView = ({ lines }: { lines: DiffLine[] }) => {
-  if (!lines.length) {
-    return (
-      <p className="text-xs text-base-content/40 italic">
-        No textual differences.
-      </p>
-    );
-  }
-  return (
-    <pre className="whitespace-pre-wrap break-words rounded-md border border-base-300/40 bg-base-200/40 p-2 text-[11px] leading-relaxed max-h-72 overflow-y-auto">
-      {lines.map((line, index) => {
-        if (line.op === "same") {
-          return (
-            <span
-              key={index}
-              className="block text-base-content/40"
-            >
-              {"  "}
-              {line.line || "\u00A0"}
-            </span>
-          );
-        }
-        if (line.op === "add") {
-          return (
-            <span
-              key={index}
-              className="block bg-success/10 text-success"
-            >
-              + {line.line || "\u00A0"}
-            </span>
-          );
-        }
-        return (
-          <span
-            key={index}
-            className="block bg-error/10 text-error"
-          >
-            - {line.line || "\u00A0"}
-          </span>
-        );
-      })}
-    </pre>
-  );
-};
-
 const NoteHistoryDrawer = ({
   open,
   onClose,
@@ -99,7 +62,10 @@ const NoteHistoryDrawer = ({
   currentTitle,
   currentContent,
   canRestore,
+  restoringId = null,
   onRestore,
+  onOpenVersion,
+  onBrowseVersions,
 }: NoteHistoryDrawerProps) => {
   const [expandedId, setExpandedId] = useState<string | null>(null);
 
@@ -143,14 +109,25 @@ const NoteHistoryDrawer = ({
             <HistoryIcon className="size-4" />
             Change history
           </h3>
-          <button
-            type="button"
-            className="btn btn-ghost btn-sm btn-circle"
-            onClick={onClose}
-            aria-label="Close history"
-          >
-            <XIcon className="size-4" />
-          </button>
+          <div className="flex items-center gap-1">
+            {onBrowseVersions && (
+              <button
+                type="button"
+                className="btn btn-ghost btn-xs"
+                onClick={onBrowseVersions}
+              >
+                Browse versions
+              </button>
+            )}
+            <button
+              type="button"
+              className="btn btn-ghost btn-sm btn-circle"
+              onClick={onClose}
+              aria-label="Close history"
+            >
+              <XIcon className="size-4" />
+            </button>
+          </div>
         </div>
 
         <div className="flex-1 overflow-y-auto">
@@ -263,7 +240,7 @@ const NoteHistoryDrawer = ({
                                   <p className="text-[11px] text-base-content/50 mb-1">
                                     Diff vs previous version
                                   </p>
-                                  <DiffView lines={diff} />
+                                  <LineDiffView lines={diff} />
                                 </div>
                               )}
                               {diffVsCurrent && !isFirst && (
@@ -271,19 +248,36 @@ const NoteHistoryDrawer = ({
                                   <p className="text-[11px] text-base-content/50 mb-1">
                                     Diff vs current
                                   </p>
-                                  <DiffView lines={diffVsCurrent} />
+                                  <LineDiffView lines={diffVsCurrent} />
                                 </div>
                               )}
-                              {canRestore && !isFirst && (
-                                <button
-                                  type="button"
-                                  className="btn btn-ghost btn-xs gap-1 text-primary"
-                                  onClick={() => onRestore(entry)}
-                                >
-                                  <RotateCcwIcon className="size-3" />
-                                  Restore this version
-                                </button>
-                              )}
+                              <div className="flex flex-wrap gap-1">
+                                {onOpenVersion && (
+                                  <button
+                                    type="button"
+                                    className="btn btn-ghost btn-xs gap-1"
+                                    onClick={() => onOpenVersion(entry)}
+                                  >
+                                    <ExternalLinkIcon className="size-3" />
+                                    Open version
+                                  </button>
+                                )}
+                                {canRestore && !isFirst && (
+                                  <button
+                                    type="button"
+                                    className="btn btn-ghost btn-xs gap-1 text-primary"
+                                    onClick={() => onRestore(entry)}
+                                    disabled={Boolean(restoringId)}
+                                  >
+                                    {restoringId === entry.id ? (
+                                      <LoaderIcon className="size-3 animate-spin" />
+                                    ) : (
+                                      <RotateCcwIcon className="size-3" />
+                                    )}
+                                    Restore this version
+                                  </button>
+                                )}
+                              </div>
                             </div>
                           )}
                         </div>
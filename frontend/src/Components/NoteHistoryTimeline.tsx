@@ -1,5 +1,7 @@
 import { useState, type ChangeEvent } from "react";
 import {
+  ArchiveIcon,
+  ArchiveRestoreIcon,
   ClockIcon,
   FileEditIcon,
   PinIcon,
@@ -9,6 +11,7 @@ import {
   TrashIcon,
   TypeIcon,
   MessageSquareIcon,
+  RotateCcwIcon,
 } from "lucide-react";
 import type { AppIcon } from "../types/icon";
 
@@ -16,35 +19,44 @@ type EventType =
   | "edit"
   | "pin"
   | "unpin"
+  | "archive"
+  | "unarchive"
   | "tag"
   | "move"
   | "create"
   | "delete"
   | "title"
-  | "comment";
+  | "comment"
+  | "restore";
 
 const eventIcons: Record<EventType, AppIcon> = {
   edit: FileEditIcon,
   pin: PinIcon,
   unpin: PinIcon,
+  archive: ArchiveIcon,
+  unarchive: ArchiveRestoreIcon,
   tag: TagIcon,
   move: MoveIcon,
   create: PlusIcon,
   delete: TrashIcon,
   title: TypeIcon,
   comment: MessageSquareIcon,
+  restore: RotateCcwIcon,
 };
 
 const eventColors: Record<EventType, string> = {
   edit: "text-blue-600",
   pin: "text-yellow-600",
   unpin: "text-gray-600",
+  archive: "text-amber-700",
+  unarchive: "text-gray-600",
   tag: "text-purple-600",
   move: "text-green-600",
   create: "text-emerald-600",
   delete: "text-red-600",
   title: "text-indigo-600",
   comment: "text-orange-600",
+  restore: "text-sky-600",
 };
 
 const formatRelativeTime = (date: string | Date): string => {
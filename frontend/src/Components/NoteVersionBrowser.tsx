@@ -0,0 +1,232 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  HistoryIcon,
+  LoaderIcon,
+  MinusIcon,
+  PlusIcon,
+  RotateCcwIcon,
+  XIcon,
+} from "lucide-react";
+import { formatDate, formatRelativeTime } from "../lib/Utils";
+import { diffLines, diffStats } from "../lib/lineDiff";
+import LineDiffView from "./LineDiffView";
+import type { HistoryEntry } from "./NoteHistoryDrawer";
+
+type ViewMode = "diff" | "full";
+
+interface NoteVersionBrowserProps {
+  open: boolean;
+  onClose: () => void;
+  versions: HistoryEntry[];
+  initialVersionId?: string | null;
+  currentTitle: string;
+  currentContent: string;
+  canRestore: boolean;
+  restoringId?: string | null;
+  onRestore: (entry: HistoryEntry) => void;
+}
+
+const NoteVersionBrowser = ({
+  open,
+  onClose,
+  versions,
+  initialVersionId = null,
+  currentTitle,
+  currentContent,
+  canRestore,
+  restoringId = null,
+  onRestore,
+}: NoteVersionBrowserProps) => {
+  const [selectedId, setSelectedId] = useState<string | null>(
+    initialVersionId,
+  );
+  const [mode, setMode] = useState<ViewMode>("diff");
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKeyDown = (event: KeyboardEvent) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [open, onClose]);
+
+  const selected =
+    versions.find((entry) => entry.id === selectedId) ?? versions[0] ?? null;
+
+  const diff = useMemo(
+    () =>
+      selected?.contentSnapshot != null
+        ? diffLines(selected.contentSnapshot, currentContent)
+        : [],
+    [selected, currentContent],
+  );
+  const stats = diffStats(diff);
+  const matchesCurrent =
+    !!selected &&
+    stats.added === 0 &&
+    stats.removed === 0 &&
+    (selected.titleSnapshot ?? currentTitle) === currentTitle;
+
+  if (!open) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[97] flex items-center justify-center bg-black/40 px-4 py-10 sm:px-6"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Note versions"
+      onClick={onClose}
+    >
+      <div
+        className="flex h-full max-h-[44rem] w-full max-w-5xl flex-col overflow-hidden rounded-[28px] border border-base-300/50 bg-base-100/95 shadow-2xl backdrop-blur-sm"
+        onClick={(event: React.MouseEvent) => event.stopPropagation()}
+      >
+        <header className="flex items-center justify-between gap-3 border-b border-base-300/40 px-6 py-4">
+          <h2 className="flex items-center gap-2 text-lg font-semibold">
+            <HistoryIcon className="size-5" />
+            Versions
+          </h2>
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm btn-circle"
+            onClick={onClose}
+            aria-label="Close versions"
+          >
+            <XIcon className="size-4" />
+          </button>
+        </header>
+
+        {versions.length === 0 ? (
+          <p className="py-16 text-center text-sm text-base-content/50">
+            No saved versions of this note yet.
+          </p>
+        ) : (
+          <div className="flex min-h-0 flex-1 flex-col sm:flex-row">
+            <ol className="max-h-48 shrink-0 overflow-y-auto border-b border-base-300/40 sm:max-h-none sm:w-64 sm:border-b-0 sm:border-r">
+              {versions.map((entry) => {
+                const isSelected = entry.id === selected?.id;
+                return (
+                  <li key={entry.id}>
+                    <button
+                      type="button"
+                      className={`w-full px-4 py-3 text-left text-sm transition-colors ${
+                        isSelected
+                          ? "bg-primary/10 text-primary"
+                          : "hover:bg-base-200/60"
+                      }`}
+                      onClick={() => setSelectedId(entry.id)}
+                      aria-current={isSelected ? "true" : undefined}
+                    >
+                      <span className="block truncate font-medium">
+                        {entry.titleSnapshot || "Untitled"}
+                      </span>
+                      <span className="block truncate text-[11px] text-base-content/60">
+                        {entry.summary ?? entry.eventType}
+                        {entry.createdAt
+                          ? ` · ${formatRelativeTime(new Date(entry.createdAt))}`
+                          : ""}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ol>
+
+            {selected ? (
+              <section className="flex min-h-0 flex-1 flex-col gap-3 p-5">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <h3 className="truncate text-base font-semibold">
+                      {selected.titleSnapshot || "Untitled"}
+                    </h3>
+                    <p className="text-xs text-base-content/60">
+                      {selected.createdAt
+                        ? formatDate(new Date(selected.createdAt))
+                        : ""}
+                      {selected.tagsSnapshot?.length
+                        ? ` · ${selected.tagsSnapshot.map((tag) => `#${tag}`).join(" ")}`
+                        : ""}
+                    </p>
+                  </div>
+                  {canRestore && (
+                    <button
+                      type="button"
+                      className="btn btn-primary btn-sm gap-1"
+                      onClick={() => onRestore(selected)}
+                      disabled={Boolean(restoringId) || matchesCurrent}
+                      title={
+                        matchesCurrent
+                          ? "This version matches the current note"
+                          : undefined
+                      }
+                    >
+                      {restoringId === selected.id ? (
+                        <LoaderIcon className="size-4 animate-spin" />
+                      ) : (
+                        <RotateCcwIcon className="size-4" />
+                      )}
+                      Restore this version
+                    </button>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <div className="join">
+                    <button
+                      type="button"
+                      className={`btn join-item btn-xs ${mode === "diff" ? "btn-active" : ""}`}
+                      onClick={() => setMode("diff")}
+                    >
+                      Changes since this version
+                    </button>
+                    <button
+                      type="button"
+                      className={`btn join-item btn-xs ${mode === "full" ? "btn-active" : ""}`}
+                      onClick={() => setMode("full")}
+                    >
+                      Full version
+                    </button>
+                  </div>
+                  {mode === "diff" && (stats.added || stats.removed) ? (
+                    <span className="flex items-center gap-2 text-xs text-base-content/60">
+                      <span className="inline-flex items-center gap-0.5 text-success">
+                        <PlusIcon className="size-3" />
+                        {stats.added}
+                      </span>
+                      <span className="inline-flex items-center gap-0.5 text-error">
+                        <MinusIcon className="size-3" />
+                        {stats.removed}
+                      </span>
+                    </span>
+                  ) : null}
+                </div>
+
+                {mode === "diff" ? (
+                  <>
+                    {(selected.titleSnapshot ?? currentTitle) !==
+                      currentTitle && (
+                      <p className="text-xs text-base-content/60">
+                        Title now:{" "}
+                        <span className="font-medium text-base-content">
+                          {currentTitle || "Untitled"}
+                        </span>
+                      </p>
+                    )}
+                    <LineDiffView lines={diff} className="min-h-0 flex-1" />
+                  </>
+                ) : (
+                  <pre className="min-h-0 flex-1 overflow-y-auto whitespace-pre-wrap break-words rounded-md border border-base-300/40 bg-base-200/40 p-3 text-sm leading-relaxed">
+                    {selected.contentSnapshot}
+                  </pre>
+                )}
+              </section>
+            ) : null}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NoteVersionBrowser;
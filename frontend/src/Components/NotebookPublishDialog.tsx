@@ -6,6 +6,7 @@ import {
   ClipboardIcon,
   GlobeIcon,
   LoaderIcon,
+  LockIcon,
   RefreshCwIcon,
   ShieldOffIcon,
   XIcon,
@@ -14,6 +15,7 @@ import { toast } from "sonner";
 import api from "../lib/axios";
 import { extractApiError } from "../lib/extractApiError";
 import { formatDate, formatRelativeTime } from "../lib/Utils";
+import PublicationViewsPanel from "./PublicationViewsPanel";
 
 export interface PublishNotebook {
   id?: string;
@@ -28,6 +30,16 @@ export interface PublishState {
   publishedAt?: string;
   lastPublishedAt?: string;
   snapshotHash?: string;
+  passwordProtected?: boolean;
+  expiresAt?: string | null;
+  noindex?: boolean;
+}
+
+/** Access settings sent with a publish; omitted fields are left unchanged. */
+export interface PublishSettings {
+  password?: string | null;
+  expiresAt?: string | null;
+  noindex?: boolean;
 }
 
 export interface NotebookPublishDialogProps {
@@ -71,6 +83,15 @@ const serializeMetadata = (metadata: Record<string, unknown> | null | undefined)
   }
 };
 
+/** ISO timestamp -> value for a `datetime-local` input in local time. */
+const toDateTimeInput = (value: string | null | undefined): string => {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const offsetMs = date.getTimezoneOffset() * 60_000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
 const computeShareUrl = (slug: string): string | null => {
   if (!slug) return null;
   const envBase = import.meta.env.VITE_PUBLIC_NOTEBOOK_BASE_URL;
@@ -103,6 +124,14 @@ function NotebookPublishDialog({
   const [slugDirty, setSlugDirty] = useState(false);
   const [metadataDirty, setMetadataDirty] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [password, setPassword] = useState("");
+  const [passwordError, setPasswordError] = useState("");
+  const [removePassword, setRemovePassword] = useState(false);
+  const [expiresAtInput, setExpiresAtInput] = useState("");
+  const [expiresAtDirty, setExpiresAtDirty] = useState(false);
+  const [expiresAtError, setExpiresAtError] = useState("");
+  const [noindex, setNoindex] = useState(false);
+  const [noindexDirty, setNoindexDirty] = useState(false);
 
   const publishingStateQuery = useQuery({
     queryKey: ["notebook-publish", notebookId],
@@ -121,6 +150,12 @@ function NotebookPublishDialog({
     setSlugDirty(false);
     setMetadataDirty(false);
     setCopied(false);
+    setPassword("");
+    setPasswordError("");
+    setRemovePassword(false);
+    setExpiresAtDirty(false);
+    setExpiresAtError("");
+    setNoindexDirty(false);
   }, [open, notebookId]);
 
   useEffect(() => {
@@ -134,6 +169,12 @@ function NotebookPublishDialog({
       if (!metadataDirty) {
         setMetadataText(serializeMetadata(state.metadata ?? {}));
       }
+      if (!expiresAtDirty) {
+        setExpiresAtInput(toDateTimeInput(state.expiresAt));
+      }
+      if (!noindexDirty) {
+        setNoindex(Boolean(state.noindex));
+      }
     } else if (!publishingStateQuery.isLoading && !slugDirty) {
       setSlug(buildSuggestedSlug(notebookName));
       if (!metadataDirty) {
@@ -146,6 +187,8 @@ function NotebookPublishDialog({
     publishingStateQuery.isLoading,
     slugDirty,
     metadataDirty,
+    expiresAtDirty,
+    noindexDirty,
     notebookName,
   ]);
 
@@ -181,22 +224,61 @@ function NotebookPublishDialog({
     return normalized;
   };
 
+  /** Only the settings the user touched, so republishing keeps the rest. */
+  const collectSettings = (): { value: PublishSettings; ok: boolean } => {
+    const settings: PublishSettings = {};
+    if (removePassword) {
+      settings.password = null;
+    } else if (password) {
+      if (password.length < 4) {
+        setPasswordError("Password must be at least 4 characters");
+        return { value: settings, ok: false };
+      }
+      settings.password = password;
+    }
+    setPasswordError("");
+    if (expiresAtDirty) {
+      if (expiresAtInput) {
+        const expiresAt = new Date(expiresAtInput);
+        if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+          setExpiresAtError("Expiry must be in the future");
+          return { value: settings, ok: false };
+        }
+        settings.expiresAt = expiresAt.toISOString();
+      } else {
+        settings.expiresAt = null;
+      }
+    }
+    setExpiresAtError("");
+    if (noindexDirty) {
+      settings.noindex = noindex;
+    }
+    return { value: settings, ok: true };
+  };
+
   const publishMutation = useMutation({
     mutationFn: async ({
       nextSlug,
       metadata,
+      settings,
     }: {
       nextSlug: string;
       metadata: Record<string, unknown> | null;
+      settings: PublishSettings;
     }) => {
       const response = await api.post(`/notebooks/${notebookId}/publish`, {
         slug: nextSlug,
         metadata,
+        ...settings,
       });
       return response.data;
     },
     onSuccess: (data: Record<string, unknown>) => {
       toast.success("Notebook published");
+      setPassword("");
+      setRemovePassword(false);
+      setExpiresAtDirty(false);
+      setNoindexDirty(false);
       publishingStateQuery.refetch().catch(() => {});
       onUpdated?.({
         notebookId,
@@ -241,6 +323,8 @@ function NotebookPublishDialog({
   const lastPublishedAt = state?.lastPublishedAt
     ? new Date(state.lastPublishedAt)
     : null;
+  const passwordProtected = Boolean(state?.passwordProtected);
+  const expiresAt = state?.expiresAt ? new Date(state.expiresAt) : null;
 
   const handleRegenerateSlug = () => {
     setSlug(buildSuggestedSlug(notebookName));
@@ -271,9 +355,14 @@ function NotebookPublishDialog({
     if (!metadataResult.ok) {
       return;
     }
+    const settingsResult = collectSettings();
+    if (!settingsResult.ok) {
+      return;
+    }
     publishMutation.mutate({
       nextSlug: normalizedSlug,
       metadata: metadataResult.value,
+      settings: settingsResult.value,
     });
   };
 
@@ -367,17 +456,129 @@ function NotebookPublishDialog({
                   setMetadataDirty(true);
                   setMetadataError("");
                 }}
-                placeholder={`{\n  "title": "Public page title"\n}`}
+                placeholder={`{\n  "title": "Public page title",\n  "description": "Shown in link previews",\n  "image": "https://example.com/cover.png"\n}`}
               />
               {metadataError ? (
                 <p className="mt-1 text-xs text-error">{metadataError}</p>
               ) : (
                 <p className="mt-1 text-xs text-base-content/60">
-                  Provide structured JSON used for SEO or embeds.
+                  JSON object. <code>title</code>, <code>description</code> and{" "}
+                  <code>image</code> set the page&apos;s search and link preview
+                  tags.
                 </p>
               )}
             </div>
 
+            <fieldset className="space-y-4 rounded-2xl border border-base-300/60 p-4">
+              <legend className="flex items-center gap-2 px-1 text-sm font-semibold text-base-content">
+                <LockIcon className="size-4" />
+                Access
+              </legend>
+              <div>
+                <label
+                  className="text-sm font-medium text-base-content"
+                  htmlFor="publish-password"
+                >
+                  {passwordProtected ? "Change password" : "Password (optional)"}
+                </label>
+                <input
+                  id="publish-password"
+                  type="password"
+                  className={`input input-bordered mt-2 w-full ${
+                    passwordError ? "input-error" : ""
+                  }`}
+                  value={password}
+                  onChange={(event) => {
+                    setPassword(event.target.value);
+                    setPasswordError("");
+                    setRemovePassword(false);
+                  }}
+                  placeholder={
+                    passwordProtected
+                      ? "Leave blank to keep the current password"
+                      : "Anyone with the link can view"
+                  }
+                  autoComplete="new-password"
+                  maxLength={128}
+                  disabled={removePassword}
+                />
+                {passwordError ? (
+                  <p className="mt-1 text-xs text-error">{passwordError}</p>
+                ) : null}
+                {passwordProtected ? (
+                  <label className="mt-2 flex items-center gap-2 text-xs text-base-content/70">
+                    <input
+                      type="checkbox"
+                      className="checkbox checkbox-xs"
+                      checked={removePassword}
+                      onChange={(event) => {
+                        setRemovePassword(event.target.checked);
+                        setPassword("");
+                        setPasswordError("");
+                      }}
+                    />
+                    Remove password
+                  </label>
+                ) : null}
+              </div>
+              <div>
+                <label
+                  className="text-sm font-medium text-base-content"
+                  htmlFor="publish-expires-at"
+                >
+                  Unpublish automatically
+                </label>
+                <div className="mt-2 flex items-center gap-2">
+                  <input
+                    id="publish-expires-at"
+                    type="datetime-local"
+                    className={`input input-bordered flex-1 ${
+                      expiresAtError ? "input-error" : ""
+                    }`}
+                    value={expiresAtInput}
+                    onChange={(event) => {
+                      setExpiresAtInput(event.target.value);
+                      setExpiresAtDirty(true);
+                      setExpiresAtError("");
+                    }}
+                  />
+                  {expiresAtInput ? (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm"
+                      onClick={() => {
+                        setExpiresAtInput("");
+                        setExpiresAtDirty(true);
+                        setExpiresAtError("");
+                      }}
+                    >
+                      Clear
+                    </button>
+                  ) : null}
+                </div>
+                {expiresAtError ? (
+                  <p className="mt-1 text-xs text-error">{expiresAtError}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-base-content/60">
+                    Leave empty to keep the notebook published until you
+                    unpublish it.
+                  </p>
+                )}
+              </div>
+              <label className="flex items-center gap-2 text-sm text-base-content">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={noindex}
+                  onChange={(event) => {
+                    setNoindex(event.target.checked);
+                    setNoindexDirty(true);
+                  }}
+                />
+                Hide from search engines
+              </label>
+            </fieldset>
+
             <div className="flex flex-wrap items-center gap-3">
               <button
                 type="submit"
@@ -441,6 +642,15 @@ function NotebookPublishDialog({
                   {formatDate(lastPublishedAt)}.
                 </p>
               ) : null}
+              {isPublic && passwordProtected ? (
+                <p>Visitors need the password to view it.</p>
+              ) : null}
+              {isPublic && expiresAt ? (
+                <p>
+                  Unpublishes {formatRelativeTime(expiresAt)} on{" "}
+                  {formatDate(expiresAt)}.
+                </p>
+              ) : null}
             </div>
             <div className="rounded-xl border border-base-300/70 bg-base-100/80 p-4">
               <span className="text-xs font-semibold uppercase text-base-content/60">
@@ -461,6 +671,11 @@ function NotebookPublishDialog({
                 </button>
               </div>
             </div>
+            {isPublic ? (
+              <PublicationViewsPanel
+                analyticsPath={`/notebooks/${notebookId}/publish/analytics`}
+              />
+            ) : null}
             {state?.snapshotHash ? (
               <div className="rounded-xl border border-base-300/70 bg-base-100/80 p-4 text-xs">
                 <p className="font-semibold text-base-content">Snapshot hash</p>
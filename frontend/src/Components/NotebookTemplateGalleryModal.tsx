@@ -3,11 +3,38 @@ import {
   ArrowRightIcon,
   Building2Icon,
   FileTextIcon,
+  PenLineIcon,
   RefreshCwIcon,
   SearchIcon,
+  Share2Icon,
   SparklesIcon,
   Trash2Icon,
 } from "lucide-react";
+import NotebookTemplateSharingFields from "./NotebookTemplateSharingFields";
+import TemplatePromptFields from "./TemplatePromptFields";
+import type {
+  NotebookTemplateScope,
+  NotebookTemplateSharing,
+  NotebookTemplateVisibility,
+} from "../types/api";
+
+const SCOPE_TABS: {
+  id: NotebookTemplateScope;
+  label: string;
+  empty: string;
+}[] = [
+  { id: "mine", label: "Mine", empty: "No templates match that search yet." },
+  {
+    id: "team",
+    label: "Team",
+    empty: "No templates have been shared with your workspaces yet.",
+  },
+  {
+    id: "public",
+    label: "Public",
+    empty: "No public templates match that search yet.",
+  },
+];
 
 const truncate = (value: unknown, limit = 160): string => {
   if (typeof value !== "string") return "";
@@ -29,21 +56,32 @@ interface TemplateWorkspaceRef {
   noteCount?: number;
 }
 
+interface TemplateOwner {
+  id: string;
+  name: string | null;
+}
+
 interface TemplateSummary {
   id: string;
   name: string;
   description?: string;
   tags?: string[];
+  visibility?: NotebookTemplateVisibility;
+  workspaceId?: string | null;
+  workspaceName?: string | null;
+  version?: number;
+  usageCount?: number;
+  owner?: TemplateOwner;
+  isOwner?: boolean;
+  sourceNotebookId?: string | null;
 }
 
-interface TemplateDetail {
-  id: string;
-  name: string;
-  description?: string;
+interface TemplateDetail extends TemplateSummary {
   noteCount?: number;
-  tags?: string[];
   notes?: TemplateNote[];
   workspaces?: TemplateWorkspaceRef[];
+  /** Labels of `{{prompt:…}}` placeholders to ask for before importing. */
+  prompts?: string[];
 }
 
 interface WorkspaceOption {
@@ -54,6 +92,9 @@ interface WorkspaceOption {
 interface ImportOptions {
   workspaceId?: string;
   workspaceMappings?: Record<string, string>;
+  prompts?: Record<string, string>;
+  /** Resolves `{{date}}` in the user's own time zone. */
+  timeZone?: string;
 }
 
 interface NotebookTemplateGalleryModalProps {
@@ -71,8 +112,27 @@ interface NotebookTemplateGalleryModalProps {
   onClose: () => void;
   onRefresh?: () => void;
   workspaceOptions?: WorkspaceOption[];
+  scope?: NotebookTemplateScope;
+  onScopeChange?: (scope: NotebookTemplateScope) => void;
+  onUpdateSharing?: (
+    templateId: string,
+    sharing: NotebookTemplateSharing,
+  ) => void;
+  updatingSharing?: boolean;
+  onSyncTemplate?: (templateId: string) => void;
+  syncing?: boolean;
 }
 
+const describeUsage = (template: TemplateSummary): string => {
+  const usageCount = template.usageCount ?? 0;
+  const parts = [`v${template.version ?? 1}`];
+  parts.push(usageCount === 1 ? "used once" : `used ${usageCount} times`);
+  if (!template.isOwner && template.owner?.name) {
+    parts.push(`by ${template.owner.name}`);
+  }
+  return parts.join(" · ");
+};
+
 function NotebookTemplateGalleryModal({
   open,
   templates,
@@ -88,16 +148,28 @@ function NotebookTemplateGalleryModal({
   onClose,
   onRefresh,
   workspaceOptions = [],
+  scope = "mine",
+  onScopeChange,
+  onUpdateSharing,
+  updatingSharing,
+  onSyncTemplate,
+  syncing,
 }: NotebookTemplateGalleryModalProps) {
   const [query, setQuery] = useState("");
+  const [sharingDraft, setSharingDraft] = useState<NotebookTemplateSharing>({
+    visibility: "private",
+    workspaceId: null,
+  });
   const [targetWorkspaceId, setTargetWorkspaceId] = useState("");
   const [workspaceMapping, setWorkspaceMapping] = useState<Record<string, string>>({});
+  const [promptValues, setPromptValues] = useState<Record<string, string>>({});
 
   useEffect(() => {
     if (!open) {
       setQuery("");
       setTargetWorkspaceId("");
       setWorkspaceMapping({});
+      setPromptValues({});
     }
   }, [open]);
 
@@ -176,11 +248,14 @@ function NotebookTemplateGalleryModal({
       workspaceMappings: Object.keys(workspaceMappingsPayload).length
         ? workspaceMappingsPayload
         : undefined,
+      prompts: Object.keys(promptValues).length ? promptValues : undefined,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
     });
   }, [
     detailLoading,
     importing,
     onImport,
+    promptValues,
     selectedTemplateId,
     targetWorkspaceId,
     workspaceMapping,
@@ -218,6 +293,26 @@ function NotebookTemplateGalleryModal({
     });
   }, [detail?.id, templateWorkspaceRefs]);
 
+  useEffect(() => {
+    setPromptValues({});
+  }, [detail?.id]);
+
+  useEffect(() => {
+    if (!detail?.id) return;
+    setSharingDraft({
+      visibility: detail.visibility ?? "private",
+      workspaceId: detail.workspaceId ?? null,
+    });
+  }, [detail?.id, detail?.visibility, detail?.workspaceId]);
+
+  const sharingChanged =
+    Boolean(detail) &&
+    (sharingDraft.visibility !== (detail?.visibility ?? "private") ||
+      sharingDraft.workspaceId !== (detail?.workspaceId ?? null));
+  const canManage = Boolean(detail?.isOwner);
+  const activeTab =
+    SCOPE_TABS.find((tab) => tab.id === scope) ?? SCOPE_TABS[0];
+
   const handleDeleteClick = useCallback(() => {
     if (!selectedTemplateId || deleteInProgress) return;
     const confirmed = window.confirm(
@@ -280,6 +375,30 @@ function NotebookTemplateGalleryModal({
           </div>
         </header>
 
+        <div
+          className="flex gap-2 border-b border-base-content/10 bg-base-200/80 px-6 py-3"
+          role="tablist"
+          aria-label="Template galleries"
+        >
+          {SCOPE_TABS.map((tab) => {
+            const isActive = tab.id === scope;
+            return (
+              <button
+                key={tab.id}
+                type="button"
+                role="tab"
+                aria-selected={isActive}
+                className={`btn btn-sm rounded-xl px-4 ${
+                  isActive ? "btn-primary" : "btn-ghost"
+                }`}
+                onClick={() => onScopeChange?.(tab.id)}
+              >
+                {tab.label}
+              </button>
+            );
+          })}
+        </div>
+
         <section className="grid grid-cols-1 divide-y divide-base-content/10 md:grid-cols-[minmax(0,16rem)_minmax(0,1fr)] md:divide-x md:divide-y-0">
           <aside className="max-h-[70vh] overflow-y-auto bg-base-200/60">
             {isLoading ? (
@@ -312,6 +431,9 @@ function NotebookTemplateGalleryModal({
                         <p className="mt-1 line-clamp-2 text-xs text-base-content/60">
                           {template.description || "No description provided."}
                         </p>
+                        <p className="mt-1 text-[11px] text-base-content/50">
+                          {describeUsage(template)}
+                        </p>
                         {Array.isArray(template.tags) &&
                           template.tags.length > 0 && (
                             <div className="mt-2 flex flex-wrap gap-1">
@@ -333,7 +455,7 @@ function NotebookTemplateGalleryModal({
             ) : (
               <div className="flex flex-col items-center gap-3 p-10 text-center text-sm text-base-content/60">
                 <FileTextIcon className="size-10 text-base-content/40" />
-                <p>No templates match that search yet.</p>
+                <p>{activeTab.empty}</p>
               </div>
             )}
           </aside>
@@ -368,9 +490,53 @@ function NotebookTemplateGalleryModal({
                       {detail.description || "No description provided."}
                     </p>
                     <p className="mt-2 text-xs text-base-content/50">
-                      {detail.noteCount} notes • {detail.tags?.length ?? 0} tags
+                      {detail.noteCount} notes • {detail.tags?.length ?? 0} tags •{" "}
+                      {describeUsage(detail)}
                     </p>
                   </div>
+                  {canManage ? (
+                    <section className="space-y-3 rounded-2xl border border-base-content/10 bg-base-100/90 p-4 shadow-sm">
+                      <div className="flex items-center gap-2 text-sm font-semibold text-base-content">
+                        <Share2Icon className="size-4 text-primary" />
+                        <span>Sharing</span>
+                      </div>
+                      <NotebookTemplateSharingFields
+                        value={sharingDraft}
+                        onChange={setSharingDraft}
+                        workspaceOptions={workspaceOptions}
+                        disabled={updatingSharing}
+                      />
+                      <div className="flex flex-wrap gap-2">
+                        <button
+                          type="button"
+                          className="btn btn-primary btn-sm"
+                          disabled={!sharingChanged || updatingSharing}
+                          onClick={() =>
+                            onUpdateSharing?.(detail.id, sharingDraft)
+                          }
+                        >
+                          {updatingSharing && (
+                            <span className="loading loading-spinner loading-xs" />
+                          )}
+                          Save sharing
+                        </button>
+                        {detail.sourceNotebookId ? (
+                          <button
+                            type="button"
+                            className="btn btn-ghost btn-sm gap-2"
+                            disabled={syncing}
+                            onClick={() => onSyncTemplate?.(detail.id)}
+                            title="Replace the template notes with the current notes of the notebook it was saved from"
+                          >
+                            <RefreshCwIcon
+                              className={`size-4 ${syncing ? "animate-spin" : ""}`}
+                            />
+                            Update from notebook
+                          </button>
+                        ) : null}
+                      </div>
+                    </section>
+                  ) : null}
                   <div className="space-y-3">
                     {(detail.notes ?? []).slice(0, 4).map((note) => (
                       <article
@@ -404,6 +570,24 @@ function NotebookTemplateGalleryModal({
                       </p>
                     )}
                   </div>
+                  {detail.prompts?.length ? (
+                    <section className="space-y-3 rounded-2xl border border-base-content/10 bg-base-100/90 p-4 shadow-sm">
+                      <div className="flex items-center gap-2 text-sm font-semibold text-base-content">
+                        <PenLineIcon className="size-4 text-primary" />
+                        <span>Fill in template</span>
+                      </div>
+                      <p className="text-xs text-base-content/60">
+                        These values replace the template's placeholders in
+                        the new notebook.
+                      </p>
+                      <TemplatePromptFields
+                        prompts={detail.prompts}
+                        values={promptValues}
+                        onChange={setPromptValues}
+                        disabled={importing}
+                      />
+                    </section>
+                  ) : null}
                   {showWorkspaceSection ? (
                     <section className="space-y-3 rounded-2xl border border-base-content/10 bg-base-100/90 p-4 shadow-sm">
                       <div className="flex items-center gap-2 text-sm font-semibold text-base-content">
@@ -497,23 +681,25 @@ function NotebookTemplateGalleryModal({
                 Close
               </button>
               <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
-                <button
-                  type="button"
-                  className="btn btn-ghost btn-sm text-error"
-                  disabled={
-                    !selectedTemplateId || deleteInProgress || importing
-                  }
-                  onClick={handleDeleteClick}
-                >
-                  {deleting ? (
-                    <span className="loading loading-spinner loading-xs" />
-                  ) : (
-                    <Trash2Icon className="size-4" />
-                  )}
-                  Delete template
-                </button>
+                {canManage ? (
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm text-error"
+                    disabled={
+                      !selectedTemplateId || deleteInProgress || importing
+                    }
+                    onClick={handleDeleteClick}
+                  >
+                    {deleting ? (
+                      <span className="loading loading-spinner loading-xs" />
+                    ) : (
+                      <Trash2Icon className="size-4" />
+                    )}
+                    Delete template
+                  </button>
+                ) : null}
                 <span className="text-xs text-base-content/60">
-                  Templates remain private to your account.
+                  Using a template copies its notes into a new notebook.
                 </span>
                 <button
                   type="button"
@@ -0,0 +1,103 @@
+import type { ChangeEvent } from "react";
+import type {
+  NotebookTemplateSharing,
+  NotebookTemplateVisibility,
+} from "../types/api";
+
+const VISIBILITY_OPTIONS: {
+  value: NotebookTemplateVisibility;
+  label: string;
+  hint: string;
+}[] = [
+  { value: "private", label: "Only me", hint: "Only you can see and use it." },
+  {
+    value: "workspace",
+    label: "Workspace",
+    hint: "Members of the workspace can use it from the Team tab.",
+  },
+  {
+    value: "public",
+    label: "Public gallery",
+    hint: "Anyone signed in can find and use it.",
+  },
+];
+
+interface WorkspaceOption {
+  id: string;
+  name?: string;
+}
+
+interface NotebookTemplateSharingFieldsProps {
+  value: NotebookTemplateSharing;
+  onChange: (value: NotebookTemplateSharing) => void;
+  workspaceOptions?: WorkspaceOption[];
+  disabled?: boolean;
+}
+
+function NotebookTemplateSharingFields({
+  value,
+  onChange,
+  workspaceOptions = [],
+  disabled = false,
+}: NotebookTemplateSharingFieldsProps) {
+  const activeOption =
+    VISIBILITY_OPTIONS.find((option) => option.value === value.visibility) ??
+    VISIBILITY_OPTIONS[0];
+
+  const handleVisibilityChange = (event: ChangeEvent<HTMLSelectElement>) => {
+    const visibility = event.target.value as NotebookTemplateVisibility;
+    onChange({
+      visibility,
+      workspaceId:
+        visibility === "workspace"
+          ? (value.workspaceId ?? workspaceOptions[0]?.id ?? null)
+          : null,
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="form-control w-full">
+        <span className="label-text text-sm font-medium text-base-content">
+          Shared with
+        </span>
+        <select
+          className="select select-bordered select-sm w-full"
+          value={value.visibility}
+          onChange={handleVisibilityChange}
+          disabled={disabled}
+        >
+          {VISIBILITY_OPTIONS.map((option) => (
+            <option
+              key={option.value}
+              value={option.value}
+              disabled={option.value === "workspace" && !workspaceOptions.length}
+            >
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {value.visibility === "workspace" ? (
+        <select
+          className="select select-bordered select-sm w-full"
+          aria-label="Workspace"
+          value={value.workspaceId ?? ""}
+          onChange={(event) =>
+            onChange({ ...value, workspaceId: event.target.value || null })
+          }
+          disabled={disabled}
+        >
+          {workspaceOptions.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.name?.trim() || "Workspace"}
+            </option>
+          ))}
+        </select>
+      ) : null}
+      <p className="text-xs text-base-content/50">{activeOption.hint}</p>
+    </div>
+  );
+}
+
+export default NotebookTemplateSharingFields;
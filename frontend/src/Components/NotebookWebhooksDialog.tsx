@@ -0,0 +1,56 @@
+import { WebhookIcon, XIcon } from "lucide-react";
+import WebhooksManager from "./WebhooksManager";
+import type { NotebookRef } from "../types/api";
+
+interface NotebookWebhooksDialogProps {
+  notebook: NotebookRef | null;
+  open: boolean;
+  onClose: () => void;
+}
+
+function NotebookWebhooksDialog({
+  notebook,
+  open,
+  onClose,
+}: NotebookWebhooksDialogProps) {
+  const notebookId = notebook?.id ?? notebook?._id ?? null;
+  if (!open || !notebookId) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[97] flex items-center justify-center bg-black/40 px-4 py-10 sm:px-6"
+      role="dialog"
+      aria-modal="true"
+      onClick={onClose}
+    >
+      <div
+        className="max-h-full w-full max-w-2xl overflow-y-auto rounded-[28px] border border-base-300/50 bg-base-100/95 px-6 py-6 shadow-2xl backdrop-blur-sm sm:px-8"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="mb-5 flex items-start justify-between gap-3">
+          <div className="space-y-1">
+            <h2 className="flex items-center gap-2 text-2xl font-semibold text-base-content">
+              <WebhookIcon className="size-5" />
+              Webhooks
+            </h2>
+            <p className="text-sm text-base-content/70">
+              Notify other services when "{notebook?.name ?? "this notebook"}"
+              changes.
+            </p>
+          </div>
+          <button
+            type="button"
+            className="btn btn-outline btn-sm"
+            onClick={onClose}
+          >
+            <XIcon className="size-4" />
+            Close
+          </button>
+        </header>
+        <WebhooksManager basePath={`/notebooks/${notebookId}/webhooks`} />
+      </div>
+    </div>
+  );
+}
+
+export default NotebookWebhooksDialog;
@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { LoaderIcon, LockIcon } from "lucide-react";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+
+interface PublicationPasswordFormProps {
+  /** API path that accepts `{ password }` and sets the unlock cookie. */
+  unlockPath: string;
+  label: string;
+  onUnlocked: () => void;
+}
+
+function PublicationPasswordForm({
+  unlockPath,
+  label,
+  onUnlocked,
+}: PublicationPasswordFormProps) {
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!password || submitting) return;
+    setSubmitting(true);
+    setError("");
+    try {
+      await api.post(unlockPath, { password });
+      onUnlocked();
+    } catch (unlockError) {
+      setError(extractApiError(unlockError, "Unable to unlock this page."));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="mx-auto max-w-md px-4 py-16">
+      <form
+        className="space-y-4 rounded-2xl border border-base-300 bg-base-100 p-8 shadow-sm"
+        onSubmit={handleSubmit}
+      >
+        <div className="flex items-center gap-3">
+          <LockIcon className="size-6 text-primary" />
+          <h1 className="text-2xl font-semibold text-base-content">
+            Password required
+          </h1>
+        </div>
+        <p className="text-sm text-base-content/70">
+          This {label} is password protected. Enter the password you were
+          given to view it.
+        </p>
+        <input
+          type="password"
+          className={`input input-bordered w-full ${error ? "input-error" : ""}`}
+          value={password}
+          onChange={(event) => {
+            setPassword(event.target.value);
+            setError("");
+          }}
+          placeholder="Password"
+          aria-label="Password"
+          autoComplete="current-password"
+          autoFocus
+        />
+        {error ? <p className="text-xs text-error">{error}</p> : null}
+        <button
+          type="submit"
+          className="btn btn-primary w-full"
+          disabled={!password || submitting}
+        >
+          {submitting ? <LoaderIcon className="size-4 animate-spin" /> : null}
+          Unlock
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default PublicationPasswordForm;
@@ -0,0 +1,110 @@
+import { useQuery } from "@tanstack/react-query";
+import { EyeIcon } from "lucide-react";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import type { PublicationViewAnalytics } from "../types/api";
+import Sparkline from "./Sparkline";
+
+interface PublicationViewsPanelProps {
+  /** Owner endpoint, e.g. `/notebooks/:id/publish/analytics`. */
+  analyticsPath: string;
+  days?: number;
+}
+
+const numberFormatter = new Intl.NumberFormat();
+
+function PublicationViewsPanel({
+  analyticsPath,
+  days = 30,
+}: PublicationViewsPanelProps) {
+  const analyticsQuery = useQuery({
+    queryKey: ["publication-analytics", analyticsPath, days],
+    queryFn: async () => {
+      const response = await api.get(analyticsPath, { params: { days } });
+      return response.data as PublicationViewAnalytics;
+    },
+    staleTime: 60_000,
+  });
+
+  const analytics = analyticsQuery.data;
+  const hasViews = Boolean(analytics?.totals.views);
+
+  return (
+    <div className="rounded-xl border border-base-300/70 bg-base-100/80 p-4">
+      <span className="flex items-center gap-2 text-xs font-semibold uppercase text-base-content/60">
+        <EyeIcon className="size-4" />
+        Views · last {days} days
+      </span>
+
+      {analyticsQuery.isLoading ? (
+        <div className="mt-3 h-20 animate-pulse rounded-lg bg-base-200" />
+      ) : analyticsQuery.isError ? (
+        <p className="mt-3 text-xs text-error">
+          {extractApiError(analyticsQuery.error, "Could not load view analytics")}
+        </p>
+      ) : analytics ? (
+        <div className="mt-3 space-y-4">
+          <div className="flex gap-6 text-sm">
+            <div>
+              <p className="text-lg font-semibold text-base-content">
+                {numberFormatter.format(analytics.totals.views)}
+              </p>
+              <p className="text-xs text-base-content/60">Views</p>
+            </div>
+            <div>
+              <p className="text-lg font-semibold text-base-content">
+                {numberFormatter.format(analytics.totals.uniqueVisitors)}
+              </p>
+              <p className="text-xs text-base-content/60">Daily visitors</p>
+            </div>
+          </div>
+          <div className="h-20">
+            <Sparkline
+              data={hasViews ? analytics.daily.map((day) => day.views) : []}
+              ariaLabel="Views per day"
+            />
+          </div>
+          {analytics.referrers.length ? (
+            <div>
+              <p className="text-xs font-semibold text-base-content/70">
+                Top referrers
+              </p>
+              <ul className="mt-1 space-y-1 text-xs text-base-content/70">
+                {analytics.referrers.slice(0, 5).map((referrer) => (
+                  <li key={referrer.domain} className="flex justify-between gap-2">
+                    <span className="truncate">
+                      {referrer.domain === "direct" ? "Direct / unknown" : referrer.domain}
+                    </span>
+                    <span>{numberFormatter.format(referrer.visitors)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+          {analytics.noteReads?.length ? (
+            <div>
+              <p className="text-xs font-semibold text-base-content/70">
+                Most read notes
+              </p>
+              <ul className="mt-1 space-y-1 text-xs text-base-content/70">
+                {analytics.noteReads.slice(0, 5).map((entry) => (
+                  <li key={entry.noteId} className="flex justify-between gap-2">
+                    <span className="truncate">
+                      {entry.title || "Untitled note"}
+                    </span>
+                    <span>{numberFormatter.format(entry.reads)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+          <p className="text-[11px] text-base-content/50">
+            Visitors are counted once per day without storing IP addresses.
+          </p>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default PublicationViewsPanel;
@@ -1,6 +1,8 @@
 import { useEffect, useState, type FormEvent } from "react";
 import { SparklesIcon } from "lucide-react";
 import TagInput from "./TagInput";
+import NotebookTemplateSharingFields from "./NotebookTemplateSharingFields";
+import type { NotebookTemplateSharing } from "../types/api";
 
 const sanitizeTags = (values: unknown[]): string[] => {
   if (!Array.isArray(values)) return [];
@@ -15,18 +17,29 @@ interface Notebook {
   description?: string;
 }
 
-interface TemplatePayload {
+interface TemplatePayload extends NotebookTemplateSharing {
   name: string;
   description: string;
   tags: string[];
 }
 
+interface WorkspaceOption {
+  id: string;
+  name?: string;
+}
+
+const PRIVATE_SHARING: NotebookTemplateSharing = {
+  visibility: "private",
+  workspaceId: null,
+};
+
 interface SaveNotebookTemplateDialogProps {
   open: boolean;
   notebook?: Notebook | null;
   onClose: () => void;
   onSubmit?: (payload: TemplatePayload) => void;
   submitting?: boolean;
+  workspaceOptions?: WorkspaceOption[];
 }
 
 function SaveNotebookTemplateDialog({
@@ -35,16 +48,20 @@ function SaveNotebookTemplateDialog({
   onClose,
   onSubmit,
   submitting = false,
+  workspaceOptions = [],
 }: SaveNotebookTemplateDialogProps) {
   const [name, setName] = useState("");
   const [description, setDescription] = useState("");
   const [tags, setTags] = useState<string[]>([]);
+  const [sharing, setSharing] =
+    useState<NotebookTemplateSharing>(PRIVATE_SHARING);
 
   useEffect(() => {
     if (!open) return;
     setName(notebook?.name ?? "");
     setDescription(notebook?.description ?? "");
     setTags([]);
+    setSharing(PRIVATE_SHARING);
   }, [open, notebook]);
 
   if (!open) return null;
@@ -67,6 +84,7 @@ function SaveNotebookTemplateDialog({
             name: trimmedName,
             description: description.trim(),
             tags: sanitizeTags(tags),
+            ...sharing,
           });
         }}
         onClick={(event) => event.stopPropagation()}
@@ -122,6 +140,13 @@ function SaveNotebookTemplateDialog({
           </p>
         </div>
 
+        <NotebookTemplateSharingFields
+          value={sharing}
+          onChange={setSharing}
+          workspaceOptions={workspaceOptions}
+          disabled={submitting}
+        />
+
         <footer className="flex items-center justify-end gap-3">
           <button
             type="button"
@@ -0,0 +1,171 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  LaptopIcon,
+  LoaderIcon,
+  LogOutIcon,
+  MonitorSmartphoneIcon,
+  SmartphoneIcon,
+  TabletIcon,
+} from "lucide-react";
+import { toast } from "sonner";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import { formatDate, formatRelativeTime } from "../lib/Utils";
+import type { AuthSession, SessionsResponse } from "../types/api";
+
+const SESSIONS_QUERY_KEY = ["auth-sessions"];
+
+const DEVICE_ICONS = {
+  desktop: LaptopIcon,
+  mobile: SmartphoneIcon,
+  tablet: TabletIcon,
+  unknown: MonitorSmartphoneIcon,
+} as const;
+
+const describeSession = ({ device }: AuthSession) => {
+  const browser = device.browser
+    ? `${device.browser}${device.browserVersion ? ` ${device.browserVersion}` : ""}`
+    : "Unknown browser";
+  return device.os ? `${browser} on ${device.os}` : browser;
+};
+
+/** Devices signed in to this account, with remote sign-out. */
+const SessionsCard = () => {
+  const queryClient = useQueryClient();
+
+  const sessionsQuery = useQuery<SessionsResponse>({
+    queryKey: SESSIONS_QUERY_KEY,
+    queryFn: async () => {
+      const response = await api.get("/auth/sessions");
+      return response.data;
+    },
+    staleTime: 30_000,
+  });
+
+  const revokeMutation = useMutation<unknown, Error, string>({
+    mutationFn: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+    onSuccess: () => {
+      toast.success("Device signed out");
+      queryClient.invalidateQueries({ queryKey: SESSIONS_QUERY_KEY });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to sign out device"));
+    },
+  });
+
+  const revokeOthersMutation = useMutation<{ revoked: number }, Error>({
+    mutationFn: async () => {
+      const response = await api.delete("/auth/sessions");
+      return response.data;
+    },
+    onSuccess: ({ revoked }) => {
+      toast.success(
+        revoked
+          ? `Signed out ${revoked} other device${revoked === 1 ? "" : "s"}`
+          : "No other devices were signed in",
+      );
+      queryClient.invalidateQueries({ queryKey: SESSIONS_QUERY_KEY });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to sign out other devices"));
+    },
+  });
+
+  const sessions = sessionsQuery.data?.sessions ?? [];
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <div className="card border border-base-300/60 bg-base-100/90 shadow-lg rounded-2xl">
+      <div className="card-body space-y-5">
+        <div className="flex flex-wrap items-start justify-between gap-2">
+          <div className="space-y-1">
+            <h3 className="flex items-center gap-2 text-base font-bold text-secondary">
+              <MonitorSmartphoneIcon className="size-4" />
+              Active sessions
+            </h3>
+            <p className="text-xs text-base-content/60">
+              Devices currently signed in to your account. Changing or
+              resetting your password signs out all of them.
+            </p>
+          </div>
+          <button
+            type="button"
+            className="btn btn-outline btn-sm gap-1"
+            onClick={() => revokeOthersMutation.mutate()}
+            disabled={!hasOthers || revokeOthersMutation.isPending}
+          >
+            {revokeOthersMutation.isPending ? (
+              <span className="loading loading-spinner loading-xs" />
+            ) : (
+              <LogOutIcon className="size-4" />
+            )}
+            Sign out other devices
+          </button>
+        </div>
+
+        {sessionsQuery.isError ? (
+          <div className="alert alert-error text-xs">
+            {extractApiError(sessionsQuery.error, "Failed to load sessions")}
+          </div>
+        ) : null}
+
+        {sessionsQuery.isLoading ? (
+          <div className="flex items-center gap-2 text-sm text-base-content/70">
+            <LoaderIcon className="size-4 animate-spin" />
+            Loading sessions…
+          </div>
+        ) : sessions.length ? (
+          <ul className="divide-y divide-base-300/60 rounded-xl border border-base-300/60 bg-base-200/60">
+            {sessions.map((session) => {
+              const DeviceIcon = DEVICE_ICONS[session.device.deviceType];
+              return (
+                <li
+                  key={session.id}
+                  className="flex flex-col gap-2 px-4 py-3 sm:flex-row sm:items-center sm:justify-between"
+                >
+                  <div className="flex min-w-0 items-start gap-3">
+                    <DeviceIcon className="mt-0.5 size-5 shrink-0 text-base-content/60" />
+                    <div className="min-w-0 space-y-1">
+                      <p className="text-sm font-semibold text-base-content">
+                        {describeSession(session)}
+                        {session.current ? (
+                          <span className="badge badge-sm badge-success ml-2">
+                            This device
+                          </span>
+                        ) : null}
+                      </p>
+                      <p className="text-xs text-base-content/60">
+                        {session.ip ? `${session.ip} · ` : ""}
+                        {session.current
+                          ? "Active now"
+                          : `Last active ${formatRelativeTime(session.lastUsedAt)}`}
+                        {session.createdAt
+                          ? ` · Signed in ${formatDate(new Date(session.createdAt))}`
+                          : ""}
+                      </p>
+                    </div>
+                  </div>
+                  {session.current ? null : (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm gap-1 text-error self-start sm:self-auto"
+                      onClick={() => revokeMutation.mutate(session.id)}
+                      disabled={revokeMutation.isPending}
+                    >
+                      <LogOutIcon className="size-4" />
+                      Sign out
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-base-content/60">No active sessions.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionsCard;
@@ -12,6 +12,7 @@ import {
   CheckSquareIcon,
   CodeIcon,
   QuoteIcon,
+  ImageIcon,
 } from "lucide-react";
 import type { Editor, Range } from "@tiptap/core";
 import type { AppIcon } from "../types/icon";
@@ -20,10 +21,13 @@ interface SlashCommand {
   title: string;
   icon: AppIcon;
   command: (args: { editor: Editor; range: Range }) => void;
+  /** Hide the command in editors that lack the extension it relies on. */
+  isAvailable?: (editor: Editor) => boolean;
 }
 
 interface CommandsListProps {
   query: string;
+  editor: Editor;
   command: (item: SlashCommand) => void;
 }
 
@@ -107,13 +111,25 @@ const CommandsList = forwardRef<CommandsListHandle, CommandsListProps>(
           editor.chain().focus().deleteRange(range).toggleBlockquote().run();
         },
       },
+      {
+        title: "Image",
+        icon: ImageIcon,
+        command: ({ editor, range }) => {
+          editor.chain().focus().deleteRange(range).run();
+          editor.commands.pickAttachmentImages();
+        },
+        isAvailable: (editor) => Boolean(editor.commands.pickAttachmentImages),
+      },
     ];
 
+    const availableCommands = commands.filter(
+      (cmd) => !cmd.isAvailable || cmd.isAvailable(props.editor),
+    );
     const filteredCommands = props.query
-      ? commands.filter((cmd) =>
+      ? availableCommands.filter((cmd) =>
           cmd.title.toLowerCase().includes(props.query.toLowerCase()),
         )
-      : commands;
+      : availableCommands;
 
     const selectItem = (index: number) => {
       const item = filteredCommands[index];
@@ -0,0 +1,107 @@
+import { forwardRef, useEffect, useImperativeHandle, useState } from "react";
+
+export interface SuggestionListItem {
+  id: string;
+  label: string;
+  detail?: string;
+}
+
+interface SuggestionListProps {
+  items: SuggestionListItem[];
+  command: (item: { id: string; label: string }) => void;
+  emptyLabel?: string;
+}
+
+export interface SuggestionListHandle {
+  onKeyDown: (args: { event: KeyboardEvent }) => boolean;
+}
+
+/**
+ * Keyboard-navigable picker shared by the editor's `@` and `[[` suggestions
+ * and the comment composer.
+ */
+const SuggestionList = forwardRef<SuggestionListHandle, SuggestionListProps>(
+  (props, ref) => {
+    const [selectedIndex, setSelectedIndex] = useState(0);
+
+    const selectItem = (index: number) => {
+      const item = props.items[index];
+      if (item) {
+        props.command({ id: item.id, label: item.label });
+      }
+    };
+
+    useEffect(() => setSelectedIndex(0), [props.items]);
+
+    useImperativeHandle(ref, () => ({
+      onKeyDown: ({ event }: { event: KeyboardEvent }) => {
+        if (!props.items.length) {
+          return false;
+        }
+        if (event.key === "ArrowUp") {
+          setSelectedIndex(
+            (selectedIndex + props.items.length - 1) % props.items.length,
+          );
+          return true;
+        }
+        if (event.key === "ArrowDown") {
+          setSelectedIndex((selectedIndex + 1) % props.items.length);
+          return true;
+        }
+        if (event.key === "Enter" || event.key === "Tab") {
+          selectItem(selectedIndex);
+          return true;
+        }
+        return false;
+      },
+    }));
+
+    if (props.items.length === 0) {
+      return (
+        <div className="rounded-lg border border-base-300 bg-base-100 p-2 shadow-lg">
+          <div className="px-3 py-2 text-sm text-base-content/60">
+            {props.emptyLabel ?? "No matches"}
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="rounded-lg border border-base-300 bg-base-100 shadow-lg">
+        <div className="max-h-64 min-w-48 overflow-y-auto p-1">
+          {props.items.map((item, index) => (
+            <button
+              key={item.id}
+              type="button"
+              className={`flex w-full flex-col rounded-md px-3 py-1.5 text-left transition-colors ${
+                index === selectedIndex
+                  ? "bg-primary text-primary-content"
+                  : "text-base-content hover:bg-base-300/25"
+              }`}
+              // Keep focus in the editor or textarea while picking.
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => selectItem(index)}
+            >
+              <span className="text-sm font-medium">{item.label}</span>
+              {item.detail ? (
+                <span
+                  className={`text-xs ${
+                    index === selectedIndex
+                      ? "text-primary-content/70"
+                      : "text-base-content/50"
+                  }`}
+                >
+                  {item.detail}
+                </span>
+              ) : null}
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  },
+);
+
+SuggestionList.displayName = "SuggestionList";
+
+export default SuggestionList;
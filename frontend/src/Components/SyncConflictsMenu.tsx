@@ -0,0 +1,166 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "sonner";
+import { GitMergeIcon } from "lucide-react";
+import useOfflineSync from "../hooks/useOfflineSync";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import { formatRelativeTime } from "../lib/Utils";
+import type { SyncConflict } from "../lib/offlineDB";
+
+interface SyncConflictsMenuProps {
+  className?: string;
+}
+
+const REASON_LABELS: Record<SyncConflict["reason"], string> = {
+  edited:
+    "Edited here and on another device. Your offline version was saved as a copy.",
+  deleted:
+    "Deleted on another device. Your offline edits were saved as a copy.",
+  modified: "Changed on another device, so your offline delete was skipped.",
+};
+
+function SyncConflictsMenu({ className = "" }: SyncConflictsMenuProps) {
+  const { conflictCount, listConflicts, dismissConflict } = useOfflineSync();
+  const [conflicts, setConflicts] = useState<SyncConflict[]>([]);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const reload = useCallback(async () => {
+    setConflicts(await listConflicts());
+  }, [listConflicts]);
+
+  useEffect(() => {
+    if (!conflictCount) {
+      setConflicts([]);
+      return;
+    }
+    void reload();
+  }, [conflictCount, reload]);
+
+  // Deleting a note also settles the conflict that points at it.
+  const resolveByDeleting = async (conflict: SyncConflict, noteId: string) => {
+    setBusyId(conflict.id);
+    try {
+      await api.delete(`/notes/${noteId}`);
+      await dismissConflict(conflict.id);
+      toast.success("Conflict resolved");
+    } catch (error: unknown) {
+      toast.error(extractApiError(error, "Failed to delete note"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const keepBoth = async (conflict: SyncConflict) => {
+    setBusyId(conflict.id);
+    try {
+      await dismissConflict(conflict.id);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!conflictCount) {
+    return null;
+  }
+
+  return (
+    <div className={`dropdown dropdown-end ${className}`}>
+      <button
+        type="button"
+        tabIndex={0}
+        className="inline-flex items-center gap-1.5 rounded-full border border-warning/40 bg-warning/10 px-2 py-0.5 text-xs font-medium text-warning"
+        aria-label={`${conflictCount} sync conflicts`}
+      >
+        <GitMergeIcon className="size-3.5" aria-hidden />
+        <span className="whitespace-nowrap">
+          {conflictCount === 1 ? "1 conflict" : `${conflictCount} conflicts`}
+        </span>
+      </button>
+      <div
+        tabIndex={0}
+        className="dropdown-content z-50 mt-2 w-80 space-y-2 rounded-2xl border border-base-content/10 bg-base-200/95 p-3 shadow-xl backdrop-blur"
+      >
+        <p className="text-xs font-semibold uppercase tracking-wide text-base-content/60">
+          Sync conflicts
+        </p>
+        <ul className="max-h-80 space-y-2 overflow-y-auto">
+          {conflicts.map((conflict) => {
+            const busy = busyId === conflict.id;
+            return (
+              <li
+                key={conflict.id}
+                className="rounded-xl border border-base-content/10 bg-base-100 p-2.5 text-sm"
+              >
+                <div className="flex items-baseline justify-between gap-2">
+                  <span className="truncate font-medium">{conflict.title}</span>
+                  <span className="shrink-0 text-[11px] text-base-content/50">
+                    {formatRelativeTime(conflict.detectedAt)}
+                  </span>
+                </div>
+                <p className="mt-1 text-xs text-base-content/70">
+                  {REASON_LABELS[conflict.reason]}
+                  {conflict.fields.length
+                    ? ` Conflicting: ${conflict.fields.join(", ")}.`
+                    : ""}
+                </p>
+                <div className="mt-2 flex flex-wrap items-center gap-1.5">
+                  {conflict.reason !== "deleted" && (
+                    <Link
+                      to={`/note/${conflict.noteId}`}
+                      className="btn btn-ghost btn-xs"
+                    >
+                      Open note
+                    </Link>
+                  )}
+                  {conflict.copyNoteId && (
+                    <Link
+                      to={`/note/${conflict.copyNoteId}`}
+                      className="btn btn-ghost btn-xs"
+                    >
+                      Open copy
+                    </Link>
+                  )}
+                  {conflict.copyNoteId && (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-xs text-error"
+                      disabled={busy}
+                      onClick={() =>
+                        void resolveByDeleting(conflict, conflict.copyNoteId!)
+                      }
+                    >
+                      Discard copy
+                    </button>
+                  )}
+                  {conflict.reason === "modified" && (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-xs text-error"
+                      disabled={busy}
+                      onClick={() =>
+                        void resolveByDeleting(conflict, conflict.noteId)
+                      }
+                    >
+                      Delete anyway
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-xs ml-auto"
+                    disabled={busy}
+                    onClick={() => void keepBoth(conflict)}
+                  >
+                    {conflict.copyNoteId ? "Keep both" : "Keep note"}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default SyncConflictsMenu;
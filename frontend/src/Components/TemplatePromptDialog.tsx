@@ -0,0 +1,77 @@
+import { useEffect, useState, type FormEvent } from "react";
+import { WandSparklesIcon } from "lucide-react";
+import TemplatePromptFields from "./TemplatePromptFields";
+
+interface TemplatePromptDialogProps {
+  open: boolean;
+  templateName: string;
+  prompts: string[];
+  onSubmit: (values: Record<string, string>) => void;
+  onClose: () => void;
+}
+
+function TemplatePromptDialog({
+  open,
+  templateName,
+  prompts,
+  onSubmit,
+  onClose,
+}: TemplatePromptDialogProps) {
+  const [values, setValues] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    if (open) setValues({});
+  }, [open]);
+
+  if (!open) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[96] flex items-center justify-center bg-black/50 px-3 py-10 backdrop-blur-sm"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Fill in template"
+      onClick={onClose}
+    >
+      <form
+        className="w-full max-w-md space-y-5 rounded-3xl border border-base-content/10 bg-base-200/90 p-6 shadow-xl shadow-primary/30"
+        onSubmit={(event: FormEvent<HTMLFormElement>) => {
+          event.preventDefault();
+          onSubmit(values);
+        }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="flex items-center gap-3">
+          <WandSparklesIcon className="size-6 text-primary" />
+          <div>
+            <h2 className="text-lg font-semibold text-base-content">
+              Fill in {templateName}
+            </h2>
+            <p className="text-sm text-base-content/60">
+              These values are filled into the note. Leave a field empty to
+              skip it.
+            </p>
+          </div>
+        </header>
+
+        <TemplatePromptFields
+          prompts={prompts}
+          values={values}
+          onChange={setValues}
+          autoFocusFirst
+        />
+
+        <footer className="flex items-center justify-end gap-3">
+          <button type="button" className="btn btn-ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary">
+            Use template
+          </button>
+        </footer>
+      </form>
+    </div>
+  );
+}
+
+export default TemplatePromptDialog;
@@ -0,0 +1,41 @@
+interface TemplatePromptFieldsProps {
+  /** Labels from the template's `{{prompt:…}}` placeholders. */
+  prompts: string[];
+  values: Record<string, string>;
+  onChange: (values: Record<string, string>) => void;
+  disabled?: boolean;
+  autoFocusFirst?: boolean;
+}
+
+function TemplatePromptFields({
+  prompts,
+  values,
+  onChange,
+  disabled = false,
+  autoFocusFirst = false,
+}: TemplatePromptFieldsProps) {
+  return (
+    <div className="space-y-2">
+      {prompts.map((label, index) => (
+        <label key={label} className="form-control w-full">
+          <span className="label-text text-sm font-medium text-base-content">
+            {label}
+          </span>
+          <input
+            type="text"
+            className="input input-bordered input-sm w-full bg-base-100/80"
+            value={values[label] ?? ""}
+            onChange={(event) =>
+              onChange({ ...values, [label]: event.target.value })
+            }
+            maxLength={500}
+            disabled={disabled}
+            autoFocus={autoFocusFirst && index === 0}
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default TemplatePromptFields;
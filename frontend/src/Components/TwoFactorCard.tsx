@@ -0,0 +1,356 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  CopyIcon,
+  LoaderIcon,
+  ShieldCheckIcon,
+  ShieldOffIcon,
+} from "lucide-react";
+import { toast } from "sonner";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import { formatDate } from "../lib/Utils";
+import type {
+  TwoFactorCodesResponse,
+  TwoFactorSetupResponse,
+  TwoFactorStatus,
+} from "../types/api";
+
+const STATUS_QUERY_KEY = ["two-factor-status"];
+
+type ReauthAction = "disable" | "regenerate";
+
+/** TOTP enrollment, recovery codes and (re-authenticated) removal. */
+const TwoFactorCard = () => {
+  const queryClient = useQueryClient();
+  const [setup, setSetup] = useState<TwoFactorSetupResponse | null>(null);
+  const [enableCode, setEnableCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [reauthAction, setReauthAction] = useState<ReauthAction | null>(null);
+  const [password, setPassword] = useState("");
+  const [reauthCode, setReauthCode] = useState("");
+
+  const statusQuery = useQuery<TwoFactorStatus>({
+    queryKey: STATUS_QUERY_KEY,
+    queryFn: async () => {
+      const response = await api.get("/auth/2fa");
+      return response.data;
+    },
+    staleTime: 30_000,
+  });
+
+  const resetReauth = () => {
+    setReauthAction(null);
+    setPassword("");
+    setReauthCode("");
+  };
+
+  const setupMutation = useMutation<TwoFactorSetupResponse, Error>({
+    mutationFn: async () => {
+      const response = await api.post("/auth/2fa/setup");
+      return response.data;
+    },
+    onSuccess: (data) => {
+      setSetup(data);
+      setEnableCode("");
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to start setup"));
+    },
+  });
+
+  const enableMutation = useMutation<TwoFactorCodesResponse, Error, string>({
+    mutationFn: async (code) => {
+      const response = await api.post("/auth/2fa/enable", { code });
+      return response.data;
+    },
+    onSuccess: (data) => {
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      queryClient.setQueryData(STATUS_QUERY_KEY, data);
+      toast.success("Two-factor authentication enabled");
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "That code didn't work"));
+    },
+  });
+
+  const reauthMutation = useMutation<
+    TwoFactorStatus | TwoFactorCodesResponse,
+    Error,
+    { action: ReauthAction; password: string; code: string }
+  >({
+    mutationFn: async ({ action, ...payload }) => {
+      const path =
+        action === "disable" ? "/auth/2fa/disable" : "/auth/2fa/recovery-codes";
+      const response = await api.post(path, payload);
+      return response.data;
+    },
+    onSuccess: (data, { action }) => {
+      resetReauth();
+      queryClient.setQueryData(STATUS_QUERY_KEY, data);
+      if (action === "disable") {
+        setRecoveryCodes(null);
+        toast.success("Two-factor authentication disabled");
+      } else if ("recoveryCodes" in data) {
+        setRecoveryCodes(data.recoveryCodes);
+        toast.success("New recovery codes generated");
+      }
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Re-authentication failed"));
+    },
+  });
+
+  const status = statusQuery.data;
+
+  const handleCopyCodes = async () => {
+    if (!recoveryCodes) return;
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+      toast.success("Recovery codes copied");
+    } catch {
+      toast.error("Copy failed — select the codes and copy them manually");
+    }
+  };
+
+  const handleEnableSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!enableCode.trim() || enableMutation.isPending) return;
+    enableMutation.mutate(enableCode.trim());
+  };
+
+  const handleReauthSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!reauthAction || !password || !reauthCode.trim()) return;
+    reauthMutation.mutate({
+      action: reauthAction,
+      password,
+      code: reauthCode.trim(),
+    });
+  };
+
+  return (
+    <div className="card border border-base-300/60 bg-base-100/90 shadow-lg rounded-2xl">
+      <div className="card-body space-y-5">
+        <div className="flex flex-wrap items-start justify-between gap-2">
+          <div className="space-y-1">
+            <h3 className="flex items-center gap-2 text-base font-bold text-secondary">
+              <ShieldCheckIcon className="size-4" />
+              Two-factor authentication
+            </h3>
+            <p className="text-xs text-base-content/60">
+              Require a code from an authenticator app in addition to your
+              password when signing in.
+            </p>
+          </div>
+          {status ? (
+            <span
+              className={`badge ${status.enabled ? "badge-success" : "badge-ghost"}`}
+            >
+              {status.enabled ? "On" : "Off"}
+            </span>
+          ) : null}
+        </div>
+
+        {statusQuery.isError ? (
+          <div className="alert alert-error text-xs">
+            {extractApiError(statusQuery.error, "Failed to load 2FA status")}
+          </div>
+        ) : null}
+
+        {recoveryCodes ? (
+          <div className="alert alert-warning flex-col items-stretch gap-2 text-sm">
+            <p className="font-semibold">
+              Save these recovery codes somewhere safe. Each works once, and
+              they won&apos;t be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-1 rounded-lg bg-base-100 p-3 font-mono text-xs text-base-content">
+              {recoveryCodes.map((code) => (
+                <li key={code}>{code}</li>
+              ))}
+            </ul>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                className="btn btn-xs btn-ghost gap-1"
+                onClick={handleCopyCodes}
+              >
+                <CopyIcon className="size-3" />
+                Copy
+              </button>
+              <button
+                type="button"
+                className="btn btn-xs btn-ghost"
+                onClick={() => setRecoveryCodes(null)}
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        ) : null}
+
+        {statusQuery.isLoading ? (
+          <div className="flex items-center gap-2 text-sm text-base-content/70">
+            <LoaderIcon className="size-4 animate-spin" />
+            Loading…
+          </div>
+        ) : status?.enabled ? (
+          <div className="space-y-3">
+            <p className="text-sm text-base-content/70">
+              Enabled
+              {status.enabledAt
+                ? ` since ${formatDate(new Date(status.enabledAt))}`
+                : ""}
+              {" · "}
+              {status.recoveryCodesRemaining} recovery code
+              {status.recoveryCodesRemaining === 1 ? "" : "s"} left
+            </p>
+
+            {reauthAction ? (
+              <form onSubmit={handleReauthSubmit} className="space-y-3">
+                <p className="text-xs text-base-content/70">
+                  Confirm it&apos;s you to{" "}
+                  {reauthAction === "disable"
+                    ? "turn off two-factor authentication"
+                    : "replace your recovery codes"}
+                  .
+                </p>
+                <div className="flex flex-col gap-3 sm:flex-row">
+                  <input
+                    type="password"
+                    className="input input-bordered input-sm flex-1 rounded-xl bg-base-200/70"
+                    placeholder="Current password"
+                    value={password}
+                    onChange={(event) => setPassword(event.target.value)}
+                    autoComplete="current-password"
+                    required
+                  />
+                  <input
+                    type="text"
+                    className="input input-bordered input-sm flex-1 rounded-xl bg-base-200/70"
+                    placeholder="Authenticator or recovery code"
+                    value={reauthCode}
+                    onChange={(event) => setReauthCode(event.target.value)}
+                    autoComplete="one-time-code"
+                    maxLength={20}
+                    required
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    className={`btn btn-sm ${reauthAction === "disable" ? "btn-error" : "btn-primary"}`}
+                    disabled={reauthMutation.isPending}
+                  >
+                    {reauthMutation.isPending ? (
+                      <span className="loading loading-spinner loading-xs" />
+                    ) : null}
+                    {reauthAction === "disable"
+                      ? "Disable two-factor"
+                      : "Generate new codes"}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm"
+                    onClick={resetReauth}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  className="btn btn-outline btn-sm"
+                  onClick={() => setReauthAction("regenerate")}
+                >
+                  New recovery codes
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm gap-1 text-error"
+                  onClick={() => setReauthAction("disable")}
+                >
+                  <ShieldOffIcon className="size-4" />
+                  Disable
+                </button>
+              </div>
+            )}
+          </div>
+        ) : setup ? (
+          <form onSubmit={handleEnableSubmit} className="space-y-4">
+            <div className="flex flex-col gap-4 sm:flex-row sm:items-center">
+              <img
+                src={setup.qrCodeDataUrl}
+                alt="QR code for your authenticator app"
+                className="size-40 rounded-xl border border-base-300 bg-white p-2"
+              />
+              <div className="min-w-0 space-y-2 text-xs text-base-content/70">
+                <p>
+                  Scan the QR code with an authenticator app, or{" "}
+                  <a href={setup.otpauthUri} className="link link-primary">
+                    open it on this device
+                  </a>
+                  . You can also enter this key manually:
+                </p>
+                <code className="block break-all rounded-lg bg-base-200 px-3 py-2 text-base-content">
+                  {setup.secret}
+                </code>
+              </div>
+            </div>
+            <div className="flex flex-col gap-3 sm:flex-row">
+              <input
+                type="text"
+                className="input input-bordered flex-1 rounded-xl bg-base-200/70 tracking-widest"
+                placeholder="6-digit code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                value={enableCode}
+                onChange={(event) => setEnableCode(event.target.value)}
+                required
+              />
+              <button
+                type="submit"
+                className="btn btn-primary gap-2"
+                disabled={!enableCode.trim() || enableMutation.isPending}
+              >
+                {enableMutation.isPending ? (
+                  <span className="loading loading-spinner loading-xs" />
+                ) : (
+                  <ShieldCheckIcon className="size-4" />
+                )}
+                Verify and enable
+              </button>
+              <button
+                type="button"
+                className="btn btn-ghost"
+                onClick={() => setSetup(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            type="button"
+            className="btn btn-primary btn-sm self-start gap-2"
+            onClick={() => setupMutation.mutate()}
+            disabled={setupMutation.isPending}
+          >
+            {setupMutation.isPending ? (
+              <span className="loading loading-spinner loading-xs" />
+            ) : (
+              <ShieldCheckIcon className="size-4" />
+            )}
+            Set up two-factor
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorCard;
@@ -0,0 +1,484 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  ChevronDownIcon,
+  ChevronRightIcon,
+  CopyIcon,
+  LoaderIcon,
+  RotateCcwIcon,
+  SendIcon,
+  Trash2Icon,
+  WebhookIcon,
+} from "lucide-react";
+import { toast } from "sonner";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import { formatRelativeTime } from "../lib/Utils";
+import type {
+  Webhook,
+  WebhookDeliveriesResponse,
+  WebhookDelivery,
+  WebhookMutationResponse,
+  WebhooksResponse,
+} from "../types/api";
+
+interface WebhooksManagerProps {
+  /** API path of the hook collection, e.g. `/notebooks/<id>/webhooks`. */
+  basePath: string;
+}
+
+interface CreateWebhookPayload {
+  url: string;
+  description: string;
+  eventTypes: string[];
+}
+
+const DELIVERY_STATUS_BADGES: Record<WebhookDelivery["status"], string> = {
+  pending: "badge-warning",
+  delivering: "badge-info",
+  succeeded: "badge-success",
+  failed: "badge-error",
+};
+
+const describeDelivery = (delivery: WebhookDelivery): string => {
+  if (delivery.responseStatus) return `HTTP ${delivery.responseStatus}`;
+  if (delivery.error) return delivery.error;
+  return delivery.status === "pending" ? "Queued" : "No response";
+};
+
+const DeliveryLog = ({
+  basePath,
+  webhookId,
+}: {
+  basePath: string;
+  webhookId: string;
+}) => {
+  const queryClient = useQueryClient();
+  const queryKey = ["webhook-deliveries", basePath, webhookId];
+
+  const deliveriesQuery = useQuery<WebhookDeliveriesResponse>({
+    queryKey,
+    queryFn: async () => {
+      const response = await api.get(
+        `${basePath}/${webhookId}/deliveries`,
+        { params: { limit: 20 } },
+      );
+      return response.data;
+    },
+    refetchInterval: (query) =>
+      query.state.data?.deliveries.some(
+        (delivery) =>
+          delivery.status === "pending" || delivery.status === "delivering",
+      )
+        ? 15_000
+        : false,
+  });
+
+  const redeliverMutation = useMutation<unknown, Error, string>({
+    mutationFn: (deliveryId) =>
+      api.post(`${basePath}/${webhookId}/deliveries/${deliveryId}/redeliver`),
+    onSuccess: () => {
+      toast.success("Delivery queued");
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to redeliver"));
+    },
+  });
+
+  if (deliveriesQuery.isLoading) {
+    return (
+      <div className="flex items-center gap-2 px-4 py-3 text-xs text-base-content/70">
+        <LoaderIcon className="size-3 animate-spin" />
+        Loading deliveries…
+      </div>
+    );
+  }
+
+  const deliveries = deliveriesQuery.data?.deliveries ?? [];
+  if (!deliveries.length) {
+    return (
+      <p className="px-4 py-3 text-xs text-base-content/60">
+        No deliveries yet.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-base-300/60 border-t border-base-300/60 text-xs">
+      {deliveries.map((delivery) => (
+        <li
+          key={delivery.id}
+          className="flex items-center justify-between gap-3 px-4 py-2"
+        >
+          <div className="min-w-0 space-y-0.5">
+            <p className="flex items-center gap-2">
+              <span
+                className={`badge badge-xs ${DELIVERY_STATUS_BADGES[delivery.status]}`}
+              >
+                {delivery.status}
+              </span>
+              <code>{delivery.eventType}</code>
+            </p>
+            <p className="truncate text-base-content/60">
+              {describeDelivery(delivery)}
+              {" · "}
+              {delivery.attempts} attempt{delivery.attempts === 1 ? "" : "s"}
+              {delivery.durationMs !== null ? ` · ${delivery.durationMs} ms` : ""}
+              {" · "}
+              {formatRelativeTime(new Date(delivery.createdAt))}
+              {delivery.nextAttemptAt
+                ? ` · retry ${formatRelativeTime(new Date(delivery.nextAttemptAt))}`
+                : ""}
+            </p>
+          </div>
+          {delivery.status === "succeeded" || delivery.status === "failed" ? (
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs gap-1"
+              onClick={() => redeliverMutation.mutate(delivery.id)}
+              disabled={redeliverMutation.isPending}
+            >
+              <RotateCcwIcon className="size-3" />
+              Redeliver
+            </button>
+          ) : null}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/** Register endpoints that receive signed notebook events, with a delivery log. */
+const WebhooksManager = ({ basePath }: WebhooksManagerProps) => {
+  const queryClient = useQueryClient();
+  const queryKey = ["webhooks", basePath];
+  const [url, setUrl] = useState("");
+  const [description, setDescription] = useState("");
+  const [eventTypes, setEventTypes] = useState<string[]>([]);
+  const [revealedSecret, setRevealedSecret] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  const webhooksQuery = useQuery<WebhooksResponse>({
+    queryKey,
+    queryFn: async () => {
+      const response = await api.get(basePath);
+      return response.data;
+    },
+    staleTime: 30_000,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey });
+
+  const createMutation = useMutation<
+    WebhookMutationResponse,
+    Error,
+    CreateWebhookPayload
+  >({
+    mutationFn: async (payload) => {
+      const response = await api.post(basePath, payload);
+      return response.data;
+    },
+    onSuccess: (data) => {
+      setRevealedSecret(data.secret ?? null);
+      setUrl("");
+      setDescription("");
+      setEventTypes([]);
+      refresh();
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to add webhook"));
+    },
+  });
+
+  const updateMutation = useMutation<
+    WebhookMutationResponse,
+    Error,
+    { id: string; changes: { active?: boolean; rotateSecret?: boolean } }
+  >({
+    mutationFn: async ({ id, changes }) => {
+      const response = await api.patch(`${basePath}/${id}`, changes);
+      return response.data;
+    },
+    onSuccess: (data) => {
+      if (data.secret) setRevealedSecret(data.secret);
+      refresh();
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to update webhook"));
+    },
+  });
+
+  const deleteMutation = useMutation<unknown, Error, string>({
+    mutationFn: (id) => api.delete(`${basePath}/${id}`),
+    onSuccess: () => {
+      toast.success("Webhook removed");
+      refresh();
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to remove webhook"));
+    },
+  });
+
+  const testMutation = useMutation<
+    { delivery: WebhookDelivery },
+    Error,
+    string
+  >({
+    mutationFn: async (id) => {
+      const response = await api.post(`${basePath}/${id}/test`);
+      return response.data;
+    },
+    onSuccess: ({ delivery }, id) => {
+      if (delivery.status === "succeeded") {
+        toast.success(`Test event delivered (${describeDelivery(delivery)})`);
+      } else {
+        toast.error(`Test event failed: ${describeDelivery(delivery)}`);
+      }
+      setExpandedId(id);
+      queryClient.invalidateQueries({
+        queryKey: ["webhook-deliveries", basePath, id],
+      });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to send test event"));
+    },
+  });
+
+  const webhooks: Webhook[] = webhooksQuery.data?.webhooks ?? [];
+  const availableEventTypes = webhooksQuery.data?.availableEventTypes ?? [];
+
+  const toggleEventType = (eventType: string) => {
+    setEventTypes((prev) =>
+      prev.includes(eventType)
+        ? prev.filter((value) => value !== eventType)
+        : [...prev, eventType],
+    );
+  };
+
+  const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!url.trim() || createMutation.isPending) return;
+    createMutation.mutate({
+      url: url.trim(),
+      description: description.trim(),
+      eventTypes,
+    });
+  };
+
+  const handleCopySecret = async () => {
+    if (!revealedSecret) return;
+    try {
+      await navigator.clipboard.writeText(revealedSecret);
+      toast.success("Secret copied");
+    } catch {
+      toast.error("Copy failed — select the secret and copy it manually");
+    }
+  };
+
+  return (
+    <div className="space-y-5">
+      <p className="text-xs text-base-content/60">
+        Events are POSTed as JSON. Verify the{" "}
+        <code>X-NotesBoard-Signature</code> header (
+        <code>t=&lt;timestamp&gt;,v1=&lt;HMAC-SHA256&gt;</code> of{" "}
+        <code>timestamp.body</code>) with your signing secret. Failed
+        deliveries are retried with backoff.
+      </p>
+
+      {revealedSecret ? (
+        <div className="alert alert-success flex-col items-stretch gap-2 text-sm">
+          <p className="font-semibold">
+            Copy the signing secret now — it won&apos;t be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all rounded-lg bg-base-100 px-3 py-2 text-xs text-base-content">
+              {revealedSecret}
+            </code>
+            <button
+              type="button"
+              className="btn btn-sm btn-ghost btn-square"
+              onClick={handleCopySecret}
+              aria-label="Copy secret"
+            >
+              <CopyIcon className="size-4" />
+            </button>
+          </div>
+          <button
+            type="button"
+            className="btn btn-xs btn-ghost self-end"
+            onClick={() => setRevealedSecret(null)}
+          >
+            Done
+          </button>
+        </div>
+      ) : null}
+
+      {webhooksQuery.isError ? (
+        <div className="alert alert-error text-xs">
+          {extractApiError(webhooksQuery.error, "Failed to load webhooks")}
+        </div>
+      ) : null}
+
+      {webhooksQuery.isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-base-content/70">
+          <LoaderIcon className="size-4 animate-spin" />
+          Loading webhooks…
+        </div>
+      ) : webhooks.length ? (
+        <ul className="space-y-3">
+          {webhooks.map((webhook) => {
+            const expanded = expandedId === webhook.id;
+            return (
+              <li
+                key={webhook.id}
+                className="overflow-hidden rounded-xl border border-base-300/60 bg-base-200/60"
+              >
+                <div className="flex flex-col gap-2 px-4 py-3 sm:flex-row sm:items-center sm:justify-between">
+                  <button
+                    type="button"
+                    className="min-w-0 flex-1 space-y-1 text-left"
+                    onClick={() => setExpandedId(expanded ? null : webhook.id)}
+                    aria-expanded={expanded}
+                  >
+                    <p className="flex items-center gap-1 truncate text-sm font-semibold text-base-content">
+                      {expanded ? (
+                        <ChevronDownIcon className="size-4 shrink-0" />
+                      ) : (
+                        <ChevronRightIcon className="size-4 shrink-0" />
+                      )}
+                      <span className="truncate">{webhook.url}</span>
+                    </p>
+                    <p className="text-xs text-base-content/60">
+                      {webhook.description ? `${webhook.description} · ` : ""}
+                      {webhook.eventTypes.length
+                        ? webhook.eventTypes.join(", ")
+                        : "All events"}
+                      {webhook.lastDeliveryAt
+                        ? ` · last ${webhook.lastDeliveryStatus} ${formatRelativeTime(new Date(webhook.lastDeliveryAt))}`
+                        : ""}
+                    </p>
+                    {webhook.disabledReason ? (
+                      <p className="text-xs text-error">
+                        {webhook.disabledReason}
+                      </p>
+                    ) : null}
+                  </button>
+                  <div className="flex items-center gap-1 self-start sm:self-auto">
+                    <input
+                      type="checkbox"
+                      className="toggle toggle-sm toggle-success"
+                      checked={webhook.active}
+                      onChange={() =>
+                        updateMutation.mutate({
+                          id: webhook.id,
+                          changes: { active: !webhook.active },
+                        })
+                      }
+                      aria-label={webhook.active ? "Disable webhook" : "Enable webhook"}
+                    />
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-xs gap-1"
+                      onClick={() => testMutation.mutate(webhook.id)}
+                      disabled={testMutation.isPending}
+                    >
+                      <SendIcon className="size-3" />
+                      Test
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-xs"
+                      onClick={() =>
+                        updateMutation.mutate({
+                          id: webhook.id,
+                          changes: { rotateSecret: true },
+                        })
+                      }
+                      disabled={updateMutation.isPending}
+                    >
+                      Rotate secret
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-xs btn-square text-error"
+                      onClick={() => deleteMutation.mutate(webhook.id)}
+                      disabled={deleteMutation.isPending}
+                      aria-label="Remove webhook"
+                    >
+                      <Trash2Icon className="size-3" />
+                    </button>
+                  </div>
+                </div>
+                {expanded ? (
+                  <DeliveryLog basePath={basePath} webhookId={webhook.id} />
+                ) : null}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-sm text-base-content/60">No webhooks yet.</p>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="flex flex-col gap-3 sm:flex-row">
+          <input
+            type="url"
+            placeholder="https://example.com/hooks/notesboard"
+            className="input input-bordered flex-1 rounded-xl bg-base-200/70"
+            value={url}
+            maxLength={2048}
+            onChange={(event) => setUrl(event.target.value)}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            className="input input-bordered rounded-xl bg-base-200/70 sm:max-w-[14rem]"
+            value={description}
+            maxLength={200}
+            onChange={(event) => setDescription(event.target.value)}
+          />
+        </div>
+        {availableEventTypes.length ? (
+          <fieldset className="space-y-2">
+            <legend className="text-xs font-semibold text-base-content/70">
+              Events (leave empty for all)
+            </legend>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {availableEventTypes.map((eventType) => (
+                <label
+                  key={eventType}
+                  className="flex items-center gap-2 text-xs"
+                >
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-xs"
+                    checked={eventTypes.includes(eventType)}
+                    onChange={() => toggleEventType(eventType)}
+                  />
+                  <code>{eventType}</code>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        ) : null}
+        <button
+          type="submit"
+          className="btn btn-primary btn-sm gap-2"
+          disabled={!url.trim() || createMutation.isPending}
+        >
+          {createMutation.isPending ? (
+            <span className="loading loading-spinner loading-xs" />
+          ) : (
+            <WebhookIcon className="size-4" />
+          )}
+          Add webhook
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default WebhooksManager;
@@ -0,0 +1,86 @@
+import Mention from "@tiptap/extension-mention";
+import { mergeAttributes } from "@tiptap/core";
+import { Plugin, PluginKey } from "@tiptap/pm/state";
+import api from "../lib/axios";
+import { formatRelativeTime } from "../lib/Utils";
+import { renderSuggestionPopup } from "./suggestionPopup";
+import type { SuggestionListItem } from "./SuggestionList";
+import type { LinkableNotesResponse } from "../types/api";
+
+/** Must match `WIKI_LINK_NODE_TYPE` in the backend link extractor. */
+export const WIKI_LINK_NODE_NAME = "wikiLink";
+
+const wikiLinkClickKey = new PluginKey("wikiLinkClick");
+
+/** Notes the user can open whose title matches what was typed after `[[`. */
+export const fetchLinkableNotes = async (
+  query: string,
+  excludeId: string | null,
+): Promise<SuggestionListItem[]> => {
+  try {
+    const response = await api.get<LinkableNotesResponse>("/notes/linkable", {
+      params: { q: query, ...(excludeId ? { exclude: excludeId } : {}) },
+    });
+    return (response.data?.notes ?? []).map((note) => ({
+      id: note.id,
+      label: note.title,
+      detail: note.updatedAt
+        ? `Updated ${formatRelativeTime(new Date(note.updatedAt))}`
+        : undefined,
+    }));
+  } catch {
+    return [];
+  }
+};
+
+interface WikiLinkOptions {
+  getNoteId: () => string | null;
+  onOpen: (noteId: string) => void;
+}
+
+/**
+ * `[[Note title]]` links. Picking a suggestion inserts an inline node that
+ * stores the target note id; it serialises to `[[Title]]` in plain text so the
+ * server can also resolve links typed without the picker.
+ */
+export const createWikiLinkExtension = ({ getNoteId, onOpen }: WikiLinkOptions) =>
+  Mention.extend({
+    name: WIKI_LINK_NODE_NAME,
+
+    addProseMirrorPlugins() {
+      return [
+        ...(this.parent?.() ?? []),
+        new Plugin({
+          key: wikiLinkClickKey,
+          props: {
+            handleClickOn: (_view, _pos, node) => {
+              if (node.type.name !== WIKI_LINK_NODE_NAME || !node.attrs.id) {
+                return false;
+              }
+              onOpen(String(node.attrs.id));
+              return true;
+            },
+          },
+        }),
+      ];
+    },
+  }).configure({
+    HTMLAttributes: { class: "note-wiki-link" },
+    renderText: ({ node }) => `[[${node.attrs.label ?? node.attrs.id}]]`,
+    renderHTML: ({ options, node }) => [
+      "span",
+      mergeAttributes(
+        { title: `Open “${node.attrs.label ?? ""}”` },
+        options.HTMLAttributes,
+      ),
+      node.attrs.label ?? node.attrs.id,
+    ],
+    suggestion: {
+      char: "[[",
+      allowSpaces: true,
+      pluginKey: new PluginKey("wikiLinkSuggestion"),
+      items: ({ query }: { query: string }) =>
+        fetchLinkableNotes(query, getNoteId()),
+      render: renderSuggestionPopup("No matching notes"),
+    },
+  });
@@ -1,9 +1,15 @@
 import { useMemo, useState } from "react";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
-import { LoaderIcon, ShieldCheckIcon, UserPlusIcon } from "lucide-react";
+import {
+  LoaderIcon,
+  ShieldCheckIcon,
+  UserMinusIcon,
+  UserPlusIcon,
+} from "lucide-react";
 import { toast } from "sonner";
 import api from "../lib/axios";
 import { extractApiError } from "../lib/extractApiError";
+import useAuth from "../hooks/useAuth";
 
 export interface WorkspaceMember {
   id: string;
@@ -16,6 +22,7 @@ export interface WorkspaceMember {
 interface MembersResponse {
   members: WorkspaceMember[];
   workspaceName?: string;
+  membershipRole?: string;
   canManage?: boolean;
 }
 
@@ -50,6 +57,7 @@ const getErrorMessage = (error: unknown): string =>
 
 const WorkspaceMembersCard = ({ workspaceId, canManage }: WorkspaceMembersCardProps) => {
   const queryClient = useQueryClient();
+  const { user } = useAuth();
   const [email, setEmail] = useState("");
   const [role, setRole] = useState("editor");
 
@@ -87,6 +95,48 @@ const WorkspaceMembersCard = ({ workspaceId, canManage }: WorkspaceMembersCardPr
     },
   });
 
+  const applyMembersResponse = (data: MembersResponse) => {
+    queryClient.setQueryData(["workspace-members", workspaceId], data);
+    queryClient.invalidateQueries({ queryKey: ["workspaces"] });
+  };
+
+  const roleMutation = useMutation<
+    MembersResponse,
+    Error,
+    { memberId: string; role: string }
+  >({
+    mutationFn: async ({ memberId, role: nextRole }) => {
+      const response = await api.patch(
+        `/workspaces/${workspaceId}/members/${memberId}`,
+        { role: nextRole }
+      );
+      return response.data;
+    },
+    onSuccess: (data) => {
+      toast.success("Role updated");
+      applyMembersResponse(data);
+    },
+    onError: (error: Error) => {
+      toast.error(getErrorMessage(error));
+    },
+  });
+
+  const removeMutation = useMutation<MembersResponse, Error, WorkspaceMember>({
+    mutationFn: async (member) => {
+      const response = await api.delete(
+        `/workspaces/${workspaceId}/members/${member.id}`
+      );
+      return response.data;
+    },
+    onSuccess: (data, member) => {
+      toast.success(`${member.name ?? "Collaborator"} removed`);
+      applyMembersResponse(data);
+    },
+    onError: (error: Error) => {
+      toast.error(getErrorMessage(error));
+    },
+  });
+
   const rawMembers = membersQuery.data?.members;
   const members = useMemo(
     () => (Array.isArray(rawMembers) ? rawMembers : []),
@@ -99,6 +149,25 @@ const WorkspaceMembersCard = ({ workspaceId, canManage }: WorkspaceMembersCardPr
       ? canManage
       : Boolean(membersQuery.data?.canManage);
 
+  const requesterRole = membersQuery.data?.membershipRole;
+  // Admins manage everyone below them; only the owner can touch admins.
+  const canEditMember = (member: WorkspaceMember) =>
+    canManageMembers &&
+    !member.isOwner &&
+    member.id !== user?.id &&
+    (requesterRole === "owner" || member.role !== "admin");
+  const assignableRoles = ROLE_OPTIONS.filter(
+    (option) => requesterRole === "owner" || option.value !== "admin"
+  );
+  const memberMutationPending = roleMutation.isPending || removeMutation.isPending;
+
+  const handleRemove = (member: WorkspaceMember) => {
+    const ok = window.confirm(
+      `Remove ${member.name ?? member.email ?? "this collaborator"} from ${workspaceName}?`
+    );
+    if (ok) removeMutation.mutate(member);
+  };
+
   const inviteDisabled =
     !email.trim() || inviteMutation.isPending || !canManageMembers;
 
@@ -172,6 +241,36 @@ const WorkspaceMembersCard = ({ workspaceId, canManage }: WorkspaceMembersCardPr
                       <span className="badge badge-sm badge-primary gap-1">
                         <ShieldCheckIcon className="size-3" /> Owner
                       </span>
+                    ) : canEditMember(member) ? (
+                      <>
+                        <select
+                          className="select select-bordered select-xs rounded-lg"
+                          aria-label={`Role for ${member.name ?? "collaborator"}`}
+                          value={member.role}
+                          disabled={memberMutationPending}
+                          onChange={(event: React.ChangeEvent<HTMLSelectElement>) =>
+                            roleMutation.mutate({
+                              memberId: member.id,
+                              role: event.target.value,
+                            })
+                          }
+                        >
+                          {assignableRoles.map((option) => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          className="btn btn-ghost btn-xs text-error"
+                          aria-label={`Remove ${member.name ?? "collaborator"}`}
+                          disabled={memberMutationPending}
+                          onClick={() => handleRemove(member)}
+                        >
+                          <UserMinusIcon className="size-3.5" />
+                        </button>
+                      </>
                     ) : (
                       <span className="badge badge-sm badge-outline">
                         {ROLE_LABELS[member.role] ?? member.role}
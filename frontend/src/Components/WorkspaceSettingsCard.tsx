@@ -0,0 +1,421 @@
+import { useEffect, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  ArrowRightLeftIcon,
+  LoaderIcon,
+  LogOutIcon,
+  SettingsIcon,
+  Trash2Icon,
+} from "lucide-react";
+import { toast } from "sonner";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import useAuth from "../hooks/useAuth";
+import type { WorkspaceMember } from "./WorkspaceMembersCard";
+import type {
+  WorkspaceDeleteMode,
+  WorkspaceDeleteResult,
+  WorkspaceDeletionPlan,
+  WorkspaceSummary,
+} from "../types/api";
+
+interface WorkspaceSettingsCardProps {
+  workspace: WorkspaceSummary;
+}
+
+const plural = (count: number, noun: string) =>
+  `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+/** Rename, transfer, leave or delete the given workspace. */
+const WorkspaceSettingsCard = ({ workspace }: WorkspaceSettingsCardProps) => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [name, setName] = useState(workspace.name);
+  const [newOwnerId, setNewOwnerId] = useState("");
+  const [deleting, setDeleting] = useState(false);
+  const [mode, setMode] = useState<WorkspaceDeleteMode>("move");
+  const [targetWorkspaceId, setTargetWorkspaceId] = useState("");
+  const [confirmName, setConfirmName] = useState("");
+
+  const isOwner = workspace.role === "owner";
+  const canManage = isOwner || workspace.role === "admin";
+
+  useEffect(() => {
+    setName(workspace.name);
+    setNewOwnerId("");
+    setDeleting(false);
+    setConfirmName("");
+  }, [workspace.id, workspace.name]);
+
+  const membersQuery = useQuery<{ members: WorkspaceMember[] }>({
+    queryKey: ["workspace-members", workspace.id],
+    queryFn: async () => {
+      const response = await api.get(`/workspaces/${workspace.id}/members`);
+      return response.data;
+    },
+    enabled: isOwner,
+    staleTime: 15_000,
+  });
+  const transferCandidates = (membersQuery.data?.members ?? []).filter(
+    (member) => !member.isOwner,
+  );
+
+  const planQuery = useQuery<WorkspaceDeletionPlan>({
+    queryKey: ["workspace-deletion-plan", workspace.id],
+    queryFn: async () => {
+      const response = await api.get(
+        `/workspaces/${workspace.id}/deletion-plan`,
+      );
+      return response.data;
+    },
+    enabled: isOwner && deleting,
+    staleTime: 0,
+  });
+  const plan = planQuery.data;
+
+  useEffect(() => {
+    if (!plan) return;
+    const firstTarget = plan.moveTargets[0]?.id ?? "";
+    setTargetWorkspaceId(firstTarget);
+    setMode(firstTarget ? "move" : "trash");
+  }, [plan]);
+
+  const refreshWorkspaces = () =>
+    queryClient.invalidateQueries({ queryKey: ["workspaces"] });
+
+  const renameMutation = useMutation<WorkspaceSummary, Error, string>({
+    mutationFn: async (nextName) => {
+      const response = await api.patch(`/workspaces/${workspace.id}`, {
+        name: nextName,
+      });
+      return response.data;
+    },
+    onSuccess: () => {
+      toast.success("Workspace renamed");
+      refreshWorkspaces();
+      queryClient.invalidateQueries({
+        queryKey: ["workspace-members", workspace.id],
+      });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to rename workspace"));
+    },
+  });
+
+  const transferMutation = useMutation<unknown, Error, string>({
+    mutationFn: async (ownerId) => {
+      const response = await api.post(`/workspaces/${workspace.id}/transfer`, {
+        newOwnerId: ownerId,
+      });
+      return response.data;
+    },
+    onSuccess: () => {
+      toast.success("Ownership transferred. You are now an admin.");
+      setNewOwnerId("");
+      refreshWorkspaces();
+      queryClient.invalidateQueries({
+        queryKey: ["workspace-members", workspace.id],
+      });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to transfer workspace"));
+    },
+  });
+
+  const leaveMutation = useMutation<void, Error>({
+    mutationFn: async () => {
+      await api.delete(`/workspaces/${workspace.id}/members/${user?.id}`);
+    },
+    onSuccess: () => {
+      toast.success(`You left ${workspace.name}`);
+      refreshWorkspaces();
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to leave workspace"));
+    },
+  });
+
+  const deleteMutation = useMutation<WorkspaceDeleteResult, Error>({
+    mutationFn: async () => {
+      const response = await api.delete(`/workspaces/${workspace.id}`, {
+        data: {
+          mode,
+          confirmName: confirmName.trim(),
+          ...(mode === "move" ? { targetWorkspaceId } : {}),
+        },
+      });
+      return response.data;
+    },
+    onSuccess: (result) => {
+      toast.success(
+        result.mode === "move"
+          ? `Workspace deleted. ${plural(result.notes, "note")} moved.`
+          : `Workspace deleted. ${plural(result.notes, "note")} moved to trash.`,
+      );
+      setDeleting(false);
+      refreshWorkspaces();
+      queryClient.invalidateQueries({ queryKey: ["notes"] });
+      queryClient.invalidateQueries({ queryKey: ["notebooks"] });
+      queryClient.invalidateQueries({ queryKey: ["tag-stats"] });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to delete workspace"));
+    },
+  });
+
+  const handleRename = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === workspace.name) return;
+    renameMutation.mutate(trimmed);
+  };
+
+  const handleTransfer = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const candidate = transferCandidates.find(
+      (member) => member.id === newOwnerId,
+    );
+    if (!candidate) return;
+    const ok = window.confirm(
+      `Make ${candidate.name ?? candidate.email ?? "this member"} the owner of ${workspace.name}? You will stay on as an admin.`,
+    );
+    if (ok) transferMutation.mutate(candidate.id);
+  };
+
+  const handleLeave = () => {
+    const ok = window.confirm(
+      `Leave ${workspace.name}? You will lose access to its notebooks and notes.`,
+    );
+    if (ok) leaveMutation.mutate();
+  };
+
+  const deleteDisabled =
+    !plan ||
+    Boolean(plan.blockedReason) ||
+    confirmName.trim() !== workspace.name ||
+    (mode === "move" && !targetWorkspaceId) ||
+    deleteMutation.isPending;
+
+  return (
+    <div className="card border border-base-300/60 bg-base-100/90 shadow-lg rounded-2xl">
+      <div className="card-body space-y-5">
+        <div className="space-y-1">
+          <h3 className="flex items-center gap-2 text-base font-bold text-secondary">
+            <SettingsIcon className="size-4" />
+            {workspace.name}
+          </h3>
+          <p className="text-xs text-base-content/60">
+            {workspace.isDefault ? "Your default workspace · " : ""}
+            You are {workspace.role === "owner" ? "the owner" : `a ${workspace.role}`}
+            {" · "}
+            {plural(workspace.memberCount, "member")}
+          </p>
+        </div>
+
+        {canManage ? (
+          <form onSubmit={handleRename} className="flex flex-col gap-3 sm:flex-row">
+            <input
+              type="text"
+              className="input input-bordered input-sm flex-1 rounded-xl bg-base-200/70"
+              aria-label="Workspace name"
+              value={name}
+              maxLength={120}
+              onChange={(event) => setName(event.target.value)}
+              required
+            />
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm"
+              disabled={
+                !name.trim() ||
+                name.trim() === workspace.name ||
+                renameMutation.isPending
+              }
+            >
+              {renameMutation.isPending ? (
+                <span className="loading loading-spinner loading-xs" />
+              ) : null}
+              Rename
+            </button>
+          </form>
+        ) : null}
+
+        {isOwner && transferCandidates.length ? (
+          <form onSubmit={handleTransfer} className="space-y-2">
+            <p className="text-xs text-base-content/70">
+              Transfer ownership to another member.
+            </p>
+            <div className="flex flex-col gap-3 sm:flex-row">
+              <select
+                className="select select-bordered select-sm flex-1 rounded-xl bg-base-200/70"
+                aria-label="New owner"
+                value={newOwnerId}
+                onChange={(event) => setNewOwnerId(event.target.value)}
+              >
+                <option value="">Choose a member…</option>
+                {transferCandidates.map((member) => (
+                  <option key={member.id} value={member.id}>
+                    {member.name ?? member.email ?? member.id}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                className="btn btn-outline btn-sm gap-1"
+                disabled={!newOwnerId || transferMutation.isPending}
+              >
+                <ArrowRightLeftIcon className="size-4" />
+                Transfer
+              </button>
+            </div>
+          </form>
+        ) : null}
+
+        {!isOwner ? (
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm self-start gap-1 text-error"
+            onClick={handleLeave}
+            disabled={leaveMutation.isPending}
+          >
+            <LogOutIcon className="size-4" />
+            Leave workspace
+          </button>
+        ) : workspace.isDefault ? (
+          <p className="text-xs text-base-content/60">
+            Your default workspace can&apos;t be deleted.
+          </p>
+        ) : deleting ? (
+          <div className="space-y-3 rounded-xl border border-error/40 bg-error/5 p-4">
+            {planQuery.isLoading ? (
+              <div className="flex items-center gap-2 text-sm text-base-content/70">
+                <LoaderIcon className="size-4 animate-spin" />
+                Checking what&apos;s inside…
+              </div>
+            ) : planQuery.isError ? (
+              <div className="alert alert-error text-xs">
+                {extractApiError(planQuery.error, "Failed to load deletion plan")}
+              </div>
+            ) : plan ? (
+              <>
+                <p className="text-sm text-base-content/80">
+                  This workspace contains {plural(plan.notebookCount, "notebook")},{" "}
+                  {plural(plan.noteCount, "note")}
+                  {plan.trashedNoteCount
+                    ? ` (plus ${plan.trashedNoteCount} in the trash)`
+                    : ""}{" "}
+                  from {plural(plan.noteOwnerCount, "author")}
+                  {plan.webhookCount
+                    ? `, and ${plural(plan.webhookCount, "webhook")} that will be removed`
+                    : ""}
+                  .
+                </p>
+                {plan.blockedReason ? (
+                  <div className="alert alert-warning text-xs">
+                    {plan.blockedReason}
+                  </div>
+                ) : null}
+
+                <fieldset className="space-y-2 text-sm">
+                  <label className="flex items-start gap-2">
+                    <input
+                      type="radio"
+                      className="radio radio-sm mt-0.5"
+                      name="workspace-delete-mode"
+                      checked={mode === "move"}
+                      disabled={!plan.moveTargets.length}
+                      onChange={() => setMode("move")}
+                    />
+                    <span>
+                      Move everything to another workspace
+                      {!plan.moveTargets.length ? (
+                        <span className="block text-xs text-base-content/60">
+                          You don&apos;t manage any other workspace.
+                        </span>
+                      ) : null}
+                    </span>
+                  </label>
+                  {mode === "move" && plan.moveTargets.length ? (
+                    <select
+                      className="select select-bordered select-sm ml-6 rounded-xl bg-base-200/70"
+                      aria-label="Destination workspace"
+                      value={targetWorkspaceId}
+                      onChange={(event) => setTargetWorkspaceId(event.target.value)}
+                    >
+                      {plan.moveTargets.map((target) => (
+                        <option key={target.id} value={target.id}>
+                          {target.name}
+                        </option>
+                      ))}
+                    </select>
+                  ) : null}
+                  <label className="flex items-start gap-2">
+                    <input
+                      type="radio"
+                      className="radio radio-sm mt-0.5"
+                      name="workspace-delete-mode"
+                      checked={mode === "trash"}
+                      onChange={() => setMode("trash")}
+                    />
+                    <span>
+                      Move notes to their authors&apos; trash
+                      <span className="block text-xs text-base-content/60">
+                        Notes stay restorable for 30 days; notebooks return to
+                        their owners&apos; default workspace.
+                      </span>
+                    </span>
+                  </label>
+                </fieldset>
+
+                <input
+                  type="text"
+                  className="input input-bordered input-sm w-full rounded-xl bg-base-200/70"
+                  placeholder={`Type "${workspace.name}" to confirm`}
+                  aria-label="Confirm workspace name"
+                  value={confirmName}
+                  onChange={(event) => setConfirmName(event.target.value)}
+                />
+              </>
+            ) : null}
+            <div className="flex gap-2">
+              <button
+                type="button"
+                className="btn btn-error btn-sm gap-1"
+                disabled={deleteDisabled}
+                onClick={() => deleteMutation.mutate()}
+              >
+                {deleteMutation.isPending ? (
+                  <span className="loading loading-spinner loading-xs" />
+                ) : (
+                  <Trash2Icon className="size-4" />
+                )}
+                Delete workspace
+              </button>
+              <button
+                type="button"
+                className="btn btn-ghost btn-sm"
+                onClick={() => {
+                  setDeleting(false);
+                  setConfirmName("");
+                }}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm self-start gap-1 text-error"
+            onClick={() => setDeleting(true)}
+          >
+            <Trash2Icon className="size-4" />
+            Delete workspace…
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceSettingsCard;
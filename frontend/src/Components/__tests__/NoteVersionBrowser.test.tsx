@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+
+import NoteVersionBrowser from "../NoteVersionBrowser";
+
+const versions = [
+  {
+    id: "v2",
+    eventType: "edit",
+    summary: "Edited collaboratively",
+    createdAt: new Date().toISOString(),
+    titleSnapshot: "Launch plan",
+    contentSnapshot: "Ship on Friday",
+    tagsSnapshot: ["launch"],
+  },
+  {
+    id: "v1",
+    eventType: "create",
+    summary: "Created note",
+    createdAt: new Date(Date.now() - 86_400_000).toISOString(),
+    titleSnapshot: "Launch draft",
+    contentSnapshot: "Ship on Monday\nNotify support",
+    tagsSnapshot: ["draft"],
+  },
+];
+
+describe("NoteVersionBrowser", () => {
+  it("diffs the chosen version against the current note and restores it", async () => {
+    const onRestore = vi.fn();
+    render(
+      <NoteVersionBrowser
+        open
+        onClose={() => {}}
+        versions={versions}
+        initialVersionId="v1"
+        currentTitle="Launch plan"
+        currentContent="Ship on Friday"
+        canRestore
+        onRestore={onRestore}
+      />,
+    );
+
+    expect(
+      screen.getByRole("heading", { name: "Launch draft" }),
+    ).toBeInTheDocument();
+    expect(screen.getByText(/- Ship on Monday/)).toBeInTheDocument();
+    expect(screen.getByText(/\+ Ship on Friday/)).toBeInTheDocument();
+
+    await userEvent.click(
+      screen.getByRole("button", { name: /restore this version/i }),
+    );
+    expect(onRestore).toHaveBeenCalledWith(versions[1]);
+  });
+
+  it("disables restore when the version matches the current note", async () => {
+    render(
+      <NoteVersionBrowser
+        open
+        onClose={() => {}}
+        versions={versions}
+        currentTitle="Launch plan"
+        currentContent="Ship on Friday"
+        canRestore
+        onRestore={() => {}}
+      />,
+    );
+
+    expect(
+      screen.getByRole("button", { name: /restore this version/i }),
+    ).toBeDisabled();
+
+    await userEvent.click(screen.getByRole("button", { name: /full version/i }));
+    expect(screen.getAllByText("Ship on Friday").length).toBeGreaterThan(0);
+  });
+});
@@ -20,6 +20,24 @@ const mockedApi = api as unknown as {
   delete: Mock;
 };
 
+const emptyAnalytics = {
+  range: { days: 30, from: "2026-04-02", to: "2026-05-01" },
+  totals: { views: 0, uniqueVisitors: 0 },
+  daily: [],
+  referrers: [],
+  noteReads: [],
+};
+
+/** Answer the publish state and view analytics requests by URL. */
+const mockGetResponses = (
+  state: Record<string, unknown>,
+  analytics: Record<string, unknown> = emptyAnalytics,
+) => {
+  mockedApi.get.mockImplementation(async (url: string) => ({
+    data: url.endsWith("/publish/analytics") ? analytics : state,
+  }));
+};
+
 const renderWithClient = (ui: React.ReactElement) => {
   const queryClient = new QueryClient({
     defaultOptions: {
@@ -50,12 +68,10 @@ describe("NotebookPublishDialog", () => {
         metadata: {},
       },
     });
-    mockedApi.get.mockResolvedValue({
-      data: {
-        isPublic: true,
-        slug: "launch-plannew-slug-123",
-        metadata: {},
-      },
+    mockGetResponses({
+      isPublic: true,
+      slug: "launch-plannew-slug-123",
+      metadata: {},
     });
 
     mockedApi.post.mockResolvedValueOnce({
@@ -103,4 +119,99 @@ describe("NotebookPublishDialog", () => {
       }),
     );
   });
+
+  it("sends only the access settings that changed", async () => {
+    mockGetResponses({
+      isPublic: true,
+      slug: "client-report",
+      metadata: {},
+      passwordProtected: true,
+      expiresAt: null,
+      noindex: false,
+    });
+    mockedApi.post.mockResolvedValueOnce({
+      data: { isPublic: true, slug: "client-report" },
+    });
+
+    renderWithClient(
+      <NotebookPublishDialog
+        notebook={{ id: "nb1", name: "Client report" }}
+        open
+        onClose={() => {}}
+      />,
+    );
+
+    await userEvent.click(await screen.findByLabelText(/remove password/i));
+    await userEvent.click(screen.getByLabelText(/hide from search engines/i));
+    await userEvent.click(
+      screen.getByRole("button", { name: /update publish settings/i }),
+    );
+
+    await waitFor(() =>
+      expect(mockedApi.post).toHaveBeenCalledWith("/notebooks/nb1/publish", {
+        slug: "client-report",
+        metadata: null,
+        password: null,
+        noindex: true,
+      }),
+    );
+  });
+
+  it("rejects expiry dates in the past", async () => {
+    mockedApi.get.mockResolvedValue({
+      data: { isPublic: false, slug: "client-report", metadata: {} },
+    });
+
+    renderWithClient(
+      <NotebookPublishDialog
+        notebook={{ id: "nb1", name: "Client report" }}
+        open
+        onClose={() => {}}
+      />,
+    );
+
+    const expiry = await screen.findByLabelText(/unpublish automatically/i);
+    await userEvent.type(expiry, "2000-01-01T10:00");
+    await userEvent.click(
+      screen.getByRole("button", { name: /publish notebook/i }),
+    );
+
+    expect(
+      await screen.findByText("Expiry must be in the future"),
+    ).toBeInTheDocument();
+    expect(mockedApi.post).not.toHaveBeenCalled();
+  });
+
+  it("shows view analytics for a published notebook", async () => {
+    mockGetResponses(
+      { isPublic: true, slug: "client-report", metadata: {} },
+      {
+        ...emptyAnalytics,
+        totals: { views: 42, uniqueVisitors: 17 },
+        daily: [
+          { date: "2026-04-30", views: 12, uniqueVisitors: 5 },
+          { date: "2026-05-01", views: 30, uniqueVisitors: 12 },
+        ],
+        referrers: [{ domain: "news.example.org", visitors: 9 }],
+        noteReads: [{ noteId: "n1", reads: 8, title: "Findings" }],
+      },
+    );
+
+    renderWithClient(
+      <NotebookPublishDialog
+        notebook={{ id: "nb1", name: "Client report" }}
+        open
+        onClose={() => {}}
+      />,
+    );
+
+    expect(await screen.findByText("42")).toBeInTheDocument();
+    expect(screen.getByText("17")).toBeInTheDocument();
+    expect(screen.getByRole("img", { name: "Views per day" })).toBeInTheDocument();
+    expect(screen.getByText("news.example.org")).toBeInTheDocument();
+    expect(screen.getByText("Findings")).toBeInTheDocument();
+    expect(mockedApi.get).toHaveBeenCalledWith("/notebooks/nb1/publish/analytics", {
+      params: { days: 30 },
+    });
+  });
 });
@@ -0,0 +1,135 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+
+import NotebookTemplateGalleryModal from "../NotebookTemplateGalleryModal";
+
+const ownTemplate = {
+  id: "template-1",
+  name: "Sprint retro",
+  description: "Retro agenda",
+  tags: ["agile"],
+  visibility: "private" as const,
+  workspaceId: null,
+  version: 2,
+  usageCount: 3,
+  owner: { id: "user-1", name: "Ada" },
+  isOwner: true,
+  sourceNotebookId: "notebook-1",
+};
+
+const teamTemplate = {
+  ...ownTemplate,
+  id: "template-2",
+  name: "Incident review",
+  visibility: "workspace" as const,
+  workspaceId: "workspace-1",
+  version: 1,
+  usageCount: 1,
+  owner: { id: "user-2", name: "Grace" },
+  isOwner: false,
+  sourceNotebookId: null,
+};
+
+const renderGallery = (
+  props: Partial<Parameters<typeof NotebookTemplateGalleryModal>[0]> = {},
+) =>
+  render(
+    <NotebookTemplateGalleryModal
+      open
+      templates={[ownTemplate]}
+      selectedTemplateId={ownTemplate.id}
+      detail={{ ...ownTemplate, noteCount: 2, notes: [] }}
+      workspaceOptions={[{ id: "workspace-1", name: "Product team" }]}
+      onClose={vi.fn()}
+      {...props}
+    />,
+  );
+
+describe("NotebookTemplateGalleryModal", () => {
+  it("switches between the Mine and Team galleries", async () => {
+    const onScopeChange = vi.fn();
+    renderGallery({ scope: "mine", onScopeChange });
+
+    expect(screen.getByRole("tab", { name: "Mine" })).toHaveAttribute(
+      "aria-selected",
+      "true",
+    );
+    await userEvent.click(screen.getByRole("tab", { name: "Team" }));
+
+    expect(onScopeChange).toHaveBeenCalledWith("team");
+  });
+
+  it("lets the owner share a template with a workspace and update it", async () => {
+    const onUpdateSharing = vi.fn();
+    const onSyncTemplate = vi.fn();
+    renderGallery({ onUpdateSharing, onSyncTemplate });
+
+    expect(screen.getAllByText(/v2 · used 3 times/).length).toBeGreaterThan(0);
+    const saveButton = screen.getByRole("button", { name: "Save sharing" });
+    expect(saveButton).toBeDisabled();
+
+    await userEvent.selectOptions(
+      screen.getByRole("combobox", { name: "Shared with" }),
+      "workspace",
+    );
+    await userEvent.click(saveButton);
+
+    expect(onUpdateSharing).toHaveBeenCalledWith("template-1", {
+      visibility: "workspace",
+      workspaceId: "workspace-1",
+    });
+
+    await userEvent.click(
+      screen.getByRole("button", { name: /Update from notebook/ }),
+    );
+    expect(onSyncTemplate).toHaveBeenCalledWith("template-1");
+  });
+
+  it("hides owner actions for templates shared by teammates", () => {
+    renderGallery({
+      scope: "team",
+      templates: [teamTemplate],
+      selectedTemplateId: teamTemplate.id,
+      detail: { ...teamTemplate, noteCount: 1, notes: [] },
+    });
+
+    expect(screen.getAllByText(/used once · by Grace/).length).toBeGreaterThan(
+      0,
+    );
+    expect(
+      screen.queryByRole("button", { name: "Save sharing" }),
+    ).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: /Delete template/ }),
+    ).not.toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Use template" })).toBeEnabled();
+  });
+
+  it("collects prompt values and sends them when the template is used", async () => {
+    const onImport = vi.fn();
+    renderGallery({
+      onImport,
+      detail: {
+        ...ownTemplate,
+        noteCount: 1,
+        notes: [],
+        prompts: ["Client name"],
+      },
+    });
+
+    await userEvent.type(
+      screen.getByRole("textbox", { name: "Client name" }),
+      "Acme",
+    );
+    await userEvent.click(screen.getByRole("button", { name: "Use template" }));
+
+    expect(onImport).toHaveBeenCalledWith(
+      "template-1",
+      expect.objectContaining({
+        prompts: { "Client name": "Acme" },
+        timeZone: expect.any(String),
+      }),
+    );
+  });
+});
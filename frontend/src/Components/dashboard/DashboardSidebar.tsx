@@ -1,6 +1,12 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState, type CSSProperties } from "react";
 import { useNavigate } from "react-router-dom";
 import {
+  ArchiveIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  CopyIcon,
+  FolderInputIcon,
+  FolderPlusIcon,
   HomeIcon,
   FileTextIcon,
   PinIcon,
@@ -20,10 +26,13 @@ import {
   BookmarkIcon,
   DownloadIcon,
   TrashIcon,
+  WebhookIcon,
 } from "lucide-react";
 import useAuth from "../../hooks/useAuth";
+import { flattenNotebookTree } from "../../lib/notebookTree";
 import { useCommandPalette } from "../../contexts/CommandPaletteContext";
 import { useDashboardShell } from "./DashboardShell";
+import WorkspaceSwitcher from "./WorkspaceSwitcher";
 
 export type DashboardView =
   | "dashboard"
@@ -31,6 +40,7 @@ export type DashboardView =
   | "pinned"
   | "uncategorized"
   | "templates"
+  | "archive"
   | "trash"
   | `notebook:${string}`
   | `tag:${string}`;
@@ -38,6 +48,7 @@ export type DashboardView =
 export interface SidebarNotebook {
   id: string;
   name: string;
+  parentId?: string | null;
   color?: string | null;
   noteCount?: number;
 }
@@ -49,10 +60,14 @@ export interface SidebarTag {
 
 export interface NotebookMenuActions {
   onRename?: (id: string) => void;
+  onAddChild?: (id: string) => void;
+  onMove?: (id: string) => void;
+  onDuplicate?: (id: string) => void;
   onShare?: (id: string) => void;
   onPublish?: (id: string) => void;
   onHistory?: (id: string) => void;
   onAnalytics?: (id: string) => void;
+  onWebhooks?: (id: string) => void;
   onSaveAsTemplate?: (id: string) => void;
   onExport?: (id: string) => void;
   onDelete?: (id: string) => void;
@@ -72,6 +87,22 @@ interface DashboardSidebarProps {
   notebookActions?: NotebookMenuActions;
 }
 
+const COLLAPSED_STORAGE_KEY = "notesboard-collapsed-notebooks";
+
+const loadCollapsedNotebooks = (): Set<string> => {
+  try {
+    const raw = localStorage.getItem(COLLAPSED_STORAGE_KEY);
+    const parsed: unknown = raw ? JSON.parse(raw) : [];
+    return new Set(
+      Array.isArray(parsed)
+        ? parsed.filter((id): id is string => typeof id === "string")
+        : [],
+    );
+  } catch {
+    return new Set();
+  }
+};
+
 const initials = (name?: string | null): string => {
   if (!name) return "?";
   const parts = name.trim().split(/\s+/);
@@ -99,6 +130,31 @@ export default function DashboardSidebar({
   const { toggleSidebar } = useDashboardShell();
   const [openMenuId, setOpenMenuId] = useState<string | null>(null);
   const menuRef = useRef<HTMLDivElement | null>(null);
+  const [collapsedIds, setCollapsedIds] = useState<Set<string>>(() =>
+    loadCollapsedNotebooks(),
+  );
+
+  const notebookRows = useMemo(
+    () => flattenNotebookTree(notebooks, collapsedIds),
+    [notebooks, collapsedIds],
+  );
+
+  const toggleCollapsed = (id: string) => {
+    setCollapsedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      try {
+        localStorage.setItem(
+          COLLAPSED_STORAGE_KEY,
+          JSON.stringify(Array.from(next)),
+        );
+      } catch {
+        // ignore storage quota errors
+      }
+      return next;
+    });
+  };
 
   useEffect(() => {
     if (!openMenuId) return;
@@ -154,6 +210,8 @@ export default function DashboardSidebar({
         </span>
       </button>
 
+      <WorkspaceSwitcher />
+
       <div className="ds-sb-section">
         <span>WORKSPACE</span>
       </div>
@@ -216,6 +274,16 @@ export default function DashboardSidebar({
           <span>Templates</span>
           <span className="ds-num">{templatesCount}</span>
         </button>
+        <button
+          type="button"
+          className={`ds-sb-item${isActive("archive") ? " active" : ""}`}
+          onClick={() => go("archive", "/archive")}
+        >
+          <span className="ds-ico">
+            <ArchiveIcon size={14} />
+          </span>
+          <span>Archive</span>
+        </button>
         <button
           type="button"
           className={`ds-sb-item${isActive("trash") ? " active" : ""}`}
@@ -252,14 +320,38 @@ export default function DashboardSidebar({
       </div>
       {notebooks.length > 0 ? (
         <nav className="ds-sb-list" style={{ position: "relative" }}>
-          {notebooks.slice(0, 16).map((nb) => {
+          {notebookRows.map(({ notebook: nb, depth, hasChildren }) => {
             const active = isActive(`notebook:${nb.id}` as DashboardView);
+            const collapsed = collapsedIds.has(nb.id);
             return (
               <div
                 key={nb.id}
                 className="ds-sb-row"
-                style={{ position: "relative" }}
+                style={
+                  {
+                    position: "relative",
+                    "--ds-sb-depth": depth,
+                  } as CSSProperties
+                }
               >
+                {hasChildren && (
+                  <button
+                    type="button"
+                    className="ds-sb-toggle"
+                    aria-label={`${collapsed ? "Expand" : "Collapse"} ${nb.name}`}
+                    aria-expanded={!collapsed}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      toggleCollapsed(nb.id);
+                    }}
+                  >
+                    {collapsed ? (
+                      <ChevronRightIcon size={12} />
+                    ) : (
+                      <ChevronDownIcon size={12} />
+                    )}
+                  </button>
+                )}
                 <button
                   type="button"
                   className={`ds-sb-item${active ? " active" : ""}${hasMenu ? " has-menu" : ""}`}
@@ -271,10 +363,12 @@ export default function DashboardSidebar({
                   }
                 >
                   <span className="ds-ico">
-                    <span
-                      className="ds-sb-dot"
-                      style={nb.color ? { background: nb.color } : undefined}
-                    />
+                    {!hasChildren && (
+                      <span
+                        className="ds-sb-dot"
+                        style={nb.color ? { background: nb.color } : undefined}
+                      />
+                    )}
                   </span>
                   <span>{nb.name}</span>
                   {!hasMenu && (
@@ -311,6 +405,39 @@ export default function DashboardSidebar({
                         <PencilIcon size={12} /> Rename
                       </button>
                     )}
+                    {notebookActions.onAddChild && (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setOpenMenuId(null);
+                          notebookActions.onAddChild!(nb.id);
+                        }}
+                      >
+                        <FolderPlusIcon size={12} /> New sub-notebook
+                      </button>
+                    )}
+                    {notebookActions.onMove && (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setOpenMenuId(null);
+                          notebookActions.onMove!(nb.id);
+                        }}
+                      >
+                        <FolderInputIcon size={12} /> Move
+                      </button>
+                    )}
+                    {notebookActions.onDuplicate && (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setOpenMenuId(null);
+                          notebookActions.onDuplicate!(nb.id);
+                        }}
+                      >
+                        <CopyIcon size={12} /> Duplicate
+                      </button>
+                    )}
                     {notebookActions.onShare && (
                       <button
                         type="button"
@@ -355,6 +482,17 @@ export default function DashboardSidebar({
                         <BarChart3Icon size={12} /> Analytics
                       </button>
                     )}
+                    {notebookActions.onWebhooks && (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setOpenMenuId(null);
+                          notebookActions.onWebhooks!(nb.id);
+                        }}
+                      >
+                        <WebhookIcon size={12} /> Webhooks
+                      </button>
+                    )}
                     {notebookActions.onSaveAsTemplate && (
                       <button
                         type="button"
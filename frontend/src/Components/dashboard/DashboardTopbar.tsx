@@ -11,6 +11,7 @@ import {
 import { useCommandPalette } from "../../contexts/CommandPaletteContext";
 import { useDashboardShell } from "./DashboardShell";
 import useOfflineSync from "../../hooks/useOfflineSync";
+import NotificationBell from "./NotificationBell";
 
 const relativeSeconds = (date: Date | null): string => {
   if (!date) return "idle";
@@ -136,6 +137,7 @@ export default function DashboardTopbar({
           <kbd>N</kbd>
         </span>
       </button>
+      <NotificationBell />
       <button type="button" className="ds-tb-btn" onClick={toggleTweaks}>
         <SettingsIcon size={12} />
         Tweaks
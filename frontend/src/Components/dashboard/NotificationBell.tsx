@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  AtSignIcon,
+  BellIcon,
+  BellRingIcon,
+  CheckCheckIcon,
+} from "lucide-react";
+import { useNotifications } from "../../hooks/useNotifications";
+import { formatRelativeTime } from "../../lib/Utils";
+import type { AppNotification } from "../../types/api";
+
+const describe = (notification: AppNotification): string => {
+  if (notification.type === "reminder") {
+    const title = notification.title || "Untitled note";
+    return notification.source === "actionItem"
+      ? `Reminder: action item in ${title}`
+      : `Reminder: ${title}`;
+  }
+  const actor = notification.actor?.name ?? "Someone";
+  const where = notification.source === "comment" ? "a comment on" : "";
+  const title = notification.title || "Untitled note";
+  return where
+    ? `${actor} mentioned you in ${where} ${title}`
+    : `${actor} mentioned you in ${title}`;
+};
+
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const {
+    notifications,
+    unreadCount,
+    loading,
+    markRead,
+    markAllRead,
+    markingAll,
+  } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef<HTMLDivElement | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDocClick = (e: MouseEvent) => {
+      if (!rootRef.current?.contains(e.target as Node)) setOpen(false);
+    };
+    const onKey = (e: KeyboardEvent) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onDocClick);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDocClick);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  const openNotification = (notification: AppNotification) => {
+    if (!notification.read) markRead(notification.id);
+    setOpen(false);
+    if (notification.noteId) {
+      navigate(`/note/${notification.noteId}`);
+    }
+  };
+
+  return (
+    <div className="ds-notif" ref={rootRef}>
+      <button
+        type="button"
+        className="ds-tb-btn"
+        onClick={() => setOpen((value) => !value)}
+        aria-label={
+          unreadCount > 0
+            ? `Notifications (${unreadCount} unread)`
+            : "Notifications"
+        }
+        aria-expanded={open}
+      >
+        <BellIcon size={12} />
+        {unreadCount > 0 && (
+          <span className="ds-notif-badge">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="ds-menu ds-notif-menu" role="dialog" aria-label="Inbox">
+          <div className="ds-notif-head">
+            <span>Inbox</span>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                className="ds-notif-readall"
+                onClick={markAllRead}
+                disabled={markingAll}
+              >
+                <CheckCheckIcon size={12} /> Mark all read
+              </button>
+            )}
+          </div>
+          <hr />
+          {loading ? (
+            <div className="ds-notif-empty">Loading…</div>
+          ) : notifications.length === 0 ? (
+            <div className="ds-notif-empty">
+              No notifications yet. You'll see @mentions here.
+            </div>
+          ) : (
+            <ul className="ds-notif-list">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    type="button"
+                    className={`ds-notif-item${notification.read ? "" : " unread"}`}
+                    onClick={() => openNotification(notification)}
+                  >
+                    {notification.type === "reminder" ? (
+                      <BellRingIcon size={12} className="ds-notif-icon" />
+                    ) : (
+                      <AtSignIcon size={12} className="ds-notif-icon" />
+                    )}
+                    <span className="ds-notif-body">
+                      <span className="ds-notif-title">
+                        {describe(notification)}
+                      </span>
+                      {notification.excerpt && (
+                        <span className="ds-notif-excerpt">
+                          {notification.excerpt}
+                        </span>
+                      )}
+                      <span className="ds-notif-time">
+                        {formatRelativeTime(new Date(notification.createdAt))}
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  CheckIcon,
+  ChevronsUpDownIcon,
+  PlusIcon,
+  SettingsIcon,
+} from "lucide-react";
+import { toast } from "sonner";
+import api from "../../lib/axios";
+import { extractApiError } from "../../lib/extractApiError";
+import useWorkspace from "../../hooks/useWorkspace";
+import type { WorkspaceSummary } from "../../types/api";
+
+const ROLE_LABELS: Record<string, string> = {
+  owner: "Owner",
+  admin: "Admin",
+  editor: "Editor",
+  commenter: "Commenter",
+  viewer: "Viewer",
+};
+
+/** Sidebar control that picks the workspace every list view is scoped to. */
+export default function WorkspaceSwitcher() {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { workspaces, activeWorkspace, setActiveWorkspaceId } = useWorkspace();
+  const [open, setOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+  const menuRef = useRef<HTMLDivElement | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDocClick = (e: MouseEvent) => {
+      if (!menuRef.current?.contains(e.target as Node)) setOpen(false);
+    };
+    const onKey = (e: KeyboardEvent) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onDocClick);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDocClick);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) {
+      setCreating(false);
+      setName("");
+    }
+  }, [open]);
+
+  const createMutation = useMutation<WorkspaceSummary, Error, string>({
+    mutationFn: async (workspaceName) => {
+      const response = await api.post("/workspaces", { name: workspaceName });
+      return response.data;
+    },
+    onSuccess: (workspace) => {
+      queryClient.setQueryData<WorkspaceSummary[]>(["workspaces"], (prev) =>
+        [...(prev ?? []), workspace].sort((a, b) =>
+          a.name.localeCompare(b.name),
+        ),
+      );
+      setActiveWorkspaceId(workspace.id);
+      setOpen(false);
+      toast.success(`Workspace "${workspace.name}" created`);
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to create workspace"));
+    },
+  });
+
+  if (!activeWorkspace) return null;
+
+  const handleSelect = (workspaceId: string) => {
+    setActiveWorkspaceId(workspaceId);
+    setOpen(false);
+  };
+
+  const handleCreate = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || createMutation.isPending) return;
+    createMutation.mutate(trimmed);
+  };
+
+  return (
+    <div className="ds-ws" ref={menuRef}>
+      <button
+        type="button"
+        className="ds-ws-trigger"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title="Switch workspace"
+        onClick={() => setOpen((value) => !value)}
+      >
+        <span className="ds-ws-mark">
+          {activeWorkspace.name.slice(0, 1).toUpperCase()}
+        </span>
+        <span className="ds-ws-name">{activeWorkspace.name}</span>
+        <ChevronsUpDownIcon size={12} />
+      </button>
+
+      {open && (
+        <div className="ds-menu" role="menu" style={{ top: "100%", left: 0, right: 0 }}>
+          {workspaces.map((workspace) => (
+            <button
+              key={workspace.id}
+              type="button"
+              role="menuitemradio"
+              aria-checked={workspace.id === activeWorkspace.id}
+              onClick={() => handleSelect(workspace.id)}
+            >
+              <span className="ds-ws-check">
+                {workspace.id === activeWorkspace.id && <CheckIcon size={12} />}
+              </span>
+              <span className="ds-ws-name">{workspace.name}</span>
+              <span className="ds-ws-role">
+                {ROLE_LABELS[workspace.role] ?? workspace.role}
+              </span>
+            </button>
+          ))}
+          <hr />
+          {creating ? (
+            <form className="ds-ws-create" onSubmit={handleCreate}>
+              <input
+                autoFocus
+                type="text"
+                value={name}
+                maxLength={120}
+                placeholder="Workspace name"
+                aria-label="Workspace name"
+                onChange={(e) => setName(e.target.value)}
+              />
+              <button
+                type="submit"
+                disabled={!name.trim() || createMutation.isPending}
+              >
+                Create
+              </button>
+            </form>
+          ) : (
+            <button type="button" onClick={() => setCreating(true)}>
+              <PlusIcon size={12} /> New workspace
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => {
+              setOpen(false);
+              navigate("/profile#workspace");
+            }}
+          >
+            <SettingsIcon size={12} /> Workspace settings
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
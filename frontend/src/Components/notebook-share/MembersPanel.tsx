@@ -2,8 +2,10 @@ import { useEffect, useMemo, useState } from "react";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import {
   AlertTriangleIcon,
+  CornerLeftUpIcon,
   LoaderIcon,
   RefreshCwIcon,
+  RotateCcwIcon,
   ShieldIcon,
   Trash2Icon,
   UserPlusIcon,
@@ -16,6 +18,7 @@ import { formatRelativeTime } from "../../lib/Utils";
 import type { MembersResponse } from "../../types/api";
 import {
   INVITE_EXPIRY_OPTIONS,
+  MEMBER_OVERRIDE_OPTIONS,
   MEMBER_ROLE_OPTIONS,
   formatRoleLabel,
   formatStatusBadge,
@@ -174,6 +177,39 @@ function MembersPanel({
     },
   });
 
+  const overrideMutation = useMutation({
+    mutationFn: async ({ userId, role }: { userId: string; role: string }) => {
+      const response = await api.put(
+        `/notebooks/${notebookId}/member-overrides/${userId}`,
+        { role },
+      );
+      return response.data;
+    },
+    onSuccess: (data: MembersResponse) => {
+      toast.success("Access overridden for this notebook");
+      queryClient.setQueryData(["notebook-members", notebookId], data);
+    },
+    onError: (error: Error) => {
+      toast.error(extractApiError(error, "Failed to override access"));
+    },
+  });
+
+  const clearOverrideMutation = useMutation({
+    mutationFn: async ({ userId }: { userId: string }) => {
+      const response = await api.delete(
+        `/notebooks/${notebookId}/member-overrides/${userId}`,
+      );
+      return response.data;
+    },
+    onSuccess: (data: MembersResponse) => {
+      toast.success("Inherited access restored");
+      queryClient.setQueryData(["notebook-members", notebookId], data);
+    },
+    onError: (error: Error) => {
+      toast.error(extractApiError(error, "Failed to restore inherited access"));
+    },
+  });
+
   const isLoadingMembers = membersQuery.isLoading;
   const membersErrorMessage = (membersQuery.error as ShareApiError | null)
     ?.response?.data?.message;
@@ -186,7 +222,8 @@ function MembersPanel({
             Notebook members
           </h3>
           <p className="text-xs text-base-content/60">
-            Manage people invited directly to this notebook.
+            Manage people invited to this notebook or inheriting access from a
+            parent notebook.
           </p>
         </div>
         <span className="badge badge-outline">
@@ -221,6 +258,13 @@ function MembersPanel({
               member.status === "active" &&
               member.role !== "owner" &&
               Boolean(member.id);
+            const isInherited = Boolean(member.inheritedFrom);
+            const isOverride = Boolean(member.metadata?.inheritanceOverride);
+            const canOverride =
+              canManageMembers && isInherited && Boolean(member.userId);
+            const canClearOverride =
+              canManageMembers && isOverride && Boolean(member.userId);
+            // Inherited rows have no record of their own, so key by user.
             const memberKey =
               member.id ?? member.userId ?? member.email ?? `member-${index}`;
 
@@ -244,7 +288,18 @@ function MembersPanel({
                         {member.email}
                       </p>
                     ) : null}
-                    {member.invitedByName ? (
+                    {member.inheritedFrom ? (
+                      <p className="flex items-center gap-1 text-[11px] text-base-content/50">
+                        <CornerLeftUpIcon className="size-3" />
+                        Inherited from {member.inheritedFrom.name}
+                      </p>
+                    ) : null}
+                    {isOverride ? (
+                      <p className="text-[11px] text-base-content/50">
+                        Overrides access from a parent notebook
+                      </p>
+                    ) : null}
+                    {member.invitedByName && !isInherited ? (
                       <p className="text-[11px] text-base-content/50">
                         Invited by {member.invitedByName}
                       </p>
@@ -258,7 +313,28 @@ function MembersPanel({
                   <div className="flex flex-col gap-2 lg:w-64">
                     <div className="flex items-center gap-2">
                       <ShieldIcon className="size-4 text-secondary" />
-                      {canEditMember ? (
+                      {canOverride ? (
+                        <select
+                          className="select select-bordered select-sm w-full"
+                          value={member.role}
+                          aria-label={`Override access for ${member.name ?? member.email ?? "member"}`}
+                          onChange={(event) =>
+                            overrideMutation.mutate({
+                              userId: member.userId!,
+                              role: event.target.value,
+                            })
+                          }
+                          disabled={overrideMutation.isPending}
+                        >
+                          {MEMBER_OVERRIDE_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                              {option.value === member.role
+                                ? `${option.label} (inherited)`
+                                : option.label}
+                            </option>
+                          ))}
+                        </select>
+                      ) : canEditMember ? (
                         <select
                           className="select select-bordered select-sm w-full"
                           value={member.role}
@@ -314,7 +390,21 @@ function MembersPanel({
                           <XIcon className="size-3" /> Revoke
                         </button>
                       ) : null}
-                      {canRemove ? (
+                      {canClearOverride ? (
+                        <button
+                          type="button"
+                          className="btn btn-ghost btn-xs"
+                          onClick={() =>
+                            clearOverrideMutation.mutate({
+                              userId: member.userId!,
+                            })
+                          }
+                          disabled={clearOverrideMutation.isPending}
+                        >
+                          <RotateCcwIcon className="size-3" /> Use inherited
+                        </button>
+                      ) : null}
+                      {canRemove && !isOverride ? (
                         <button
                           type="button"
                           className="btn btn-ghost btn-xs text-error"
@@ -253,6 +253,15 @@ function ShareLinksPanel({ notebookId, open }: ShareLinksPanelProps) {
                         </span>
                       </>
                     ) : null}
+                    {link.accessCount ? (
+                      <>
+                        <span className="text-base-content/30">•</span>
+                        <span>
+                          {link.accessCount}{" "}
+                          {link.accessCount === 1 ? "visit" : "visits"}
+                        </span>
+                      </>
+                    ) : null}
                   </div>
 
                   <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-base-300/50">
@@ -8,6 +8,12 @@ export const MEMBER_ROLE_OPTIONS: RoleOption[] = [
   { value: "viewer", label: "Viewer" },
 ];
 
+/** Choices for overriding access inherited from a parent notebook. */
+export const MEMBER_OVERRIDE_OPTIONS: RoleOption[] = [
+  ...MEMBER_ROLE_OPTIONS,
+  { value: "none", label: "No access" },
+];
+
 export const INVITE_EXPIRY_OPTIONS: RoleOption[] = [
   { value: "24", label: "24 hours" },
   { value: "168", label: "7 days" },
@@ -62,6 +68,9 @@ export interface Member {
   status?: string;
   invitedByName?: string;
   invitedAt?: string;
+  /** Set when access comes from a parent notebook's membership. */
+  inheritedFrom?: { id: string; name: string } | null;
+  metadata?: { inheritanceOverride?: boolean; [key: string]: unknown };
   [key: string]: unknown;
 }
 
@@ -72,6 +81,7 @@ export interface ShareLink {
   createdByName?: string;
   expiresAt?: string;
   lastAccessedAt?: string;
+  accessCount?: number;
   revokedAt?: string;
   url?: string;
   [key: string]: unknown;
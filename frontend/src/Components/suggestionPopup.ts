@@ -0,0 +1,68 @@
+import { ReactRenderer } from "@tiptap/react";
+import tippy, { type Instance as TippyInstance } from "tippy.js";
+import type {
+  SuggestionKeyDownProps,
+  SuggestionProps,
+} from "@tiptap/suggestion";
+import SuggestionList, {
+  type SuggestionListHandle,
+  type SuggestionListItem,
+} from "./SuggestionList";
+
+/**
+ * `render` implementation for Tiptap suggestion plugins: shows a
+ * `SuggestionList` in a tippy popup anchored to the typed trigger.
+ */
+export const renderSuggestionPopup = (emptyLabel: string) => () => {
+  let component: ReactRenderer<SuggestionListHandle> | null = null;
+  let popup: TippyInstance[] | null = null;
+
+  return {
+    onStart: (props: SuggestionProps<SuggestionListItem>) => {
+      component = new ReactRenderer(SuggestionList, {
+        props: { ...props, emptyLabel },
+        editor: props.editor,
+      });
+
+      if (!props.clientRect) {
+        return;
+      }
+
+      popup = tippy("body", {
+        getReferenceClientRect: props.clientRect as () => DOMRect,
+        appendTo: () => document.body,
+        content: component.element,
+        showOnCreate: true,
+        interactive: true,
+        trigger: "manual",
+        placement: "bottom-start",
+      });
+    },
+
+    onUpdate(props: SuggestionProps<SuggestionListItem>) {
+      component?.updateProps({ ...props, emptyLabel });
+
+      if (!props.clientRect) {
+        return;
+      }
+
+      popup?.[0]?.setProps({
+        getReferenceClientRect: props.clientRect as () => DOMRect,
+      });
+    },
+
+    onKeyDown(props: SuggestionKeyDownProps) {
+      if (props.event.key === "Escape") {
+        popup?.[0]?.hide();
+        return true;
+      }
+
+      return component?.ref?.onKeyDown(props) ?? false;
+    },
+
+    onExit() {
+      popup?.[0]?.destroy();
+      component?.destroy();
+    },
+  };
+};
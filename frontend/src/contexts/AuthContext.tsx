@@ -153,22 +153,38 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
     };
   }, [clearSession, handleRefresh]);
 
+  const startSession = useCallback(
+    (data: { accessToken?: string; user?: AuthUser }) => {
+      const { accessToken: token, user: profile } = data;
+      if (!token || !profile) {
+        throw new Error("Malformed login response");
+      }
+      // Wipe the previous user's cached data so the new user never sees stale
+      // queries from a different account.
+      queryClient.clear();
+      applyAccessToken(token);
+      setUser(profile);
+      toast.success(`Welcome back, ${profile.name}`);
+      return profile;
+    },
+    [applyAccessToken, queryClient],
+  );
+
   const login: AuthContextValue["login"] = useCallback(
     async ({ email, password }) => {
       try {
         const response = await api.post("/auth/login", { email, password });
-        const { accessToken: token, user: profile } =
-          (response.data as { accessToken?: string; user?: AuthUser }) ?? {};
-        if (!token || !profile) {
-          throw new Error("Malformed login response");
+        const data =
+          (response.data as {
+            accessToken?: string;
+            user?: AuthUser;
+            twoFactorRequired?: boolean;
+            challengeToken?: string;
+          }) ?? {};
+        if (data.twoFactorRequired && data.challengeToken) {
+          return { twoFactorRequired: true, challengeToken: data.challengeToken };
         }
-        // Wipe the previous user's cached data so the new user never sees stale
-        // queries from a different account.
-        queryClient.clear();
-        applyAccessToken(token);
-        setUser(profile);
-        toast.success(`Welcome back, ${profile.name}`);
-        return profile;
+        return startSession(data);
       } catch (error: unknown) {
         const status = (error as { response?: { status?: number } })?.response
           ?.status;
@@ -184,9 +200,38 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
         throw error;
       }
     },
-    [applyAccessToken, queryClient],
+    [startSession],
   );
 
+  const completeTwoFactorLogin: AuthContextValue["completeTwoFactorLogin"] =
+    useCallback(
+      async ({ challengeToken, code }) => {
+        try {
+          const response = await api.post("/auth/login/2fa", {
+            challengeToken,
+            code,
+          });
+          const data =
+            (response.data as {
+              accessToken?: string;
+              user?: AuthUser;
+              recoveryCodesRemaining?: number;
+            }) ?? {};
+          const profile = startSession(data);
+          if (typeof data.recoveryCodesRemaining === "number") {
+            toast.warning(
+              `Recovery code used — ${data.recoveryCodesRemaining} left. Generate new ones from your profile if you're running low.`,
+            );
+          }
+          return profile;
+        } catch (error: unknown) {
+          toast.error(extractApiError(error, "That code didn't work."));
+          throw error;
+        }
+      },
+      [startSession],
+    );
+
   const register: AuthContextValue["register"] = useCallback(
     async ({ name, email, password }) => {
       try {
@@ -222,7 +267,13 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
   );
 
   const updateProfile: AuthContextValue["updateProfile"] = useCallback(
-    async ({ name, email, currentPassword, verificationRedirectUrl }) => {
+    async ({
+      name,
+      email,
+      currentPassword,
+      verificationRedirectUrl,
+      emailDigest,
+    }) => {
       try {
         const payload: Record<string, string> = {};
         if (name !== undefined) payload.name = name;
@@ -233,6 +284,7 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
         if (verificationRedirectUrl !== undefined) {
           payload.verificationRedirectUrl = verificationRedirectUrl;
         }
+        if (emailDigest !== undefined) payload.emailDigest = emailDigest;
 
         const response = await api.put("/auth/profile", payload);
         const {
@@ -328,9 +380,14 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
         const response = await api.post("/auth/verify-email", { token });
         const { accessToken: tokenValue, user: profile } =
           (response.data as { accessToken?: string; user?: AuthUser }) ?? {};
-        if (!tokenValue || !profile) {
+        if (!profile) {
           throw new Error("Malformed verify email response");
         }
+        if (!tokenValue) {
+          // Accounts with two-factor auth must sign in again after verifying.
+          toast.success("Email confirmed! Sign in to continue.");
+          return profile;
+        }
         applyAccessToken(tokenValue);
         setUser(profile);
         toast.success("Email confirmed! You're all set.");
@@ -366,6 +423,7 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
       accessToken,
       initializing,
       login,
+      completeTwoFactorLogin,
       register,
       updateProfile,
       changePassword,
@@ -379,6 +437,7 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
       accessToken,
       initializing,
       login,
+      completeTwoFactorLogin,
       register,
       updateProfile,
       changePassword,
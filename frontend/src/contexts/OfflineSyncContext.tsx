@@ -13,6 +13,7 @@ export const OfflineSyncProvider = ({ children }: OfflineSyncProviderProps) => {
     isSyncing: false,
     lastSyncedAt: null,
     lastError: null,
+    conflictCount: 0,
   });
 
   useEffect(() => {
@@ -38,6 +39,14 @@ export const OfflineSyncProvider = ({ children }: OfflineSyncProviderProps) => {
         const mod = await import("../lib/offlineSyncManager");
         await mod.triggerManualSync();
       },
+      listConflicts: async () => {
+        const mod = await import("../lib/offlineSyncManager");
+        return mod.getSyncConflicts();
+      },
+      dismissConflict: async (id: string) => {
+        const mod = await import("../lib/offlineSyncManager");
+        await mod.dismissSyncConflict(id);
+      },
     }),
     [status],
   );
@@ -0,0 +1,79 @@
+import { type ReactNode, useCallback, useMemo, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import api from "../lib/axios";
+import useAuth from "../hooks/useAuth";
+import type { WorkspaceSummary } from "../types/api";
+import WorkspaceContext from "./workspaceContext";
+
+const STORAGE_KEY = "notesboard-active-workspace";
+
+const readStoredWorkspaceId = (): string | null => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+interface WorkspaceProviderProps {
+  children: ReactNode;
+}
+
+/**
+ * Tracks which workspace the dashboard is scoped to. The choice is kept in
+ * localStorage and falls back to the user's default workspace whenever the
+ * stored one is no longer in the list (deleted, or access removed).
+ */
+export const WorkspaceProvider = ({ children }: WorkspaceProviderProps) => {
+  const { user } = useAuth();
+  const [storedId, setStoredId] = useState<string | null>(readStoredWorkspaceId);
+
+  const workspacesQuery = useQuery<WorkspaceSummary[]>({
+    queryKey: ["workspaces"],
+    queryFn: async () => {
+      const response = await api.get("/workspaces");
+      return Array.isArray(response.data) ? response.data : [];
+    },
+    enabled: Boolean(user),
+    staleTime: 120_000,
+  });
+
+  const setActiveWorkspaceId = useCallback((workspaceId: string) => {
+    setStoredId(workspaceId);
+    try {
+      localStorage.setItem(STORAGE_KEY, workspaceId);
+    } catch {
+      // Ignored: the choice simply won't survive a reload.
+    }
+  }, []);
+
+  const value = useMemo(() => {
+    const workspaces = user ? (workspacesQuery.data ?? []) : [];
+    const activeWorkspace =
+      workspaces.find((workspace) => workspace.id === storedId) ??
+      workspaces.find((workspace) => workspace.id === user?.defaultWorkspace) ??
+      workspaces.find((workspace) => workspace.isDefault) ??
+      workspaces[0] ??
+      null;
+
+    return {
+      workspaces,
+      activeWorkspaceId: activeWorkspace?.id ?? null,
+      activeWorkspace,
+      isLoading: workspacesQuery.isLoading,
+      setActiveWorkspaceId,
+    };
+  }, [
+    setActiveWorkspaceId,
+    storedId,
+    user,
+    workspacesQuery.data,
+    workspacesQuery.isLoading,
+  ]);
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
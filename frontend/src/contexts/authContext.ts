@@ -1,15 +1,25 @@
 import { createContext } from "react";
 
+export type EmailDigestFrequency = "off" | "daily" | "weekly";
+
 export interface AuthUser {
   id: string;
   name: string;
   email: string;
   defaultWorkspace?: string;
   emailVerified?: boolean;
+  twoFactorEnabled?: boolean;
+  emailDigest?: EmailDigestFrequency;
   createdAt?: string;
   updatedAt?: string;
 }
 
+/** Returned by `login` when the account needs a second factor. */
+export interface TwoFactorChallenge {
+  twoFactorRequired: true;
+  challengeToken: string;
+}
+
 export interface AuthContextValue {
   user: AuthUser | null;
   accessToken: string | null;
@@ -17,6 +27,10 @@ export interface AuthContextValue {
   login: (credentials: {
     email: string;
     password: string;
+  }) => Promise<AuthUser | TwoFactorChallenge>;
+  completeTwoFactorLogin: (data: {
+    challengeToken: string;
+    code: string;
   }) => Promise<AuthUser>;
   register: (data: {
     name: string;
@@ -28,6 +42,7 @@ export interface AuthContextValue {
     email?: string;
     currentPassword?: string;
     verificationRedirectUrl?: string;
+    emailDigest?: EmailDigestFrequency;
   }) => Promise<Record<string, unknown>>;
   changePassword: (data: {
     currentPassword: string;
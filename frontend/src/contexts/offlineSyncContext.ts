@@ -1,8 +1,13 @@
 import { createContext } from "react";
-import type { OfflineStatusSnapshot } from "../lib/offlineSyncManager";
+import type {
+  OfflineStatusSnapshot,
+  SyncConflict,
+} from "../lib/offlineSyncManager";
 
 export interface OfflineSyncContextValue extends OfflineStatusSnapshot {
   syncNow: () => Promise<void>;
+  listConflicts: () => Promise<SyncConflict[]>;
+  dismissConflict: (id: string) => Promise<void>;
 }
 
 const OfflineSyncContext = createContext<OfflineSyncContextValue>({
@@ -11,7 +16,10 @@ const OfflineSyncContext = createContext<OfflineSyncContextValue>({
   isSyncing: false,
   lastSyncedAt: null,
   lastError: null,
+  conflictCount: 0,
   syncNow: async () => {},
+  listConflicts: async () => [],
+  dismissConflict: async () => {},
 });
 
 export default OfflineSyncContext;
@@ -0,0 +1,21 @@
+import { createContext } from "react";
+import type { WorkspaceSummary } from "../types/api";
+
+export interface WorkspaceContextValue {
+  workspaces: WorkspaceSummary[];
+  /** `null` until the workspace list loads; list views are unscoped then. */
+  activeWorkspaceId: string | null;
+  activeWorkspace: WorkspaceSummary | null;
+  isLoading: boolean;
+  setActiveWorkspaceId: (workspaceId: string) => void;
+}
+
+const WorkspaceContext = createContext<WorkspaceContextValue>({
+  workspaces: [],
+  activeWorkspaceId: null,
+  activeWorkspace: null,
+  isLoading: false,
+  setActiveWorkspaceId: () => {},
+});
+
+export default WorkspaceContext;
@@ -13,6 +13,7 @@ describe("useNotebookDialogs", () => {
     expect(result.current.history.value).toBe(null);
     expect(result.current.analytics.value).toBe(null);
     expect(result.current.share.value).toBe(null);
+    expect(result.current.webhooks.value).toBe(null);
   });
 
   it("open() stores the notebook and close() clears it", () => {
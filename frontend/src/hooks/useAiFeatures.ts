@@ -3,17 +3,21 @@
  *
  * Handles:
  *   - AI status check (are features configured?)
- *   - Note summarisation with structured action items
+ *   - Note summarisation with structured action items (seeded from the
+ *     summary stored on the note, with per-item due dates and reminders)
  *   - Predictive tag suggestions
  */
-import { useCallback, useEffect, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import { useQuery } from "@tanstack/react-query";
 import api from "../lib/axios";
+import type { ScheduleDates } from "../lib/dueDates";
 
 export interface ActionItem {
   _id: string;
   text: string;
   completed: boolean;
+  dueAt?: string | null;
+  remindAt?: string | null;
 }
 
 export interface AiSummary {
@@ -51,12 +55,32 @@ export function useAiStatus() {
   });
 }
 
-export function useAiFeatures(noteId: string | null | undefined) {
-  const [summary, setSummary] = useState<AiSummary | null>(null);
+const toStoredSummary = (value: unknown): AiSummary | null => {
+  const stored = value as Partial<AiSummary> | null | undefined;
+  if (!stored?.summary) return null;
+  return {
+    summary: stored.summary,
+    actionItems: Array.isArray(stored.actionItems) ? stored.actionItems : [],
+    generatedAt: stored.generatedAt ?? "",
+  };
+};
+
+export function useAiFeatures(
+  noteId: string | null | undefined,
+  storedSummary?: unknown,
+) {
+  const [localSummary, setSummary] = useState<AiSummary | null>(null);
   const [summaryLoading, setSummaryLoading] = useState(false);
   const [suggestedTags, setSuggestedTags] = useState<string[]>([]);
   const [tagsLoading, setTagsLoading] = useState(false);
 
+  const [scheduleSavingId, setScheduleSavingId] = useState<string | null>(
+    null,
+  );
+  // A summary generated in this session wins over the one loaded with the note.
+  const stored = useMemo(() => toStoredSummary(storedSummary), [storedSummary]);
+  const summary = localSummary ?? stored;
+
   const { data: aiStatus } = useAiStatus();
   const isConfigured = aiStatus?.configured ?? false;
 
@@ -85,7 +109,8 @@ export function useAiFeatures(noteId: string | null | undefined) {
     async (itemId: string) => {
       if (!noteId || !summary) return;
       // Optimistic update
-      setSummary((prev) => {
+      setSummary((current) => {
+        const prev = current ?? summary;
         if (!prev) return prev;
         return {
           ...prev,
@@ -100,7 +125,8 @@ export function useAiFeatures(noteId: string | null | undefined) {
         await api.patch(`/ai/notes/${noteId}/action-items/${itemId}`);
       } catch {
         // Revert on failure
-        setSummary((prev) => {
+        setSummary((current) => {
+          const prev = current ?? summary;
           if (!prev) return prev;
           return {
             ...prev,
@@ -116,6 +142,41 @@ export function useAiFeatures(noteId: string | null | undefined) {
     [noteId, summary],
   );
 
+  const scheduleActionItem = useCallback(
+    async (itemId: string, dates: ScheduleDates) => {
+      if (!noteId || !summary) return false;
+      setScheduleSavingId(itemId);
+      try {
+        const res = await api.patch(
+          `/ai/notes/${noteId}/action-items/${itemId}/schedule`,
+          dates,
+        );
+        setSummary((current) => {
+          const prev = current ?? summary;
+          if (!prev) return prev;
+          return {
+            ...prev,
+            actionItems: prev.actionItems.map((item) =>
+              item._id === itemId
+                ? {
+                    ...item,
+                    dueAt: res.data?.dueAt ?? null,
+                    remindAt: res.data?.remindAt ?? null,
+                  }
+                : item,
+            ),
+          };
+        });
+        return true;
+      } catch {
+        return false;
+      } finally {
+        setScheduleSavingId(null);
+      }
+    },
+    [noteId, summary],
+  );
+
   const requestTagSuggestions = useCallback(async () => {
     if (!noteId || !isConfigured) return;
     setTagsLoading(true);
@@ -142,6 +203,8 @@ export function useAiFeatures(noteId: string | null | undefined) {
     summaryLoading,
     generateSummary,
     toggleActionItem,
+    scheduleActionItem,
+    scheduleSavingId,
     // Tags
     suggestedTags,
     tagsLoading,
@@ -1,10 +1,16 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import * as Y from "yjs";
-import { HocuspocusProvider } from "@hocuspocus/provider";
+import { HocuspocusProvider, WebSocketStatus } from "@hocuspocus/provider";
 import type { onCloseParameters } from "@hocuspocus/provider";
 import { TiptapTransformer } from "@hocuspocus/transformer";
 import { Awareness } from "y-protocols/awareness";
 import useAuth from "./useAuth";
+import { COLLAB_URL } from "../lib/collabUrl";
+import {
+  PERSISTED_STATE_ORIGIN,
+  loadNoteDocument,
+  saveNoteDocument,
+} from "../lib/offline-sync/noteDocuments";
 
 interface JSONContent {
   type: string;
@@ -27,59 +33,7 @@ export interface NoteInput {
 
 type CollabStatus = "connecting" | "connected" | "disconnected";
 
-const resolveCollabUrl = (): string => {
-  const explicitUrl = import.meta.env.VITE_COLLAB_SERVER_URL as
-    | string
-    | undefined;
-  if (explicitUrl) {
-    return explicitUrl;
-  }
-
-  const rawPath =
-    (import.meta.env.VITE_COLLAB_PATH as string | undefined) || "/collab";
-  const path = rawPath.startsWith("/") ? rawPath : `/${rawPath}`;
-
-  const buildUrl = (baseUrl: string): string | null => {
-    try {
-      const url = new URL(baseUrl);
-      url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
-      url.pathname = path;
-      url.search = "";
-      url.hash = "";
-      return url.toString();
-    } catch {
-      return null;
-    }
-  };
-
-  const candidates: string[] = [];
-
-  const apiBase =
-    (import.meta.env.VITE_API_BASE_URL as string | undefined) ??
-    (import.meta.env.DEV ? "http://localhost:5001/api" : "/api");
-  candidates.push(apiBase);
-
-  if (typeof window !== "undefined" && window.location?.origin) {
-    candidates.push(window.location.origin);
-  }
-
-  if (import.meta.env.DEV) {
-    candidates.push("http://localhost:5001");
-  }
-
-  candidates.push("http://localhost");
-
-  for (const candidate of candidates) {
-    const resolved = buildUrl(candidate);
-    if (resolved) {
-      return resolved;
-    }
-  }
-
-  return `ws://localhost:5001${path}`;
-};
-
-const DEFAULT_COLLAB_URL = resolveCollabUrl();
+const PERSIST_DELAY_MS = 500;
 
 interface JWTPayload {
   exp?: number;
@@ -175,6 +129,12 @@ export const useCollaborativeNote = (
   const [participants, setParticipants] = useState<CollabParticipant[]>([]);
   const [typingUsers, setTypingUsers] = useState<CollabParticipant[]>([]);
   const typingTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // The note whose document has content to show: loaded from IndexedDB or
+  // synced with the server.
+  const [readyNoteId, setReadyNoteId] = useState<string | null>(null);
+  const [offlineEditsNoteId, setOfflineEditsNoteId] = useState<string | null>(
+    null,
+  );
 
   const color = useMemo(() => {
     const source = user?.id ?? "anonymous";
@@ -245,7 +205,7 @@ export const useCollaborativeNote = (
   }, [accessToken, refresh]);
 
   useEffect(() => {
-    if (!noteId || !user || !canEdit) {
+    if (!noteId || !user) {
       return undefined;
     }
 
@@ -272,11 +232,14 @@ export const useCollaborativeNote = (
     const yDoc = new Y.Doc();
     const awareness = new Awareness(yDoc);
     const provider = new HocuspocusProvider({
-      url: DEFAULT_COLLAB_URL,
+      url: COLLAB_URL,
       name: `note:${noteId}`,
       document: yDoc,
       token: resolveProviderToken,
       awareness,
+      // Connect once the persisted document is loaded, so the first sync
+      // already carries any offline edits.
+      connect: false,
       onAuthenticationFailed: ({ reason }: { reason: string }) => {
         if (import.meta.env.DEV) {
           console.warn(
@@ -348,7 +311,9 @@ export const useCollaborativeNote = (
     emitParticipants();
 
     const applyInitialContent = () => {
-      if (!note) return;
+      // Read-only connections cannot push the seed to the server, so only
+      // editors initialise an empty document.
+      if (!note || !canEdit) return;
       const fragment = yDoc.getXmlFragment("default");
       if (fragment.length !== 0) {
         return;
@@ -371,11 +336,59 @@ export const useCollaborativeNote = (
 
     provider.on("synced", handleSynced);
 
+    // The document is kept in IndexedDB so the note can be edited offline.
+    // Offline edits are ordinary Yjs updates: the next sync handshake sends
+    // them to the server, which merges them with everyone else's, and
+    // `pending` lets the offline queue push them if this page is closed first.
+    let persistTimer: ReturnType<typeof setTimeout> | null = null;
+    let hasOfflineEdits = false;
+    const persist = () => {
+      if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+      }
+      void saveNoteDocument(noteId, yDoc, { pending: hasOfflineEdits });
+    };
+    const handleDocumentUpdate = (_update: Uint8Array, origin: unknown) => {
+      if (origin === PERSISTED_STATE_ORIGIN) return;
+      if (
+        origin !== provider &&
+        canEdit &&
+        provider.status !== WebSocketStatus.Connected
+      ) {
+        hasOfflineEdits = true;
+        setOfflineEditsNoteId(noteId);
+      }
+      if (!persistTimer) {
+        persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+      }
+    };
+    const handleDocumentSynced = ({ state: isSynced }: { state: boolean }) => {
+      if (!isSynced) return;
+      setReadyNoteId(noteId);
+      setOfflineEditsNoteId(null);
+      persist();
+    };
+
+    yDoc.on("update", handleDocumentUpdate);
+    provider.on("synced", handleDocumentSynced);
+
+    void loadNoteDocument(noteId, yDoc)
+      .catch(() => false)
+      .then((found) => {
+        if (cancelled) return;
+        if (found) setReadyNoteId(noteId);
+        void provider.connect();
+      });
+
     return () => {
       cancelled = true;
       provider.off("status", handleStatus);
       awareness.off("update", emitParticipants);
       provider.off("synced", handleSynced);
+      provider.off("synced", handleDocumentSynced);
+      yDoc.off("update", handleDocumentUpdate);
+      if (persistTimer) persist();
       provider.destroy();
       yDoc.destroy();
     };
@@ -415,6 +428,10 @@ export const useCollaborativeNote = (
     provider: providerRef.current,
     doc: docRef.current,
     status,
+    /** False while offline with no saved copy of the document to edit. */
+    documentReady: Boolean(noteId) && readyNoteId === noteId,
+    /** Edits made offline that the collab server has not merged yet. */
+    hasOfflineEdits: Boolean(noteId) && offlineEditsNoteId === noteId,
     participants,
     typingUsers,
     color,
@@ -13,6 +13,7 @@ export interface NotebookDialogsApi {
   history: NotebookDialogControls;
   analytics: NotebookDialogControls;
   share: NotebookDialogControls;
+  webhooks: NotebookDialogControls;
 }
 
 export default function useNotebookDialogs(): NotebookDialogsApi {
@@ -20,6 +21,7 @@ export default function useNotebookDialogs(): NotebookDialogsApi {
   const [history, setHistory] = useState<NotebookRef | null>(null);
   const [analytics, setAnalytics] = useState<NotebookRef | null>(null);
   const [share, setShare] = useState<NotebookRef | null>(null);
+  const [webhooks, setWebhooks] = useState<NotebookRef | null>(null);
 
   const openPublish = useCallback((nb: NotebookRef | null | undefined) => {
     if (nb) setPublish(nb);
@@ -41,6 +43,11 @@ export default function useNotebookDialogs(): NotebookDialogsApi {
   }, []);
   const closeShare = useCallback(() => setShare(null), []);
 
+  const openWebhooks = useCallback((nb: NotebookRef | null | undefined) => {
+    if (nb) setWebhooks(nb);
+  }, []);
+  const closeWebhooks = useCallback(() => setWebhooks(null), []);
+
   return {
     publish: { value: publish, open: openPublish, close: closePublish },
     history: { value: history, open: openHistory, close: closeHistory },
@@ -50,5 +57,6 @@ export default function useNotebookDialogs(): NotebookDialogsApi {
       close: closeAnalytics,
     },
     share: { value: share, open: openShare, close: closeShare },
+    webhooks: { value: webhooks, open: openWebhooks, close: closeWebhooks },
   };
 }
@@ -0,0 +1,46 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import api from "../lib/axios";
+import type { NotificationsResponse } from "../types/api";
+
+const NOTIFICATIONS_KEY = ["notifications"] as const;
+const POLL_INTERVAL_MS = 60_000;
+
+/**
+ * The signed-in user's inbox. Polls once a minute so mentions made elsewhere
+ * show up without a reload.
+ */
+export function useNotifications(limit = 20) {
+  const queryClient = useQueryClient();
+
+  const query = useQuery<NotificationsResponse>({
+    queryKey: [...NOTIFICATIONS_KEY, limit],
+    queryFn: async () => {
+      const res = await api.get("/notifications", { params: { limit } });
+      return res.data;
+    },
+    staleTime: 30_000,
+    refetchInterval: POLL_INTERVAL_MS,
+  });
+
+  const invalidate = () =>
+    queryClient.invalidateQueries({ queryKey: NOTIFICATIONS_KEY });
+
+  const markRead = useMutation({
+    mutationFn: (id: string) => api.post(`/notifications/${id}/read`),
+    onSettled: invalidate,
+  });
+
+  const markAllRead = useMutation({
+    mutationFn: () => api.post("/notifications/read-all"),
+    onSettled: invalidate,
+  });
+
+  return {
+    notifications: query.data?.notifications ?? [],
+    unreadCount: query.data?.unreadCount ?? 0,
+    loading: query.isLoading,
+    markRead: (id: string) => markRead.mutate(id),
+    markAllRead: () => markAllRead.mutate(),
+    markingAll: markAllRead.isPending,
+  };
+}
@@ -7,6 +7,7 @@
 import { useQuery } from "@tanstack/react-query";
 import { useEffect, useState } from "react";
 import api from "../lib/axios";
+import useWorkspace from "./useWorkspace";
 
 export interface SearchResult {
   _id: string;
@@ -33,6 +34,7 @@ const MIN_QUERY_LENGTH = 2;
 
 function useSemanticSearch(rawQuery: string, enabled = true) {
   const [debouncedQuery, setDebouncedQuery] = useState("");
+  const { activeWorkspaceId } = useWorkspace();
 
   // Debounce the raw query
   useEffect(() => {
@@ -46,10 +48,14 @@ function useSemanticSearch(rawQuery: string, enabled = true) {
   }, [rawQuery]);
 
   const query = useQuery<SemanticSearchResponse>({
-    queryKey: ["semantic-search", debouncedQuery],
+    queryKey: ["semantic-search", debouncedQuery, activeWorkspaceId],
     queryFn: async () => {
       const { data } = await api.get<SemanticSearchResponse>("/notes/search", {
-        params: { q: debouncedQuery, limit: 40 },
+        params: {
+          q: debouncedQuery,
+          limit: 40,
+          ...(activeWorkspaceId ? { workspaceId: activeWorkspaceId } : {}),
+        },
       });
       return data;
     },
@@ -0,0 +1,8 @@
+import { useContext } from "react";
+import WorkspaceContext, {
+  type WorkspaceContextValue,
+} from "../contexts/workspaceContext";
+
+const useWorkspace = (): WorkspaceContextValue => useContext(WorkspaceContext);
+
+export default useWorkspace;
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import {
+  defaultReminderFor,
+  formatDueLabel,
+  fromDateTimeLocalValue,
+  isOverdue,
+  toDateTimeLocalValue,
+} from "../dueDates";
+
+// Local-time constructors keep these independent of the runner's timezone.
+const now = new Date(2026, 9, 19, 12, 0);
+
+describe("datetime-local conversion", () => {
+  it("round-trips a local date and time", () => {
+    const due = new Date(2026, 9, 21, 9, 5);
+    const local = toDateTimeLocalValue(due.toISOString());
+    expect(local).toBe("2026-10-21T09:05");
+    expect(fromDateTimeLocalValue(local)).toBe(due.toISOString());
+  });
+
+  it("maps empty and invalid values to blanks", () => {
+    expect(toDateTimeLocalValue(null)).toBe("");
+    expect(toDateTimeLocalValue("not a date")).toBe("");
+    expect(fromDateTimeLocalValue("")).toBeNull();
+  });
+});
+
+describe("formatDueLabel", () => {
+  it("flags past dates as overdue", () => {
+    const label = formatDueLabel(new Date(2026, 9, 18, 9, 0), now);
+    expect(label).toBe("Overdue · Oct 18");
+    expect(isOverdue(new Date(2026, 9, 18, 9, 0), now)).toBe(true);
+  });
+
+  it("names today and tomorrow with a time", () => {
+    expect(formatDueLabel(new Date(2026, 9, 19, 17, 30), now)).toBe(
+      "Due today 17:30",
+    );
+    expect(formatDueLabel(new Date(2026, 9, 20, 8, 0), now)).toBe(
+      "Due tomorrow 08:00",
+    );
+  });
+
+  it("uses the calendar date further out", () => {
+    expect(formatDueLabel(new Date(2026, 9, 24, 8, 0), now)).toBe("Due Oct 24");
+    expect(formatDueLabel(null, now)).toBe("");
+  });
+});
+
+describe("defaultReminderFor", () => {
+  it("reminds a day ahead when there is time", () => {
+    const due = new Date(2026, 9, 25, 10, 0);
+    expect(defaultReminderFor(due.toISOString(), now)).toBe(
+      new Date(2026, 9, 24, 10, 0).toISOString(),
+    );
+  });
+
+  it("falls back to the due time when the day before has passed", () => {
+    const due = new Date(2026, 9, 19, 18, 0).toISOString();
+    expect(defaultReminderFor(due, now)).toBe(due);
+    expect(defaultReminderFor(null, now)).toBeNull();
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, vi, type Mock } from "vitest";
+import * as Y from "yjs";
+
+const providers = vi.hoisted(() => [] as { token: string }[]);
+
+vi.mock("@hocuspocus/provider", () => ({
+  // Stands in for a collab server that rejects the token it is given.
+  HocuspocusProvider: class {
+    constructor(options: {
+      token: string;
+      onAuthenticationFailed: (data: { reason: string }) => void;
+    }) {
+      providers.push({ token: options.token });
+      queueMicrotask(() =>
+        options.onAuthenticationFailed({ reason: "Invalid token" }),
+      );
+    }
+    on() {}
+    off() {}
+    destroy() {}
+  },
+}));
+
+vi.mock("../axios", () => ({
+  default: {
+    get: vi.fn(),
+    put: vi.fn(),
+    defaults: { headers: { common: {} as Record<string, string> } },
+  },
+}));
+
+vi.mock("../offlineDB", () => ({
+  getNoteDocument: vi.fn(),
+  removeNoteDocument: vi.fn(),
+  settleNoteDocument: vi.fn(),
+  storeNoteDocument: vi.fn(),
+}));
+
+import api from "../axios";
+import { removeNoteDocument } from "../offlineDB";
+import {
+  extractDocumentText,
+  flushNoteDocuments,
+} from "../offline-sync/noteDocuments";
+
+const mockedApi = api as unknown as {
+  get: Mock;
+  defaults: { headers: { common: Record<string, string> } };
+};
+
+const block = (nodeName: string, ...children: (string | Y.XmlElement)[]) => {
+  const element = new Y.XmlElement(nodeName);
+  element.insert(
+    0,
+    children.map((child) => {
+      if (typeof child !== "string") return child;
+      const text = new Y.XmlText();
+      text.insert(0, child);
+      return text;
+    }),
+  );
+  return element;
+};
+
+const paragraphs = (doc: Y.Doc, lines: string[]) =>
+  doc
+    .getXmlFragment("default")
+    .insert(0, lines.map((line) => block("paragraph", line)));
+
+describe("extractDocumentText", () => {
+  it("writes one line per text block, nested blocks included", () => {
+    const doc = new Y.Doc();
+    doc
+      .getXmlFragment("default")
+      .insert(0, [
+        block("heading", "Plan"),
+        block(
+          "bulletList",
+          block("listItem", block("paragraph", "First")),
+          block("listItem", block("paragraph", "Second")),
+        ),
+        block("paragraph"),
+        block("paragraph", "Line", block("hardBreak"), "break"),
+      ]);
+
+    expect(extractDocumentText(doc)).toBe("Plan\nFirst\nSecond\n\nLine\nbreak");
+  });
+});
+
+describe("offline document edits", () => {
+  it("converge with edits made online in the meantime", () => {
+    const server = new Y.Doc();
+    paragraphs(server, ["Intro", "Outro"]);
+
+    // The offline copy starts from the persisted server state.
+    const offline = new Y.Doc();
+    Y.applyUpdate(offline, Y.encodeStateAsUpdate(server));
+    const offlineFragment = offline.getXmlFragment("default");
+    offlineFragment.insert(1, [block("paragraph", "Written offline")]);
+
+    server.getXmlFragment("default").insert(2, [block("paragraph", "Online")]);
+
+    // Reconnecting exchanges only what each side is missing.
+    const fromOffline = Y.encodeStateAsUpdate(
+      offline,
+      Y.encodeStateVector(server),
+    );
+    const fromServer = Y.encodeStateAsUpdate(
+      server,
+      Y.encodeStateVector(offline),
+    );
+    Y.applyUpdate(server, fromOffline);
+    Y.applyUpdate(offline, fromServer);
+
+    expect(extractDocumentText(server)).toBe(
+      "Intro\nWritten offline\nOutro\nOnline",
+    );
+    expect(extractDocumentText(offline)).toBe(extractDocumentText(server));
+  });
+});
+
+describe("flushNoteDocuments", () => {
+  const record = {
+    noteId: "note-1",
+    state: Y.encodeStateAsUpdate(new Y.Doc()),
+    pending: true,
+    updatedAt: "2026-01-01T00:00:00.000Z",
+  };
+
+  beforeEach(() => {
+    providers.length = 0;
+    mockedApi.get.mockReset();
+    mockedApi.defaults.headers.common.Authorization = "Bearer expired-token";
+    (removeNoteDocument as Mock).mockReset();
+  });
+
+  it("keeps offline edits when the collab server rejects the token", async () => {
+    // The access check refreshes the expired token, as the auth
+    // interceptor does after a 401.
+    mockedApi.get.mockImplementation(async () => {
+      mockedApi.defaults.headers.common.Authorization = "Bearer fresh-token";
+      return { data: { canEdit: true } };
+    });
+
+    await expect(flushNoteDocuments([record])).resolves.toBe(false);
+
+    expect(mockedApi.get).toHaveBeenCalledWith("/notes/note-1");
+    expect(providers).toEqual([{ token: "fresh-token" }]);
+    expect(removeNoteDocument).not.toHaveBeenCalled();
+  });
+
+  it("keeps offline edits when access cannot be checked", async () => {
+    mockedApi.get.mockRejectedValue({ response: { status: 401 } });
+
+    await expect(flushNoteDocuments([record])).resolves.toBe(false);
+
+    expect(providers).toHaveLength(0);
+    expect(removeNoteDocument).not.toHaveBeenCalled();
+  });
+
+  it("drops offline edits of notes that were deleted or are read-only", async () => {
+    mockedApi.get.mockRejectedValueOnce({ response: { status: 404 } });
+    mockedApi.get.mockResolvedValueOnce({ data: { canEdit: false } });
+
+    await expect(
+      flushNoteDocuments([record, { ...record, noteId: "note-2" }]),
+    ).resolves.toBe(true);
+
+    expect(removeNoteDocument).toHaveBeenCalledWith("note-1");
+    expect(removeNoteDocument).toHaveBeenCalledWith("note-2");
+    expect(providers).toHaveLength(0);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import {
+  listNoteTemplatePrompts,
+  noteTemplates,
+  resolveNoteTemplate,
+} from "../noteTemplates";
+
+const findTemplate = (id: string) => {
+  const template = noteTemplates.find((entry) => entry.id === id);
+  if (!template) throw new Error(`Missing template ${id}`);
+  return template;
+};
+
+describe("note template placeholders", () => {
+  it("lists the prompts a built-in template asks for", () => {
+    expect(listNoteTemplatePrompts(findTemplate("one-on-one"))).toEqual([
+      "Meeting with",
+    ]);
+    expect(listNoteTemplatePrompts(findTemplate("daily-standup"))).toEqual([]);
+  });
+
+  it("fills dates, the user's name and prompt values", () => {
+    const resolved = resolveNoteTemplate(findTemplate("adr"), {
+      now: new Date("2026-03-10T12:00:00Z"),
+      timeZone: "UTC",
+      user: { name: "Ada" },
+      prompts: { "Decision title": "Use Postgres" },
+    });
+
+    expect(resolved.title).toBe("ADR: Use Postgres");
+    expect(resolved.content).toContain("# ADR: Use Postgres");
+    expect(resolved.content).toContain("- **Date:** 2026-03-10");
+    expect(resolved.content).toContain("- **Author:** Ada");
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { collectNotebookSubtreeIds, flattenNotebookTree } from "../notebookTree";
+
+const notebooks = [
+  { id: "work", parentId: null },
+  { id: "personal", parentId: null },
+  { id: "drafts", parentId: "work" },
+  { id: "old-drafts", parentId: "drafts" },
+  { id: "orphan", parentId: "not-loaded" },
+];
+
+describe("flattenNotebookTree", () => {
+  it("places children under their parent with increasing depth", () => {
+    const rows = flattenNotebookTree(notebooks);
+    expect(rows.map((row) => [row.notebook.id, row.depth])).toEqual([
+      ["work", 0],
+      ["drafts", 1],
+      ["old-drafts", 2],
+      ["personal", 0],
+      ["orphan", 0],
+    ]);
+    expect(rows[0].hasChildren).toBe(true);
+    expect(rows[2].hasChildren).toBe(false);
+  });
+
+  it("hides the children of collapsed notebooks", () => {
+    const rows = flattenNotebookTree(notebooks, new Set(["work"]));
+    expect(rows.map((row) => row.notebook.id)).toEqual([
+      "work",
+      "personal",
+      "orphan",
+    ]);
+  });
+});
+
+describe("collectNotebookSubtreeIds", () => {
+  it("returns the notebook and all of its descendants", () => {
+    expect(Array.from(collectNotebookSubtreeIds(notebooks, "work"))).toEqual([
+      "work",
+      "drafts",
+      "old-drafts",
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+import api from "./axios";
+import type { NoteAttachment } from "../types/api";
+
+/** Mirrors `MAX_ATTACHMENT_BYTES` on the server. */
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+/** Raster formats the server is willing to serve inline. */
+export const INLINE_IMAGE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "image/avif",
+];
+
+export const isInlineImage = (file: { type: string }): boolean =>
+  INLINE_IMAGE_TYPES.includes(file.type);
+
+export const formatFileSize = (bytes: number): string => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const uploadNoteAttachment = async (
+  noteId: string,
+  file: File,
+): Promise<NoteAttachment> => {
+  const form = new FormData();
+  form.append("file", file);
+  const response = await api.post<NoteAttachment>(
+    `/notes/${noteId}/attachments`,
+    form,
+    { headers: { "Content-Type": "multipart/form-data" } },
+  );
+  return response.data;
+};
+
+const contentPath = (noteId: string, attachmentId: string) =>
+  `/notes/${noteId}/attachments/${attachmentId}/content`;
+
+// Attachment content needs the bearer token, so <img src> can't point at the
+// API directly. Blobs are fetched once per session and shared as object URLs.
+const objectUrlCache = new Map<string, Promise<string>>();
+
+export const getAttachmentObjectUrl = (
+  noteId: string,
+  attachmentId: string,
+): Promise<string> => {
+  const key = `${noteId}:${attachmentId}`;
+  const cached = objectUrlCache.get(key);
+  if (cached) return cached;
+
+  const pending = api
+    .get<Blob>(contentPath(noteId, attachmentId), { responseType: "blob" })
+    .then((response) => URL.createObjectURL(response.data))
+    .catch((error: unknown) => {
+      objectUrlCache.delete(key);
+      throw error;
+    });
+  objectUrlCache.set(key, pending);
+  return pending;
+};
+
+export const downloadNoteAttachment = async (
+  attachment: NoteAttachment,
+): Promise<void> => {
+  const response = await api.get<Blob>(
+    contentPath(attachment.noteId, attachment.id),
+    { params: { download: "true" }, responseType: "blob" },
+  );
+  const url = URL.createObjectURL(response.data);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = attachment.fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 2000);
+};
@@ -0,0 +1,54 @@
+const resolveCollabUrl = (): string => {
+  const explicitUrl = import.meta.env.VITE_COLLAB_SERVER_URL as
+    | string
+    | undefined;
+  if (explicitUrl) {
+    return explicitUrl;
+  }
+
+  const rawPath =
+    (import.meta.env.VITE_COLLAB_PATH as string | undefined) || "/collab";
+  const path = rawPath.startsWith("/") ? rawPath : `/${rawPath}`;
+
+  const buildUrl = (baseUrl: string): string | null => {
+    try {
+      const url = new URL(baseUrl);
+      url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+      url.pathname = path;
+      url.search = "";
+      url.hash = "";
+      return url.toString();
+    } catch {
+      return null;
+    }
+  };
+
+  const candidates: string[] = [];
+
+  const apiBase =
+    (import.meta.env.VITE_API_BASE_URL as string | undefined) ??
+    (import.meta.env.DEV ? "http://localhost:5001/api" : "/api");
+  candidates.push(apiBase);
+
+  if (typeof window !== "undefined" && window.location?.origin) {
+    candidates.push(window.location.origin);
+  }
+
+  if (import.meta.env.DEV) {
+    candidates.push("http://localhost:5001");
+  }
+
+  candidates.push("http://localhost");
+
+  for (const candidate of candidates) {
+    const resolved = buildUrl(candidate);
+    if (resolved) {
+      return resolved;
+    }
+  }
+
+  return `ws://localhost:5001${path}`;
+};
+
+/** WebSocket URL of the Hocuspocus collab server. */
+export const COLLAB_URL = resolveCollabUrl();
@@ -0,0 +1,78 @@
+export const DUE_SOON_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface ScheduleDates {
+  dueAt: string | null;
+  remindAt: string | null;
+}
+
+const toDate = (value: string | Date | null | undefined): Date | null => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const pad = (value: number) => String(value).padStart(2, "0");
+
+/** ISO timestamp → `<input type="datetime-local">` value in local time. */
+export function toDateTimeLocalValue(
+  value: string | Date | null | undefined,
+): string {
+  const date = toDate(value);
+  if (!date) return "";
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate(),
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/** `<input type="datetime-local">` value → ISO timestamp, or null if empty. */
+export function fromDateTimeLocalValue(value: string): string | null {
+  return toDate(value)?.toISOString() ?? null;
+}
+
+export function isOverdue(
+  value: string | Date | null | undefined,
+  now: Date = new Date(),
+): boolean {
+  const date = toDate(value);
+  return Boolean(date && date.getTime() < now.getTime());
+}
+
+const startOfDay = (date: Date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+/**
+ * Short label for a due date relative to `now`: "Overdue · Oct 20",
+ * "Due today 14:00", "Due tomorrow 09:30" or "Due Oct 24".
+ */
+export function formatDueLabel(
+  value: string | Date | null | undefined,
+  now: Date = new Date(),
+): string {
+  const date = toDate(value);
+  if (!date) return "";
+
+  const dayLabel = date.toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+  if (date.getTime() < now.getTime()) return `Overdue · ${dayLabel}`;
+
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const dayOffset = Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+  if (dayOffset === 0) return `Due today ${time}`;
+  if (dayOffset === 1) return `Due tomorrow ${time}`;
+  return `Due ${dayLabel}`;
+}
+
+/** Reminder one day before the due date, or at it when that is already past. */
+export function defaultReminderFor(
+  dueAt: string | null,
+  now: Date = new Date(),
+): string | null {
+  const due = toDate(dueAt);
+  if (!due) return null;
+  const dayBefore = new Date(due.getTime() - DAY_MS);
+  return (dayBefore.getTime() > now.getTime() ? dayBefore : due).toISOString();
+}
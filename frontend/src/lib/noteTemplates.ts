@@ -21,6 +21,11 @@ import {
   KanbanIcon,
   type LucideIcon,
 } from "lucide-react";
+import {
+  extractTemplatePrompts,
+  resolveTemplateVariables,
+  type TemplateVariableContext,
+} from "@shared/templateVariables";
 
 /* ── Types ── */
 
@@ -43,6 +48,22 @@ export interface NoteTemplate {
   icon: string;
 }
 
+/* ── Placeholders ── */
+
+/** `{{prompt:…}}` labels a note template asks for before it is applied. */
+export const listNoteTemplatePrompts = (template: NoteTemplate): string[] =>
+  extractTemplatePrompts([template.title, template.content]);
+
+/** The template with `{{date}}`, `{{user.name}}`, prompts etc. filled in. */
+export const resolveNoteTemplate = (
+  template: NoteTemplate,
+  context: TemplateVariableContext,
+): NoteTemplate => ({
+  ...template,
+  title: resolveTemplateVariables(template.title, context),
+  content: resolveTemplateVariables(template.content, context),
+});
+
 /* ── Category metadata ── */
 
 export const templateCategories: {
@@ -96,7 +117,7 @@ export const noteTemplates: readonly NoteTemplate[] = [
     description: "Capture yesterday, today, and blockers at a glance.",
     category: "team-meetings",
     icon: "CalendarCheck",
-    title: "Daily Stand-up Notes",
+    title: "Daily Stand-up — {{date}}",
     content: `# Daily Stand-up
 
 ## Yesterday
@@ -121,7 +142,7 @@ export const noteTemplates: readonly NoteTemplate[] = [
     title: "Meeting Agenda",
     content: `# Meeting Agenda
 
-- **Date:**
+- **Date:** {{date}}
 - **Attendees:**
 
 ## Topics
@@ -172,11 +193,11 @@ export const noteTemplates: readonly NoteTemplate[] = [
     description: "Structure recurring check-ins with reports or managers.",
     category: "team-meetings",
     icon: "Users",
-    title: "1-on-1 Notes",
+    title: "1-on-1 with {{prompt:Meeting with}}",
     content: `# 1-on-1 Notes
 
-- **Date:**
-- **With:**
+- **Date:** {{date}}
+- **With:** {{prompt:Meeting with}}
 
 ## Check-in
 - How are things going overall…
@@ -264,7 +285,7 @@ export const noteTemplates: readonly NoteTemplate[] = [
     description: "Track highlights, gratitude, and tomorrow's focus.",
     category: "personal-reflection",
     icon: "BookHeart",
-    title: "Daily Reflection",
+    title: "Daily Reflection — {{date}}",
     content: `# Daily Reflection
 
 ## Highlights
@@ -291,7 +312,7 @@ export const noteTemplates: readonly NoteTemplate[] = [
     description: "Reflect on the week and set priorities for the next one.",
     category: "personal-reflection",
     icon: "CalendarRange",
-    title: "Weekly Review",
+    title: "Weekly Review — {{date}}",
     content: `# Weekly Review
 
 ## Wins
@@ -455,12 +476,12 @@ export const noteTemplates: readonly NoteTemplate[] = [
     description: "Document a technical decision with context and trade-offs.",
     category: "technical",
     icon: "FileCode",
-    title: "ADR: [Decision Title]",
-    content: `# ADR: [Decision Title]
+    title: "ADR: {{prompt:Decision title}}",
+    content: `# ADR: {{prompt:Decision title}}
 
 - **Status:** Proposed / Accepted / Deprecated
-- **Date:**
-- **Author:**
+- **Date:** {{date}}
+- **Author:** {{user.name}}
 
 ## Context
 - What problem or situation prompted this decision…
@@ -518,7 +539,7 @@ export const noteTemplates: readonly NoteTemplate[] = [
     category: "creative",
     icon: "CalendarDays",
     title: "Content Calendar",
-    content: `# Content Calendar — Week of [Date]
+    content: `# Content Calendar — Week of {{date}}
 
 ## Theme
 - This week's overarching topic or campaign…
@@ -0,0 +1,73 @@
+export interface NotebookTreeNode {
+  id: string;
+  parentId?: string | null;
+}
+
+export interface NotebookTreeRow<T extends NotebookTreeNode> {
+  notebook: T;
+  depth: number;
+  hasChildren: boolean;
+}
+
+const groupByParent = <T extends NotebookTreeNode>(notebooks: T[]) => {
+  const ids = new Set(notebooks.map((notebook) => notebook.id));
+  const children = new Map<string | null, T[]>();
+  for (const notebook of notebooks) {
+    // A parent missing from the list (not loaded, or not shared with the
+    // viewer) leaves its child at the top level rather than hiding it.
+    const key =
+      notebook.parentId && ids.has(notebook.parentId) ? notebook.parentId : null;
+    const siblings = children.get(key) ?? [];
+    siblings.push(notebook);
+    children.set(key, siblings);
+  }
+  return children;
+};
+
+/**
+ * Flatten notebooks into display order: each parent followed by its
+ * children, siblings kept in their incoming order. Children of ids in
+ * `collapsed` are left out.
+ */
+export function flattenNotebookTree<T extends NotebookTreeNode>(
+  notebooks: T[],
+  collapsed: ReadonlySet<string> = new Set(),
+): NotebookTreeRow<T>[] {
+  const children = groupByParent(notebooks);
+  const rows: NotebookTreeRow<T>[] = [];
+  const visited = new Set<string>();
+
+  const visit = (parentId: string | null, depth: number) => {
+    for (const notebook of children.get(parentId) ?? []) {
+      if (visited.has(notebook.id)) continue;
+      visited.add(notebook.id);
+      const hasChildren = (children.get(notebook.id)?.length ?? 0) > 0;
+      rows.push({ notebook, depth, hasChildren });
+      if (hasChildren && !collapsed.has(notebook.id)) {
+        visit(notebook.id, depth + 1);
+      }
+    }
+  };
+  visit(null, 0);
+
+  return rows;
+}
+
+/** A notebook's id plus the ids of every notebook below it. */
+export function collectNotebookSubtreeIds<T extends NotebookTreeNode>(
+  notebooks: T[],
+  rootId: string,
+): Set<string> {
+  const children = groupByParent(notebooks);
+  const ids = new Set<string>([rootId]);
+  const queue = [rootId];
+  while (queue.length) {
+    const current = queue.shift()!;
+    for (const child of children.get(current) ?? []) {
+      if (ids.has(child.id)) continue;
+      ids.add(child.id);
+      queue.push(child.id);
+    }
+  }
+  return ids;
+}
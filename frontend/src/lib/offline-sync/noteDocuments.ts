@@ -0,0 +1,217 @@
+import * as Y from "yjs";
+import { HocuspocusProvider } from "@hocuspocus/provider";
+import { TiptapTransformer } from "@hocuspocus/transformer";
+import api from "../axios";
+import { COLLAB_URL } from "../collabUrl";
+import {
+  getNoteDocument,
+  removeNoteDocument,
+  settleNoteDocument,
+  storeNoteDocument,
+  type NoteDocumentRecord,
+} from "../offlineDB";
+
+const MERGE_TIMEOUT_MS = 15_000;
+
+/** Transaction origin for state read back from IndexedDB. */
+export const PERSISTED_STATE_ORIGIN = "offline-note-document";
+
+type MergeResult = "merged" | "failed";
+
+type NoteAccess = "editable" | "lost" | "unknown";
+
+const readAccessToken = (): string => {
+  const header = api.defaults.headers.common.Authorization;
+  return typeof header === "string" ? header.replace(/^Bearer\s+/i, "") : "";
+};
+
+/**
+ * Plain text of the editor fragment, one line per text block — the same
+ * shape as the editor's `getText({ blockSeparator: "\n" })` and the
+ * server's `extractPlainTextFromYDoc`.
+ */
+export const extractDocumentText = (doc: Y.Doc): string => {
+  const lines: string[] = [];
+
+  const collectInline = (element: Y.XmlElement): string =>
+    element
+      .toArray()
+      .map((child) => {
+        if (child instanceof Y.XmlText) return child.toString();
+        if (child instanceof Y.XmlElement) {
+          return child.nodeName === "hardBreak" ? "\n" : collectInline(child);
+        }
+        return "";
+      })
+      .join("");
+
+  const walk = (node: Y.XmlFragment | Y.XmlElement) => {
+    const children = node.toArray();
+    const isTextBlock = children.some((child) => child instanceof Y.XmlText);
+    if (node instanceof Y.XmlElement && (isTextBlock || !children.length)) {
+      lines.push(collectInline(node));
+      return;
+    }
+    children.forEach((child) => {
+      if (child instanceof Y.XmlElement) walk(child);
+      else if (child instanceof Y.XmlText) lines.push(child.toString());
+    });
+  };
+
+  walk(doc.getXmlFragment("default"));
+  return lines.join("\n");
+};
+
+/** Apply the persisted state of a note, if any. Returns whether it had one. */
+export const loadNoteDocument = async (
+  noteId: string,
+  doc: Y.Doc,
+): Promise<boolean> => {
+  const record = await getNoteDocument(noteId);
+  if (!record?.state?.byteLength) {
+    return false;
+  }
+  Y.applyUpdate(doc, record.state, PERSISTED_STATE_ORIGIN);
+  return true;
+};
+
+export const saveNoteDocument = (
+  noteId: string,
+  doc: Y.Doc,
+  options: { pending?: boolean } = {},
+): Promise<NoteDocumentRecord | null> =>
+  storeNoteDocument(noteId, Y.encodeStateAsUpdate(doc), options);
+
+/**
+ * Push a persisted document's offline edits to the collab server. The
+ * provider syncs first, so only the updates the server lacks are sent, as
+ * ordinary Yjs updates the server merges with everyone else's.
+ */
+const mergeWithServer = (
+  record: NoteDocumentRecord,
+  doc: Y.Doc,
+  token: string,
+): Promise<MergeResult> =>
+  new Promise((resolve) => {
+    let applied = false;
+    let settled = false;
+    const provider = new HocuspocusProvider({
+      url: COLLAB_URL,
+      name: `note:${record.noteId}`,
+      document: doc,
+      token,
+      quiet: true,
+      // Usually a token that expired while offline; the next flush retries.
+      onAuthenticationFailed: () => finish("failed"),
+    });
+    const timer = setTimeout(() => finish("failed"), MERGE_TIMEOUT_MS);
+
+    function finish(result: MergeResult) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      provider.off("synced", handleSynced);
+      provider.off("unsyncedChanges", handleUnsyncedChanges);
+      provider.destroy();
+      resolve(result);
+    }
+
+    function handleUnsyncedChanges(count: number) {
+      if (applied && count === 0) finish("merged");
+    }
+
+    function handleSynced({ state }: { state: boolean }) {
+      if (!state || applied) return;
+      // A viewer's updates are never acknowledged; nothing can land. Access
+      // was checked just before, so leave the record for the next flush.
+      if (provider.authorizedScope === "readonly") {
+        finish("failed");
+        return;
+      }
+      applied = true;
+      Y.applyUpdate(doc, record.state, PERSISTED_STATE_ORIGIN);
+      if (!provider.hasUnsyncedChanges) finish("merged");
+    }
+
+    provider.on("synced", handleSynced);
+    provider.on("unsyncedChanges", handleUnsyncedChanges);
+  });
+
+/**
+ * Whether the note can still take the offline edits. Goes through the api
+ * client, so an access token that expired while offline is refreshed by the
+ * auth interceptor before the collab provider needs it. Only a definitive
+ * answer — the note is gone, forbidden or read-only — reports `"lost"`.
+ */
+const checkNoteAccess = async (noteId: string): Promise<NoteAccess> => {
+  try {
+    const response = await api.get<{ canEdit?: boolean }>(`/notes/${noteId}`);
+    return response.data?.canEdit === false ? "lost" : "editable";
+  } catch (error) {
+    const status = (error as { response?: { status?: number } }).response
+      ?.status;
+    return status === 403 || status === 404 ? "lost" : "unknown";
+  }
+};
+
+/**
+ * The REST copy of a note (lists, search, exports) only changes on PUT, so
+ * it is refreshed from the merged document once the merge has landed.
+ */
+const refreshNoteFromDocument = async (noteId: string, doc: Y.Doc) => {
+  const title = doc.getText("title").toString().trim();
+  const content = extractDocumentText(doc);
+  await api.put(`/notes/${noteId}`, {
+    ...(title ? { title } : {}),
+    richContent: TiptapTransformer.fromYdoc(doc, "default"),
+    content,
+    contentText: content,
+  });
+};
+
+/**
+ * Merge every note document edited offline. Returns `false` if any could
+ * not be merged yet; those stay pending for the next flush.
+ */
+export const flushNoteDocuments = async (
+  records: NoteDocumentRecord[],
+): Promise<boolean> => {
+  let ok = true;
+  for (const record of records) {
+    const access = await checkNoteAccess(record.noteId);
+    if (access === "lost") {
+      // Deleted, or edit access was revoked while offline.
+      await removeNoteDocument(record.noteId);
+      continue;
+    }
+    const token = readAccessToken();
+    if (access === "unknown" || !token) {
+      ok = false;
+      continue;
+    }
+
+    const doc = new Y.Doc();
+    try {
+      const result = await mergeWithServer(record, doc, token);
+      if (result === "failed") {
+        ok = false;
+        continue;
+      }
+      try {
+        await refreshNoteFromDocument(record.noteId, doc);
+      } catch (error) {
+        if (import.meta.env.DEV) {
+          console.warn("[offline] note refresh after merge failed", error);
+        }
+      }
+      await settleNoteDocument(
+        record.noteId,
+        record.updatedAt,
+        Y.encodeStateAsUpdate(doc),
+      );
+    } finally {
+      doc.destroy();
+    }
+  }
+  return ok;
+};
@@ -4,8 +4,10 @@ import {
   getNotebookSyncMetadata,
   setNotebookSyncMetadata,
   storeNotes,
+  type CachedNote,
   type NotebookSyncMetadata,
   type NotebookSyncPayload,
+  type SyncNoteBase,
 } from "../offlineDB";
 import { fetchNotebookSyncState } from "../notebookSyncClient";
 import {
@@ -16,6 +18,15 @@ import {
   normalizeUrl,
 } from "./helpers";
 
+// Sent with every edit and delete of an existing note so the server can
+// three-way merge it with changes made elsewhere in the meantime.
+const toSyncBase = (note: CachedNote): SyncNoteBase => ({
+  title: note.title ?? "",
+  content: note.content ?? "",
+  tags: normalizeTagsArray(note.tags),
+  pinned: Boolean(note.pinned),
+});
+
 export const buildNotebookSyncMetadata = async (
   config: InternalAxiosRequestConfig,
 ): Promise<NotebookSyncPayload | null> => {
@@ -96,6 +107,7 @@ export const buildNotebookSyncMetadata = async (
           type: "note.delete",
           noteId,
           opId: generateOpId(),
+          payload: { base: toSyncBase(cachedNote) },
         },
       ],
     };
@@ -146,6 +158,7 @@ export const buildNotebookSyncMetadata = async (
             tags,
             pinned,
             notebookId: cachedNotebookId,
+            base: toSyncBase(cachedNote),
           },
         },
       ],
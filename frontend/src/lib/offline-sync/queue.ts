@@ -2,8 +2,10 @@ import type { AxiosError, InternalAxiosRequestConfig } from "axios";
 import api from "../axios";
 import { extractApiError } from "../extractApiError";
 import {
+  addSyncConflicts,
   cacheMutation,
   listMutations,
+  listPendingNoteDocuments,
   removeMutation,
   setMetadata,
   setNotebookSyncMetadata,
@@ -13,16 +15,19 @@ import {
   type NotebookSyncMetadata,
   type NotebookSyncPayload,
   type OfflineMutation,
+  type SyncConflict,
   type SyncOperation,
 } from "../offlineDB";
 import { pushNotebookSyncState } from "../notebookSyncClient";
-import { normalizeUrl, toSerializable } from "./helpers";
+import { generateOpId, normalizeUrl, toSerializable } from "./helpers";
 import {
   ensureNotebookSyncSession,
   refreshNotebookSnapshot,
 } from "./notebookSync";
+import { flushNoteDocuments } from "./noteDocuments";
 import {
   notifyStatus,
+  setConflictCount,
   setIsSyncing,
   setLastError,
   setLastSyncedAt,
@@ -38,9 +43,12 @@ interface NotebookBucket {
   operations: SyncOperation[];
 }
 
+// Notes edited offline count as queued work until the collab server has
+// merged them.
 export const recordQueueLength = async (): Promise<OfflineMutation[]> => {
   const mutations = await listMutations();
-  setQueueLength(mutations.length);
+  const documents = await listPendingNoteDocuments();
+  setQueueLength(mutations.length + documents.length);
   return mutations;
 };
 
@@ -157,6 +165,27 @@ const recordReplayFailure = async (
   return errorMessage;
 };
 
+const recordSyncConflicts = async (
+  notebookId: string,
+  conflicts: unknown,
+): Promise<void> => {
+  if (!Array.isArray(conflicts) || !conflicts.length) return;
+  const detectedAt = new Date().toISOString();
+  const stored = await addSyncConflicts(
+    conflicts.map((entry: Record<string, unknown>) => ({
+      id: `${notebookId}:${(entry.opId as string) ?? generateOpId()}`,
+      notebookId,
+      noteId: String(entry.noteId ?? ""),
+      copyNoteId: (entry.copyNoteId as string) ?? null,
+      title: (entry.title as string) ?? "Untitled note",
+      reason: (entry.reason as SyncConflict["reason"]) ?? "edited",
+      fields: Array.isArray(entry.fields) ? (entry.fields as string[]) : [],
+      detectedAt,
+    })),
+  );
+  setConflictCount(stored.length);
+};
+
 const flushNotebookBucket = async (
   notebookId: string,
   bucket: NotebookBucket,
@@ -201,6 +230,7 @@ const flushNotebookBucket = async (
         (response?.serverTime as string) ?? new Date().toISOString(),
     };
     await setNotebookSyncMetadata(notebookId, nextMetadata);
+    await recordSyncConflicts(notebookId, response?.conflicts);
 
     await refreshNotebookSnapshot(notebookId, session.clientId);
 
@@ -238,7 +268,8 @@ const flushNotebookBucket = async (
 
 export const flushQueue = async (): Promise<void> => {
   const mutations = await recordQueueLength();
-  if (!mutations.length) {
+  const pendingDocuments = await listPendingNoteDocuments();
+  if (!mutations.length && !pendingDocuments.length) {
     setIsSyncing(false);
     setLastError(null);
     const timestamp = new Date().toISOString();
@@ -303,6 +334,12 @@ export const flushQueue = async (): Promise<void> => {
     }
   }
 
+  // Title / tag changes queued above land first; the merged document then
+  // refreshes the note's REST copy.
+  if (!failure && pendingDocuments.length) {
+    failure = !(await flushNoteDocuments(pendingDocuments));
+  }
+
   await recordQueueLength();
   setIsSyncing(false);
   if (!failure) {
@@ -4,6 +4,7 @@ export interface OfflineStatusSnapshot {
   isSyncing: boolean;
   lastSyncedAt: string | null;
   lastError: string | null;
+  conflictCount: number;
 }
 
 export type OfflineStatusListener = (snapshot: OfflineStatusSnapshot) => void;
@@ -16,6 +17,7 @@ interface OfflineState {
   queueLength: number;
   lastSyncedAt: string | null;
   lastError: string | null;
+  conflictCount: number;
 }
 
 const state: OfflineState = {
@@ -24,6 +26,7 @@ const state: OfflineState = {
   queueLength: 0,
   lastSyncedAt: null,
   lastError: null,
+  conflictCount: 0,
 };
 
 export const getOfflineState = (): OfflineState => state;
@@ -48,12 +51,17 @@ export const setLastError = (value: string | null): void => {
   state.lastError = value;
 };
 
+export const setConflictCount = (value: number): void => {
+  state.conflictCount = value;
+};
+
 const buildSnapshot = (): OfflineStatusSnapshot => ({
   isOnline: typeof navigator !== "undefined" ? navigator.onLine : true,
   queueLength: state.queueLength,
   isSyncing: state.isSyncing,
   lastSyncedAt: state.lastSyncedAt,
   lastError: state.lastError,
+  conflictCount: state.conflictCount,
 });
 
 export const notifyStatus = (): void => {
@@ -26,6 +26,10 @@ interface NotesboardDB extends DBSchema {
     key: string;
     value: unknown;
   };
+  noteDocuments: {
+    key: string;
+    value: NoteDocumentRecord;
+  };
 }
 
 export interface CachedNotebook {
@@ -47,6 +51,16 @@ export interface CachedNote {
   [key: string]: unknown;
 }
 
+/** A note's Yjs document, kept so the note can be edited offline. */
+export interface NoteDocumentRecord {
+  noteId: string;
+  /** Full document state (`Y.encodeStateAsUpdate`). */
+  state: Uint8Array;
+  /** Holds edits the collab server has not merged yet. */
+  pending: boolean;
+  updatedAt: string;
+}
+
 export interface OfflineMutation {
   id?: number;
   method: string;
@@ -67,31 +81,57 @@ export interface NotebookSyncPayload {
   operations: SyncOperation[];
 }
 
+/** The cached server version an offline edit was made on top of. */
+export interface SyncNoteBase {
+  title: string;
+  content: string;
+  tags: string[];
+  pinned: boolean;
+}
+
 export interface SyncOperation {
   type: "note.upsert" | "note.delete";
   opId: string;
   noteId?: string;
-  payload?: {
-    id?: string;
-    title: string;
-    content: string;
-    contentText: string;
-    tags: string[];
-    pinned: boolean;
-    notebookId: string;
-  };
+  payload?:
+    | {
+        id?: string;
+        title: string;
+        content: string;
+        contentText: string;
+        tags: string[];
+        pinned: boolean;
+        notebookId: string;
+        base?: SyncNoteBase;
+      }
+    | { base: SyncNoteBase };
+}
+
+/** An offline change the server could not merge, kept until dismissed. */
+export interface SyncConflict {
+  id: string;
+  notebookId: string;
+  noteId: string;
+  copyNoteId: string | null;
+  title: string;
+  reason: "edited" | "deleted" | "modified";
+  fields: string[];
+  detectedAt: string;
 }
 
 // ── Database access ──────────────────────────────────────────
 
 const DB_NAME = "notesboard-offline";
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
 const STORE_RESPONSES = "responses" as const;
 const STORE_NOTEBOOKS = "notebooks" as const;
 const STORE_NOTES = "notes" as const;
 const STORE_MUTATIONS = "mutations" as const;
 const STORE_METADATA = "metadata" as const;
+const STORE_NOTE_DOCUMENTS = "noteDocuments" as const;
+
+const SYNC_CONFLICTS_KEY = "sync-conflicts";
 
 const notebookSyncKey = (notebookId: string): string =>
   `notebook-sync:${notebookId}`;
@@ -130,6 +170,9 @@ const getDb = (): Promise<IDBPDatabase<NotesboardDB>> => {
         if (!db.objectStoreNames.contains(STORE_METADATA)) {
           db.createObjectStore(STORE_METADATA);
         }
+        if (!db.objectStoreNames.contains(STORE_NOTE_DOCUMENTS)) {
+          db.createObjectStore(STORE_NOTE_DOCUMENTS, { keyPath: "noteId" });
+        }
       },
     });
   }
@@ -247,6 +290,114 @@ export const getNotesByNotebook = async (
   }
 };
 
+// ── Note documents ───────────────────────────────────────────
+
+export const getNoteDocument = async (
+  noteId: string,
+): Promise<NoteDocumentRecord | undefined> => {
+  if (!noteId) return undefined;
+  try {
+    const db = await getDb();
+    return await db.get(STORE_NOTE_DOCUMENTS, noteId);
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn("[offlineDB] getNoteDocument failed", noteId, error);
+    }
+    return undefined;
+  }
+};
+
+/**
+ * Save a note's document state. `pending` is sticky: once a record holds
+ * unmerged offline edits, only `settleNoteDocument` clears it.
+ */
+export const storeNoteDocument = async (
+  noteId: string,
+  state: Uint8Array,
+  { pending = false }: { pending?: boolean } = {},
+): Promise<NoteDocumentRecord | null> => {
+  if (!noteId) return null;
+  try {
+    const db = await getDb();
+    const tx = db.transaction(STORE_NOTE_DOCUMENTS, "readwrite");
+    const existing = await tx.store.get(noteId);
+    const record: NoteDocumentRecord = {
+      noteId,
+      state,
+      pending: pending || Boolean(existing?.pending),
+      updatedAt: new Date().toISOString(),
+    };
+    await tx.store.put(record);
+    await tx.done;
+    return record;
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn("[offlineDB] storeNoteDocument failed", noteId, error);
+    }
+    return null;
+  }
+};
+
+export const listPendingNoteDocuments = async (): Promise<
+  NoteDocumentRecord[]
+> => {
+  try {
+    const db = await getDb();
+    const records = await db.getAll(STORE_NOTE_DOCUMENTS);
+    return records.filter((record) => record.pending);
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn("[offlineDB] listPendingNoteDocuments failed", error);
+    }
+    return [];
+  }
+};
+
+/**
+ * Mark a record's offline edits as merged and store the merged state,
+ * unless it was written again since `seenUpdatedAt` (an open editor kept
+ * going), in which case it stays pending for the next flush.
+ */
+export const settleNoteDocument = async (
+  noteId: string,
+  seenUpdatedAt: string,
+  state: Uint8Array,
+): Promise<boolean> => {
+  try {
+    const db = await getDb();
+    const tx = db.transaction(STORE_NOTE_DOCUMENTS, "readwrite");
+    const existing = await tx.store.get(noteId);
+    if (existing && existing.updatedAt !== seenUpdatedAt) {
+      await tx.done;
+      return false;
+    }
+    await tx.store.put({
+      noteId,
+      state,
+      pending: false,
+      updatedAt: new Date().toISOString(),
+    });
+    await tx.done;
+    return true;
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn("[offlineDB] settleNoteDocument failed", noteId, error);
+    }
+    return false;
+  }
+};
+
+export const removeNoteDocument = async (noteId: string): Promise<void> => {
+  try {
+    const db = await getDb();
+    await db.delete(STORE_NOTE_DOCUMENTS, noteId);
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn("[offlineDB] removeNoteDocument failed", noteId, error);
+    }
+  }
+};
+
 // ── Mutation queue ───────────────────────────────────────────
 
 export const cacheMutation = async (
@@ -356,6 +507,7 @@ export const clearDatabase = async (): Promise<void> => {
           STORE_NOTES,
           STORE_MUTATIONS,
           STORE_METADATA,
+          STORE_NOTE_DOCUMENTS,
         ] as const
       ).map((store) => db.clear(store)),
     );
@@ -389,3 +541,33 @@ export const setNotebookSyncMetadata = async (
   if (!notebookId) return;
   await setMetadata(notebookSyncKey(notebookId), value);
 };
+
+// ── Sync conflicts ───────────────────────────────────────────
+
+export const listSyncConflicts = async (): Promise<SyncConflict[]> => {
+  const stored = await getMetadata<SyncConflict[]>(SYNC_CONFLICTS_KEY);
+  return Array.isArray(stored) ? stored : [];
+};
+
+export const addSyncConflicts = async (
+  conflicts: SyncConflict[],
+): Promise<SyncConflict[]> => {
+  const existing = await listSyncConflicts();
+  const known = new Set(existing.map((conflict) => conflict.id));
+  const next = [
+    ...existing,
+    ...conflicts.filter((conflict) => !known.has(conflict.id)),
+  ];
+  await setMetadata(SYNC_CONFLICTS_KEY, next);
+  return next;
+};
+
+export const removeSyncConflict = async (
+  id: string,
+): Promise<SyncConflict[]> => {
+  const next = (await listSyncConflicts()).filter(
+    (conflict) => conflict.id !== id,
+  );
+  await setMetadata(SYNC_CONFLICTS_KEY, next);
+  return next;
+};
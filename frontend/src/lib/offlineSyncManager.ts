@@ -9,8 +9,10 @@ import {
   clearDatabase,
   getCachedResponse,
   getMetadata,
-  listMutations,
+  listSyncConflicts,
+  removeSyncConflict,
   setMetadata,
+  type SyncConflict,
 } from "./offlineDB";
 import { normalizeUrl, precacheShells } from "./offline-sync/helpers";
 import { buildNotebookSyncMetadata } from "./offline-sync/notebookSync";
@@ -24,6 +26,7 @@ import {
 import {
   getOfflineState,
   notifyStatus,
+  setConflictCount,
   setIsInitialized,
   setLastError,
   setLastSyncedAt,
@@ -36,8 +39,19 @@ export type {
   OfflineStatusSnapshot,
 } from "./offline-sync/state";
 
+export type { SyncConflict } from "./offlineDB";
+
 export { subscribeOfflineStatus };
 
+export const getSyncConflicts = (): Promise<SyncConflict[]> =>
+  listSyncConflicts();
+
+export const dismissSyncConflict = async (id: string): Promise<void> => {
+  const remaining = await removeSyncConflict(id);
+  setConflictCount(remaining.length);
+  notifyStatus();
+};
+
 export const triggerManualSync = async (): Promise<void> => {
   if (!navigator.onLine) return;
   await flushQueue();
@@ -47,6 +61,7 @@ export const resetOfflineCache = async (): Promise<void> => {
   await clearDatabase();
   const mutations = await recordQueueLength();
   setQueueLength(mutations.length);
+  setConflictCount(0);
   setLastError(null);
   notifyStatus();
 };
@@ -145,7 +160,7 @@ export const initializeOfflineSync = (): void => {
           await cacheDomainData(config, data as Record<string, unknown>);
         }
         if (navigator.onLine) {
-          setQueueLength((await listMutations()).length);
+          await recordQueueLength();
           notifyStatus();
         }
       } catch (error) {
@@ -165,6 +180,13 @@ export const initializeOfflineSync = (): void => {
 
   recordQueueLength().then(() => notifyStatus());
 
+  listSyncConflicts().then((conflicts) => {
+    if (conflicts.length) {
+      setConflictCount(conflicts.length);
+      notifyStatus();
+    }
+  });
+
   getMetadata<string>("lastSyncedAt").then((value) => {
     if (value) {
       setLastSyncedAt(value);
@@ -0,0 +1,19 @@
+import axios from "axios";
+
+/** Whether a published-content request failed because it needs a password. */
+export const isPasswordRequiredError = (error: unknown): boolean =>
+  axios.isAxiosError(error) &&
+  error.response?.status === 403 &&
+  Boolean(
+    (error.response.data as { passwordRequired?: boolean } | undefined)
+      ?.passwordRequired,
+  );
+
+/**
+ * Query params for loading a published page: the page's own referrer, so view
+ * analytics can credit the site that linked to it.
+ */
+export const publicationViewParams = (): { referrer?: string } | undefined =>
+  typeof document !== "undefined" && document.referrer
+    ? { referrer: document.referrer }
+    : undefined;
@@ -7,6 +7,7 @@ import { BrowserRouter } from "react-router-dom";
 import { AuthProvider } from "./contexts/AuthContext";
 import { CommandPaletteProvider } from "./contexts/CommandPaletteContext";
 import { OfflineSyncProvider } from "./contexts/OfflineSyncContext";
+import { WorkspaceProvider } from "./contexts/WorkspaceContext";
 import { syncServiceWorkerRegistration } from "./lib/serviceWorkerLifecycle";
 
 const ToasterProvider = lazy(() => import("./Components/ToasterProvider"));
@@ -33,12 +34,14 @@ createRoot(document.getElementById("root")!).render(
       <QueryClientProvider client={queryClient}>
         <OfflineSyncProvider>
           <AuthProvider>
-            <CommandPaletteProvider>
-              <App />
-              <Suspense fallback={null}>
-                <PwaInstallPrompt />
-              </Suspense>
-            </CommandPaletteProvider>
+            <WorkspaceProvider>
+              <CommandPaletteProvider>
+                <App />
+                <Suspense fallback={null}>
+                  <PwaInstallPrompt />
+                </Suspense>
+              </CommandPaletteProvider>
+            </WorkspaceProvider>
             <Suspense fallback={null}>
               <ToasterProvider />
             </Suspense>
@@ -0,0 +1,201 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import {
+  ArchiveIcon,
+  ArchiveRestoreIcon,
+  ArrowLeftIcon,
+  ExternalLinkIcon,
+} from "lucide-react";
+
+import Navbar from "../Components/Navbar";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import useWorkspace from "../hooks/useWorkspace";
+import type { Note } from "../types/api";
+
+const ARCHIVE_PAGE_LIMIT = 200;
+
+interface ArchiveResponse {
+  data: Note[];
+  total: number;
+}
+
+const formatArchivedAt = (iso: string | null | undefined): string => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString();
+};
+
+const ArchivePage = () => {
+  const queryClient = useQueryClient();
+  const [pendingId, setPendingId] = useState<string | null>(null);
+  const { activeWorkspaceId, activeWorkspace } = useWorkspace();
+
+  const archiveQuery = useQuery({
+    queryKey: ["notes", "archive", activeWorkspaceId],
+    queryFn: async () => {
+      const { data } = await api.get<ArchiveResponse>("/notes", {
+        params: {
+          onlyArchived: true,
+          limit: ARCHIVE_PAGE_LIMIT,
+          ...(activeWorkspaceId ? { workspaceId: activeWorkspaceId } : {}),
+        },
+      });
+      return data;
+    },
+    staleTime: 30_000,
+  });
+
+  const unarchiveMutation = useMutation({
+    mutationFn: async (id: string) => {
+      setPendingId(id);
+      await api.put(`/notes/${id}`, { archived: false });
+      return id;
+    },
+    onSuccess: () => {
+      toast.success("Note moved back to your notes");
+      queryClient.invalidateQueries({ queryKey: ["notes"] });
+      queryClient.invalidateQueries({ queryKey: ["notebooks"] });
+    },
+    onError: (error) =>
+      toast.error(extractApiError(error, "Failed to unarchive")),
+    onSettled: () => setPendingId(null),
+  });
+
+  const notes = useMemo(
+    () => archiveQuery.data?.data ?? [],
+    [archiveQuery.data],
+  );
+  const total = archiveQuery.data?.total ?? notes.length;
+
+  return (
+    <div className="min-h-screen">
+      <Navbar />
+      <main className="mx-auto w-full max-w-5xl px-4 py-8">
+        <div className="mb-6">
+          <Link
+            to="/app"
+            className="inline-flex items-center gap-1 text-sm text-base-content/60 hover:text-base-content"
+          >
+            <ArrowLeftIcon className="size-4" /> Back to notes
+          </Link>
+          <h1 className="mt-2 text-2xl font-semibold">Archive</h1>
+          <p className="text-sm text-base-content/60">
+            {activeWorkspace ? `${activeWorkspace.name} · ` : ""}
+            Archived notes are kept out of lists, search and smart notebooks
+            until you unarchive them.
+          </p>
+        </div>
+
+        {archiveQuery.isLoading ? (
+          <div className="space-y-3">
+            {[1, 2, 3].map((n) => (
+              <div
+                key={n}
+                className="h-20 animate-pulse rounded-2xl bg-base-200/80"
+              />
+            ))}
+          </div>
+        ) : archiveQuery.isError ? (
+          <div className="rounded-2xl border border-error/30 bg-error/10 p-6 text-sm text-error">
+            Failed to load archive.{" "}
+            <button
+              className="link"
+              type="button"
+              onClick={() => archiveQuery.refetch()}
+            >
+              Retry
+            </button>
+          </div>
+        ) : notes.length === 0 ? (
+          <div className="rounded-2xl border border-base-content/10 bg-base-100/60 p-10 text-center">
+            <ArchiveIcon className="mx-auto size-10 text-base-content/30" />
+            <p className="mt-3 text-sm text-base-content/60">
+              Nothing archived yet. Archive notes from the selection toolbar.
+            </p>
+          </div>
+        ) : (
+          <>
+            {total > notes.length && (
+              <p className="mb-3 text-xs text-base-content/50">
+                Showing the {notes.length} most recently updated of {total}{" "}
+                archived notes.
+              </p>
+            )}
+            <ul className="space-y-3">
+              {notes.map((note) => {
+                const busy = pendingId === note._id;
+                const tags = note.tags ?? [];
+                return (
+                  <li
+                    key={note._id}
+                    className="rounded-2xl border border-base-content/10 bg-base-100/80 p-4 shadow-sm"
+                  >
+                    <div className="flex flex-wrap items-start justify-between gap-3">
+                      <div className="min-w-0 flex-1">
+                        <h2 className="truncate text-base font-semibold text-base-content">
+                          {note.title || "Untitled"}
+                        </h2>
+                        {note.content && (
+                          <p className="mt-1 line-clamp-2 text-sm text-base-content/60">
+                            {note.content}
+                          </p>
+                        )}
+                        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-base-content/50">
+                          {note.archivedAt && (
+                            <span>
+                              Archived {formatArchivedAt(note.archivedAt)}
+                            </span>
+                          )}
+                          {tags.length > 0 && (
+                            <span className="flex gap-1">
+                              {tags.slice(0, 3).map((tag) => (
+                                <span
+                                  key={tag}
+                                  className="rounded-full bg-base-200 px-2 py-0.5"
+                                >
+                                  #{tag}
+                                </span>
+                              ))}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex shrink-0 gap-2">
+                        <Link
+                          to={`/note/${note._id}`}
+                          className="btn btn-sm btn-ghost"
+                        >
+                          <ExternalLinkIcon className="size-4" />
+                          Open
+                        </Link>
+                        <button
+                          type="button"
+                          className="btn btn-sm btn-ghost"
+                          onClick={() => unarchiveMutation.mutate(note._id)}
+                          disabled={busy}
+                        >
+                          {busy && unarchiveMutation.isPending ? (
+                            <span className="loading loading-spinner loading-xs" />
+                          ) : (
+                            <ArchiveRestoreIcon className="size-4" />
+                          )}
+                          Unarchive
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ArchivePage;
@@ -15,12 +15,19 @@ import TagInput from "../Components/TagInput";
 import SimpleEditor from "../Components/SimpleEditor";
 
 const TemplateGalleryModal = lazy(() => import("../Components/TemplateGalleryModal"));
+const TemplatePromptDialog = lazy(() => import("../Components/TemplatePromptDialog"));
 import { useCommandPalette } from "../contexts/CommandPaletteContext";
 import { normalizeTag } from "../lib/Utils";
-import type { NoteTemplate } from "../lib/noteTemplates";
+import {
+  listNoteTemplatePrompts,
+  resolveNoteTemplate,
+  type NoteTemplate,
+} from "../lib/noteTemplates";
 import markdownToHtml from "../lib/markdownToHtml";
 import { sanitizeHtml } from "../lib/sanitize";
 import { extractApiError } from "../lib/extractApiError";
+import useWorkspace from "../hooks/useWorkspace";
+import useAuth from "../hooks/useAuth";
 
 const CreatePage = () => {
   const location = useLocation();
@@ -32,6 +39,9 @@ const CreatePage = () => {
   const [loading, setLoading] = useState(false);
   const [templateModalOpen, setTemplateModalOpen] = useState(false);
   const [activeTemplate, setActiveTemplate] = useState<NoteTemplate | null>(null);
+  const [promptTemplate, setPromptTemplate] = useState<NoteTemplate | null>(
+    null,
+  );
   const [selectedNotebookId, setSelectedNotebookId] = useState(() => {
     const candidate = location.state?.notebookId;
     if (
@@ -46,6 +56,8 @@ const CreatePage = () => {
 
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { activeWorkspaceId } = useWorkspace();
+  const { user } = useAuth();
   const { registerCommands } = useCommandPalette();
   const editorRef = useRef<{
     commands: { setContent: (html: string) => void };
@@ -53,26 +65,70 @@ const CreatePage = () => {
   const [menuOpen, setMenuOpen] = useState(false);
   const menuRef = useRef<HTMLDivElement>(null);
 
-  const applyTemplate = useCallback((template: NoteTemplate) => {
-    if (!template) return;
+  const notebooksQuery = useQuery({
+    queryKey: ["notebooks", activeWorkspaceId],
+    queryFn: async () => {
+      const response = await api.get("/notebooks", {
+        params: activeWorkspaceId
+          ? { workspaceId: activeWorkspaceId }
+          : undefined,
+      });
+      const payload = response.data ?? {};
+      return {
+        notebooks: Array.isArray(payload.notebooks) ? payload.notebooks : [],
+      };
+    },
+    staleTime: 180_000,
+  });
 
-    setTitle(template.title ?? "");
-    const templateContent = template.content ?? "";
-    const htmlContent = sanitizeHtml(markdownToHtml(templateContent));
-    setContent(templateContent);
-    setRichContent(htmlContent);
-    // If the editor is already mounted, set its content directly
-    if (editorRef.current) {
-      editorRef.current.commands.setContent(htmlContent);
-    }
-    setTags(
-      Array.isArray(template.tags)
-        ? template.tags.map((tag: string) => normalizeTag(tag)).filter(Boolean)
-        : [],
-    );
-    setActiveTemplate(template);
-    toast.success(`Loaded the ${template.name} template`);
-  }, []);
+  const notebooks = useMemo(() => {
+    return Array.isArray(notebooksQuery.data?.notebooks)
+      ? notebooksQuery.data.notebooks
+      : [];
+  }, [notebooksQuery.data]);
+
+  const fillTemplate = useCallback(
+    (sourceTemplate: NoteTemplate, prompts: Record<string, string> = {}) => {
+      const notebookName = notebooks.find(
+        (notebook: { id?: string }) => notebook.id === selectedNotebookId,
+      )?.name;
+      const template = resolveNoteTemplate(sourceTemplate, {
+        user,
+        notebook: notebookName ? { name: notebookName } : null,
+        prompts,
+      });
+      setTitle(template.title ?? "");
+      const templateContent = template.content ?? "";
+      const htmlContent = sanitizeHtml(markdownToHtml(templateContent));
+      setContent(templateContent);
+      setRichContent(htmlContent);
+      // If the editor is already mounted, set its content directly
+      if (editorRef.current) {
+        editorRef.current.commands.setContent(htmlContent);
+      }
+      setTags(
+        Array.isArray(template.tags)
+          ? template.tags.map((tag: string) => normalizeTag(tag)).filter(Boolean)
+          : [],
+      );
+      setActiveTemplate(template);
+      toast.success(`Loaded the ${template.name} template`);
+    },
+    [notebooks, selectedNotebookId, user],
+  );
+
+  // Templates with {{prompt:…}} placeholders ask for their values first.
+  const applyTemplate = useCallback(
+    (template: NoteTemplate) => {
+      if (!template) return;
+      if (listNoteTemplatePrompts(template).length) {
+        setPromptTemplate(template);
+        return;
+      }
+      fillTemplate(template);
+    },
+    [fillTemplate],
+  );
 
   useEffect(() => {
     const incomingTemplate = location.state?.template as NoteTemplate | undefined;
@@ -98,23 +154,6 @@ const CreatePage = () => {
     navigate,
     selectedNotebookId,
   ]);
-  const notebooksQuery = useQuery({
-    queryKey: ["notebooks"],
-    queryFn: async () => {
-      const response = await api.get("/notebooks");
-      const payload = response.data ?? {};
-      return {
-        notebooks: Array.isArray(payload.notebooks) ? payload.notebooks : [],
-      };
-    },
-    staleTime: 180_000,
-  });
-
-  const notebooks = useMemo(() => {
-    return Array.isArray(notebooksQuery.data?.notebooks)
-      ? notebooksQuery.data.notebooks
-      : [];
-  }, [notebooksQuery.data]);
 
   useEffect(() => {
     const cleanup = registerCommands([
@@ -153,6 +192,7 @@ const CreatePage = () => {
           tags,
           pinned,
           notebookId: selectedNotebookId || null,
+          ...(activeWorkspaceId ? { workspaceId: activeWorkspaceId } : {}),
         });
 
         toast.success("Note created successfully!");
@@ -374,6 +414,19 @@ const CreatePage = () => {
           onSelect={handleTemplateSelect}
         />
       </Suspense>
+
+      <Suspense fallback={null}>
+        <TemplatePromptDialog
+          open={Boolean(promptTemplate)}
+          templateName={promptTemplate?.name ?? "template"}
+          prompts={promptTemplate ? listNoteTemplatePrompts(promptTemplate) : []}
+          onSubmit={(values) => {
+            if (promptTemplate) fillTemplate(promptTemplate, values);
+            setPromptTemplate(null);
+          }}
+          onClose={() => setPromptTemplate(null)}
+        />
+      </Suspense>
     </div>
   );
 };
@@ -1,10 +1,18 @@
 import { useEffect, useMemo } from "react";
 import { useQuery } from "@tanstack/react-query";
 import { Link, useNavigate } from "react-router-dom";
-import { PinIcon, ArrowUpRightIcon, LayoutPanelTopIcon } from "lucide-react";
+import {
+  PinIcon,
+  ArrowUpRightIcon,
+  CalendarClockIcon,
+  LayoutPanelTopIcon,
+} from "lucide-react";
 import useAuth from "../hooks/useAuth";
+import useWorkspace from "../hooks/useWorkspace";
 import api from "../lib/axios";
 import { countWords } from "../lib/Utils";
+import { DUE_SOON_DAYS, formatDueLabel } from "../lib/dueDates";
+import type { DueSoonResponse } from "../types/api";
 import { noteTemplates } from "../lib/noteTemplates";
 import { useCommandPalette } from "../contexts/CommandPaletteContext";
 import DashboardShell, {
@@ -93,21 +101,41 @@ function DashboardInner() {
   const navigate = useNavigate();
   const { registerCommands } = useCommandPalette();
   const { tweaks, toggleTweaks, toggleSidebar } = useDashboardShell();
+  const { activeWorkspaceId } = useWorkspace();
+  const workspaceParams = activeWorkspaceId
+    ? { workspaceId: activeWorkspaceId }
+    : undefined;
 
   // ── Data queries ─────────────────────────────────────────────────────
   const notesQuery = useQuery({
-    queryKey: ["notes", "all"],
+    queryKey: ["notes", "all", activeWorkspaceId],
     queryFn: async () => {
-      const res = await api.get("/notes", { params: { limit: "200" } });
+      const res = await api.get("/notes", {
+        params: { limit: "200", ...workspaceParams },
+      });
       return Array.isArray(res.data?.data) ? (res.data.data as Note[]) : [];
     },
     staleTime: 30_000,
   });
 
+  // Notes and AI action items due this week, overdue ones first.
+  const dueSoonQuery = useQuery({
+    queryKey: ["notes", "due-soon", activeWorkspaceId],
+    queryFn: async () => {
+      const res = await api.get<DueSoonResponse>("/notes/due-soon", {
+        params: { days: DUE_SOON_DAYS, ...workspaceParams },
+      });
+      return res.data?.items ?? [];
+    },
+    staleTime: 60_000,
+  });
+
   const tagStatsQuery = useQuery({
-    queryKey: ["tag-stats"],
+    queryKey: ["tag-stats", activeWorkspaceId],
     queryFn: async () => {
-      const res = await api.get("/notes/tags/stats");
+      const res = await api.get("/notes/tags/stats", {
+        params: workspaceParams,
+      });
       return res.data ?? {};
     },
     staleTime: 300_000,
@@ -115,15 +143,18 @@ function DashboardInner() {
   });
 
   const notebooksQuery = useQuery({
-    queryKey: ["notebooks"],
+    queryKey: ["notebooks", activeWorkspaceId],
     queryFn: async () => {
-      const response = await api.get("/notebooks");
+      const response = await api.get("/notebooks", {
+        params: { limit: 100, ...workspaceParams },
+      });
       const payload = response.data ?? {};
       return {
         notebooks: Array.isArray(payload.notebooks)
           ? (payload.notebooks as Array<{
               id?: string;
               _id?: string;
+              parentId?: string | null;
               name: string;
               color?: string;
               noteCount?: number;
@@ -155,6 +186,7 @@ function DashboardInner() {
       (notebooksQuery.data?.notebooks ?? [])
         .map((nb) => ({
           id: (nb.id ?? nb._id) as string,
+          parentId: nb.parentId ?? null,
           name: nb.name,
           color: nb.color,
           noteCount: nb.noteCount,
@@ -191,6 +223,8 @@ function DashboardInner() {
     [notes],
   );
 
+  const dueSoonItems = dueSoonQuery.data ?? [];
+
   const focusHero = pinnedNotes[0];
   const focusStack = pinnedNotes.slice(1, 3);
 
@@ -442,6 +476,82 @@ function DashboardInner() {
             )}
           </section>
 
+          {/* ── Due soon ──────────────────────────────────────────────── */}
+          <section className="ds-sec">
+            <div className="ds-sec-head">
+              <h2>
+                <CalendarClockIcon size={11} /> Due soon
+                {dueSoonItems.length > 0 && (
+                  <span className="ds-count">
+                    {dueSoonItems.length} in {DUE_SOON_DAYS} days
+                  </span>
+                )}
+              </h2>
+            </div>
+
+            <div className="ds-log">
+              <div className="ds-row head">
+                <span>due</span>
+                <span>type</span>
+                <span>item</span>
+                <span className="ds-nb-col">notebook</span>
+                <span className="ds-words">reminder</span>
+              </div>
+              {dueSoonItems.map((item) => {
+                const nb = item.notebookId
+                  ? notebookById.get(item.notebookId)
+                  : null;
+                const title = item.title || "Untitled";
+                return (
+                  <Link
+                    key={`${item.noteId}:${item.itemId ?? "note"}`}
+                    to={`/note/${item.noteId}`}
+                    className="ds-row"
+                  >
+                    <span className={`ds-ts${item.overdue ? " overdue" : ""}`}>
+                      {formatDueLabel(item.dueAt).replace(/^Due /, "")}
+                    </span>
+                    <span className="ds-op">
+                      <span
+                        className={`ds-op-pill ${item.kind === "note" ? "note" : "task"}`}
+                      >
+                        {item.kind === "note" ? "note" : "task"}
+                      </span>
+                    </span>
+                    <span className="ds-name">
+                      {item.kind === "note" ? title : `${item.text} · ${title}`}
+                    </span>
+                    <span className="ds-nb-col">{nb?.name ?? "—"}</span>
+                    <span className="ds-words">
+                      {item.remindAt
+                        ? new Date(item.remindAt).toLocaleDateString("en-US", {
+                            month: "short",
+                            day: "numeric",
+                          })
+                        : "—"}
+                    </span>
+                  </Link>
+                );
+              })}
+              {dueSoonItems.length === 0 && (
+                <div
+                  className="ds-row"
+                  style={{ color: "var(--ds-ink-4)", cursor: "default" }}
+                >
+                  <span>—</span>
+                  <span>—</span>
+                  <span>
+                    {dueSoonQuery.isLoading
+                      ? "Loading…"
+                      : "Nothing due this week. Set a due date from a note's tag row."}
+                  </span>
+                  <span className="ds-nb-col">—</span>
+                  <span className="ds-words">—</span>
+                </div>
+              )}
+            </div>
+          </section>
+
           {/* ── Continue writing ──────────────────────────────────────── */}
           <section className="ds-sec">
             <div className="ds-sec-head">
@@ -58,14 +58,18 @@ import type {
   SmartViewParams,
   SelectionMeta,
   NotebookRef,
+  NotebookTemplateScope,
+  NotebookTemplateSharing,
 } from "../types/api";
 import type {
   NoteForInsights,
   SavedQuery,
 } from "../Components/NotebookInsightsDrawer";
+import type { BulkCopyTarget } from "./home/BulkCopyNotesDialog";
 import { countWords, normalizeTag } from "../lib/Utils";
 import useSemanticSearch from "../hooks/useSemanticSearch";
 import useNotebookDialogs from "../hooks/useNotebookDialogs";
+import useWorkspace from "../hooks/useWorkspace";
 import { useHomeCommandPalette } from "./home/useHomeCommandPalette";
 import {
   NOTES_PER_PAGE,
@@ -93,9 +97,14 @@ const TemplateGalleryModal = lazy(
 );
 const NotebookFormDialog = lazy(() => import("./home/NotebookFormDialog"));
 const NotebookDeleteDialog = lazy(() => import("./home/NotebookDeleteDialog"));
+const NotebookMoveDialog = lazy(() => import("./home/NotebookMoveDialog"));
+const NotebookDuplicateDialog = lazy(
+  () => import("./home/NotebookDuplicateDialog"),
+);
 const BulkMoveNotebookDialog = lazy(
   () => import("./home/BulkMoveNotebookDialog"),
 );
+const BulkCopyNotesDialog = lazy(() => import("./home/BulkCopyNotesDialog"));
 const BulkTagDialog = lazy(() => import("./home/BulkTagDialog"));
 const NotebookTemplateGalleryModal = lazy(
   () => import("../Components/NotebookTemplateGalleryModal"),
@@ -116,6 +125,9 @@ const SavedNotebookQueryDialog = lazy(
 const NotebookPublishDialog = lazy(
   () => import("../Components/NotebookPublishDialog"),
 );
+const NotebookWebhooksDialog = lazy(
+  () => import("../Components/NotebookWebhooksDialog"),
+);
 const NotebookHistoryDialog = lazy(
   () => import("../Components/NotebookHistoryDialog"),
 );
@@ -144,6 +156,7 @@ function HomePage() {
   const [activeDragId, setActiveDragId] = useState<string | null>(null);
   const [activeNotebookId, setActiveNotebookId] = useState("all");
   const [moveNotebookModalOpen, setMoveNotebookModalOpen] = useState(false);
+  const [copyNotesModalOpen, setCopyNotesModalOpen] = useState(false);
   const [selectedNotebookTargetId, setSelectedNotebookTargetId] =
     useState("uncategorized");
   const [lastSelectedIndex, setLastSelectedIndex] = useState<number | null>(
@@ -170,6 +183,10 @@ function HomePage() {
     null,
   );
   const [saveTemplateSubmitting, setSaveTemplateSubmitting] = useState(false);
+  const [notebookTemplateScope, setNotebookTemplateScope] =
+    useState<NotebookTemplateScope>("mine");
+  const [templateSharingUpdating, setTemplateSharingUpdating] = useState(false);
+  const [templateSyncing, setTemplateSyncing] = useState(false);
   const [savedQueryDialogOpen, setSavedQueryDialogOpen] = useState(false);
   const [appliedSavedQuery, setAppliedSavedQuery] = useState<SavedQuery | null>(
     null,
@@ -190,6 +207,7 @@ function HomePage() {
   const lastLayoutMutationRef = useRef(0);
   const applyingSavedQueryRef = useRef(false);
   const queryClient = useQueryClient();
+  const { activeWorkspaceId, workspaces } = useWorkspace();
   const invalidateNotesCaches = useCallback(
     () =>
       Promise.all([
@@ -305,12 +323,15 @@ function HomePage() {
   } = useSemanticSearch(searchQuery);
 
   const notesQuery = useQuery({
-    queryKey: ["notes", activeNotebookId],
+    queryKey: ["notes", activeNotebookId, activeWorkspaceId],
     queryFn: async () => {
       const params: Record<string, string> = { limit: "200" };
       if (activeNotebookId && activeNotebookId !== "all") {
         params.notebookId = activeNotebookId;
       }
+      if (activeWorkspaceId) {
+        params.workspaceId = activeWorkspaceId;
+      }
       const res = await api.get("/notes", { params });
       // API returns { data: [...], total, page, limit, totalPages }
       const payload = Array.isArray(res.data?.data) ? res.data.data : [];
@@ -332,6 +353,16 @@ function HomePage() {
     }
   }, [notesQuery.isSuccess]);
 
+  // The selected notebook belongs to the previous workspace; start over.
+  const previousWorkspaceIdRef = useRef(activeWorkspaceId);
+  useEffect(() => {
+    const previous = previousWorkspaceIdRef.current;
+    previousWorkspaceIdRef.current = activeWorkspaceId;
+    if (previous && activeWorkspaceId && previous !== activeWorkspaceId) {
+      setActiveNotebookId("all");
+    }
+  }, [activeWorkspaceId]);
+
   useEffect(() => {
     if (!notesQuery.isError) return;
     const error = notesQuery.error as ApiError;
@@ -410,9 +441,11 @@ function HomePage() {
     isFetching: notebookTemplatesFetching,
     refetch: refetchNotebookTemplates,
   } = useQuery({
-    queryKey: ["notebook-templates"],
+    queryKey: ["notebook-templates", notebookTemplateScope],
     queryFn: async () => {
-      const response = await api.get("/templates");
+      const response = await api.get("/templates", {
+        params: { scope: notebookTemplateScope },
+      });
       return Array.isArray(response.data) ? response.data : [];
     },
     staleTime: 60_000,
@@ -484,9 +517,15 @@ function HomePage() {
   );
 
   const notebooksQuery = useQuery({
-    queryKey: ["notebooks"],
+    queryKey: ["notebooks", activeWorkspaceId],
     queryFn: async () => {
-      const response = await api.get("/notebooks");
+      // The sidebar builds the notebook tree client-side, so fetch a full page.
+      const response = await api.get("/notebooks", {
+        params: {
+          limit: 100,
+          ...(activeWorkspaceId ? { workspaceId: activeWorkspaceId } : {}),
+        },
+      });
       const payload = response.data ?? {};
       return {
         notebooks: Array.isArray(payload.notebooks) ? payload.notebooks : [],
@@ -577,15 +616,27 @@ function HomePage() {
     notebookDeleteLoading,
     setNotebookDeleteState,
     openCreateNotebook,
+    openCreateChildNotebook,
     openRenameNotebook,
     closeNotebookForm,
     submitNotebookForm,
+    notebookMoveTarget,
+    notebookMoveLoading,
+    openMoveNotebook,
+    closeNotebookMove,
+    submitNotebookMove,
+    notebookDuplicateTarget,
+    notebookDuplicateLoading,
+    openDuplicateNotebook,
+    closeNotebookDuplicate,
+    submitNotebookDuplicate,
     openDeleteNotebook,
     closeNotebookDelete,
     confirmNotebookDelete,
   } = useNotebookCrud({
     notebooks,
     activeNotebookId,
+    activeWorkspaceId,
     handleSelectNotebook,
     invalidateNotesCaches,
     queryClient,
@@ -737,9 +788,11 @@ function HomePage() {
   });
 
   const tagStatsQuery = useQuery<TagStats>({
-    queryKey: ["tag-stats"],
+    queryKey: ["tag-stats", activeWorkspaceId],
     queryFn: async (): Promise<TagStats> => {
-      const response = await api.get("/notes/tags/stats");
+      const response = await api.get("/notes/tags/stats", {
+        params: activeWorkspaceId ? { workspaceId: activeWorkspaceId } : undefined,
+      });
       const tags = response.data?.tags ?? [];
       return {
         tags,
@@ -772,25 +825,13 @@ function HomePage() {
     return [];
   }, [tagInsights]);
 
-  const workspacesQuery = useQuery({
-    queryKey: ["workspaces"],
-    queryFn: async () => {
-      const response = await api.get("/workspaces");
-      return Array.isArray(response.data) ? response.data : [];
-    },
-    enabled: notebookTemplateModalOpen,
-    staleTime: 120_000,
-  });
-
   const templateWorkspaceOptions = useMemo(
     () =>
-      Array.isArray(workspacesQuery.data)
-        ? workspacesQuery.data.map((workspace) => ({
-            id: workspace.id,
-            name: workspace.name,
-          }))
-        : [],
-    [workspacesQuery.data],
+      workspaces.map((workspace) => ({
+        id: workspace.id,
+        name: workspace.name,
+      })),
+    [workspaces],
   );
   useHomeFilterSync({
     searchParams,
@@ -1290,8 +1331,10 @@ function HomePage() {
 
   const handleBulkPin = () => performBulkAction("pin");
   const handleBulkUnpin = () => performBulkAction("unpin");
+  const handleBulkArchive = () => performBulkAction("archive");
   const handleBulkAddTags = () => setTagModalOpen(true);
   const handleBulkMoveNotebook = () => setMoveNotebookModalOpen(true);
+  const handleBulkCopy = () => setCopyNotesModalOpen(true);
   const handleBulkDelete = () => setDeleteDialogOpen(true);
 
   const submitBulkTags = async () => {
@@ -1318,6 +1361,14 @@ function HomePage() {
     });
   };
 
+  const submitBulkCopy = async (target: BulkCopyTarget) => {
+    setCopyNotesModalOpen(false);
+    await performBulkAction("copy", {
+      notebookId: target.notebookId,
+      ...(target.workspaceId ? { workspaceId: target.workspaceId } : {}),
+    });
+  };
+
   const handleQuickMoveNotebook = useCallback(
     (value) => {
       if (!selectedNoteIds.length) {
@@ -1430,6 +1481,54 @@ function HomePage() {
     [queryClient, refetchNotebookTemplates],
   );
 
+  const refreshNotebookTemplate = useCallback(
+    async (templateId: string) => {
+      await queryClient.invalidateQueries({
+        queryKey: ["notebook-template-detail", templateId],
+      });
+      await queryClient.invalidateQueries({
+        queryKey: ["notebook-templates"],
+      });
+    },
+    [queryClient],
+  );
+
+  const handleUpdateNotebookTemplateSharing = useCallback(
+    async (templateId: string, sharing: NotebookTemplateSharing) => {
+      setTemplateSharingUpdating(true);
+      try {
+        await api.patch(`/templates/${templateId}`, sharing);
+        toast.success("Template sharing updated");
+        await refreshNotebookTemplate(templateId);
+      } catch (error: unknown) {
+        toast.error(extractApiError(error, "Failed to update template sharing"));
+      } finally {
+        setTemplateSharingUpdating(false);
+      }
+    },
+    [refreshNotebookTemplate],
+  );
+
+  const handleSyncNotebookTemplate = useCallback(
+    async (templateId: string) => {
+      setTemplateSyncing(true);
+      try {
+        const response = await api.post(`/templates/${templateId}/sync`);
+        toast.success(
+          response.data?.version
+            ? `Template updated to version ${response.data.version}`
+            : "Template updated from notebook",
+        );
+        await refreshNotebookTemplate(templateId);
+      } catch (error: unknown) {
+        toast.error(extractApiError(error, "Failed to update template"));
+      } finally {
+        setTemplateSyncing(false);
+      }
+    },
+    [refreshNotebookTemplate],
+  );
+
   const openSaveNotebookTemplate = useCallback((notebook) => {
     if (!notebook) return;
     setSaveTemplateState({ open: true, notebook });
@@ -1439,7 +1538,13 @@ function HomePage() {
     setSaveTemplateState({ open: false, notebook: null });
   }, []);
 
-  const handleSaveNotebookTemplate = async ({ name, description, tags }) => {
+  const handleSaveNotebookTemplate = async ({
+    name,
+    description,
+    tags,
+    visibility,
+    workspaceId,
+  }) => {
     const notebook = saveTemplateState.notebook;
     if (!notebook) return;
 
@@ -1449,6 +1554,8 @@ function HomePage() {
         name,
         description,
         tags,
+        visibility,
+        workspaceId,
       });
 
       toast.success("Notebook saved as template");
@@ -1498,10 +1605,15 @@ function HomePage() {
         const response = await api.post("/notebooks/import", form, {
           headers: { "Content-Type": "multipart/form-data" },
         });
-        const { notebook, importedCount, skippedCount } = response.data ?? {};
+        const { notebook, importedCount, skippedCount, attachmentCount } =
+          response.data ?? {};
         await invalidateNotesCaches();
         toast.success(
-          `Imported ${importedCount} note${importedCount === 1 ? "" : "s"} into ${notebook?.name ?? "notebook"}${
+          `Imported ${importedCount} note${importedCount === 1 ? "" : "s"}${
+            attachmentCount
+              ? ` and ${attachmentCount} attachment${attachmentCount === 1 ? "" : "s"}`
+              : ""
+          } into ${notebook?.name ?? "notebook"}${
             skippedCount ? ` (${skippedCount} skipped)` : ""
           }`,
           { id: toastId },
@@ -1773,6 +1885,10 @@ function HomePage() {
         navigate("/create");
         return;
       }
+      if (view === "archive") {
+        navigate("/archive");
+        return;
+      }
       if (view === "trash") {
         setActiveTab("all");
         return;
@@ -1834,6 +1950,24 @@ function HomePage() {
         afterAction?.();
         openRenameNotebook(nb);
       },
+      onAddChild: (id) => {
+        const nb = notebooks.find((n) => n.id === id);
+        if (!nb) return;
+        afterAction?.();
+        openCreateChildNotebook(nb);
+      },
+      onMove: (id) => {
+        const nb = notebooks.find((n) => n.id === id);
+        if (!nb) return;
+        afterAction?.();
+        openMoveNotebook(nb);
+      },
+      onDuplicate: (id) => {
+        const nb = notebooks.find((n) => n.id === id);
+        if (!nb) return;
+        afterAction?.();
+        openDuplicateNotebook(nb);
+      },
       onShare: (id) => {
         const nb = notebooks.find((n) => n.id === id);
         if (!nb) return;
@@ -1860,6 +1994,12 @@ function HomePage() {
             notebookDialogs.analytics.open(nb);
           }
         : undefined,
+      onWebhooks: (id) => {
+        const nb = notebooks.find((n) => n.id === id);
+        if (!nb) return;
+        afterAction?.();
+        notebookDialogs.webhooks.open(nb);
+      },
       onSaveAsTemplate: (id) => {
         const nb = notebooks.find((n) => n.id === id);
         if (!nb) return;
@@ -1885,8 +2025,12 @@ function HomePage() {
       notebookDialogs.history,
       notebookDialogs.publish,
       notebookDialogs.share,
+      notebookDialogs.webhooks,
       notebooks,
+      openCreateChildNotebook,
       openDeleteNotebook,
+      openDuplicateNotebook,
+      openMoveNotebook,
       openRenameNotebook,
       openSaveNotebookTemplate,
     ],
@@ -1907,6 +2051,7 @@ function HomePage() {
       notebooks.map((nb) => ({
         id: nb.id,
         name: nb.name,
+        parentId: nb.parentId ?? null,
         color: nb.color ?? null,
         noteCount: nb.noteCount ?? 0,
       })),
@@ -2278,8 +2423,10 @@ function HomePage() {
                   onClearSelection={handleClearSelection}
                   onPinSelected={handleBulkPin}
                   onUnpinSelected={handleBulkUnpin}
+                  onArchiveSelected={handleBulkArchive}
                   onAddTags={handleBulkAddTags}
                   onMoveNotebook={handleBulkMoveNotebook}
+                  onCopySelected={handleBulkCopy}
                   onDelete={handleBulkDelete}
                   busy={bulkActionLoading}
                   notebookOptions={notebooks}
@@ -2305,6 +2452,7 @@ function HomePage() {
         <Suspense fallback={null}>
           <NotebookFormDialog
             formState={notebookFormState}
+            notebooks={sidebarNotebooks}
             onClose={closeNotebookForm}
             onSubmit={submitNotebookForm}
             loading={notebookFormLoading}
@@ -2325,6 +2473,29 @@ function HomePage() {
         </Suspense>
       ) : null}
 
+      {notebookMoveTarget ? (
+        <Suspense fallback={null}>
+          <NotebookMoveDialog
+            notebook={notebookMoveTarget}
+            notebooks={sidebarNotebooks}
+            loading={notebookMoveLoading}
+            onClose={closeNotebookMove}
+            onSubmit={submitNotebookMove}
+          />
+        </Suspense>
+      ) : null}
+
+      {notebookDuplicateTarget ? (
+        <Suspense fallback={null}>
+          <NotebookDuplicateDialog
+            notebook={notebookDuplicateTarget}
+            loading={notebookDuplicateLoading}
+            onClose={closeNotebookDuplicate}
+            onSubmit={submitNotebookDuplicate}
+          />
+        </Suspense>
+      ) : null}
+
       {notebookDialogs.publish.value ? (
         <Suspense fallback={null}>
           <NotebookPublishDialog
@@ -2336,6 +2507,16 @@ function HomePage() {
         </Suspense>
       ) : null}
 
+      {notebookDialogs.webhooks.value ? (
+        <Suspense fallback={null}>
+          <NotebookWebhooksDialog
+            notebook={notebookDialogs.webhooks.value}
+            open
+            onClose={notebookDialogs.webhooks.close}
+          />
+        </Suspense>
+      ) : null}
+
       {notebookDialogs.history.value ? (
         <Suspense fallback={null}>
           <NotebookHistoryDialog
@@ -2384,6 +2565,24 @@ function HomePage() {
         />
       </Suspense>
 
+      {copyNotesModalOpen ? (
+        <Suspense fallback={null}>
+          <BulkCopyNotesDialog
+            open
+            workspaces={workspaces}
+            activeWorkspaceId={activeWorkspaceId}
+            initialNotebookId={
+              activeNotebookId && activeNotebookId !== "all"
+                ? activeNotebookId
+                : null
+            }
+            onClose={() => setCopyNotesModalOpen(false)}
+            onSubmit={submitBulkCopy}
+            loading={bulkActionLoading}
+          />
+        </Suspense>
+      ) : null}
+
       {NOTEBOOK_ANALYTICS_ENABLED && notebookDialogs.analytics.value ? (
         <Suspense fallback={null}>
           <NotebookAnalyticsDialog
@@ -2424,6 +2623,12 @@ function HomePage() {
           importing={notebookTemplateImporting}
           onClose={closeNotebookTemplateGallery}
           onRefresh={refetchNotebookTemplates}
+          scope={notebookTemplateScope}
+          onScopeChange={setNotebookTemplateScope}
+          onUpdateSharing={handleUpdateNotebookTemplateSharing}
+          updatingSharing={templateSharingUpdating}
+          onSyncTemplate={handleSyncNotebookTemplate}
+          syncing={templateSyncing}
         />
       </Suspense>
 
@@ -2434,6 +2639,7 @@ function HomePage() {
           submitting={saveTemplateSubmitting}
           onClose={closeSaveNotebookTemplate}
           onSubmit={handleSaveNotebookTemplate}
+          workspaceOptions={templateWorkspaceOptions}
         />
       </Suspense>
 
@@ -1,6 +1,11 @@
 import { type FormEvent, useEffect, useState } from "react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
-import { LogInIcon, LoaderIcon, MailCheckIcon } from "lucide-react";
+import {
+  LogInIcon,
+  LoaderIcon,
+  MailCheckIcon,
+  ShieldCheckIcon,
+} from "lucide-react";
 import axios from "axios";
 import useAuth from "../hooks/useAuth";
 import Logo from "../Components/Logo";
@@ -11,7 +16,13 @@ const isAxiosErrorWithStatus = (error: unknown, status: number): boolean =>
   axios.isAxiosError(error) && error.response?.status === status;
 
 const LoginPage = () => {
-  const { login, user, initializing, resendVerificationEmail } = useAuth();
+  const {
+    login,
+    completeTwoFactorLogin,
+    user,
+    initializing,
+    resendVerificationEmail,
+  } = useAuth();
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [loading, setLoading] = useState(false);
@@ -20,6 +31,8 @@ const LoginPage = () => {
     string | null
   >(null);
   const [resendLoading, setResendLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -39,11 +52,13 @@ const LoginPage = () => {
     setPendingVerificationEmail(null);
     setLoading(true);
     try {
-      await login({ email, password });
-      const redirectTo = safeRedirectPath(
-        (location.state as Record<string, string> | null)?.from,
-      );
-      navigate(redirectTo, { replace: true });
+      const result = await login({ email, password });
+      if ("twoFactorRequired" in result) {
+        setChallengeToken(result.challengeToken);
+        setTwoFactorCode("");
+        return;
+      }
+      navigateAfterLogin();
     } catch (error: unknown) {
       setErrorMessage(extractApiError(error, "Invalid email or password."));
       if (isAxiosErrorWithStatus(error, 403)) {
@@ -54,6 +69,43 @@ const LoginPage = () => {
     }
   };
 
+  const navigateAfterLogin = () => {
+    const redirectTo = safeRedirectPath(
+      (location.state as Record<string, string> | null)?.from,
+    );
+    navigate(redirectTo, { replace: true });
+  };
+
+  const handleTwoFactorSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (loading || !challengeToken || !twoFactorCode.trim()) return;
+    setErrorMessage("");
+    setLoading(true);
+    try {
+      await completeTwoFactorLogin({
+        challengeToken,
+        code: twoFactorCode.trim(),
+      });
+      navigateAfterLogin();
+    } catch (error: unknown) {
+      const message = extractApiError(error, "That code didn't work.");
+      setErrorMessage(message);
+      setTwoFactorCode("");
+      if (/expired/i.test(message)) {
+        setChallengeToken(null);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode("");
+    setPassword("");
+    setErrorMessage("");
+  };
+
   const handleResendVerification = async () => {
     if (!pendingVerificationEmail || resendLoading) {
       return;
@@ -91,102 +143,164 @@ const LoginPage = () => {
                 </p>
               </div>
 
-              <form className="space-y-4" onSubmit={handleSubmit}>
-                <label className="form-control">
-                  <span className="label">
-                    <span className="label-text">Email address</span>
-                  </span>
-                  <input
-                    type="email"
-                    value={email}
-                    onChange={(event) => {
-                      setEmail(event.target.value);
-                      if (errorMessage) setErrorMessage("");
-                      if (pendingVerificationEmail) {
-                        setPendingVerificationEmail(null);
-                      }
-                    }}
-                    placeholder="you@example.com"
-                    className="input input-bordered"
-                    required
-                    autoComplete="email"
-                  />
-                </label>
-
-                <label className="form-control">
-                  <span className="label">
-                    <span className="label-text">Password</span>
-                  </span>
-                  <input
-                    type="password"
-                    value={password}
-                    onChange={(event) => {
-                      setPassword(event.target.value);
-                      if (errorMessage) setErrorMessage("");
-                    }}
-                    placeholder="••••••••"
-                    className="input input-bordered"
-                    required
-                    autoComplete="current-password"
-                  />
-                </label>
-
-                <button
-                  type="submit"
-                  className="btn btn-primary w-full"
-                  disabled={loading}
-                >
-                  {loading ? (
-                    <>
-                      <LoaderIcon className="size-4 animate-spin" />
-                      Signing in...
-                    </>
-                  ) : (
-                    <>
-                      <LogInIcon className="size-4" />
-                      Sign in
-                    </>
-                  )}
-                </button>
-                {errorMessage ? (
-                  <div className="alert alert-error text-sm" role="alert">
-                    <span>{errorMessage}</span>
-                  </div>
-                ) : null}
-
-                {pendingVerificationEmail ? (
-                  <div className="alert alert-warning text-sm" role="alert">
-                    <div className="flex flex-col gap-2">
-                      <span>
-                        It looks like your email still needs confirmation. We'll
-                        resend the verification link to{" "}
-                        <span className="font-semibold">
-                          {pendingVerificationEmail}
-                        </span>
-                        .
+              {challengeToken ? (
+                <form className="space-y-4" onSubmit={handleTwoFactorSubmit}>
+                  <label className="form-control">
+                    <span className="label">
+                      <span className="label-text">Authentication code</span>
+                    </span>
+                    <input
+                      type="text"
+                      value={twoFactorCode}
+                      onChange={(event) => {
+                        setTwoFactorCode(event.target.value);
+                        if (errorMessage) setErrorMessage("");
+                      }}
+                      placeholder="123456"
+                      className="input input-bordered tracking-widest"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      maxLength={20}
+                      autoFocus
+                      required
+                    />
+                    <span className="label">
+                      <span className="label-text-alt text-base-content/60">
+                        Enter the 6-digit code from your authenticator app, or
+                        one of your recovery codes.
                       </span>
-                      <button
-                        type="button"
-                        className="btn btn-sm self-start border-base-content/40 bg-base-100 text-base-content shadow-sm transition hover:border-base-content/70 hover:bg-base-100/90 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-base-content disabled:cursor-not-allowed disabled:opacity-70"
-                        onClick={handleResendVerification}
-                        disabled={resendLoading}
-                      >
-                        {resendLoading ? (
-                          <>
-                            <LoaderIcon className="size-4 animate-spin" />
-                            Sending...
-                          </>
-                        ) : (
-                          <>
-                            <MailCheckIcon className="size-4" />
-                            Resend verification email
-                          </>
-                        )}
-                      </button>
+                    </span>
+                  </label>
+
+                  <button
+                    type="submit"
+                    className="btn btn-primary w-full"
+                    disabled={loading || !twoFactorCode.trim()}
+                  >
+                    {loading ? (
+                      <>
+                        <LoaderIcon className="size-4 animate-spin" />
+                        Verifying...
+                      </>
+                    ) : (
+                      <>
+                        <ShieldCheckIcon className="size-4" />
+                        Verify and sign in
+                      </>
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm w-full"
+                    onClick={cancelTwoFactor}
+                    disabled={loading}
+                  >
+                    Use a different account
+                  </button>
+                  {errorMessage ? (
+                    <div className="alert alert-error text-sm" role="alert">
+                      <span>{errorMessage}</span>
+                    </div>
+                  ) : null}
+                </form>
+              ) : (
+                <form className="space-y-4" onSubmit={handleSubmit}>
+                  <label className="form-control">
+                    <span className="label">
+                      <span className="label-text">Email address</span>
+                    </span>
+                    <input
+                      type="email"
+                      value={email}
+                      onChange={(event) => {
+                        setEmail(event.target.value);
+                        if (errorMessage) setErrorMessage("");
+                        if (pendingVerificationEmail) {
+                          setPendingVerificationEmail(null);
+                        }
+                      }}
+                      placeholder="you@example.com"
+                      className="input input-bordered"
+                      required
+                      autoComplete="email"
+                    />
+                  </label>
+
+                  <label className="form-control">
+                    <span className="label">
+                      <span className="label-text">Password</span>
+                    </span>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(event) => {
+                        setPassword(event.target.value);
+                        if (errorMessage) setErrorMessage("");
+                      }}
+                      placeholder="••••••••"
+                      className="input input-bordered"
+                      required
+                      autoComplete="current-password"
+                    />
+                  </label>
+
+                  <button
+                    type="submit"
+                    className="btn btn-primary w-full"
+                    disabled={loading}
+                  >
+                    {loading ? (
+                      <>
+                        <LoaderIcon className="size-4 animate-spin" />
+                        Signing in...
+                      </>
+                    ) : (
+                      <>
+                        <LogInIcon className="size-4" />
+                        Sign in
+                      </>
+                    )}
+                  </button>
+                  {errorMessage ? (
+                    <div className="alert alert-error text-sm" role="alert">
+                      <span>{errorMessage}</span>
+                    </div>
+                  ) : null}
+
+                  {pendingVerificationEmail ? (
+                    <div className="alert alert-warning text-sm" role="alert">
+                      <div className="flex flex-col gap-2">
+                        <span>
+                          It looks like your email still needs confirmation. We'll
+                          resend the verification link to{" "}
+                          <span className="font-semibold">
+                            {pendingVerificationEmail}
+                          </span>
+                          .
+                        </span>
+                        <button
+                          type="button"
+                          className="btn btn-sm self-start border-base-content/40 bg-base-100 text-base-content shadow-sm transition hover:border-base-content/70 hover:bg-base-100/90 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-base-content disabled:cursor-not-allowed disabled:opacity-70"
+                          onClick={handleResendVerification}
+                          disabled={resendLoading}
+                        >
+                          {resendLoading ? (
+                            <>
+                              <LoaderIcon className="size-4 animate-spin" />
+                              Sending...
+                            </>
+                          ) : (
+                            <>
+                              <MailCheckIcon className="size-4" />
+                              Resend verification email
+                            </>
+                          )}
+                        </button>
+                      </div>
                     </div>
-                  </div>
-                ) : null}
-              </form>
+                  ) : null}
+                </form>
+              )}
 
               <p className="text-center text-sm text-base-content/70">
                 Forgot your password?{" "}
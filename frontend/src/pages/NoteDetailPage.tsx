@@ -8,11 +8,12 @@ import {
   useRef,
   useState,
 } from "react";
-import { Link, useParams } from "react-router-dom";
+import { Link, useNavigate, useParams } from "react-router-dom";
 import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { toast } from "sonner";
 import {
   CloudIcon,
+  CloudOffIcon,
   EyeIcon,
   LoaderIcon,
   RefreshCwIcon,
@@ -38,6 +39,16 @@ const AiTagSuggestions = lazy(() => import("../Components/AiTagSuggestions"));
 const NoteHistoryDrawer = lazy(
   () => import("../Components/NoteHistoryDrawer"),
 );
+const NoteVersionBrowser = lazy(
+  () => import("../Components/NoteVersionBrowser"),
+);
+const NoteCommentsPanel = lazy(() => import("./note-detail/NoteCommentsPanel"));
+const NoteBacklinksPanel = lazy(
+  () => import("./note-detail/NoteBacklinksPanel"),
+);
+const NoteAttachmentsPanel = lazy(
+  () => import("./note-detail/NoteAttachmentsPanel"),
+);
 import { countWords, formatDate } from "../lib/Utils";
 import useCollaborativeNote, {
   type NoteInput,
@@ -45,6 +56,8 @@ import useCollaborativeNote, {
 import useAuth from "../hooks/useAuth";
 import useAiFeatures from "../hooks/useAiFeatures";
 import InlineTagAdder from "./note-detail/InlineTagAdder";
+import DueDatePopover from "../Components/DueDatePopover";
+import type { ScheduleDates } from "../lib/dueDates";
 import UnsavedChangesModal from "./note-detail/UnsavedChangesModal";
 import ShareNoteDialog from "./note-detail/ShareNoteDialog";
 import NoteDetailHeader from "./note-detail/NoteDetailHeader";
@@ -52,6 +65,9 @@ import { useNoteKeyboardShortcuts } from "./note-detail/useNoteKeyboardShortcuts
 import { useNoteNavigationGuard } from "./note-detail/useNoteNavigationGuard";
 import { useNoteTitleSync } from "./note-detail/useNoteTitleSync";
 import { useNoteSave } from "./note-detail/useNoteSave";
+import { useNoteComments } from "./note-detail/useNoteComments";
+import type { NoteCommentAnchor } from "../types/api";
+import type { HistoryEntry } from "../Components/NoteHistoryDrawer";
 
 const HISTORY_REFRESH_MS = 15_000;
 const MAX_HISTORY_RESULTS = 100;
@@ -68,6 +84,8 @@ const formatRoleLabel = (role: string) => {
       return "Owner";
     case "editor":
       return "Editor";
+    case "commenter":
+      return "Commenter";
     case "viewer":
       return "Viewer";
     default:
@@ -75,8 +93,9 @@ const formatRoleLabel = (role: string) => {
   }
 };
 
-function NoteDetailPage() {
+function NoteDetailView() {
   const { id } = useParams();
+  const navigate = useNavigate();
   const queryClient = useQueryClient();
   const { user } = useAuth();
 
@@ -85,6 +104,11 @@ function NoteDetailPage() {
   const [pinned, setPinned] = useState(false);
   const [saving, setSaving] = useState(false);
   const [pinning, setPinning] = useState(false);
+  const [schedule, setSchedule] = useState<ScheduleDates>({
+    dueAt: null,
+    remindAt: null,
+  });
+  const [savingSchedule, setSavingSchedule] = useState(false);
   const [confirmOpen, setConfirmOpen] = useState(false);
   const [deleting, setDeleting] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
@@ -94,7 +118,16 @@ function NoteDetailPage() {
     characterCount: 0,
   });
   const [showHistory, setShowHistory] = useState(false);
+  // `undefined` keeps the version browser closed; `null` opens it on the
+  // newest version.
+  const [openVersionId, setOpenVersionId] = useState<string | null | undefined>(
+    undefined,
+  );
   const [showCollaborators, setShowCollaborators] = useState(false);
+  const [showComments, setShowComments] = useState(false);
+  const [activeCommentId, setActiveCommentId] = useState<string | null>(null);
+  const [pendingCommentAnchor, setPendingCommentAnchor] =
+    useState<NoteCommentAnchor | null>(null);
   const [focusMode, setFocusMode] = useState(false);
   const [showUnsavedModal, setShowUnsavedModal] = useState(false);
   const [pendingNavigation, setPendingNavigation] = useState<string | null>(
@@ -118,19 +151,6 @@ function NoteDetailPage() {
   const allowNavigationRef = useRef(false);
   const justSavedRef = useRef(false);
 
-  // ── AI Features ──
-  const {
-    isConfigured: aiConfigured,
-    summary: aiSummary,
-    summaryLoading,
-    generateSummary,
-    suggestedTags,
-    tagsLoading: aiTagsLoading,
-    requestTagSuggestions,
-    clearSuggestedTags,
-    toggleActionItem,
-  } = useAiFeatures(id);
-
   const noteQuery = useQuery({
     queryKey: ["note", id],
     queryFn: async () => {
@@ -146,16 +166,41 @@ function NoteDetailPage() {
   });
 
   const note = noteQuery.data ?? null;
+
+  // ── AI Features ──
+  const {
+    isConfigured: aiConfigured,
+    summary: aiSummary,
+    summaryLoading,
+    generateSummary,
+    suggestedTags,
+    tagsLoading: aiTagsLoading,
+    requestTagSuggestions,
+    clearSuggestedTags,
+    toggleActionItem,
+    scheduleActionItem,
+    scheduleSavingId,
+  } = useAiFeatures(id, note?.aiSummary);
+
   const canManageNoteCollaborators = note?.canManageCollaborators ?? false;
   const canEditNote = note?.canEdit ?? true;
+  const canCommentNote = note?.canComment ?? canEditNote;
   const isReadOnly = !canEditNote;
   const notebookRole = note?.notebookRole ?? null;
   const collaboratorRole = note?.collaboratorRole ?? null;
   const membershipRole = note?.membershipRole ?? null;
   const effectiveRole = note?.effectiveRole ?? null;
 
-  const { provider, doc, participants, typingUsers, color, signalTyping } =
-    useCollaborativeNote(id ?? null, note, canEditNote);
+  const {
+    provider,
+    doc,
+    documentReady,
+    hasOfflineEdits,
+    participants,
+    typingUsers,
+    color,
+    signalTyping,
+  } = useCollaborativeNote(id ?? null, note, canEditNote);
 
   const { applySharedTitle } = useNoteTitleSync({
     doc,
@@ -176,6 +221,39 @@ function NoteDetailPage() {
   });
 
   const history = historyQuery.data ?? [];
+  const versionSnapshots = useMemo(
+    () =>
+      (historyQuery.data ?? []).filter(
+        (entry: HistoryEntry) => entry.contentSnapshot != null,
+      ),
+    [historyQuery.data],
+  );
+
+  const comments = useNoteComments(id);
+  const commentHighlights = useMemo(
+    () =>
+      comments.threads
+        .filter((thread) => !thread.resolved && thread.anchor)
+        .map((thread) => ({ id: thread.id, anchor: thread.anchor! })),
+    [comments.threads],
+  );
+
+  const handleAddComment = useCallback((anchor: NoteCommentAnchor) => {
+    setPendingCommentAnchor(anchor);
+    setActiveCommentId(null);
+    setShowComments(true);
+  }, []);
+
+  const handleSelectComment = useCallback((threadId: string | null) => {
+    setActiveCommentId(threadId);
+    if (threadId) setShowComments(true);
+  }, []);
+
+  const handleCloseComments = useCallback(() => {
+    setShowComments(false);
+    setActiveCommentId(null);
+    setPendingCommentAnchor(null);
+  }, []);
 
   useEffect(() => {
     if (!note) return;
@@ -184,6 +262,7 @@ function NoteDetailPage() {
     applySharedTitle(nextTitle);
     setTags(Array.isArray(note.tags) ? [...note.tags] : []);
     setPinned(Boolean(note.pinned));
+    setSchedule({ dueAt: note.dueAt ?? null, remindAt: note.remindAt ?? null });
     const savedAt = note.updatedAt ?? note.createdAt;
     if (savedAt) {
       setLastSavedAt(new Date(savedAt));
@@ -248,8 +327,13 @@ function NoteDetailPage() {
     [canEditNote],
   );
 
-  const { handleSave, handleRevert, handleRestoreVersion, handleSaveRef } =
-    useNoteSave({
+  const {
+    handleSave,
+    handleRevert,
+    handleRestoreVersion,
+    restoringVersionId,
+    handleSaveRef,
+  } = useNoteSave({
       id,
       title,
       tags,
@@ -340,6 +424,55 @@ function NoteDetailPage() {
     }
   }, [canEditNote, id, pinned, queryClient]);
 
+  const handleDuplicate = useCallback(async () => {
+    if (!id) return;
+    try {
+      const response = await api.post(`/notes/${id}/duplicate`, {});
+      queryClient.removeQueries({ queryKey: ["notes"] });
+      queryClient.removeQueries({ queryKey: ["notebooks"] });
+      toast.success("Note duplicated");
+      navigate(`/note/${response.data._id}`);
+    } catch (error: unknown) {
+      toast.error(extractApiError(error, "Failed to duplicate note"));
+    }
+  }, [id, navigate, queryClient]);
+
+  // Dates are saved on their own so they never touch unsaved editor changes.
+  const handleScheduleChange = useCallback(
+    async (next: ScheduleDates) => {
+      if (!id) return;
+      setSavingSchedule(true);
+      try {
+        const response = await api.put(`/notes/${id}`, next);
+        setSchedule({
+          dueAt: response.data?.dueAt ?? null,
+          remindAt: response.data?.remindAt ?? null,
+        });
+        queryClient.invalidateQueries({ queryKey: ["notes"] });
+        toast.success(
+          next.dueAt || next.remindAt ? "Due date saved" : "Due date cleared",
+        );
+      } catch (error: unknown) {
+        toast.error(extractApiError(error, "Failed to update due date"));
+      } finally {
+        setSavingSchedule(false);
+      }
+    },
+    [id, queryClient],
+  );
+
+  const handleScheduleActionItem = useCallback(
+    async (itemId: string, dates: ScheduleDates) => {
+      const saved = await scheduleActionItem(itemId, dates);
+      if (saved) {
+        queryClient.invalidateQueries({ queryKey: ["notes", "due-soon"] });
+      } else {
+        toast.error("Failed to update the action item");
+      }
+    },
+    [queryClient, scheduleActionItem],
+  );
+
   const openConfirm = useCallback(() => {
     if (!canEditNote) {
       toast.error("You have view-only access to this note.");
@@ -406,6 +539,25 @@ function NoteDetailPage() {
     handleSaveRef,
   });
 
+  const handleOpenLinkedNote = useCallback(
+    (linkedId: string) => {
+      if (linkedId === id) return;
+      const open = () => navigate(`/note/${linkedId}`);
+      if (!hasChanges) {
+        open();
+        return;
+      }
+      allowNavigationRef.current = true;
+      handleSaveRef
+        .current(true)
+        .catch(() => {
+          /* best-effort */
+        })
+        .finally(open);
+    },
+    [handleSaveRef, hasChanges, id, navigate],
+  );
+
   const handleCancelNavigation = useCallback(() => {
     setShowUnsavedModal(false);
     setPendingNavigation(null);
@@ -463,12 +615,19 @@ function NoteDetailPage() {
         Icon: RefreshCwIcon,
       };
     }
+    if (hasOfflineEdits) {
+      return {
+        className: "text-warning",
+        label: "Saved offline",
+        Icon: CloudOffIcon,
+      };
+    }
     return {
       className: "text-success",
       label: "Saved to cloud",
       Icon: CloudIcon,
     };
-  }, [hasChanges, isReadOnly, saving]);
+  }, [hasChanges, hasOfflineEdits, isReadOnly, saving]);
 
   const { wordCount, characterCount } = contentStats;
   const disableSave = isReadOnly || saving || !hasChanges;
@@ -543,10 +702,13 @@ function NoteDetailPage() {
           onTogglePinned={handleTogglePinned}
           onRevert={handleRevert}
           onShowHistory={() => setShowHistory(true)}
+          openCommentCount={commentHighlights.length}
+          onShowComments={() => setShowComments((prev) => !prev)}
           onShowCollaborators={() => setShowCollaborators(true)}
           onToggleFocusMode={() => setFocusMode((prev) => !prev)}
           onExitFocusMode={() => setFocusMode(false)}
           onExport={handleExport}
+          onDuplicate={handleDuplicate}
           onOpenDeleteConfirm={openConfirm}
         />
 
@@ -559,10 +721,14 @@ function NoteDetailPage() {
             <div className="alert alert-info border border-info/40 bg-info/5 text-info-content mb-6">
               <EyeIcon className="size-5" />
               <div className="space-y-1">
-                <h3 className="font-semibold">View-only access</h3>
+                <h3 className="font-semibold">
+                  {canCommentNote ? "Comment-only access" : "View-only access"}
+                </h3>
                 <p className="text-sm text-base-content/70">
-                  {accessSummary} Contact an editor or the owner if you need to
-                  contribute edits.
+                  {accessSummary}{" "}
+                  {canCommentNote
+                    ? "Select text to leave a comment for the editors."
+                    : "Contact an editor or the owner if you need to contribute edits."}
                 </p>
               </div>
             </div>
@@ -607,6 +773,14 @@ function NoteDetailPage() {
                 existingTags={tags}
               />
             )}
+            <DueDatePopover
+              dueAt={schedule.dueAt}
+              remindAt={schedule.remindAt}
+              onChange={handleScheduleChange}
+              saving={savingSchedule}
+              disabled={isReadOnly}
+              hideWhenEmpty={isReadOnly}
+            />
             {participants.length > 0 && (
               <>
                 <span className="mx-1 h-4 w-px bg-base-300/40" />
@@ -634,6 +808,10 @@ function NoteDetailPage() {
                 actionItems={aiSummary.actionItems}
                 generatedAt={aiSummary.generatedAt}
                 onToggleItem={toggleActionItem}
+                onScheduleItem={
+                  isReadOnly ? undefined : handleScheduleActionItem
+                }
+                schedulingItemId={scheduleSavingId}
               />
             </Suspense>
           )}
@@ -667,8 +845,14 @@ function NoteDetailPage() {
             user={user as CollaborativeEditorUser}
             onReady={handleEditorReady}
             onTyping={signalTyping}
-            readOnly={!canEditNote}
+            noteId={id ?? null}
+            onOpenLinkedNote={handleOpenLinkedNote}
+            readOnly={!canEditNote || !documentReady}
             placeholder="Draft the note together..."
+            commentHighlights={commentHighlights}
+            activeCommentId={activeCommentId}
+            onSelectComment={handleSelectComment}
+            onAddComment={canCommentNote ? handleAddComment : undefined}
           />
 
           {typingUsers.length > 0 && (
@@ -676,6 +860,13 @@ function NoteDetailPage() {
               <TypingIndicator typingUsers={typingUsers} />
             </div>
           )}
+
+          {!focusMode && id ? (
+            <Suspense fallback={null}>
+              <NoteAttachmentsPanel noteId={id} canEdit={canEditNote} />
+              <NoteBacklinksPanel noteId={id} />
+            </Suspense>
+          ) : null}
         </main>
 
         {!focusMode && (
@@ -701,11 +892,46 @@ function NoteDetailPage() {
               editorRef.current?.getHTML?.() ?? note?.content ?? "",
             )}
             canRestore={canEditNote}
+            restoringId={restoringVersionId}
+            onRestore={handleRestoreVersion}
+            onOpenVersion={(entry) => setOpenVersionId(entry.id)}
+            onBrowseVersions={() => setOpenVersionId(null)}
+          />
+        </Suspense>
+      )}
+
+      {openVersionId !== undefined && (
+        <Suspense fallback={null}>
+          <NoteVersionBrowser
+            open
+            onClose={() => setOpenVersionId(undefined)}
+            versions={versionSnapshots}
+            initialVersionId={openVersionId}
+            currentTitle={title}
+            currentContent={htmlToPlainText(
+              editorRef.current?.getHTML?.() ?? note?.content ?? "",
+            )}
+            canRestore={canEditNote}
+            restoringId={restoringVersionId}
             onRestore={handleRestoreVersion}
           />
         </Suspense>
       )}
 
+      {showComments && (
+        <Suspense fallback={null}>
+          <NoteCommentsPanel
+            open={showComments}
+            onClose={handleCloseComments}
+            comments={comments}
+            activeThreadId={activeCommentId}
+            onSelectThread={handleSelectComment}
+            pendingAnchor={pendingCommentAnchor}
+            onCancelPending={() => setPendingCommentAnchor(null)}
+          />
+        </Suspense>
+      )}
+
       <ShareNoteDialog
         open={showCollaborators}
         noteId={note?._id}
@@ -739,4 +965,13 @@ function NoteDetailPage() {
   );
 }
 
+/**
+ * Remount per note so following a `[[link]]` from one note to another starts
+ * from fresh editor, collaboration and form state.
+ */
+function NoteDetailPage() {
+  const { id } = useParams();
+  return <NoteDetailView key={id} />;
+}
+
 export default NoteDetailPage;
@@ -10,10 +10,18 @@ import {
   ShieldCheckIcon,
   UserIcon,
 } from "lucide-react";
+import { useQueryClient } from "@tanstack/react-query";
 import { toast } from "sonner";
 import Navbar from "../Components/Navbar";
 import WorkspaceMembersCard from "../Components/WorkspaceMembersCard";
+import WorkspaceSettingsCard from "../Components/WorkspaceSettingsCard";
+import WebhooksManager from "../Components/WebhooksManager";
+import ApiTokensCard from "../Components/ApiTokensCard";
+import SessionsCard from "../Components/SessionsCard";
+import TwoFactorCard from "../Components/TwoFactorCard";
+import EmailDigestCard from "../Components/EmailDigestCard";
 import useAuth from "../hooks/useAuth";
+import useWorkspace from "../hooks/useWorkspace";
 import { formatDate, formatRelativeTime } from "../lib/Utils";
 
 const emptyPasswordState = {
@@ -24,7 +32,9 @@ const emptyPasswordState = {
 
 function ProfilePage() {
   const { user, updateProfile, changePassword } = useAuth();
+  const queryClient = useQueryClient();
   const defaultWorkspaceId = user?.defaultWorkspace ?? null;
+  const { workspaces, activeWorkspace, setActiveWorkspaceId } = useWorkspace();
   const [profileForm, setProfileForm] = useState({
     name: "",
     email: "",
@@ -46,6 +56,14 @@ function ProfilePage() {
     setPendingVerification(!user.emailVerified);
   }, [user]);
 
+  // The sidebar's "Workspace settings" link lands on #workspace, which only
+  // renders once the workspace list has loaded.
+  const hasActiveWorkspace = Boolean(activeWorkspace);
+  useEffect(() => {
+    if (!hasActiveWorkspace || window.location.hash !== "#workspace") return;
+    document.getElementById("workspace")?.scrollIntoView({ block: "start" });
+  }, [hasActiveWorkspace]);
+
   const joinedDate = useMemo(() => {
     if (!user?.createdAt) return "–";
     try {
@@ -173,6 +191,8 @@ function ProfilePage() {
         newPassword: passwordForm.newPassword,
       });
       setPasswordForm(emptyPasswordState);
+      // Every other device was signed out by the change.
+      queryClient.invalidateQueries({ queryKey: ["auth-sessions"] });
     } catch (error) {
       // changePassword already surfaces a toast; swallow error to avoid bubbling
       if (import.meta.env.DEV) {
@@ -478,17 +498,93 @@ function ProfilePage() {
           </form>
         </section>
 
+        <section className="space-y-4 rounded-3xl border border-base-content/10 bg-base-100/90 p-6 shadow-md shadow-primary/10 backdrop-blur">
+          <div className="flex flex-col gap-1">
+            <h2 className="text-2xl font-semibold text-base-content">
+              Email notifications
+            </h2>
+            <p className="text-sm text-base-content/70">
+              Choose how often we email you about activity in your notebooks.
+            </p>
+          </div>
+          <EmailDigestCard />
+        </section>
+
+        <section className="space-y-4 rounded-3xl border border-base-content/10 bg-base-100/90 p-6 shadow-md shadow-primary/10 backdrop-blur">
+          <div className="flex flex-col gap-1">
+            <h2 className="text-2xl font-semibold text-base-content">
+              Sign-in security
+            </h2>
+            <p className="text-sm text-base-content/70">
+              Add a second step to sign-in and review the devices signed in
+              to your account.
+            </p>
+          </div>
+          <TwoFactorCard />
+          <SessionsCard />
+        </section>
+
+        <section className="space-y-4 rounded-3xl border border-base-content/10 bg-base-100/90 p-6 shadow-md shadow-primary/10 backdrop-blur">
+          <div className="flex flex-col gap-1">
+            <h2 className="text-2xl font-semibold text-base-content">
+              Developer access
+            </h2>
+            <p className="text-sm text-base-content/70">
+              Personal access tokens let scripts and automations use the API
+              on your behalf. Revoke any token you no longer need.
+            </p>
+          </div>
+          <ApiTokensCard />
+        </section>
+
+        {activeWorkspace ? (
+          <section
+            id="workspace"
+            className="space-y-4 rounded-3xl border border-base-content/10 bg-base-100/90 p-6 shadow-md shadow-primary/10 backdrop-blur"
+          >
+            <div className="flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
+              <div className="flex flex-col gap-1">
+                <h2 className="text-2xl font-semibold text-base-content">
+                  Workspace
+                </h2>
+                <p className="text-sm text-base-content/70">
+                  Manage the workspace your notes and notebooks are shown from,
+                  and who can access it.
+                </p>
+              </div>
+              {workspaces.length > 1 ? (
+                <select
+                  className="select select-bordered select-sm rounded-xl bg-base-200/70"
+                  aria-label="Workspace to manage"
+                  value={activeWorkspace.id}
+                  onChange={(event) => setActiveWorkspaceId(event.target.value)}
+                >
+                  {workspaces.map((workspace) => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name}
+                    </option>
+                  ))}
+                </select>
+              ) : null}
+            </div>
+            <WorkspaceSettingsCard workspace={activeWorkspace} />
+            <WorkspaceMembersCard workspaceId={activeWorkspace.id} />
+          </section>
+        ) : null}
+
         {defaultWorkspaceId ? (
           <section className="space-y-4 rounded-3xl border border-base-content/10 bg-base-100/90 p-6 shadow-md shadow-primary/10 backdrop-blur">
             <div className="flex flex-col gap-1">
               <h2 className="text-2xl font-semibold text-base-content">
-                Workspace collaborators
+                Workspace webhooks
               </h2>
               <p className="text-sm text-base-content/70">
-                Manage who can access your personal workspace.
+                Receive notebook events from every notebook in your workspace.
               </p>
             </div>
-            <WorkspaceMembersCard workspaceId={defaultWorkspaceId} />
+            <WebhooksManager
+              basePath={`/workspaces/${defaultWorkspaceId}/webhooks`}
+            />
           </section>
         ) : null}
       </main>
@@ -0,0 +1,364 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import axios from "axios";
+import { toast } from "sonner";
+import type { JSONContent } from "@tiptap/core";
+import {
+  EyeIcon,
+  LoaderIcon,
+  PencilIcon,
+  SaveIcon,
+  XIcon,
+} from "lucide-react";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+import { sanitizeHtml } from "../lib/sanitize";
+import Navbar from "../Components/Navbar";
+import NoteSkeleton from "../Components/NoteSkeleton";
+
+interface SharedNoteSummary {
+  id: string;
+  title: string;
+  content: string;
+  contentText: string;
+  richContent?: JSONContent | null;
+  /** Server-rendered HTML of `richContent`, on single-note responses. */
+  richContentHtml?: string | null;
+  tags: string[];
+  pinned: boolean;
+  createdAt: string | null;
+  updatedAt: string | null;
+}
+
+interface SharedNotebookResponse {
+  role: "viewer" | "editor";
+  expiresAt: string | null;
+  notebook: {
+    id: string;
+    name: string;
+    description: string;
+  };
+  notes: SharedNoteSummary[];
+}
+
+interface SharedNoteResponse {
+  role: "viewer" | "editor";
+  notebookId: string;
+  note: SharedNoteSummary;
+}
+
+const dateTimeFormatter = new Intl.DateTimeFormat(undefined, {
+  dateStyle: "medium",
+  timeStyle: "short",
+});
+
+const formatDateTime = (value: string | null | undefined) => {
+  if (!value) return null;
+  try {
+    return dateTimeFormatter.format(new Date(value));
+  } catch {
+    return null;
+  }
+};
+
+const UnavailableState = ({ title, message }: { title: string; message: string }) => (
+  <div className="min-h-screen bg-base-200">
+    <Navbar hideAuthLinks />
+    <div className="mx-auto max-w-2xl px-4 py-16 text-center">
+      <h1 className="mb-4 text-3xl font-semibold text-base-content">{title}</h1>
+      <p className="mb-8 text-base text-base-content/80">{message}</p>
+      <Link className="btn btn-primary" to="/">
+        Back to home
+      </Link>
+    </div>
+  </div>
+);
+
+const SharedNotebookPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const queryClient = useQueryClient();
+  const [selectedNoteId, setSelectedNoteId] = useState<string | null>(null);
+  const [editing, setEditing] = useState(false);
+  const [draftTitle, setDraftTitle] = useState("");
+  const [draftContent, setDraftContent] = useState("");
+
+  const notebookQuery = useQuery<SharedNotebookResponse>({
+    queryKey: ["shared-notebook", token],
+    enabled: Boolean(token),
+    retry: false,
+    queryFn: async () => {
+      const response = await api.get(`/shared/${token}`);
+      return response.data;
+    },
+  });
+
+  const notes = useMemo(
+    () => notebookQuery.data?.notes ?? [],
+    [notebookQuery.data?.notes],
+  );
+
+  useEffect(() => {
+    if (!selectedNoteId && notes.length) {
+      setSelectedNoteId(notes[0].id);
+    }
+  }, [notes, selectedNoteId]);
+
+  const noteQuery = useQuery<SharedNoteResponse>({
+    queryKey: ["shared-note", token, selectedNoteId],
+    enabled: Boolean(token && selectedNoteId),
+    retry: false,
+    queryFn: async () => {
+      const response = await api.get(
+        `/shared/${token}/notes/${selectedNoteId}`,
+      );
+      return response.data;
+    },
+  });
+
+  const canEdit = notebookQuery.data?.role === "editor";
+  const note = noteQuery.data?.note ?? null;
+
+  useEffect(() => {
+    setEditing(false);
+  }, [selectedNoteId]);
+
+  const saveMutation = useMutation({
+    mutationFn: async (payload: { title: string; content: string }) => {
+      const response = await api.patch(
+        `/shared/${token}/notes/${selectedNoteId}`,
+        payload,
+      );
+      return response.data as SharedNoteResponse;
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(["shared-note", token, selectedNoteId], data);
+      queryClient.invalidateQueries({ queryKey: ["shared-notebook", token] });
+      setEditing(false);
+      toast.success("Note saved");
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Unable to save this note."));
+    },
+  });
+
+  const startEditing = () => {
+    if (!note) return;
+    setDraftTitle(note.title);
+    setDraftContent(note.contentText || note.content);
+    setEditing(true);
+  };
+
+  const handleSave = () => {
+    if (!draftTitle.trim() || !draftContent.trim()) {
+      toast.error("Title and content are required");
+      return;
+    }
+    saveMutation.mutate({ title: draftTitle.trim(), content: draftContent });
+  };
+
+  if (!token) {
+    return (
+      <UnavailableState
+        title="Share link missing"
+        message="This page needs a share token. Check the link you received and try again."
+      />
+    );
+  }
+
+  if (notebookQuery.isLoading) {
+    return (
+      <div className="min-h-screen bg-base-200">
+        <Navbar hideAuthLinks />
+        <div className="mx-auto max-w-5xl px-4 py-12">
+          <div className="mb-6 h-10 w-2/3 animate-pulse rounded-lg bg-base-300" />
+          <div className="grid gap-6 sm:grid-cols-2">
+            {Array.from({ length: 4 }).map((_, idx) => (
+              <NoteSkeleton key={idx} />
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (notebookQuery.isError || !notebookQuery.data?.notebook) {
+    const error = notebookQuery.error;
+    const isGone = axios.isAxiosError(error) && error.response?.status === 410;
+    return (
+      <UnavailableState
+        title={isGone ? "Link no longer active" : "Notebook unavailable"}
+        message={extractApiError(
+          error,
+          "This shared notebook could not be found or is no longer available.",
+        )}
+      />
+    );
+  }
+
+  const { notebook, role, expiresAt } = notebookQuery.data;
+  const expiresLabel = formatDateTime(expiresAt);
+
+  return (
+    <div className="min-h-screen bg-base-200">
+      <Navbar hideAuthLinks />
+      <main id="main-content" tabIndex={-1} className="mx-auto max-w-5xl px-4 py-12">
+        <header className="mb-8">
+          <div className="flex flex-wrap items-center gap-3">
+            <h1 className="text-3xl font-bold text-base-content">
+              {notebook.name}
+            </h1>
+            <span className="badge badge-outline gap-1">
+              {role === "editor" ? (
+                <PencilIcon className="size-3" />
+              ) : (
+                <EyeIcon className="size-3" />
+              )}
+              {role === "editor" ? "Can edit" : "View only"}
+            </span>
+          </div>
+          {notebook.description ? (
+            <p className="mt-3 text-base text-base-content/80">
+              {notebook.description}
+            </p>
+          ) : null}
+          {expiresLabel ? (
+            <p className="mt-2 text-xs text-base-content/60">
+              Link expires {expiresLabel}
+            </p>
+          ) : null}
+        </header>
+
+        {notes.length === 0 ? (
+          <div className="rounded-xl border border-base-300 bg-base-100 p-10 text-center">
+            <h2 className="text-2xl font-semibold text-base-content">
+              Nothing to show yet
+            </h2>
+            <p className="mt-3 text-sm text-base-content/70">
+              This notebook doesn't contain any notes.
+            </p>
+          </div>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-[16rem_1fr]">
+            <nav aria-label="Notes" className="space-y-1">
+              {notes.map((entry) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  onClick={() => setSelectedNoteId(entry.id)}
+                  className={`w-full truncate rounded-lg px-3 py-2 text-left text-sm transition ${
+                    entry.id === selectedNoteId
+                      ? "bg-primary/10 font-semibold text-primary"
+                      : "text-base-content/80 hover:bg-base-300/60"
+                  }`}
+                >
+                  {entry.title || "Untitled note"}
+                </button>
+              ))}
+            </nav>
+
+            <article className="rounded-xl border border-base-300 bg-base-100 p-6 shadow-sm sm:p-8">
+              {noteQuery.isLoading ? (
+                <div className="flex items-center gap-2 text-sm text-base-content/60">
+                  <LoaderIcon className="size-4 animate-spin" /> Loading note…
+                </div>
+              ) : !note ? (
+                <p className="text-sm text-base-content/70">
+                  Select a note to read it.
+                </p>
+              ) : editing ? (
+                <div className="space-y-4">
+                  <input
+                    type="text"
+                    className="input input-bordered w-full text-lg font-semibold"
+                    value={draftTitle}
+                    maxLength={200}
+                    onChange={(event) => setDraftTitle(event.target.value)}
+                    aria-label="Note title"
+                  />
+                  <textarea
+                    className="textarea textarea-bordered min-h-[20rem] w-full font-mono text-sm"
+                    value={draftContent}
+                    maxLength={50000}
+                    onChange={(event) => setDraftContent(event.target.value)}
+                    aria-label="Note content"
+                  />
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm gap-1"
+                      onClick={() => setEditing(false)}
+                      disabled={saveMutation.isPending}
+                    >
+                      <XIcon className="size-4" /> Cancel
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-primary btn-sm gap-1"
+                      onClick={handleSave}
+                      disabled={saveMutation.isPending}
+                    >
+                      {saveMutation.isPending ? (
+                        <LoaderIcon className="size-4 animate-spin" />
+                      ) : (
+                        <SaveIcon className="size-4" />
+                      )}
+                      Save
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <div className="flex items-start justify-between gap-4">
+                    <h2 className="text-2xl font-semibold text-base-content">
+                      {note.title || "Untitled note"}
+                    </h2>
+                    {canEdit ? (
+                      <button
+                        type="button"
+                        className="btn btn-outline btn-sm gap-1"
+                        onClick={startEditing}
+                      >
+                        <PencilIcon className="size-4" /> Edit
+                      </button>
+                    ) : null}
+                  </div>
+                  {note.tags.length ? (
+                    <div className="mt-3 flex flex-wrap gap-2">
+                      {note.tags.map((tag) => (
+                        <span key={tag} className="badge badge-outline">
+                          #{tag}
+                        </span>
+                      ))}
+                    </div>
+                  ) : null}
+                  {formatDateTime(note.updatedAt) ? (
+                    <p className="mt-2 text-xs text-base-content/60">
+                      Updated {formatDateTime(note.updatedAt)}
+                    </p>
+                  ) : null}
+                  <div className="divider" />
+                  {note.richContentHtml ? (
+                    <div
+                      className="prose max-w-none leading-relaxed text-base-content"
+                      dangerouslySetInnerHTML={{
+                        __html: sanitizeHtml(note.richContentHtml),
+                      }}
+                    />
+                  ) : (
+                    <div className="prose max-w-none whitespace-pre-wrap leading-relaxed text-base-content">
+                      {note.contentText || note.content || "This note has no content."}
+                    </div>
+                  )}
+                </>
+              )}
+            </article>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default SharedNotebookPage;
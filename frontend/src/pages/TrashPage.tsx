@@ -7,6 +7,7 @@ import { ArrowLeftIcon, RotateCcwIcon, Trash2Icon } from "lucide-react";
 import Navbar from "../Components/Navbar";
 import api from "../lib/axios";
 import { extractApiError } from "../lib/extractApiError";
+import useWorkspace from "../hooks/useWorkspace";
 
 interface TrashedNote {
   _id: string;
@@ -49,11 +50,16 @@ const formatRelative = (iso: string | null): string => {
 const TrashPage = () => {
   const queryClient = useQueryClient();
   const [pendingId, setPendingId] = useState<string | null>(null);
+  const { activeWorkspaceId, activeWorkspace } = useWorkspace();
 
   const trashQuery = useQuery({
-    queryKey: ["notes", "trash"],
+    queryKey: ["notes", "trash", activeWorkspaceId],
     queryFn: async () => {
-      const { data } = await api.get<TrashResponse>("/notes/trash");
+      const { data } = await api.get<TrashResponse>("/notes/trash", {
+        params: activeWorkspaceId
+          ? { workspaceId: activeWorkspaceId }
+          : undefined,
+      });
       return data;
     },
     staleTime: 30_000,
@@ -90,7 +96,11 @@ const TrashPage = () => {
 
   const emptyMutation = useMutation({
     mutationFn: async () => {
-      const { data } = await api.delete<{ purged: number }>("/notes/trash");
+      const { data } = await api.delete<{ purged: number }>("/notes/trash", {
+        params: activeWorkspaceId
+          ? { workspaceId: activeWorkspaceId }
+          : undefined,
+      });
       return data.purged ?? 0;
     },
     onSuccess: (count) => {
@@ -134,6 +144,7 @@ const TrashPage = () => {
             </Link>
             <h1 className="mt-2 text-2xl font-semibold">Trash</h1>
             <p className="text-sm text-base-content/60">
+              {activeWorkspace ? `${activeWorkspace.name} · ` : ""}
               Notes are permanently deleted {retentionDays} days after they are
               moved here.
             </p>
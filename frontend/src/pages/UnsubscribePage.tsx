@@ -0,0 +1,106 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { LoaderIcon, MailXIcon, RotateCcwIcon } from "lucide-react";
+import api from "../lib/axios";
+import { extractApiError } from "../lib/extractApiError";
+
+type UnsubscribeStatus = "working" | "success" | "error";
+
+/** Landing page for the unsubscribe link in activity digest emails. */
+const UnsubscribePage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [status, setStatus] = useState<UnsubscribeStatus>(
+    token ? "working" : "error",
+  );
+  const [errorMessage, setErrorMessage] = useState(
+    token ? "" : "This unsubscribe link is incomplete.",
+  );
+  const [email, setEmail] = useState("");
+  // StrictMode mounts effects twice; one request is enough.
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    api
+      .post("/auth/digest/unsubscribe", { token })
+      .then((response) => {
+        setEmail((response.data as { email?: string })?.email ?? "");
+        setStatus("success");
+      })
+      .catch((error: unknown) => {
+        setErrorMessage(
+          extractApiError(error, "We couldn't process this unsubscribe link."),
+        );
+        setStatus("error");
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-base-200">
+      <main
+        id="main-content"
+        tabIndex={-1}
+        className="flex min-h-screen items-center justify-center px-4 py-12"
+      >
+        <div className="w-full max-w-md">
+          <div className="card bg-base-100 shadow-xl">
+            <div className="card-body space-y-6 text-center">
+              {status === "working" && (
+                <>
+                  <div className="mx-auto flex size-14 items-center justify-center rounded-full bg-primary/10 text-primary">
+                    <LoaderIcon className="size-7 animate-spin" />
+                  </div>
+                  <h1 className="text-2xl font-semibold">Unsubscribing</h1>
+                </>
+              )}
+
+              {status === "success" && (
+                <>
+                  <div className="mx-auto flex size-14 items-center justify-center rounded-full bg-success/10 text-success">
+                    <MailXIcon className="size-7" />
+                  </div>
+                  <h1 className="text-2xl font-semibold">
+                    You&apos;re unsubscribed
+                  </h1>
+                  <p className="text-base-content/70">
+                    {email
+                      ? `${email} will no longer receive activity digests.`
+                      : "You will no longer receive activity digests."}{" "}
+                    You can turn them back on from your profile at any time.
+                  </p>
+                  <Link to="/profile" className="btn btn-outline w-full">
+                    Open profile settings
+                  </Link>
+                </>
+              )}
+
+              {status === "error" && (
+                <>
+                  <div className="mx-auto flex size-14 items-center justify-center rounded-full bg-error/10 text-error">
+                    <RotateCcwIcon className="size-7" />
+                  </div>
+                  <h1 className="text-2xl font-semibold">
+                    Unsubscribe failed
+                  </h1>
+                  <p className="text-base-content/70">{errorMessage}</p>
+                  <p className="text-sm text-base-content/60">
+                    You can also switch the digest off from your profile.
+                  </p>
+                  <Link to="/profile" className="btn btn-primary w-full">
+                    Open profile settings
+                  </Link>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default UnsubscribePage;
@@ -206,6 +206,7 @@ const authContextValue: AuthContextValue = {
   accessToken: "test-token",
   initializing: false,
   login: vi.fn(),
+  completeTwoFactorLogin: vi.fn(),
   register: vi.fn(),
   updateProfile: vi.fn(),
   changePassword: vi.fn(),
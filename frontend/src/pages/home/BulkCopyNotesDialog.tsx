@@ -0,0 +1,149 @@
+import { useMemo, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import api from "../../lib/axios";
+import { flattenNotebookTree } from "../../lib/notebookTree";
+import type { Notebook, WorkspaceSummary } from "../../types/api";
+
+const COPY_WORKSPACE_ROLES = new Set(["owner", "admin", "editor"]);
+
+export interface BulkCopyTarget {
+  workspaceId: string | null;
+  notebookId: string;
+}
+
+interface BulkCopyNotesDialogProps {
+  open: boolean;
+  workspaces: WorkspaceSummary[];
+  activeWorkspaceId: string | null;
+  initialNotebookId?: string | null;
+  onClose: () => void;
+  onSubmit: (target: BulkCopyTarget) => void;
+  loading: boolean;
+}
+
+export default function BulkCopyNotesDialog({
+  open,
+  workspaces,
+  activeWorkspaceId,
+  initialNotebookId,
+  onClose,
+  onSubmit,
+  loading,
+}: BulkCopyNotesDialogProps) {
+  const [workspaceId, setWorkspaceId] = useState(activeWorkspaceId ?? "");
+  const [notebookId, setNotebookId] = useState(
+    initialNotebookId || "uncategorized",
+  );
+
+  const writableWorkspaces = useMemo(
+    () =>
+      workspaces.filter((workspace) => COPY_WORKSPACE_ROLES.has(workspace.role)),
+    [workspaces],
+  );
+
+  // Same key and shape as the home page, so the active workspace is cached.
+  const notebooksQuery = useQuery({
+    queryKey: ["notebooks", workspaceId || null],
+    queryFn: async () => {
+      const response = await api.get("/notebooks", {
+        params: {
+          limit: 100,
+          ...(workspaceId ? { workspaceId } : {}),
+        },
+      });
+      const payload = response.data ?? {};
+      return {
+        notebooks: Array.isArray(payload.notebooks) ? payload.notebooks : [],
+        uncategorizedCount: payload.uncategorizedCount ?? 0,
+      };
+    },
+    enabled: open,
+    staleTime: 120_000,
+  });
+
+  const notebookOptions = useMemo(
+    () =>
+      flattenNotebookTree(
+        (notebooksQuery.data?.notebooks ?? []) as Notebook[],
+      ),
+    [notebooksQuery.data],
+  );
+
+  if (!open) return null;
+
+  const handleWorkspaceChange = (value: string) => {
+    setWorkspaceId(value);
+    setNotebookId("uncategorized");
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[95] flex items-center justify-center bg-black/40 px-3 py-4 sm:px-4 sm:py-10"
+      role="dialog"
+      aria-modal="true"
+      onClick={onClose}
+    >
+      <form
+        className="w-full max-w-sm sm:max-w-lg rounded-2xl border border-base-content/10 bg-base-100 p-4 sm:p-6 shadow-2xl"
+        onClick={(event) => event.stopPropagation()}
+        onSubmit={(event) => {
+          event.preventDefault();
+          onSubmit({ workspaceId: workspaceId || null, notebookId });
+        }}
+      >
+        <h3 className="text-lg font-semibold">Copy notes</h3>
+        <p className="mt-1 text-sm text-base-content/60">
+          Copies keep their content, tags and attachments. Comments and
+          history stay with the originals.
+        </p>
+        <div className="mt-4 space-y-2">
+          {writableWorkspaces.length > 1 ? (
+            <select
+              className="select select-bordered w-full"
+              value={workspaceId}
+              onChange={(event) => handleWorkspaceChange(event.target.value)}
+              aria-label="Destination workspace"
+            >
+              {writableWorkspaces.map((workspace) => (
+                <option key={workspace.id} value={workspace.id}>
+                  {workspace.name}
+                </option>
+              ))}
+            </select>
+          ) : null}
+          <select
+            className="select select-bordered w-full"
+            value={notebookId}
+            onChange={(event) => setNotebookId(event.target.value)}
+            aria-label="Destination notebook"
+            disabled={notebooksQuery.isLoading}
+          >
+            <option value="uncategorized">Uncategorized</option>
+            {notebookOptions.map(({ notebook, depth }) => (
+              <option key={notebook.id} value={notebook.id}>
+                {`${"  ".repeat(depth)}${notebook.name}`}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mt-6 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm"
+            disabled={loading || notebooksQuery.isLoading}
+          >
+            {loading ? "Copying..." : "Copy notes"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
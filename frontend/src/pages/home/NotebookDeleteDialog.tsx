@@ -11,6 +11,9 @@ export interface DeleteState {
   mode: string;
   targetNotebookId: string;
   deleteCollaborative: boolean;
+  children?: "lift" | "delete";
+  /** Ids of every notebook below this one. */
+  descendantIds?: string[];
 }
 
 interface NotebookDeleteDialogProps {
@@ -34,6 +37,14 @@ export default function NotebookDeleteDialog({
 }: NotebookDeleteDialogProps) {
   if (!deleteState) return null;
 
+  const descendantIds = deleteState.descendantIds ?? [];
+  const childrenMode = deleteState.children ?? "lift";
+  // Notes cannot move into a notebook that is deleted along with this one.
+  const unavailableTargets = new Set([
+    deleteState.notebook.id,
+    ...(childrenMode === "delete" ? descendantIds : []),
+  ]);
+
   return (
     <div
       className="fixed inset-0 z-[95] flex items-center justify-center bg-black/40 px-4 py-10"
@@ -55,11 +66,62 @@ export default function NotebookDeleteDialog({
               {deleteState.notebook?.noteCount
                 ? `${deleteState.notebook.noteCount} notes are inside this notebook.`
                 : "This notebook is empty."}
+              {descendantIds.length
+                ? ` It contains ${descendantIds.length} sub-notebook${
+                    descendantIds.length === 1 ? "" : "s"
+                  }.`
+                : ""}
             </p>
           </div>
         </div>
 
-        {deleteState.notebook?.noteCount ? (
+        {descendantIds.length ? (
+          <div className="mt-4 space-y-2">
+            <p className="text-sm font-medium">Sub-notebooks</p>
+            <label className="flex items-center gap-3 text-sm">
+              <input
+                type="radio"
+                name="notebook-delete-children"
+                className="radio radio-sm"
+                checked={childrenMode === "lift"}
+                onChange={() =>
+                  onUpdateState((prev) =>
+                    prev ? { ...prev, children: "lift" } : prev,
+                  )
+                }
+              />
+              <span>Keep them, moved up one level</span>
+            </label>
+            <label className="flex items-center gap-3 text-sm">
+              <input
+                type="radio"
+                name="notebook-delete-children"
+                className="radio radio-sm"
+                checked={childrenMode === "delete"}
+                onChange={() =>
+                  onUpdateState((prev) =>
+                    prev
+                      ? {
+                          ...prev,
+                          children: "delete",
+                          targetNotebookId: descendantIds.includes(
+                            prev.targetNotebookId,
+                          )
+                            ? "uncategorized"
+                            : prev.targetNotebookId,
+                        }
+                      : prev,
+                  )
+                }
+              />
+              <span className="text-error">
+                Delete them too, handling their notes the same way
+              </span>
+            </label>
+          </div>
+        ) : null}
+
+        {deleteState.notebook?.noteCount || descendantIds.length ? (
           <div className="mt-4 space-y-3">
             <label className="flex items-start gap-3 rounded-xl border border-base-300/60 bg-base-200/70 px-4 py-3">
               <input
@@ -93,7 +155,7 @@ export default function NotebookDeleteDialog({
                 >
                   <option value="uncategorized">Uncategorized</option>
                   {notebooks
-                    .filter((entry) => entry.id !== deleteState.notebook.id)
+                    .filter((entry) => !unavailableTargets.has(entry.id))
                     .map((entry) => (
                       <option key={entry.id} value={entry.id}>
                         {entry.name}
@@ -0,0 +1,85 @@
+import { useState } from "react";
+
+interface NotebookDuplicateDialogProps {
+  notebook: { id?: string; name?: string } | null;
+  onClose: () => void;
+  onSubmit: (args: { name: string; includeMembers: boolean }) => Promise<void>;
+  loading: boolean;
+}
+
+export default function NotebookDuplicateDialog({
+  notebook,
+  onClose,
+  onSubmit,
+  loading,
+}: NotebookDuplicateDialogProps) {
+  const [nameInput, setNameInput] = useState(
+    notebook?.name ? `${notebook.name.slice(0, 113)} (copy)` : "",
+  );
+  const [includeMembers, setIncludeMembers] = useState(false);
+
+  if (!notebook) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[95] flex items-center justify-center bg-black/40 px-3 py-4 sm:px-4 sm:py-10"
+      role="dialog"
+      aria-modal="true"
+      onClick={onClose}
+    >
+      <form
+        className="w-full max-w-sm sm:max-w-lg rounded-2xl border border-base-content/10 bg-base-100 p-4 sm:p-6 shadow-2xl"
+        onClick={(event) => event.stopPropagation()}
+        onSubmit={(event) => {
+          event.preventDefault();
+          void onSubmit({ name: nameInput.trim(), includeMembers });
+        }}
+      >
+        <h3 className="text-lg font-semibold">
+          Duplicate {notebook.name ?? "notebook"}
+        </h3>
+        <p className="mt-1 text-sm text-base-content/60">
+          Notes are copied with their tags, order and attachments.
+          Sub-notebooks are not included.
+        </p>
+        <div className="mt-4 space-y-3">
+          <input
+            type="text"
+            className="input input-bordered w-full"
+            value={nameInput}
+            maxLength={120}
+            onChange={(event) => setNameInput(event.target.value)}
+            aria-label="Name of the copy"
+            autoFocus
+          />
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm"
+              checked={includeMembers}
+              onChange={(event) => setIncludeMembers(event.target.checked)}
+            />
+            Copy members
+          </label>
+        </div>
+        <div className="mt-6 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm"
+            disabled={loading}
+          >
+            {loading ? "Duplicating..." : "Duplicate notebook"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -1,21 +1,41 @@
-import { useState } from "react";
+import { useMemo, useState } from "react";
 import { CheckIcon, NotebookIcon } from "lucide-react";
 import { NOTEBOOK_COLORS, NOTEBOOK_ICONS } from "@shared/notebookOptions";
+import { flattenNotebookTree } from "../../lib/notebookTree";
 import { notebookIconComponents } from "./homePageUtils";
 
+interface NotebookOption {
+  id: string;
+  name: string;
+  parentId?: string | null;
+}
+
 interface NotebookFormDialogProps {
-  formState: { mode: string; notebook?: { id?: string; name?: string; color?: string | null; icon?: string | null } } | null;
+  formState: {
+    mode: string;
+    notebook?: {
+      id?: string;
+      name?: string;
+      color?: string | null;
+      icon?: string | null;
+    };
+    parentId?: string | null;
+  } | null;
+  /** Candidate parents offered when creating a notebook. */
+  notebooks?: NotebookOption[];
   onClose: () => void;
   onSubmit: (payload: {
     name: string;
     color: string | null;
     icon: string | null;
+    parentId?: string | null;
   }) => Promise<void>;
   loading: boolean;
 }
 
 export default function NotebookFormDialog({
   formState,
+  notebooks = [],
   onClose,
   onSubmit,
   loading,
@@ -29,8 +49,11 @@ export default function NotebookFormDialog({
   const [iconInput, setIconInput] = useState<string | null>(
     formState?.mode === "edit" ? (formState.notebook?.icon ?? null) : null,
   );
+  const [parentInput, setParentInput] = useState(formState?.parentId ?? "");
+  const parentRows = useMemo(() => flattenNotebookTree(notebooks), [notebooks]);
 
   if (!formState) return null;
+  const isCreate = formState.mode !== "edit";
 
   const handleSubmit = async (event: React.FormEvent) => {
     event.preventDefault();
@@ -38,6 +61,7 @@ export default function NotebookFormDialog({
       name: nameInput.trim(),
       color: colorInput,
       icon: iconInput,
+      ...(isCreate ? { parentId: parentInput || null } : {}),
     });
   };
 
@@ -75,6 +99,25 @@ export default function NotebookFormDialog({
             autoFocus
           />
         </label>
+        {isCreate && parentRows.length > 0 ? (
+          <label className="form-control mt-4">
+            <span className="label">
+              <span className="label-text">Inside</span>
+            </span>
+            <select
+              className="select select-bordered"
+              value={parentInput}
+              onChange={(event) => setParentInput(event.target.value)}
+            >
+              <option value="">Top level</option>
+              {parentRows.map(({ notebook, depth }) => (
+                <option key={notebook.id} value={notebook.id}>
+                  {`${"\u00a0\u00a0".repeat(depth)}${notebook.name}`}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : null}
         <div className="mt-6">
           <div className="flex items-center justify-between">
             <span className="text-sm font-medium text-base-content">
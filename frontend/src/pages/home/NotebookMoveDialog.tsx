@@ -0,0 +1,100 @@
+import { useMemo, useState } from "react";
+import {
+  collectNotebookSubtreeIds,
+  flattenNotebookTree,
+} from "../../lib/notebookTree";
+
+interface NotebookOption {
+  id: string;
+  name: string;
+  parentId?: string | null;
+}
+
+interface NotebookMoveDialogProps {
+  notebook: { id?: string; name?: string; parentId?: string | null } | null;
+  notebooks: NotebookOption[];
+  onClose: () => void;
+  onSubmit: (parentId: string | null) => Promise<void>;
+  loading: boolean;
+}
+
+export default function NotebookMoveDialog({
+  notebook,
+  notebooks,
+  onClose,
+  onSubmit,
+  loading,
+}: NotebookMoveDialogProps) {
+  const [parentInput, setParentInput] = useState(notebook?.parentId ?? "");
+
+  // A notebook cannot move into itself or anything below it.
+  const options = useMemo(() => {
+    if (!notebook?.id) return [];
+    const excluded = collectNotebookSubtreeIds(notebooks, notebook.id);
+    return flattenNotebookTree(
+      notebooks.filter((entry) => !excluded.has(entry.id)),
+    );
+  }, [notebook?.id, notebooks]);
+
+  if (!notebook) return null;
+
+  const unchanged = parentInput === (notebook.parentId ?? "");
+
+  return (
+    <div
+      className="fixed inset-0 z-[95] flex items-center justify-center bg-black/40 px-3 py-4 sm:px-4 sm:py-10"
+      role="dialog"
+      aria-modal="true"
+      onClick={onClose}
+    >
+      <form
+        className="w-full max-w-sm sm:max-w-lg rounded-2xl border border-base-content/10 bg-base-100 p-4 sm:p-6 shadow-2xl"
+        onClick={(event) => event.stopPropagation()}
+        onSubmit={(event) => {
+          event.preventDefault();
+          void onSubmit(parentInput || null);
+        }}
+      >
+        <h3 className="text-lg font-semibold">
+          Move {notebook.name ?? "notebook"}
+        </h3>
+        <p className="mt-1 text-sm text-base-content/60">
+          Sub-notebooks and notes move along with it. Members of the new
+          parent gain access unless this notebook overrides them.
+        </p>
+        <div className="mt-4 space-y-2">
+          <select
+            className="select select-bordered w-full"
+            value={parentInput}
+            onChange={(event) => setParentInput(event.target.value)}
+            aria-label="New parent notebook"
+          >
+            <option value="">Top level</option>
+            {options.map(({ notebook: entry, depth }) => (
+              <option key={entry.id} value={entry.id}>
+                {`${"  ".repeat(depth)}${entry.name}`}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mt-6 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm"
+            disabled={loading || unchanged}
+          >
+            {loading ? "Moving..." : "Move notebook"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -123,10 +123,13 @@ export const savedSortToSortOrder = (sortSpec: Record<string, unknown> | null |
 export const BULK_SUCCESS_MESSAGES: Record<string, string> = {
   pin: "Pinned selected notes",
   unpin: "Unpinned selected notes",
+  archive: "Archived selected notes",
+  unarchive: "Restored selected notes from the archive",
   delete: "Deleted selected notes",
   addTags: "Tags added to selected notes",
   move: "Moved notes to the chosen board",
   moveNotebook: "Updated notebooks for selected notes",
+  copy: "Copied selected notes",
 };
 
 export const notebookIconComponents: Record<string, React.ComponentType<{ className?: string }>> = {
@@ -3,6 +3,7 @@ import { toast } from "sonner";
 import type { QueryClient } from "@tanstack/react-query";
 import api from "../../lib/axios";
 import { extractApiError } from "../../lib/extractApiError";
+import { collectNotebookSubtreeIds } from "../../lib/notebookTree";
 import type {
   DeleteNotebookPayload,
   NotebookFormState,
@@ -14,6 +15,7 @@ interface NotebookLike {
   id?: string;
   _id?: string;
   name?: string;
+  parentId?: string | null;
   noteCount?: number;
   [key: string]: unknown;
 }
@@ -21,6 +23,8 @@ interface NotebookLike {
 interface UseNotebookCrudArgs {
   notebooks: NotebookLike[];
   activeNotebookId: string;
+  /** New notebooks are created in this workspace when set. */
+  activeWorkspaceId?: string | null;
   handleSelectNotebook: (id: string) => void;
   invalidateNotesCaches: () => Promise<unknown>;
   queryClient: QueryClient;
@@ -30,6 +34,12 @@ interface NotebookFormSubmitArgs {
   name: string;
   color: string | null;
   icon: string | null;
+  parentId?: string | null;
+}
+
+interface NotebookDuplicateSubmitArgs {
+  name: string;
+  includeMembers: boolean;
 }
 
 interface UseNotebookCrudResult {
@@ -39,9 +49,20 @@ interface UseNotebookCrudResult {
   notebookDeleteLoading: boolean;
   setNotebookDeleteState: Dispatch<SetStateAction<DeleteState | null>>;
   openCreateNotebook: () => void;
+  openCreateChildNotebook: (parent: NotebookLike | null | undefined) => void;
   openRenameNotebook: (notebook: NotebookRef | null | undefined) => void;
   closeNotebookForm: () => void;
   submitNotebookForm: (args: NotebookFormSubmitArgs) => Promise<void>;
+  notebookMoveTarget: NotebookLike | null;
+  notebookMoveLoading: boolean;
+  openMoveNotebook: (notebook: NotebookLike | null | undefined) => void;
+  closeNotebookMove: () => void;
+  submitNotebookMove: (parentId: string | null) => Promise<void>;
+  notebookDuplicateTarget: NotebookLike | null;
+  notebookDuplicateLoading: boolean;
+  openDuplicateNotebook: (notebook: NotebookLike | null | undefined) => void;
+  closeNotebookDuplicate: () => void;
+  submitNotebookDuplicate: (args: NotebookDuplicateSubmitArgs) => Promise<void>;
   openDeleteNotebook: (notebook: NotebookLike | null | undefined) => void;
   closeNotebookDelete: () => void;
   confirmNotebookDelete: () => Promise<void>;
@@ -50,6 +71,7 @@ interface UseNotebookCrudResult {
 export function useNotebookCrud({
   notebooks,
   activeNotebookId,
+  activeWorkspaceId = null,
   handleSelectNotebook,
   invalidateNotesCaches,
   queryClient,
@@ -60,11 +82,26 @@ export function useNotebookCrud({
     useState<DeleteState | null>(null);
   const [notebookFormLoading, setNotebookFormLoading] = useState(false);
   const [notebookDeleteLoading, setNotebookDeleteLoading] = useState(false);
+  const [notebookMoveTarget, setNotebookMoveTarget] =
+    useState<NotebookLike | null>(null);
+  const [notebookMoveLoading, setNotebookMoveLoading] = useState(false);
+  const [notebookDuplicateTarget, setNotebookDuplicateTarget] =
+    useState<NotebookLike | null>(null);
+  const [notebookDuplicateLoading, setNotebookDuplicateLoading] =
+    useState(false);
 
   const openCreateNotebook = useCallback(() => {
     setNotebookFormState({ mode: "create" });
   }, []);
 
+  const openCreateChildNotebook = useCallback(
+    (parent: NotebookLike | null | undefined) => {
+      if (!parent?.id) return;
+      setNotebookFormState({ mode: "create", parentId: parent.id });
+    },
+    [],
+  );
+
   const openRenameNotebook = useCallback(
     (notebook: NotebookRef | null | undefined) => {
       if (!notebook) return;
@@ -79,7 +116,7 @@ export function useNotebookCrud({
   }, []);
 
   const submitNotebookForm = useCallback(
-    async ({ name, color, icon }: NotebookFormSubmitArgs) => {
+    async ({ name, color, icon, parentId = null }: NotebookFormSubmitArgs) => {
       if (!name) {
         toast.error("Notebook name is required");
         return;
@@ -96,7 +133,11 @@ export function useNotebookCrud({
           );
           toast.success("Notebook renamed");
         } else {
-          response = await api.post("/notebooks", payload);
+          response = await api.post("/notebooks", {
+            ...payload,
+            ...(parentId ? { parentId } : {}),
+            ...(activeWorkspaceId ? { workspaceId: activeWorkspaceId } : {}),
+          });
           toast.success("Notebook created");
         }
         await queryClient.invalidateQueries({ queryKey: ["notebooks"] });
@@ -113,6 +154,7 @@ export function useNotebookCrud({
       }
     },
     [
+      activeWorkspaceId,
       closeNotebookForm,
       handleSelectNotebook,
       notebookFormState,
@@ -120,17 +162,106 @@ export function useNotebookCrud({
     ],
   );
 
+  const openMoveNotebook = useCallback(
+    (notebook: NotebookLike | null | undefined) => {
+      if (!notebook?.id) return;
+      setNotebookMoveTarget(notebook);
+    },
+    [],
+  );
+
+  const closeNotebookMove = useCallback(() => {
+    setNotebookMoveTarget(null);
+    setNotebookMoveLoading(false);
+  }, []);
+
+  const submitNotebookMove = useCallback(
+    async (parentId: string | null) => {
+      if (!notebookMoveTarget?.id) return;
+      setNotebookMoveLoading(true);
+      try {
+        await api.put(`/notebooks/${notebookMoveTarget.id}/parent`, {
+          parentId,
+        });
+        toast.success(`Moved ${notebookMoveTarget.name ?? "notebook"}`);
+        await queryClient.invalidateQueries({ queryKey: ["notebooks"] });
+        closeNotebookMove();
+      } catch (error: unknown) {
+        toast.error(extractApiError(error, "Unable to move notebook"));
+      } finally {
+        setNotebookMoveLoading(false);
+      }
+    },
+    [closeNotebookMove, notebookMoveTarget, queryClient],
+  );
+
+  const openDuplicateNotebook = useCallback(
+    (notebook: NotebookLike | null | undefined) => {
+      if (!notebook?.id) return;
+      setNotebookDuplicateTarget(notebook);
+    },
+    [],
+  );
+
+  const closeNotebookDuplicate = useCallback(() => {
+    setNotebookDuplicateTarget(null);
+    setNotebookDuplicateLoading(false);
+  }, []);
+
+  const submitNotebookDuplicate = useCallback(
+    async ({ name, includeMembers }: NotebookDuplicateSubmitArgs) => {
+      if (!notebookDuplicateTarget?.id) return;
+      setNotebookDuplicateLoading(true);
+      try {
+        const response = await api.post(
+          `/notebooks/${notebookDuplicateTarget.id}/duplicate`,
+          {
+            ...(name ? { name } : {}),
+            includeMembers,
+          },
+        );
+        toast.success(`Created ${response.data?.name ?? "notebook copy"}`);
+        await queryClient.invalidateQueries({ queryKey: ["notebooks"] });
+        await queryClient.invalidateQueries({ queryKey: ["notes"] });
+        const createdId = response.data?.id;
+        if (createdId) handleSelectNotebook(createdId);
+        closeNotebookDuplicate();
+      } catch (error: unknown) {
+        toast.error(extractApiError(error, "Unable to duplicate notebook"));
+      } finally {
+        setNotebookDuplicateLoading(false);
+      }
+    },
+    [
+      closeNotebookDuplicate,
+      handleSelectNotebook,
+      notebookDuplicateTarget,
+      queryClient,
+    ],
+  );
+
   const openDeleteNotebook = useCallback(
     (notebook: NotebookLike | null | undefined) => {
-      if (!notebook) return;
+      if (!notebook?.id) return;
+      const treeNodes = notebooks
+        .filter((entry): entry is NotebookLike & { id: string } =>
+          Boolean(entry.id),
+        )
+        .map((entry) => ({ id: entry.id, parentId: entry.parentId ?? null }));
+      const subtree = collectNotebookSubtreeIds(treeNodes, notebook.id);
+      const descendantIds = Array.from(subtree).filter(
+        (id) => id !== notebook.id,
+      );
       const fallbackTarget =
-        notebooks.find((entry) => entry.id !== notebook.id)?.id ??
+        notebooks.find((entry) => entry.id && !subtree.has(entry.id))?.id ??
         "uncategorized";
       setNotebookDeleteState({
         notebook,
         mode: notebook.noteCount ? "move" : "delete",
         targetNotebookId: fallbackTarget,
         deleteCollaborative: false,
+        children: "lift",
+        descendantIds,
       } as DeleteState);
     },
     [notebooks],
@@ -143,10 +274,14 @@ export function useNotebookCrud({
 
   const confirmNotebookDelete = useCallback(async () => {
     if (!notebookDeleteState?.notebook) return;
-    const { notebook, mode, targetNotebookId, deleteCollaborative } =
+    const { notebook, mode, targetNotebookId, deleteCollaborative, children } =
       notebookDeleteState;
 
-    const payload: DeleteNotebookPayload = { mode, deleteCollaborative };
+    const payload: DeleteNotebookPayload = {
+      mode,
+      deleteCollaborative,
+      children: children ?? "lift",
+    };
     if (mode === "move") {
       if (targetNotebookId && targetNotebookId !== "uncategorized") {
         payload.targetNotebookId = targetNotebookId;
@@ -188,9 +323,20 @@ export function useNotebookCrud({
     notebookDeleteLoading,
     setNotebookDeleteState,
     openCreateNotebook,
+    openCreateChildNotebook,
     openRenameNotebook,
     closeNotebookForm,
     submitNotebookForm,
+    notebookMoveTarget,
+    notebookMoveLoading,
+    openMoveNotebook,
+    closeNotebookMove,
+    submitNotebookMove,
+    notebookDuplicateTarget,
+    notebookDuplicateLoading,
+    openDuplicateNotebook,
+    closeNotebookDuplicate,
+    submitNotebookDuplicate,
     openDeleteNotebook,
     closeNotebookDelete,
     confirmNotebookDelete,
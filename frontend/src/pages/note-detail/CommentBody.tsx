@@ -0,0 +1,33 @@
+import { Fragment } from "react";
+
+/** Mirrors the backend token format: `@[Name](userId)`. */
+const MENTION_TOKEN_PATTERN = /@\[([^\]\n]{1,100})\]\(([0-9a-fA-F]{24})\)/g;
+
+/** Render a comment body with mention tokens shown as chips. */
+const CommentBody = ({ body }: { body: string }) => {
+  const parts: (string | { name: string; id: string })[] = [];
+  let lastIndex = 0;
+  for (const match of body.matchAll(MENTION_TOKEN_PATTERN)) {
+    const index = match.index ?? 0;
+    if (index > lastIndex) parts.push(body.slice(lastIndex, index));
+    parts.push({ name: match[1], id: match[2] });
+    lastIndex = index + match[0].length;
+  }
+  if (lastIndex < body.length) parts.push(body.slice(lastIndex));
+
+  return (
+    <>
+      {parts.map((part, index) =>
+        typeof part === "string" ? (
+          <Fragment key={index}>{part}</Fragment>
+        ) : (
+          <span key={index} className="note-mention">
+            @{part.name}
+          </span>
+        ),
+      )}
+    </>
+  );
+};
+
+export default CommentBody;
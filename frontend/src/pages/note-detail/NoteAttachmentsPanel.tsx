@@ -0,0 +1,181 @@
+import { useRef } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  DownloadIcon,
+  FileIcon,
+  ImageIcon,
+  PaperclipIcon,
+  Trash2Icon,
+  UploadIcon,
+} from "lucide-react";
+import { toast } from "sonner";
+import api from "../../lib/axios";
+import { extractApiError } from "../../lib/extractApiError";
+import {
+  MAX_ATTACHMENT_BYTES,
+  downloadNoteAttachment,
+  formatFileSize,
+  uploadNoteAttachment,
+} from "../../lib/attachments";
+import type { NoteAttachment, NoteAttachmentsResponse } from "../../types/api";
+
+interface NoteAttachmentsPanelProps {
+  noteId: string;
+  canEdit: boolean;
+}
+
+/** Files attached to the note. Images can also be placed inline via `/image`. */
+const NoteAttachmentsPanel = ({ noteId, canEdit }: NoteAttachmentsPanelProps) => {
+  const queryClient = useQueryClient();
+  const inputRef = useRef<HTMLInputElement>(null);
+  const queryKey = ["note-attachments", noteId];
+
+  const { data, isLoading } = useQuery<NoteAttachmentsResponse>({
+    queryKey,
+    queryFn: async () => {
+      const res = await api.get(`/notes/${noteId}/attachments`);
+      return res.data;
+    },
+    staleTime: 30_000,
+  });
+
+  const uploadMutation = useMutation({
+    mutationFn: (file: File) => uploadNoteAttachment(noteId, file),
+    onSuccess: (attachment) => {
+      toast.success(`Attached ${attachment.fileName}`);
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to upload attachment"));
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: async (attachment: NoteAttachment) => {
+      await api.delete(`/notes/${noteId}/attachments/${attachment.id}`);
+      return attachment;
+    },
+    onSuccess: (attachment) => {
+      toast.success(`Removed ${attachment.fileName}`);
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: (error) => {
+      toast.error(extractApiError(error, "Failed to remove attachment"));
+    },
+  });
+
+  const handleFiles = (files: FileList | null) => {
+    for (const file of Array.from(files ?? [])) {
+      if (file.size > MAX_ATTACHMENT_BYTES) {
+        toast.error(`${file.name} is too large (max 10 MB)`);
+        continue;
+      }
+      uploadMutation.mutate(file);
+    }
+  };
+
+  const handleDownload = async (attachment: NoteAttachment) => {
+    try {
+      await downloadNoteAttachment(attachment);
+    } catch (error) {
+      toast.error(extractApiError(error, "Failed to download attachment"));
+    }
+  };
+
+  const attachments = data?.attachments ?? [];
+
+  if (isLoading) return null;
+  if (!attachments.length && !canEdit) return null;
+
+  return (
+    <section className="mt-10 border-t border-base-300/40 pt-5">
+      <div className="mb-3 flex items-center justify-between gap-3">
+        <h2 className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-base-content/50">
+          <PaperclipIcon className="size-3.5" />
+          Attachments
+          {attachments.length ? (
+            <span className="badge badge-ghost badge-sm">{attachments.length}</span>
+          ) : null}
+        </h2>
+        {canEdit ? (
+          <>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs gap-1.5"
+              onClick={() => inputRef.current?.click()}
+              disabled={uploadMutation.isPending}
+            >
+              {uploadMutation.isPending ? (
+                <span className="loading loading-spinner loading-xs" />
+              ) : (
+                <UploadIcon className="size-3.5" />
+              )}
+              Attach file
+            </button>
+            <input
+              ref={inputRef}
+              type="file"
+              multiple
+              className="hidden"
+              onChange={(event) => {
+                handleFiles(event.target.files);
+                event.target.value = "";
+              }}
+            />
+          </>
+        ) : null}
+      </div>
+      {attachments.length === 0 ? (
+        <p className="text-sm text-base-content/40">
+          No files yet. Paste or drop an image into the note, or attach any file
+          up to 10 MB.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {attachments.map((attachment) => {
+            const Icon = attachment.kind === "image" ? ImageIcon : FileIcon;
+            return (
+              <li
+                key={attachment.id}
+                className="flex items-center gap-3 rounded-lg border border-base-300/50 bg-base-200/40 px-3 py-2"
+              >
+                <Icon className="size-4 shrink-0 text-base-content/50" />
+                <span className="min-w-0 flex-1">
+                  <span className="block truncate text-sm font-medium text-base-content">
+                    {attachment.fileName}
+                  </span>
+                  <span className="block text-[11px] text-base-content/40">
+                    {formatFileSize(attachment.size)}
+                  </span>
+                </span>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-xs btn-square"
+                  title="Download"
+                  aria-label={`Download ${attachment.fileName}`}
+                  onClick={() => handleDownload(attachment)}
+                >
+                  <DownloadIcon className="size-3.5" />
+                </button>
+                {canEdit ? (
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs btn-square text-error"
+                    title="Remove"
+                    aria-label={`Remove ${attachment.fileName}`}
+                    disabled={deleteMutation.isPending}
+                    onClick={() => deleteMutation.mutate(attachment)}
+                  >
+                    <Trash2Icon className="size-3.5" />
+                  </button>
+                ) : null}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default NoteAttachmentsPanel;
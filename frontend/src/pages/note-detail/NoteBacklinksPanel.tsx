@@ -0,0 +1,74 @@
+import { Link } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { LinkIcon } from "lucide-react";
+import api from "../../lib/axios";
+import { formatRelativeTime } from "../../lib/Utils";
+import type { NoteBacklinksResponse } from "../../types/api";
+
+const BACKLINKS_REFRESH_MS = 60_000;
+
+interface NoteBacklinksPanelProps {
+  noteId: string;
+}
+
+/** "Linked from" list: other notes that reference this one with `[[…]]`. */
+const NoteBacklinksPanel = ({ noteId }: NoteBacklinksPanelProps) => {
+  const { data, isLoading } = useQuery<NoteBacklinksResponse>({
+    queryKey: ["note-backlinks", noteId],
+    queryFn: async () => {
+      const res = await api.get(`/notes/${noteId}/backlinks`);
+      return res.data;
+    },
+    staleTime: 30_000,
+    refetchInterval: BACKLINKS_REFRESH_MS,
+  });
+
+  const backlinks = data?.backlinks ?? [];
+
+  if (isLoading) return null;
+
+  return (
+    <section className="mt-10 border-t border-base-300/40 pt-5">
+      <h2 className="mb-3 flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-base-content/50">
+        <LinkIcon className="size-3.5" />
+        Linked from
+        {backlinks.length ? (
+          <span className="badge badge-ghost badge-sm">{backlinks.length}</span>
+        ) : null}
+      </h2>
+      {backlinks.length === 0 ? (
+        <p className="text-sm text-base-content/40">
+          No other notes link here yet. Type <kbd className="kbd kbd-xs">[[</kbd>{" "}
+          in a note to link to this one.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {backlinks.map((backlink) => (
+            <li key={backlink.id}>
+              <Link
+                to={`/note/${backlink.id}`}
+                className="block rounded-lg border border-base-300/50 bg-base-200/40 px-3 py-2 transition-colors hover:border-primary/40 hover:bg-base-200/70"
+              >
+                <span className="flex items-baseline justify-between gap-3">
+                  <span className="truncate text-sm font-medium text-base-content">
+                    {backlink.title}
+                  </span>
+                  <span className="shrink-0 text-[11px] text-base-content/40">
+                    {formatRelativeTime(new Date(backlink.updatedAt))}
+                  </span>
+                </span>
+                {backlink.excerpt ? (
+                  <span className="mt-1 block text-xs text-base-content/60 line-clamp-2">
+                    {backlink.excerpt}
+                  </span>
+                ) : null}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default NoteBacklinksPanel;
@@ -0,0 +1,465 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  CheckCircle2Icon,
+  LoaderIcon,
+  MessageSquareIcon,
+  PencilIcon,
+  RotateCcwIcon,
+  Trash2Icon,
+  XIcon,
+} from "lucide-react";
+import { formatRelativeTime } from "../../lib/Utils";
+import type {
+  NoteComment,
+  NoteCommentAnchor,
+  NoteCommentThread,
+} from "../../types/api";
+import type { UseNoteCommentsResult } from "./useNoteComments";
+import SuggestionList from "../../Components/SuggestionList";
+import CommentBody from "./CommentBody";
+import { useCommentMentions } from "./useCommentMentions";
+
+const MAX_COMMENT_LENGTH = 5000;
+
+interface NoteCommentsPanelProps {
+  open: boolean;
+  onClose: () => void;
+  comments: UseNoteCommentsResult;
+  activeThreadId: string | null;
+  onSelectThread: (threadId: string | null) => void;
+  pendingAnchor: NoteCommentAnchor | null;
+  onCancelPending: () => void;
+}
+
+interface CommentComposerProps {
+  noteId: string | null;
+  placeholder: string;
+  submitLabel: string;
+  initialValue?: string;
+  autoFocus?: boolean;
+  submitting: boolean;
+  onSubmit: (body: string) => Promise<boolean>;
+  onCancel?: () => void;
+}
+
+const CommentComposer = ({
+  noteId,
+  placeholder,
+  submitLabel,
+  initialValue = "",
+  autoFocus = false,
+  submitting,
+  onSubmit,
+  onCancel,
+}: CommentComposerProps) => {
+  const [value, setValue] = useState(initialValue);
+  const textareaRef = useRef<HTMLTextAreaElement | null>(null);
+  const mentions = useCommentMentions(noteId, value, setValue, textareaRef);
+  const trimmed = value.trim();
+
+  const handleSubmit = async () => {
+    if (!trimmed || submitting) return;
+    const ok = await onSubmit(trimmed);
+    if (ok) setValue("");
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          className="textarea textarea-bordered textarea-sm w-full min-h-[4rem] text-sm"
+          placeholder={placeholder}
+          value={value}
+          maxLength={MAX_COMMENT_LENGTH}
+          autoFocus={autoFocus}
+          onChange={(event) => {
+            setValue(event.target.value);
+            mentions.updateFromCaret(
+              event.target.value,
+              event.target.selectionStart ?? event.target.value.length,
+            );
+          }}
+          onBlur={mentions.close}
+          onKeyDown={(event) => {
+            if (mentions.open && mentions.handleKeyDown(event)) {
+              event.preventDefault();
+              return;
+            }
+            if (event.key === "Enter" && (event.metaKey || event.ctrlKey)) {
+              event.preventDefault();
+              void handleSubmit();
+            }
+          }}
+        />
+        {mentions.open ? (
+          <div className="absolute left-0 top-full z-10 mt-1">
+            <SuggestionList
+              ref={mentions.listRef}
+              items={mentions.items}
+              command={mentions.select}
+              emptyLabel="No matching people"
+            />
+          </div>
+        ) : null}
+      </div>
+      <div className="flex justify-end gap-2">
+        {onCancel ? (
+          <button
+            type="button"
+            className="btn btn-ghost btn-xs"
+            onClick={onCancel}
+            disabled={submitting}
+          >
+            Cancel
+          </button>
+        ) : null}
+        <button
+          type="button"
+          className="btn btn-primary btn-xs"
+          onClick={() => void handleSubmit()}
+          disabled={!trimmed || submitting}
+        >
+          {submitting ? <LoaderIcon className="size-3 animate-spin" /> : null}
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+interface CommentItemProps {
+  noteId: string | null;
+  comment: NoteComment;
+  canComment: boolean;
+  submitting: boolean;
+  onEdit: (commentId: string, body: string) => Promise<boolean>;
+  onDelete: (commentId: string) => Promise<boolean>;
+  deleteLabel: string;
+}
+
+const CommentItem = ({
+  noteId,
+  comment,
+  canComment,
+  submitting,
+  onEdit,
+  onDelete,
+  deleteLabel,
+}: CommentItemProps) => {
+  const [editing, setEditing] = useState(false);
+  const createdAt = comment.createdAt ? new Date(comment.createdAt) : null;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-semibold text-base-content">
+          {comment.author.name}
+        </span>
+        <span className="text-base-content/50">
+          {createdAt ? formatRelativeTime(createdAt) : ""}
+          {comment.editedAt ? " · edited" : ""}
+        </span>
+        {comment.isAuthor && !editing ? (
+          <span className="ml-auto flex items-center gap-0.5">
+            {canComment ? (
+              <button
+                type="button"
+                className="btn btn-ghost btn-xs btn-square"
+                onClick={() => setEditing(true)}
+                aria-label="Edit comment"
+                title="Edit"
+              >
+                <PencilIcon className="size-3" />
+              </button>
+            ) : null}
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs btn-square text-error"
+              onClick={() => {
+                if (window.confirm(deleteLabel)) {
+                  void onDelete(comment.id);
+                }
+              }}
+              disabled={submitting}
+              aria-label="Delete comment"
+              title="Delete"
+            >
+              <Trash2Icon className="size-3" />
+            </button>
+          </span>
+        ) : null}
+      </div>
+      {editing ? (
+        <CommentComposer
+          noteId={noteId}
+          placeholder="Edit comment"
+          submitLabel="Save"
+          initialValue={comment.body}
+          autoFocus
+          submitting={submitting}
+          onSubmit={async (body) => {
+            const ok = await onEdit(comment.id, body);
+            if (ok) setEditing(false);
+            return ok;
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <p className="whitespace-pre-wrap break-words text-sm text-base-content/90">
+          <CommentBody body={comment.body} />
+        </p>
+      )}
+    </div>
+  );
+};
+
+interface ThreadCardProps {
+  thread: NoteCommentThread;
+  active: boolean;
+  canComment: boolean;
+  submitting: boolean;
+  comments: UseNoteCommentsResult;
+  onSelect: () => void;
+}
+
+const ThreadCard = ({
+  thread,
+  active,
+  canComment,
+  submitting,
+  comments,
+  onSelect,
+}: ThreadCardProps) => {
+  const ref = useRef<HTMLLIElement | null>(null);
+
+  useEffect(() => {
+    if (active) {
+      ref.current?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    }
+  }, [active]);
+
+  return (
+    <li
+      ref={ref}
+      className={`rounded-lg border px-3 py-2.5 space-y-3 transition-colors ${
+        active
+          ? "border-warning/60 bg-warning/5"
+          : "border-base-300/50 bg-base-200/40"
+      }`}
+    >
+      {thread.anchor?.quote ? (
+        <button
+          type="button"
+          className="block w-full text-left border-l-2 border-warning/60 pl-2 text-xs italic text-base-content/60 line-clamp-2 hover:text-base-content"
+          onClick={onSelect}
+        >
+          {thread.anchor.quote}
+        </button>
+      ) : null}
+
+      <CommentItem
+        noteId={comments.noteId}
+        comment={thread}
+        canComment={canComment}
+        submitting={submitting}
+        onEdit={comments.editComment}
+        onDelete={comments.deleteComment}
+        deleteLabel="Delete this thread and all of its replies?"
+      />
+
+      {thread.replies.length ? (
+        <ul className="space-y-3 border-l border-base-300/60 pl-3">
+          {thread.replies.map((reply) => (
+            <li key={reply.id}>
+              <CommentItem
+                noteId={comments.noteId}
+                comment={reply}
+                canComment={canComment}
+                submitting={submitting}
+                onEdit={comments.editComment}
+                onDelete={comments.deleteComment}
+                deleteLabel="Delete this reply?"
+              />
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      {thread.resolved && thread.resolvedBy ? (
+        <p className="flex items-center gap-1 text-[11px] text-success">
+          <CheckCircle2Icon className="size-3" />
+          Resolved by {thread.resolvedBy.name}
+          {thread.resolvedAt
+            ? ` ${formatRelativeTime(new Date(thread.resolvedAt))}`
+            : ""}
+        </p>
+      ) : null}
+
+      {canComment ? (
+        <div className="space-y-2">
+          {!thread.resolved && active ? (
+            <CommentComposer
+              noteId={comments.noteId}
+              placeholder="Reply…"
+              submitLabel="Reply"
+              submitting={submitting}
+              onSubmit={(body) => comments.reply(thread.id, body)}
+            />
+          ) : null}
+          <div className="flex items-center gap-1">
+            {!thread.resolved && !active ? (
+              <button
+                type="button"
+                className="btn btn-ghost btn-xs"
+                onClick={onSelect}
+              >
+                Reply
+              </button>
+            ) : null}
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs gap-1 ml-auto"
+              onClick={() => void comments.setResolved(thread.id, !thread.resolved)}
+              disabled={submitting}
+            >
+              {thread.resolved ? (
+                <RotateCcwIcon className="size-3" />
+              ) : (
+                <CheckCircle2Icon className="size-3" />
+              )}
+              {thread.resolved ? "Reopen" : "Resolve"}
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </li>
+  );
+};
+
+const NoteCommentsPanel = ({
+  open,
+  onClose,
+  comments,
+  activeThreadId,
+  onSelectThread,
+  pendingAnchor,
+  onCancelPending,
+}: NoteCommentsPanelProps) => {
+  const [view, setView] = useState<"open" | "resolved">("open");
+  const { threads, canComment, loading, submitting } = comments;
+
+  const { openThreads, resolvedThreads } = useMemo(
+    () => ({
+      openThreads: threads.filter((thread) => !thread.resolved),
+      resolvedThreads: threads.filter((thread) => thread.resolved),
+    }),
+    [threads],
+  );
+
+  // Jump to the tab that contains a thread picked from the document.
+  useEffect(() => {
+    if (!activeThreadId) return;
+    const thread = threads.find((entry) => entry.id === activeThreadId);
+    if (thread) {
+      setView(thread.resolved ? "resolved" : "open");
+    }
+  }, [activeThreadId, threads]);
+
+  if (!open) return null;
+
+  const visibleThreads = view === "open" ? openThreads : resolvedThreads;
+
+  return (
+    <aside className="fixed inset-y-0 right-0 z-40 w-full max-w-sm bg-base-100 shadow-2xl border-l border-base-300/40 flex flex-col animate-slide-in-right">
+      <div className="flex items-center justify-between px-5 py-4 border-b border-base-300/40">
+        <h3 className="text-sm font-semibold flex items-center gap-2">
+          <MessageSquareIcon className="size-4" />
+          Comments
+        </h3>
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm btn-circle"
+          onClick={onClose}
+          aria-label="Close comments"
+        >
+          <XIcon className="size-4" />
+        </button>
+      </div>
+
+      <div role="tablist" className="tabs tabs-bordered px-5 pt-2">
+        <button
+          type="button"
+          role="tab"
+          className={`tab tab-sm ${view === "open" ? "tab-active" : ""}`}
+          aria-selected={view === "open"}
+          onClick={() => setView("open")}
+        >
+          Open ({openThreads.length})
+        </button>
+        <button
+          type="button"
+          role="tab"
+          className={`tab tab-sm ${view === "resolved" ? "tab-active" : ""}`}
+          aria-selected={view === "resolved"}
+          onClick={() => setView("resolved")}
+        >
+          Resolved ({resolvedThreads.length})
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-5 py-4 space-y-4">
+        {pendingAnchor && canComment ? (
+          <div className="rounded-lg border border-primary/40 bg-primary/5 px-3 py-2.5 space-y-2">
+            <p className="border-l-2 border-primary/60 pl-2 text-xs italic text-base-content/60 line-clamp-3">
+              {pendingAnchor.quote}
+            </p>
+            <CommentComposer
+              noteId={comments.noteId}
+              placeholder="Add a comment… Type @ to mention someone"
+              submitLabel="Comment"
+              autoFocus
+              submitting={submitting}
+              onSubmit={async (body) => {
+                const ok = await comments.startThread(body, pendingAnchor);
+                if (ok) onCancelPending();
+                return ok;
+              }}
+              onCancel={onCancelPending}
+            />
+          </div>
+        ) : null}
+
+        {loading && threads.length === 0 ? (
+          <div className="flex items-center justify-center py-10">
+            <LoaderIcon className="size-5 animate-spin" />
+          </div>
+        ) : visibleThreads.length === 0 ? (
+          <p className="text-sm text-base-content/50 text-center py-10">
+            {view === "open"
+              ? canComment
+                ? "No open comments. Select text in the note to start a thread."
+                : "No open comments."
+              : "No resolved comments."}
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {visibleThreads.map((thread) => (
+              <ThreadCard
+                key={thread.id}
+                thread={thread}
+                active={thread.id === activeThreadId}
+                canComment={canComment}
+                submitting={submitting}
+                comments={comments}
+                onSelect={() => onSelectThread(thread.id)}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default NoteCommentsPanel;
@@ -1,11 +1,13 @@
 import { Link } from "react-router-dom";
 import {
   ArrowLeftIcon,
+  CopyIcon,
   DownloadIcon,
   FileCodeIcon,
   FileTextIcon,
   HistoryIcon,
   MaximizeIcon,
+  MessageSquareIcon,
   MinimizeIcon,
   MoreVerticalIcon,
   PinIcon,
@@ -41,10 +43,13 @@ interface NoteDetailHeaderProps {
   onTogglePinned: () => void;
   onRevert: () => void;
   onShowHistory: () => void;
+  openCommentCount: number;
+  onShowComments: () => void;
   onShowCollaborators: () => void;
   onToggleFocusMode: () => void;
   onExitFocusMode: () => void;
   onExport: (format: ExportFormat) => void;
+  onDuplicate: () => void;
   onOpenDeleteConfirm: () => void;
 }
 
@@ -64,10 +69,13 @@ function NoteDetailHeader({
   onTogglePinned,
   onRevert,
   onShowHistory,
+  openCommentCount,
+  onShowComments,
   onShowCollaborators,
   onToggleFocusMode,
   onExitFocusMode,
   onExport,
+  onDuplicate,
   onOpenDeleteConfirm,
 }: NoteDetailHeaderProps) {
   const StatusIcon = statusBadge.Icon;
@@ -125,6 +133,21 @@ function NoteDetailHeader({
           <div className="flex items-center gap-1 sm:gap-1.5 shrink-0">
             <PresenceAvatars participants={participants} />
 
+            <button
+              type="button"
+              className="btn btn-ghost btn-sm gap-1.5 text-base-content/70"
+              onClick={onShowComments}
+              title="Comments"
+              aria-label={`Comments (${openCommentCount} open)`}
+            >
+              <MessageSquareIcon className="size-4" />
+              {openCommentCount > 0 ? (
+                <span className="badge badge-xs badge-warning">
+                  {openCommentCount}
+                </span>
+              ) : null}
+            </button>
+
             <button
               type="button"
               className="btn btn-ghost btn-sm gap-1.5 text-base-content/70"
@@ -198,6 +221,12 @@ function NoteDetailHeader({
                     View history
                   </button>
                 </li>
+                <li>
+                  <button type="button" className="gap-2" onClick={onDuplicate}>
+                    <CopyIcon className="size-4" />
+                    Duplicate note
+                  </button>
+                </li>
                 <li>
                   <button
                     type="button"
@@ -0,0 +1,93 @@
+import { useEffect, useRef, useState } from "react";
+import type { KeyboardEvent as ReactKeyboardEvent, RefObject } from "react";
+import { fetchMentionCandidates } from "../../Components/MentionSuggestions";
+import type {
+  SuggestionListHandle,
+  SuggestionListItem,
+} from "../../Components/SuggestionList";
+
+const MENTION_TRIGGER_PATTERN = /(?:^|\s)@([^\s@[\]()]{0,30})$/;
+const SEARCH_DEBOUNCE_MS = 150;
+
+interface ActiveMention {
+  /** Index of the `@` in the textarea value. */
+  start: number;
+  query: string;
+}
+
+/**
+ * `@` autocomplete for the plain-text comment composer. Picking a person
+ * replaces the typed `@query` with a mention token.
+ */
+export function useCommentMentions(
+  noteId: string | null,
+  value: string,
+  setValue: (next: string) => void,
+  textareaRef: RefObject<HTMLTextAreaElement | null>,
+) {
+  const [active, setActive] = useState<ActiveMention | null>(null);
+  const [items, setItems] = useState<SuggestionListItem[]>([]);
+  const listRef = useRef<SuggestionListHandle | null>(null);
+
+  const query = active?.query ?? null;
+
+  useEffect(() => {
+    if (!noteId || query === null) {
+      setItems([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = window.setTimeout(() => {
+      void fetchMentionCandidates(noteId, query).then((users) => {
+        if (!cancelled) setItems(users);
+      });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [noteId, query]);
+
+  const updateFromCaret = (text: string, caret: number) => {
+    if (!noteId) return;
+    const match = MENTION_TRIGGER_PATTERN.exec(text.slice(0, caret));
+    setActive(
+      match ? { start: caret - match[1].length - 1, query: match[1] } : null,
+    );
+  };
+
+  const select = ({ id, label }: { id: string; label: string }) => {
+    const textarea = textareaRef.current;
+    if (!active || !textarea) return;
+    const caret = textarea.selectionStart ?? value.length;
+    const token = `@[${label.replace(/[[\]\n]/g, "")}](${id}) `;
+    const next = value.slice(0, active.start) + token + value.slice(caret);
+    setValue(next);
+    setActive(null);
+    const position = active.start + token.length;
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(position, position);
+    });
+  };
+
+  /** Returns true when the key was consumed by the suggestion list. */
+  const handleKeyDown = (event: ReactKeyboardEvent<HTMLTextAreaElement>) => {
+    if (!active) return false;
+    if (event.key === "Escape") {
+      setActive(null);
+      return true;
+    }
+    return listRef.current?.onKeyDown({ event: event.nativeEvent }) ?? false;
+  };
+
+  return {
+    open: active !== null && items.length > 0,
+    items,
+    listRef,
+    select,
+    updateFromCaret,
+    handleKeyDown,
+    close: () => setActive(null),
+  };
+}
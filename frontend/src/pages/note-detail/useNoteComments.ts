@@ -0,0 +1,155 @@
+import { useCallback, useMemo } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import api from "../../lib/axios";
+import { extractApiError } from "../../lib/extractApiError";
+import type {
+  NoteCommentAnchor,
+  NoteCommentsResponse,
+  NoteCommentThread,
+} from "../../types/api";
+
+const COMMENTS_REFRESH_MS = 15_000;
+
+export interface UseNoteCommentsResult {
+  noteId: string | null;
+  threads: NoteCommentThread[];
+  canComment: boolean;
+  loading: boolean;
+  submitting: boolean;
+  startThread: (body: string, anchor: NoteCommentAnchor) => Promise<boolean>;
+  reply: (threadId: string, body: string) => Promise<boolean>;
+  editComment: (commentId: string, body: string) => Promise<boolean>;
+  deleteComment: (commentId: string) => Promise<boolean>;
+  setResolved: (threadId: string, resolved: boolean) => Promise<boolean>;
+}
+
+/**
+ * Loads the comment threads of a note and exposes the thread actions. Every
+ * mutation refetches the full list so concurrent replies from others show up.
+ */
+export function useNoteComments(
+  noteId: string | undefined,
+): UseNoteCommentsResult {
+  const queryClient = useQueryClient();
+  const queryKey = useMemo(() => ["note-comments", noteId], [noteId]);
+
+  const commentsQuery = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const response = await api.get<NoteCommentsResponse>(
+        `/notes/${noteId}/comments`,
+      );
+      return response.data;
+    },
+    enabled: Boolean(noteId),
+    refetchInterval: COMMENTS_REFRESH_MS,
+  });
+
+  const mutation = useMutation({
+    mutationFn: async ({
+      method,
+      path,
+      payload,
+    }: {
+      method: "post" | "patch" | "delete";
+      path: string;
+      payload?: Record<string, unknown>;
+      errorMessage: string;
+    }) => {
+      const url = `/notes/${noteId}/comments${path}`;
+      const response =
+        method === "delete"
+          ? await api.delete(url)
+          : await api[method](url, payload ?? {});
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey });
+      queryClient.invalidateQueries({ queryKey: ["note-history", noteId] });
+    },
+    onError: (error, variables) => {
+      toast.error(extractApiError(error, variables.errorMessage));
+    },
+  });
+
+  const run = useCallback(
+    async (variables: Parameters<typeof mutation.mutateAsync>[0]) => {
+      try {
+        await mutation.mutateAsync(variables);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    [mutation],
+  );
+
+  const startThread = useCallback(
+    (body: string, anchor: NoteCommentAnchor) =>
+      run({
+        method: "post",
+        path: "",
+        payload: { body, anchor },
+        errorMessage: "Failed to add comment",
+      }),
+    [run],
+  );
+
+  const reply = useCallback(
+    (threadId: string, body: string) =>
+      run({
+        method: "post",
+        path: "",
+        payload: { body, parentId: threadId },
+        errorMessage: "Failed to post reply",
+      }),
+    [run],
+  );
+
+  const editComment = useCallback(
+    (commentId: string, body: string) =>
+      run({
+        method: "patch",
+        path: `/${commentId}`,
+        payload: { body },
+        errorMessage: "Failed to update comment",
+      }),
+    [run],
+  );
+
+  const deleteComment = useCallback(
+    (commentId: string) =>
+      run({
+        method: "delete",
+        path: `/${commentId}`,
+        errorMessage: "Failed to delete comment",
+      }),
+    [run],
+  );
+
+  const setResolved = useCallback(
+    (threadId: string, resolved: boolean) =>
+      run({
+        method: "post",
+        path: `/${threadId}/${resolved ? "resolve" : "reopen"}`,
+        errorMessage: resolved
+          ? "Failed to resolve thread"
+          : "Failed to reopen thread",
+      }),
+    [run],
+  );
+
+  return {
+    noteId: noteId ?? null,
+    threads: commentsQuery.data?.threads ?? [],
+    canComment: commentsQuery.data?.canComment ?? false,
+    loading: commentsQuery.isLoading,
+    submitting: mutation.isPending,
+    startThread,
+    reply,
+    editComment,
+    deleteComment,
+    setResolved,
+  };
+}
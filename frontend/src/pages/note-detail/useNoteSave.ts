@@ -1,4 +1,4 @@
-import { useCallback, useEffect, useRef, type Dispatch, type MutableRefObject, type SetStateAction } from "react";
+import { useCallback, useEffect, useRef, useState, type Dispatch, type MutableRefObject, type SetStateAction } from "react";
 import { toast } from "sonner";
 import * as Y from "yjs";
 import { TiptapTransformer } from "@hocuspocus/transformer";
@@ -60,6 +60,7 @@ interface UseNoteSaveArgs {
 }
 
 interface RestoreEntry {
+  id: string;
   titleSnapshot?: string | null;
   contentSnapshot?: string | null;
   tagsSnapshot?: string[] | null;
@@ -68,7 +69,8 @@ interface RestoreEntry {
 interface UseNoteSaveResult {
   handleSave: (silent?: boolean) => Promise<void>;
   handleRevert: () => void;
-  handleRestoreVersion: (entry: RestoreEntry) => void;
+  handleRestoreVersion: (entry: RestoreEntry) => Promise<void>;
+  restoringVersionId: string | null;
   handleSaveRef: MutableRefObject<(silent?: boolean) => Promise<void>>;
 }
 
@@ -103,6 +105,9 @@ export function useNoteSave({
     async () => {},
   );
   const autoSaveTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const [restoringVersionId, setRestoringVersionId] = useState<string | null>(
+    null,
+  );
 
   const handleSave = useCallback(
     async (silent = false) => {
@@ -118,6 +123,36 @@ export function useNoteSave({
       }
 
       const snapshot = originalSnapshotRef.current;
+
+      // Offline, the body and title are already kept in the Yjs document,
+      // which is stored locally and merged by the collab server on
+      // reconnect. Queueing them as a whole-note PUT would overwrite edits
+      // made elsewhere, so only the fields outside the document are queued.
+      if (doc && typeof navigator !== "undefined" && !navigator.onLine) {
+        const fields = { title: trimmedTitle, tags, pinned };
+        const changed =
+          fields.title !== (snapshot?.title ?? "") ||
+          fields.pinned !== Boolean(snapshot?.pinned) ||
+          JSON.stringify(fields.tags) !== JSON.stringify(snapshot?.tags ?? []);
+        setSaving(true);
+        try {
+          if (changed) {
+            await api.put(`/notes/${id}`, fields);
+            originalSnapshotRef.current = { ...snapshot, ...fields };
+          }
+          setHasChanges(false);
+          setLastSavedAt(new Date());
+          if (!silent) {
+            toast.success("Saved offline. Changes sync when you reconnect.");
+          }
+        } catch (error: unknown) {
+          toast.error(extractApiError(error, "Failed to save offline."));
+        } finally {
+          setSaving(false);
+        }
+        return;
+      }
+
       const richContent = doc
         ? TiptapTransformer.fromYdoc(doc, "default")
         : (snapshot?.richContent ?? buildInitialNode(snapshot ?? note ?? null));
@@ -253,47 +288,71 @@ export function useNoteSave({
     setTitle,
   ]);
 
+  // Restores run on the server, which writes the version into the shared
+  // Yjs document, so every open editor (this one included) switches to it
+  // live. The echoed update must not flag the note dirty and trigger an
+  // autosave, hence the `justSavedRef` window.
   const handleRestoreVersion = useCallback(
-    (entry: RestoreEntry) => {
+    async (entry: RestoreEntry) => {
       if (!canEditNote) {
         toast.error("You have view-only access to this note.");
         return;
       }
-      if (entry.contentSnapshot == null) {
-        toast.error("This version has no content snapshot.");
+      if (!id) return;
+      if (!entry.contentSnapshot?.trim()) {
+        toast.error("This version has no content to restore.");
         return;
       }
-      const nextTitle = entry.titleSnapshot ?? title;
-      setTitle(nextTitle);
-      applySharedTitle(nextTitle);
-      if (Array.isArray(entry.tagsSnapshot)) {
-        setTags([...entry.tagsSnapshot]);
-      }
-      if (doc) {
-        const fragment = doc.getXmlFragment("default");
-        fragment.delete(0, fragment.length);
-        const node = buildInitialNode({
-          content: entry.contentSnapshot ?? "",
-        });
-        if (node) {
-          const seedDoc = TiptapTransformer.toYdoc(node, "default");
-          const update = Y.encodeStateAsUpdate(seedDoc);
-          Y.applyUpdate(doc, update);
-        }
+
+      setRestoringVersionId(entry.id);
+      justSavedRef.current = true;
+      try {
+        const response = await api.post(
+          `/notes/${id}/history/${entry.id}/restore`,
+        );
+        const restored = response.data?.note ?? {};
+        const normalized = {
+          ...restored,
+          tags: Array.isArray(restored.tags) ? restored.tags : [],
+          pinned: Boolean(restored.pinned),
+        };
+        originalSnapshotRef.current = normalized;
+        queryClient.setQueryData(["note", id], normalized);
+        queryClient.invalidateQueries({ queryKey: ["note-history", id] });
+        queryClient.removeQueries({ queryKey: ["notes"] });
+        setTitle(normalized.title ?? title);
+        setTags(normalized.tags);
+        setHasChanges(false);
+        setLastSavedAt(new Date(normalized.updatedAt ?? Date.now()));
+        toast.success("Version restored");
+      } catch (error: unknown) {
+        toast.error(extractApiError(error, "Failed to restore this version"));
+      } finally {
+        setRestoringVersionId(null);
+        setTimeout(() => {
+          justSavedRef.current = false;
+        }, 1500);
       }
-      setHasChanges(true);
-      toast.success("Version restored — save to confirm");
     },
     [
-      applySharedTitle,
       canEditNote,
-      doc,
+      id,
+      justSavedRef,
+      originalSnapshotRef,
+      queryClient,
       setHasChanges,
+      setLastSavedAt,
       setTags,
       setTitle,
       title,
     ],
   );
 
-  return { handleSave, handleRevert, handleRestoreVersion, handleSaveRef };
+  return {
+    handleSave,
+    handleRevert,
+    handleRestoreVersion,
+    restoringVersionId,
+    handleSaveRef,
+  };
 }
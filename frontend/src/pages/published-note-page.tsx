@@ -5,6 +5,11 @@ import api from "../lib/axios";
 import { sanitizeHtml } from "../lib/sanitize";
 import { extractApiError } from "../lib/extractApiError";
 import Navbar from "../Components/Navbar";
+import PublicationPasswordForm from "../Components/PublicationPasswordForm";
+import {
+  isPasswordRequiredError,
+  publicationViewParams,
+} from "../lib/publishedContent";
 
 const dateTimeFormatter = new Intl.DateTimeFormat(undefined, {
   dateStyle: "medium",
@@ -23,12 +28,14 @@ const formatDateTime = (value: string | number | Date | null | undefined) => {
 const PublishedNotePage = () => {
   const { slug } = useParams();
 
-  const { data, isLoading, isError, error } = useQuery({
+  const { data, isLoading, isError, error, refetch } = useQuery({
     queryKey: ["published-note", slug],
     enabled: Boolean(slug),
     retry: false,
     queryFn: async () => {
-      const response = await api.get(`/published/notes/${slug}`);
+      const response = await api.get(`/published/notes/${slug}`, {
+        params: publicationViewParams(),
+      });
       return response.data;
     },
   });
@@ -64,6 +71,21 @@ const PublishedNotePage = () => {
     );
   }
 
+  if (isError && isPasswordRequiredError(error)) {
+    return (
+      <div className="min-h-screen bg-base-200">
+        <Navbar hideAuthLinks />
+        <PublicationPasswordForm
+          unlockPath={`/published/notes/${slug}/unlock`}
+          label="note"
+          onUnlocked={() => {
+            void refetch();
+          }}
+        />
+      </div>
+    );
+  }
+
   if (isError) {
     const message = extractApiError(
       error,
@@ -1,9 +1,14 @@
-import { useMemo } from "react";
+import { useEffect, useMemo, useRef } from "react";
 import { useParams, Link } from "react-router-dom";
 import { useQuery } from "@tanstack/react-query";
 import api from "../lib/axios";
 import { extractApiError } from "../lib/extractApiError";
 import Navbar from "../Components/Navbar";
+import PublicationPasswordForm from "../Components/PublicationPasswordForm";
+import {
+  isPasswordRequiredError,
+  publicationViewParams,
+} from "../lib/publishedContent";
 import NoteSkeleton from "../Components/NoteSkeleton";
 
 const dateTimeFormatter = new Intl.DateTimeFormat(undefined, {
@@ -20,15 +25,72 @@ const formatDateTime = (value: string | number | Date | null | undefined) => {
   }
 };
 
+/** How long a note must stay mostly on screen to count as read. */
+const NOTE_READ_DELAY_MS = 2000;
+
+/**
+ * Report each note once per page load after it has been on screen for a
+ * moment, so the publisher can see which notes get read.
+ */
+const useNoteReadTracking = (slug: string | undefined, noteIds: string[]) => {
+  const containerRef = useRef<HTMLElement | null>(null);
+  const noteKey = noteIds.join(",");
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!slug || !container || typeof IntersectionObserver === "undefined") {
+      return;
+    }
+    const reported = new Set<string>();
+    const timers = new Map<string, ReturnType<typeof setTimeout>>();
+    const observer = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          const noteId = (entry.target as HTMLElement).dataset.noteId;
+          if (!noteId || reported.has(noteId)) continue;
+          if (entry.isIntersecting) {
+            if (timers.has(noteId)) continue;
+            timers.set(
+              noteId,
+              setTimeout(() => {
+                reported.add(noteId);
+                timers.delete(noteId);
+                void api
+                  .post(`/published/notebooks/${slug}/notes/${noteId}/read`)
+                  .catch(() => {});
+              }, NOTE_READ_DELAY_MS),
+            );
+          } else {
+            clearTimeout(timers.get(noteId));
+            timers.delete(noteId);
+          }
+        }
+      },
+      { threshold: 0.6 },
+    );
+    container
+      .querySelectorAll<HTMLElement>("[data-note-id]")
+      .forEach((element) => observer.observe(element));
+    return () => {
+      observer.disconnect();
+      timers.forEach((timer) => clearTimeout(timer));
+    };
+  }, [slug, noteKey]);
+
+  return containerRef;
+};
+
 const PublishedNotebookPage = () => {
   const { slug } = useParams();
 
-  const { data, isLoading, isError, error } = useQuery({
+  const { data, isLoading, isError, error, refetch } = useQuery({
     queryKey: ["published-notebook", slug],
     enabled: Boolean(slug),
     retry: false,
     queryFn: async () => {
-      const response = await api.get(`/published/notebooks/${slug}`);
+      const response = await api.get(`/published/notebooks/${slug}`, {
+        params: publicationViewParams(),
+      });
       return response.data;
     },
   });
@@ -36,6 +98,10 @@ const PublishedNotebookPage = () => {
   const title = data?.notebook?.name ?? "Published Notebook";
   const description = data?.notebook?.description ?? "";
   const notes = Array.isArray(data?.notes) ? data.notes : [];
+  const notesRef = useNoteReadTracking(
+    slug,
+    notes.map((note: { id: string }) => note.id),
+  );
 
   const { publishedAt, updatedAt } = useMemo(
     () => ({
@@ -64,6 +130,21 @@ const PublishedNotebookPage = () => {
     );
   }
 
+  if (isError && isPasswordRequiredError(error)) {
+    return (
+      <div className="min-h-screen bg-base-200">
+        <Navbar hideAuthLinks />
+        <PublicationPasswordForm
+          unlockPath={`/published/notebooks/${slug}/unlock`}
+          label="notebook"
+          onUnlocked={() => {
+            void refetch();
+          }}
+        />
+      </div>
+    );
+  }
+
   if (isError) {
     const message = extractApiError(
       error,
@@ -133,10 +214,11 @@ const PublishedNotebookPage = () => {
             </p>
           </div>
         ) : (
-          <section className="grid gap-6 sm:grid-cols-2">
+          <section ref={notesRef} className="grid gap-6 sm:grid-cols-2">
             {notes.map((note: { id: string; title?: string; pinned?: boolean; content?: string; contentText?: string; tags?: string[]; updatedAt?: string; createdAt?: string }) => (
               <article
                 key={note.id}
+                data-note-id={note.id}
                 className="rounded-xl border border-base-300 bg-base-100 p-6 shadow-sm"
               >
                 {note.pinned ? (
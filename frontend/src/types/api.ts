@@ -31,6 +31,8 @@ export interface ApiError {
 export interface Notebook {
   id: string;
   _id?: string;
+  /** Null for top-level notebooks. */
+  parentId?: string | null;
   name: string;
   color?: string | null;
   icon?: string | null;
@@ -57,6 +59,10 @@ export interface Note {
   content?: string;
   tags?: string[];
   pinned?: boolean;
+  archived?: boolean;
+  archivedAt?: string | null;
+  dueAt?: string | null;
+  remindAt?: string | null;
   createdAt: string;
   updatedAt?: string;
   notebookId?: string;
@@ -66,6 +72,26 @@ export interface Note {
   [key: string]: unknown;
 }
 
+// ── Due soon ────────────────────────────────────────────────────────────────
+
+export interface DueSoonItem {
+  kind: "note" | "actionItem";
+  noteId: string;
+  itemId: string | null;
+  title: string;
+  text: string | null;
+  notebookId: string | null;
+  dueAt: string;
+  remindAt: string | null;
+  overdue: boolean;
+}
+
+export interface DueSoonResponse {
+  items: DueSoonItem[];
+  days: number;
+  horizon: string;
+}
+
 // ── Tag stats ───────────────────────────────────────────────────────────────
 
 export interface TagStat {
@@ -91,6 +117,296 @@ export interface HistoryMetadata {
   [key: string]: unknown;
 }
 
+// ── Note comments ───────────────────────────────────────────────────────────
+
+/** Base64-encoded Yjs relative positions bounding a commented text range. */
+export interface NoteCommentAnchor {
+  start: string;
+  end: string;
+  quote: string;
+}
+
+export interface NoteComment {
+  id: string;
+  parentId: string | null;
+  body: string;
+  author: { id: string | null; name: string };
+  isAuthor: boolean;
+  editedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface NoteCommentThread extends NoteComment {
+  anchor: NoteCommentAnchor | null;
+  resolved: boolean;
+  resolvedAt: string | null;
+  resolvedBy: { id: string | null; name: string } | null;
+  replies: NoteComment[];
+}
+
+export interface NoteCommentsResponse {
+  noteId: string;
+  threads: NoteCommentThread[];
+  canComment: boolean;
+}
+
+// ── Mentions & notifications ────────────────────────────────────────────────
+
+export interface MentionCandidate {
+  id: string;
+  name: string;
+  email: string;
+}
+
+export interface MentionableUsersResponse {
+  users: MentionCandidate[];
+}
+
+export interface AppNotification {
+  id: string;
+  type: "mention" | "reminder";
+  source: "note" | "comment" | "actionItem";
+  noteId: string | null;
+  notebookId: string | null;
+  workspaceId: string | null;
+  commentId: string | null;
+  title: string;
+  excerpt: string;
+  actor: { id: string | null; name: string } | null;
+  read: boolean;
+  readAt: string | null;
+  createdAt: string;
+}
+
+export interface NotificationsResponse {
+  notifications: AppNotification[];
+  unreadCount: number;
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    hasMore: boolean;
+  };
+}
+
+// ── Note links ──────────────────────────────────────────────────────────────
+
+export interface LinkableNote {
+  id: string;
+  title: string;
+  notebookId: string | null;
+  updatedAt: string;
+}
+
+export interface LinkableNotesResponse {
+  notes: LinkableNote[];
+}
+
+export interface NoteBacklink {
+  id: string;
+  title: string;
+  notebookId: string | null;
+  excerpt: string;
+  updatedAt: string;
+}
+
+export interface NoteBacklinksResponse {
+  noteId: string;
+  backlinks: NoteBacklink[];
+}
+
+export interface NoteAttachment {
+  id: string;
+  noteId: string;
+  fileName: string;
+  mimeType: string;
+  size: number;
+  kind: "image" | "file";
+  uploadedBy: string | null;
+  createdAt: string;
+}
+
+export interface NoteAttachmentsResponse {
+  noteId: string;
+  attachments: NoteAttachment[];
+}
+
+export interface NotebookLinkGraphNode {
+  id: string;
+  title: string;
+  tags: string[];
+  updatedAt: string;
+  linkCount: number;
+  backlinkCount: number;
+  outboundCount: number;
+}
+
+export interface NotebookLinkGraph {
+  notebookId: string;
+  nodes: NotebookLinkGraphNode[];
+  edges: { source: string; target: string }[];
+  truncated: boolean;
+}
+
+// ── Personal API tokens ─────────────────────────────────────────────────────
+
+export type ApiTokenScope = "notes:read" | "notes:write" | "notebooks:admin";
+
+export interface ApiToken {
+  id: string;
+  name: string;
+  displayPrefix: string;
+  scopes: ApiTokenScope[];
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+export interface ApiTokensResponse {
+  tokens: ApiToken[];
+  availableScopes: ApiTokenScope[];
+}
+
+export interface CreatedApiTokenResponse {
+  token: string;
+  apiToken: ApiToken;
+}
+
+// ── Sessions ────────────────────────────────────────────────────────────────
+
+export interface SessionDevice {
+  browser: string | null;
+  browserVersion: string | null;
+  os: string | null;
+  deviceType: "desktop" | "mobile" | "tablet" | "unknown";
+}
+
+export interface AuthSession {
+  id: string;
+  device: SessionDevice;
+  userAgent: string | null;
+  ip: string | null;
+  createdAt: string | null;
+  lastUsedAt: string | null;
+  expiresAt: string;
+  current: boolean;
+}
+
+export interface SessionsResponse {
+  sessions: AuthSession[];
+}
+
+// ── Two-factor authentication ───────────────────────────────────────────────
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorSetupResponse {
+  secret: string;
+  otpauthUri: string;
+  qrCodeDataUrl: string;
+}
+
+export interface TwoFactorCodesResponse extends TwoFactorStatus {
+  recoveryCodes: string[];
+}
+
+// ── Workspaces ──────────────────────────────────────────────────────────────
+
+export type WorkspaceRole = "owner" | "admin" | "editor" | "commenter" | "viewer";
+
+export interface WorkspaceSummary {
+  id: string;
+  name: string;
+  role: WorkspaceRole;
+  memberCount: number;
+  updatedAt: string | null;
+  isDefault: boolean;
+}
+
+export type WorkspaceDeleteMode = "move" | "trash";
+
+export interface WorkspaceDeletionPlan {
+  workspace: { id: string; name: string };
+  notebookCount: number;
+  noteCount: number;
+  trashedNoteCount: number;
+  noteOwnerCount: number;
+  memberCount: number;
+  webhookCount: number;
+  moveTargets: Array<{ id: string; name: string }>;
+  modes: WorkspaceDeleteMode[];
+  blockedReason: string | null;
+}
+
+export interface WorkspaceDeleteResult {
+  mode: WorkspaceDeleteMode;
+  targetWorkspaceId: string | null;
+  notebooks: number;
+  notes: number;
+  webhooks: number;
+}
+
+// ── Outgoing webhooks ───────────────────────────────────────────────────────
+
+export interface Webhook {
+  id: string;
+  workspaceId: string | null;
+  notebookId: string | null;
+  url: string;
+  description: string;
+  eventTypes: string[];
+  active: boolean;
+  disabledReason: string | null;
+  consecutiveFailures: number;
+  lastDeliveryAt: string | null;
+  lastDeliveryStatus: "succeeded" | "failed" | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WebhooksResponse {
+  webhooks: Webhook[];
+  availableEventTypes: string[];
+}
+
+/** `secret` is only present right after creation or rotation. */
+export interface WebhookMutationResponse {
+  webhook: Webhook;
+  secret?: string;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  webhookId: string;
+  eventId: string | null;
+  eventType: string;
+  isTest: boolean;
+  status: "pending" | "delivering" | "succeeded" | "failed";
+  attempts: number;
+  nextAttemptAt: string | null;
+  responseStatus: number | null;
+  responseBody: string | null;
+  error: string | null;
+  durationMs: number | null;
+  deliveredAt: string | null;
+  createdAt: string;
+}
+
+export interface WebhookDeliveriesResponse {
+  deliveries: WebhookDelivery[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    hasMore: boolean;
+  };
+}
+
 // ── Notebook members / share responses ──────────────────────────────────────
 
 export interface MembersResponse {
@@ -122,6 +438,23 @@ export interface PublishState {
   [key: string]: unknown;
 }
 
+// ── Published view analytics ────────────────────────────────────────────────
+
+export interface PublicationViewDay {
+  date: string;
+  views: number;
+  uniqueVisitors: number;
+}
+
+export interface PublicationViewAnalytics {
+  range: { days: number; from: string; to: string };
+  totals: { views: number; uniqueVisitors: number };
+  daily: PublicationViewDay[];
+  referrers: { domain: string; visitors: number }[];
+  /** Notebooks only: unique readers per note. */
+  noteReads?: { noteId: string; reads: number; title: string | null }[];
+}
+
 // ── Published note preview (used in insights, published-notebook-page) ──────
 
 export interface NotePreview {
@@ -134,6 +467,18 @@ export interface NotePreview {
   updatedAt?: string;
 }
 
+// ── Notebook templates ──────────────────────────────────────────────────────
+
+export type NotebookTemplateVisibility = "private" | "workspace" | "public";
+
+/** Gallery tab: the caller's own, shared with their workspaces, or public. */
+export type NotebookTemplateScope = "mine" | "team" | "public";
+
+export interface NotebookTemplateSharing {
+  visibility: NotebookTemplateVisibility;
+  workspaceId: string | null;
+}
+
 // ── Saved notebook query ────────────────────────────────────────────────────
 
 export interface SavedNotebookQuery {
@@ -185,6 +530,8 @@ export interface NotebookDeleteState {
 export interface NotebookFormState {
   mode: string;
   notebook?: Notebook;
+  /** Parent preselected when creating a sub-notebook. */
+  parentId?: string | null;
 }
 
 // ── Smart view params ───────────────────────────────────────────────────────
@@ -220,6 +567,8 @@ export interface DeleteNotebookPayload {
   mode: string;
   deleteCollaborative: boolean;
   targetNotebookId?: string;
+  /** What happens to child notebooks: moved up a level, or deleted too. */
+  children?: "lift" | "delete";
 }
 
 // ── DnD style (CSS + pointer-events + z-index) ─────────────────────────────
@@ -0,0 +1,153 @@
+// ── Template placeholders ────────────────────────────────────
+//
+// `{{date}}` / `{{date+7d}}` (d, w, m or y offsets), `{{user.name}}`,
+// `{{notebook.name}}` and `{{prompt:Client name}}`, resolved when a notebook
+// or note template is used. Unknown placeholders are left as written.
+
+export const MAX_TEMPLATE_PROMPTS = 20;
+export const TEMPLATE_PROMPT_LABEL_MAX_LENGTH = 80;
+export const TEMPLATE_PROMPT_VALUE_MAX_LENGTH = 500;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const DATE_PATTERN = /^date(?:\s*([+-])\s*(\d{1,4})\s*([dwmy]))?$/i;
+const PROMPT_PREFIX = /^prompt\s*:\s*/i;
+
+export type TemplateDateUnit = "d" | "w" | "m" | "y";
+
+export interface TemplateVariableContext {
+  now?: Date;
+  /** IANA time zone for `{{date}}`; defaults to the runtime's zone. */
+  timeZone?: string;
+  user?: { name?: string | null } | null;
+  notebook?: { name?: string | null } | null;
+  prompts?: Record<string, string>;
+}
+
+const parsePromptLabel = (expression: string): string | null => {
+  if (!PROMPT_PREFIX.test(expression)) return null;
+  const label = expression.replace(PROMPT_PREFIX, "").trim();
+  if (!label || label.length > TEMPLATE_PROMPT_LABEL_MAX_LENGTH) return null;
+  return label;
+};
+
+/** Prompt labels used in `texts`, in order of first use. */
+export const extractTemplatePrompts = (texts: unknown[]): string[] => {
+  const labels: string[] = [];
+  for (const text of texts) {
+    if (typeof text !== "string") continue;
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      const label = parsePromptLabel(match[1]);
+      if (label && !labels.includes(label)) {
+        labels.push(label);
+        if (labels.length >= MAX_TEMPLATE_PROMPTS) return labels;
+      }
+    }
+  }
+  return labels;
+};
+
+const datePartsInTimeZone = (
+  date: Date,
+  timeZone?: string,
+): { year: number; month: number; day: number } => {
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+    }).formatToParts(date);
+    const part = (type: Intl.DateTimeFormatPartTypes) =>
+      Number(parts.find((entry) => entry.type === type)?.value);
+    const year = part("year");
+    const month = part("month");
+    const day = part("day");
+    if (year && month && day) {
+      return { year, month: month - 1, day };
+    }
+  } catch {
+    // Unknown time zone: fall back to UTC below.
+  }
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+  };
+};
+
+/**
+ * Today in `timeZone` as `YYYY-MM-DD`, shifted by `amount` days, weeks,
+ * months or years (`unit` d, w, m or y).
+ */
+export const formatTemplateDate = (
+  now: Date,
+  timeZone?: string,
+  amount = 0,
+  unit: TemplateDateUnit = "d",
+): string => {
+  const { year, month, day } = datePartsInTimeZone(now, timeZone);
+  let shifted;
+  if (unit === "d" || unit === "w") {
+    shifted = new Date(
+      Date.UTC(year, month, day + amount * (unit === "w" ? 7 : 1)),
+    );
+  } else {
+    // Clamp to the end of shorter months: Jan 31 + 1m is Feb 28 (or 29).
+    const targetMonth = month + amount * (unit === "y" ? 12 : 1);
+    const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+    shifted = new Date(Date.UTC(year, targetMonth, Math.min(day, lastDay)));
+  }
+  return shifted.toISOString().slice(0, 10);
+};
+
+const resolveExpression = (
+  expression: string,
+  context: TemplateVariableContext,
+): string | null => {
+  const dateMatch = DATE_PATTERN.exec(expression);
+  if (dateMatch) {
+    const [, sign, amount, unit] = dateMatch;
+    const offset = sign ? Number(amount) * (sign === "-" ? -1 : 1) : 0;
+    return formatTemplateDate(
+      context.now ?? new Date(),
+      context.timeZone,
+      offset,
+      (unit ?? "d").toLowerCase() as TemplateDateUnit,
+    );
+  }
+
+  const key = expression.toLowerCase();
+  if (key === "user.name") return context.user?.name ?? "";
+  if (key === "notebook.name") return context.notebook?.name ?? "";
+
+  const label = parsePromptLabel(expression);
+  if (label !== null) {
+    const value = context.prompts?.[label];
+    return typeof value === "string"
+      ? value.slice(0, TEMPLATE_PROMPT_VALUE_MAX_LENGTH)
+      : "";
+  }
+  return null;
+};
+
+/**
+ * Replace the placeholders in `text`. `context` is
+ * `{ now, timeZone, user: { name }, notebook: { name }, prompts }`, where
+ * `prompts` maps prompt labels to values; unanswered prompts become empty.
+ */
+export const resolveTemplateVariables = (
+  text: string,
+  context: TemplateVariableContext = {},
+): string => {
+  if (typeof text !== "string" || !text.includes("{{")) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, expression: string) => {
+    const value = resolveExpression(expression, context);
+    return value === null ? placeholder : value;
+  });
+};
+
+export default {
+  extractTemplatePrompts,
+  formatTemplateDate,
+  resolveTemplateVariables,
+};